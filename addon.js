@@ -1,8 +1,12 @@
 import { addonBuilder } from "stremio-addon-sdk"
 import StreamProvider from './lib/stream-provider.js'
 import CatalogProvider from './lib/catalog-provider.js'
+import SubtitleProvider from './lib/subtitle-provider.js'
+import WatchlistProvider from './lib/watchlist-provider.js'
 import { getManifest } from './lib/util/manifest.js'
 import { obfuscateSensitive } from './lib/common/torrent-utils.js'
+import { isAnimeId, parseAnimeId } from './lib/util/anime-mapping.js'
+import { parsePersonalId } from './lib/util/personal-meta.js'
 
 const CACHE_MAX_AGE = parseInt(process.env.CACHE_MAX_AGE) || 60 * 60 // 1 hour (like Torrentio)
 const STALE_REVALIDATE_AGE = 4 * 60 * 60 // 4 hours (like Torrentio)
@@ -20,6 +24,12 @@ builder.defineCatalogHandler((args) => {
         const debugArgs = structuredClone(args)
         if (args.config?.DebridApiKey)
             debugArgs.config.DebridApiKey = '*'.repeat(args.config.DebridApiKey.length)
+        if (args.config?.TraktAccessToken)
+            debugArgs.config.TraktAccessToken = '*'.repeat(args.config.TraktAccessToken.length)
+        if (args.config?.TraktRefreshToken)
+            debugArgs.config.TraktRefreshToken = '*'.repeat(args.config.TraktRefreshToken.length)
+        if (args.config?.SimklAccessToken)
+            debugArgs.config.SimklAccessToken = '*'.repeat(args.config.SimklAccessToken.length)
         if (args.config?.DebridServices && Array.isArray(args.config.DebridServices)) {
             debugArgs.config.DebridServices = args.config.DebridServices.map(s => ({
                 provider: s.provider,
@@ -34,6 +44,21 @@ builder.defineCatalogHandler((args) => {
         console.log("[CATALOG-HANDLER] Config has DebridServices?", !!(args.config?.DebridServices))
         console.log("[CATALOG-HANDLER] DebridServices:", args.config?.DebridServices?.map(s => s.provider))
 
+        // Trakt / Simkl catalogs only need the watchlist token, not a debrid service.
+        // They change as the user watches, so the response is never cached.
+        if (WatchlistProvider.isWatchlistCatalog(args.id)) {
+            WatchlistProvider.listWatchlistCatalog(args.config, args.id, args.type, args.extra?.skip)
+                .then(metas => resolve({
+                    metas,
+                    ...enrichCacheParams(false)
+                }))
+                .catch(err => {
+                    console.error(`[CATALOG-HANDLER] Error listing ${args.id}: ${err.message}`)
+                    reject(err)
+                })
+            return
+        }
+
         const hasValidConfig = (
             (args.config?.DebridServices && Array.isArray(args.config.DebridServices) && args.config.DebridServices.length > 0) ||
             (args.config?.DebridProvider && args.config?.DebridApiKey) ||
@@ -129,14 +154,44 @@ builder.defineCatalogHandler((args) => {
 })
 
 
+// Docs: https://github.com/Stremio/stremio-addon-sdk/blob/master/docs/api/requests/defineMetaHandler.md
+builder.defineMetaHandler(args => {
+    if (!parsePersonalId(args.id)) {
+        return Promise.resolve({ meta: null, ...enrichCacheParams(false) })
+    }
+
+    console.log(`[META-HANDLER] Request for personal meta: type=${args.type}, id=${args.id}`)
+
+    // Cloud libraries change as torrents are added or removed, so the meta is never cached
+    return CatalogProvider.getPersonalMeta(args.config, args.type, args.id)
+        .then(meta => ({ meta, ...enrichCacheParams(false) }))
+        .catch(err => {
+            console.error(`[META-HANDLER] Error building meta for ${args.id}: ${err.message}`)
+            throw err
+        })
+})
+
 // Docs: https://github.com/Stremio/stremio-addon-sdk/blob/master/docs/api/requests/defineStreamHandler.md
 builder.defineStreamHandler(args => {
     return new Promise((resolve, reject) => {
-        if (!args.id.match(/tt\d+/i)) {
+        // Files of a cloud torrent opened from the personal downloads catalog
+        if (parsePersonalId(args.id)) {
+            CatalogProvider.getPersonalStreams(args.config, args.id)
+                .then(streams => resolve({ streams, ...enrichCacheParams(false) }))
+                .catch(err => reject(err))
+            return
+        }
+
+        if (!args.id.match(/tt\d+/i) && !isAnimeId(args.id)) {
             resolve({ streams: [], ...enrichCacheParams(false) })
             return
         }
 
+        // Anime catalogs use their own type; an episode number means it's a series
+        const streamType = args.type === 'anime'
+            ? (parseAnimeId(args.id)?.episode != null ? 'series' : 'movie')
+            : args.type
+
         const debugArgs = structuredClone(args)
         if (args.config?.DebridApiKey)
             debugArgs.config.DebridApiKey = '*'.repeat(args.config.DebridApiKey.length)
@@ -148,9 +203,9 @@ builder.defineStreamHandler(args => {
         }
         console.log("Request for streams with args: " + JSON.stringify(debugArgs))
 
-        switch (args.type) {
+        switch (streamType) {
             case 'movie':
-                StreamProvider.getMovieStreams(args.config, args.type, args.id)
+                StreamProvider.getMovieStreams(args.config, streamType, args.id)
                     .then(streams => {
                         const keysToObfuscate = [
                             args.config?.DebridApiKey,
@@ -165,7 +220,7 @@ builder.defineStreamHandler(args => {
                     .catch(err => reject(err))
                 break
             case 'series':
-                StreamProvider.getSeriesStreams(args.config, args.type, args.id)
+                StreamProvider.getSeriesStreams(args.config, streamType, args.id)
                     .then(streams => {
                         const keysToObfuscate = [
                             args.config?.DebridApiKey,
@@ -186,6 +241,25 @@ builder.defineStreamHandler(args => {
     })
 })
 
+// Docs: https://github.com/Stremio/stremio-addon-sdk/blob/master/docs/api/requests/defineSubtitlesHandler.md
+builder.defineSubtitlesHandler(args => {
+    if (!args.id.match(/tt\d+/i) && !isAnimeId(args.id)) {
+        return Promise.resolve({ subtitles: [], ...enrichCacheParams(false) })
+    }
+
+    console.log(`[SUBTITLES-HANDLER] Request for subtitles: type=${args.type}, id=${args.id}, filename=${args.extra?.filename || 'none'}`)
+
+    return SubtitleProvider.getSubtitles(args.config, args.type, args.id, args.extra)
+        .then(subtitles => ({
+            subtitles,
+            ...enrichCacheParams(subtitles && subtitles.length > 0)
+        }))
+        .catch(err => {
+            console.error(`[SUBTITLES-HANDLER] Error fetching subtitles: ${err.message}`)
+            return { subtitles: [], ...enrichCacheParams(false) }
+        })
+})
+
 function shouldDisableStreamResponseCache(config = {}) {
     if (String(config?.DebridProvider || '').toLowerCase() === 'httpstreaming') {
         return true;
@@ -5,6 +5,8 @@ import cluster from 'cluster';
 import os from 'os';
 import { overrideConsole } from './lib/util/logger.js';
 import { memoryMonitor } from './lib/util/memory-monitor.js';
+import { serveClusterMetrics } from './lib/util/metrics.js';
+import { serveWorkerStatus } from './lib/util/cluster-ipc.js';
 
 // Override console to respect LOG_LEVEL environment variable
 overrideConsole();
@@ -57,6 +59,11 @@ if (cluster.isMaster) {
     // Start memory monitoring in master process
     memoryMonitor.startMonitoring();
 
+    // Workers answering GET /metrics ask the master to merge the metrics of all workers
+    serveClusterMetrics();
+    // GET /ready reports workers missing after a crash
+    serveWorkerStatus(() => Object.keys(cluster.workers).length, workersToUse);
+
     // Track worker restarts for crash loop detection
     const workerRestarts = new Map(); // pid -> { count, lastRestart }
     const RESTART_WINDOW_MS = 60000; // 1 minute window
@@ -0,0 +1,146 @@
+import { createHash } from 'crypto'
+import { getProvider, hasCapability } from './providers.js'
+import { getServiceKeys, mergeServiceKeys } from './util/key-pool.js'
+
+// Debrid account status: premium expiry and traffic quota, shown as an informational stream
+// at the top of the list and used to explain failed plays.
+//
+// Providers registering accountInfo (see lib/util/provider-registry.js):
+//   accountInfo(apiKey) -> { premium, expiresAt: ISO date|null, quotaExhausted, renewUrl }
+const ACCOUNT_STATUS_TTL_MS = parseInt(process.env.ACCOUNT_STATUS_TTL_MS) || 15 * 60 * 1000
+// Stream lists never wait longer than this; a slow answer is still cached for the next request
+const ACCOUNT_STATUS_TIMEOUT_MS = parseInt(process.env.ACCOUNT_STATUS_TIMEOUT_MS) || 3000
+const ACCOUNT_WARNING_DAYS = parseInt(process.env.ACCOUNT_WARNING_DAYS ?? '3')
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_CACHED_ACCOUNTS = 5000
+
+// `${provider}:${keyHash}` -> { info, expiresAt } (info is null when the lookup failed)
+const accountCache = new Map()
+const accountInFlight = new Map()
+
+function cacheKey(provider, apiKey) {
+    return `${provider}:${createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16)}`
+}
+
+// "[RD+] Sootio" -> "RD"
+function shortName(definition) {
+    return definition.streamName.match(/^\[([A-Z]+)\+?\]/)?.[1] || definition.label
+}
+
+/**
+ * Account info for one key, cached for ACCOUNT_STATUS_TTL_MS. Failed lookups are cached as null
+ * too, so a provider that is down is not asked again on every request.
+ * @returns {Promise<Object|null>}
+ */
+async function getAccountInfo(provider, apiKey) {
+    const definition = getProvider(provider)
+    if (!apiKey || !hasCapability(definition, 'accountInfo')) return null
+    const key = cacheKey(definition.key, apiKey)
+    const cached = accountCache.get(key)
+    if (cached && cached.expiresAt > Date.now()) return cached.info
+    if (accountInFlight.has(key)) return accountInFlight.get(key)
+
+    const lookup = definition.capabilities.accountInfo(apiKey)
+        .catch(error => {
+            console.warn(`[ACCOUNT] ${definition.label} account lookup failed: ${error.message}`)
+            return null
+        })
+        .then(info => {
+            if (accountCache.size >= MAX_CACHED_ACCOUNTS) accountCache.delete(accountCache.keys().next().value)
+            accountCache.set(key, { info, expiresAt: Date.now() + ACCOUNT_STATUS_TTL_MS })
+            return info
+        })
+        .finally(() => accountInFlight.delete(key))
+    accountInFlight.set(key, lookup)
+    return lookup
+}
+
+/**
+ * @param {Object} info - accountInfo() result
+ * @param {string} name - Short service name, e.g. "RD"
+ * @param {number} [now]
+ * @returns {{message: string, blocking: boolean}|null} blocking when plays fail until the user acts
+ */
+function getAccountWarning(info, name, now = Date.now()) {
+    if (!info) return null
+    const expiresAt = info.expiresAt ? Date.parse(info.expiresAt) : NaN
+    if (expiresAt <= now) {
+        return { message: `⚠ ${name} premium expired`, blocking: true }
+    }
+    if (info.quotaExhausted) {
+        return { message: `⚠ ${name} traffic quota used up`, blocking: true }
+    }
+    // Without an expiry date there is nothing to say it ran out; some services still play on free accounts
+    if (!info.premium) {
+        return { message: `⚠ ${name} has no premium`, blocking: false }
+    }
+    if (Number.isFinite(expiresAt) && expiresAt - now < ACCOUNT_WARNING_DAYS * DAY_MS) {
+        const days = Math.floor((expiresAt - now) / DAY_MS)
+        const when = days === 0 ? 'today' : `in ${days} day${days === 1 ? '' : 's'}`
+        return { message: `⚠ ${name} premium expires ${when}`, blocking: false }
+    }
+    return null
+}
+
+function getAccountServices(config) {
+    if (Array.isArray(config?.DebridServices)) {
+        return mergeServiceKeys(config.DebridServices)
+            .map(service => ({ provider: service.provider, keys: getServiceKeys(service) }))
+            .filter(service => service.keys.length > 0 && hasCapability(String(service.provider || ''), 'accountInfo'))
+    }
+    if (config?.DebridProvider && config?.DebridApiKey && hasCapability(config.DebridProvider, 'accountInfo')) {
+        return [{ provider: config.DebridProvider, keys: [config.DebridApiKey] }]
+    }
+    return []
+}
+
+/**
+ * Informational streams for services without premium, or whose premium is expired, about to
+ * expire, or out of traffic. Each opens the provider's renewal page.
+ * @param {Object} config - Sanitized user config
+ * @returns {Promise<Array<Object>>} Streams to show above the results
+ */
+async function getAccountStatusStreams(config) {
+    const services = getAccountServices(config)
+    if (services.length === 0) return []
+
+    let timer = null
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve([]), ACCOUNT_STATUS_TIMEOUT_MS)
+    })
+    const lookups = Promise.all(services.map(async ({ provider, keys }) => {
+        const definition = getProvider(provider)
+        const infos = await Promise.all(keys.map(apiKey => getAccountInfo(provider, apiKey)))
+        return infos.map((info, index) => {
+            const name = keys.length > 1 ? `${shortName(definition)} key ${index + 1}` : shortName(definition)
+            const warning = getAccountWarning(info, name)
+            if (!warning) return null
+            return {
+                name: definition.streamName,
+                title: `${warning.message}\nOpen ${definition.label} to renew`,
+                externalUrl: info.renewUrl,
+                isAccountStatus: true
+            }
+        }).filter(Boolean)
+    })).then(streams => streams.flat())
+    return Promise.race([lookups, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Why plays with these keys fail, when the account is the reason (premium expired, quota used up).
+ * @param {string} provider
+ * @param {string|Array<string>} apiKeys
+ * @returns {Promise<string|null>} Message for the error video
+ */
+async function getAccountProblem(provider, apiKeys) {
+    const definition = getProvider(provider)
+    if (!hasCapability(definition, 'accountInfo')) return null
+    const keys = (Array.isArray(apiKeys) ? apiKeys : [apiKeys]).filter(Boolean)
+    const warnings = await Promise.all(keys.map(async apiKey =>
+        getAccountWarning(await getAccountInfo(provider, apiKey), shortName(definition))))
+    // With a key pool the account is only the reason when every key is blocked
+    if (warnings.length === 0 || !warnings.every(warning => warning?.blocking)) return null
+    return `${warnings[0].message.replace(/^⚠ /, '')} - renew it on ${definition.label} to keep streaming`
+}
+
+export { getAccountStatusStreams, getAccountProblem, getAccountWarning }
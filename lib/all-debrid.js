@@ -7,7 +7,7 @@ const adCall = (fn, apiKey) => AdLimiter.schedule(fn, 'ad-call', apiKey);
 import * as config from './config.js';
 import * as scrapers from './common/scrapers.js';
 import * as torrentUtils from './common/torrent-utils.js';
-import { processAndFilterTorrents } from './common/debrid-cache-processor.js';
+import { processAndFilterTorrents, getUncachedLimit, selectUncachedTorrents, toUncachedResult } from './common/debrid-cache-processor.js';
 import { matchesSeriesTitle, hasEpisodeMarker } from './util/seriesTitleMatcher.js';
 import { buildSeriesContext, matchesCandidateTitle } from './util/episodeMatcher.js';
 import * as sqliteCache from './util/cache-store.js';
@@ -18,6 +18,10 @@ import { orchestrateScrapers } from './util/scraper-selector.js';
 import * as debridHelpers from './util/debrid-helpers.js';
 import debridProxyManager from './util/debrid-proxy.js';
 import * as stremThru from './util/stremthru.js';
+import { registerProvider } from './util/provider-registry.js';
+import { trackTempMagnets, forgetTempMagnets } from './util/temp-magnet-journal.js';
+import { withLiveConfidence } from './util/hash-confidence.js';
+import { findReleaseSubtitles } from './util/subtitle-files.js';
 
 const { isValidVideo, isValidTorrentTitle, getResolutionFromName, resolutionOrder, delay, filterByYear } = torrentUtils;
 const LOG_PREFIX = 'AD';
@@ -125,11 +129,15 @@ async function buildPersonalHashCache(apiKey) {
 }
 
 async function cleanupTemporaryMagnets(AD, magnetIds, apiKey) {
-  if (magnetIds.size === 0) return;
-  console.log(`[AD CLEANUP] 🧹 Starting background deletion of ${magnetIds.size} temporary magnets.`);
-  for (const id of magnetIds) {
+  const ids = Array.from(magnetIds);
+  if (ids.length === 0) return;
+  console.log(`[AD CLEANUP] 🧹 Starting background deletion of ${ids.length} temporary magnets.`);
+  // Deleted or already gone; the rest stay journaled for a later sweep
+  const removed = [];
+  for (const id of ids) {
     try {
       await adCall(() => AD.magnet.delete(id), apiKey);
+      removed.push(id);
     } catch (deleteError) {
       const errorMessage = deleteError?.message || deleteError;
       // Only log as error if it's not a "does not exist" error
@@ -138,13 +146,20 @@ async function cleanupTemporaryMagnets(AD, magnetIds, apiKey) {
       } else {
         // Log as debug/info level for "does not exist" errors
         console.log(`[AD CLEANUP] ℹ️  Magnet ${id} does not exist or is invalid (likely already processed)`);
+        removed.push(id);
       }
       await delay(1500).catch(() => {});
     }
   }
+  await forgetTempMagnets('alldebrid', apiKey, removed);
   console.log(`[AD CLEANUP] ✅ Finished background deletion task.`);
 }
 
+// Journals the temporary magnets of one request; leftovers of earlier requests are swept
+function trackTemporaryMagnets(apiKey) {
+  return trackTempMagnets('alldebrid', apiKey, ids => cleanupTemporaryMagnets(createAllDebridClient(apiKey), ids, apiKey));
+}
+
 // ---------------------------------------------------------------------------------
 // AD response helpers (normalize varying shapes)
 // ---------------------------------------------------------------------------------
@@ -362,7 +377,7 @@ async function searchAllDebridTorrents(apiKey, type, id, userConfig = {}, client
   const SEARCH_TIMEOUT_MS = parseInt(process.env.SEARCH_TIMEOUT_MS || '30000', 10);
   const { signal, cleanup: cleanupAbort } = createAbortControllerWithTimeout(SEARCH_TIMEOUT_MS, 'AD');
 
-  const magnetIdsToDelete = new Set();
+  const magnetIdsToDelete = trackTemporaryMagnets(apiKey);
 
   try {
     // Phase 0: Fetch personal files first (AllDebrid exposes recent links) - these are the user's personal cloud results
@@ -666,6 +681,8 @@ async function searchAllDebridTorrents(apiKey, type, id, userConfig = {}, client
 
       const adHandler = {
         getIdentifier: () => LOG_PREFIX,
+        rankingProfile: userConfig.RankingProfile,
+        keywordFilters: userConfig.KeywordFilters,
         checkCachedHashes: async (hashes) => {
           // Filter out hashes we already checked in foreground to avoid redundant API calls
           const newHashes = hashes.filter(h => !foregroundCheckedHashes.has(h.toLowerCase()));
@@ -713,9 +730,10 @@ async function searchAllDebridTorrents(apiKey, type, id, userConfig = {}, client
 
           return cached;
         },
-        liveCheckHash: async (hash) => {
+        liveCheckHash: (hash) => withLiveConfidence('alldebrid', apiKey, hash, async () => {
           // Try to check cache status by uploading magnet and seeing if it's cached
           // AllDebrid does not have a batch check but we can check individually
+          if (!magnetIdsToDelete.hasRoom()) return null;
           try {
             const magnet = `magnet:?xt=urn:btih:${hash}`;
             // Upload the magnet to check if it's cached
@@ -725,6 +743,8 @@ async function searchAllDebridTorrents(apiKey, type, id, userConfig = {}, client
 
             if (magnetId) {
               console.log(`[AD CACHE-CHECK] Uploaded magnet ${magnetId} for ${hash.substring(0,16)}..., upload ready: ${uploadMagnet.ready || false}`);
+              // Journaled right away, so a request that dies mid-check still cleans up later
+              magnetIdsToDelete.add(magnetId, hash);
 
               // If uploadMagnet.ready is true, it means it was already cached
               // Use magnet/files API to get the file list which indicates cache status
@@ -735,7 +755,7 @@ async function searchAllDebridTorrents(apiKey, type, id, userConfig = {}, client
                 console.log(`[AD CACHE-CHECK] No magnet info returned for ${magnetId}`);
                 // Add to cleanup queue since it wasn't cached
                 magnetIdsToDelete.add(magnetId);
-                return false;
+                return null;
               }
               
               // In AllDebrid, if files exist in the response, it means the content is cached
@@ -766,6 +786,7 @@ async function searchAllDebridTorrents(apiKey, type, id, userConfig = {}, client
               
               // Add to cleanup queue since it wasn't cached
               magnetIdsToDelete.add(magnetId);
+              return false;
             } else {
               console.log(`[AD CACHE-CHECK] Failed to upload magnet for ${hash.substring(0,16)}...`);
             }
@@ -777,8 +798,8 @@ async function searchAllDebridTorrents(apiKey, type, id, userConfig = {}, client
               console.error('[AD CACHE-CHECK] Proxy is not working properly - AllDebrid detected server location');
             }
           }
-          return false;
-        },
+          return null;
+        }),
         batchCheckSeasonPacks: async (hashes, season, episode) => {
           // Enable pack inspection for AllDebrid using available APIs
           const MAX_PACKS_TO_INSPECT = config.MAX_PACKS_TO_INSPECT || 3;
@@ -789,6 +810,7 @@ async function searchAllDebridTorrents(apiKey, type, id, userConfig = {}, client
 
           for (const hash of hashes) {
               if (inspectedCount >= MAX_PACKS_TO_INSPECT) break;
+              if (!magnetIdsToDelete.hasRoom()) break;
               try {
                   const magnet = `magnet:?xt=urn:btih:${hash}`;
                   console.log(`[AD PACK INSPECT] Inspecting pack ${hash.substring(0,16)}...`);
@@ -802,6 +824,7 @@ async function searchAllDebridTorrents(apiKey, type, id, userConfig = {}, client
                     console.log(`[AD PACK INSPECT] Upload failed for ${hash.substring(0,16)}...`);
                     continue;
                   }
+                  magnetIdsToDelete.add(magnetId, hash);
 
                   // Use magnet/files API to get file list
                   const filesResponse = await getMagnetFiles(AD, magnetId, apiKey);
@@ -982,6 +1005,17 @@ async function searchAllDebridTorrents(apiKey, type, id, userConfig = {}, client
       });
     }
 
+    // Opt-in "show uncached": the best torrents not known to be cached are listed after the cached ones
+    if (!isBackgroundRefresh) {
+      const uncachedPicks = selectUncachedTorrents(uncachedExternalTorrents, getUncachedLimit(userConfig), {
+        cachedHashes: new Set(allResults.map(result => result.hash).filter(Boolean)),
+        rankingProfile: userConfig.RankingProfile,
+        keywordFilters: userConfig.KeywordFilters,
+        episodeInfo
+      });
+      allResults = [...allResults, ...uncachedPicks.map(torrent => toUncachedResult(formatCachedResult(torrent, false)))];
+    }
+
     console.log(`[${LOG_PREFIX}] Returning ${allResults.length} immediate cached streams (sorted)`);
     return allResults;
 
@@ -1301,13 +1335,96 @@ async function listTorrents(apiKey, skip = 0) {
   const AD = createAllDebridClient(apiKey);
   try {
     const downloads = await getAllDownloads(AD, apiKey);
-    return downloads.map(download => formatDownloadFile(download));
+    return downloads.slice(skip, skip + 50).map(download => formatDownloadFile(download));
   } catch (error) {
     console.error(`[${LOG_PREFIX}] Error listing torrents: ${error.message}`);
     return [];
   }
 }
 
+/**
+ * Lists the user's ready AD magnets for the personal downloads catalog.
+ * @param {string} apiKey - AD API key
+ * @returns {Promise<Array>} Download-shaped items carrying their torrentId
+ */
+// AllDebrid statusCode: 0-3 = processing, 4 = Ready, 5 and above = errors
+function libraryStatus(statusCode) {
+  if (statusCode === 4) return 'ready';
+  return statusCode >= 5 ? 'dead' : 'downloading';
+}
+
+async function listLibrary(apiKey, { includeInactive = false } = {}) {
+  const AD = createAllDebridClient(apiKey);
+  try {
+    const response = await adCall(() => AD.magnet.status(), apiKey);
+    const magnets = response?.data?.magnets || [];
+    const list = Array.isArray(magnets) ? magnets : Object.values(magnets);
+    return list
+      .filter(mag => mag && (includeInactive || mag.statusCode === 4))
+      .map(mag => ({
+        id: mag.id,
+        torrentId: mag.id,
+        name: mag.filename || mag.name || 'Magnet',
+        size: mag.size || 0,
+        hash: mag.hash,
+        status: libraryStatus(mag.statusCode),
+        isPersonal: true
+      }));
+  } catch (error) {
+    console.error(`[${LOG_PREFIX}] Library error: ${error.message}`);
+    return [];
+  }
+}
+
+// Subtitles next to the playing video in a ready magnet; the hoster links are unrestricted on resolve
+async function getSubtitleFiles(apiKey, video = {}) {
+  const AD = createAllDebridClient(apiKey);
+  const subtitles = await findReleaseSubtitles(await listLibrary(apiKey), video, async (magnet) => {
+    const filesResp = await getMagnetFiles(AD, magnet.id, apiKey);
+    return extractADFiles(filesResp?.data?.magnets?.[0]).map(file => ({ path: file.path, size: file.bytes, link: file.link }));
+  });
+  return subtitles.map(({ file, lang }) => ({ name: file.path, url: file.link, lang }));
+}
+
+async function deleteTorrent(apiKey, magnetId) {
+  const AD = createAllDebridClient(apiKey);
+  await adCall(() => AD.magnet.delete(magnetId), apiKey);
+  return true;
+}
+
+async function addMagnet(apiKey, magnet) {
+  const AD = createAllDebridClient(apiKey);
+  const response = await adCall(() => AD.magnet.upload(magnet), apiKey);
+  const uploaded = response?.data?.magnets?.[0];
+  if (!uploaded?.id) throw new Error(uploaded?.error?.message || 'AllDebrid did not return a magnet ID');
+  return uploaded.id;
+}
+
+async function getDownloadStatus(apiKey, magnetId) {
+  const AD = createAllDebridClient(apiKey);
+  const response = await adCall(() => AD.magnet.status(magnetId), apiKey);
+  const magnets = response?.data?.magnets;
+  const magnet = Array.isArray(magnets) ? magnets[0] : magnets;
+  if (!magnet) throw new Error(`AllDebrid magnet ${magnetId} not found`);
+  const status = libraryStatus(magnet.statusCode);
+  const progress = magnet.size > 0 ? Math.floor((magnet.downloaded || 0) / magnet.size * 100) : 0;
+  return { status, progress: status === 'ready' ? 100 : progress };
+}
+
+// Trial accounts stream until their trial quota (in MB) runs out
+async function getAccountInfo(apiKey) {
+  const AD = createAllDebridClient(apiKey);
+  const response = await adCall(() => AD.user.info(), apiKey);
+  const user = response?.data?.user || {};
+  const premiumUntil = Number(user.premiumUntil) || 0;
+  return {
+    premium: Boolean(user.isPremium || user.isTrial),
+    expiresAt: premiumUntil > 0 ? new Date(premiumUntil * 1000).toISOString() : null,
+    quotaExhausted: Boolean(user.isTrial) && Number(user.remainingTrialQuota) <= 0,
+    renewUrl: 'https://alldebrid.com/offer/'
+  };
+}
+
 async function getTorrentDetails(apiKey, id) {
   const AD = createAllDebridClient(apiKey);
   const magnetId = id.includes(':') ? id.split(':')[0] : id;
@@ -1388,7 +1505,7 @@ async function searchDownloads(apiKey, searchKey = null, threshold = 0.3) {
 async function checkAndProcessCache(apiKey, externalTorrents) {
   await loadHashCache(); // no-op; file cache removed
   const AD = createAllDebridClient(apiKey);
-  const magnetIdsToDelete = new Set();
+  const magnetIdsToDelete = trackTemporaryMagnets(apiKey);
   const adHandler = {
     getIdentifier: () => LOG_PREFIX,
     checkCachedHashes: async (hashes) => {
@@ -1425,8 +1542,9 @@ async function checkAndProcessCache(apiKey, externalTorrents) {
       
       return cached;
     },
-    liveCheckHash: async (hash) => {
+    liveCheckHash: (hash) => withLiveConfidence('alldebrid', apiKey, hash, async () => {
       // Try to check cache status by uploading magnet and seeing if it's cached
+      if (!magnetIdsToDelete.hasRoom()) return null;
       try {
         const magnet = `magnet:?xt=urn:btih:${hash}`;
         // Upload the magnet to check if it's cached
@@ -1436,6 +1554,8 @@ async function checkAndProcessCache(apiKey, externalTorrents) {
 
         if (magnetId) {
           console.log(`[AD CACHE-CHECK] Uploaded magnet ${magnetId} for ${hash.substring(0,16)}..., upload ready: ${uploadMagnet.ready || false}`);
+          // Journaled right away, so a request that dies mid-check still cleans up later
+          magnetIdsToDelete.add(magnetId, hash);
 
           // If uploadMagnet.ready is true, it means it was already cached
           // Use magnet/files API to get the file list which indicates cache status
@@ -1446,7 +1566,7 @@ async function checkAndProcessCache(apiKey, externalTorrents) {
             console.log(`[AD CACHE-CHECK] No magnet info returned for ${magnetId}`);
             // Add to cleanup queue since it wasn't cached
             magnetIdsToDelete.add(magnetId);
-            return false;
+            return null;
           }
           
           // In AllDebrid, if files exist in the response, it means the content is cached
@@ -1477,6 +1597,7 @@ async function checkAndProcessCache(apiKey, externalTorrents) {
           
           // Add to cleanup queue since it wasn't cached
           magnetIdsToDelete.add(magnetId);
+          return false;
         } else {
           console.log(`[AD CACHE-CHECK] Failed to upload magnet for ${hash.substring(0,16)}...`);
         }
@@ -1488,8 +1609,8 @@ async function checkAndProcessCache(apiKey, externalTorrents) {
           console.error('[AD CACHE-CHECK] Proxy is not working properly - AllDebrid detected server location');
         }
       }
-      return false;
-    },
+      return null;
+    }),
     cleanup: async () => {
       await saveHashCache(); // no-op; file cache removed
       if (magnetIdsToDelete.size > 0) cleanupTemporaryMagnets(AD, magnetIdsToDelete, apiKey);
@@ -1506,6 +1627,32 @@ async function checkAndProcessCache(apiKey, externalTorrents) {
   return cachedResults;
 }
 
+registerProvider({
+  name: 'AllDebrid',
+  label: 'AllDebrid',
+  streamName: '[AD+] Sootio',
+  results: { movieFilter: 'movie-only', seriesFilter: 'episode', preformatted: true },
+  capabilities: {
+    search: (apiKey, type, id, config, { clientIp, isBackgroundRefresh } = {}) =>
+      searchAllDebridTorrents(apiKey, type, id, config, clientIp, isBackgroundRefresh),
+    personalFiles: {
+      list: apiKey => listLibrary(apiKey)
+    },
+    catalog: {
+      list: apiKey => listLibrary(apiKey),
+      search: searchTorrents,
+      details: getTorrentDetails
+    },
+    library: listLibrary,
+    delete: deleteTorrent,
+    addMagnet,
+    downloadStatus: getDownloadStatus,
+    accountInfo: getAccountInfo,
+    subtitles: getSubtitleFiles,
+    resolve: (apiKey, url, { clientIp } = {}) => resolveStreamUrl(apiKey, url, clientIp)
+  }
+});
+
 export default {
   listTorrents,
   searchTorrents,
@@ -1516,5 +1663,8 @@ export default {
   buildPersonalHashCache,
   resolveStreamUrl,
   makeReleaseKey,
-  searchPersonalFiles
+  searchPersonalFiles,
+  listLibrary,
+  deleteTorrent,
+  addMagnet
 };
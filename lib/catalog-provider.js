@@ -1,39 +1,44 @@
-import DebridLink from './debrid-link.js'
-import RealDebrid from './real-debrid.js'
-import AllDebrid from './all-debrid.js'
-import OffCloud from './offcloud.js'
-import TorBox from './torbox.js'
-import Premiumize from './premiumize.js'
-import DebriderApp from './debrider.app.js'
-import HomeMedia from './home-media.js'
+import { getProvider, listProviders } from './providers.js'
 import Cinemeta from './util/cinemeta.js'
 import PTT from './util/parse-torrent-title.js'
+import Fuse from 'fuse.js'
 import { BadRequestError } from './util/error-codes.js'
 import fetch from 'node-fetch'
 import { setMaxListeners } from 'events'
 import sanitizeConfig from './util/config-sanitizer.js'
+import { formatSize, getResolutionFromName } from './common/torrent-utils.js'
+import { STREAM_NAME_MAP } from './stream-provider.js'
+import { buildPersonalId, parsePersonalId, buildMetaVideos } from './util/personal-meta.js'
+import { getPinnedIds } from './util/library-pins.js'
+import { serializeConfiguration, encodeResolveApiKey } from './util/configuration.js'
+import { mergeByInfoHash, formatProviderBadge } from './util/catalog-merge.js'
+
+const ADDON_HOST = process.env.ADDON_URL
+
+const CATALOG_PAGE_SIZE = 50
+const CATALOG_SEARCH_THRESHOLD = 0.4
+const CATALOG_SERVICE_TIMEOUT_MS = parseInt(process.env.CATALOG_SERVICE_TIMEOUT_MS) || 20000
+// Paging re-reads the same snapshot of every library so `skip` stays stable between pages
+const CATALOG_LIST_CACHE_TTL_MS = parseInt(process.env.CATALOG_LIST_CACHE_TTL_MS) || 60000
+const catalogListCache = new Map()
+
+// Services whose torrents can be searched / listed in the "debridsearch" catalog
+export const TORRENT_CATALOG_PROVIDERS = listProviders('catalog').map(provider => provider.key)
 
 async function searchTorrents(config, searchKey) {
     config = sanitizeConfig(config, 'CATALOG-PROVIDER')
-    let resultsPromise
-    if (config.DebridLinkApiKey) {
-        resultsPromise = DebridLink.searchTorrents(config.DebridLinkApiKey, searchKey)
-    } else if (config.DebridProvider == "DebridLink") {
-        resultsPromise = DebridLink.searchTorrents(config.DebridApiKey, searchKey)
-    } else if (config.DebridProvider == "RealDebrid") {
-        resultsPromise = RealDebrid.searchTorrents(config.DebridApiKey, searchKey)
-    } else if (config.DebridProvider == "AllDebrid") {
-        resultsPromise = AllDebrid.searchTorrents(config.DebridApiKey, searchKey)
-    } else if (config.DebridProvider == "OffCloud") {
-    resultsPromise = OffCloud.searchOffcloudTorrents(config.DebridApiKey, searchKey, 0.4)
-    } else if (config.DebridProvider == "TorBox") {
-        resultsPromise = Promise.resolve([])
-    } else {
+    const services = getTorrentCatalogServices(config)
+    if (services.length === 0) {
         return Promise.reject(BadRequestError)
     }
 
-    return resultsPromise
-        .then(torrents => torrents.map(torrent => toMeta(torrent)))
+    const results = await Promise.all(services.map(service =>
+        withTimeout(searchServiceTorrents(service, searchKey), `${service.provider} search`)
+            .then(torrents => withSource(torrents, service.provider))
+    ))
+    const merged = mergeByInfoHash(results)
+    console.log(`[CATALOG-PROVIDER] Search "${searchKey}" found ${merged.length} torrents across ${services.length} services`)
+    return merged.map(torrent => toMeta(torrent))
 }
 
 async function listTorrents(config, skip = 0, requestedType = null) {
@@ -41,34 +46,108 @@ async function listTorrents(config, skip = 0, requestedType = null) {
     if (!config.ShowCatalog) {
         return Promise.resolve([])
     }
+    const services = getTorrentCatalogServices(config)
+    if (services.length === 0) {
+        return Promise.reject(BadRequestError)
+    }
+
+    // Services are merged in config order, so a given skip always lands on the same torrents
+    const lists = await Promise.all(services.map(service => getCachedLibraryTorrents(service)))
+    let metas = mergeByInfoHash(lists).map(torrent => toMeta(torrent))
+
+    // Filter by requested type before paging, so every page of that type is full
+    if (requestedType && requestedType !== 'other') {
+        metas = metas.filter(meta => meta.type === requestedType)
+        console.log(`[CATALOG-PROVIDER] Filtered listTorrents to ${metas.length} ${requestedType} items (requested type: ${requestedType})`)
+    }
 
-    let resultsPromise
+    const start = Math.max(0, parseInt(skip) || 0)
+    const results = metas.slice(start, start + CATALOG_PAGE_SIZE)
+    console.log(`[CATALOG-PROVIDER] Listing ${results.length} of ${metas.length} torrents from skip ${start}`)
+    return results
+}
+
+function getTorrentCatalogServices(config) {
+    const services = []
+    const addService = (provider, apiKey) => {
+        if (!TORRENT_CATALOG_PROVIDERS.includes(provider) || !apiKey) return
+        if (services.some(s => s.provider === provider)) return
+        services.push({ provider, apiKey })
+    }
 
     if (config.DebridLinkApiKey) {
-        resultsPromise = DebridLink.listTorrents(config.DebridLinkApiKey, skip)
-    } else if (config.DebridProvider == "DebridLink") {
-        resultsPromise = DebridLink.listTorrents(config.DebridApiKey, skip)
-    } else if (config.DebridProvider == "RealDebrid") {
-        resultsPromise = RealDebrid.listTorrents(config.DebridApiKey, skip)
-    } else if (config.DebridProvider == "AllDebrid") {
-        resultsPromise = AllDebrid.listTorrents(config.DebridApiKey)
-    } else if (config.DebridProvider == "OffCloud") {
-        resultsPromise = OffCloud.listTorrents(config.DebridApiKey, skip)
-    } else if (config.DebridProvider == "TorBox") {
-        resultsPromise = Promise.resolve([])
-    } else {
-        return Promise.reject(BadRequestError)
+        addService('debridlink', config.DebridLinkApiKey)
+    }
+    if (Array.isArray(config.DebridServices)) {
+        config.DebridServices.forEach(service => {
+            if (service?.enablePersonalCloud === false) return
+            addService(String(service?.provider || '').toLowerCase(), service?.apiKey)
+        })
+    } else if (config.DebridProvider) {
+        addService(String(config.DebridProvider).toLowerCase(), config.DebridApiKey)
     }
 
-    let results = await resultsPromise;
-    
-    // Filter by requested type if specified
-    if (requestedType && requestedType !== 'other') {
-        results = results.filter(meta => meta.type === requestedType);
-        console.log(`[CATALOG-PROVIDER] Filtered listTorrents to ${results.length} ${requestedType} items (requested type: ${requestedType})`);
+    console.log(`[CATALOG-PROVIDER] Torrent catalog services: ${services.map(s => s.provider).join(', ') || 'none'}`)
+    return services
+}
+
+function withSource(torrents, provider) {
+    return (Array.isArray(torrents) ? torrents : []).map(torrent => ({ ...torrent, source: torrent.source || provider }))
+}
+
+// A service that fails or takes longer than CATALOG_SERVICE_TIMEOUT_MS adds no torrents
+function withTimeout(promise, label) {
+    let timer = null
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${CATALOG_SERVICE_TIMEOUT_MS}ms`)), CATALOG_SERVICE_TIMEOUT_MS)
+    })
+    return Promise.race([promise, timeout])
+        .catch(error => {
+            console.error(`[CATALOG-PROVIDER] ${label} failed: ${error.message}`)
+            return []
+        })
+        .finally(() => clearTimeout(timer))
+}
+
+// Torrent-shaped results ({ source, id, name, type, hash }) for toMeta
+async function searchServiceTorrents(service, searchKey) {
+    const { provider, apiKey } = service
+    const catalog = getProvider(provider)?.capabilities.catalog
+    if (catalog?.search) {
+        return catalog.search(apiKey, searchKey)
     }
-    
-    return results;
+    // Libraries without a search API are listed and matched here
+    const torrents = await getCachedLibraryTorrents(service)
+    const fuse = new Fuse(torrents, { keys: ['name'], threshold: CATALOG_SEARCH_THRESHOLD, minMatchCharLength: 2 })
+    return fuse.search(searchKey).map(result => result.item)
+}
+
+async function getCachedLibraryTorrents(service) {
+    const cacheKey = `${service.provider}:${service.apiKey}`
+    const now = Date.now()
+    const cached = catalogListCache.get(cacheKey)
+    if (cached && cached.expiresAt > now) return cached.torrents
+
+    const torrents = withSource(
+        await withTimeout(getLibraryTorrents(service), `${service.provider} list`),
+        service.provider
+    )
+    for (const [key, entry] of catalogListCache) {
+        if (entry.expiresAt <= now) catalogListCache.delete(key)
+    }
+    // Failed or timed-out services are retried on the next page instead of pinning an empty list
+    if (torrents.length > 0) {
+        catalogListCache.set(cacheKey, { torrents, expiresAt: now + CATALOG_LIST_CACHE_TTL_MS })
+    }
+    return torrents
+}
+
+// Every torrent of one service, newest first where the API orders them
+async function getLibraryTorrents({ provider, apiKey }) {
+    const catalog = getProvider(provider)?.capabilities.catalog
+    if (!catalog?.list) return []
+    const toTorrent = item => ({ source: provider, id: item.id, name: item.name, type: 'other', hash: item.hash || null })
+    return (await catalog.list(apiKey) || []).map(toTorrent)
 }
 
 async function listPersonalDownloads(config, serviceProvider = null, requestedType = null) {
@@ -91,7 +170,7 @@ async function listPersonalDownloads(config, serviceProvider = null, requestedTy
     }
 
     // Filter to only supported providers for catalogs
-    const supportedDebridProviders = ['realdebrid', 'alldebrid', 'torbox', 'offcloud', 'debridlink', 'premiumize', 'debriderapp', 'personalcloud'];
+    const supportedDebridProviders = listProviders('personalFiles.list').map(provider => provider.key);
 
     if (config.DebridServices && Array.isArray(config.DebridServices)) {
         console.log('[CATALOG-PROVIDER] Found DebridServices:', config.DebridServices.map(s => s.provider));
@@ -171,7 +250,13 @@ async function listPersonalDownloads(config, serviceProvider = null, requestedTy
                 console.log(`[CATALOG-PROVIDER] Limiting ${service.provider} from ${downloads.length} to 50 most recent downloads`);
             }
 
-            return limitedDownloads.map(d => ({ ...d, service: service.provider }));
+            // Pinned torrents (library page) are listed first
+            const pinnedIds = await getPinnedIds(service.provider.toLowerCase(), service.apiKey).catch(() => new Set());
+            return limitedDownloads.map(d => ({
+                ...d,
+                service: service.provider,
+                pinned: d.torrentId != null && pinnedIds.has(String(d.torrentId))
+            }));
         } catch (error) {
             console.error(`[CATALOG-PROVIDER] Error fetching downloads from ${service.provider}: ${error.message}`);
             console.error(`[CATALOG-PROVIDER] Stack:`, error.stack);
@@ -193,8 +278,16 @@ async function listPersonalDownloads(config, serviceProvider = null, requestedTy
     const enrichmentTime = ((Date.now() - startTime) / 1000).toFixed(2);
     console.log(`[CATALOG-PROVIDER] Metadata enrichment completed in ${enrichmentTime}s`);
 
-    // Convert to catalog metas
-    let metas = enrichedDownloads.map(download => downloadToMeta(download));
+    // Convert to catalog metas (files of one torrent collapse into one item)
+    const seenIds = new Set();
+    let metas = enrichedDownloads
+        .map(download => downloadToMeta(download))
+        .filter(meta => {
+            if (seenIds.has(meta.id)) return false;
+            seenIds.add(meta.id);
+            return true;
+        })
+        .sort((a, b) => Number(b._download.pinned) - Number(a._download.pinned));
     
     // Filter by requested type if specified
     if (requestedType && requestedType !== 'other') {
@@ -212,65 +305,17 @@ async function getServiceDownloads(provider, apiKey, homeMediaUrl = null) {
 
     console.log(`[CATALOG-PROVIDER] getServiceDownloads called for provider: ${provider} (normalized: ${normalizedProvider})`);
 
-    switch (normalizedProvider) {
-        case 'homemedia':
-            console.log(`[CATALOG-PROVIDER] Fetching HomeMedia files from: ${homeMediaUrl}`);
-            const homeMediaFiles = await HomeMedia.listAllFiles(homeMediaUrl, apiKey) || [];
-            console.log(`[CATALOG-PROVIDER] HomeMedia returned ${homeMediaFiles.length} files`);
-            if (homeMediaFiles.length > 0) {
-                console.log(`[CATALOG-PROVIDER] Sample HomeMedia file:`, JSON.stringify(homeMediaFiles[0]).substring(0, 200));
-            }
-            return homeMediaFiles;
-        case 'realdebrid':
-            return await RealDebrid.searchDownloads(apiKey, '', 1.0) || [];
-        case 'alldebrid':
-            return await AllDebrid.listTorrents(apiKey) || [];
-        case 'debridlink':
-            return await DebridLink.searchDownloads?.(apiKey, '', 1.0) || [];
-        case 'offcloud':
-            return await OffCloud.searchDownloads?.(apiKey, '', 1.0) || [];
-        case 'premiumize':
-            return await Premiumize.searchDownloads(apiKey, '', 1.0) || [];
-        case 'torbox':
-            console.log(`[CATALOG-PROVIDER] Fetching TorBox downloads with apiKey: ${apiKey ? '***' + apiKey.slice(-4) : 'undefined'}`);
-            const torboxDownloads = await TorBox.searchDownloads(apiKey, '', 1.0) || [];
-            console.log(`[CATALOG-PROVIDER] TorBox returned ${torboxDownloads.length} downloads`);
-            if (torboxDownloads.length > 0) {
-                console.log(`[CATALOG-PROVIDER] Sample TorBox download:`, JSON.stringify(torboxDownloads[0]).substring(0, 200));
-            }
-            return torboxDownloads;
-        case 'debriderapp':
-        case 'personalcloud':
-            console.log(`[CATALOG-PROVIDER] Fetching Personal Cloud tasks with apiKey: ${apiKey ? '***' + apiKey.slice(-4) : 'undefined'}`);
-            const tasks = await DebriderApp.getTasks(apiKey) || [];
-            console.log(`[CATALOG-PROVIDER] Personal Cloud returned ${tasks.length} tasks`);
-
-            // Transform tasks to download format
-            const downloads = tasks
-                .filter(task => task.files && task.files.length > 0)
-                .flatMap(task => {
-                    // For each task, create downloads for each video file
-                    const videoFiles = task.files.filter(file => {
-                        const fileName = file.name || file.path || '';
-                        const videoExtensions = ['.mkv', '.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.m4v', '.mpg', '.mpeg'];
-                        return videoExtensions.some(ext => fileName.toLowerCase().endsWith(ext));
-                    });
-
-                    return videoFiles.map(file => ({
-                        id: task.id + ':' + file.name,
-                        name: file.name || file.path || task.name,
-                        size: file.size || 0,
-                        url: file.download_link || file.url,
-                        status: task.status
-                    }));
-                });
-
-            console.log(`[CATALOG-PROVIDER] Converted to ${downloads.length} video downloads`);
-            return downloads;
-        default:
-            console.warn(`[CATALOG-PROVIDER] Unknown provider: ${provider}`);
-            return [];
+    const personalFiles = getProvider(provider)?.capabilities.personalFiles;
+    if (!personalFiles?.list) {
+        console.warn(`[CATALOG-PROVIDER] Unknown provider: ${provider}`);
+        return [];
     }
+    const downloads = await personalFiles.list(apiKey, { homeMediaUrl }) || [];
+    console.log(`[CATALOG-PROVIDER] ${provider} returned ${downloads.length} downloads`);
+    if (downloads.length > 0) {
+        console.log(`[CATALOG-PROVIDER] Sample ${provider} download:`, JSON.stringify(downloads[0]).substring(0, 200));
+    }
+    return downloads;
 }
 
 async function enrichDownloadWithMetadata(download) {
@@ -400,8 +445,15 @@ function downloadToMeta(download) {
     const { service, displayTitle, type, parsed, enriched, poster, background, imdbId } = download;
 
     // Generate a unique ID for the download
-    // Use IMDB ID if available for better integration with Stremio
-    const id = imdbId || `${service}:download:${download.id || Buffer.from(download.name).toString('base64').substring(0, 20)}`;
+    // Use IMDB ID if available for better integration with Stremio, otherwise Sootio's own
+    // ID so the torrent can be opened by the meta handler
+    let id = imdbId;
+    if (!id && download.torrentId != null) {
+        id = buildPersonalId(service, download.torrentId);
+    }
+    if (!id) {
+        id = `${service}:download:${download.id || Buffer.from(download.name).toString('base64').substring(0, 20)}`;
+    }
 
     // Use poster from metadata if available
     const posterUrl = poster || null;
@@ -409,7 +461,7 @@ function downloadToMeta(download) {
 
     const meta = {
         id,
-        name: displayTitle || download.name,
+        name: `${download.pinned ? '📌 ' : ''}${displayTitle || download.name}`,
         type: type || 'other',
         poster: posterUrl,
         posterShape,
@@ -419,7 +471,8 @@ function downloadToMeta(download) {
             service,
             originalName: download.name,
             size: download.size,
-            url: download.url
+            url: download.url,
+            pinned: Boolean(download.pinned)
         }
     };
 
@@ -436,6 +489,127 @@ function downloadToMeta(download) {
     return meta;
 }
 
+/**
+ * Describes a cloud torrent (Sootio ID) as a Stremio meta with one video per file.
+ * @param {Object} config - User config
+ * @param {string} type - Requested type
+ * @param {string} id - sootio:<service>:<torrentId>
+ * @returns {Promise<Object|null>} Stremio meta, or null when the torrent is unknown
+ */
+async function getPersonalMeta(config, type, id) {
+    config = sanitizeConfig(config, 'CATALOG-PROVIDER')
+    const parsedId = parsePersonalId(id)
+    const apiKey = parsedId && getServiceApiKey(config, parsedId.service)
+    if (!apiKey) {
+        console.log(`[CATALOG-PROVIDER] No configured service for meta ${id}`)
+        return null
+    }
+
+    const details = await getPersonalTorrentDetails(parsedId.service, apiKey, parsedId.torrentId)
+    if (!details || details.videos.length === 0) {
+        console.log(`[CATALOG-PROVIDER] No videos found for ${id}`)
+        return null
+    }
+
+    const base = ADDON_HOST || config.host || ''
+    const manageStream = toManageStream(config, base)
+    const videos = buildMetaVideos(parsedId.service, details).map(video => {
+        const stream = toPersonalStream(config, parsedId.service, apiKey, video.file, base)
+        return {
+            id: video.id,
+            title: video.title,
+            released: video.released,
+            season: video.season,
+            episode: video.episode,
+            overview: formatBytes(video.file.size),
+            streams: [stream, manageStream].filter(Boolean)
+        }
+    })
+    console.log(`[CATALOG-PROVIDER] Meta ${id}: ${videos.length} videos`)
+
+    const meta = {
+        id: buildPersonalId(parsedId.service, parsedId.torrentId),
+        type: type || 'other',
+        name: details.name,
+        posterShape: 'poster',
+        description: `${parsedId.service} • ${formatBytes(details.size)} • ${videos.length} file${videos.length === 1 ? '' : 's'}`,
+        videos
+    }
+    if (videos.length === 1) {
+        meta.behaviorHints = { defaultVideoId: videos[0].id }
+    }
+    if (details.info?.year) {
+        meta.releaseInfo = String(details.info.year)
+    }
+    return meta
+}
+
+/**
+ * Streams for a cloud torrent (every file) or a single file inside it.
+ * @param {Object} config - User config
+ * @param {string} id - sootio:<service>:<torrentId>[:<fileId>]
+ * @returns {Promise<Array>} Stremio streams
+ */
+async function getPersonalStreams(config, id) {
+    const parsedId = parsePersonalId(id)
+    const meta = parsedId && await getPersonalMeta(config, 'other', id)
+    if (!meta) return []
+    const videos = parsedId.fileId
+        ? meta.videos.filter(video => video.id === id)
+        : meta.videos
+    // Every video carries the same "manage" entry; list it once
+    const seenExternal = new Set()
+    return videos.flatMap(video => video.streams).filter(stream => {
+        if (!stream.externalUrl) return true
+        if (seenExternal.has(stream.externalUrl)) return false
+        seenExternal.add(stream.externalUrl)
+        return true
+    })
+}
+
+function getServiceApiKey(config, service) {
+    if (Array.isArray(config.DebridServices)) {
+        const match = config.DebridServices.find(s => String(s?.provider || '').toLowerCase() === service && s.apiKey)
+        return match?.apiKey || null
+    }
+    if (String(config.DebridProvider || '').toLowerCase() === service) {
+        return config.DebridApiKey || null
+    }
+    return null
+}
+
+async function getPersonalTorrentDetails(service, apiKey, torrentId) {
+    const details = getProvider(service)?.capabilities.catalog?.details
+    return details ? details(apiKey, torrentId) : null
+}
+
+// Files resolve through the regular /resolve route, like search results do
+function toPersonalStream(config, service, apiKey, file, base) {
+    if (!file.url || !base || !base.startsWith('http')) return null
+    const resolution = getResolutionFromName(file.name)
+    const fileName = String(file.name).split('/').pop()
+    return {
+        name: `${STREAM_NAME_MAP[service] || `[${service.toUpperCase()}+] Sootio`}\n${resolution === '2160p' ? '4k' : (resolution || 'N/A')}`,
+        title: `${fileName}\n☁️ ${formatSize(file.size)}`,
+        url: `${base}/resolve/${service}/${encodeResolveApiKey(config, service, apiKey)}/${encodeURIComponent(file.url)}`,
+        behaviorHints: {
+            bingeGroup: `sootio-${service}-cloud`,
+            fileName,
+            videoSize: file.size || undefined
+        }
+    }
+}
+
+// Opens the library page (delete / re-add / pin) for the user's accounts
+function toManageStream(config, base) {
+    if (!base || !base.startsWith('http')) return null
+    return {
+        name: '⚙️ Sootio',
+        title: 'Manage cloud library\nDelete, re-add or pin torrents',
+        externalUrl: `${base}/${serializeConfiguration(config)}/library`
+    }
+}
+
 function formatBytes(bytes) {
     if (!bytes || bytes === 0) return '0 B';
     const k = 1024;
@@ -445,9 +619,10 @@ function formatBytes(bytes) {
 }
 
 function toMeta(torrent) {
+    const sources = torrent.sources || [torrent.source]
     return {
         id: torrent.source + ':' + torrent.id,
-        name: torrent.name,
+        name: `${formatProviderBadge(sources, STREAM_NAME_MAP)} ${torrent.name}`,
         type: torrent.type,
         // poster: `https://img.icons8.com/ios/256/video--v1.png`,
         // posterShape: 'square'
@@ -456,4 +631,4 @@ function toMeta(torrent) {
 
 
 
-export default { searchTorrents, listTorrents, listPersonalDownloads }
+export default { searchTorrents, listTorrents, listPersonalDownloads, getPersonalMeta, getPersonalStreams }
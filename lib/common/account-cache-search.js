@@ -0,0 +1,165 @@
+// lib/common/account-cache-search.js
+// Torrent search for providers without a cache-check API (put.io, PikPak). A scraped torrent
+// counts as instantly available when the account already holds it, or when an earlier
+// add-and-wait for the same hash finished within INSTANT_READY_MS (remembered in the cache DB).
+import Cinemeta from '../util/cinemeta.js';
+import PTT from '../util/parse-torrent-title.js';
+import searchCoordinator from '../util/search-coordinator.js';
+import { orchestrateScrapers } from '../util/scraper-selector.js';
+import { processAndFilterTorrents } from './debrid-cache-processor.js';
+import { buildSeriesContext, matchesCandidateTitle } from '../util/episodeMatcher.js';
+import { getCachedHashes as sqliteGetCachedHashes, getCachedScraperResults, default as sqliteCache } from '../util/cache-store.js';
+import { filterByYear } from './torrent-utils.js';
+import * as debridHelpers from '../util/debrid-helpers.js';
+
+// Add-and-wait resolves faster than this are treated as "the provider already had it"
+export const INSTANT_READY_MS = parseInt(process.env.INSTANT_READY_MS || '10000', 10);
+
+/**
+ * Remembers a hash the provider delivered instantly, so later searches list it as cached.
+ * @param {string} service - Provider key ("putio", "pikpak")
+ * @param {string} hash - Info hash
+ * @param {number} elapsedMs - Time from adding the magnet to the files being ready
+ * @param {string} [fileName] - Torrent name
+ * @returns {boolean} True when the hash was recorded
+ */
+export function recordInstantHash(service, hash, elapsedMs, fileName = null) {
+    if (!hash || elapsedMs > INSTANT_READY_MS) return false;
+    debridHelpers.addHashToSqlite(hash, fileName, null, { source: 'instant' }, service);
+    return true;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.service - Provider key, used as result source and cache DB service
+ * @param {string} options.logPrefix - Log prefix
+ * @param {string} options.type - movie | series
+ * @param {string} options.id - IMDb ID, with :season:episode for series
+ * @param {Object} options.userConfig - User config
+ * @param {function(): Promise<Set<string>>} options.listAccountHashes - Hashes of torrents ready in the account
+ * @param {function(string, Object|null): Promise<Array>} options.searchPersonalFiles - Personal files for (title, episodeInfo)
+ * @returns {Promise<Array<Object>>} Personal files plus instantly available torrents with magnet URLs
+ */
+export async function searchAccountTorrents({ service, logPrefix, type, id, userConfig = {}, listAccountHashes, searchPersonalFiles }) {
+    const imdbId = id.split(':')[0];
+    const [season, episode] = id.split(':').slice(1);
+    const cinemetaDetails = await Cinemeta.getMeta(type, imdbId);
+    if (!cinemetaDetails) return [];
+
+    const searchKey = cinemetaDetails.name;
+    const selectedLanguages = Array.isArray(userConfig.Languages) ? userConfig.Languages : [];
+    const baseKey = type === 'series'
+        ? `${searchKey} s${String(season).padStart(2, '0')}e${String(episode).padStart(2, '0')}`
+        : `${searchKey} ${cinemetaDetails.year || ''}`.trim();
+    const episodeInfo = type === 'series' && season && episode
+        ? { season: parseInt(season, 10), episode: parseInt(episode, 10), absoluteEpisode: userConfig.absoluteEpisode || null }
+        : null;
+    const seriesCtx = type === 'series' ? buildSeriesContext({ search: baseKey, cinemetaTitle: searchKey }) : null;
+
+    const SEARCH_TIMEOUT_MS = parseInt(process.env.SEARCH_TIMEOUT_MS || '30000', 10);
+    const { signal, cleanup: cleanupAbort } = debridHelpers.createAbortControllerWithTimeout(SEARCH_TIMEOUT_MS, logPrefix);
+
+    try {
+        const scraperPromise = searchCoordinator.executeSearch(
+            service,
+            () => orchestrateScrapers({
+                type,
+                imdbId,
+                searchKey,
+                baseSearchKey: baseKey,
+                season,
+                episode,
+                signal,
+                logPrefix,
+                userConfig,
+                selectedLanguages
+            }),
+            type,
+            id,
+            userConfig
+        );
+        const cachedScraperResultsPromise = getCachedScraperResults(type, imdbId, season, episode).catch(err => {
+            console.error(`[${logPrefix}] Error fetching cached scraper results:`, err.message);
+            return [];
+        });
+        const personalPromise = userConfig.enablePersonalCloud !== false
+            ? searchPersonalFiles(searchKey, episodeInfo).catch(err => {
+                console.error(`[${logPrefix}] Personal file search failed:`, err.message);
+                return [];
+            })
+            : Promise.resolve([]);
+        const accountHashesPromise = listAccountHashes().catch(err => {
+            console.error(`[${logPrefix}] Listing account torrents failed:`, err.message);
+            return new Set();
+        });
+
+        const [scraperResults, cachedScraperResults, personalFiles, accountHashes] = await Promise.all([
+            scraperPromise,
+            cachedScraperResultsPromise,
+            personalPromise,
+            accountHashesPromise
+        ]);
+
+        let externalTorrents = [].concat(...scraperResults, cachedScraperResults);
+        if (seriesCtx) {
+            externalTorrents = externalTorrents.filter(t => matchesCandidateTitle(t, seriesCtx));
+        }
+        const personalHashes = new Set(personalFiles.map(file => file.hash).filter(Boolean));
+        const torrentsByHash = new Map(externalTorrents
+            .map(t => [t.InfoHash?.toLowerCase(), t])
+            .filter(([hash]) => hash && !personalHashes.has(hash)));
+
+        const handler = {
+            getIdentifier: () => logPrefix,
+            checkCachedHashes: async (hashes) => {
+                const lower = (hashes || []).map(h => h.toLowerCase());
+                const cached = new Set(lower.filter(h => accountHashes.has(h)));
+                try {
+                    if (sqliteCache?.isEnabled() && lower.length > 0) {
+                        (await sqliteGetCachedHashes(service, lower)).forEach(h => cached.add(h));
+                    }
+                } catch (error) {
+                    console.error(`[${logPrefix} SQLCACHE] Error checking SQLite cache: ${error.message}`);
+                }
+                console.log(`[${logPrefix}] Availability: ${cached.size} of ${lower.length} hashes known to be instant`);
+                return cached;
+            },
+            liveCheckHash: async () => false,
+            bypassQuotas: true,
+            rankingProfile: userConfig.RankingProfile,
+            keywordFilters: userConfig.KeywordFilters,
+            cleanup: async () => {}
+        };
+
+        const cachedTorrents = (await processAndFilterTorrents(Array.from(torrentsByHash.values()), handler, episodeInfo, {}, false))
+            .map(result => formatInstantResult(result, service));
+        let results = [...personalFiles, ...cachedTorrents];
+        if (type === 'movie' && cinemetaDetails.year) {
+            results = results.filter(torrent => torrent.isPersonal || filterByYear(torrent, cinemetaDetails, logPrefix));
+        }
+        console.log(`[${logPrefix}] Returning ${personalFiles.length} personal and ${cachedTorrents.length} instant results for ${id}`);
+        return results;
+    } finally {
+        cleanupAbort();
+    }
+}
+
+function formatInstantResult(result, service) {
+    const trackerLabel = [result.tracker, result.Tracker, result.originalSource]
+        .find(value => typeof value === 'string' && value.trim())?.trim() || 'Cached';
+    return {
+        name: result.Title,
+        info: PTT.parse(result.Title) || { title: result.Title },
+        size: result.Size || result.size || result.filesize || 0,
+        seeders: result.Seeders,
+        url: `magnet:?xt=urn:btih:${result.InfoHash.toLowerCase()}`,
+        source: service,
+        hash: result.InfoHash.toLowerCase(),
+        tracker: trackerLabel,
+        languages: Array.isArray(result.Langs) ? result.Langs : [],
+        isPersonal: false,
+        isCached: true
+    };
+}
+
+export default { searchAccountTorrents, recordInstantHash, INSTANT_READY_MS };
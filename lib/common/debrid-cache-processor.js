@@ -1,6 +1,9 @@
 import * as config from '../config.js';
 import { getResolutionFromName, formatSize, getCodec, resolutionOrder, normalizeInfoHash } from './torrent-utils.js';
 import { deduplicateFast, parallelLimit } from '../util/performance-optimizations.js';
+import { normalizeRankingProfile, isDeniedGroup, scoreRelease } from '../util/ranking-profile.js';
+import { compileKeywordFilters, passesKeywordFilters } from '../util/keyword-filters.js';
+import { hasAbsoluteEpisodeMarker } from '../util/filter-torrents.js';
 
 const debugLogsEnabled = process.env.DEBRID_DEBUG_LOGS === 'true' || process.env.RD_DEBUG_LOGS === 'true';
 const MAX_PACKS_TO_INSPECT = parseInt(process.env.MAX_PACKS_TO_INSPECT, 10) || 5;
@@ -33,6 +36,81 @@ function getQualityCategory(torrentName) {
     return 'Other';
 }
 
+const MAX_UNCACHED_RESULTS = parseInt(process.env.MAX_UNCACHED_RESULTS, 10) || 3;
+const UNCACHED_QUALITY_ORDER = { 'Remux': 5, 'BluRay': 4, 'WEB/WEB-DL': 3, 'BRRip/WEBRip': 2, 'Other': 1, 'Audio-Focused': 0 };
+
+/**
+ * How many uncached results a search lists: MAX_UNCACHED_RESULTS when the service has
+ * "show uncached" turned on (`showUncached` in its DebridServices entry), else 0.
+ * @param {Object} userConfig - Search config
+ * @returns {number}
+ */
+export function getUncachedLimit(userConfig) {
+    return userConfig?.showUncached === true ? MAX_UNCACHED_RESULTS : 0;
+}
+
+/**
+ * Picks the best torrents that are not cached for the opt-in "show uncached" mode, in the
+ * same resolution/quality order as the cache tiers. Deny-listed groups and keyword-filtered
+ * releases are skipped; for an episode only torrents naming that episode qualify, since a
+ * pack would be added whole and play its largest file.
+ * @param {Array<Object>} torrents - Scraper results
+ * @param {number} limit - Maximum number of results (see getUncachedLimit)
+ * @param {Object} [options]
+ * @param {Set<string>} [options.cachedHashes] - Hashes already listed as cached
+ * @param {Object} [options.rankingProfile] - The user's `RankingProfile`
+ * @param {Object} [options.keywordFilters] - The user's `KeywordFilters`
+ * @param {Object} [options.episodeInfo] - { season, episode, absoluteEpisode? }
+ * @returns {Array<Object>} The picked torrents, marked `isCached: false, isUncached: true`
+ */
+export function selectUncachedTorrents(torrents, limit, { cachedHashes = new Set(), rankingProfile = null, keywordFilters = null, episodeInfo = null } = {}) {
+    if (!limit || !Array.isArray(torrents) || torrents.length === 0) return [];
+    const profile = normalizeRankingProfile(rankingProfile);
+    const filters = compileKeywordFilters(keywordFilters);
+    const episodePattern = episodeInfo
+        ? new RegExp(`s0*${Number(episodeInfo.season)}[\\W_]*e0*${Number(episodeInfo.episode)}(?!\\d)`, 'i')
+        : null;
+    const seen = new Set(Array.from(cachedHashes, hash => String(hash).toLowerCase()));
+
+    const candidates = [];
+    for (const torrent of torrents) {
+        const name = (torrent?.name || torrent?.Title || torrent?.title || '').toString();
+        const hash = normalizeInfoHash(torrent?.InfoHash || torrent?.infoHash || torrent?.hash || '');
+        if (!hash || !name || seen.has(hash)) continue;
+        seen.add(hash);
+        if (isDeniedGroup(profile, name) || !passesKeywordFilters(filters, name)) continue;
+        if (episodePattern && !episodePattern.test(name)
+            && !(episodeInfo.absoluteEpisode && hasAbsoluteEpisodeMarker(name, episodeInfo.absoluteEpisode))) continue;
+        const size = Number(torrent.Size || torrent.size || torrent.filesize || 0) || 0;
+        candidates.push({
+            torrent,
+            resolutionRank: resolutionOrder[getResolutionFromName(name)] || 0,
+            qualityRank: UNCACHED_QUALITY_ORDER[getQualityCategory(name)] || 0,
+            profileScore: scoreRelease(profile, name, size),
+            seeders: Number(torrent.Seeders || torrent.seeders || 0) || 0
+        });
+    }
+
+    return candidates
+        .sort((a, b) => (b.resolutionRank - a.resolutionRank)
+            || (b.qualityRank - a.qualityRank)
+            || (b.profileScore - a.profileScore)
+            || (b.seeders - a.seeders))
+        .slice(0, limit)
+        .map(({ torrent }) => ({ ...torrent, isCached: false, isUncached: true }));
+}
+
+/**
+ * Marks a provider-formatted result as an uncached pick: streams show it with ⏳ and resolve
+ * it by adding the magnet and reporting download progress.
+ * @param {Object} result - Formatted search result
+ * @returns {Object}
+ */
+export function toUncachedResult(result) {
+    const tracker = result.tracker && result.tracker !== 'Cached' ? result.tracker : 'Uncached';
+    return { ...result, tracker, isCached: false, isUncached: true };
+}
+
 
 /**
  * A generic, tiered torrent cache checking and filtering processor.
@@ -45,10 +123,12 @@ function getQualityCategory(torrentName) {
  * @param {Array<Object>} torrents - list of torrent objects (may have different shapes)
  * @param {Object} handler - must implement checkCachedHashes(allHashes) and may implement:
  * liveCheckHash(hash), batchCheckSeasonPacks(setOfHashes, season, episode),
- * cleanup(), getIdentifier()
+ * cleanup(), getIdentifier(), and may carry the user's `rankingProfile` (see lib/util/ranking-profile.js),
+ * `keywordFilters` (see lib/util/keyword-filters.js) and an `uncachedLimit` (see getUncachedLimit)
  * @param {Object|null} episodeInfo - { season: Number, episode: Number } for episode-scoped checks (optional)
  * @param {Object} satisfiedQuotas - { [category]: count } of already satisfied quotas (optional)
- * @returns {Promise<Array<Object>>} cachedResults - list of torrents that were confirmed cached / accepted
+ * @returns {Promise<Array<Object>>} cachedResults - list of torrents that were confirmed cached / accepted,
+ * followed by up to `handler.uncachedLimit` uncached picks
  */
 export async function processAndFilterTorrents(torrents, handler, episodeInfo = null, satisfiedQuotas = {}, bypassQuotas = false) {
     const LOG_PREFIX = (handler && typeof handler.getIdentifier === 'function') ? handler.getIdentifier() : 'DEBRID';
@@ -130,6 +210,10 @@ export async function processAndFilterTorrents(torrents, handler, episodeInfo =
     
     // Check if the handler should bypass quotas (for services without API rate limits like OffCloud)
     const shouldBypassQuotas = bypassQuotas || (handler && typeof handler.bypassQuotas === 'boolean' && handler.bypassQuotas);
+    // Per-manifest ranking profile: drops deny-listed groups and orders each tier so preferred releases fill the quotas first
+    const rankingProfile = normalizeRankingProfile(handler?.rankingProfile);
+    // Keyword filters are applied here too so excluded releases never take up a quota slot
+    const keywordFilters = compileKeywordFilters(handler?.keywordFilters);
     
     try {
         if (debugLogsEnabled) console.log(`[${LOG_PREFIX} CACHE] Checking ${allHashes.length} external torrents against cache (these are not in personal DB)`);
@@ -176,9 +260,31 @@ export async function processAndFilterTorrents(torrents, handler, episodeInfo =
             category,
             resolution,
             size,
-            InfoHash: infoHash
+            InfoHash: infoHash,
+            profileScore: scoreRelease(rankingProfile, name, size)
         };
-    }).filter(t => t.InfoHash && t.name);
+    }).filter(t => {
+        if (!t.InfoHash || !t.name) return false;
+        if (isDeniedGroup(rankingProfile, t.name)) {
+            if (debugLogsEnabled) console.log(`[${LOG_PREFIX} DBG] -> SKIPPED (Release group denied by ranking profile) | "${t.name.substring(0, 50)}"`);
+            return false;
+        }
+        if (!passesKeywordFilters(keywordFilters, t.name)) {
+            if (debugLogsEnabled) console.log(`[${LOG_PREFIX} DBG] -> SKIPPED (Keyword filter) | "${t.name.substring(0, 50)}"`);
+            return false;
+        }
+        return true;
+    });
+
+    // Opt-in "show uncached": the best torrents that did not come back cached follow the cached ones
+    const withUncached = (results) => {
+        const uncached = selectUncachedTorrents(enrichedTorrents, handler?.uncachedLimit, {
+            cachedHashes: new Set([...preCachedHashes, ...results.map(result => result.InfoHash)]),
+            episodeInfo
+        });
+        if (uncached.length > 0) console.log(`[${LOG_PREFIX} CACHE] ⏳ Listing ${uncached.length} uncached results`);
+        return uncached.length > 0 ? [...results, ...uncached] : results;
+    };
 
     // We now group all torrents and check for cache status inside the loop.
     if (debugLogsEnabled) console.log(`[${LOG_PREFIX} CACHE] Grouping and prioritizing all ${enrichedTorrents.length} torrents. Found ${preCachedHashes.size} pre-cached.`);
@@ -194,7 +300,10 @@ export async function processAndFilterTorrents(torrents, handler, episodeInfo =
     for (const category in groupedTorrents) {
         for (const resolution in groupedTorrents[category]) {
             groupedTorrents[category][resolution].sort((a, b) => {
-                // Sort by seeders first (descending), then by size (descending) as a secondary criteria, but only within the same resolution
+                // Sort by ranking profile score, then seeders (descending), then by size (descending), but only within the same resolution
+                if (b.profileScore !== a.profileScore) {
+                    return b.profileScore - a.profileScore;
+                }
                 const seedersA = a.Seeders || a.seeders || 0;
                 const seedersB = b.Seeders || b.seeders || 0;
                 if (seedersB !== seedersA) {
@@ -229,7 +338,10 @@ export async function processAndFilterTorrents(torrents, handler, episodeInfo =
                 return rankB - rankA; // Higher resolution first
             }
             
-            // If same resolution, sort by seeders first, then by size
+            // If same resolution, sort by ranking profile score, then seeders, then size
+            if (b.profileScore !== a.profileScore) {
+                return b.profileScore - a.profileScore;
+            }
             const seedersA = a.Seeders || a.seeders || 0;
             const seedersB = b.Seeders || b.seeders || 0;
             if (seedersB !== seedersA) {
@@ -278,6 +390,7 @@ export async function processAndFilterTorrents(torrents, handler, episodeInfo =
             const rsA = resolutionScore[a.resolution] || 0;
             const rsB = resolutionScore[b.resolution] || 0;
             if (rsA !== rsB) return rsB - rsA;
+            if (b.profileScore !== a.profileScore) return b.profileScore - a.profileScore;
             return b.size - a.size;
         });
 
@@ -383,7 +496,9 @@ export async function processAndFilterTorrents(torrents, handler, episodeInfo =
                 const seasonPackPattern = new RegExp(`\\b(season|s|saison)\\s*${paddedSeason}\\b(?!\\d|\\s*e|\\s*x)`, 'i');
                 const multiSeasonPackPattern = new RegExp(`seasons?\\s*(\\d+)\\s*[,-]?\\s*(\\d+)|s(\\d+)[-]?s(\\d+)`, 'i');
 
-                const isSpecificEpisode = specificEpisodePattern.test(name);
+                // Anime fansubs number episodes absolutely ("Show - 1071")
+                const isSpecificEpisode = specificEpisodePattern.test(name)
+                    || Boolean(episodeInfo.absoluteEpisode && hasAbsoluteEpisodeMarker(name, episodeInfo.absoluteEpisode));
                 const isSeasonPack = seasonPackPattern.test(name) && !anyOtherEpisodePattern.test(name);
 
                 let isRelevantMultiSeasonPack = false;
@@ -665,7 +780,7 @@ export async function processAndFilterTorrents(torrents, handler, episodeInfo =
                     break; // Stop processing tiers if all needed quotas are met
                 }
 
-                if (await checkTorrentsInTiers(tier)) return cachedResults;
+                if (await checkTorrentsInTiers(tier)) return withUncached(cachedResults);
             } else {
                 if (debugLogsEnabled) console.log(`[${LOG_PREFIX} DBG] Tier ${tier.name} has no torrents, skipping.`);
             }
@@ -713,11 +828,11 @@ export async function processAndFilterTorrents(torrents, handler, episodeInfo =
             return false;
         };
 
-        if (checkLimitsAndExit()) return cachedResults;
+        if (checkLimitsAndExit()) return withUncached(cachedResults);
 
         await inspectAllSeasonPacks();
 
-        if (checkLimitsAndExit()) return cachedResults;
+        if (checkLimitsAndExit()) return withUncached(cachedResults);
 
         // Rule: If we have satisfied quotas for 1080p+ in at least one HQ category, skip 720p and lower
         if (!shouldBypassQuotas) {
@@ -790,5 +905,5 @@ export async function processAndFilterTorrents(torrents, handler, episodeInfo =
         }
     }
 
-    return cachedResults;
+    return withUncached(cachedResults);
 }
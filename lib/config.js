@@ -8,6 +8,9 @@ export const BITMAGNET_URL = process.env.BITMAGNET_URL || 'http://YOUR_BITMAGNET
 export const JACKETT_URL = process.env.JACKETT_URL || 'http://YOUR_JACKETT_IP:9117';
 export const JACKETT_API_KEY = process.env.JACKETT_API_KEY || '';
 export const JACKETT_TIMEOUT = parseInt(process.env.JACKETT_TIMEOUT, 10) || 10000; // Jackett queries multiple indexers
+export const PROWLARR_URL = process.env.PROWLARR_URL || 'http://YOUR_PROWLARR_IP:9696';
+export const PROWLARR_API_KEY = process.env.PROWLARR_API_KEY || '';
+export const PROWLARR_TIMEOUT = parseInt(process.env.PROWLARR_TIMEOUT, 10) || 10000; // Prowlarr queries multiple indexers
 export const TORRENTIO_URL = process.env.TORRENTIO_URL || 'https://torrentio.strem.fun';
 // Zilean requires a self-hosted instance or paid elfhosted subscription
 // Default public endpoint may not be available - configure your own ZILEAN_URL
@@ -71,6 +74,7 @@ export const THEPIRATEBAY_LIMIT = parseInt(process.env.THEPIRATEBAY_LIMIT, 10) |
 // --- Scraper Enable/Disable Flags ---
 export const BITMAGNET_ENABLED = process.env.BITMAGNET_ENABLED === 'true';
 export const JACKETT_ENABLED = process.env.JACKETT_ENABLED === 'true';
+export const PROWLARR_ENABLED = process.env.PROWLARR_ENABLED === 'true';
 export const TORRENTIO_ENABLED = process.env.TORRENTIO_ENABLED === 'true';
 export const ZILEAN_ENABLED = process.env.ZILEAN_ENABLED === 'true';
 export const COMET_ENABLED = process.env.COMET_ENABLED === 'true';
@@ -4,6 +4,22 @@ import { isVideo } from './util/extension-util.js'
 import PTT from './util/parse-torrent-title.js'
 import { BadTokenError, AccessDeniedError } from './util/error-codes.js'
 import { encode } from 'urlencode'
+import Cinemeta from './util/cinemeta.js'
+import searchCoordinator from './util/search-coordinator.js'
+import { orchestrateScrapers } from './util/scraper-selector.js'
+import { processAndFilterTorrents } from './common/debrid-cache-processor.js'
+import { buildSeriesContext, matchesCandidateTitle } from './util/episodeMatcher.js'
+import { getCachedHashes as sqliteGetCachedHashes, getCachedScraperResults, default as sqliteCache } from './util/cache-store.js'
+import { filterByYear, getResolutionFromName } from './common/torrent-utils.js'
+import * as debridHelpers from './util/debrid-helpers.js'
+import { createDebridLinkClient } from './util/debrid-link-api.js'
+import { findEpisodeFile, pickVideoFile, splitEpisodeHint } from './util/video-files.js'
+import { findReleaseSubtitles } from './util/subtitle-files.js'
+import { registerProvider } from './util/provider-registry.js'
+import { checkWithConfidence } from './util/hash-confidence.js'
+import { trackTempMagnets, forgetTempMagnets } from './util/temp-magnet-journal.js'
+
+const LOG_PREFIX = 'DL'
 
 async function searchTorrents(apiKey, searchKey, threshold = 0.3) {
     console.log("Search torrents with searchKey: " + searchKey)
@@ -104,6 +120,7 @@ function toTorrent(item) {
         name: item.name,
         type: 'other',
         info: PTT.parse(item.name),
+        hash: item.hashString ? item.hashString.toLowerCase() : null,
         size: item.size,
         created: new Date(item.created * 1000),
         isPersonal: true,
@@ -151,6 +168,281 @@ async function searchDownloads(apiKey, searchKey = null, threshold = 0.3) {
     return await searchTorrents(apiKey, searchKey, threshold);
 }
 
+/**
+ * Cached-torrent search: scraper results checked against the Debrid-Link cache (season packs
+ * are inspected for the requested episode), plus matching torrents from the user's seedbox.
+ * @returns {Promise<Array<Object>>} Results with magnet URLs, resolved later by resolveStream
+ */
+async function searchDebridLinkTorrents(apiKey, type, id, userConfig = {}) {
+    const imdbId = id.split(':')[0]
+    const [season, episode] = id.split(':').slice(1)
+    const cinemetaDetails = await Cinemeta.getMeta(type, imdbId)
+    if (!cinemetaDetails) return []
+
+    const searchKey = cinemetaDetails.name
+    const selectedLanguages = Array.isArray(userConfig.Languages) ? userConfig.Languages : []
+    const baseKey = type === 'series'
+        ? `${searchKey} s${String(season).padStart(2, '0')}e${String(episode).padStart(2, '0')}`
+        : `${searchKey} ${cinemetaDetails.year || ''}`.trim()
+    const episodeInfo = type === 'series' && season && episode
+        ? { season: parseInt(season, 10), episode: parseInt(episode, 10), absoluteEpisode: userConfig.absoluteEpisode || null }
+        : null
+    const seriesCtx = type === 'series' ? buildSeriesContext({ search: baseKey, cinemetaTitle: searchKey }) : null
+
+    const SEARCH_TIMEOUT_MS = parseInt(process.env.SEARCH_TIMEOUT_MS || '30000', 10)
+    const { signal, cleanup: cleanupAbort } = debridHelpers.createAbortControllerWithTimeout(SEARCH_TIMEOUT_MS, LOG_PREFIX)
+
+    try {
+        const scraperPromise = searchCoordinator.executeSearch(
+            'debridlink',
+            () => orchestrateScrapers({
+                type,
+                imdbId,
+                searchKey,
+                baseSearchKey: baseKey,
+                season,
+                episode,
+                signal,
+                logPrefix: LOG_PREFIX,
+                userConfig,
+                selectedLanguages
+            }),
+            type,
+            id,
+            userConfig
+        )
+        const cachedScraperResultsPromise = getCachedScraperResults(type, imdbId, season, episode).catch(err => {
+            console.error(`[${LOG_PREFIX}] Error fetching cached scraper results:`, err.message)
+            return []
+        })
+        const personalPromise = userConfig.enablePersonalCloud !== false
+            ? searchPersonalTorrents(apiKey, searchKey, episodeInfo).catch(err => {
+                console.error(`[${LOG_PREFIX}] Personal seedbox search failed:`, err?.message || err)
+                return []
+            })
+            : Promise.resolve([])
+
+        const [scraperResults, cachedScraperResults, personalTorrents] = await Promise.all([
+            scraperPromise,
+            cachedScraperResultsPromise,
+            personalPromise
+        ])
+
+        let externalTorrents = [].concat(...scraperResults, cachedScraperResults)
+        if (seriesCtx) {
+            externalTorrents = externalTorrents.filter(t => matchesCandidateTitle(t, seriesCtx))
+        }
+
+        const cachedTorrents = await checkCachedTorrents(apiKey, externalTorrents, personalTorrents, episodeInfo, userConfig)
+        let results = [...personalTorrents, ...cachedTorrents]
+        if (type === 'movie' && cinemetaDetails.year) {
+            results = results.filter(torrent => torrent.isPersonal || filterByYear(torrent, cinemetaDetails, LOG_PREFIX))
+        }
+        console.log(`[${LOG_PREFIX}] Returning ${personalTorrents.length} seedbox and ${cachedTorrents.length} cached results for ${id}`)
+        return results
+    } finally {
+        cleanupAbort()
+    }
+}
+
+// Seedbox torrents matching the title; for series only those covering the requested season
+async function searchPersonalTorrents(apiKey, searchKey, episodeInfo) {
+    const torrents = await searchTorrents(apiKey, searchKey, 0.1)
+    return torrents
+        .filter(torrent => torrent.hash)
+        .filter(torrent => {
+            if (!episodeInfo) return true
+            const { season, seasons } = torrent.info || {}
+            if (Array.isArray(seasons)) return seasons.includes(episodeInfo.season)
+            return Number(season) === episodeInfo.season
+        })
+        .map(torrent => ({
+            ...torrent,
+            url: `magnet:?xt=urn:btih:${torrent.hash}`,
+            tracker: 'Personal Cloud'
+        }))
+}
+
+async function checkCachedTorrents(apiKey, externalTorrents, personalTorrents, episodeInfo, userConfig) {
+    const client = createDebridLinkClient({ apiKey })
+    const personalHashes = new Set(personalTorrents.map(t => t.hash))
+    const torrentsByHash = new Map(externalTorrents
+        .map(t => [t.InfoHash?.toLowerCase(), t])
+        .filter(([hash]) => hash && !personalHashes.has(hash)))
+    // File lists from cache checks, reused by season pack inspection
+    const knownFiles = new Map()
+
+    const getCachedFiles = async (hashes) => {
+        const unknown = hashes.filter(hash => !knownFiles.has(hash))
+        if (unknown.length > 0) {
+            const cached = await client.getCachedFiles(unknown)
+            unknown.forEach(hash => knownFiles.set(hash, cached.get(hash) || null))
+        }
+        return hashes.filter(hash => knownFiles.get(hash))
+    }
+
+    const dlHandler = {
+        getIdentifier: () => LOG_PREFIX,
+        checkCachedHashes: async (hashes) => {
+            const lower = (hashes || []).map(h => h.toLowerCase())
+            const cached = new Set()
+            if (lower.length === 0) return cached
+            try {
+                if (sqliteCache?.isEnabled()) {
+                    const local = await sqliteGetCachedHashes('debridlink', lower)
+                    local.forEach(h => cached.add(h))
+                }
+            } catch (error) {
+                console.error(`[${LOG_PREFIX} SQLCACHE] Error checking SQLite cache: ${error.message}`)
+            }
+            const remaining = lower.filter(h => !cached.has(h))
+            if (remaining.length === 0) return cached
+            try {
+                // Hashes other accounts confirmed recently are answered by the shared hash index
+                const { cached: found } = await checkWithConfidence('debridlink', apiKey, remaining, getCachedFiles)
+                found.forEach(h => cached.add(h))
+                console.log(`[${LOG_PREFIX}] Cache check: ${cached.size} of ${lower.length} hashes are cached (with video files)`)
+            } catch (error) {
+                console.error(`[${LOG_PREFIX}] Cache check failed: ${error.message}`)
+            }
+            return cached
+        },
+        liveCheckHash: async () => false,
+        batchCheckSeasonPacks: async (hashes, season, episode) => {
+            const packResults = new Map()
+            const lower = Array.from(hashes).map(h => h.toLowerCase())
+            const cachedPacks = await getCachedFiles(lower)
+            for (const hash of cachedPacks) {
+                const { name, files } = knownFiles.get(hash)
+                const episodeFile = findEpisodeFile(files, season, episode)
+                if (!episodeFile) continue
+                const pack = torrentsByHash.get(hash) || {}
+                packResults.set(hash, [{
+                    ...pack,
+                    InfoHash: hash,
+                    Title: episodeFile.name.split('/').pop(),
+                    Size: episodeFile.size,
+                    Tracker: pack.Tracker || pack.tracker || 'Pack Inspection',
+                    isCached: true,
+                    isFromPack: true,
+                    searchableName: name || pack.Title,
+                    episodeFileHint: { fileName: episodeFile.name, season, episode }
+                }])
+            }
+            console.log(`[${LOG_PREFIX} PACK INSPECT] ${packResults.size} of ${lower.length} packs hold S${season}E${episode}`)
+            return packResults
+        },
+        bypassQuotas: true,
+        rankingProfile: userConfig.RankingProfile,
+        keywordFilters: userConfig.KeywordFilters,
+        cleanup: async () => {}
+    }
+
+    const cachedTorrents = await processAndFilterTorrents(Array.from(torrentsByHash.values()), dlHandler, episodeInfo, {}, false)
+    const results = cachedTorrents.map(formatExternalResult)
+
+    try {
+        if (sqliteCache?.isEnabled()) {
+            const upserts = results.map(r => ({
+                service: 'debridlink',
+                hash: r.hash,
+                fileName: r.name || null,
+                size: r.size || null,
+                category: debridHelpers.getQualityCategory(r.name || ''),
+                resolution: getResolutionFromName(r.name || ''),
+                data: { source: 'cached' }
+            }))
+            debridHelpers.deferSqliteUpserts(debridHelpers.uniqueUpserts(upserts))
+        }
+    } catch (error) {
+        console.error(`[${LOG_PREFIX} SQLCACHE] Error persisting to SQLite cache: ${error.message}`)
+    }
+
+    return results
+}
+
+function formatExternalResult(result) {
+    const hash = result.InfoHash.toLowerCase()
+    const episodeHint = result.episodeFileHint || null
+    let url = `magnet:?xt=urn:btih:${hash}`
+    if (episodeHint) {
+        url += '||HINT||' + Buffer.from(JSON.stringify(episodeHint)).toString('base64')
+    }
+    const trackerLabel = [result.tracker, result.Tracker, result.originalSource]
+        .find(value => typeof value === 'string' && value.trim())?.trim() || 'Cached'
+    return {
+        name: result.Title,
+        info: PTT.parse(result.Title) || { title: result.Title },
+        size: result.Size || result.size || result.filesize || 0,
+        seeders: result.Seeders,
+        url,
+        source: 'debridlink',
+        hash,
+        tracker: trackerLabel,
+        languages: Array.isArray(result.Langs) ? result.Langs : [],
+        ...(result.searchableName ? { searchableName: result.searchableName } : {}),
+        isPersonal: false,
+        isCached: true
+    }
+}
+
+async function cleanupTemporaryTorrents(client, torrentIds, apiKey) {
+    const ids = Array.from(torrentIds)
+    if (ids.length === 0) return
+    try {
+        await client.removeTorrents(ids)
+    } catch (error) {
+        // Already gone counts as removed; the rest stay journaled for a later sweep
+        if (error.code !== 'notFound') {
+            console.error(`[${LOG_PREFIX}] Could not remove ${ids.length} temporary torrents: ${error.message}`)
+            return
+        }
+    }
+    await forgetTempMagnets('debridlink', apiKey, ids)
+}
+
+/**
+ * Resolves a stream URL to a Debrid-Link download link. Magnets (optionally carrying a
+ * `||HINT||` episode hint) play from the seedbox torrent of the same hash when there is one;
+ * otherwise they are added, which returns cached torrents complete. Added torrents that turn
+ * out unplayable are removed again, and journaled until then.
+ * @param {string} apiKey - Debrid-Link API key
+ * @param {string} urlToResolve - Magnet with optional hint, or a seedbox download URL
+ * @returns {Promise<string|null>} Direct download URL
+ */
+async function resolveStream(apiKey, urlToResolve) {
+    if (!urlToResolve.startsWith('magnet:')) return urlToResolve
+
+    const { url: magnet, hint: episodeHint } = splitEpisodeHint(urlToResolve)
+    const client = createDebridLinkClient({ apiKey })
+    const hash = (magnet.match(/btih:([a-fA-F0-9]{40})/i) || [])[1]?.toLowerCase()
+    let torrent = hash ? await client.findTorrent(hash).catch(error => {
+        console.warn(`[${LOG_PREFIX}] Seedbox lookup failed, adding the magnet: ${error.message}`)
+        return null
+    }) : null
+    let tempTorrents = null
+    if (!torrent) {
+        tempTorrents = trackTempMagnets('debridlink', apiKey, ids => cleanupTemporaryTorrents(client, ids, apiKey))
+        torrent = await client.addTorrent(magnet)
+        if (torrent?.id) tempTorrents.add(torrent.id, hash)
+    }
+
+    const file = pickVideoFile(torrent?.files, episodeHint)
+    let problem = null
+    if (!file?.downloadUrl) {
+        problem = `No playable file in ${torrent?.name || magnet}`
+    } else if (file.downloadPercent != null && file.downloadPercent < 100) {
+        problem = `${file.name} is not cached (${file.downloadPercent}% downloaded)`
+    }
+    if (problem) {
+        console.error(`[${LOG_PREFIX}] ${problem}`)
+        if (tempTorrents?.size) cleanupTemporaryTorrents(client, tempTorrents, apiKey).catch(() => {})
+        return null
+    }
+    // A played torrent stays in the seedbox; the resolver releases its hash from the journal
+    return file.downloadUrl
+}
+
 function handleError(err) {
     console.log(err)
     if (err === 'badToken') {
@@ -160,4 +452,56 @@ function handleError(err) {
     return Promise.reject(err)
 }
 
-export default { listTorrents, searchTorrents, getTorrentDetails, searchDownloads }
\ No newline at end of file
+async function getAccountInfo(apiKey) {
+    const account = await createDebridLinkClient({ apiKey }).getAccountInfo()
+    const accountType = Number(account.accountType) || 0
+    const premiumLeft = Number(account.premiumLeft) || 0
+    return {
+        premium: accountType > 0,
+        // Lifetime accounts never expire
+        expiresAt: accountType === 1 && premiumLeft > 0 ? new Date(Date.now() + premiumLeft * 1000).toISOString() : null,
+        quotaExhausted: false,
+        renewUrl: 'https://debrid-link.com/premium'
+    }
+}
+
+// Subtitles next to the playing video in a seedbox torrent; seedbox download URLs are direct
+async function getSubtitleFiles(apiKey, video = {}) {
+    const torrents = await listTorrentsParallel(apiKey)
+    const subtitles = await findReleaseSubtitles(torrents, video, async torrent => (torrent.files || []).map(file => ({
+        path: file.name,
+        size: file.size,
+        link: file.downloadUrl
+    })))
+    return subtitles.filter(({ file }) => file.link).map(({ file, lang }) => ({ name: file.path, url: file.link, lang }))
+}
+
+// Every seedbox torrent, for the merged torrent catalog
+async function listLibrary(apiKey) {
+    const torrents = await listTorrentsParallel(apiKey)
+    return torrents.map(torrent => toTorrent(torrent))
+}
+
+registerProvider({
+    name: 'DebridLink',
+    label: 'Debrid-Link',
+    streamName: '[DL+] Sootio',
+    results: { movieFilter: 'year', episodeHint: true },
+    capabilities: {
+        search: (apiKey, type, id, config) => searchDebridLinkTorrents(apiKey, type, id, config),
+        personalFiles: {
+            list: async apiKey => await searchDownloads(apiKey, '', 1.0) || []
+        },
+        cacheCheck: async (apiKey, hashes) => (await checkWithConfidence('debridlink', apiKey, hashes,
+            async toCheck => (await createDebridLinkClient({ apiKey }).getCachedFiles(toCheck)).keys())).cached,
+        catalog: {
+            list: apiKey => listLibrary(apiKey),
+            search: searchTorrents
+        },
+        resolve: resolveStream,
+        subtitles: getSubtitleFiles,
+        accountInfo: getAccountInfo
+    }
+})
+
+export default { listTorrents, searchTorrents, getTorrentDetails, searchDownloads, listLibrary, searchDebridLinkTorrents, resolveStream }
\ No newline at end of file
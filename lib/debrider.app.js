@@ -13,6 +13,7 @@ import * as sqliteCache from './util/cache-store.js';
 import { getCachedScraperResults } from './util/cache-store.js';
 import * as debridHelpers from './util/debrid-helpers.js';
 import debridProxyManager from './util/debrid-proxy.js';
+import { registerProvider } from './util/provider-registry.js';
 
 const BASE_URL = 'https://debrider.app/api/v1';
 const LOG_PREFIX = 'DBA';
@@ -95,7 +96,7 @@ async function search(apiKey, type, id, userConfig = {}) {
         // Combine live and cached scraper results
         let torrents = [].concat(...scraperResults, cachedScraperResults);
         if (type === 'series') {
-            torrents = torrents.filter(torrent => filterEpisode(torrent, season, episode, cinemetaDetails));
+            torrents = torrents.filter(torrent => filterEpisode(torrent, season, episode, cinemetaDetails, userConfig.absoluteEpisode));
         } else if (type === 'movie') {
             // Align with RD/AD: drop series-like titles first, then apply year sanity
             const beforeSeries = torrents.length;
@@ -671,6 +672,104 @@ async function searchWithPersonalCloud(apiKey, type, id, userConfig = {}, baseUr
     }
 }
 
+/**
+ * Submits an NZB to Personal Cloud and waits for the download.
+ * @returns {Promise<string>} URL of the largest video file
+ */
+async function downloadNzb(apiKey, nzbUrl, newznabApiKey, baseUrl = BASE_URL) {
+    const taskInfo = await submitNzb(apiKey, nzbUrl, newznabApiKey, baseUrl);
+    console.log(`[${LOG_PREFIX}] NZB task created: ${taskInfo.taskId}`);
+
+    const completedTask = await waitForTaskCompletion(apiKey, taskInfo.taskId, baseUrl, 300000);
+    if (!completedTask.videoFiles || completedTask.videoFiles.length === 0) {
+        throw new Error('No video files found in completed task');
+    }
+    const largestVideo = completedTask.videoFiles.reduce((a, b) => (a.size > b.size ? a : b));
+    console.log(`[${LOG_PREFIX}] NZB download complete, returning video URL`);
+    return largestVideo.download_link || largestVideo.url;
+}
+
+// Every video file of every finished task, for the personal catalog
+async function listTaskVideos(apiKey) {
+    const videoExtensions = ['.mkv', '.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.m4v', '.mpg', '.mpeg'];
+    const tasks = await getTasks(apiKey) || [];
+    console.log(`[${LOG_PREFIX}] Personal Cloud returned ${tasks.length} tasks`);
+    return tasks
+        .filter(task => task.files && task.files.length > 0)
+        .flatMap(task => task.files
+            .filter(file => videoExtensions.some(ext => (file.name || file.path || '').toLowerCase().endsWith(ext)))
+            .map(file => ({
+                id: task.id + ':' + file.name,
+                name: file.name || file.path || task.name,
+                size: file.size || 0,
+                url: file.download_link || file.url,
+                status: task.status
+            })));
+}
+
+// Finished tasks as torrents, for the torrent catalog
+async function listTaskTorrents(apiKey) {
+    return (await getTasks(apiKey) || [])
+        .filter(task => Array.isArray(task.files) && task.files.length > 0)
+        .map(task => ({ id: task.id, name: task.name || task.files[0].name, hash: task.hash || task.info_hash }));
+}
+
+// Shared by Debrider.app and Personal Cloud, which differ only in how they search
+const taskCapabilities = {
+    personalFiles: {
+        list: listTaskVideos
+    },
+    catalog: {
+        list: listTaskTorrents
+    },
+    usenetSubmit: (apiKey, nzbUrl, { config = {} } = {}) => downloadNzb(
+        apiKey,
+        nzbUrl,
+        config.PersonalCloudNewznabApiKey || config.newznabApiKey || '',
+        config.PersonalCloudUrl || BASE_URL
+    )
+};
+
+registerProvider({
+    name: 'DebriderApp',
+    label: 'Debrider.app',
+    streamName: '[DBA+] Sootio',
+    results: { formatter: 'debrider' },
+    capabilities: {
+        ...taskCapabilities,
+        search: (apiKey, type, id, config) => {
+            // Newznab settings on the Debrider.app service add Personal Cloud NZB results
+            const service = Array.isArray(config.DebridServices)
+                ? config.DebridServices.find(s => s.provider === 'DebriderApp')
+                : null;
+            if (service && (service.newznabUrl || service.newznabApiKey)) {
+                console.log(`[${LOG_PREFIX}] Newznab configured, using searchWithPersonalCloud`);
+                const serviceConfig = { ...config, newznabUrl: service.newznabUrl, newznabApiKey: service.newznabApiKey };
+                return searchWithPersonalCloud(apiKey, type, id, serviceConfig, BASE_URL);
+            }
+            return search(apiKey, type, id, config);
+        }
+    }
+});
+
+registerProvider({
+    name: 'PersonalCloud',
+    label: 'Personal Cloud',
+    streamName: '[PC+] Sootio',
+    results: { formatter: 'debrider' },
+    capabilities: {
+        ...taskCapabilities,
+        search: (apiKey, type, id, config) => {
+            const personalCloudConfig = {
+                newznabUrl: config.PersonalCloudNewznabUrl,
+                newznabApiKey: config.PersonalCloudNewznabApiKey,
+                ...config
+            };
+            return searchWithPersonalCloud(apiKey, type, id, personalCloudConfig, config.PersonalCloudUrl || BASE_URL);
+        }
+    }
+});
+
 export default {
     search,
     searchWithPersonalCloud,
@@ -678,6 +777,7 @@ export default {
     createNzbTask,
     submitNzb,
     waitForTaskCompletion,
+    downloadNzb,
     activeNzbDownloads,
     getPersonalStreams
 };
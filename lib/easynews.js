@@ -3,8 +3,11 @@ import { wrapper } from 'axios-cookiejar-support';
 import { CookieJar } from 'tough-cookie';
 import PTT from './util/parse-torrent-title.js';
 import Cinemeta from './util/cinemeta.js';
+import { getResolutionFromName, formatSize } from './common/torrent-utils.js';
+import { registerProvider } from './util/provider-registry.js';
 
 const LOG_PREFIX = 'EN+';
+const STREAM_NAME = '[EN+] Sootio';
 
 /**
  * Easynews integration for direct Usenet video downloads
@@ -442,6 +445,87 @@ async function resolveStreamUrl(username, password, encodedUrl, clientIp) {
   return encodedUrl;
 }
 
+/**
+ * Formats Easynews search results as Stremio streams
+ */
+async function getEasynewsStreams(config, type, id) {
+  try {
+    console.log('[EN+] getEasynewsStreams called');
+    console.log('[EN+] Username:', config.EasynewsUsername ? '***' : 'not set');
+
+    const results = await searchEasynewsStreams(
+      config.EasynewsUsername,
+      config.EasynewsPassword,
+      type,
+      id,
+      config
+    );
+
+    if (!results || results.length === 0) {
+      console.log('[EN+] No results found');
+      return [];
+    }
+
+    console.log(`[EN+] Got ${results.length} results from Easynews`);
+
+    // Format results for Stremio
+    const formattedStreams = results.map(result => {
+      const resolution = getResolutionFromName(result.name);
+      // Set resolution label properly - 2160p shows as "4k", 1080p shows as "1080p", etc.
+      let resolutionLabel;
+      if (resolution === '2160p') {
+        resolutionLabel = '4k';
+      } else if (resolution === '1080p') {
+        resolutionLabel = '1080p';
+      } else if (resolution === '720p') {
+        resolutionLabel = '720p';
+      } else if (resolution === '480p') {
+        resolutionLabel = '480p';
+      } else {
+        resolutionLabel = resolution || 'N/A';
+      }
+
+      return {
+        name: `${STREAM_NAME}\n${resolutionLabel}`,
+        title: `${result.name}\n📡 ${formatSize(result.size)}`,
+        url: result.url,
+        _size: result.size || 0,
+        _templateFields: {
+          title: result.name,
+          resolution: resolutionLabel,
+          size: result.size,
+          source: STREAM_NAME,
+          tracker: 'Easynews',
+          icon: '📡'
+        },
+        provider: 'easynews',
+        behaviorHints: {
+          bingeGroup: 'sootio-easynews'
+        }
+      };
+    });
+
+    return formattedStreams;
+
+  } catch (error) {
+    console.error('[EN+] Error getting Easynews streams:', error);
+    return [];
+  }
+}
+
+registerProvider({
+  name: 'Easynews',
+  label: 'Easynews',
+  streamName: STREAM_NAME,
+  capabilities: {
+    streams: (service, type, id, { config } = {}) => getEasynewsStreams({
+      EasynewsUsername: service.username,
+      EasynewsPassword: service.password,
+      ...config
+    }, type, id)
+  }
+});
+
 export default {
   searchEasynewsStreams,
   resolveStreamUrl,
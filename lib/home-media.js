@@ -4,6 +4,8 @@ import Cinemeta from './util/cinemeta.js';
 import PTT from './util/parse-torrent-title.js';
 import { getResolutionFromName, formatSize } from './common/torrent-utils.js';
 import { processAndDeduplicate } from './common/scrapers.js';
+import { selectSubtitles } from './util/subtitle-files.js';
+import { registerProvider } from './util/provider-registry.js';
 
 const LOG_PREFIX = 'HM+';
 
@@ -374,8 +376,162 @@ async function listAllFiles(homeMediaUrl, homeMediaApiKey) {
   }
 }
 
+/**
+ * List subtitle files next to a video on the home media server
+ * @param {string} homeMediaUrl - Home media server URL
+ * @param {string} homeMediaApiKey - API key for authentication
+ * @param {object} video - Playing video ({ fileName, size } from Stremio's subtitle extras)
+ * @returns {Promise<Array>} - Array of { name, url, lang }
+ */
+async function getSubtitleFiles(homeMediaUrl, homeMediaApiKey, video = {}) {
+  try {
+    if (!homeMediaUrl || !video.fileName) {
+      return [];
+    }
+
+    const headers = {};
+    if (homeMediaApiKey) {
+      headers['X-API-Key'] = homeMediaApiKey;
+    }
+
+    const requestConfig = {
+      headers,
+      params: { name: video.fileName },
+      timeout: 10000
+    };
+
+    if (homeMediaUrl.startsWith('https://')) {
+      if (!sharedHttpsAgent) {
+        sharedHttpsAgent = new https.Agent({
+          rejectUnauthorized: false,
+          keepAlive: false,
+          maxSockets: 10,
+          timeout: 30000
+        });
+      }
+      requestConfig.httpsAgent = sharedHttpsAgent;
+    }
+
+    const response = await axios.get(`${homeMediaUrl}/api/subtitles`, requestConfig);
+    const files = Array.isArray(response.data?.files) ? response.data.files : [];
+    const subtitles = selectSubtitles(files, video);
+    console.log(`[${LOG_PREFIX}] Found ${subtitles.length} subtitles next to ${video.fileName}`);
+
+    return subtitles.map(({ file, lang }) => ({
+      name: file.path,
+      url: getStreamUrl(homeMediaUrl, homeMediaApiKey, file.path),
+      lang
+    }));
+
+  } catch (error) {
+    console.error(`[${LOG_PREFIX}] Error listing subtitles:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Get streams from Home Media Server
+ */
+async function getHomeMediaStreams(config, type, id) {
+  try {
+    console.log('[HM+] getHomeMediaStreams called');
+    console.log('[HM+] Config HomeMediaUrl:', config.HomeMediaUrl);
+
+    const results = await searchHomeMedia(
+      config.HomeMediaUrl,
+      config.HomeMediaApiKey,
+      type,
+      id,
+      config
+    );
+
+    if (!results || results.length === 0) {
+      console.log('[HM+] No files found on home media server');
+      return [];
+    }
+
+    console.log(`[HM+] Got ${results.length} results from home media server`);
+
+    // Convert Home Media results to stream objects
+    const streams = results.map(result => {
+      const resolution = result.resolution || getResolutionFromName(result.title);
+      // Set resolution label properly - 2160p shows as "4k", 1080p shows as "1080p", etc.
+      let resolutionLabel;
+      if (resolution === '2160p') {
+          resolutionLabel = '4k';
+      } else if (resolution === '1080p') {
+          resolutionLabel = '1080p';
+      } else if (resolution === '720p') {
+          resolutionLabel = '720p';
+      } else if (resolution === '480p') {
+          resolutionLabel = '480p';
+      } else {
+          resolutionLabel = resolution; // fallback for other values
+      }
+
+      // Generate stream URL
+      const streamUrl = getStreamUrl(
+        config.HomeMediaUrl,
+        config.HomeMediaApiKey,
+        result.flatPath || result.fileName
+      );
+
+      console.log(`[HM+] ✓ Creating stream for: "${result.title}"`);
+
+      return {
+        name: `☁️ Personal\n${resolutionLabel || 'N/A'}`,
+        title: `${result.title}\n☁️ ${formatSize(result.size)} (Home Media)`,
+        url: streamUrl,
+        _size: result.size || 0,  // Preserve size for filtering
+        _templateFields: {
+          title: result.title,
+          fileName: result.fileName,
+          resolution: resolutionLabel,
+          size: result.size,
+          cached: true,
+          personal: true,
+          source: '☁️ Personal',
+          tracker: 'Home Media',
+          icon: '☁️'
+        },
+        behaviorHints: {
+          bingeGroup: 'sootio-homemedia'
+        }
+      };
+    });
+
+    return streams;
+
+  } catch (error) {
+    console.error('[HM+] Error getting streams:', error.message);
+    return [];
+  }
+}
+
+registerProvider({
+  name: 'HomeMedia',
+  label: 'Home Media',
+  streamName: '[HM+] Sootio',
+  capabilities: {
+    streams: (service, type, id, { config } = {}) => getHomeMediaStreams({
+      HomeMediaUrl: service.homeMediaUrl,
+      HomeMediaApiKey: service.apiKey,
+      Languages: config?.Languages
+    }, type, id),
+    personalFiles: {
+      list: async (apiKey, { homeMediaUrl } = {}) => {
+        const files = await listAllFiles(homeMediaUrl, apiKey) || [];
+        console.log(`[${LOG_PREFIX}] Listed ${files.length} files from ${homeMediaUrl}`);
+        return files;
+      }
+    },
+    subtitles: (apiKey, video, { homeMediaUrl } = {}) => getSubtitleFiles(homeMediaUrl, apiKey, video)
+  }
+});
+
 export default {
   searchHomeMedia,
   getStreamUrl,
-  listAllFiles
+  listAllFiles,
+  getSubtitleFiles
 };
@@ -0,0 +1,167 @@
+import { getProvider, hasCapability } from './providers.js'
+import sanitizeConfig from './util/config-sanitizer.js'
+import { formatSize } from './common/torrent-utils.js'
+import { getPinnedIds, setPinned } from './util/library-pins.js'
+import { createActionToken, verifyActionToken } from './util/action-token.js'
+
+const LIBRARY_TIMEOUT_MS = parseInt(process.env.LIBRARY_TIMEOUT_MS) || 15000
+
+// Providers registering all of library, delete and addMagnet (see lib/util/provider-registry.js):
+//   library(apiKey, { includeInactive }) -> [{ id, name, size, hash, magnet?, status: ready|downloading|dead }]
+//   delete(apiKey, id)                   -> true, throws on failure
+//   addMagnet(apiKey, magnet)            -> new torrent ID
+const LIBRARY_CAPABILITIES = ['library', 'delete', 'addMagnet']
+
+function getLibraryCapabilities(provider) {
+    const definition = getProvider(provider)
+    if (!definition || !LIBRARY_CAPABILITIES.every(capability => hasCapability(definition, capability))) return null
+    return definition.capabilities
+}
+
+export const LIBRARY_ACTIONS = ['pin', 'unpin', 'delete', 'readd']
+
+// Actions that remove something from the user's account need a confirmation token
+const CONFIRMED_ACTIONS = new Set(['delete', 'readd'])
+
+const STATUS_ORDER = { dead: 0, downloading: 1, ready: 2 }
+
+/**
+ * Lists every torrent (including unfinished and dead ones) in the user's debrid accounts.
+ * @param {Object} config - User config
+ * @returns {Promise<Array<{service: string, items: Array, error?: string}>>} One entry per service
+ */
+async function listLibraryItems(config) {
+    config = sanitizeConfig(config, 'LIBRARY-PROVIDER')
+    const services = getLibraryServices(config)
+
+    return Promise.all(services.map(async (service) => {
+        try {
+            const [items, pinnedIds] = await Promise.all([
+                withTimeout(getLibraryCapabilities(service.provider).library(service.apiKey, { includeInactive: true }), service.provider),
+                getPinnedIds(service.provider, service.apiKey)
+            ])
+            const libraryItems = (items || [])
+                .map(item => {
+                    const { magnet, ...libraryItem } = toLibraryItem(service.provider, item, pinnedIds)
+                    return { ...libraryItem, canReadd: Boolean(magnet) }
+                })
+                .sort((a, b) => Number(b.pinned) - Number(a.pinned) || STATUS_ORDER[a.status] - STATUS_ORDER[b.status] || a.name.localeCompare(b.name))
+            console.log(`[LIBRARY-PROVIDER] ${service.provider}: ${libraryItems.length} items`)
+            return { service: service.provider, items: libraryItems }
+        } catch (error) {
+            console.error(`[LIBRARY-PROVIDER] Error listing ${service.provider}: ${error.message}`)
+            return { service: service.provider, items: [], error: error.message }
+        }
+    }))
+}
+
+/**
+ * Runs a library action. Destructive actions first answer with a confirmation token
+ * (reason "confirmation_required"); repeating the call with that token performs them.
+ * @param {Object} config - User config
+ * @param {{service: string, id: string, action: string, token?: string}} request
+ * @returns {Promise<{ok: boolean, reason?: string, message?: string, confirmToken?: string, expiresAt?: number}>}
+ */
+async function runLibraryAction(config, { service, id, action, token } = {}) {
+    config = sanitizeConfig(config, 'LIBRARY-PROVIDER')
+    if (!LIBRARY_ACTIONS.includes(action)) return { ok: false, reason: 'unknown_action' }
+    const target = getLibraryServices(config).find(s => s.provider === String(service || '').toLowerCase())
+    if (!target) return { ok: false, reason: 'unknown_service' }
+
+    const provider = getLibraryCapabilities(target.provider)
+    const items = await withTimeout(provider.library(target.apiKey, { includeInactive: true }), target.provider)
+    const item = (items || []).find(entry => String(entry.id) === String(id))
+    if (!item) return { ok: false, reason: 'not_found' }
+
+    const pinnedIds = await getPinnedIds(target.provider, target.apiKey)
+    const libraryItem = toLibraryItem(target.provider, item, pinnedIds)
+
+    if (action === 'delete' && libraryItem.pinned) return { ok: false, reason: 'pinned' }
+    if (action === 'readd' && !libraryItem.magnet) return { ok: false, reason: 'no_magnet' }
+
+    if (CONFIRMED_ACTIONS.has(action)) {
+        if (!token) {
+            const { token: confirmToken, expiresAt } = createActionToken(target.apiKey, action, target.provider, libraryItem.id)
+            const verb = action === 'delete' ? 'Delete' : 'Re-add'
+            return {
+                ok: false,
+                reason: 'confirmation_required',
+                message: `${verb} "${libraryItem.name}" on ${target.provider}?`,
+                confirmToken,
+                expiresAt
+            }
+        }
+        if (!verifyActionToken(token, target.apiKey, action, target.provider, libraryItem.id)) {
+            return { ok: false, reason: 'invalid_token' }
+        }
+    }
+
+    console.log(`[LIBRARY-PROVIDER] ${action} ${target.provider} ${libraryItem.id}`)
+    switch (action) {
+        case 'pin':
+        case 'unpin':
+            await setPinned(target.provider, target.apiKey, libraryItem.id, action === 'pin')
+            return { ok: true, message: action === 'pin' ? 'Pinned.' : 'Unpinned.' }
+        case 'delete':
+            await provider.delete(target.apiKey, libraryItem.id)
+            return { ok: true, message: 'Deleted.' }
+        case 'readd': {
+            const newId = await provider.addMagnet(target.apiKey, libraryItem.magnet)
+            if (newId == null) return { ok: false, reason: 'add_failed' }
+            // The old entry only goes once the new one exists; a pin follows the torrent
+            await provider.delete(target.apiKey, libraryItem.id).catch(error => {
+                console.warn(`[LIBRARY-PROVIDER] Re-added ${libraryItem.id} as ${newId} but could not remove the old entry: ${error.message}`)
+            })
+            if (libraryItem.pinned) {
+                await setPinned(target.provider, target.apiKey, libraryItem.id, false)
+                await setPinned(target.provider, target.apiKey, newId, true)
+            }
+            return { ok: true, message: 'Re-added.' }
+        }
+    }
+}
+
+function getLibraryServices(config) {
+    const services = []
+    if (Array.isArray(config.DebridServices)) {
+        config.DebridServices.forEach(service => {
+            const provider = String(service?.provider || '').toLowerCase()
+            if (!getLibraryCapabilities(provider) || !service.apiKey) return
+            if (services.some(s => s.provider === provider)) return
+            services.push({ provider, apiKey: service.apiKey })
+        })
+    } else if (config.DebridProvider && config.DebridApiKey) {
+        const provider = String(config.DebridProvider).toLowerCase()
+        if (getLibraryCapabilities(provider)) {
+            services.push({ provider, apiKey: config.DebridApiKey })
+        }
+    }
+    return services
+}
+
+// Provider-neutral view of one torrent; re-adds use the stored magnet or one rebuilt from the hash
+function toLibraryItem(service, item, pinnedIds) {
+    const id = String(item.id)
+    const hash = item.hash ? String(item.hash).toLowerCase() : null
+    const name = item.name || 'Unknown'
+    return {
+        service,
+        id,
+        name,
+        size: item.size || 0,
+        sizeLabel: formatSize(item.size || 0),
+        status: STATUS_ORDER[item.status] === undefined ? 'ready' : item.status,
+        pinned: pinnedIds.has(id),
+        magnet: item.magnet || (hash ? `magnet:?xt=urn:btih:${hash}&dn=${encodeURIComponent(name)}` : null)
+    }
+}
+
+function withTimeout(promise, label) {
+    let timer = null
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${LIBRARY_TIMEOUT_MS}ms`)), LIBRARY_TIMEOUT_MS)
+    })
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+export default { listLibraryItems, runLibraryAction }
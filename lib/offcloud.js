@@ -5,7 +5,7 @@ import Cinemeta from './util/cinemeta.js';
 import * as config from './config.js';
 import * as scrapers from './common/scrapers.js';
 import * as torrentUtils from './common/torrent-utils.js';
-import { processAndFilterTorrents } from './common/debrid-cache-processor.js';
+import { processAndFilterTorrents, getUncachedLimit, toUncachedResult } from './common/debrid-cache-processor.js';
 import { buildSeriesContext, matchesCandidateTitle } from './util/episodeMatcher.js';
 import { getCachedHashes as sqliteGetCachedHashes, upsertCachedMagnet as sqliteUpsert, getCachedScraperResults, default as sqliteCache } from './util/cache-store.js';
 import { obfuscateSensitive } from './common/torrent-utils.js';
@@ -13,6 +13,9 @@ import searchCoordinator from './util/search-coordinator.js';
 import { orchestrateScrapers } from './util/scraper-selector.js';
 import * as debridHelpers from './util/debrid-helpers.js';
 import debridProxyManager from './util/debrid-proxy.js';
+import { registerProvider } from './util/provider-registry.js';
+import { checkWithConfidence } from './util/hash-confidence.js';
+import { findReleaseSubtitles } from './util/subtitle-files.js';
 
 const { isValidVideo, getHashFromMagnet, createEncodedUrl, delay, filterByYear } = torrentUtils;
 const LOG_PREFIX = 'OC';
@@ -70,6 +73,14 @@ function createOffcloudClient(apiKey) {
             status: async (requestId) => {
                 const response = await axiosInstance.post('/cloud/status', { requestId });
                 return response.data;
+            },
+            /**
+             * Remove a cloud download and its files
+             * GET /cloud/remove/{requestId} (outside the /api prefix)
+             */
+            remove: async (requestId) => {
+                const response = await axiosInstance.get(`https://offcloud.com/cloud/remove/${requestId}`, { params: { key: apiKey } });
+                return response.data;
             }
         },
         cache: {
@@ -182,7 +193,8 @@ async function searchOffcloudTorrents(apiKey, type, id, userConfig = {}) {
     if (type === 'series' && season && episode) {
         episodeInfo = {
             season: parseInt(season, 10),
-            episode: parseInt(episode, 10)
+            episode: parseInt(episode, 10),
+            absoluteEpisode: userConfig.absoluteEpisode || null
         };
     }
     const seriesCtx = type === 'series' ? buildSeriesContext({ search: specificSearchKey, cinemetaTitle: cinemetaDetails.name }) : null;
@@ -283,7 +295,7 @@ async function searchOffcloudTorrents(apiKey, type, id, userConfig = {}) {
         }
         try { console.timeEnd(searchTimerId); } catch {}
 
-        let combinedResults = await combineAndMarkResults(apiKey, personalFiles, scraperResults, episodeInfo);
+        let combinedResults = await combineAndMarkResults(apiKey, personalFiles, scraperResults, episodeInfo, userConfig);
 
         const bypassStreams = combinedResults.filter(stream => stream.bypassFiltering === true);
 
@@ -505,7 +517,64 @@ async function findExactArchiveMatch(OCClient, searchTerm, history, season, epis
     return null;
 }
 
-async function combineAndMarkResults(apiKey, personalFiles, externalSources, episodeInfo = null) {
+// Use /cache/info endpoint instead of /cache - the /cache endpoint is broken
+// and returns all hashes as cached regardless of actual status
+const CACHE_CHECK_BATCH_SIZE = 50; // Process in batches to avoid timeout
+
+// Valid video extensions (must match torrent-utils.js VIDEO_EXTENSIONS)
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.webm', '.m4v', '.mpg', '.mpeg', '.3gp', '.ogv', '.ts', '.m2ts'];
+const hasVideoFile = (files) => {
+    if (!Array.isArray(files) || files.length === 0) return false;
+    return files.some(f => {
+        const filename = (f.filename || '').toLowerCase();
+        return VIDEO_EXTENSIONS.some(ext => filename.endsWith(ext));
+    });
+};
+
+/**
+ * Asks OffCloud which hashes are cached with actual video files. Throws when the API fails.
+ * @param {string} apiKey
+ * @param {Array<string>} hashes - Lowercase info hashes
+ * @param {Set<string>} [cached] - Hits are added here as each batch returns, so they survive a later failure
+ * @returns {Promise<Set<string>>} cached
+ */
+async function checkOffcloudCache(apiKey, hashes, cached = new Set()) {
+    if (!hashes || hashes.length === 0) return cached;
+    const url = `${OFFCLOUD_API_URL}/cache/info`;
+    // Hashes other accounts confirmed recently are answered by the shared hash index
+    const { cached: found } = await checkWithConfidence('offcloud', apiKey, hashes, async (toCheck) => {
+        const hits = new Set();
+        for (let i = 0; i < toCheck.length; i += CACHE_CHECK_BATCH_SIZE) {
+            const batch = toCheck.slice(i, i + CACHE_CHECK_BATCH_SIZE);
+            const magnetUrls = batch.map(h => `magnet:?xt=urn:btih:${h}`);
+
+            const response = await axiosWithProxy.post(url, {
+                urls: magnetUrls,
+                includeFiles: true  // Need file list to filter out fake torrents (.exe, .iso, etc.)
+            }, {
+                headers: { 'Authorization': `Bearer ${apiKey}` }
+            });
+
+            // Response is an array matching the input order
+            const results = response.data || [];
+            results.forEach((result, idx) => {
+                // Only mark as cached if it has actual video files (not .exe, .iso, etc.)
+                if (result?.cached === true && hasVideoFile(result.files)) {
+                    hits.add(batch[idx]);
+                    cached.add(batch[idx]); // kept if a later batch fails
+                } else if (result?.cached === true && !hasVideoFile(result.files)) {
+                    const fileNames = (result.files || []).map(f => f.filename).join(', ');
+                    console.log(`[${LOG_PREFIX}] Filtering fake torrent (no video files): ${fileNames || 'unknown'}`);
+                }
+            });
+        }
+        return hits;
+    });
+    found.forEach(h => cached.add(h));
+    return cached;
+}
+
+async function combineAndMarkResults(apiKey, personalFiles, externalSources, episodeInfo = null, userConfig = {}) {
     const externalTorrents = [].concat(...externalSources);
     const externalTorrentsMap = new Map(externalTorrents.map(t => [t.InfoHash?.toLowerCase(), t]).filter(([hash]) => hash));
 
@@ -530,6 +599,8 @@ async function combineAndMarkResults(apiKey, personalFiles, externalSources, epi
 
     const ocHandler = {
         getIdentifier: () => LOG_PREFIX,
+        rankingProfile: userConfig.RankingProfile,
+        keywordFilters: userConfig.KeywordFilters,
         checkCachedHashes: async (hashes) => {
             if (!hashes || hashes.length === 0) return new Set();
             const lower = hashes.map(h => h.toLowerCase());
@@ -547,45 +618,8 @@ async function combineAndMarkResults(apiKey, personalFiles, externalSources, epi
             const remaining = lower.filter(h => !cached.has(h));
             if (remaining.length === 0) return cached;
 
-            // Use /cache/info endpoint instead of /cache - the /cache endpoint is broken
-            // and returns all hashes as cached regardless of actual status
-            const url = `${OFFCLOUD_API_URL}/cache/info`;
-            const BATCH_SIZE = 50; // Process in batches to avoid timeout
-
-            // Valid video extensions (must match torrent-utils.js VIDEO_EXTENSIONS)
-            const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.webm', '.m4v', '.mpg', '.mpeg', '.3gp', '.ogv', '.ts', '.m2ts'];
-            const hasVideoFile = (files) => {
-                if (!Array.isArray(files) || files.length === 0) return false;
-                return files.some(f => {
-                    const filename = (f.filename || '').toLowerCase();
-                    return VIDEO_EXTENSIONS.some(ext => filename.endsWith(ext));
-                });
-            };
-
             try {
-                for (let i = 0; i < remaining.length; i += BATCH_SIZE) {
-                    const batch = remaining.slice(i, i + BATCH_SIZE);
-                    const magnetUrls = batch.map(h => `magnet:?xt=urn:btih:${h}`);
-
-                    const response = await axiosWithProxy.post(url, {
-                        urls: magnetUrls,
-                        includeFiles: true  // Need file list to filter out fake torrents (.exe, .iso, etc.)
-                    }, {
-                        headers: { 'Authorization': `Bearer ${apiKey}` }
-                    });
-
-                    // Response is an array matching the input order
-                    const results = response.data || [];
-                    results.forEach((result, idx) => {
-                        // Only mark as cached if it has actual video files (not .exe, .iso, etc.)
-                        if (result?.cached === true && hasVideoFile(result.files)) {
-                            cached.add(batch[idx]);
-                        } else if (result?.cached === true && !hasVideoFile(result.files)) {
-                            const fileNames = (result.files || []).map(f => f.filename).join(', ');
-                            console.log(`[${LOG_PREFIX}] Filtering fake torrent (no video files): ${fileNames || 'unknown'}`);
-                        }
-                    });
-                }
+                await checkOffcloudCache(apiKey, remaining, cached);
 
                 console.log(`[${LOG_PREFIX}] Cache check: ${cached.size} of ${lower.length} hashes are cached (with video files)`);
                 return cached;
@@ -598,12 +632,16 @@ async function combineAndMarkResults(apiKey, personalFiles, externalSources, epi
         },
         liveCheckHash: async (hash) => false,
         bypassQuotas: true,  // OffCloud has no API rate limits, so bypass quotas
+        uncachedLimit: getUncachedLimit(userConfig),
         cleanup: async () => {}
     };
 
     const cachedTorrents = await processAndFilterTorrents(newExternalTorrents, ocHandler, episodeInfo, {}, false);
     
-    const finalExternalResults = cachedTorrents.map(formatExternalResult);
+    // Uncached picks (opt-in) come last and are never recorded as cached
+    const finalExternalResults = cachedTorrents.map(torrent => (torrent.isUncached
+        ? toUncachedResult(formatExternalResult(torrent))
+        : formatExternalResult(torrent)));
 
     const allResults = [...markedPersonal, ...finalExternalResults];
 
@@ -613,7 +651,7 @@ async function combineAndMarkResults(apiKey, personalFiles, externalSources, epi
             console.log(`[OC SQLCACHE] Preparing to cache ${allResults.length} results to SQLite`);
             const upserts = [];
             for (const r of allResults) {
-                if (r?.hash) {
+                if (r?.hash && !r.isUncached) {
                     upserts.push({
                         service: 'offcloud',
                         hash: r.hash.toLowerCase(),
@@ -870,6 +908,82 @@ async function addToOffcloud(apiKey, magnetLink) {
     }
 }
 
+// Cloud history statuses that will never finish on their own
+const DEAD_HISTORY_STATUSES = new Set(['error', 'canceled']);
+
+function libraryStatus(item) {
+    if (item.status === 'downloaded') return 'ready';
+    return DEAD_HISTORY_STATUSES.has(item.status) ? 'dead' : 'downloading';
+}
+
+async function listLibrary(apiKey, { includeInactive = false } = {}) {
+    try {
+        const history = await createOffcloudClient(apiKey).cloud.history();
+        return (Array.isArray(history) ? history : [])
+            .map(item => ({
+                id: item.requestId,
+                torrentId: item.requestId,
+                name: item.fileName || 'Download',
+                size: item.fileSize || 0,
+                hash: getHashFromMagnet(item.originalLink) || null,
+                magnet: String(item.originalLink || '').startsWith('magnet:') ? item.originalLink : null,
+                status: libraryStatus(item),
+                isPersonal: true
+            }))
+            .filter(item => includeInactive || item.status === 'ready');
+    } catch (error) {
+        console.error(`[${LOG_PREFIX}] Library error: ${error.message}`);
+        return [];
+    }
+}
+
+// Subtitles next to the playing video in a downloaded item. cloud.explore only returns CDN URLs,
+// so file paths are read from the URL after the request ID; the URLs are direct.
+async function getSubtitleFiles(apiKey, video = {}) {
+    const client = createOffcloudClient(apiKey);
+    const subtitles = await findReleaseSubtitles(await listLibrary(apiKey), video, async (item) => {
+        const urls = await client.cloud.explore(item.id);
+        return (Array.isArray(urls) ? urls : []).filter(Boolean).map(url => {
+            const segments = new URL(url).pathname.split('/').map(decodeURIComponent);
+            const idIndex = segments.indexOf(String(item.id));
+            return { path: (idIndex >= 0 ? segments.slice(idIndex + 1) : segments.slice(-1)).join('/'), link: url };
+        });
+    });
+    return subtitles.map(({ file, lang }) => ({ name: file.path, url: file.link, lang }));
+}
+
+async function deleteTorrent(apiKey, requestId) {
+    const result = await createOffcloudClient(apiKey).cloud.remove(requestId);
+    if (result?.error) throw new Error(result.error);
+    return true;
+}
+
+async function addMagnet(apiKey, magnetLink) {
+    const result = await addToOffcloud(apiKey, magnetLink);
+    if (!result?.requestId) throw new Error(result?.error || 'OffCloud did not return a request ID');
+    return result.requestId;
+}
+
+// OffCloud's history has no progress for downloads in flight
+async function getDownloadStatus(apiKey, requestId) {
+    const history = await createOffcloudClient(apiKey).cloud.history();
+    const item = (Array.isArray(history) ? history : []).find(entry => entry.requestId === requestId);
+    if (!item) throw new Error(`OffCloud request ${requestId} not found`);
+    const status = libraryStatus(item);
+    return { status, progress: status === 'ready' ? 100 : 0 };
+}
+
+async function getAccountInfo(apiKey) {
+    const account = await createOffcloudClient(apiKey).account.info();
+    const expiresAt = account?.expirationDate ? new Date(account.expirationDate) : null;
+    return {
+        premium: Boolean(account?.isPremium),
+        expiresAt: expiresAt && !Number.isNaN(expiresAt.getTime()) ? expiresAt.toISOString() : null,
+        quotaExhausted: false,
+        renewUrl: 'https://offcloud.com/#/pricing'
+    };
+}
+
 async function waitForItemInHistory(OCClient, requestId, timeout = 90000, interval = 3000) {
     const timeoutMs = parseInt(process.env.OFFCLOUD_HISTORY_TIMEOUT_MS || timeout, 10);
     const pollMs = parseInt(process.env.OFFCLOUD_HISTORY_POLL_MS || interval, 10);
@@ -1005,4 +1119,38 @@ async function searchDownloads(apiKey, searchKey = '', threshold = 0.3) {
     }
 }
 
-export default { searchOffcloudTorrents, resolveStream, searchDownloads, searchPersonalFiles };
+registerProvider({
+    name: 'OffCloud',
+    label: 'OffCloud',
+    streamName: '[OC+] Sootio',
+    results: { movieFilter: 'year', seriesFilter: 'title-episode' },
+    capabilities: {
+        search: (apiKey, type, id, config) => searchOffcloudTorrents(apiKey, type, id, config),
+        personalFiles: {
+            search: (apiKey, searchKey, { type, season, episode } = {}) => searchPersonalFiles(apiKey, [searchKey], searchKey, type, season, episode),
+            list: async apiKey => await searchDownloads(apiKey, '', 1.0) || []
+        },
+        cacheCheck: (apiKey, hashes) => checkOffcloudCache(apiKey, hashes.map(h => h.toLowerCase())),
+        catalog: {
+            list: apiKey => listLibrary(apiKey)
+        },
+        library: listLibrary,
+        delete: deleteTorrent,
+        addMagnet,
+        downloadStatus: getDownloadStatus,
+        accountInfo: getAccountInfo,
+        subtitles: getSubtitleFiles,
+        resolve: async (apiKey, url, { itemId } = {}) => {
+            // Series IDs carry :season:episode
+            const inferredType = typeof itemId === 'string' ? (itemId.split(':').length > 1 ? 'series' : 'movie') : null;
+            const resolvedUrl = await resolveStream(apiKey, url, inferredType, itemId);
+            if (!resolvedUrl) {
+                console.error(`[${LOG_PREFIX}] Resolve returned empty, giving up.`);
+                return null;
+            }
+            return resolvedUrl;
+        }
+    }
+});
+
+export default { searchOffcloudTorrents, resolveStream, searchDownloads, searchPersonalFiles, listLibrary, deleteTorrent, addMagnet };
@@ -0,0 +1,185 @@
+import Fuse from 'fuse.js';
+import PTT from './util/parse-torrent-title.js';
+import { getHashFromMagnet } from './common/torrent-utils.js';
+import { searchAccountTorrents, recordInstantHash } from './common/account-cache-search.js';
+import { createPikPakClient, parseCredentials, getDownloadUrl } from './util/pikpak-api.js';
+import { pickVideoFile, splitEpisodeHint } from './util/video-files.js';
+import { registerProvider } from './util/provider-registry.js';
+
+const LOG_PREFIX = 'PP';
+// Personal downloads resolve from `pikpak:file:<id>` URLs, torrents from magnets
+const FILE_URL_PREFIX = 'pikpak:file:';
+const PIKPAK_ADD_TIMEOUT_MS = parseInt(process.env.PIKPAK_ADD_TIMEOUT_MS || '60000', 10);
+
+const TASK_STATUS = {
+    PHASE_TYPE_COMPLETE: 'ready',
+    PHASE_TYPE_ERROR: 'dead'
+};
+
+function createClient(apiKey) {
+    return createPikPakClient(parseCredentials(apiKey));
+}
+
+function taskStatus(task) {
+    return TASK_STATUS[task?.phase] || 'downloading';
+}
+
+function taskHash(task) {
+    return getHashFromMagnet(task?.params?.url || '') || null;
+}
+
+/**
+ * Personal downloads plus scraped torrents PikPak can deliver instantly.
+ * @param {string} apiKey - "email:password"
+ * @returns {Promise<Array<Object>>} Results resolved later by resolveStream
+ */
+async function searchPikPakTorrents(apiKey, type, id, userConfig = {}) {
+    return searchAccountTorrents({
+        service: 'pikpak',
+        logPrefix: LOG_PREFIX,
+        type,
+        id,
+        userConfig,
+        listAccountHashes: () => listReadyHashes(apiKey),
+        searchPersonalFiles: (searchKey, episodeInfo) => searchPersonalFiles(apiKey, searchKey, 0.3, episodeInfo)
+    });
+}
+
+async function listReadyHashes(apiKey) {
+    const tasks = await createClient(apiKey).listTasks();
+    return new Set(tasks.filter(task => taskStatus(task) === 'ready').map(taskHash).filter(Boolean));
+}
+
+// Finished downloads matching the title; for series only those covering the requested season
+async function searchPersonalFiles(apiKey, searchKey, threshold = 0.3, episodeInfo = null) {
+    const downloads = (await listPersonalFiles(apiKey)).filter(download => {
+        if (!episodeInfo) return true;
+        const { season, seasons } = download.info || {};
+        if (Array.isArray(seasons)) return seasons.includes(episodeInfo.season);
+        return Number(season) === episodeInfo.season;
+    });
+    const fuse = new Fuse(downloads, { keys: ['info.title', 'name'], threshold, minMatchCharLength: 2 });
+    return fuse.search(searchKey).map(result => result.item);
+}
+
+async function listPersonalFiles(apiKey) {
+    const tasks = await createClient(apiKey).listTasks();
+    return tasks
+        .filter(task => taskStatus(task) === 'ready' && task.file_id)
+        .map(task => ({
+            id: task.id,
+            name: task.file_name || task.name,
+            info: PTT.parse(task.file_name || task.name || ''),
+            size: Number(task.file_size) || 0,
+            hash: taskHash(task),
+            url: `${FILE_URL_PREFIX}${task.file_id}`,
+            created: task.created_time ? new Date(task.created_time) : null,
+            source: 'pikpak',
+            isPersonal: true,
+            isCached: true,
+            tracker: 'Personal Cloud'
+        }));
+}
+
+async function searchDownloads(apiKey, searchKey = null, threshold = 0.3) {
+    try {
+        if (!searchKey) return await listPersonalFiles(apiKey);
+        return await searchPersonalFiles(apiKey, searchKey, threshold);
+    } catch (error) {
+        console.error(`[${LOG_PREFIX}] Downloads search error: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Adds a magnet as an offline download, reusing a finished download of the same torrent.
+ * @returns {Promise<Object|null>} Downloaded file or folder, or null when PikPak could not finish it in time
+ */
+async function addToPikPak(apiKey, magnetLink) {
+    const client = createClient(apiKey);
+    const hash = getHashFromMagnet(magnetLink);
+    const existing = hash && (await client.listTasks())
+        .find(task => taskHash(task) === hash && taskStatus(task) === 'ready' && task.file_id);
+    if (existing) return client.getFile(existing.file_id);
+
+    const startTime = Date.now();
+    const task = await client.addOfflineTask(magnetLink);
+    if (!task?.file_id) throw new Error('PikPak did not create an offline download.');
+    const file = await client.waitForFileReady(task.file_id, PIKPAK_ADD_TIMEOUT_MS);
+    if (file) {
+        recordInstantHash('pikpak', hash, Date.now() - startTime, file.name);
+    }
+    return file;
+}
+
+/**
+ * Resolves a stream URL to a PikPak download link.
+ * @param {string} apiKey - "email:password"
+ * @param {string} urlToResolve - `pikpak:file:<id>` or a magnet, either with an optional `||HINT||`
+ * @returns {Promise<string|null>} Direct download URL
+ */
+async function resolveStream(apiKey, urlToResolve) {
+    const client = createClient(apiKey);
+    const { url, hint } = splitEpisodeHint(urlToResolve);
+    let root;
+    if (url.startsWith(FILE_URL_PREFIX)) {
+        root = await client.getFile(url.slice(FILE_URL_PREFIX.length));
+    } else if (url.startsWith('magnet:')) {
+        root = await addToPikPak(apiKey, url);
+    } else {
+        return url;
+    }
+    if (!root) {
+        console.error(`[${LOG_PREFIX}] Offline download for ${url.substring(0, 60)} did not finish in time`);
+        return null;
+    }
+
+    const video = pickVideoFile(await client.listVideos(root), hint);
+    if (!video) {
+        console.error(`[${LOG_PREFIX}] No video file in ${root.name}`);
+        return null;
+    }
+    const file = video.id === root.id ? root : await client.getFile(video.id);
+    return getDownloadUrl(file);
+}
+
+// Every offline download, for the merged torrent catalog
+async function listLibrary(apiKey, { includeInactive = false } = {}) {
+    try {
+        const tasks = await createClient(apiKey).listTasks();
+        return tasks
+            .filter(task => includeInactive || taskStatus(task) === 'ready')
+            .map(task => ({
+                id: task.id,
+                torrentId: task.id,
+                name: task.file_name || task.name,
+                size: Number(task.file_size) || 0,
+                hash: taskHash(task),
+                magnet: task.params?.url || null,
+                status: taskStatus(task),
+                isPersonal: true
+            }));
+    } catch (error) {
+        console.error(`[${LOG_PREFIX}] Library error: ${error.message}`);
+        return [];
+    }
+}
+
+registerProvider({
+    name: 'PikPak',
+    label: 'PikPak',
+    streamName: '[PP+] Sootio',
+    results: { movieFilter: 'year', episodeHint: true },
+    capabilities: {
+        search: (apiKey, type, id, config) => searchPikPakTorrents(apiKey, type, id, config),
+        personalFiles: {
+            list: apiKey => searchDownloads(apiKey)
+        },
+        catalog: {
+            list: apiKey => listLibrary(apiKey)
+        },
+        resolve: resolveStream
+    }
+});
+
+export default { searchPikPakTorrents, searchPersonalFiles, searchDownloads, resolveStream, listLibrary, addToPikPak };
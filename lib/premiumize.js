@@ -15,6 +15,10 @@ import * as sqliteCache from './util/cache-store.js'
 import { getCachedScraperResults } from './util/cache-store.js'
 import * as debridHelpers from './util/debrid-helpers.js'
 import debridProxyManager from './util/debrid-proxy.js'
+import { splitEpisodeHint } from './util/video-files.js'
+import { registerProvider } from './util/provider-registry.js'
+import { checkWithConfidence } from './util/hash-confidence.js'
+import { findReleaseSubtitles } from './util/subtitle-files.js'
 
 const BASE_URL = 'https://www.premiumize.me/api'
 const LOG_PREFIX = 'PM';
@@ -214,6 +218,86 @@ async function listTransfers(apiKey) {
     }
 }
 
+// item/listall has paths but no links: files are grouped into releases by their top folder,
+// and only the picked subtitles are looked up for their links
+async function getSubtitleFiles(apiKey, video = {}) {
+    const releases = new Map()
+    ;(await listFiles(apiKey) || []).forEach(file => {
+        const path = file.path || file.name
+        const name = String(path).split('/')[0]
+        if (!releases.has(name)) releases.set(name, { name, files: [] })
+        releases.get(name).files.push({ id: file.id, path, size: file.size })
+    })
+    const subtitles = await findReleaseSubtitles([...releases.values()], video, async release => release.files)
+    const withLinks = await Promise.all(subtitles.map(async ({ file, lang }) => {
+        const response = await axiosWithProxy.get(`${BASE_URL}/item/details?apikey=${apiKey}&id=${file.id}`)
+        const link = response.data?.status === 'success' ? response.data.link : null
+        return link ? { name: file.path, url: link, lang } : null
+    }))
+    return withLinks.filter(Boolean)
+}
+
+// limit_used is the share of the fair-use quota used, 0-1
+async function getAccountInfo(apiKey) {
+    const response = await axiosWithProxy.get(`${BASE_URL}/account/info?apikey=${apiKey}`)
+    if (response.data?.status !== 'success') throw new Error(response.data?.message || 'Premiumize account info unavailable')
+    const premiumUntil = Number(response.data.premium_until) || 0
+    return {
+        premium: premiumUntil > 0,
+        expiresAt: premiumUntil > 0 ? new Date(premiumUntil * 1000).toISOString() : null,
+        quotaExhausted: Number(response.data.limit_used) >= 1,
+        renewUrl: 'https://www.premiumize.me/premium'
+    }
+}
+
+// Transfer statuses that will never finish on their own
+const DEAD_TRANSFER_STATUSES = new Set(['error', 'timeout', 'banned', 'deleted'])
+
+function libraryStatus(transfer) {
+    if (transfer.status === 'finished' || transfer.status === 'seeding') return 'ready'
+    return DEAD_TRANSFER_STATUSES.has(transfer.status) ? 'dead' : 'downloading'
+}
+
+async function listLibrary(apiKey, { includeInactive = false } = {}) {
+    const transfers = await listTransfers(apiKey).catch(() => [])
+    return (transfers || [])
+        .map(transfer => ({
+            id: transfer.id,
+            torrentId: transfer.id,
+            name: transfer.name || 'Transfer',
+            size: transfer.size || 0,
+            hash: torrentUtils.getHashFromMagnet(transfer.src || '') || null,
+            magnet: String(transfer.src || '').startsWith('magnet:') ? transfer.src : null,
+            folderId: transfer.folder_id || null,
+            fileId: transfer.file_id || null,
+            status: libraryStatus(transfer),
+            isPersonal: true
+        }))
+        .filter(item => includeInactive || item.status === 'ready')
+}
+
+async function postForm(path, params) {
+    const body = new URLSearchParams(params).toString()
+    const response = await axiosWithProxy.post(`${BASE_URL}${path}`, body)
+    if (response.data?.status !== 'success') {
+        throw new Error(response.data?.message || `Premiumize ${path} failed`)
+    }
+    return response.data
+}
+
+// Removes the transfer and the cloud folder/file it produced
+async function deleteTorrent(apiKey, transferId) {
+    const transfer = (await listLibrary(apiKey, { includeInactive: true }))
+        .find(item => String(item.id) === String(transferId))
+    if (transfer?.folderId) {
+        await postForm('/folder/delete', { apikey: apiKey, id: transfer.folderId })
+    } else if (transfer?.fileId) {
+        await postForm('/item/delete', { apikey: apiKey, id: transfer.fileId })
+    }
+    await postForm('/transfer/delete', { apikey: apiKey, id: transferId })
+    return true
+}
+
 async function search(apiKey, type, id, userConfig = {}) {
     const imdbId = id.split(':')[0];
     const [season, episode] = id.split(':').slice(1);
@@ -279,7 +363,7 @@ async function search(apiKey, type, id, userConfig = {}) {
         // Combine live and cached scraper results
         let torrents = [].concat(...scraperResults, cachedScraperResults);
         if (type === 'series') {
-            torrents = torrents.filter(torrent => filterEpisode(torrent, season, episode, cinemetaDetails));
+            torrents = torrents.filter(torrent => filterEpisode(torrent, season, episode, cinemetaDetails, userConfig.absoluteEpisode));
         } else if (type === 'movie') {
             if (cinemetaDetails.year) {
                 torrents = torrents.filter(t => torrentUtils.filterByYear(t, cinemetaDetails, LOG_PREFIX));
@@ -323,23 +407,34 @@ async function search(apiKey, type, id, userConfig = {}) {
 
         // OPTIMIZED: ONLY call Premiumize API for hashes not in cache store (saves API bandwidth/rate limits)
         const hashesToCheck = hashes.filter(h => !cachedHashesFromSqlite.has(h.toLowerCase()));
-        let cachedResults = [];
+        // infoHash -> cache/check entry, for the torrent names
+        const cachedResults = new Map();
+        let apiCachedHashes = new Set();
 
         if (hashesToCheck.length > 0) {
             console.log(`[${LOG_PREFIX}] Cache missing ${hashesToCheck.length} hashes, checking Premiumize API...`);
-            cachedResults = await checkCache(apiKey, hashesToCheck);
-            console.log(`[${LOG_PREFIX}] Premiumize API returned ${cachedResults.length} cached results`);
+            // The shared hash index answers for hashes other accounts confirmed recently
+            try {
+                const { cached } = await checkWithConfidence('premiumize', apiKey, hashesToCheck, async (toCheck) => {
+                    const results = await checkCache(apiKey, toCheck);
+                    results.forEach(item => cachedResults.set(item.infoHash.toLowerCase(), item));
+                    return results.map(item => item.infoHash);
+                });
+                apiCachedHashes = cached;
+            } catch (error) {
+                console.error(`[${LOG_PREFIX}] Premiumize cache check failed: ${error.message}`);
+            }
+            console.log(`[${LOG_PREFIX}] Premiumize API returned ${apiCachedHashes.size} cached results`);
         } else {
             console.log(`[${LOG_PREFIX}] ⚡ SKIPPED Premiumize API check (cache has all ${cachedHashesFromSqlite.size} hashes!)`);
         }
 
         // Combine: assume cache-store hashes are still cached (they were checked before)
-        const apiCachedHashes = new Set(cachedResults.map(c => c.infoHash.toLowerCase()));
         const cachedHashes = new Set([...cachedHashesFromSqlite, ...apiCachedHashes]);
         const torrentsToProcess = torrents.filter(t => cachedHashes.has(t.InfoHash.toLowerCase()));
 
         const processedTorrentsPromises = torrentsToProcess.map(async (torrent) => {
-            const cacheInfo = cachedResults.find(c => c.infoHash === torrent.InfoHash);
+            const cacheInfo = cachedResults.get(torrent.InfoHash.toLowerCase());
             const magnet = `magnet:?xt=urn:btih:${torrent.InfoHash}&dn=${encode(cacheInfo?.name || torrent.Title || torrent.name || '')}`;
 
             if (type === 'series') {
@@ -480,7 +575,8 @@ async function checkCache(apiKey, hashes) {
             return cached
         } else {
             console.error('Premiumize checkCache failed:', response.data)
-            return []
+            // An empty list would read as "nothing cached" to the shared hash index
+            return Promise.reject(new Error(response.data?.message || 'cache check failed'))
         }
     } catch (err) {
         return handleError(err)
@@ -512,4 +608,84 @@ async function searchDownloads(apiKey, searchKey = null, threshold = 0.3) {
     return await searchPersonalFiles(apiKey, searchKey, threshold);
 }
 
-export default { listFiles, searchPersonalFiles, getTorrentDetails, checkCache, search, addMagnet, listTransfers, getDirectDownloadLink, searchDownloads }
+/**
+ * Resolves a magnet to a stream link, picking the hinted episode from multi-file torrents.
+ * @param {string} apiKey
+ * @param {string} hostUrl - Magnet with an optional `||HINT||`, or a link that is already direct
+ * @returns {Promise<string>} Stream link
+ */
+async function resolveStream(apiKey, hostUrl) {
+    if (!hostUrl.startsWith('magnet:')) return hostUrl
+    const { url: magnetLink, hint: episodeHint } = splitEpisodeHint(hostUrl)
+
+    const directDownload = await getDirectDownloadLink(apiKey, magnetLink)
+    if (!directDownload) {
+        throw new Error('Failed to get direct download link from Premiumize.')
+    }
+
+    let videos = []
+    if (Array.isArray(directDownload.content) && directDownload.content.length > 0) {
+        // Multi-file torrent
+        videos = directDownload.content
+            .filter(f => isVideo(f.path))
+            .map(f => ({ ...f, name: f.path })) // Normalize name for PTT
+    } else if (directDownload.location && isVideo(directDownload.filename)) {
+        // Single file torrent
+        videos.push({
+            name: directDownload.filename,
+            size: directDownload.filesize,
+            stream_link: directDownload.stream_link || directDownload.location,
+            link: directDownload.location
+        })
+    }
+
+    if (videos.length === 0) {
+        throw new Error('No video files found in direct download response.')
+    }
+
+    let chosenVideo = null
+    if (videos.length > 1 && episodeHint?.season && episodeHint?.episode) {
+        const s = Number(episodeHint.season)
+        const e = Number(episodeHint.episode)
+        chosenVideo = videos.find(f => {
+            const pttInfo = PTT.parse(f.name)
+            return pttInfo.season === s && pttInfo.episode === e
+        })
+    }
+    if (!chosenVideo) {
+        chosenVideo = videos.reduce((a, b) => (a.size > b.size ? a : b))
+    }
+
+    const streamLink = chosenVideo.stream_link || chosenVideo.link
+    if (!streamLink) {
+        throw new Error('No streamable link found for the chosen video file.')
+    }
+    return streamLink
+}
+
+registerProvider({
+    name: 'Premiumize',
+    label: 'Premiumize',
+    streamName: '[PM+] Sootio',
+    results: { episodeHint: true },
+    capabilities: {
+        search: (apiKey, type, id, config) => search(apiKey, type, id, config),
+        personalFiles: {
+            search: (apiKey, searchKey) => searchPersonalFiles(apiKey, searchKey, 0.3),
+            list: async apiKey => await searchDownloads(apiKey, '', 1.0) || []
+        },
+        cacheCheck: async (apiKey, hashes) => (await checkWithConfidence('premiumize', apiKey, hashes,
+            async toCheck => (await checkCache(apiKey, toCheck)).map(item => item.infoHash))).cached,
+        catalog: {
+            list: async apiKey => await searchDownloads(apiKey, '') || []
+        },
+        library: listLibrary,
+        delete: deleteTorrent,
+        addMagnet,
+        resolve: resolveStream,
+        subtitles: getSubtitleFiles,
+        accountInfo: getAccountInfo
+    }
+})
+
+export default { listFiles, searchPersonalFiles, getTorrentDetails, checkCache, search, addMagnet, listTransfers, getDirectDownloadLink, searchDownloads, listLibrary, deleteTorrent, resolveStream }
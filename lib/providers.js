@@ -0,0 +1,18 @@
+// lib/providers.js
+// Loads every provider module; each one registers its capabilities with the provider registry
+// when imported. A new provider is a module calling registerProvider() plus one import here.
+// Import order is the order providers are listed in (stream names, catalogs).
+import './debrid-link.js';
+import './real-debrid.js';
+import './all-debrid.js';
+import './premiumize.js';
+import './torbox.js';
+import './offcloud.js';
+import './putio.js';
+import './pikpak.js';
+import './debrider.app.js';
+import './usenet.js';
+import './easynews.js';
+import './home-media.js';
+
+export { getProvider, listProviders, hasCapability, getStreamNames, normalizeProviderKey, CAPABILITIES } from './util/provider-registry.js';
@@ -0,0 +1,173 @@
+import Fuse from 'fuse.js';
+import PTT from './util/parse-torrent-title.js';
+import { getHashFromMagnet } from './common/torrent-utils.js';
+import { searchAccountTorrents, recordInstantHash } from './common/account-cache-search.js';
+import { createPutioClient, transferStatus } from './util/putio-api.js';
+import { pickVideoFile, splitEpisodeHint } from './util/video-files.js';
+import { registerProvider } from './util/provider-registry.js';
+
+const LOG_PREFIX = 'PUT';
+// Personal files resolve from `putio:file:<id>` URLs, torrents from magnets
+const FILE_URL_PREFIX = 'putio:file:';
+const PUTIO_ADD_TIMEOUT_MS = parseInt(process.env.PUTIO_ADD_TIMEOUT_MS || '60000', 10);
+
+/**
+ * Personal files plus scraped torrents put.io can deliver instantly.
+ * @returns {Promise<Array<Object>>} Results resolved later by resolveStream
+ */
+async function searchPutioTorrents(apiKey, type, id, userConfig = {}) {
+    return searchAccountTorrents({
+        service: 'putio',
+        logPrefix: LOG_PREFIX,
+        type,
+        id,
+        userConfig,
+        listAccountHashes: () => listReadyHashes(apiKey),
+        searchPersonalFiles: (searchKey, episodeInfo) => searchPersonalFiles(apiKey, searchKey, 0.3, episodeInfo)
+    });
+}
+
+async function listReadyHashes(apiKey) {
+    const transfers = await createPutioClient({ token: apiKey }).listTransfers();
+    return new Set(transfers
+        .filter(transfer => transferStatus(transfer) === 'ready' && transfer.hash)
+        .map(transfer => transfer.hash.toLowerCase()));
+}
+
+async function searchPersonalFiles(apiKey, searchKey, threshold = 0.3, episodeInfo = null) {
+    const files = (await listPersonalFiles(apiKey))
+        .filter(file => !episodeInfo || (file.info?.season === episodeInfo.season && file.info?.episode === episodeInfo.episode));
+    const fuse = new Fuse(files, { keys: ['info.title', 'name'], threshold, minMatchCharLength: 2 });
+    return fuse.search(searchKey).map(result => result.item);
+}
+
+async function listPersonalFiles(apiKey) {
+    const files = await createPutioClient({ token: apiKey }).listVideoFiles();
+    return files.map(file => ({
+        id: file.id,
+        name: file.name,
+        info: PTT.parse(file.name),
+        size: file.size || 0,
+        url: `${FILE_URL_PREFIX}${file.id}`,
+        created: file.created_at ? new Date(file.created_at) : null,
+        source: 'putio',
+        isPersonal: true,
+        isCached: true,
+        tracker: 'Personal Cloud'
+    }));
+}
+
+async function searchDownloads(apiKey, searchKey = null, threshold = 0.3) {
+    try {
+        if (!searchKey) return await listPersonalFiles(apiKey);
+        return await searchPersonalFiles(apiKey, searchKey, threshold);
+    } catch (error) {
+        console.error(`[${LOG_PREFIX}] Downloads search error: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Adds a magnet, reusing a finished transfer of the same torrent.
+ * @returns {Promise<Object|null>} Completed transfer, or null when put.io could not finish it in time
+ */
+async function addToPutio(apiKey, magnetLink) {
+    const client = createPutioClient({ token: apiKey });
+    const hash = getHashFromMagnet(magnetLink);
+    const existing = hash && (await client.listTransfers())
+        .find(transfer => transfer.hash?.toLowerCase() === hash && transferStatus(transfer) !== 'dead');
+    if (existing && transferStatus(existing) === 'ready') return existing;
+
+    const startTime = Date.now();
+    const transfer = existing || await client.addTransfer(magnetLink);
+    if (!transfer?.id) throw new Error('put.io did not create a transfer.');
+    const ready = transferStatus(transfer) === 'ready'
+        ? transfer
+        : await client.waitForTransferReady(transfer.id, PUTIO_ADD_TIMEOUT_MS);
+    if (ready && !existing) {
+        recordInstantHash('putio', hash, Date.now() - startTime, ready.name);
+    }
+    return ready;
+}
+
+/**
+ * Resolves a stream URL to a put.io download link.
+ * @param {string} apiKey - put.io OAuth token
+ * @param {string} urlToResolve - `putio:file:<id>`, or a magnet with an optional `||HINT||`
+ * @returns {Promise<string|null>} Direct download URL
+ */
+async function resolveStream(apiKey, urlToResolve) {
+    const client = createPutioClient({ token: apiKey });
+    const { url, hint } = splitEpisodeHint(urlToResolve);
+    if (url.startsWith(FILE_URL_PREFIX)) {
+        return client.getFileUrl(url.slice(FILE_URL_PREFIX.length));
+    }
+    if (!url.startsWith('magnet:')) return url;
+
+    const transfer = await addToPutio(apiKey, url);
+    if (!transfer) {
+        console.error(`[${LOG_PREFIX}] Transfer for ${url.substring(0, 60)} did not finish in time`);
+        return null;
+    }
+    const video = pickVideoFile(await client.listTransferVideos(transfer.file_id), hint);
+    if (!video) {
+        console.error(`[${LOG_PREFIX}] No video file in transfer ${transfer.name}`);
+        return null;
+    }
+    return client.getFileUrl(video.id);
+}
+
+// A full disk stops new transfers, like a used-up traffic quota
+async function getAccountInfo(apiKey) {
+    const info = await createPutioClient({ token: apiKey }).getAccountInfo();
+    const expiresAt = info.plan_expiration_date ? new Date(info.plan_expiration_date) : null;
+    const active = expiresAt && !Number.isNaN(expiresAt.getTime());
+    return {
+        premium: Boolean(active),
+        expiresAt: active ? expiresAt.toISOString() : null,
+        quotaExhausted: info.disk?.avail != null && Number(info.disk.avail) <= 0,
+        renewUrl: 'https://app.put.io/plans'
+    };
+}
+
+// Every transfer, for the merged torrent catalog
+async function listLibrary(apiKey, { includeInactive = false } = {}) {
+    try {
+        const transfers = await createPutioClient({ token: apiKey }).listTransfers();
+        return transfers
+            .filter(transfer => includeInactive || transferStatus(transfer) === 'ready')
+            .map(transfer => ({
+                id: transfer.id,
+                torrentId: transfer.id,
+                name: transfer.name,
+                size: transfer.size || 0,
+                hash: transfer.hash?.toLowerCase() || null,
+                magnet: transfer.magneturi || null,
+                status: transferStatus(transfer),
+                isPersonal: true
+            }));
+    } catch (error) {
+        console.error(`[${LOG_PREFIX}] Library error: ${error.message}`);
+        return [];
+    }
+}
+
+registerProvider({
+    name: 'PutIO',
+    label: 'put.io',
+    streamName: '[PUT+] Sootio',
+    results: { movieFilter: 'year', episodeHint: true },
+    capabilities: {
+        search: (apiKey, type, id, config) => searchPutioTorrents(apiKey, type, id, config),
+        personalFiles: {
+            list: apiKey => searchDownloads(apiKey)
+        },
+        catalog: {
+            list: apiKey => listLibrary(apiKey)
+        },
+        resolve: resolveStream,
+        accountInfo: getAccountInfo
+    }
+});
+
+export default { searchPutioTorrents, searchPersonalFiles, searchDownloads, resolveStream, listLibrary, addToPutio };
@@ -7,19 +7,24 @@ const rdCall = (fn, apiKey) => RdLimiter.schedule(fn, 'rd-call', apiKey);
 import * as config from './config.js';
 import * as scrapers from './common/scrapers.js';
 import * as torrentUtils from './common/torrent-utils.js';
-import { processAndFilterTorrents } from './common/debrid-cache-processor.js';
+import { processAndFilterTorrents, getUncachedLimit, selectUncachedTorrents, toUncachedResult } from './common/debrid-cache-processor.js';
 import { matchesSeriesTitle, hasEpisodeMarker } from './util/seriesTitleMatcher.js';
 import { buildSeriesContext, matchesCandidateTitle } from './util/episodeMatcher.js';
 import * as sqliteCache from './util/cache-store.js';
 import { getCachedScraperResults, getCachedHashesForRelease } from './util/cache-store.js';
 import { obfuscateSensitive } from './common/torrent-utils.js';
 import personalFilesCache from './util/personal-files-cache.js';
+import { findReleaseSubtitles } from './util/subtitle-files.js';
 import searchCoordinator from './util/search-coordinator.js';
 import { orchestrateScrapers } from './util/scraper-selector.js';
 import * as debridHelpers from './util/debrid-helpers.js';
 import debridProxyManager from './util/debrid-proxy.js';
 import * as stremThru from './util/stremthru.js';
 import { withRealDebridMagnetLock } from './util/rd-magnet-lock.js';
+import { splitEpisodeHint } from './util/video-files.js';
+import { registerProvider } from './util/provider-registry.js';
+import { trackTempMagnets, forgetTempMagnets } from './util/temp-magnet-journal.js';
+import { withLiveConfidence } from './util/hash-confidence.js';
 
 const { isValidVideo, isValidTorrentTitle, getResolutionFromName, resolutionOrder, delay, filterByYear, normalizeInfoHash } = torrentUtils;
 const LOG_PREFIX = 'RD';
@@ -97,35 +102,48 @@ async function buildPersonalHashCache(apiKey) {
 }
 
 async function cleanupTemporaryTorrents(RD, torrentIds, apiKey) {
-  if (torrentIds.size === 0) return;
-  console.log(`[RD CLEANUP] 🧹 Starting background deletion of ${torrentIds.size} temporary torrents.`);
-  for (const torrentId of torrentIds) {
+  const ids = Array.from(torrentIds);
+  if (ids.length === 0) return;
+  console.log(`[RD CLEANUP] 🧹 Starting background deletion of ${ids.length} temporary torrents.`);
+  // Deleted or already gone; the rest stay journaled for a later sweep
+  const removed = [];
+  for (const torrentId of ids) {
     try {
       await rdCall(() => RD.torrents.delete(torrentId), apiKey);
+      removed.push(torrentId);
     } catch (deleteError) {
       const status = deleteError.response?.status;
 
       // 404 means torrent already deleted/doesn't exist - this is fine, skip silently
       if (status === 404) {
+        removed.push(torrentId);
         continue;
       }
 
       if (status === 429) {
         console.warn(`[RD CLEANUP] Rate limited. Pausing for 3 seconds...`);
         await delay(3000);
-        await rdCall(() => RD.torrents.delete(torrentId), apiKey).catch(retryError => {
-          // Also skip 404 on retry
-          if (retryError.response?.status === 404) return;
-          console.error(`[RD CLEANUP] ❌ Failed to delete torrent ${torrentId} on retry: ${retryError.message}`);
-        });
+        await rdCall(() => RD.torrents.delete(torrentId), apiKey)
+          .then(() => removed.push(torrentId))
+          .catch(retryError => {
+            // Also skip 404 on retry
+            if (retryError.response?.status === 404) return removed.push(torrentId);
+            console.error(`[RD CLEANUP] ❌ Failed to delete torrent ${torrentId} on retry: ${retryError.message}`);
+          });
       } else {
         console.error(`[RD CLEANUP] ❌ Error deleting torrent ${torrentId}: ${deleteError.message}`);
       }
     }
   }
+  await forgetTempMagnets('realdebrid', apiKey, removed);
   console.log(`[RD CLEANUP] ✅ Finished background deletion task.`);
 }
 
+// Journals the temporary torrents of one request; leftovers of earlier requests are swept
+function trackTemporaryTorrents(apiKey) {
+  return trackTempMagnets('realdebrid', apiKey, ids => cleanupTemporaryTorrents(createRealDebridClient(apiKey), ids, apiKey));
+}
+
 
 // ---------------------------------------------------------------------------------
 // Formatting & combining results (using debrid-helpers)
@@ -249,7 +267,7 @@ async function searchRealDebridTorrents(apiKey, type, id, userConfig = {}, clien
 
   let episodeInfo = null;
   if (type === 'series' && season && episode) {
-    episodeInfo = { season: parseInt(season, 10), episode: parseInt(episode, 10) };
+    episodeInfo = { season: parseInt(season, 10), episode: parseInt(episode, 10), absoluteEpisode: userConfig.absoluteEpisode || null };
   }
   const seriesCtx = type === 'series' ? buildSeriesContext({ search: specificSearchKey, cinemetaTitle: cinemetaDetails.name }) : null;
   const seriesCtxShort = (() => {
@@ -267,7 +285,7 @@ async function searchRealDebridTorrents(apiKey, type, id, userConfig = {}, clien
   const SEARCH_TIMEOUT_MS = parseInt(process.env.SEARCH_TIMEOUT_MS || '30000', 10);
   const { signal, cleanup: cleanupAbort } = createAbortControllerWithTimeout(SEARCH_TIMEOUT_MS, 'RD');
 
-  const torrentIdsToDelete = new Set();
+  const torrentIdsToDelete = trackTemporaryTorrents(apiKey);
 
   try {
     const isLikelyEpisode = (t) => {
@@ -723,6 +741,8 @@ async function searchRealDebridTorrents(apiKey, type, id, userConfig = {}, clien
 
       const rdHandler = {
           getIdentifier: () => LOG_PREFIX,
+          rankingProfile: userConfig.RankingProfile,
+          keywordFilters: userConfig.KeywordFilters,
           isAborted: () => permissionDenied || RdLimiter.getLimiter(apiKey).isRateLimitAborted(),
           checkCachedHashes: async (hashes) => {
               if (permissionDenied || RdLimiter.getLimiter(apiKey).isRateLimitAborted()) return new Set();
@@ -798,24 +818,26 @@ async function searchRealDebridTorrents(apiKey, type, id, userConfig = {}, clien
 
               return cached;
           },
-          liveCheckHash: async (hash) => {
-              if (permissionDenied || RdLimiter.getLimiter(apiKey).isRateLimitAborted()) return false;
+          // Resolves null when RD gave no answer, so only real answers reach the shared hash index
+          liveCheckHash: (hash) => withLiveConfidence('realdebrid', apiKey, hash, async () => {
+              if (permissionDenied || RdLimiter.getLimiter(apiKey).isRateLimitAborted()) return null;
+              if (!torrentIdsToDelete.hasRoom()) return null;
               let torrentId;
               try {
                   const normalizedHash = normalizeInfoHash(hash);
                   if (!normalizedHash) {
                     console.log(`[${LOG_PREFIX} CACHE-CHECK] Skipping invalid hash: ${hash}`);
-                    return false;
+                    return null;
                   }
                   const magnet = `magnet:?xt=urn:btih:${normalizedHash}`;
                   // Don't catch errors here - let the rate limiter handle retries
                   const addResponse = await rdCall(() => RD.torrents.addMagnet(magnet), apiKey);
                   if (!addResponse?.data?.id) {
                     console.log(`[${LOG_PREFIX} CACHE-CHECK] addMagnet failed for ${hash} (no torrent ID returned)`);
-                    return false;
+                    return null;
                   }
                   torrentId = addResponse.data.id;
-                  torrentIdsToDelete.add(torrentId);
+                  torrentIdsToDelete.add(torrentId, normalizedHash);
                   await rdCall(() => RD.torrents.selectFiles(torrentId, 'all'), apiKey);
                   // Don't catch errors here - let the rate limiter handle retries
                   const torrentInfo = await rdCall(() => RD.torrents.info(torrentId), apiKey);
@@ -853,13 +875,13 @@ async function searchRealDebridTorrents(apiKey, type, id, userConfig = {}, clien
                 if (status === 403 && message && message.toLowerCase().includes('permission')) {
                   console.error(`[${LOG_PREFIX} CACHE-CHECK] ⛔ Permission denied (HTTP 403) - stopping all searches for this user. Please check your RealDebrid API key and account status.`);
                   permissionDenied = true;
-                  return false;
+                  return null;
                 }
 
                 console.log(`[${LOG_PREFIX} CACHE-CHECK] Exception during live check for ${hash}: ${status ? `HTTP ${status}` : ''} ${message}`);
               }
-              return false;
-          },
+              return null;
+          }),
           batchCheckSeasonPacks: async (hashes, season, episode) => {
               if (permissionDenied || RdLimiter.getLimiter(apiKey).isRateLimitAborted()) return new Map();
               const MAX_PACKS_TO_INSPECT = config.MAX_PACKS_TO_INSPECT || 3;
@@ -879,12 +901,14 @@ async function searchRealDebridTorrents(apiKey, type, id, userConfig = {}, clien
 
                       if (existingTorrent) {
                           torrentId = existingTorrent.id;
+                      } else if (!torrentIdsToDelete.hasRoom()) {
+                          break;
                       } else {
                           const magnet = `magnet:?xt=urn:btih:${normalizedHash}`;
                           const addResponse = await rdCall(() => RD.torrents.addMagnet(magnet), apiKey);
                           if (!addResponse?.data?.id) continue;
                           torrentId = addResponse.data.id;
-                          torrentIdsToDelete.add(torrentId);
+                          torrentIdsToDelete.add(torrentId, normalizedHash);
                           await rdCall(() => RD.torrents.selectFiles(torrentId, 'all'), apiKey);
                       }
                       const info = await rdCall(() => RD.torrents.info(torrentId), apiKey);
@@ -1032,6 +1056,8 @@ async function searchRealDebridTorrents(apiKey, type, id, userConfig = {}, clien
         const RDsync = createRealDebridClient(apiKey, { clientIp });
         const syncHandler = {
           getIdentifier: () => LOG_PREFIX,
+          rankingProfile: userConfig.RankingProfile,
+          keywordFilters: userConfig.KeywordFilters,
           isAborted: () => false,
           checkCachedHashes: async (hashes) => {
             if (sqliteCache?.isEnabled()) return await sqliteCache.getCachedHashes('realdebrid', hashes);
@@ -1074,6 +1100,17 @@ async function searchRealDebridTorrents(apiKey, type, id, userConfig = {}, clien
       }
     }
 
+    // Opt-in "show uncached": the best torrents not known to be cached are listed after the cached ones
+    if (!isBackgroundRefresh) {
+      const uncachedPicks = selectUncachedTorrents(uncachedExternalTorrents, getUncachedLimit(userConfig), {
+        cachedHashes: new Set(allResults.map(result => result.hash).filter(Boolean)),
+        rankingProfile: userConfig.RankingProfile,
+        keywordFilters: userConfig.KeywordFilters,
+        episodeInfo
+      });
+      allResults = [...allResults, ...uncachedPicks.map(torrent => toUncachedResult(formatCachedResult(torrent, false)))];
+    }
+
     console.log(`[${LOG_PREFIX}] Returning ${allResults.length} immediate cached streams (sorted)`);
     return allResults;
 
@@ -1090,7 +1127,7 @@ async function searchRealDebridTorrents(apiKey, type, id, userConfig = {}, clien
 async function searchTorrents(apiKey, searchKey = null, threshold = 0.3) {
   await loadHashCache(); // no-op; file cache removed
   const RD = createRealDebridClient(apiKey);
-  const torrentIdsToDelete = new Set();
+  const torrentIdsToDelete = trackTemporaryTorrents(apiKey);
   let permissionDenied = false;
 
   const rdHandler = {
@@ -1125,8 +1162,9 @@ async function searchTorrents(apiKey, searchKey = null, threshold = 0.3) {
       
       return cached;
     },
-    liveCheckHash: async (hash) => {
-      if (permissionDenied || RdLimiter.getLimiter(apiKey).isRateLimitAborted()) return false;
+    liveCheckHash: (hash) => withLiveConfidence('realdebrid', apiKey, hash, async () => {
+      if (permissionDenied || RdLimiter.getLimiter(apiKey).isRateLimitAborted()) return null;
+      if (!torrentIdsToDelete.hasRoom()) return null;
       let torrentId;
       try {
         const magnet = `magnet:?xt=urn:btih:${hash}`;
@@ -1134,10 +1172,10 @@ async function searchTorrents(apiKey, searchKey = null, threshold = 0.3) {
         const addResponse = await rdCall(() => RD.torrents.addMagnet(magnet), apiKey);
         if (!addResponse?.data?.id) {
           console.log(`[${LOG_PREFIX} CACHE-CHECK] addMagnet failed for ${hash} (no torrent ID returned)`);
-          return false;
+          return null;
         }
         torrentId = addResponse.data.id;
-        torrentIdsToDelete.add(torrentId);
+        torrentIdsToDelete.add(torrentId, hash);
         await rdCall(() => RD.torrents.selectFiles(torrentId, 'all'), apiKey);
         // Don't catch errors here - let the rate limiter handle retries
         const torrentInfo = await rdCall(() => RD.torrents.info(torrentId), apiKey);
@@ -1167,13 +1205,13 @@ async function searchTorrents(apiKey, searchKey = null, threshold = 0.3) {
         if (status === 403 && message && message.toLowerCase().includes('permission')) {
           console.error(`[${LOG_PREFIX} CACHE-CHECK] ⛔ Permission denied (HTTP 403) - stopping all searches for this user. Please check your RealDebrid API key and account status.`);
           permissionDenied = true;
-          return false;
+          return null;
         }
 
         console.log(`[${LOG_PREFIX} CACHE-CHECK] Exception during live check for ${hash}: ${status ? `HTTP ${status}` : ''} ${message}`);
       }
-      return false;
-    },
+      return null;
+    }),
     cleanup: async () => {
       await saveHashCache(); // no-op; file cache removed
       if (torrentIdsToDelete.size > 0) cleanupTemporaryTorrents(RD, Array.from(torrentIdsToDelete), apiKey);
@@ -1790,6 +1828,86 @@ async function listTorrents(apiKey, skip = 0) {
   }
 }
 
+/**
+ * Lists the user's finished RD torrents for the personal downloads catalog.
+ * @param {string} apiKey - RD API key
+ * @returns {Promise<Array>} Download-shaped items carrying their torrentId
+ */
+// RD torrent statuses that will never finish on their own
+const RD_DEAD_STATUSES = new Set(['magnet_error', 'error', 'virus', 'dead']);
+
+function libraryStatus(rdStatus) {
+  if (rdStatus === 'downloaded') return 'ready';
+  return RD_DEAD_STATUSES.has(rdStatus) ? 'dead' : 'downloading';
+}
+
+async function listLibrary(apiKey, { includeInactive = false } = {}) {
+  const RD = createRealDebridClient(apiKey);
+  try {
+    let torrents;
+    const cached = personalFilesCache.get(apiKey);
+    if (cached) {
+      torrents = cached.torrents;
+    } else {
+      torrents = await getAllTorrents(RD, apiKey);
+      const downloads = await getAllDownloads(RD, apiKey).catch(() => []);
+      personalFilesCache.set(apiKey, torrents, downloads);
+    }
+    return torrents
+      .filter(torrent => includeInactive || torrent.status === 'downloaded')
+      .map(torrent => ({
+        id: torrent.id,
+        torrentId: torrent.id,
+        name: torrent.filename,
+        size: torrent.bytes,
+        hash: torrent.hash,
+        status: libraryStatus(torrent.status),
+        isPersonal: true
+      }));
+  } catch (error) {
+    console.error(`[${LOG_PREFIX}] Library error: ${error.message}`);
+    return [];
+  }
+}
+
+async function deleteTorrent(apiKey, torrentId) {
+  const RD = createRealDebridClient(apiKey);
+  await rdCall(() => RD.torrents.delete(torrentId), apiKey);
+  personalFilesCache.clear(apiKey);
+  return true;
+}
+
+async function addMagnet(apiKey, magnet) {
+  const RD = createRealDebridClient(apiKey);
+  const response = await rdCall(() => RD.torrents.addMagnet(magnet), apiKey);
+  const torrentId = response?.data?.id;
+  if (!torrentId) throw new Error('Real-Debrid did not return a torrent ID');
+  await rdCall(() => RD.torrents.selectFiles(torrentId, 'all'), apiKey);
+  personalFilesCache.clear(apiKey);
+  return torrentId;
+}
+
+async function getDownloadStatus(apiKey, torrentId) {
+  const RD = createRealDebridClient(apiKey);
+  const response = await rdCall(() => RD.torrents.info(torrentId), apiKey);
+  const rdStatus = String(response?.data?.status || '').toLowerCase();
+  const status = libraryStatus(rdStatus);
+  return { status, progress: status === 'ready' ? 100 : Number(response?.data?.progress) || 0 };
+}
+
+// `premium` is the premium time left in seconds
+async function getAccountInfo(apiKey) {
+  const RD = createRealDebridClient(apiKey);
+  const response = await rdCall(() => RD.user.get(), apiKey);
+  const user = response?.data || {};
+  return {
+    premium: user.type === 'premium' && Number(user.premium) > 0,
+    expiresAt: user.expiration ? new Date(user.expiration).toISOString() : null,
+    quotaExhausted: false,
+    renewUrl: 'https://real-debrid.com/premium'
+  };
+}
+
 async function getTorrentDetails(apiKey, id) {
   const RD = createRealDebridClient(apiKey);
   const torrentId = id.includes(':') ? id.split(':')[0] : id;
@@ -1826,10 +1944,12 @@ async function toTorrentDetails(apiKey, item) {
       videos: []
     };
   }
-  const videos = item.files
-    .filter(file => file.selected && isValidVideo(file.path, file.bytes, 50 * 1024 * 1024, LOG_PREFIX))
-    .map((file, index) => {
-      const idx = item.files.findIndex(f => f.id === file.id);
+  // Links map to the selected files in order
+  const selectedFiles = item.files.filter(file => file.selected);
+  const videos = selectedFiles
+    .map((file, idx) => ({ file, idx }))
+    .filter(({ file }) => isValidVideo(file.path, file.bytes, 50 * 1024 * 1024, LOG_PREFIX))
+    .map(({ file, idx }) => {
       const hostUrl = item.links?.[idx];
       if (!hostUrl || hostUrl === 'undefined') return null;
       return {
@@ -1855,6 +1975,47 @@ async function toTorrentDetails(apiKey, item) {
   };
 }
 
+/**
+ * Lists the subtitle files shipped next to a video in the user's RD torrents.
+ * Links map to selected files in order, so every file gets the link at its selected index.
+ * @param {string} apiKey - RD API key
+ * @param {{fileName?: string, size?: number}} video - Playing video (Stremio subtitle extras)
+ * @returns {Promise<Array<{name: string, url: string, lang: string}>>} Subtitles with RD hoster links
+ */
+async function getSubtitleFiles(apiKey, video = {}) {
+  if (!video.fileName) return [];
+  const RD = createRealDebridClient(apiKey);
+  try {
+    let torrents;
+    const cached = personalFilesCache.get(apiKey);
+    if (cached) {
+      torrents = cached.torrents;
+    } else {
+      torrents = await getAllTorrents(RD, apiKey);
+      const downloads = await getAllDownloads(RD, apiKey).catch(() => []);
+      personalFilesCache.set(apiKey, torrents, downloads);
+    }
+
+    const releases = torrents
+      .filter(torrent => torrent.status === 'downloaded')
+      .map(torrent => ({ id: torrent.id, name: torrent.filename }));
+    const subtitles = await findReleaseSubtitles(releases, video, async (torrent) => {
+      const info = await rdCall(() => RD.torrents.info(torrent.id), apiKey);
+      const links = info?.data?.links || [];
+      let selectedIndex = 0;
+      // Only selected files were downloaded, and only they have links
+      return (info?.data?.files || [])
+        .map(file => ({ path: file.path, size: file.bytes, link: file.selected ? links[selectedIndex++] : null }))
+        .filter(file => file.link);
+    });
+    if (subtitles.length > 0) console.log(`[${LOG_PREFIX}] Found ${subtitles.length} subtitles next to ${video.fileName}`);
+    return subtitles.map(({ file, lang }) => ({ name: file.path, url: file.link, lang }));
+  } catch (error) {
+    console.error(`[${LOG_PREFIX}] Subtitle lookup error: ${error.message}`);
+    return [];
+  }
+}
+
 async function searchDownloads(apiKey, searchKey = null, threshold = 0.3) {
   try {
     const RD = createRealDebridClient(apiKey);
@@ -1878,7 +2039,7 @@ async function searchDownloads(apiKey, searchKey = null, threshold = 0.3) {
 async function checkAndProcessCache(apiKey, externalTorrents) {
   await loadHashCache(); // no-op; file cache removed
   const RD = createRealDebridClient(apiKey);
-  const torrentIdsToDelete = new Set();
+  const torrentIdsToDelete = trackTemporaryTorrents(apiKey);
   let permissionDenied = false;
 
   const rdHandler = {
@@ -1913,8 +2074,9 @@ async function checkAndProcessCache(apiKey, externalTorrents) {
 
       return cached;
     },
-    liveCheckHash: async (hash) => {
-      if (permissionDenied || RdLimiter.getLimiter(apiKey).isRateLimitAborted()) return false;
+    liveCheckHash: (hash) => withLiveConfidence('realdebrid', apiKey, hash, async () => {
+      if (permissionDenied || RdLimiter.getLimiter(apiKey).isRateLimitAborted()) return null;
+      if (!torrentIdsToDelete.hasRoom()) return null;
       let torrentId;
       try {
         const magnet = `magnet:?xt=urn:btih:${hash}`;
@@ -1922,10 +2084,10 @@ async function checkAndProcessCache(apiKey, externalTorrents) {
         const addResponse = await rdCall(() => RD.torrents.addMagnet(magnet), apiKey);
         if (!addResponse?.data?.id) {
           console.log(`[${LOG_PREFIX} CACHE-CHECK] addMagnet failed for ${hash} (no torrent ID returned)`);
-          return false;
+          return null;
         }
         torrentId = addResponse.data.id;
-        torrentIdsToDelete.add(torrentId);
+        torrentIdsToDelete.add(torrentId, hash);
         await rdCall(() => RD.torrents.selectFiles(torrentId, 'all'), apiKey);
         // Don't catch errors here - let the rate limiter handle retries
         const torrentInfo = await rdCall(() => RD.torrents.info(torrentId), apiKey);
@@ -1938,6 +2100,7 @@ async function checkAndProcessCache(apiKey, externalTorrents) {
         return true;
           }
         }
+        return false;
       } catch (e) {
         const status = e?.response?.status || e?.status;
         const message = e?.response?.data?.error || e?.message || 'unknown';
@@ -1946,13 +2109,13 @@ async function checkAndProcessCache(apiKey, externalTorrents) {
         if (status === 403 && message && message.toLowerCase().includes('permission')) {
           console.error(`[${LOG_PREFIX} CACHE-CHECK] ⛔ Permission denied (HTTP 403) - stopping all searches for this user. Please check your RealDebrid API key and account status.`);
           permissionDenied = true;
-          return false;
+          return null;
         }
 
         console.log(`[${LOG_PREFIX} CACHE-CHECK] Exception during live check for ${hash}: ${status ? `HTTP ${status}` : ''} ${message}`);
       }
-      return false;
-    },
+      return null;
+    }),
     cleanup: async () => {
       await saveHashCache(); // no-op; file cache removed
       if (torrentIdsToDelete.size > 0) cleanupTemporaryTorrents(RD, Array.from(torrentIdsToDelete), apiKey);
@@ -1967,6 +2130,211 @@ async function checkAndProcessCache(apiKey, externalTorrents) {
   return cachedResults;
 }
 
+/**
+ * Plays a magnet: adds it (or reuses the account's copy of the same hash), waits for Real-Debrid
+ * to finish it, picks the file from the `||HINT||` and unrestricts that file's link.
+ * @param {string} apiKey
+ * @param {string} magnetUrl - Magnet link, optionally with a `||HINT||` suffix
+ * @param {string} [clientIp]
+ * @param {Object} [options]
+ * @param {function(string): Promise<void>} [options.onUncached] - Called with the hash when the torrent turns out not to be cached
+ * @returns {Promise<string|null>} Unrestricted URL
+ */
+async function resolveTorrentStream(apiKey, magnetUrl, clientIp, { onUncached = null } = {}) {
+  const maxRetries = 20; // Increase retries to allow more time for links to become available
+  const retryInterval = 3000; // Reduce delay to allow more attempts
+  const { url: hostUrl, hint: episodeHint } = splitEpisodeHint(magnetUrl);
+
+  const normalizedClientIp = clientIp ? String(clientIp).split(',')[0].trim() : '';
+  const RD = createRealDebridClient(apiKey, normalizedClientIp ? { clientIp: normalizedClientIp } : {});
+  let torrentId = null;
+  let createdTorrent = false;
+  try {
+    const magnetHash = torrentUtils.getHashFromMagnet(hostUrl);
+    const blockedStatuses = new Set(['magnet_error', 'error', 'virus', 'dead']);
+
+    if (magnetHash) {
+      await withRealDebridMagnetLock(apiKey, magnetHash, async () => {
+        torrentId = await findExistingTorrentIdByHash(RD, apiKey, magnetHash, blockedStatuses);
+        if (torrentId) {
+          console.log(`[${LOG_PREFIX}] Reusing existing torrent ${torrentId} for hash ${magnetHash.substring(0, 12)}...`);
+          return;
+        }
+
+        const addResponse = await rdCall(() => RD.torrents.addMagnet(hostUrl), apiKey);
+        if (!addResponse?.data?.id) throw new Error("Failed to add magnet.");
+        torrentId = addResponse.data.id;
+        createdTorrent = true;
+        console.log(`[${LOG_PREFIX}] Added new magnet as torrent ${torrentId}`);
+      });
+    } else {
+      const addResponse = await rdCall(() => RD.torrents.addMagnet(hostUrl), apiKey);
+      if (!addResponse?.data?.id) throw new Error("Failed to add magnet.");
+      torrentId = addResponse.data.id;
+      createdTorrent = true;
+      console.log(`[${LOG_PREFIX}] Added new magnet as torrent ${torrentId} (no hash lock)`);
+    }
+
+    let torrentInfo = await rdCall(() => RD.torrents.info(torrentId), apiKey);
+    const hasSelectedFiles = Array.isArray(torrentInfo?.data?.files)
+      ? torrentInfo.data.files.some(file => file?.selected)
+      : false;
+    if (!hasSelectedFiles || torrentInfo?.data?.status === 'waiting_files_selection') {
+      await rdCall(() => RD.torrents.selectFiles(torrentId, 'all'), apiKey);
+      torrentInfo = await rdCall(() => RD.torrents.info(torrentId), apiKey);
+    }
+
+    // First wait for the torrent to be processed and ready
+    const uncachedStatuses = new Set(['downloading', 'queued']);
+    for (let i = 0; i < maxRetries; i++) {
+      torrentInfo = await rdCall(() => RD.torrents.info(torrentId), apiKey);
+      const status = String(torrentInfo?.data?.status || '').toLowerCase();
+      if (status === 'downloaded' || status === 'finished') break;
+      if (blockedStatuses.has(status)) throw new Error(`Torrent failed: ${status}`);
+      if (i === 0 && onUncached && uncachedStatuses.has(status)) {
+        await onUncached(magnetHash);
+        throw new Error(`Torrent not cached (status: ${status})`);
+      }
+      if (i === maxRetries - 1) throw new Error(`Torrent not ready after ${Math.ceil((maxRetries * retryInterval) / 1000)}s`);
+      await new Promise(r => setTimeout(r, retryInterval));
+    }
+
+    // Now wait for links to become available (separate from download status)
+    let links = torrentInfo?.data?.links || [];
+    if (links.length === 0) {
+      console.log(`[${LOG_PREFIX}] Links not available yet, waiting for them to be generated...`);
+      for (let i = 0; i < maxRetries; i++) {
+        torrentInfo = await rdCall(() => RD.torrents.info(torrentId), apiKey);
+        links = torrentInfo?.data?.links || [];
+        if (links.length > 0) {
+          console.log(`[${LOG_PREFIX}] Links are now available: ${links.length} links found`);
+          break;
+        }
+        if (i === maxRetries - 1) throw new Error("No streamable links found after waiting");
+        await new Promise(r => setTimeout(r, retryInterval));
+      }
+    }
+
+    if (!links.length) throw new Error("No streamable links found.");
+
+    const files = torrentInfo.data.files || [];
+    const videoFiles = files.filter(f => f.selected);
+    if (videoFiles.length === 0) throw new Error("No valid video files.");
+
+    let chosen = null;
+    if (episodeHint) {
+      if (episodeHint.fileId != null) chosen = videoFiles.find(f => f.id === episodeHint.fileId) || null;
+      if (!chosen && episodeHint.filePath) chosen = videoFiles.find(f => f.path === episodeHint.filePath) || null;
+      if (!chosen && episodeHint.season && episodeHint.episode) {
+        const s = String(episodeHint.season).padStart(2, '0');
+        const e = String(episodeHint.episode).padStart(2, '0');
+        const patterns = [
+          new RegExp('[sS][\\W_]*' + s + '[\\W_]*[eE][\\W_]*' + e, 'i'),
+          new RegExp('\\b' + Number(episodeHint.season) + '[\\W_]*x[\\W_]*' + e + '\\b', 'i'),
+          new RegExp('\\b[eE]p?\\.?\\s*' + Number(episodeHint.episode) + '\\b', 'i'),
+          new RegExp('episode\\s*' + Number(episodeHint.episode), 'i')
+        ];
+        chosen = videoFiles.find(f => patterns.some(p => p.test(f.path))) || null;
+      }
+    }
+    if (!chosen) chosen = videoFiles.reduce((a, b) => (a.bytes > b.bytes ? a : b));
+
+    // Find the correct link for the chosen file
+    // RD API behavior: links[] array maps to files[] array (links[i] is for files[i])
+    let directUrl = null;
+    const chosenFileId = String(chosen.id);
+
+    // Method 1: Check if file has its own links property (newer API format)
+    if (chosen.links && Array.isArray(chosen.links) && chosen.links.length > 0) {
+      directUrl = chosen.links[0];
+      console.log(`[${LOG_PREFIX}] Found direct URL using file.links property for file ${chosenFileId}`);
+    }
+
+    // Method 2: Find the file's index in ALL files, then use that to index into links array
+    // This is the standard RD API mapping: links[i] corresponds to files[i]
+    if (!directUrl) {
+      const fileIndexInAll = files.findIndex(f => String(f.id) === chosenFileId);
+      if (fileIndexInAll !== -1 && fileIndexInAll < links.length) {
+        const potentialUrl = links[fileIndexInAll];
+        if (potentialUrl && potentialUrl !== 'undefined') {
+          directUrl = potentialUrl;
+          console.log(`[${LOG_PREFIX}] Found direct URL at index ${fileIndexInAll} for file ${chosenFileId}`);
+        }
+      } else {
+        console.log(`[${LOG_PREFIX}] Method 2 failed: File index: ${fileIndexInAll}, links length: ${links.length}, files length: ${files.length}`);
+      }
+    }
+
+    // Method 3: Try finding among selected files only (fallback for edge cases)
+    // Some RD API versions may only return links for selected files
+    if (!directUrl) {
+      const selectedFiles = files.filter(f => f.selected);
+      const indexInSelected = selectedFiles.findIndex(f => String(f.id) === chosenFileId);
+      if (indexInSelected !== -1 && indexInSelected < links.length) {
+        const potentialUrl = links[indexInSelected];
+        if (potentialUrl && potentialUrl !== 'undefined') {
+          directUrl = potentialUrl;
+          console.log(`[${LOG_PREFIX}] Found direct URL at selected-index ${indexInSelected} for file ${chosenFileId}`);
+        }
+      } else {
+        console.log(`[${LOG_PREFIX}] Method 3 failed: Selected index: ${indexInSelected}, selected files: ${selectedFiles.length}`);
+      }
+    }
+
+    if (!directUrl || directUrl === 'undefined') {
+      // Enhanced debugging: show all files and their selection status
+      console.error(`[${LOG_PREFIX}] Magnet error: Direct URL not found for torrent ${torrentId}, file ${chosenFileId}`);
+      console.error(`[${LOG_PREFIX}] Files info: ${files.length} total files, ${videoFiles.length} selected video files, ${links.length} links`);
+      files.forEach((f, idx) => {
+        console.error(`[${LOG_PREFIX}]   File[${idx}]: id=${f.id}, selected=${f.selected}, path=${f.path}`);
+      });
+      links.forEach((link, idx) => {
+        console.error(`[${LOG_PREFIX}]   Link[${idx}]: ${link ? 'present' : 'missing'}`);
+      });
+      throw new Error("Direct URL not found.");
+    }
+
+    const unrestrictedUrl = await unrestrictUrl(apiKey, directUrl, clientIp);
+    if (!unrestrictedUrl) throw new Error("Unrestrict failed.");
+    return unrestrictedUrl;
+  } catch (error) {
+    const status = error?.response?.status || error?.status;
+    console.error(`[${LOG_PREFIX}] Magnet error: ${error.message}${status ? ` (HTTP ${status})` : ''}`);
+    if (createdTorrent && torrentId) {
+      try { await rdCall(() => RD.torrents.delete(torrentId), apiKey); } catch (_) {}
+    }
+    return null;
+  }
+}
+
+registerProvider({
+  name: 'RealDebrid',
+  label: 'Real-Debrid',
+  streamName: '[RD+] Sootio',
+  results: { movieFilter: 'movie-only', seriesFilter: 'episode', preformatted: true },
+  capabilities: {
+    search: (apiKey, type, id, config, { clientIp, isBackgroundRefresh } = {}) =>
+      searchRealDebridTorrents(apiKey, type, id, config, clientIp, isBackgroundRefresh),
+    personalFiles: {
+      search: (apiKey, searchKey, { clientIp } = {}) => searchPersonalFiles(apiKey, searchKey, 0.3, clientIp),
+      list: apiKey => listLibrary(apiKey)
+    },
+    catalog: {
+      list: apiKey => listLibrary(apiKey),
+      search: searchTorrents,
+      details: getTorrentDetails
+    },
+    library: listLibrary,
+    delete: deleteTorrent,
+    addMagnet,
+    downloadStatus: getDownloadStatus,
+    accountInfo: getAccountInfo,
+    subtitles: getSubtitleFiles,
+    resolve: (apiKey, url, { clientIp, onUncached } = {}) => (url.startsWith('magnet:') || url.includes('||HINT||'))
+      ? resolveTorrentStream(apiKey, url, clientIp, { onUncached })
+      : unrestrictUrl(apiKey, url, clientIp)
+  }
+});
 
 export default {
   listTorrents,
@@ -1979,7 +2347,12 @@ export default {
   resolveStreamUrl,
   validatePersonalStreams,
   makeReleaseKey,
-  searchPersonalFiles
+  searchPersonalFiles,
+  getSubtitleFiles,
+  listLibrary,
+  deleteTorrent,
+  addMagnet,
+  resolveTorrentStream
 };
 
 function makeReleaseKey(type, imdbId, season = null, episode = null) {
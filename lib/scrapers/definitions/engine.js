@@ -0,0 +1,589 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import yaml from 'js-yaml';
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { join, extname } from 'path';
+import { fileURLToPath } from 'url';
+import * as config from '../../config.js';
+import { normalizeInfoHash, sizeToBytes } from '../../common/torrent-utils.js';
+import debridProxyManager from '../../util/debrid-proxy.js';
+
+// Import scraper utilities
+import { createTimerLabel } from '../utils/timing.js';
+import { detectSimpleLangs } from '../utils/filtering.js';
+import { processAndDeduplicate } from '../utils/deduplication.js';
+import { handleScraperError } from '../utils/error-handling.js';
+import { generateScraperCacheKey } from '../utils/cache.js';
+import * as SqliteCache from '../../util/cache-store.js';
+import { getCachedCfCookie, clearCfCookie, solveAndCache, isCloudflareChallenge } from '../utils/cf-cookie-manager.js';
+
+// Engine for public trackers described by definition files (YAML or JSON, in the spirit of
+// Jackett's Cardigann): a search URL template, a CSS selector for the result rows and one
+// per field, pagination limits and whether the site sits behind Cloudflare. The built-in
+// definitions live in ./trackers; SCRAPER_DEFINITIONS_DIR adds more or overrides them by id.
+// The format is described in the README (Tracker definitions).
+
+// Keep a stable reference to env config for fallbacks when user config is partial
+const ENV = config;
+
+const BUILTIN_DIR = fileURLToPath(new URL('./trackers/', import.meta.url));
+const DEFINITION_EXTENSIONS = new Set(['.yml', '.yaml', '.json']);
+const FLARESOLVERR_MODES = new Set(['none', 'fallback', 'required']);
+const RESULT_FIELDS = ['title', 'infoHash', 'magnet', 'details', 'size', 'seeders', 'leechers'];
+const DETAIL_FIELDS = ['infoHash', 'magnet'];
+const CHALLENGE_STATUSES = new Set([403, 503]);
+const DEFAULT_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:120.0) Gecko/20100101 Firefox/120.0',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.5',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'Connection': 'keep-alive'
+};
+
+const axiosByTracker = new Map();
+const inFlightRequests = new Map();
+let definitions = null;
+
+function getAxios(id) {
+    if (!axiosByTracker.has(id)) {
+        axiosByTracker.set(id, axios.create(debridProxyManager.getScraperAxiosConfig(id)));
+    }
+    return axiosByTracker.get(id);
+}
+
+function definitionError(source, message) {
+    return new Error(`Tracker definition ${source}: ${message}`);
+}
+
+function compileSelector(spec, source, name) {
+    const alternatives = Array.isArray(spec) ? spec : [spec];
+    if (alternatives.length === 0) throw definitionError(source, `field ${name} is empty`);
+    return alternatives.map(alternative => {
+        const field = typeof alternative === 'string' ? { selector: alternative } : alternative;
+        if (!field || typeof field !== 'object') throw definitionError(source, `field ${name} must be a selector or an object`);
+        if (field.index !== undefined && !Number.isInteger(field.index)) {
+            throw definitionError(source, `field ${name} has a non-integer index`);
+        }
+        let pattern = null;
+        if (field.pattern) {
+            try {
+                pattern = new RegExp(field.pattern, 'i');
+            } catch (error) {
+                throw definitionError(source, `field ${name} has an invalid pattern: ${error.message}`);
+            }
+        }
+        return {
+            selector: field.selector || null,
+            attribute: field.attribute || null,
+            pattern,
+            index: field.index ?? null
+        };
+    });
+}
+
+function compileFields(fields, allowed, source) {
+    const compiled = {};
+    for (const [name, spec] of Object.entries(fields || {})) {
+        if (!allowed.includes(name)) throw definitionError(source, `unknown field ${name}`);
+        compiled[name] = compileSelector(spec, source, name);
+    }
+    return compiled;
+}
+
+/**
+ * Checks a parsed definition file and compiles its patterns.
+ * @param {Object} raw - Parsed YAML/JSON
+ * @param {string} [source] - File name, for error messages
+ * @returns {Object} The definition, ready for parsePage/searchTracker
+ */
+export function compileDefinition(raw, source = 'definition') {
+    if (!raw || typeof raw !== 'object') throw definitionError(source, 'not an object');
+    const id = String(raw.id || '');
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(id)) throw definitionError(source, 'id must be lowercase letters, digits, - or _');
+    const links = Array.isArray(raw.links) ? raw.links : [raw.links].filter(Boolean);
+    if (links.length === 0) throw definitionError(source, 'links needs the site URL');
+    const flaresolverr = raw.flaresolverr || 'none';
+    if (!FLARESOLVERR_MODES.has(flaresolverr)) {
+        throw definitionError(source, `flaresolverr must be one of ${[...FLARESOLVERR_MODES].join(', ')}`);
+    }
+
+    const search = raw.search || {};
+    if (!search.path) throw definitionError(source, 'search.path is required');
+    if (!search.rows) throw definitionError(source, 'search.rows is required');
+    const fields = compileFields(search.fields, RESULT_FIELDS, source);
+    if (!fields.title) throw definitionError(source, 'search.fields.title is required');
+    const detailFields = compileFields(raw.detail?.fields, DETAIL_FIELDS, source);
+    if (fields.details && Object.keys(detailFields).length === 0) {
+        throw definitionError(source, 'search.fields.details needs detail.fields.magnet or detail.fields.infoHash');
+    }
+    if (!fields.infoHash && !fields.magnet && !fields.details) {
+        throw definitionError(source, 'search.fields needs infoHash, magnet or details');
+    }
+
+    const languages = Array.isArray(raw.languages) ? raw.languages.map(language => String(language).toLowerCase()) : [];
+    const detailConcurrency = raw.detail?.concurrency ?? 0;
+    if (!Number.isInteger(detailConcurrency) || detailConcurrency < 0) {
+        throw definitionError(source, 'detail.concurrency must be a non-negative integer');
+    }
+
+    return {
+        id,
+        name: raw.name || id,
+        // Trackers added through SCRAPER_DEFINITIONS_DIR only run once their file opts in
+        enabled: raw.enabled === true,
+        languages,
+        links: links.map(link => String(link).replace(/\/$/, '')),
+        flaresolverr,
+        settings: raw.settings || {},
+        search: {
+            path: search.path,
+            pagePath: search.pagePath || search.path,
+            rows: search.rows,
+            limit: search.limit ?? 100,
+            maxPages: search.maxPages ?? 1,
+            pageSize: search.pageSize ?? 0,
+            retryWithoutYear: search.retryWithoutYear === true,
+            headers: search.headers || {},
+            fields
+        },
+        detail: { fields: detailFields, concurrency: detailConcurrency }
+    };
+}
+
+function readDefinitionFile(file) {
+    const text = readFileSync(file, 'utf-8');
+    return extname(file) === '.json' ? JSON.parse(text) : yaml.load(text);
+}
+
+function loadDirectory(dir, custom) {
+    if (!existsSync(dir)) {
+        console.error(`[TRACKER DEFINITIONS] Directory not found: ${dir}`);
+        return [];
+    }
+    const loaded = [];
+    for (const file of readdirSync(dir).sort()) {
+        if (!DEFINITION_EXTENSIONS.has(extname(file))) continue;
+        try {
+            loaded.push({ ...compileDefinition(readDefinitionFile(join(dir, file)), file), custom });
+        } catch (error) {
+            // One broken file should not take the other trackers down
+            console.error(`[TRACKER DEFINITIONS] Skipping ${file}: ${error.message}`);
+        }
+    }
+    return loaded;
+}
+
+/**
+ * Loads the built-in definitions and those in SCRAPER_DEFINITIONS_DIR (once; a custom
+ * definition replaces the built-in one with the same id).
+ * @returns {Map<string, Object>} id -> definition
+ */
+export function loadDefinitions() {
+    if (definitions) return definitions;
+    definitions = new Map();
+    for (const definition of loadDirectory(BUILTIN_DIR, false)) definitions.set(definition.id, definition);
+    const customDir = process.env.SCRAPER_DEFINITIONS_DIR;
+    if (customDir) {
+        for (const definition of loadDirectory(customDir, true)) {
+            if (definitions.has(definition.id)) {
+                console.log(`[TRACKER DEFINITIONS] ${definition.id} from ${customDir} replaces the built-in definition`);
+            }
+            definitions.set(definition.id, definition);
+        }
+    }
+    console.log(`[TRACKER DEFINITIONS] Loaded ${definitions.size} tracker definitions: ${[...definitions.keys()].join(', ')}`);
+    return definitions;
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export function getDefinition(id) {
+    return loadDefinitions().get(id);
+}
+
+/**
+ * @returns {Object[]} Definitions loaded from SCRAPER_DEFINITIONS_DIR
+ */
+export function getCustomDefinitions() {
+    return [...loadDefinitions().values()].filter(definition => definition.custom);
+}
+
+function extractField($, $row, alternatives) {
+    for (const { selector, attribute, pattern, index } of alternatives) {
+        let elements = selector ? $row.find(selector) : $row;
+        if (index !== null) elements = elements.eq(index);
+        for (const element of elements.toArray()) {
+            const value = String((attribute ? $(element).attr(attribute) : $(element).text()) || '').trim();
+            if (!value) continue;
+            if (!pattern) return value;
+            const match = value.match(pattern);
+            if (match) return (match[1] ?? match[0]).trim();
+        }
+    }
+    return null;
+}
+
+// Sites in IEC units ("1.4 GiB") are read like their SI spelling, as the scrapers always did
+function parseSize(value) {
+    return sizeToBytes(String(value || '').replace(/([KMGT])iB/i, '$1B'));
+}
+
+function parseCount(value) {
+    return parseInt(String(value || '').replace(/[,.\s]/g, ''), 10) || 0;
+}
+
+/**
+ * Parses one page of search results.
+ * @param {Object} definition - From compileDefinition
+ * @param {string} html
+ * @returns {Array<{title: string, infoHash: string|null, magnet: string|null, details: string|null, size: number, seeders: number, leechers: number|null}>}
+ *   Rows with a title and an info hash, a magnet or a details link
+ */
+export function parsePage(definition, html) {
+    const $ = cheerio.load(html);
+    const { fields } = definition.search;
+    const rows = [];
+    const seen = new Set();
+
+    $(definition.search.rows).each((_, element) => {
+        const $row = $(element);
+        const title = extractField($, $row, fields.title);
+        if (!title) return;
+
+        const magnet = fields.magnet ? extractField($, $row, fields.magnet) : null;
+        const hashValue = fields.infoHash ? extractField($, $row, fields.infoHash) : null;
+        const infoHash = normalizeInfoHash(hashValue) || normalizeInfoHash(magnet);
+        const details = fields.details ? extractField($, $row, fields.details) : null;
+        if (!infoHash && !details) return;
+
+        const key = infoHash || details;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        rows.push({
+            title,
+            infoHash,
+            magnet: magnet?.startsWith('magnet:') ? magnet : null,
+            details,
+            size: fields.size ? parseSize(extractField($, $row, fields.size)) : 0,
+            seeders: fields.seeders ? parseCount(extractField($, $row, fields.seeders)) : 0,
+            leechers: fields.leechers ? parseCount(extractField($, $row, fields.leechers)) : null
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Parses a details page for the torrent link of a result row.
+ * @param {Object} definition
+ * @param {string} html
+ * @returns {{infoHash: string, magnet: string|null}|null}
+ */
+export function parseDetailPage(definition, html) {
+    const $ = cheerio.load(html);
+    const { fields } = definition.detail;
+    const $root = $.root();
+    const magnet = fields.magnet ? extractField($, $root, fields.magnet) : null;
+    const hashValue = fields.infoHash ? extractField($, $root, fields.infoHash) : null;
+    const infoHash = normalizeInfoHash(hashValue) || normalizeInfoHash(magnet);
+    if (!infoHash) return null;
+    return { infoHash, magnet: magnet?.startsWith('magnet:') ? magnet : null };
+}
+
+/**
+ * @param {string} template - Search path with {query} and {page}
+ * @param {string} query
+ * @param {number} page
+ * @returns {string}
+ */
+export function buildSearchPath(template, query, page) {
+    return template
+        .replace(/\{query\}/g, encodeURIComponent(query))
+        .replace(/\{page\}/g, String(page));
+}
+
+// Paths are appended to the base as is, so a base URL with a path prefix keeps it
+function absoluteUrl(base, path) {
+    if (/^https?:\/\//i.test(path)) return path;
+    return `${base}${path.startsWith('/') ? '' : '/'}${path}`;
+}
+
+function toResult(definition, row) {
+    const result = {
+        Title: row.title,
+        InfoHash: row.infoHash,
+        Size: row.size,
+        Seeders: row.seeders,
+        Tracker: definition.name,
+        Langs: [...new Set([...definition.languages, ...detectSimpleLangs(row.title)])],
+        Magnet: row.magnet || `magnet:?xt=urn:btih:${row.infoHash}&dn=${encodeURIComponent(row.title)}`
+    };
+    if (row.leechers !== null) result.Leechers = row.leechers;
+    return result;
+}
+
+// The settings block maps limit/maxPages/timeout/url to config keys, so existing env vars
+// and per-user overrides keep working for ported scrapers
+function resolveSettings(definition, userConfig) {
+    const setting = key => (key ? userConfig?.[key] ?? ENV[key] : undefined);
+    const { settings, search } = definition;
+    return {
+        base: String(setting(settings.url) || definition.links[0]).replace(/\/$/, ''),
+        limit: setting(settings.limit) ?? search.limit,
+        maxPages: setting(settings.maxPages) ?? search.maxPages,
+        detailConcurrency: setting(settings.detailConcurrency) ?? definition.detail.concurrency,
+        timeout: setting(settings.timeout) ?? userConfig?.SCRAPER_TIMEOUT ?? ENV.SCRAPER_TIMEOUT ?? 10000,
+        flareSolverrUrl: userConfig?.FLARESOLVERR_URL || ENV.FLARESOLVERR_URL || ''
+    };
+}
+
+function cloudflareError(message) {
+    const error = new Error(message);
+    error.isCaptcha = true;
+    return error;
+}
+
+async function solveChallenge(session, url) {
+    const { definition, settings, logPrefix } = session;
+    const solved = await solveAndCache(session.domain, url, settings.flareSolverrUrl, settings.timeout, logPrefix, definition.name);
+    if (!solved) throw cloudflareError('Cloudflare challenge not solved by FlareSolverr');
+    session.cookie = { cookieHeader: solved.cookieHeader, userAgent: solved.userAgent };
+    return solved.body;
+}
+
+async function fetchHtml(session, url) {
+    const { definition, settings, signal, logPrefix } = session;
+    if (definition.flaresolverr === 'required' && !session.cookie?.cookieHeader) {
+        return solveChallenge(session, url);
+    }
+
+    const headers = { ...DEFAULT_HEADERS, ...definition.search.headers };
+    if (session.cookie?.userAgent) headers['User-Agent'] = session.cookie.userAgent;
+    if (session.cookie?.cookieHeader) headers['Cookie'] = session.cookie.cookieHeader;
+
+    let status;
+    let html;
+    try {
+        const response = await getAxios(definition.id).get(url, { timeout: settings.timeout, signal, headers });
+        status = response.status;
+        html = response.data;
+    } catch (error) {
+        if (!CHALLENGE_STATUSES.has(error.response?.status)) throw error;
+        status = error.response.status;
+        html = error.response.data;
+    }
+
+    const body = typeof html === 'string' ? html : '';
+    if (!CHALLENGE_STATUSES.has(status) && !isCloudflareChallenge(body)) return body;
+
+    if (session.cookie) {
+        console.log(`[${logPrefix} SCRAPER] ${definition.name} cached CF cookie expired for ${session.domain}, clearing`);
+        await clearCfCookie(session.domain);
+        session.cookie = null;
+    }
+    if (definition.flaresolverr === 'none' || !settings.flareSolverrUrl) {
+        throw cloudflareError(`Blocked by Cloudflare (status ${status}) and no FlareSolverr configured`);
+    }
+    console.log(`[${logPrefix} SCRAPER] ${definition.name} received ${status} / Cloudflare page, retrying via FlareSolverr`);
+    return solveChallenge(session, url);
+}
+
+async function fetchResultPages(session, query) {
+    const { definition, settings, signal, logPrefix } = session;
+    const { search } = definition;
+    const rows = [];
+    const seen = new Set();
+
+    for (let page = 1; page <= settings.maxPages; page++) {
+        if (signal?.aborted || rows.length >= settings.limit) break;
+
+        const path = buildSearchPath(page === 1 ? search.path : search.pagePath, query, page);
+        const url = absoluteUrl(settings.base, path);
+        console.log(`[${logPrefix} SCRAPER] ${definition.name} fetching page ${page}: ${url}`);
+
+        let pageRows;
+        try {
+            pageRows = parsePage(definition, await fetchHtml(session, url));
+        } catch (error) {
+            if (error.name === 'AbortError' || axios.isCancel(error) || page === 1) throw error;
+            console.log(`[${logPrefix} SCRAPER] ${definition.name} page ${page} error: ${error.message}`);
+            break;
+        }
+        console.log(`[${logPrefix} SCRAPER] ${definition.name} page ${page} returned ${pageRows.length} results`);
+
+        for (const row of pageRows) {
+            if (rows.length >= settings.limit) break;
+            const key = row.infoHash || row.details;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            rows.push(row);
+        }
+
+        // A page shorter than a full one is the last
+        if (pageRows.length === 0 || pageRows.length < search.pageSize) break;
+    }
+
+    return rows;
+}
+
+// Rows that only link to a details page get their magnet from there, detail.concurrency
+// pages at a time (all at once when 0)
+async function resolveDetails(session, rows) {
+    const { definition, settings } = session;
+    const resolveRow = async row => {
+        if (row.infoHash || !row.details) return row;
+        try {
+            const detail = parseDetailPage(definition, await fetchHtml(session, absoluteUrl(settings.base, row.details)));
+            return detail ? { ...row, ...detail } : row;
+        } catch (error) {
+            if (error.name === 'AbortError' || axios.isCancel(error)) throw error;
+            return row;
+        }
+    };
+    const batchSize = settings.detailConcurrency > 0 ? settings.detailConcurrency : rows.length;
+    const resolved = [];
+    for (let i = 0; i < rows.length; i += batchSize) {
+        if (session.signal?.aborted) break;
+        resolved.push(...await Promise.all(rows.slice(i, i + batchSize).map(resolveRow)));
+    }
+    return resolved;
+}
+
+async function scrape(definition, query, signal, logPrefix, userConfig) {
+    const settings = resolveSettings(definition, userConfig);
+    const session = {
+        definition,
+        settings,
+        signal,
+        logPrefix,
+        domain: new URL(settings.base).hostname,
+        cookie: null
+    };
+
+    if (definition.flaresolverr === 'required' && !settings.flareSolverrUrl) {
+        console.log(`[${logPrefix} SCRAPER] ${definition.name} needs FlareSolverr; set FLARESOLVERR_URL to use it`);
+        return [];
+    }
+    if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+
+    if (definition.flaresolverr !== 'none') {
+        session.cookie = await getCachedCfCookie(session.domain);
+        if (session.cookie) {
+            console.log(`[${logPrefix} SCRAPER] ${definition.name} using cached CF cookie for ${session.domain}`);
+        }
+    }
+
+    let rows = await fetchResultPages(session, query);
+    // Some sites find nothing for "Title 1999" but do for "Title"
+    const yearStripped = query.replace(/\s+\d{4}$/, '').trim();
+    if (rows.length === 0 && definition.search.retryWithoutYear && yearStripped && yearStripped !== query && !signal?.aborted) {
+        console.log(`[${logPrefix} SCRAPER] ${definition.name} retrying without year: ${yearStripped}`);
+        rows = await fetchResultPages(session, yearStripped);
+    }
+
+    const results = (await resolveDetails(session, rows))
+        .filter(row => row.infoHash)
+        .map(row => toResult(definition, row));
+
+    console.log(`[${logPrefix} SCRAPER] ${definition.name} raw results before processing: ${results.length}`);
+    if (results.length > 0) {
+        console.log(`[${logPrefix} SCRAPER] ${definition.name} Sample raw results:`);
+        results.slice(0, 3).forEach((r, i) => {
+            console.log(`  ${i + 1}. ${r.Title}`);
+            console.log(`     Hash: ${r.InfoHash}, Size: ${(r.Size / (1024 ** 3)).toFixed(2)} GB, Seeders: ${r.Seeders}, Langs: [${r.Langs.join(', ')}]`);
+        });
+    }
+
+    // Every result of a single-language site is in that language, whatever its title says
+    const processedResults = processAndDeduplicate(results, definition.languages.length > 0 ? { ...userConfig, Languages: [] } : userConfig);
+    console.log(`[${logPrefix} SCRAPER] ${definition.name} found ${processedResults.length} results after processing (filtered from ${results.length}).`);
+    return processedResults;
+}
+
+/**
+ * Runs a search with a tracker definition, with result caching and in-flight
+ * de-duplication like the hand-written scrapers.
+ * @param {Object} definition - From compileDefinition
+ * @param {string} query - Search query
+ * @param {AbortSignal} signal - Abort signal
+ * @param {string} logPrefix - Logging prefix
+ * @param {object} userConfig - Configuration object
+ * @returns {Promise<Array>} - Array of torrent results
+ */
+export async function searchTracker(definition, query, signal, logPrefix, userConfig) {
+    const scraperName = definition.name;
+    const sfx = (userConfig?.Languages && userConfig.Languages.length) ? `:${userConfig.Languages[0]}` : ':none';
+    const timerLabel = createTimerLabel(logPrefix, scraperName, sfx);
+    console.time(timerLabel);
+
+    const cacheKey = generateScraperCacheKey(scraperName, query, userConfig);
+    const cachedResult = await SqliteCache.getCachedRecord('scraper', cacheKey);
+    const cached = cachedResult?.data || null;
+
+    if (cached && Array.isArray(cached)) {
+        console.log(`[${logPrefix} SCRAPER] ${scraperName} found ${cached.length} results from cache.`);
+        console.timeEnd(timerLabel);
+        return cached;
+    }
+
+    const existingPromise = inFlightRequests.get(cacheKey);
+    if (existingPromise) {
+        console.log(`[${logPrefix} SCRAPER] ${scraperName} awaiting in-flight request for ${cacheKey}`);
+        try {
+            return await existingPromise;
+        } finally {
+            console.timeEnd(timerLabel);
+        }
+    }
+
+    const scrapePromise = scrape(definition, query, signal, logPrefix, userConfig);
+    inFlightRequests.set(cacheKey, scrapePromise);
+
+    try {
+        const processedResults = await scrapePromise;
+
+        if (processedResults.length > 0) {
+            try {
+                const saved = await SqliteCache.upsertCachedMagnet({
+                    service: 'scraper',
+                    hash: cacheKey,
+                    data: processedResults
+                });
+                if (saved) {
+                    console.log(`[${logPrefix} SCRAPER] ${scraperName} saved ${processedResults.length} results to cache`);
+                }
+            } catch (cacheError) {
+                console.warn(`[${logPrefix} SCRAPER] ${scraperName} failed to save to cache: ${cacheError.message}`);
+            }
+        }
+
+        return processedResults;
+    } catch (error) {
+        handleScraperError(error, scraperName, logPrefix);
+        return [];
+    } finally {
+        inFlightRequests.delete(cacheKey);
+        console.timeEnd(timerLabel);
+    }
+}
+
+/**
+ * Searches the tracker with the given definition id.
+ * @param {string} id - Definition id (file in ./trackers or SCRAPER_DEFINITIONS_DIR)
+ * @param {string} query - Search query
+ * @param {AbortSignal} signal - Abort signal
+ * @param {string} logPrefix - Logging prefix
+ * @param {object} userConfig - Configuration object
+ * @returns {Promise<Array>} - Array of torrent results
+ */
+export async function searchDefinition(id, query, signal, logPrefix, userConfig) {
+    const definition = getDefinition(id);
+    if (!definition) {
+        console.error(`[${logPrefix} SCRAPER] No tracker definition with id ${id}`);
+        return [];
+    }
+    return searchTracker(definition, query, signal, logPrefix, userConfig);
+}
@@ -11,6 +11,7 @@ export { performBackgroundCacheCheck } from './background/cache-checker.js';
 // Export Torznab scrapers
 export { searchBitmagnet } from './torznab/bitmagnet.js';
 export { searchJackett } from './torznab/jackett.js';
+export { searchProwlarr } from './torznab/prowlarr.js';
 export { searchZilean } from './torznab/zilean.js';
 
 // Export Stremio addon scrapers
@@ -31,6 +32,9 @@ export { searchLimeTorrents } from './public-trackers/limetorrents.js';
 export { searchIlCorsaroNero } from './public-trackers/ilcorsaronero.js';
 export { searchThePirateBay } from './public-trackers/thepiratebay.js';
 
+// Export the tracker definition engine (trackers described by YAML/JSON files)
+export { searchDefinition, getCustomDefinitions } from './definitions/engine.js';
+
 // Export specialized scrapers
 export { searchSnowfl } from './specialized/snowfl.js';
 export { searchWolfmax4K } from './specialized/wolfmax4k.js';
@@ -0,0 +1,4 @@
+import { createTorznabScraper } from './torznab-scraper.js';
+
+// Every enabled Prowlarr torrent indexer over Torznab; PROWLARR_URL / PROWLARR_API_KEY / PROWLARR_TIMEOUT
+export const searchProwlarr = createTorznabScraper('prowlarr', 'PROWLARR');
@@ -0,0 +1,297 @@
+import axios from 'axios';
+import { parseStringPromise } from 'xml2js';
+import debridProxyManager from '../../util/debrid-proxy.js';
+
+// Torznab client shared by the Jackett and Prowlarr scrapers. Every indexer of the manager
+// is queried on its own Torznab endpoint, with the best query its caps allow: an IMDb ID
+// lookup (t=movie / t=tvsearch with season and ep) where supported, a text search otherwise.
+// Indexer lists and caps are cached per manager for TORZNAB_CAPS_TTL_MS.
+
+const CAPS_TTL_MS = parseInt(process.env.TORZNAB_CAPS_TTL_MS || '21600000', 10); // 6 hours
+const HEADERS = { 'User-Agent': 'Sooti/1.0' };
+
+// Standard Newznab category ranges; indexers advertise subcategories inside them
+export const CATEGORY_RANGES = {
+    movie: { min: 2000, max: 2999 },
+    series: { min: 5000, max: 5999 }
+};
+
+const axiosByScraper = new Map();
+// `${kind}:${base}:${apiKey}` -> { expiresAt, promise of indexers with caps }
+const indexerCache = new Map();
+
+function getAxios(scraper) {
+    if (!axiosByScraper.has(scraper)) {
+        axiosByScraper.set(scraper, axios.create(debridProxyManager.getScraperAxiosConfig(scraper)));
+    }
+    return axiosByScraper.get(scraper);
+}
+
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function parseSearchMode(node) {
+    const attrs = node?.$ || {};
+    const params = String(attrs.supportedParams || attrs.supportedparams || 'q')
+        .split(',')
+        .map(param => param.trim().toLowerCase())
+        .filter(Boolean);
+    return { available: attrs.available === 'yes', params };
+}
+
+/**
+ * @param {Object} caps - The <caps> element as parsed by xml2js
+ * @returns {{search: Object, tvSearch: Object, movieSearch: Object, categories: number[]}}
+ *   Search modes as {available, params}; categories include subcategories
+ */
+export function parseCapsElement(caps) {
+    const searching = caps?.searching?.[0] || {};
+    const categories = [];
+    for (const category of asArray(caps?.categories?.[0]?.category)) {
+        const id = parseInt(category.$?.id, 10);
+        if (Number.isFinite(id)) categories.push(id);
+        for (const subcat of asArray(category.subcat)) {
+            const subId = parseInt(subcat.$?.id, 10);
+            if (Number.isFinite(subId)) categories.push(subId);
+        }
+    }
+    return {
+        search: parseSearchMode(searching.search?.[0]),
+        tvSearch: parseSearchMode(searching['tv-search']?.[0]),
+        movieSearch: parseSearchMode(searching['movie-search']?.[0]),
+        categories
+    };
+}
+
+/**
+ * @param {string} xml - A t=caps response
+ */
+export async function parseCaps(xml) {
+    const parsed = await parseStringPromise(xml);
+    if (!parsed?.caps) throw new Error(describeTorznabError(parsed) || 'Torznab caps response has no <caps> element');
+    return parseCapsElement(parsed.caps);
+}
+
+/**
+ * @param {string} xml - Jackett's t=indexers response
+ * @returns {Promise<Array<{id: string, name: string, caps: Object}>>} Configured indexers
+ */
+export async function parseJackettIndexers(xml) {
+    const parsed = await parseStringPromise(xml);
+    if (!parsed?.indexers) throw new Error(describeTorznabError(parsed) || 'Jackett indexer list has no <indexers> element');
+    return asArray(parsed.indexers.indexer)
+        .filter(indexer => indexer.$?.configured !== 'false')
+        .map(indexer => ({
+            id: indexer.$.id,
+            name: indexer.title?.[0] || indexer.$.id,
+            caps: parseCapsElement(indexer.caps?.[0])
+        }));
+}
+
+function describeTorznabError(parsed) {
+    const error = parsed?.error?.$;
+    return error ? `Torznab error ${error.code}: ${error.description}` : null;
+}
+
+function infoHashFromMagnet(magnet) {
+    const match = String(magnet || '').match(/xt=urn:btih:([a-f0-9]{40})/i);
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * @param {string} xml - A Torznab search response
+ * @param {string} fallbackIndexer - Name used when items do not say which indexer they came from
+ * @returns {Promise<Array<{title: string, infoHash: string, size: number, seeders: number, indexer: string}>>}
+ *   Items with a usable info hash; items that only link a .torrent file are dropped
+ */
+export async function parseFeed(xml, fallbackIndexer) {
+    const parsed = await parseStringPromise(xml);
+    if (!parsed?.rss) throw new Error(describeTorznabError(parsed) || 'Torznab response has no <rss> element');
+    const items = asArray(parsed.rss.channel?.[0]?.item);
+    return items.map(item => {
+        const attrs = {};
+        for (const attr of asArray(item['torznab:attr'])) {
+            if (attr.$?.name) attrs[attr.$.name.toLowerCase()] = attr.$.value;
+        }
+        const link = item.link?.[0];
+        const infoHash = (/^[a-f0-9]{40}$/i.test(attrs.infohash || '') ? attrs.infohash.toLowerCase() : null)
+            || infoHashFromMagnet(attrs.magneturl)
+            || infoHashFromMagnet(link);
+        const title = item.title?.[0];
+        if (!infoHash || !title) return null;
+        const indexerNode = item.jackettindexer?.[0] || item.prowlarrindexer?.[0];
+        const indexer = (typeof indexerNode === 'string' ? indexerNode : indexerNode?._) || fallbackIndexer;
+        return {
+            title,
+            infoHash,
+            size: parseInt(attrs.size || item.size?.[0] || item.enclosure?.[0]?.$?.length, 10) || 0,
+            seeders: parseInt(attrs.seeders, 10) || 0,
+            indexer
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Chooses the query for one indexer.
+ * @param {Object} caps - From parseCaps()
+ * @param {Object} request
+ * @param {'movie'|'series'} request.type
+ * @param {string} [request.imdbId] - e.g. 'tt0944947'
+ * @param {string} [request.title] - Bare title, for tvsearch/movie with q
+ * @param {number|string} [request.season]
+ * @param {number|string} [request.episode]
+ * @param {string} request.query - Free-text query ("Title S01E02", "Title 2010") for plain search
+ * @returns {{mode: 'imdb'|'tv'|'movie'|'text', params: Object}} Torznab params without apikey
+ */
+export function planQuery(caps, { type, imdbId, title, season, episode, query }) {
+    const categories = pickCategories(caps, type);
+    const withCategories = params => (categories.length ? { ...params, cat: categories.join(',') } : params);
+    const hasSeason = season !== undefined && season !== null && season !== '';
+    const hasEpisode = episode !== undefined && episode !== null && episode !== '';
+
+    const { params: tvParams } = caps.tvSearch;
+    // Without season support a tvsearch returns every episode; the text query is narrower
+    if (type === 'series' && caps.tvSearch.available && (!hasSeason || tvParams.includes('season'))) {
+        const params = { t: 'tvsearch' };
+        if (hasSeason) params.season = season;
+        if (hasSeason && hasEpisode && tvParams.includes('ep')) params.ep = episode;
+        if (imdbId && tvParams.includes('imdbid')) {
+            return { mode: 'imdb', params: withCategories({ ...params, imdbid: imdbId }) };
+        }
+        if (title && tvParams.includes('q')) {
+            return { mode: 'tv', params: withCategories({ ...params, q: title }) };
+        }
+    }
+
+    if (type === 'movie' && caps.movieSearch.available) {
+        const { params: supported } = caps.movieSearch;
+        if (imdbId && supported.includes('imdbid')) {
+            return { mode: 'imdb', params: withCategories({ t: 'movie', imdbid: imdbId }) };
+        }
+        if (supported.includes('q')) {
+            return { mode: 'movie', params: withCategories({ t: 'movie', q: query }) };
+        }
+    }
+
+    return { mode: 'text', params: withCategories({ t: 'search', q: query }) };
+}
+
+/**
+ * @returns {number[]} The indexer's categories for the content type; empty means "do not filter"
+ */
+export function pickCategories(caps, type) {
+    const range = CATEGORY_RANGES[type];
+    if (!range) return [];
+    return [...new Set(caps.categories.filter(id => id >= range.min && id <= range.max))];
+}
+
+async function loadJackettIndexers(manager, http) {
+    const allEndpoint = `${manager.base}/api/v2.0/indexers/all/results/torznab/api`;
+    try {
+        const response = await http.get(allEndpoint, {
+            params: { apikey: manager.apiKey, t: 'indexers', configured: 'true' },
+            timeout: manager.timeout,
+            headers: HEADERS
+        });
+        const indexers = await parseJackettIndexers(response.data);
+        return indexers.map(indexer => ({
+            ...indexer,
+            endpoint: `${manager.base}/api/v2.0/indexers/${encodeURIComponent(indexer.id)}/results/torznab/api`
+        }));
+    } catch (error) {
+        // Older Jackett builds have no t=indexers; search through the aggregate indexer instead
+        console.log(`[TORZNAB] Jackett indexer list unavailable (${error.message}), using the aggregate indexer`);
+        const response = await http.get(allEndpoint, {
+            params: { apikey: manager.apiKey, t: 'caps' },
+            timeout: manager.timeout,
+            headers: HEADERS
+        });
+        return [{ id: 'all', name: 'Jackett', endpoint: allEndpoint, caps: await parseCaps(response.data) }];
+    }
+}
+
+async function loadProwlarrIndexers(manager, http) {
+    const response = await http.get(`${manager.base}/api/v1/indexer`, {
+        timeout: manager.timeout,
+        headers: { ...HEADERS, 'X-Api-Key': manager.apiKey, Accept: 'application/json' }
+    });
+    const indexers = (Array.isArray(response.data) ? response.data : [])
+        .filter(indexer => indexer.enable !== false && (!indexer.protocol || indexer.protocol === 'torrent'));
+    const loaded = await Promise.all(indexers.map(async indexer => {
+        const endpoint = `${manager.base}/${indexer.id}/api`;
+        try {
+            const capsResponse = await http.get(endpoint, {
+                params: { apikey: manager.apiKey, t: 'caps' },
+                timeout: manager.timeout,
+                headers: HEADERS
+            });
+            return { id: String(indexer.id), name: indexer.name || String(indexer.id), endpoint, caps: await parseCaps(capsResponse.data) };
+        } catch (error) {
+            console.log(`[TORZNAB] Prowlarr indexer ${indexer.name || indexer.id} caps unavailable: ${error.message}`);
+            return null;
+        }
+    }));
+    return loaded.filter(Boolean);
+}
+
+/**
+ * @param {{kind: 'jackett'|'prowlarr', base: string, apiKey: string, timeout: number, scraper: string}} manager
+ * @returns {Promise<Array<{id: string, name: string, endpoint: string, caps: Object}>>}
+ */
+export async function getIndexers(manager) {
+    const key = `${manager.kind}:${manager.base}:${manager.apiKey}`;
+    const cached = indexerCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+    const http = getAxios(manager.scraper);
+    const promise = manager.kind === 'prowlarr'
+        ? loadProwlarrIndexers(manager, http)
+        : loadJackettIndexers(manager, http);
+    indexerCache.set(key, { expiresAt: Date.now() + CAPS_TTL_MS, promise });
+    // A failed load is retried on the next search rather than cached
+    promise.catch(() => {
+        if (indexerCache.get(key)?.promise === promise) indexerCache.delete(key);
+    });
+    return promise;
+}
+
+export function clearIndexerCache() {
+    indexerCache.clear();
+}
+
+/**
+ * Searches every indexer of a manager in parallel.
+ * @param {Object} manager - As for getIndexers()
+ * @param {Object} request - As for planQuery()
+ * @param {{signal?: AbortSignal, limit?: number, logPrefix: string, scraperName: string}} options
+ * @returns {Promise<Array<Object>>} Items as returned by parseFeed(); rejects only if every indexer failed
+ */
+export async function searchIndexers(manager, request, { signal, limit, logPrefix, scraperName }) {
+    const indexers = await getIndexers(manager);
+    if (indexers.length === 0) {
+        console.log(`[${logPrefix} SCRAPER] ${scraperName} has no usable indexers configured`);
+        return [];
+    }
+
+    const http = getAxios(manager.scraper);
+    const modes = {};
+    const settled = await Promise.allSettled(indexers.map(async indexer => {
+        const { mode, params } = planQuery(indexer.caps, request);
+        modes[mode] = (modes[mode] || 0) + 1;
+        const response = await http.get(indexer.endpoint, {
+            params: { apikey: manager.apiKey, ...params, ...(limit ? { limit } : {}) },
+            timeout: manager.timeout,
+            signal,
+            headers: HEADERS
+        });
+        return parseFeed(response.data, indexer.name);
+    }));
+
+    const failures = settled.filter(outcome => outcome.status === 'rejected');
+    const summary = Object.entries(modes).map(([mode, count]) => `${mode}: ${count}`).join(', ');
+    console.log(`[${logPrefix} SCRAPER] ${scraperName} queried ${indexers.length} indexers (${summary}), ${failures.length} failed`);
+    if (failures.length === settled.length) throw failures[0].reason;
+    return settled.flatMap(outcome => (outcome.status === 'fulfilled' ? outcome.value : []));
+}
@@ -0,0 +1,83 @@
+import * as config from '../../config.js';
+
+// Import scraper utilities
+import { createTimerLabel } from '../utils/timing.js';
+import { detectSimpleLangs } from '../utils/filtering.js';
+import { processAndDeduplicate } from '../utils/deduplication.js';
+import { handleScraperError } from '../utils/error-handling.js';
+import { searchIndexers } from './torznab-client.js';
+
+// Keep a stable reference to env config for fallbacks when user config is partial
+const ENV = config;
+
+/**
+ * Builds the scraper for one Torznab manager (Jackett, Prowlarr). Its settings are read from
+ * `${prefix}_URL`, `${prefix}_API_KEY` and `${prefix}_TIMEOUT`, user config first, then the env.
+ * @param {string} kind - Manager kind for torznab-client.js: 'jackett' | 'prowlarr'
+ * @param {string} prefix - Settings prefix, e.g. 'JACKETT'
+ * @returns {function(string, AbortSignal, string, Object, Object=): Promise<Array>} The search function
+ */
+export function createTorznabScraper(kind, prefix) {
+    const scraperName = kind.charAt(0).toUpperCase() + kind.slice(1);
+    const placeholder = new RegExp(`YOUR_${prefix}`, 'i');
+
+    /**
+     * Searches every configured indexer of the manager over Torznab, by IMDb ID where the indexer supports it.
+     * @param {string} query - Free-text query, used by indexers without ID search
+     * @param {AbortSignal} signal
+     * @param {string} logPrefix
+     * @param {Object} config - User config; `${prefix}_URL` / `${prefix}_API_KEY` override the env
+     * @param {{type?: string, imdbId?: string, title?: string, season?: number|string, episode?: number|string}} [media]
+     */
+    return async function searchTorznab(query, signal, logPrefix, config, media = {}) {
+        const sfx = (config?.Languages && config.Languages.length) ? `:${config.Languages[0]}` : ':none';
+        const timerLabel = createTimerLabel(logPrefix, scraperName, sfx);
+        console.time(timerLabel);
+
+        try {
+            const base = (config?.[`${prefix}_URL`] || ENV[`${prefix}_URL`] || '').replace(/\/$/, '');
+            // Managers query multiple indexers, they need more time - use ${prefix}_TIMEOUT (default 10s)
+            const timeout = config?.[`${prefix}_TIMEOUT`] ?? ENV[`${prefix}_TIMEOUT`] ?? 10000;
+            const apiKey = config?.[`${prefix}_API_KEY`] ?? ENV[`${prefix}_API_KEY`];
+            if (!base) {
+                console.log(`[${logPrefix} SCRAPER] ${scraperName} ${prefix}_URL not configured`);
+                return [];
+            }
+            if (placeholder.test(base)) {
+                console.error(`[${logPrefix} SCRAPER] ${scraperName} ${prefix}_URL appears to be a placeholder, skipping`);
+                return [];
+            }
+
+            if (!apiKey) {
+                console.log(`[${logPrefix} SCRAPER] ${scraperName} ${prefix}_API_KEY not configured`);
+                return [];
+            }
+
+            const limit = config?.TORZNAB_LIMIT ?? ENV.TORZNAB_LIMIT;
+            const rawResults = await searchIndexers(
+                { kind, base, apiKey, timeout, scraper: kind },
+                { ...media, query },
+                { signal, limit, logPrefix, scraperName }
+            );
+            console.log(`[${logPrefix} SCRAPER] ${scraperName} found ${rawResults.length} raw results.`);
+
+            const results = rawResults.map(r => ({
+                Title: r.title,
+                InfoHash: r.infoHash,
+                Size: r.size,
+                Seeders: r.seeders,
+                Tracker: `${scraperName} | ${r.indexer}`,
+                Langs: detectSimpleLangs(r.title)
+            }));
+
+            const processedResults = processAndDeduplicate(results, config);
+            console.log(`[${logPrefix} SCRAPER] ${scraperName} found ${processedResults.length} results after processing.`);
+            return processedResults;
+        } catch (error) {
+            handleScraperError(error, scraperName, logPrefix);
+            return [];
+        } finally {
+            console.timeEnd(timerLabel);
+        }
+    };
+}
@@ -3,30 +3,27 @@ import { resolveHttpStreamUrl } from './http-streams/resolvers/http-resolver.js'
 import { getUHDMoviesStreams } from './uhdmovies.js';
 import { getMoviesDriveStreams } from './moviesdrive.js';
 import Cinemeta from './util/cinemeta.js';
-import DebridLink from './debrid-link.js';
-import RealDebrid from './real-debrid.js';
-import RealDebridClient from 'real-debrid-api';
-import RdLimiter from './util/rd-rate-limit.js';
-import AllDebrid from './all-debrid.js';
-import Premiumize from './premiumize.js';
-import OffCloud from './offcloud.js';
-import TorBox from './torbox.js';
-import DebriderApp from './debrider.app.js';
-import Usenet from './usenet.js';
-import Easynews from './easynews.js';
-import HomeMedia from './home-media.js';
+import AnimeMapping from './util/anime-mapping.js';
+import { getProvider, getStreamNames, hasCapability } from './providers.js';
 import * as SqliteCache from './util/cache-store.js';
 import { BadRequestError } from './util/error-codes.js';
 import { FILE_TYPES } from './util/file-types.js';
-import { filterSeason, filterEpisode, filterYear, matchesSeriesTitle, hasEpisodeMarker } from './util/filter-torrents.js';
-import { getResolutionFromName, formatSize, getCodec, resolutionOrder, sizeToBytes, extractFileName } from './common/torrent-utils.js';
+import { filterSeason, filterEpisode, filterYear, matchesSeriesTitle, hasEpisodeMarker, hasAbsoluteEpisodeMarker } from './util/filter-torrents.js';
+import { getResolutionFromName, formatSize, getCodec, resolutionOrder, extractFileName } from './common/torrent-utils.js';
 import PTT from './util/parse-torrent-title.js';
 import { renderLanguageFlags, detectLanguagesFromTitle, filterStreamsByLanguage } from './util/language-mapping.js';
 import sanitizeConfig, { sanitizeToken } from './util/config-sanitizer.js';
-import { filterByEpisode, filterBySize, filterByResolution } from './stream-provider/utils/filtering.js';
+import { filterByEpisode, filterBySize, filterByResolution, filterByReleaseGroup, filterByKeywords } from './stream-provider/utils/filtering.js';
+import { sortStreams } from './stream-provider/utils/sorting.js';
+import { applyStreamTemplates } from './util/stream-template.js';
 import * as crypto from 'crypto';
 import { HTTP_STREAMS_CACHE_TTL_DAYS } from './config.js';
-import { withRealDebridMagnetLock } from './util/rd-magnet-lock.js';
+import { encodeResolveApiKey, encodeConfigParam } from './util/configuration.js';
+import { getServiceKeys, mergeServiceKeys, withKeyFailover } from './util/key-pool.js';
+import { supportsUncached, getUncachedDownload } from './uncached-provider.js';
+import { getAccountStatusStreams } from './account-provider.js';
+import { releaseTempMagnet } from './util/temp-magnet-journal.js';
+import { observeResolve, observeCacheLookup } from './util/metrics.js';
 
 const ADDON_HOST = process.env.ADDON_URL;
 
@@ -384,6 +381,8 @@ function hashToken(token) {
 function buildDedupUserKey(config) {
   const parts = [];
 
+  // Sealed configurations get sealed stream links, so they never share results with plain ones
+  if (config?.sealed) parts.push('sealed');
   if (config?.DebridApiKey) parts.push(`debrid:${hashToken(config.DebridApiKey)}`);
   if (config?.DebridLinkApiKey) parts.push(`debridlink:${hashToken(config.DebridLinkApiKey)}`);
   if (config?.EasynewsUsername) parts.push(`easynews:${hashToken(config.EasynewsUsername)}`);
@@ -411,6 +410,12 @@ function buildDedupUserKey(config) {
     parts.push(...serviceKeys);
   }
 
+  // Ranking, keyword filters and templates change the streams, so they are part of the identity too
+  const { RankingProfile, KeywordFilters, StreamTemplate } = config || {};
+  if (RankingProfile || KeywordFilters || StreamTemplate) {
+    parts.push(`results:${hashToken(JSON.stringify([RankingProfile || null, KeywordFilters || null, StreamTemplate || null]))}`);
+  }
+
   const uniqueParts = Array.from(new Set(parts));
   return uniqueParts.length ? uniqueParts.join('|') : 'anon';
 }
@@ -490,30 +495,6 @@ function buildResolveCacheKey(provider, apiKey, hostUrl, clientIp = '') {
   return `${provider}:${hash || hostUrl}:${apiKeyHash}:${ipHash}`;
 }
 
-const RD_TORRENTS_PAGE_SIZE = 100;
-const RD_EXISTING_TORRENT_SCAN_PAGES = Math.max(
-  1,
-  Number.parseInt(process.env.RD_EXISTING_TORRENT_SCAN_PAGES || '200', 10) || 200
-);
-
-async function findExistingRdTorrentIdByHash(RD, rdCall, magnetHash, blockedStatuses) {
-  if (!magnetHash) return null;
-
-  for (let page = 1; page <= RD_EXISTING_TORRENT_SCAN_PAGES; page++) {
-    const torrentsResponse = await rdCall(() => RD.torrents.get(0, page, RD_TORRENTS_PAGE_SIZE));
-    const torrentsList = Array.isArray(torrentsResponse?.data) ? torrentsResponse.data : [];
-    const existing = torrentsList.find(t => {
-      const existingHash = String(t?.hash || '').toLowerCase();
-      const existingStatus = String(t?.status || '').toLowerCase();
-      return existingHash === magnetHash && !blockedStatuses.has(existingStatus);
-    });
-    if (existing?.id) return existing.id;
-    if (torrentsList.length < RD_TORRENTS_PAGE_SIZE) break;
-  }
-
-  return null;
-}
-
 function getResolveCache(cacheKey) {
   const cached = resolveCache.get(cacheKey);
   if (cached && (Date.now() - cached.ts) < RESOLVE_CACHE_TTL_MS) {
@@ -707,18 +688,9 @@ function backgroundPreResolve(streams, provider) {
   console.log(`[PRE-RESOLVE] Background pre-resolving ${resolvable.length} ${provider} links`);
 }
 
+// Stream and manifest names by provider key; providers bring their own (lib/providers.js)
 export const STREAM_NAME_MAP = {
-  debridlink: "[DL+] Sootio",
-  realdebrid: "[RD+] Sootio",
-  alldebrid: "[AD+] Sootio",
-  premiumize: "[PM+] Sootio",
-  torbox: "[TB+] Sootio",
-  offcloud: "[OC+] Sootio",
-  debriderapp: "[DBA+] Sootio",
-  personalcloud: "[PC+] Sootio",
-  usenet: "[UN+] Sootio",
-  easynews: "[EN+] Sootio",
-  homemedia: "[HM+] Sootio",
+  ...getStreamNames(),
   httpstreaming: "[HS+] Sootio"
 };
 
@@ -734,14 +706,6 @@ function isValidUrl(url) {
     (url.startsWith('http://') || url.startsWith('https://') || url.startsWith('magnet:') || url.startsWith('/resolve/') || url.startsWith('/torbox/') || url.startsWith('realdebrid:') || url.startsWith('nzb:'));
 }
 
-function isVideo(filename) {
-  if (!filename || typeof filename !== 'string') return false;
-  const exts = ['.mp4','.mkv','.avi','.mov','.wmv','.flv','.webm','.m4v','.mpg','.mpeg','.3gp','.ogv','.ts','.m2ts'];
-  const i = filename.toLowerCase().lastIndexOf('.');
-  if (i < 0) return false;
-  return exts.includes(filename.toLowerCase().substring(i));
-}
-
 function sortTorrents(a, b) {
   const nameA = a.name || a.title || '';
   const nameB = b.name || b.title || '';
@@ -941,12 +905,23 @@ function doubleEncodeHttpStreamingResolver(url) {
   return `${prefix}${encodeURIComponent(rest)}${query}`;
 }
 
-/**
- * Apply proxy wrapping to streams from HTTP streaming and Easynews providers
- * @param {Array} streams - Array of stream objects
- * @param {Object} config - Config object containing DebridServices with proxy settings
- * @returns {Array} Streams with proxy URLs applied where configured
- */
+// Same-service deduplication: a torrent (and file) found through more than one key of a service is listed once
+function deduplicateServiceStreams(streams) {
+  if (!streams || streams.length === 0) return streams;
+  const seen = new Set();
+  const deduped = streams.filter(s => {
+    if (!s._hash) return true;
+    const key = `${s.behaviorHints?.bingeGroup || ''}:${s._hash}:${s.behaviorHints?.fileName || ''}:${s.isPersonal ? 1 : 0}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (deduped.length < streams.length) {
+    console.log(`[DEDUP] Removed ${streams.length - deduped.length} streams listed twice by the same service`);
+  }
+  return deduped;
+}
+
 // Cross-provider deduplication: remove non-personal streams whose hash matches a personal stream
 function deduplicatePersonalStreams(streams) {
   if (!streams || streams.length === 0) return streams;
@@ -965,6 +940,12 @@ function deduplicatePersonalStreams(streams) {
   return deduped;
 }
 
+/**
+ * Apply proxy wrapping to streams from HTTP streaming and Easynews providers
+ * @param {Array} streams - Array of stream objects
+ * @param {Object} config - Config object containing DebridServices with proxy settings
+ * @returns {Array} Streams with proxy URLs applied where configured
+ */
 function applyProxyToStreams(streams, config) {
   if (!streams || !Array.isArray(streams) || streams.length === 0) {
     return streams;
@@ -1021,6 +1002,7 @@ function applyProxyToStreams(streams, config) {
       ...stream,
       url: proxiedUrl,
       title: stream.title + '\n🔒 Proxy',
+      _templateFields: stream._templateFields ? { ...stream._templateFields, proxy: true } : undefined,
       _originalUrl: stream.url // Keep original URL for debugging
     };
   });
@@ -1233,6 +1215,15 @@ async function getCachedTorrents(provider, type, id, config, searchFn, personalF
   const normalizedId = type === 'series' ? id.replace(/:/g, '_') : id;
   const cacheKey = `${providerKey}-search-${SEARCH_CACHE_VERSION}:${type}:${normalizedId}:${langKey}`;
 
+  // Prefetch (see prefetchStreams): warm missing searches in the background and never wait on them
+  if (config.isPrefetch) {
+    const warm = await SqliteCache.getCachedRecord('search', cacheKey).catch(() => null);
+    if (!warm) {
+      scheduleBackgroundRefresh({ provider, type, id, config, searchFn, cacheKey, existingResults: [], reason: 'prefetch' });
+    }
+    return [];
+  }
+
   console.log(`[CACHE] Checking cache for ${provider} - ${type}:${id}`);
 
   // Query SQLite for cached results matching the title/type/episode and debrid service
@@ -1270,6 +1261,7 @@ async function getCachedTorrents(provider, type, id, config, searchFn, personalF
   } else {
     console.log(`[CACHE] MISS: ${cacheKey} - no cached results found`);
   }
+  observeCacheLookup('search', resultCount > 0);
 
   if (providerKey === 'httpstreaming' && searchResults.length > 0) {
     const { cleanedResults, removedDuplicates, removedM3u8 } = sanitizeHttpStreamingCache(searchResults);
@@ -1321,9 +1313,12 @@ async function getCachedTorrents(provider, type, id, config, searchFn, personalF
     : Promise.resolve([]);
 
   // If SQLite/Torz doesn't meet minimum results for this service, do a live check before returning
-  // This ensures we don't return too-thin cached results and properly check all available sources
-  if (combinedResults.length < minResultsRequired) {
-    console.log(`[CACHE] Only ${combinedResults.length}/${minResultsRequired} cached results for ${cacheKey} - performing live check for ${provider}`);
+  // This ensures we don't return too-thin cached results and properly check all available sources.
+  // "Show uncached" always searches live: uncached picks are per user and never stored in the cache.
+  if (combinedResults.length < minResultsRequired || config.showUncached) {
+    console.log(config.showUncached
+      ? `[CACHE] Show uncached is on for ${provider} - performing live check for ${cacheKey}`
+      : `[CACHE] Only ${combinedResults.length}/${minResultsRequired} cached results for ${cacheKey} - performing live check for ${provider}`);
     let freshResults = [];
     try {
       const rawFreshResults = await searchFn();
@@ -1414,7 +1409,7 @@ async function storeCacheResults(collection, cacheKey, results, type, provider)
   // Filter out personal cloud files and stream objects unless the provider expects URL-based results.
   const cacheableData = results.filter(item => {
     if (!item) return false; // Changed from true - null items shouldn't be cached
-    if (item.isPersonal) return false;
+    if (item.isPersonal || item.isUncached) return false;
     // For HTTP streaming, skip error/info streams that have no URL (e.g. blocked/rate-limited notices)
     if (providerKey === 'httpstreaming' && !item.url) return false;
 
@@ -1512,65 +1507,89 @@ async function refreshCacheInBackground(provider, type, id, config, searchFn, ca
 }
 
 // Helper to fetch movie streams from a single debrid service
-async function getMovieStreamsFromProvider(debridProvider, apiKey, type, id, config, cinemetaDetails, searchKey) {
-  // Create a config copy with the correct API key for this specific provider
-  const providerConfig = { ...config, DebridApiKey: apiKey };
-  if (debridProvider == "DebridLink") {
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebridLink.searchTorrents(apiKey, searchKey, 0.1));
-    if (torrents.background) return [];
-    if (torrents && torrents.length) {
-      const torrentIds = torrents.filter(t => filterYear(t, cinemetaDetails)).map(t => t.id);
-      if (torrentIds && torrentIds.length) {
-        return DebridLink.getTorrentDetails(apiKey, torrentIds.join())
-          .then(list => list.sort(sortTorrents).map(t => toStream(t, type, providerConfig)).filter(Boolean));
-      }
-    }
-  } else if (debridProvider == "RealDebrid") {
-    const allResults = await getCachedTorrents(
-      debridProvider,
-      type,
-      id,
-      config,
-      (isBackgroundRefresh = false) => RealDebrid.searchRealDebridTorrents(apiKey, type, id, config, config.clientIp, isBackgroundRefresh),
-      () => RealDebrid.searchPersonalFiles(apiKey, searchKey, 0.3, config.clientIp)
-    );
-    if (allResults.background) return [];
-    if (!allResults || allResults.length === 0) return [];
-    // Enforce movie-only semantics: apply year sanity and drop any series-like items
-    let filtered = allResults.filter(item => filterYear(item, cinemetaDetails));
-    filtered = filtered.filter(item => {
-      const name = item?.name || item?.title || '';
-      const info = item?.info || {};
-      const hasSeriesInfo = (info && (info.season != null || Array.isArray(info.seasons)));
-      const looksSeries = hasEpisodeMarker(name, 1, 1); // Check for S01E01 to guess if it's a series
-      return !hasSeriesInfo && !looksSeries;
-    });
-    const wrapped = filtered.map(item => {
-      // Skip cached items with invalid URLs containing 'undefined'
-      if (item && typeof item.url === 'string' && item.url.includes('/resolve/')) {
-        if (item.url.includes('/undefined') || item.url.endsWith('undefined')) {
-          console.log(`[CACHE] Skipping cached item with invalid URL: ${item.title || item.name}`);
-          return null;
-        }
-        return item;
-      }
-      return toStream(item, type, providerConfig);
-    });
-    return wrapped.filter(Boolean);
-  } else if (debridProvider == "AllDebrid") {
-    const allResults = await getCachedTorrents(debridProvider, type, id, config, (isBackgroundRefresh = false) => AllDebrid.searchAllDebridTorrents(apiKey, type, id, config, config.clientIp, isBackgroundRefresh));
-    if (allResults.background) return [];
-    if (!allResults || allResults.length === 0) return [];
-    // Enforce movie-only semantics: apply year sanity and drop any series-like items
-    let filtered = allResults.filter(item => filterYear(item, cinemetaDetails));
-    filtered = filtered.filter(item => {
+// Result filters named by a provider's `results` options (see lib/util/provider-registry.js)
+const MOVIE_RESULT_FILTERS = {
+  year: (items, { cinemetaDetails }) => items.filter(item => filterYear(item, cinemetaDetails)),
+  // Enforce movie-only semantics: apply year sanity and drop any series-like items
+  'movie-only': (items, { cinemetaDetails }) => items
+    .filter(item => filterYear(item, cinemetaDetails))
+    .filter(item => {
       const name = item?.name || item?.title || '';
       const info = item?.info || {};
       const hasSeriesInfo = (info && (info.season != null || Array.isArray(info.seasons)));
       const looksSeries = hasEpisodeMarker(name, 1, 1); // Check for S01E01 to guess if it's a series
       return !hasSeriesInfo && !looksSeries;
-    });
-    const wrapped = filtered.map(item => {
+    })
+};
+
+const SERIES_RESULT_FILTERS = {
+  episode: (items, { season, episode, absoluteEpisode, cinemetaDetails }) => {
+    const s = Number(season), e = Number(episode);
+    const looksCorrectEp = t => t?.info && Number(t.info.season) === s && Number(t.info.episode) === e;
+    // Fansub names carry no season and PTT keeps "- 1071" in the title, so the season check can't match them
+    const isAbsoluteRelease = t => Boolean(absoluteEpisode) && hasAbsoluteEpisodeMarker(t?.name || t?.title || '', absoluteEpisode);
+    return items.filter(t =>
+      looksCorrectEp(t) ||
+      ((filterSeason(t, season, cinemetaDetails) || isAbsoluteRelease(t)) && filterEpisode(t, season, episode, cinemetaDetails, absoluteEpisode))
+    );
+  },
+  'title-episode': (items, { season, episode, cinemetaDetails }) => {
+    const fullTitle = String(cinemetaDetails?.name || '').trim();
+    const shortTitle = fullTitle.includes(':') ? fullTitle.split(':')[0].trim() : '';
+    const matchesTitle = (t) => {
+      if (matchesSeriesTitle(t, fullTitle)) return true;
+      if (shortTitle && matchesSeriesTitle(t, shortTitle)) return true;
+      return false;
+    };
+    const episodeRegex = new RegExp(`s${String(season).padStart(2, '0')}e${String(episode).padStart(2, '0')}`, 'i');
+    return items
+      .filter(t => matchesTitle(t))
+      .filter(t => episodeRegex.test(t.name || t.title || ''));
+  }
+};
+
+/**
+ * Searches one registered provider (through the search cache) and turns its results into streams.
+ * @param {string} debridProvider - Provider value from the config, e.g. "RealDebrid"
+ * @param {Object} context - { type, id, config, cinemetaDetails, searchKey, season?, episode?, absoluteEpisode? }
+ */
+async function getStreamsFromProvider(debridProvider, apiKey, { type, id, config, cinemetaDetails, searchKey, season, episode, absoluteEpisode }) {
+  const provider = getProvider(debridProvider);
+  if (!provider?.capabilities.search) {
+    console.warn(`[STREAM-PROVIDER] No search registered for provider ${debridProvider}`);
+    return [];
+  }
+  const { search, personalFiles } = provider.capabilities;
+  const options = provider.results;
+  const isSeries = type === 'series';
+  // Create a config copy with the correct API key for this specific provider
+  const providerConfig = { ...config, DebridApiKey: apiKey };
+
+  const results = await getCachedTorrents(
+    debridProvider,
+    type,
+    id,
+    config,
+    (isBackgroundRefresh = false) => search(apiKey, type, id, config, { clientIp: config.clientIp, isBackgroundRefresh }),
+    personalFiles?.search
+      ? () => personalFiles.search(apiKey, searchKey, { type, season, episode, clientIp: config.clientIp })
+      : null
+  );
+  if (!results || results.background || results.length === 0) return [];
+
+  const filterName = isSeries ? options.seriesFilter : options.movieFilter;
+  const resultFilter = (isSeries ? SERIES_RESULT_FILTERS : MOVIE_RESULT_FILTERS)[filterName];
+  const filtered = resultFilter
+    ? resultFilter(results, { season, episode, absoluteEpisode, cinemetaDetails })
+    : results;
+
+  if (options.formatter === 'debrider') {
+    return filtered.sort(sortTorrents)
+      .map(td => toDebriderStream(td, type, providerConfig))
+      .filter(Boolean);
+  }
+  if (options.preformatted) {
+    return filtered.map(item => {
       // Skip cached items with invalid URLs containing 'undefined'
       if (item && typeof item.url === 'string' && item.url.includes('/resolve/')) {
         if (item.url.includes('/undefined') || item.url.endsWith('undefined')) {
@@ -1580,102 +1599,58 @@ async function getMovieStreamsFromProvider(debridProvider, apiKey, type, id, con
         return item;
       }
       return toStream(item, type, providerConfig);
-    });
-    return wrapped.filter(Boolean);
-  } else if (debridProvider == "Premiumize") {
-    const torrents = await getCachedTorrents(
-      debridProvider,
-      type,
-      id,
-      config,
-      () => Premiumize.search(apiKey, type, id, config),
-      () => Premiumize.searchPersonalFiles(apiKey, searchKey, 0.3)
-    );
-    if (torrents.background) return [];
-    if (torrents && torrents.length) {
-      return torrents.sort(sortTorrents)
-        .map(td => toStream(td, type, providerConfig))
-        .filter(Boolean);
-    }
-  } else if (debridProvider.toLowerCase() == "offcloud") {
-    const torrents = await getCachedTorrents(
-      debridProvider,
-      type,
-      id,
-      config,
-      () => OffCloud.searchOffcloudTorrents(apiKey, type, id, config),
-      () => OffCloud.searchPersonalFiles(apiKey, [searchKey], searchKey, type)
-    );
-    if (torrents && torrents.length) {
-      return torrents.sort(sortTorrents)
-        .filter(t => filterYear(t, cinemetaDetails))
-        .map(td => toStream(td, type, providerConfig))
-        .filter(Boolean);
-    }
-  } else if (debridProvider == "TorBox") {
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => TorBox.searchTorboxTorrents(apiKey, type, id, config));
-    if (torrents && torrents.length) {
-      return torrents.sort(sortTorrents)
-        .filter(t => filterYear(t, cinemetaDetails))
-        .map(td => toStream(td, type, providerConfig))
-        .filter(Boolean);
-    }
-  } else if (debridProvider == "DebriderApp") {
-    // Check if this service has Newznab configured for Personal Cloud NZB support
-    let serviceConfig = config;
-    if (Array.isArray(config.DebridServices)) {
-      const service = config.DebridServices.find(s => s.provider === 'DebriderApp');
-      if (service && (service.newznabUrl || service.newznabApiKey)) {
-        // Use searchWithPersonalCloud to include NZB results
-        serviceConfig = {
-          ...config,
-          newznabUrl: service.newznabUrl,
-          newznabApiKey: service.newznabApiKey
-        };
-        console.log(`[DBA] Newznab configured, using searchWithPersonalCloud`);
-        const baseUrl = 'https://debrider.app/api/v1';
-        const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.searchWithPersonalCloud(apiKey, type, id, serviceConfig, baseUrl));
-        if (torrents && torrents.length) {
-          return torrents.sort(sortTorrents)
-            .map(td => toDebriderStream(td, type, providerConfig))
-            .filter(Boolean);
-        }
-      } else {
-        // Regular search without Newznab
-        const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.search(apiKey, type, id, config));
-        if (torrents && torrents.length) {
-          return torrents.sort(sortTorrents)
-            .map(td => toDebriderStream(td, type, providerConfig))
-            .filter(Boolean);
-        }
-      }
-    } else {
-      // Fallback to regular search
-      const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.search(apiKey, type, id, config));
-      if (torrents && torrents.length) {
-        return torrents.sort(sortTorrents)
-          .map(td => toDebriderStream(td, type, providerConfig))
-          .filter(Boolean);
-      }
-    }
-  } else if (debridProvider == "PersonalCloud") {
-    const personalCloudConfig = {
-      newznabUrl: config.PersonalCloudNewznabUrl,
-      newznabApiKey: config.PersonalCloudNewznabApiKey,
-      ...config
-    };
-    const baseUrl = config.PersonalCloudUrl || 'https://debrider.app/api/v1';
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.searchWithPersonalCloud(apiKey, type, id, personalCloudConfig, baseUrl));
-    if (torrents && torrents.length) {
-      return torrents.sort(sortTorrents)
-        .map(td => toDebriderStream(td, type, providerConfig))
-        .filter(Boolean);
-    }
+    }).filter(Boolean);
   }
-  return [];
+  // The hint lets resolvers that receive a whole season pack pick the episode
+  const streamHint = isSeries && options.episodeHint ? { season, episode } : {};
+  return filtered.sort(sortTorrents)
+    .map(td => toStream(td, type, providerConfig, streamHint))
+    .filter(Boolean);
+}
+
+/**
+ * Runs the `streams` capability of a provider that formats its own streams (Usenet, Easynews, Home Media)
+ * @param {Object} definition - Provider registry entry
+ * @param {Object} service - The DebridServices row
+ * @returns {Promise<Array>} Streams; empty after a timeout
+ */
+function getProviderStreams(definition, service, type, id, config) {
+  const serviceName = definition.name;
+  const timeoutMs = definition.results.timeout === 'usenet' ? USENET_TIMEOUT_MS : SERVICE_TIMEOUT_MS;
+  return (async () => {
+    const startTime = Date.now();
+    console.log(`[PARALLEL-SEARCH] 🚀 Starting ${serviceName} search at ${new Date(startTime).toISOString()}`);
+    try {
+      const results = await withTimeout(
+        definition.capabilities.streams(service, type, id, { config }),
+        timeoutMs,
+        serviceName
+      );
+      const duration = Date.now() - startTime;
+      console.log(`[PARALLEL-SEARCH] ✅ ${serviceName} completed in ${(duration/1000).toFixed(2)}s with ${results?.length || 0} results`);
+      return results;
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      console.error(`[PARALLEL-SEARCH] ❌ ${serviceName} failed after ${(duration/1000).toFixed(2)}s: ${error.message}`);
+      throw error;
+    }
+  })();
+}
+
+async function getMovieStreamsFromProvider(debridProvider, apiKey, type, id, config, cinemetaDetails, searchKey) {
+  return getStreamsFromProvider(debridProvider, apiKey, { type, id, config, cinemetaDetails, searchKey });
 }
 
 async function getMovieStreams(config, type, id) {
+  if (AnimeMapping.isAnimeId(id)) {
+    const mapped = await AnimeMapping.resolveAnimeId(id);
+    if (!mapped?.imdbId) {
+      console.warn(`[STREAM-PROVIDER] Could not map anime ID ${id} to IMDb - returning no streams`);
+      return [];
+    }
+    id = mapped.imdbId;
+  }
+
   const cinemetaDetails = await Cinemeta.getMeta(type, id);
 
   const cinemetaFailed = !cinemetaDetails || !cinemetaDetails.name;
@@ -1703,102 +1678,13 @@ async function getMovieStreams(config, type, id) {
 
   // Support multiple debrid services (skip when Cinemeta failed — they need metadata for search)
   if (!cinemetaFailed && config.DebridServices && Array.isArray(config.DebridServices) && config.DebridServices.length > 0) {
-    config.DebridServices.forEach(service => {
+    // Several rows for one provider become one service with a key pool
+    mergeServiceKeys(config.DebridServices).forEach(service => {
       const { disableEarlyReturn, earlyReturnTimeoutMs } = getServiceEarlyReturnConfig(service);
       const earlyReturnMeta = { earlyReturnDisabled: disableEarlyReturn, earlyReturnTimeoutMs };
-      if (service.provider === 'Usenet') {
-        // Handle Usenet service
-        const usenetConfig = {
-          NewznabUrl: service.newznabUrl,
-          NewznabApiKey: service.apiKey,
-          NntpAddress: service.nntpAddress,
-          NntpPort: service.nntpPort,
-          NntpUsername: service.nntpUsername,
-          NntpPassword: service.nntpPassword,
-          NntpConnections: service.nntpConnections || 4,
-          NntpSsl: service.nntpSsl !== false,
-          FileServerUrl: service.fileServerUrl || ''
-        };
-        const serviceName = 'Usenet';
-        addStreamTask(
-          (async () => {
-            const startTime = Date.now();
-            console.log(`[PARALLEL-SEARCH] 🚀 Starting ${serviceName} search at ${new Date(startTime).toISOString()}`);
-            try {
-              const results = await withTimeout(
-                getUsenetStreams(usenetConfig, type, id),
-                USENET_TIMEOUT_MS,
-                'Usenet'
-              );
-              const duration = Date.now() - startTime;
-              console.log(`[PARALLEL-SEARCH] ✅ ${serviceName} completed in ${(duration/1000).toFixed(2)}s with ${results?.length || 0} results`);
-              return results;
-            } catch (error) {
-              const duration = Date.now() - startTime;
-              console.error(`[PARALLEL-SEARCH] ❌ ${serviceName} failed after ${(duration/1000).toFixed(2)}s: ${error.message}`);
-              throw error;
-            }
-          })(),
-          { provider: serviceName, ...earlyReturnMeta }
-        );
-      } else if (service.provider === 'Easynews') {
-        // Handle Easynews service with caching
-        const easynewsConfig = {
-          EasynewsUsername: service.username,
-          EasynewsPassword: service.password,
-          ...config
-        };
-        const serviceName = 'Easynews';
-        addStreamTask(
-          (async () => {
-            const startTime = Date.now();
-            console.log(`[PARALLEL-SEARCH] 🚀 Starting ${serviceName} search at ${new Date(startTime).toISOString()}`);
-            try {
-              const results = await withTimeout(
-                getEasynewsStreams(easynewsConfig, type, id),
-                SERVICE_TIMEOUT_MS,
-                'Easynews'
-              );
-              const duration = Date.now() - startTime;
-              console.log(`[PARALLEL-SEARCH] ✅ ${serviceName} completed in ${(duration/1000).toFixed(2)}s with ${results?.length || 0} results`);
-              return results;
-            } catch (error) {
-              const duration = Date.now() - startTime;
-              console.error(`[PARALLEL-SEARCH] ❌ ${serviceName} failed after ${(duration/1000).toFixed(2)}s: ${error.message}`);
-              throw error;
-            }
-          })(),
-          { provider: serviceName, ...earlyReturnMeta }
-        );
-      } else if (service.provider === 'HomeMedia') {
-        // Handle Home Media Server
-        const homeMediaConfig = {
-          HomeMediaUrl: service.homeMediaUrl,
-          HomeMediaApiKey: service.apiKey,
-          Languages: config.Languages
-        };
-        const serviceName = 'HomeMedia';
-        addStreamTask(
-          (async () => {
-            const startTime = Date.now();
-            console.log(`[PARALLEL-SEARCH] 🚀 Starting ${serviceName} search at ${new Date(startTime).toISOString()}`);
-            try {
-              const results = await withTimeout(
-                getHomeMediaStreams(homeMediaConfig, type, id),
-                SERVICE_TIMEOUT_MS,
-                'HomeMedia'
-              );
-              const duration = Date.now() - startTime;
-              console.log(`[PARALLEL-SEARCH] ✅ ${serviceName} completed in ${(duration/1000).toFixed(2)}s with ${results?.length || 0} results`);
-              return results;
-            } catch (error) {
-              const duration = Date.now() - startTime;
-              console.error(`[PARALLEL-SEARCH] ❌ ${serviceName} failed after ${(duration/1000).toFixed(2)}s: ${error.message}`);
-              throw error;
-            }
-          })(),
-          { provider: serviceName, ...earlyReturnMeta }
-        );
+      const definition = getProvider(service.provider);
+      if (hasCapability(definition, 'streams')) {
+        addStreamTask(getProviderStreams(definition, service, type, id, config), { provider: definition.name, ...earlyReturnMeta });
       } else if (service.provider === 'PersonalCloud') {
         // Handle Personal Cloud
         const personalCloudConfig = {
@@ -2052,7 +1938,8 @@ async function getMovieStreams(config, type, id) {
         // Merge service-specific config (like enablePersonalCloud) into the config
         const serviceConfig = {
           ...config,
-          enablePersonalCloud: service.enablePersonalCloud
+          enablePersonalCloud: service.enablePersonalCloud,
+          showUncached: service.showUncached === true
         };
         const serviceName = service.provider;
         addStreamTask(
@@ -2060,7 +1947,10 @@ async function getMovieStreams(config, type, id) {
             const startTime = Date.now();
             console.log(`[PARALLEL-SEARCH] 🚀 Starting ${serviceName} search at ${new Date(startTime).toISOString()}`);
             try {
-              const results = await getMovieStreamsFromProvider(service.provider, service.apiKey, type, id, serviceConfig, cinemetaDetails, searchKey);
+              const results = await withKeyFailover(service.provider, getServiceKeys(service), (apiKey, apiKeys) =>
+                getMovieStreamsFromProvider(service.provider, apiKey, type, id, { ...serviceConfig, DebridApiKeys: apiKeys }, cinemetaDetails, searchKey),
+                { strategy: service.keyStrategy }
+              );
               const duration = Date.now() - startTime;
               console.log(`[PARALLEL-SEARCH] ✅ ${serviceName} completed in ${(duration/1000).toFixed(2)}s with ${results?.length || 0} results`);
               return results;
@@ -2236,221 +2126,49 @@ async function getMovieStreams(config, type, id) {
     flatStreams = filterByResolution(flatStreams, config.Resolutions);
   }
 
+  // Apply include/exclude keyword filters if configured
+  flatStreams = filterByKeywords(flatStreams, config.KeywordFilters);
+
   // Apply proxy to HTTP streaming and Easynews streams if configured
   flatStreams = applyProxyToStreams(flatStreams, config);
 
+  flatStreams = deduplicateServiceStreams(flatStreams);
+
   // Cross-provider deduplication: if a torrent exists in personal cloud AND as external cached,
   // keep only the personal version to avoid showing duplicate entries
   flatStreams = deduplicatePersonalStreams(flatStreams);
 
-  // Sort streams: personal files first, then by resolution (highest to lowest), then by size (largest to smallest)
+  // Drop release groups the user's ranking profile denies
+  flatStreams = filterByReleaseGroup(flatStreams, config.RankingProfile);
+
+  // Sort streams: personal files first, then by resolution (highest to lowest), then by ranking profile score,
+  // then by size (largest to smallest)
   // This applies to ALL sources (4KHDHub, HDHub4u, UHDMovies, MoviesDrive, torrents, etc.)
-  flatStreams.sort((a, b) => {
-    // Personal files always come first
-    if (a.isPersonal && !b.isPersonal) return -1;
-    if (!a.isPersonal && b.isPersonal) return 1;
-
-    // Sort by resolution
-    // HTTP streams have a dedicated 'resolution' field, use it first
-    // Otherwise extract from name/title (for torrents)
-    const resA = a.resolution || getResolutionFromName(a.name || a.title || '');
-    const resB = b.resolution || getResolutionFromName(b.name || b.title || '');
-    const rankA = resolutionOrder[resA] || 0;
-    const rankB = resolutionOrder[resB] || 0;
-    if (rankA !== rankB) return rankB - rankA;
-
-    // Sort by size within same resolution (largest to smallest)
-    // HTTP streams may have size as string, torrents have _size as number
-    const sizeA = a._size || (a.size ? sizeToBytes(a.size) : 0);
-    const sizeB = b._size || (b.size ? sizeToBytes(b.size) : 0);
-    return sizeB - sizeA;
-  });
+  sortStreams(flatStreams, config.RankingProfile);
+
+  // Render the user's name/title template last so every filter above still saw the original titles
+  flatStreams = applyStreamTemplates(flatStreams, config.StreamTemplate);
 
   return flatStreams;
 }
 
 // Helper to fetch series streams from a single debrid service
 async function getSeriesStreamsFromProvider(debridProvider, apiKey, type, id, config, cinemetaDetails, searchKey, season, episode) {
-  // Create a config copy with the correct API key for this specific provider
-  const providerConfig = { ...config, DebridApiKey: apiKey };
-  if (debridProvider == "DebridLink") {
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebridLink.searchTorrents(apiKey, searchKey, 0.1));
-    if (torrents && torrents.length) {
-      const torrentIds = torrents.filter(t => filterSeason(t, season, cinemetaDetails)).map(t => t.id);
-      if (torrentIds && torrentIds.length) {
-        return DebridLink.getTorrentDetails(apiKey, torrentIds.join())
-          .then(list => list
-            .sort(sortTorrents)
-            .filter(td => filterEpisode(td, season, episode, cinemetaDetails))
-            .map(td => toStream(td, type, providerConfig))
-            .filter(Boolean)
-          );
-      }
-    }
-  } else if (debridProvider == "RealDebrid") {
-    const allResults = await getCachedTorrents(
-      debridProvider,
-      type,
-      id,
-      config,
-      (isBackgroundRefresh = false) => RealDebrid.searchRealDebridTorrents(apiKey, type, id, config, config.clientIp, isBackgroundRefresh),
-      () => RealDebrid.searchPersonalFiles(apiKey, searchKey, 0.3, config.clientIp)
-    );
-    if (!allResults || allResults.length === 0) return [];
-
-    const s = Number(season), e = Number(episode);
-    const looksCorrectEp = t => t?.info && Number(t.info.season) === s && Number(t.info.episode) === e;
-
-    const filtered = allResults.filter(t =>
-      looksCorrectEp(t) ||
-      (filterSeason(t, season, cinemetaDetails) && filterEpisode(t, season, episode, cinemetaDetails))
-    );
-
-    const wrapped = filtered.map(item => {
-      // Skip cached items with invalid URLs containing 'undefined'
-      if (item && typeof item.url === 'string' && item.url.includes('/resolve/')) {
-        if (item.url.includes('/undefined') || item.url.endsWith('undefined')) {
-          console.log(`[CACHE] Skipping cached item with invalid URL: ${item.title || item.name}`);
-          return null;
-        }
-        return item;
-      }
-      return toStream(item, type, providerConfig);
-    });
-
-    return wrapped.filter(Boolean);
-  } else if (debridProvider == "AllDebrid") {
-    const allResults = await getCachedTorrents(debridProvider, type, id, config, (isBackgroundRefresh = false) => AllDebrid.searchAllDebridTorrents(apiKey, type, id, config, config.clientIp, isBackgroundRefresh));
-    if (!allResults || allResults.length === 0) return [];
-
-    const s = Number(season), e = Number(episode);
-    const looksCorrectEp = t => t?.info && Number(t.info.season) === s && Number(t.info.episode) === e;
-
-    const filtered = allResults.filter(t =>
-      looksCorrectEp(t) ||
-      (filterSeason(t, season, cinemetaDetails) && filterEpisode(t, season, episode, cinemetaDetails))
-    );
-
-    const wrapped = filtered.map(item => {
-      // Skip cached items with invalid URLs containing 'undefined'
-      if (item && typeof item.url === 'string' && item.url.includes('/resolve/')) {
-        if (item.url.includes('/undefined') || item.url.endsWith('undefined')) {
-          console.log(`[CACHE] Skipping cached item with invalid URL: ${item.title || item.name}`);
-          return null;
-        }
-        return item;
-      }
-      return toStream(item, type, providerConfig);
-    });
+  return getStreamsFromProvider(debridProvider, apiKey, { type, id, config, cinemetaDetails, searchKey, season, episode, absoluteEpisode: config.absoluteEpisode });
+}
 
-    return wrapped.filter(Boolean);
-  } else if (debridProvider == "Premiumize") {
-    const torrents = await getCachedTorrents(
-      debridProvider,
-      type,
-      id,
-      config,
-      () => Premiumize.search(apiKey, type, id, config),
-      () => Premiumize.searchPersonalFiles(apiKey, searchKey, 0.3)
-    );
-    if (torrents && torrents.length) {
-      return torrents
-        .sort(sortTorrents)
-        .map(td => toStream(td, type, providerConfig, { season, episode }))
-        .filter(Boolean);
-    }
-  } else if (debridProvider.toLowerCase() == "offcloud") {
-    const torrents = await getCachedTorrents(
-      debridProvider,
-      type,
-      id,
-      config,
-      () => OffCloud.searchOffcloudTorrents(apiKey, type, id, config),
-      () => OffCloud.searchPersonalFiles(apiKey, [searchKey], searchKey, type, season, episode)
-    );
-    if (torrents && torrents.length) {
-      const bypass = torrents.filter(t => t.bypassFiltering === true);
-//      if (bypass.length > 0) {
-//        return bypass.sort(sortTorrents).map(td => toStream(td, type, providerConfig)).filter(Boolean);
-//      }
-      const fullTitle = String(cinemetaDetails?.name || '').trim();
-      const shortTitle = fullTitle.includes(':') ? fullTitle.split(':')[0].trim() : '';
-      const matchesTitle = (t) => {
-        if (matchesSeriesTitle(t, fullTitle)) return true;
-        if (shortTitle && matchesSeriesTitle(t, shortTitle)) return true;
-        return false;
-      };
-      const episodeRegex = new RegExp(`s${String(season).padStart(2, '0')}e${String(episode).padStart(2, '0')}`, 'i');
-      const realEpisodes = torrents
-        .filter(t => matchesTitle(t))
-        .filter(t => episodeRegex.test(t.name || t.title || ''));
-      return realEpisodes.sort(sortTorrents).map(td => toStream(td, type, providerConfig)).filter(Boolean);
-    }
-  } else if (debridProvider == "TorBox") {
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => TorBox.searchTorboxTorrents(apiKey, type, id, config));
-    if (torrents && torrents.length) {
-      // Results are already pre-filtered at the scraping layer for series/episode.
-      return torrents
-        .sort(sortTorrents)
-        .map(td => toStream(td, type, providerConfig))
-        .filter(Boolean);
-    }
-  } else if (debridProvider == "DebriderApp") {
-    // Check if this service has Newznab configured for Personal Cloud NZB support
-    let serviceConfig = config;
-    if (Array.isArray(config.DebridServices)) {
-      const service = config.DebridServices.find(s => s.provider === 'DebriderApp');
-      if (service && (service.newznabUrl || service.newznabApiKey)) {
-        // Use searchWithPersonalCloud to include NZB results
-        serviceConfig = {
-          ...config,
-          newznabUrl: service.newznabUrl,
-          newznabApiKey: service.newznabApiKey
-        };
-        console.log(`[DBA] Newznab configured, using searchWithPersonalCloud`);
-        const baseUrl = 'https://debrider.app/api/v1';
-        const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.searchWithPersonalCloud(apiKey, type, id, serviceConfig, baseUrl));
-        if (torrents && torrents.length) {
-          return torrents.sort(sortTorrents)
-            .map(td => toDebriderStream(td, type, providerConfig))
-            .filter(Boolean);
-        }
-      } else {
-        // Regular search without Newznab
-        const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.search(apiKey, type, id, config));
-        if (torrents && torrents.length) {
-          return torrents.sort(sortTorrents)
-            .map(td => toDebriderStream(td, type, providerConfig))
-            .filter(Boolean);
-        }
-      }
-    } else {
-      // Fallback to regular search
-      const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.search(apiKey, type, id, config));
-      if (torrents && torrents.length) {
-        return torrents.sort(sortTorrents)
-          .map(td => toDebriderStream(td, type, providerConfig))
-          .filter(Boolean);
-      }
-    }
-  } else if (debridProvider == "PersonalCloud") {
-    const personalCloudConfig = {
-      newznabUrl: config.PersonalCloudNewznabUrl,
-      newznabApiKey: config.PersonalCloudNewznabApiKey,
-      ...config
-    };
-    const baseUrl = config.PersonalCloudUrl || 'https://debrider.app/api/v1';
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.searchWithPersonalCloud(apiKey, type, id, personalCloudConfig, baseUrl));
-    if (torrents && torrents.length) {
-      return torrents.sort(sortTorrents)
-        .map(td => toDebriderStream(td, type, providerConfig))
-        .filter(Boolean);
+async function getSeriesStreams(config, type, id) {
+  if (AnimeMapping.isAnimeId(id)) {
+    // kitsu:<id>:<ep> / mal:<id>:<ep> / anilist:<id>:<ep> -> tt<id>:<season>:<episode>
+    const mapped = await AnimeMapping.resolveAnimeId(id);
+    if (!mapped?.imdbId || mapped.isMovie) {
+      console.warn(`[STREAM-PROVIDER] Could not map anime ID ${id} to an IMDb episode - returning no streams`);
+      return [];
     }
+    id = `${mapped.imdbId}:${mapped.season}:${mapped.episode}`;
+    config = { ...config, absoluteEpisode: mapped.absoluteEpisode };
   }
-  return [];
-}
 
-async function getSeriesStreams(config, type, id) {
   const [imdbId, season, episode] = id.split(":");
   const cinemetaDetails = await Cinemeta.getMeta(type, imdbId);
 
@@ -2479,112 +2197,23 @@ async function getSeriesStreams(config, type, id) {
 
   // Support multiple debrid services (skip when Cinemeta failed — they need metadata for search)
   if (!cinemetaFailed && config.DebridServices && Array.isArray(config.DebridServices) && config.DebridServices.length > 0) {
-    config.DebridServices.forEach(service => {
+    // Several rows for one provider become one service with a key pool
+    mergeServiceKeys(config.DebridServices).forEach(service => {
       const { disableEarlyReturn, earlyReturnTimeoutMs } = getServiceEarlyReturnConfig(service);
       const earlyReturnMeta = { earlyReturnDisabled: disableEarlyReturn, earlyReturnTimeoutMs };
-      if (service.provider === 'Usenet') {
-        // Handle Usenet service
-        const usenetConfig = {
-          NewznabUrl: service.newznabUrl,
-          NewznabApiKey: service.apiKey,
-          NntpAddress: service.nntpAddress,
-          NntpPort: service.nntpPort,
-          NntpUsername: service.nntpUsername,
-          NntpPassword: service.nntpPassword,
-          NntpConnections: service.nntpConnections || 4,
-          NntpSsl: service.nntpSsl !== false,
-          FileServerUrl: service.fileServerUrl || ''
+      const definition = getProvider(service.provider);
+      if (hasCapability(definition, 'streams')) {
+        addStreamTask(getProviderStreams(definition, service, type, id, config), { provider: definition.name, ...earlyReturnMeta });
+      } else if (service.provider === 'PersonalCloud') {
+        // Handle Personal Cloud
+        const personalCloudConfig = {
+          PersonalCloudUrl: service.baseUrl,
+          PersonalCloudNewznabUrl: service.newznabUrl,
+          PersonalCloudNewznabApiKey: service.newznabApiKey,
+          Languages: config.Languages,
+          ...config
         };
-        const serviceName = 'Usenet';
-        addStreamTask(
-          (async () => {
-            const startTime = Date.now();
-            console.log(`[PARALLEL-SEARCH] 🚀 Starting ${serviceName} search at ${new Date(startTime).toISOString()}`);
-            try {
-              const results = await withTimeout(
-                getUsenetStreams(usenetConfig, type, id),
-                USENET_TIMEOUT_MS,
-                'Usenet'
-              );
-              const duration = Date.now() - startTime;
-              console.log(`[PARALLEL-SEARCH] ✅ ${serviceName} completed in ${(duration/1000).toFixed(2)}s with ${results?.length || 0} results`);
-              return results;
-            } catch (error) {
-              const duration = Date.now() - startTime;
-              console.error(`[PARALLEL-SEARCH] ❌ ${serviceName} failed after ${(duration/1000).toFixed(2)}s: ${error.message}`);
-              throw error;
-            }
-          })(),
-          { provider: serviceName, ...earlyReturnMeta }
-        );
-      } else if (service.provider === 'Easynews') {
-        // Handle Easynews service with caching
-        const easynewsConfig = {
-          EasynewsUsername: service.username,
-          EasynewsPassword: service.password,
-          ...config
-        };
-        const serviceName = 'Easynews';
-        addStreamTask(
-          (async () => {
-            const startTime = Date.now();
-            console.log(`[PARALLEL-SEARCH] 🚀 Starting ${serviceName} search at ${new Date(startTime).toISOString()}`);
-            try {
-              const results = await withTimeout(
-                getEasynewsStreams(easynewsConfig, type, id),
-                SERVICE_TIMEOUT_MS,
-                'Easynews'
-              );
-              const duration = Date.now() - startTime;
-              console.log(`[PARALLEL-SEARCH] ✅ ${serviceName} completed in ${(duration/1000).toFixed(2)}s with ${results?.length || 0} results`);
-              return results;
-            } catch (error) {
-              const duration = Date.now() - startTime;
-              console.error(`[PARALLEL-SEARCH] ❌ ${serviceName} failed after ${(duration/1000).toFixed(2)}s: ${error.message}`);
-              throw error;
-            }
-          })(),
-          { provider: serviceName, ...earlyReturnMeta }
-        );
-      } else if (service.provider === 'HomeMedia') {
-        // Handle Home Media Server
-        const homeMediaConfig = {
-          HomeMediaUrl: service.homeMediaUrl,
-          HomeMediaApiKey: service.apiKey,
-          Languages: config.Languages
-        };
-        const serviceName = 'HomeMedia';
-        addStreamTask(
-          (async () => {
-            const startTime = Date.now();
-            console.log(`[PARALLEL-SEARCH] 🚀 Starting ${serviceName} search at ${new Date(startTime).toISOString()}`);
-            try {
-              const results = await withTimeout(
-                getHomeMediaStreams(homeMediaConfig, type, id),
-                SERVICE_TIMEOUT_MS,
-                'HomeMedia'
-              );
-              const duration = Date.now() - startTime;
-              console.log(`[PARALLEL-SEARCH] ✅ ${serviceName} completed in ${(duration/1000).toFixed(2)}s with ${results?.length || 0} results`);
-              return results;
-            } catch (error) {
-              const duration = Date.now() - startTime;
-              console.error(`[PARALLEL-SEARCH] ❌ ${serviceName} failed after ${(duration/1000).toFixed(2)}s: ${error.message}`);
-              throw error;
-            }
-          })(),
-          { provider: serviceName, ...earlyReturnMeta }
-        );
-      } else if (service.provider === 'PersonalCloud') {
-        // Handle Personal Cloud
-        const personalCloudConfig = {
-          PersonalCloudUrl: service.baseUrl,
-          PersonalCloudNewznabUrl: service.newznabUrl,
-          PersonalCloudNewznabApiKey: service.newznabApiKey,
-          Languages: config.Languages,
-          ...config
-        };
-        const serviceName = 'PersonalCloud';
+        const serviceName = 'PersonalCloud';
         addStreamTask(
           (async () => {
             const startTime = Date.now();
@@ -2825,7 +2454,10 @@ async function getSeriesStreams(config, type, id) {
             const startTime = Date.now();
             console.log(`[PARALLEL-SEARCH] 🚀 Starting ${serviceName} search at ${new Date(startTime).toISOString()}`);
             try {
-              const results = await getSeriesStreamsFromProvider(service.provider, service.apiKey, type, id, config, cinemetaDetails, searchKey, season, episode);
+              const results = await withKeyFailover(service.provider, getServiceKeys(service), (apiKey, apiKeys) =>
+                getSeriesStreamsFromProvider(service.provider, apiKey, type, id, { ...config, DebridApiKeys: apiKeys, showUncached: service.showUncached === true }, cinemetaDetails, searchKey, season, episode),
+                { strategy: service.keyStrategy }
+              );
               const duration = Date.now() - startTime;
               console.log(`[PARALLEL-SEARCH] ✅ ${serviceName} completed in ${(duration/1000).toFixed(2)}s with ${results?.length || 0} results`);
               return results;
@@ -2983,32 +2615,31 @@ async function getSeriesStreams(config, type, id) {
     flatStreams = filterByResolution(flatStreams, config.Resolutions);
   }
 
+  // Apply include/exclude keyword filters if configured
+  flatStreams = filterByKeywords(flatStreams, config.KeywordFilters);
+
   // Apply episode filter to remove wrong episodes from all services
   // Pass showTitle to also filter out results from different shows (e.g., "Crime Story" when searching for "Fallout")
-  flatStreams = filterByEpisode(flatStreams, season, episode, cinemetaDetails?.name);
+  flatStreams = filterByEpisode(flatStreams, season, episode, cinemetaDetails?.name, config.absoluteEpisode);
 
   // Apply proxy to HTTP streaming and Easynews streams if configured
   flatStreams = applyProxyToStreams(flatStreams, config);
 
+  flatStreams = deduplicateServiceStreams(flatStreams);
+
   // Cross-provider deduplication: if a torrent exists in personal cloud AND as external cached,
   // keep only the personal version to avoid showing duplicate entries
   flatStreams = deduplicatePersonalStreams(flatStreams);
 
-  // Sort streams: personal files first, then by resolution (highest to lowest), then by size (largest to smallest)
-  flatStreams.sort((a, b) => {
-    if (a.isPersonal && !b.isPersonal) return -1;
-    if (!a.isPersonal && b.isPersonal) return 1;
+  // Drop release groups the user's ranking profile denies
+  flatStreams = filterByReleaseGroup(flatStreams, config.RankingProfile);
 
-    const resA = a.resolution || getResolutionFromName(a.name || a.title || '');
-    const resB = b.resolution || getResolutionFromName(b.name || b.title || '');
-    const rankA = resolutionOrder[resA] || 0;
-    const rankB = resolutionOrder[resB] || 0;
-    if (rankA !== rankB) return rankB - rankA;
+  // Sort streams: personal files first, then by resolution (highest to lowest), then by ranking profile score,
+  // then by size (largest to smallest)
+  sortStreams(flatStreams, config.RankingProfile);
 
-    const sizeA = a._size || (a.size ? sizeToBytes(a.size) : 0);
-    const sizeB = b._size || (b.size ? sizeToBytes(b.size) : 0);
-    return sizeB - sizeA;
-  });
+  // Render the user's name/title template last so every filter above still saw the original titles
+  flatStreams = applyStreamTemplates(flatStreams, config.StreamTemplate);
 
   return flatStreams;
 }
@@ -3018,8 +2649,11 @@ async function resolveUrl(debridProvider, debridApiKey, itemId, hostUrl, clientI
   const useResolveCache = provider !== 'realdebrid';
   const sanitizedConfig = sanitizeConfig(config, 'RESOLVER');
   config = sanitizedConfig;
-  const sanitizedKey = sanitizeToken(debridApiKey, 'debridApiKey', 'RESOLVER');
-  const apiKey = sanitizedKey || debridApiKey;
+  // A service with several keys sends them all, the key its stream was found with first
+  const apiKeys = Array.isArray(debridApiKey)
+    ? debridApiKey.map(key => sanitizeToken(key, 'debridApiKey', 'RESOLVER')).filter(Boolean)
+    : [sanitizeToken(debridApiKey, 'debridApiKey', 'RESOLVER') || debridApiKey];
+  const apiKey = apiKeys[0];
 
   // Validate hostUrl before attempting to use it
   if (!hostUrl || hostUrl === 'undefined') {
@@ -3030,6 +2664,7 @@ async function resolveUrl(debridProvider, debridApiKey, itemId, hostUrl, clientI
   const cacheKey = buildResolveCacheKey(provider, apiKey, hostUrl, clientIp);
   if (useResolveCache) {
     const cacheState = getResolveCache(cacheKey);
+    observeCacheLookup('resolve', cacheState.status !== 'miss');
     if (cacheState.status === 'success') {
       console.log(`[RESOLVER] Cache hit for ${provider} resolve (${cacheKey})`);
       return cacheState.value;
@@ -3050,32 +2685,15 @@ async function resolveUrl(debridProvider, debridApiKey, itemId, hostUrl, clientI
 
   console.log(`[RESOLVER] resolveUrl called with provider: ${provider}, hostUrl: ${hostUrl.substring(0, 100)}${hostUrl.length > 100 ? '...' : ''}`);
 
-  // Handle NZB URLs for DebriderApp/PersonalCloud
-  if (hostUrl.startsWith('nzb:') && (provider === 'debriderapp' || provider === 'personalcloud')) {
-    const nzbUrl = hostUrl.substring(4); // Remove 'nzb:' prefix
-    const newznabApiKey = sanitizedConfig.PersonalCloudNewznabApiKey || sanitizedConfig.newznabApiKey || '';
-    const baseUrl = sanitizedConfig.PersonalCloudUrl || 'https://debrider.app/api/v1';
-
+  // NZB results are downloaded by providers that can take Usenet submissions
+  const definition = getProvider(provider);
+  if (hostUrl.startsWith('nzb:') && definition?.capabilities.usenetSubmit) {
     console.log(`[RESOLVER] Processing NZB download for ${provider}...`);
-
     try {
-      // Submit NZB to Personal Cloud
-      const taskInfo = await DebriderApp.submitNzb(apiKey, nzbUrl, newznabApiKey, baseUrl);
-      console.log(`[RESOLVER] NZB task created: ${taskInfo.taskId}`);
-
-      // Wait for task to complete and get video file
-      const completedTask = await DebriderApp.waitForTaskCompletion(apiKey, taskInfo.taskId, baseUrl, 300000);
-
-      if (completedTask.videoFiles && completedTask.videoFiles.length > 0) {
-        // Return the largest video file
-        const largestVideo = completedTask.videoFiles.reduce((a, b) => (a.size > b.size ? a : b));
-        const videoUrl = largestVideo.download_link || largestVideo.url;
-        console.log(`[RESOLVER] NZB download complete, returning video URL`);
-        if (useResolveCache) storeResolveCache(cacheKey, videoUrl);
-        return videoUrl;
-      } else {
-        throw new Error('No video files found in completed task');
-      }
+      const videoUrl = await withKeyFailover(provider, apiKeys, key =>
+        definition.capabilities.usenetSubmit(key, hostUrl.substring(4), { config: sanitizedConfig }));
+      if (useResolveCache) storeResolveCache(cacheKey, videoUrl);
+      return videoUrl;
     } catch (error) {
       console.error(`[RESOLVER] NZB processing error: ${error.message}`);
       if (useResolveCache) storeResolveCache(cacheKey, null);
@@ -3087,285 +2705,23 @@ async function resolveUrl(debridProvider, debridApiKey, itemId, hostUrl, clientI
     console.error(`[RESOLVER] Invalid URL provided: ${hostUrl}`);
     return null;
   }
+  // A magnet that turns out not to be cached is dropped from the search cache it was listed from
+  const onUncached = config?.cacheKey
+    ? async (hash) => {
+      const cacheHash = config.cacheHash || hash;
+      if (!cacheHash) return;
+      await removeCachedSearchResult(config.cacheKey, cacheHash);
+      await SqliteCache.deleteCachedHash(provider, cacheHash);
+    }
+    : null;
   const performResolve = async () => {
     try {
-      if (provider === "realdebrid") {
-        if (hostUrl.startsWith('magnet:') || hostUrl.includes('||HINT||')) {
-          const maxRetries = 20; // Increase retries to allow more time for links to become available
-          const retryInterval = 3000; // Reduce delay to allow more attempts
-          let episodeHint = null;
-          if (hostUrl.includes('||HINT||')) {
-            try {
-              const parts = hostUrl.split('||HINT||');
-              hostUrl = parts[0];
-              episodeHint = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf-8'));
-            } catch (_) { episodeHint = null; }
-          }
-
-        // Import rate limiter dynamically to avoid circular dependencies
-        const RdLimiter = (await import('./util/rd-rate-limit.js')).default;
-        const rdCall = (fn) => RdLimiter.schedule(fn, 'rd-call', apiKey);
-
-        const normalizedClientIp = normalizeClientIp(clientIp);
-        const rdClientOptions = normalizedClientIp
-          ? {
-            ip: normalizedClientIp,
-            headers: {
-              'X-Forwarded-For': normalizedClientIp,
-              'X-Real-IP': normalizedClientIp
-            }
-          }
-          : {};
-        const RD = new RealDebridClient(apiKey, rdClientOptions);
-        let torrentId = null;
-        let createdTorrent = false;
-        try {
-          const magnetHash = extractMagnetHash(hostUrl);
-          const blockedStatuses = new Set(['magnet_error', 'error', 'virus', 'dead']);
-
-          if (magnetHash) {
-            await withRealDebridMagnetLock(apiKey, magnetHash, async () => {
-              torrentId = await findExistingRdTorrentIdByHash(RD, rdCall, magnetHash, blockedStatuses);
-              if (torrentId) {
-                console.log(`[RESOLVER] Reusing existing RD torrent ${torrentId} for hash ${magnetHash.substring(0, 12)}...`);
-                return;
-              }
-
-              const addResponse = await rdCall(() => RD.torrents.addMagnet(hostUrl));
-              if (!addResponse?.data?.id) throw new Error("Failed to add magnet.");
-              torrentId = addResponse.data.id;
-              createdTorrent = true;
-              console.log(`[RESOLVER] Added new RD magnet as torrent ${torrentId}`);
-            });
-          } else {
-            const addResponse = await rdCall(() => RD.torrents.addMagnet(hostUrl));
-            if (!addResponse?.data?.id) throw new Error("Failed to add magnet.");
-            torrentId = addResponse.data.id;
-            createdTorrent = true;
-            console.log(`[RESOLVER] Added new RD magnet as torrent ${torrentId} (no hash lock)`);
-          }
-
-          let torrentInfo = await rdCall(() => RD.torrents.info(torrentId));
-          const hasSelectedFiles = Array.isArray(torrentInfo?.data?.files)
-            ? torrentInfo.data.files.some(file => file?.selected)
-            : false;
-          if (!hasSelectedFiles || torrentInfo?.data?.status === 'waiting_files_selection') {
-            await rdCall(() => RD.torrents.selectFiles(torrentId, 'all'));
-            torrentInfo = await rdCall(() => RD.torrents.info(torrentId));
-          }
-
-          // First wait for the torrent to be processed and ready
-          const uncachedStatuses = new Set(['downloading', 'queued']);
-          for (let i = 0; i < maxRetries; i++) {
-              torrentInfo = await rdCall(() => RD.torrents.info(torrentId));
-              const status = String(torrentInfo?.data?.status || '').toLowerCase();
-              if (status === 'downloaded' || status === 'finished') break;
-              if (blockedStatuses.has(status)) throw new Error(`Torrent failed: ${status}`);
-              if (i === 0 && config?.cacheKey && uncachedStatuses.has(status)) {
-                const cacheHash = config.cacheHash || extractMagnetHash(hostUrl);
-                if (cacheHash) {
-                  await removeCachedSearchResult(config.cacheKey, cacheHash);
-                  await SqliteCache.deleteCachedHash(provider, cacheHash);
-                }
-                throw new Error(`Torrent not cached (status: ${status})`);
-              }
-              if (i === maxRetries - 1) throw new Error(`Torrent not ready after ${Math.ceil((maxRetries*retryInterval)/1000)}s`);
-              await new Promise(r => setTimeout(r, retryInterval));
-            }
-            
-            // Now wait for links to become available (separate from download status)
-            let links = torrentInfo?.data?.links || [];
-            if (links.length === 0) {
-              console.log(`[RESOLVER] Links not available yet, waiting for them to be generated...`);
-              for (let i = 0; i < maxRetries; i++) {
-                torrentInfo = await rdCall(() => RD.torrents.info(torrentId));
-                links = torrentInfo?.data?.links || [];
-                if (links.length > 0) {
-                  console.log(`[RESOLVER] Links are now available: ${links.length} links found`);
-                  break;
-                }
-                if (i === maxRetries - 1) throw new Error("No streamable links found after waiting");
-                await new Promise(r => setTimeout(r, retryInterval));
-              }
-            }
-            
-            if (!links.length) throw new Error("No streamable links found.");
-            
-            const files = torrentInfo.data.files || [];
-            const videoFiles = files.filter(f => f.selected);
-            if (videoFiles.length === 0) throw new Error("No valid video files.");
-            
-            let chosen = null;
-            if (episodeHint) {
-              if (episodeHint.fileId != null) chosen = videoFiles.find(f => f.id === episodeHint.fileId) || null;
-              if (!chosen && episodeHint.filePath) chosen = videoFiles.find(f => f.path === episodeHint.filePath) || null;
-              if (!chosen && episodeHint.season && episodeHint.episode) {
-                const s = String(episodeHint.season).padStart(2, '0');
-                const e = String(episodeHint.episode).padStart(2, '0');
-                const patterns = [
-                  new RegExp('[sS][\\W_]*' + s + '[\\W_]*[eE][\\W_]*' + e, 'i'),
-                  new RegExp('\\b' + Number(episodeHint.season) + '[\\W_]*x[\\W_]*' + e + '\\b', 'i'),
-                  new RegExp('\\b[eE]p?\\.?\\s*' + Number(episodeHint.episode) + '\\b', 'i'),
-                  new RegExp('episode\\s*' + Number(episodeHint.episode), 'i')
-                ];
-                chosen = videoFiles.find(f => patterns.some(p => p.test(f.path))) || null;
-              }
-            }
-            if (!chosen) chosen = videoFiles.reduce((a, b) => (a.bytes > b.bytes ? a : b));
-            
-            // Find the correct link for the chosen file
-            // RD API behavior: links[] array maps to files[] array (links[i] is for files[i])
-            let directUrl = null;
-            const chosenFileId = String(chosen.id);
-
-            // Method 1: Check if file has its own links property (newer API format)
-            if (chosen.links && Array.isArray(chosen.links) && chosen.links.length > 0) {
-              directUrl = chosen.links[0];
-              console.log(`[RESOLVER] Found direct URL using file.links property for file ${chosenFileId}`);
-            }
-
-            // Method 2: Find the file's index in ALL files, then use that to index into links array
-            // This is the standard RD API mapping: links[i] corresponds to files[i]
-            if (!directUrl) {
-              const fileIndexInAll = files.findIndex(f => String(f.id) === chosenFileId);
-              if (fileIndexInAll !== -1 && fileIndexInAll < links.length) {
-                const potentialUrl = links[fileIndexInAll];
-                if (potentialUrl && potentialUrl !== 'undefined') {
-                  directUrl = potentialUrl;
-                  console.log(`[RESOLVER] Found direct URL at index ${fileIndexInAll} for file ${chosenFileId}`);
-                }
-              } else {
-                console.log(`[RESOLVER] Method 2 failed: File index: ${fileIndexInAll}, links length: ${links.length}, files length: ${files.length}`);
-              }
-            }
-
-            // Method 3: Try finding among selected files only (fallback for edge cases)
-            // Some RD API versions may only return links for selected files
-            if (!directUrl) {
-              const selectedFiles = files.filter(f => f.selected);
-              const indexInSelected = selectedFiles.findIndex(f => String(f.id) === chosenFileId);
-              if (indexInSelected !== -1 && indexInSelected < links.length) {
-                const potentialUrl = links[indexInSelected];
-                if (potentialUrl && potentialUrl !== 'undefined') {
-                  directUrl = potentialUrl;
-                  console.log(`[RESOLVER] Found direct URL at selected-index ${indexInSelected} for file ${chosenFileId}`);
-                }
-              } else {
-                console.log(`[RESOLVER] Method 3 failed: Selected index: ${indexInSelected}, selected files: ${selectedFiles.length}`);
-              }
-            }
-
-            if (!directUrl || directUrl === 'undefined') {
-              // Enhanced debugging: show all files and their selection status
-              console.error(`[RESOLVER] RD magnet error: Direct URL not found for torrent ${torrentId}, file ${chosenFileId}`);
-              console.error(`[RESOLVER] Files info: ${files.length} total files, ${videoFiles.length} selected video files, ${links.length} links`);
-              files.forEach((f, idx) => {
-                console.error(`[RESOLVER]   File[${idx}]: id=${f.id}, selected=${f.selected}, path=${f.path}`);
-              });
-              links.forEach((link, idx) => {
-                console.error(`[RESOLVER]   Link[${idx}]: ${link ? 'present' : 'missing'}`);
-              });
-              throw new Error("Direct URL not found.");
-            }
-            
-            const unrestrictedUrl = await RealDebrid.unrestrictUrl(apiKey, directUrl, clientIp);
-            if (!unrestrictedUrl) throw new Error("Unrestrict failed.");
-            return unrestrictedUrl;
-        } catch (error) {
-          const status = error?.response?.status || error?.status;
-          console.error(`[RESOLVER] RD magnet error: ${error.message}${status ? ` (HTTP ${status})` : ''}`);
-          if (createdTorrent && torrentId) {
-            try { await rdCall(() => RD.torrents.delete(torrentId)); } catch (_) {}
-          }
-          return null;
-        }
-      } else {
-        return RealDebrid.unrestrictUrl(apiKey, hostUrl, clientIp);
-      }
-    } else if (provider === "offcloud") {
-      let inferredType = null;
-      if (itemId && typeof itemId === 'string') {
-        const parts = itemId.split(':');
-        inferredType = parts.length > 1 ? 'series' : 'movie';
-      }
-      const resolvedUrl = await OffCloud.resolveStream(apiKey, hostUrl, inferredType, itemId);
-      if (!resolvedUrl) {
-        console.error("[RESOLVER] OffCloud returned empty for resolve, giving up.");
-        return null;
-      }
-      return resolvedUrl;
-      } else if (provider === "debridlink") {
-        return hostUrl;
-      } else if (provider === "premiumize") {
-        if (hostUrl.startsWith('magnet:')) {
-            let episodeHint = null;
-            if (hostUrl.includes('||HINT||')) {
-                try {
-                    const parts = hostUrl.split('||HINT||');
-                    hostUrl = parts[0];
-                    episodeHint = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf-8'));
-                } catch (_) { episodeHint = null; }
-            }
-
-            const directDownload = await Premiumize.getDirectDownloadLink(apiKey, hostUrl);
-            if (!directDownload) {
-                throw new Error("Failed to get direct download link from Premiumize.");
-            }
-
-            let videos = [];
-            if (directDownload.content && Array.isArray(directDownload.content) && directDownload.content.length > 0) {
-                // Multi-file torrent
-                videos = directDownload.content
-                    .filter(f => isVideo(f.path))
-                    .map(f => ({ ...f, name: f.path })); // Normalize name for PTT
-            } else if (directDownload.location && isVideo(directDownload.filename)) {
-                // Single file torrent
-                videos.push({
-                    name: directDownload.filename,
-                    size: directDownload.filesize,
-                    stream_link: directDownload.stream_link || directDownload.location,
-                    link: directDownload.location,
-                });
-            }
-
-            if (videos.length === 0) {
-                throw new Error("No video files found in direct download response.");
-            }
-
-            let chosenVideo = null;
-            if (videos.length > 1 && episodeHint && episodeHint.season && episodeHint.episode) {
-                const s = Number(episodeHint.season);
-                const e = Number(episodeHint.episode);
-
-                chosenVideo = videos.find(f => {
-                    const pttInfo = PTT.parse(f.name);
-                    return pttInfo.season === s && pttInfo.episode === e;
-                });
-            }
-
-            if (!chosenVideo) {
-                if (videos.length > 1) {
-                    chosenVideo = videos.reduce((a, b) => (a.size > b.size ? a : b));
-                } else {
-                    chosenVideo = videos[0];
-                }
-            }
-
-            const streamLink = chosenVideo.stream_link || chosenVideo.link;
-            if (!streamLink) {
-                throw new Error("No streamable link found for the chosen video file.");
-            }
-
-            return streamLink;
-        }
-        return hostUrl; // for non-magnet links
-      } else if (provider === "alldebrid") {
-        return AllDebrid.resolveStreamUrl(apiKey, hostUrl, clientIp);
-      } else if (provider === "torbox") {
-        return TorBox.unrestrictUrl(apiKey, itemId, hostUrl, clientIp);
-      } else {
+      if (!definition?.capabilities.resolve) {
         throw new Error(`Unsupported debrid provider: ${debridProvider}`);
       }
+      // The key that is not rate limited resolves; a 429/503 moves on to the next key
+      return await withKeyFailover(provider, apiKeys, key =>
+        definition.capabilities.resolve(key, hostUrl, { itemId, clientIp, config, onUncached }));
     } catch (error) {
       console.error(`[RESOLVER] Critical error for ${debridProvider}: ${error.message}`);
       if (error.stack) console.error(error.stack);
@@ -3373,19 +2729,53 @@ async function resolveUrl(debridProvider, debridApiKey, itemId, hostUrl, clientI
     }
   };
 
+  const resolveStartedAt = Date.now();
   const inflightPromise = performResolve().finally(() => {
     resolveInFlight.delete(cacheKey);
   });
   resolveInFlight.set(cacheKey, inflightPromise);
 
   const resolved = await inflightPromise;
+  observeResolve(provider, Date.now() - resolveStartedAt, Boolean(resolved));
   if (useResolveCache) storeResolveCache(cacheKey, resolved);
+  // A cache check may have left this hash as a temporary magnet; it is playing now
+  const playedHash = resolved ? extractMagnetHash(hostUrl) : null;
+  if (playedHash) {
+    releaseTempMagnet(definition.key, apiKeys, playedHash)
+      .catch(error => console.warn(`[RESOLVER] Could not release temporary magnet: ${error.message}`));
+  }
   return resolved;
 }
 
+/**
+ * Plays an uncached pick: adds the magnet to the account on first play, then reports progress
+ * until the download is ready and resolves it like a cached stream.
+ * @returns {Promise<{status: string, progress: number, url: string|null}>}
+ */
+async function resolveUncached(debridProvider, debridApiKey, hostUrl, clientIp, config = {}) {
+  const provider = debridProvider.toLowerCase();
+  const apiKeys = (Array.isArray(debridApiKey) ? debridApiKey : [debridApiKey])
+    .map(key => sanitizeToken(key, 'debridApiKey', 'RESOLVER') || key)
+    .filter(Boolean);
+  if (!supportsUncached(provider)) {
+    throw new Error(`${debridProvider} cannot add uncached torrents`);
+  }
+
+  const { status, progress, apiKey } = await getUncachedDownload(provider, apiKeys, hostUrl);
+  if (status !== 'ready') return { status, progress, url: null };
+
+  // The account that downloaded it resolves it
+  const ordered = [apiKey, ...apiKeys.filter(key => key !== apiKey)];
+  const url = await resolveUrl(provider, ordered, null, hostUrl, clientIp, config);
+  return { status, progress, url };
+}
+
+// Providers whose resolvers receive the whole torrent and pick the episode file from a `||HINT||`
+const EPISODE_HINT_SOURCES = new Set(['premiumize', 'debridlink', 'putio', 'pikpak']);
+
 function toStream(details, type, config, streamHint = {}) {
   let video = details;
-  let icon = details.isPersonal ? '☁️' : '💾';
+  let icon = details.isPersonal ? '☁️' : (details.isUncached ? '⏳' : '💾');
   let personalTag = details.isPersonal ? '[Cloud] ' : '';
   // Defer URL validity check until after we build the final streamUrl
 
@@ -3415,14 +2805,15 @@ function toStream(details, type, config, streamHint = {}) {
   if (type == 'series' && video.name && video.name !== displayName) title = title + '\n' + video.name;
   
   const pttInfo = PTT.parse(displayName);
+  let episodeInfo = '';
   if (type === 'series' && streamHint.season && streamHint.episode && pttInfo.season && !pttInfo.episode) {
-    const episodeInfo = `S${String(streamHint.season).padStart(2, '0')}E${String(streamHint.episode).padStart(2, '0')}`;
+    episodeInfo = `S${String(streamHint.season).padStart(2, '0')}E${String(streamHint.episode).padStart(2, '0')}`;
     title = `${personalTag}${displayName}\n${episodeInfo}${flagsSuffix}`;
   }
 
-  const trackerLabel = [details.tracker, details.Tracker, details.originalSource]
-    .find(value => typeof value === 'string' && value.trim())?.trim()
-    || (!details.isPersonal ? 'Cached' : '');
+  const sourceTracker = [details.tracker, details.Tracker, details.originalSource]
+    .find(value => typeof value === 'string' && value.trim())?.trim();
+  const trackerLabel = sourceTracker || (details.isUncached ? 'Uncached' : (!details.isPersonal ? 'Cached' : ''));
   const trackerInfo = trackerLabel ? ` | ${trackerLabel}` : '';
   title = title + '\n' + icon + ' ' + formatSize(video.size) + trackerInfo;
 
@@ -3472,13 +2863,13 @@ function toStream(details, type, config, streamHint = {}) {
     return null;
   }
 
-  if (normalizedSource === 'premiumize' && type === 'series' && streamHint.season && streamHint.episode) {
+  if (EPISODE_HINT_SOURCES.has(normalizedSource) && type === 'series' && streamHint.season && streamHint.episode && !urlToEncode.includes('||HINT||')) {
     const hint = Buffer.from(JSON.stringify({ season: streamHint.season, episode: streamHint.episode })).toString('base64');
     urlToEncode += '||HINT||' + hint;
   }
 
   if (normalizedSource === 'realdebrid') {
-    const encodedApiKey = encodeURIComponent(config.DebridApiKey || '');
+    const encodedApiKey = encodeResolveApiKey(config, 'realdebrid', config.DebridApiKeys || config.DebridApiKey || '');
     const encodedUrl = encodeURIComponent(urlToEncode);
     streamUrl = (base && base.startsWith('http'))
       ? `${base}/resolve/realdebrid/${encodedApiKey}/${encodedUrl}`
@@ -3486,13 +2877,18 @@ function toStream(details, type, config, streamHint = {}) {
   } else if (normalizedSource === 'offcloud' && urlToEncode.includes('offcloud.com/cloud/download/')) {
     streamUrl = urlToEncode;
   } else {
-    const encodedApiKey = encodeURIComponent(config.DebridApiKey || config.DebridLinkApiKey || '');
+    const encodedApiKey = encodeResolveApiKey(config, normalizedSource, config.DebridApiKeys || config.DebridApiKey || config.DebridLinkApiKey || '');
     const encodedUrl = encodeURIComponent(urlToEncode);
     streamUrl = (base && base.startsWith('http'))
       ? `${base}/resolve/${normalizedSource}/${encodedApiKey}/${encodedUrl}`
       : urlToEncode;
   }
 
+  // Uncached picks are added to the account on play and report download progress until ready
+  if (details.isUncached && streamUrl && streamUrl.includes('/resolve/')) {
+    streamUrl = `${streamUrl}${streamUrl.includes('?') ? '&' : '?'}uncached=1`;
+  }
+
   if (details.isCached && streamUrl && streamUrl.includes('/resolve/')) {
     const cacheKey = details._cacheKey || details.cacheKey;
     const cacheHash = details.hash || details.infoHash || details.InfoHash;
@@ -3510,16 +2906,7 @@ function toStream(details, type, config, streamHint = {}) {
   let proxyPassword = '';
   if (config.DebridServices && Array.isArray(config.DebridServices)) {
     // Map normalized source back to provider name
-    const providerNameMap = {
-      'realdebrid': 'RealDebrid',
-      'alldebrid': 'AllDebrid',
-      'torbox': 'TorBox',
-      'offcloud': 'OffCloud',
-      'premiumize': 'Premiumize',
-      'debridlink': 'DebridLink',
-      'debriderapp': 'DebriderApp'
-    };
-    const providerName = providerNameMap[normalizedSource] || normalizedSource;
+    const providerName = getProvider(normalizedSource)?.name || normalizedSource;
     const serviceConfig = config.DebridServices.find(s => s.provider === providerName);
     if (serviceConfig && serviceConfig.enableProxy && serviceConfig.proxyUrl) {
       proxyEnabled = true;
@@ -3556,9 +2943,25 @@ function toStream(details, type, config, streamHint = {}) {
     isPersonal: details.isPersonal, // Keep track of personal files for sorting
     _size: video.size || 0,  // Preserve size for filtering
     _hash: (details.hash || details.infoHash || details.InfoHash || '').toLowerCase() || undefined, // Preserve hash for cross-provider dedup
+    // Rendered through the user's StreamTemplate at the end of the pipeline (see lib/util/stream-template.js)
+    _templateFields: {
+      title: displayName,
+      fileName,
+      resolution: resolutionLabel,
+      size: video.size,
+      languages: detectedLanguages,
+      cached: !details.isPersonal && details.isCached !== false,
+      personal: Boolean(details.isPersonal),
+      source: sourceLabel,
+      tracker: sourceTracker,
+      episode: episodeInfo,
+      icon,
+      proxy: proxyEnabled
+    },
     behaviorHints
   };
   if (details.bypassFiltering) streamObj.bypassFiltering = true;
+  if (details.isUncached) streamObj.isUncached = true;
   return streamObj;
 }
 
@@ -3603,7 +3006,7 @@ function toDebriderStream(details, type, config) {
     if (details.url.startsWith('nzb:')) {
         const base = ADDON_HOST || config?.host || '';
         const provider = details.source === 'personalcloud' ? 'personalcloud' : 'debriderapp';
-        const encodedApiKey = encodeURIComponent(config.DebridApiKey || '');
+        const encodedApiKey = encodeResolveApiKey(config, provider, config.DebridApiKeys || config.DebridApiKey || '');
         const encodedUrl = encodeURIComponent(details.url);
 
         // Find the service config for this provider
@@ -3621,7 +3024,7 @@ function toDebriderStream(details, type, config) {
             }
         }
 
-        const configParam = encodeURIComponent(JSON.stringify(serviceConfig));
+        const configParam = encodeConfigParam(config, serviceConfig);
         streamUrl = (base && base.startsWith('http'))
             ? `${base}/resolve/${provider}/${encodedApiKey}/${encodedUrl}?config=${configParam}`
             : details.url;
@@ -3660,6 +3063,19 @@ function toDebriderStream(details, type, config) {
         url: streamUrl,
         isPersonal: details.isPersonal, // Keep track of personal files for sorting
         _size: details.size || 0,  // Preserve size for filtering
+        _templateFields: {
+            title: details.name,
+            fileName: details.fileName,
+            resolution: resolutionLabel,
+            size: details.size,
+            languages: detectedLanguages,
+            cached: !details.isPersonal && !details.url.startsWith('nzb:'),
+            personal: Boolean(details.isPersonal),
+            source: sourceName,
+            tracker: [details.tracker, details.Tracker, details.originalSource].find(value => typeof value === 'string' && value.trim())?.trim(),
+            icon,
+            proxy: finalTitle !== title
+        },
         behaviorHints: (() => {
             const fileName = extractFileName(details.fileName || details.name || '');
             const hints = {
@@ -3674,490 +3090,6 @@ function toDebriderStream(details, type, config) {
     };
 }
 
-/**
- * Get streams from Usenet
- */
-async function getEasynewsStreams(config, type, id) {
-  try {
-    console.log('[EN+] getEasynewsStreams called');
-    console.log('[EN+] Username:', config.EasynewsUsername ? '***' : 'not set');
-
-    const results = await Easynews.searchEasynewsStreams(
-      config.EasynewsUsername,
-      config.EasynewsPassword,
-      type,
-      id,
-      config
-    );
-
-    if (!results || results.length === 0) {
-      console.log('[EN+] No results found');
-      return [];
-    }
-
-    console.log(`[EN+] Got ${results.length} results from Easynews`);
-
-    // Format results for Stremio
-    const formattedStreams = results.map(result => {
-      const resolution = getResolutionFromName(result.name);
-      // Set resolution label properly - 2160p shows as "4k", 1080p shows as "1080p", etc.
-      let resolutionLabel;
-      if (resolution === '2160p') {
-        resolutionLabel = '4k';
-      } else if (resolution === '1080p') {
-        resolutionLabel = '1080p';
-      } else if (resolution === '720p') {
-        resolutionLabel = '720p';
-      } else if (resolution === '480p') {
-        resolutionLabel = '480p';
-      } else {
-        resolutionLabel = resolution || 'N/A';
-      }
-
-      return {
-        name: `${STREAM_NAME_MAP.easynews}\n${resolutionLabel}`,
-        title: `${result.name}\n📡 ${formatSize(result.size)}`,
-        url: result.url,
-        _size: result.size || 0,
-        provider: 'easynews',
-        behaviorHints: {
-          bingeGroup: 'sootio-easynews'
-        }
-      };
-    });
-
-    return formattedStreams;
-
-  } catch (error) {
-    console.error('[EN+] Error getting Easynews streams:', error);
-    return [];
-  }
-}
-
-async function getUsenetStreams(config, type, id) {
-  try {
-    console.log('[USENET] getUsenetStreams called - Personal file check will ALWAYS run (never cached)');
-    console.log('[USENET] Config FileServerUrl:', config.FileServerUrl);
-
-    const results = await Usenet.searchUsenet(
-      config.NewznabUrl,
-      config.NewznabApiKey,
-      type,
-      id,
-      config
-    );
-
-    if (!results || results.length === 0) {
-      console.log('[USENET] No search results from Newznab');
-      return [];
-    }
-
-    console.log(`[USENET] Got ${results.length} search results from Newznab (may be cached)`);
-
-    // ALWAYS check file server for existing files (never cached)
-    // Match personal files against the SEARCH QUERY, not individual Newznab results
-    const personalFiles = []; // Array of file objects from server
-    const personalFileNames = new Set(); // Set of file names for quick lookup
-    console.log('[USENET] Running personal file check (UNCACHED)...');
-
-    if (config.FileServerUrl) {
-      try {
-        const axios = (await import('axios')).default;
-        const fileServerUrl = config.FileServerUrl.replace(/\/$/, '');
-        console.log(`[USENET] Querying file server: ${fileServerUrl}/api/list`);
-
-        // Simple GET without cache-busting that might cause issues
-        const response = await axios.get(`${fileServerUrl}/api/list`, {
-          timeout: 10000,
-          validateStatus: (status) => status === 200
-        });
-
-        if (response.data?.files && Array.isArray(response.data.files)) {
-          // Only use completed files for personal streams (isComplete: true)
-          // Files in incomplete/ are for streaming via download+extraction
-          const completedFiles = response.data.files.filter(f => f.isComplete === true);
-          personalFiles.push(...completedFiles);
-          completedFiles.forEach(file => {
-            personalFileNames.add(file.name);
-          });
-          console.log(`[USENET] ✓ Found ${completedFiles.length} completed files on server (${response.data.files.length} total)`);
-          if (completedFiles.length > 0) {
-            console.log(`[USENET] Sample completed files:`, completedFiles.slice(0, 2).map(f => f.path).join(', '));
-          }
-        } else {
-          console.log(`[USENET] ✓ No files on server`);
-        }
-      } catch (error) {
-        console.error('[USENET] ✗ Personal file check FAILED:', error.code, error.message);
-        if (error.response) {
-          console.error('[USENET] Response status:', error.response.status);
-        }
-        // Continue without personal files if file server is unavailable
-      }
-    } else {
-      console.log('[USENET] ⚠ FileServerUrl not configured');
-    }
-
-    // Get metadata for title matching
-    let metadata = null;
-    try {
-      // For series, extract just the imdbId (before the colon)
-      const imdbId = type === 'series' ? id.split(':')[0] : id;
-      metadata = await Cinemeta.getMeta(type, imdbId);
-    } catch (err) {
-      console.log('[USENET] Could not fetch metadata for title matching:', err.message);
-    }
-
-    // Helper function to match file against search query
-    const matchesSearch = (fileName, searchType, searchId, meta) => {
-      if (searchType === 'series') {
-        // Extract S01E05 from search ID (format: tt123:1:5)
-        const [, season, episode] = searchId.split(':');
-        const seasonEpPattern = new RegExp(`s0*${season}e0*${episode}`, 'i');
-
-        // Check if episode pattern matches
-        if (!seasonEpPattern.test(fileName)) {
-          return false;
-        }
-
-        // If we have metadata, also verify the title matches
-        if (meta && meta.name) {
-          // Normalize both strings for comparison
-          const normalizeStr = (str) => str.toLowerCase()
-            .replace(/[^\w\s]/g, '') // Remove special chars
-            .replace(/\s+/g, ''); // Remove spaces
-
-          const normalizedTitle = normalizeStr(meta.name);
-          const normalizedFileName = normalizeStr(fileName);
-
-          // Check if the file name contains the show title
-          if (!normalizedFileName.includes(normalizedTitle)) {
-            console.log(`[USENET] ✗ File "${fileName}" has correct episode but wrong title (expected: "${meta.name}")`);
-            return false;
-          }
-        }
-
-        console.log(`[USENET] ✓ Personal file matches search: "${fileName}"`);
-        return true;
-      } else {
-        // For movies, match by title and optionally year
-        if (!meta || !meta.name) {
-          return false;
-        }
-
-        const normalizeStr = (str) => str.toLowerCase()
-          .replace(/[^\w\s]/g, '')
-          .replace(/\s+/g, '');
-
-        const normalizedTitle = normalizeStr(meta.name);
-        const normalizedFileName = normalizeStr(fileName);
-
-        // Check if filename contains the movie title
-        if (!normalizedFileName.includes(normalizedTitle)) {
-          return false;
-        }
-
-        // If we have a year, check if it matches too
-        if (meta.year) {
-          const yearPattern = new RegExp(`\\b${meta.year}\\b`);
-          if (!yearPattern.test(fileName)) {
-            console.log(`[USENET] ✗ File "${fileName}" has correct title but wrong year (expected: ${meta.year})`);
-            return false;
-          }
-        }
-
-        console.log(`[USENET] ✓ Personal file matches search: "${fileName}"`);
-        return true;
-      }
-    };
-
-    // Find personal files that match the search
-    // Try matching against file.path first, then fall back to folderName if filename is a hash
-    const matchedPersonalFiles = personalFiles.filter(file => {
-      // First try the full path (includes folder name)
-      if (matchesSearch(file.path, type, id, metadata)) {
-        return true;
-      }
-      // If path doesn't match and we have a folderName, try that
-      // This handles cases where the video file has a random hash name
-      if (file.folderName && matchesSearch(file.folderName, type, id, metadata)) {
-        console.log(`[USENET] ✓ Matched by folder name: "${file.folderName}" (file: ${file.name})`);
-        return true;
-      }
-      return false;
-    });
-
-    console.log(`[USENET] Found ${matchedPersonalFiles.length} personal files matching search`);
-
-    // Build NNTP server connection string for Stremio SDK
-    // Format: nntp(s)://{user}:{pass}@{domain}:{port}/{connections}
-    const protocol = config.NntpSsl !== false ? 'nntps' : 'nntp';
-    const nntpServer = `${protocol}://${encodeURIComponent(config.NntpUsername)}:${encodeURIComponent(config.NntpPassword)}@${config.NntpAddress}:${config.NntpPort}/${config.NntpConnections || 4}`;
-
-    const base = ADDON_HOST || config?.host || '';
-
-    // Helper to match Newznab result with personal file
-    const findMatchingPersonalFile = (nzbTitle) => {
-      const normalizeForMatch = (str) => {
-        const withoutExt = str.replace(/\.(mkv|mp4|avi|mov|wmv|flv|webm|m4v|mpg|mpeg)$/i, '');
-        return withoutExt.toLowerCase().replace(/[.\s_-]+/g, '');
-      };
-      const normalized = normalizeForMatch(nzbTitle);
-
-      return matchedPersonalFiles.find(file => {
-        const fileNorm = normalizeForMatch(file.name);
-        return fileNorm === normalized || fileNorm.includes(normalized) || normalized.includes(fileNorm);
-      });
-    };
-
-    // Apply filters to Newznab results (same as debrid services)
-    let filteredResults = results;
-
-    // For movies, filter by year
-    if (type === 'movie' && metadata) {
-      filteredResults = filteredResults.filter(result => filterYear(result, metadata));
-      console.log(`[USENET] Filtered ${results.length} -> ${filteredResults.length} results by year`);
-    }
-
-    // For series, filter out results that don't have episode markers
-    if (type === 'series') {
-      const [, season, episode] = id.split(':');
-      const initialCount = filteredResults.length;
-      filteredResults = filteredResults.filter(result => {
-        const name = result?.name || result?.title || '';
-        // Check if name has ANY episode pattern (S##E##, 1x05, etc)
-        const hasAnyEpisode = /[sS]\d+[eE]\d+|\b\d+x\d+\b|[eE]pisode\s*\d+/i.test(name);
-        return hasAnyEpisode;
-      });
-      if (filteredResults.length < initialCount) {
-        console.log(`[USENET] Filtered ${initialCount} -> ${filteredResults.length} results (removed non-series)`);
-      }
-    }
-
-    // Convert Newznab results to stream objects
-    const newznabStreams = filteredResults.slice(0, 50).map(result => {
-      const resolution = getResolutionFromName(result.title);
-      // Set resolution label properly - 2160p shows as "4k", 1080p shows as "1080p", etc.
-      let resolutionLabel;
-      if (resolution === '2160p') {
-          resolutionLabel = '4k';
-      } else if (resolution === '1080p') {
-          resolutionLabel = '1080p';
-      } else if (resolution === '720p') {
-          resolutionLabel = '720p';
-      } else if (resolution === '480p') {
-          resolutionLabel = '480p';
-      } else {
-          resolutionLabel = resolution; // fallback for other values
-      }
-
-      // Check if this Newznab result matches a personal file
-      const matchingFile = findMatchingPersonalFile(result.title);
-      const isInCloud = !!matchingFile;
-
-      // Build stream object based on whether file is in cloud or needs downloading
-      let streamObj;
-      if (isInCloud) {
-        // Stream from personal file (already on server) - use custom URL
-        const configData = {
-          newznabUrl: config.NewznabUrl,
-          newznabApiKey: config.NewznabApiKey,
-          nntpAddress: config.NntpAddress,
-          nntpPort: config.NntpPort,
-          nntpUsername: config.NntpUsername,
-          nntpPassword: config.NntpPassword,
-          nntpConnections: config.NntpConnections,
-          nntpSsl: config.NntpSsl
-        };
-        const configParam = encodeURIComponent(JSON.stringify(configData));
-        const encodedPath = matchingFile.path.split('/').map(encodeURIComponent).join('/');
-        const streamUrl = `${base}/usenet/personal/${encodedPath}?config=${configParam}`;
-        console.log(`[USENET] ✓ Newznab result "${result.title}" matches personal file, using direct URL`);
-
-        streamObj = {
-          url: streamUrl,
-          behaviorHints: {
-            bingeGroup: `usenet-personal|${matchingFile.name}`
-          }
-        };
-      } else {
-        // Use SDK's built-in NZB support
-        console.log(`[USENET] Using SDK NZB streaming for: "${result.title}"`);
-        streamObj = {
-          nzbUrl: result.nzbUrl,
-          servers: [nntpServer],
-          behaviorHints: {
-            bingeGroup: `usenet|${result.id}`,
-            notWebReady: true
-          }
-        };
-      }
-
-      return {
-        name: isInCloud ? `☁️ Personal\n${resolutionLabel || 'N/A'}` : `${STREAM_NAME_MAP.usenet}\n${resolutionLabel || 'N/A'}`,
-        title: `${result.title}\n${isInCloud ? '☁️' : '📡'} ${formatSize(result.size)}`,
-        ...streamObj,
-        isPersonal: isInCloud,
-        _size: result.size || 0  // Preserve size for filtering
-      };
-    });
-
-    // Create streams for personal files that DON'T match any Newznab result
-    const personalOnlyStreams = matchedPersonalFiles
-      .filter(file => {
-        // Check if this file matches ANY Newznab result
-        const normalizeForMatch = (str) => {
-          const withoutExt = str.replace(/\.(mkv|mp4|avi|mov|wmv|flv|webm|m4v|mpg|mpeg)$/i, '');
-          return withoutExt.toLowerCase().replace(/[.\s_-]+/g, '');
-        };
-        const fileNorm = normalizeForMatch(file.name);
-
-        const hasMatch = results.some(result => {
-          const resultNorm = normalizeForMatch(result.title);
-          return fileNorm === resultNorm || fileNorm.includes(resultNorm) || resultNorm.includes(fileNorm);
-        });
-        return !hasMatch;
-      })
-      .map(file => {
-        const resolution = getResolutionFromName(file.name);
-        // Set resolution label properly - 2160p shows as "4k", 1080p shows as "1080p", etc.
-        let resolutionLabel;
-        if (resolution === '2160p') {
-            resolutionLabel = '4k';
-        } else if (resolution === '1080p') {
-            resolutionLabel = '1080p';
-        } else if (resolution === '720p') {
-            resolutionLabel = '720p';
-        } else if (resolution === '480p') {
-            resolutionLabel = '480p';
-        } else {
-            resolutionLabel = resolution; // fallback for other values
-        }
-
-        // Use the file name as the release name, but if it's a hash (no recognizable info),
-        // use the parent directory name (folderName) instead
-        let releaseName = file.name.replace(/\.(mkv|mp4|avi|mov|wmv|flv|webm|m4v|mpg|mpeg)$/i, '');
-
-        // Check if filename looks like a hash (mostly alphanumeric, no spaces, < 20 chars)
-        const looksLikeHash = /^[a-zA-Z0-9]{8,32}$/.test(releaseName);
-        if (looksLikeHash && file.folderName) {
-          console.log(`[USENET] Using folder name instead of hash filename: "${file.folderName}" (was: "${releaseName}")`);
-          releaseName = file.folderName;
-        }
-
-        // Create a stream URL that goes through Node.js for tracking
-        // Use a special "personal" marker in the URL
-        const configData = {
-          newznabUrl: config.NewznabUrl,
-          newznabApiKey: config.NewznabApiKey,
-          nntpAddress: config.NntpAddress,
-          nntpPort: config.NntpPort,
-          nntpUsername: config.NntpUsername,
-          nntpPassword: config.NntpPassword,
-          nntpConnections: config.NntpConnections,
-          nntpSsl: config.NntpSsl
-        };
-        const encodedPath = file.path.split('/').map(encodeURIComponent).join('/');
-        const configParam = encodeURIComponent(JSON.stringify(configData));
-        const personalStreamUrl = `${base}/usenet/personal/${encodedPath}?config=${configParam}`;
-
-        console.log(`[USENET] ✓ Creating personal-only stream for: "${file.name}"`);
-
-        return {
-          name: `☁️ Personal\n${resolutionLabel || 'N/A'}`,
-          title: `${releaseName}\n☁️ ${formatSize(file.size)} (On Server)`,
-          url: personalStreamUrl,
-          isPersonal: true,
-          _size: file.size || 0,  // Preserve size for filtering
-          behaviorHints: {
-            bingeGroup: 'sootio-usenet-personal'
-          }
-        };
-      });
-
-    console.log(`[USENET] Created ${personalOnlyStreams.length} personal-only streams`);
-
-    // Combine: personal files at top, then regular Newznab results
-    const allStreams = [...personalOnlyStreams, ...newznabStreams];
-
-    return allStreams;
-
-  } catch (error) {
-    console.error('[USENET] Error getting streams:', error.message);
-    return [];
-  }
-}
-
-/**
- * Get streams from Home Media Server
- */
-async function getHomeMediaStreams(config, type, id) {
-  try {
-    console.log('[HM+] getHomeMediaStreams called');
-    console.log('[HM+] Config HomeMediaUrl:', config.HomeMediaUrl);
-
-    const results = await HomeMedia.searchHomeMedia(
-      config.HomeMediaUrl,
-      config.HomeMediaApiKey,
-      type,
-      id,
-      config
-    );
-
-    if (!results || results.length === 0) {
-      console.log('[HM+] No files found on home media server');
-      return [];
-    }
-
-    console.log(`[HM+] Got ${results.length} results from home media server`);
-
-    const base = ADDON_HOST || config?.host || '';
-
-    // Convert Home Media results to stream objects
-    const streams = results.map(result => {
-      const resolution = result.resolution || getResolutionFromName(result.title);
-      // Set resolution label properly - 2160p shows as "4k", 1080p shows as "1080p", etc.
-      let resolutionLabel;
-      if (resolution === '2160p') {
-          resolutionLabel = '4k';
-      } else if (resolution === '1080p') {
-          resolutionLabel = '1080p';
-      } else if (resolution === '720p') {
-          resolutionLabel = '720p';
-      } else if (resolution === '480p') {
-          resolutionLabel = '480p';
-      } else {
-          resolutionLabel = resolution; // fallback for other values
-      }
-
-      // Generate stream URL
-      const streamUrl = HomeMedia.getStreamUrl(
-        config.HomeMediaUrl,
-        config.HomeMediaApiKey,
-        result.flatPath || result.fileName
-      );
-
-      console.log(`[HM+] ✓ Creating stream for: "${result.title}"`);
-
-      return {
-        name: `☁️ Personal\n${resolutionLabel || 'N/A'}`,
-        title: `${result.title}\n☁️ ${formatSize(result.size)} (Home Media)`,
-        url: streamUrl,
-        _size: result.size || 0,  // Preserve size for filtering
-        behaviorHints: {
-          bingeGroup: 'sootio-homemedia'
-        }
-      };
-    });
-
-    return streams;
-
-  } catch (error) {
-    console.error('[HM+] Error getting streams:', error.message);
-    return [];
-  }
-}
-
 // ---------------------------------------------------------------------------------
 // Deduplicated wrappers for exported functions
 // ---------------------------------------------------------------------------------
@@ -4174,7 +3106,7 @@ async function getMovieStreamsDeduped(config, type, id) {
   const userKey = buildDedupUserKey(sanitizedConfig);
   const key = `${provider}:${type}:${id}:${langs}:${userKey}`;
 
-  return dedupedRequest(key, () => getMovieStreams(sanitizedConfig, type, id));
+  return withAccountStatus(sanitizedConfig, dedupedRequest(key, () => getMovieStreams(sanitizedConfig, type, id)));
 }
 
 /**
@@ -4189,7 +3121,39 @@ async function getSeriesStreamsDeduped(config, type, id) {
   const userKey = buildDedupUserKey(sanitizedConfig);
   const key = `${provider}:${type}:${id}:${langs}:${userKey}`;
 
-  return dedupedRequest(key, () => getSeriesStreams(sanitizedConfig, type, id));
+  return withAccountStatus(sanitizedConfig, dedupedRequest(key, () => getSeriesStreams(sanitizedConfig, type, id)));
+}
+
+/**
+ * Puts account warnings (premium expired or about to, traffic used up) above the streams.
+ * The account lookup runs alongside the search and is cached per key.
+ */
+async function withAccountStatus(config, streamsPromise) {
+  const [streams, statusStreams] = await Promise.all([
+    streamsPromise,
+    getAccountStatusStreams(config).catch(error => {
+      console.warn(`[ACCOUNT] Account status check failed: ${error.message}`);
+      return [];
+    })
+  ]);
+  return statusStreams.length > 0 ? [...statusStreams, ...(streams || [])] : streams;
+}
+
+/**
+ * Warms the search caches for a title before it is played (e.g. the next episode in a
+ * watchlist "up next" catalog). Runs the normal stream lookup with `isPrefetch`, so each
+ * service's getCachedTorrents hands missing searches to scheduleBackgroundRefresh.
+ * @returns {Promise<boolean>} False when there is no search cache to warm
+ */
+async function prefetchStreams(config, type, id) {
+  if (!SqliteCache.isEnabled()) return false;
+  const prefetchConfig = { ...sanitizeConfig(config, 'STREAM-PROVIDER'), isPrefetch: true };
+  const langs = (prefetchConfig.Languages || []).sort().join(',');
+  const key = `prefetch:${type}:${id}:${langs}:${buildDedupUserKey(prefetchConfig)}`;
+  await dedupedRequest(key, () => type === 'series'
+    ? getSeriesStreams(prefetchConfig, type, id)
+    : getMovieStreams(prefetchConfig, type, id));
+  return true;
 }
 
 // Verification functions for cached torrents and HTTP streams
@@ -4242,9 +3206,11 @@ export default {
   getMovieStreams: getMovieStreamsDeduped,
   getSeriesStreams: getSeriesStreamsDeduped,
   resolveUrl,
+  resolveUncached,
   STREAM_NAME_MAP,
   getCacheStats,
-  clearInternalCaches
+  clearInternalCaches,
+  prefetchStreams
 };
 function resolveTmdbId(meta) {
   if (!meta) return null;
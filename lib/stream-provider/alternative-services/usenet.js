@@ -9,6 +9,7 @@ import Cinemeta from '../../util/cinemeta.js';
 import { getResolutionFromName, formatSize } from '../../common/torrent-utils.js';
 import { filterYear } from '../../util/filter-torrents.js';
 import { STREAM_NAME_MAP } from '../config/stream-names.js';
+import { encodeConfigParam } from '../../util/configuration.js';
 
 const ADDON_HOST = process.env.ADDON_URL;
 
@@ -256,7 +257,7 @@ export async function getUsenetStreams(config, type, id) {
           nntpConnections: config.NntpConnections,
           nntpSsl: config.NntpSsl
         };
-        const configParam = encodeURIComponent(JSON.stringify(configData));
+        const configParam = encodeConfigParam(config, configData);
         const encodedPath = matchingFile.path.split('/').map(encodeURIComponent).join('/');
         const streamUrl = `${base}/usenet/personal/${encodedPath}?config=${configParam}`;
         console.log(`[USENET] ✓ Newznab result "${result.title}" matches personal file, using direct URL`);
@@ -345,7 +346,7 @@ export async function getUsenetStreams(config, type, id) {
           nntpSsl: config.NntpSsl
         };
         const encodedPath = file.path.split('/').map(encodeURIComponent).join('/');
-        const configParam = encodeURIComponent(JSON.stringify(configData));
+        const configParam = encodeConfigParam(config, configData);
         const personalStreamUrl = `${base}/usenet/personal/${encodedPath}?config=${configParam}`;
 
         console.log(`[USENET] ✓ Creating personal-only stream for: "${file.name}"`);
@@ -446,7 +446,7 @@ export async function storeCacheResults(collection, cacheKey, results, type, pro
   // Filter out personal cloud files and stream objects unless the provider expects URL-based results.
   const filteredData = results.filter(item => {
     if (!item) return false; // Changed from true - null items shouldn't be cached
-    if (item.isPersonal) return false;
+    if (item.isPersonal || item.isUncached) return false;
 
     const allowUrlCache = allowsUrlCaching(provider);
     if (!allowUrlCache && typeof item.url === 'string' && item.url) {
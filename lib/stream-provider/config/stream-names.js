@@ -1,18 +1,11 @@
 /**
  * Stream name prefixes for different providers
  * These appear in the Stremio UI to identify the source of each stream
+ * Providers register their own names (lib/providers.js); HTTP streaming is not a provider
  */
+import { getStreamNames } from '../../providers.js';
+
 export const STREAM_NAME_MAP = {
-  debridlink: "[DL+] Sootio",
-  realdebrid: "[RD+] Sootio",
-  alldebrid: "[AD+] Sootio",
-  premiumize: "[PM+] Sootio",
-  torbox: "[TB+] Sootio",
-  offcloud: "[OC+] Sootio",
-  debriderapp: "[DBA+] Sootio",
-  personalcloud: "[PC+] Sootio",
-  usenet: "[UN+] Sootio",
-  easynews: "[EN+] Sootio",
-  homemedia: "[HM+] Sootio",
+  ...getStreamNames(),
   httpstreaming: "[HS+] Sootio"
 };
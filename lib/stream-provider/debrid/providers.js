@@ -1,85 +1,85 @@
 /**
- * Provider-specific stream fetching logic
- * Each provider has its own search and formatting logic
+ * Provider stream fetching, dispatched through the provider registry
+ * Each provider registers its search and result options (see lib/util/provider-registry.js)
  */
 
-import DebridLink from '../../debrid-link.js';
-import RealDebrid from '../../real-debrid.js';
-import AllDebrid from '../../all-debrid.js';
-import Premiumize from '../../premiumize.js';
-import OffCloud from '../../offcloud.js';
-import TorBox from '../../torbox.js';
-import DebriderApp from '../../debrider.app.js';
-import { filterYear, filterSeason, filterEpisode, matchesSeriesTitle, hasEpisodeMarker } from '../../util/filter-torrents.js';
+import { getProvider } from '../../providers.js';
+import { filterYear, filterSeason, filterEpisode, matchesSeriesTitle, hasEpisodeMarker, hasAbsoluteEpisodeMarker } from '../../util/filter-torrents.js';
 import { getCachedTorrents } from '../caching/cache-manager.js';
 import { sortTorrents } from '../utils/sorting.js';
 import { toStream } from '../formatters/stream-formatter.js';
 import { toDebriderStream } from '../formatters/debrider-formatter.js';
 
+const MOVIE_RESULT_FILTERS = {
+  year: (items, { cinemetaDetails }) => items.filter(item => filterYear(item, cinemetaDetails)),
+  // Enforce movie-only semantics: apply year sanity and drop any series-like items
+  'movie-only': (items, { cinemetaDetails }) => items
+    .filter(item => filterYear(item, cinemetaDetails))
+    .filter(item => {
+      const name = item?.name || item?.title || '';
+      const info = item?.info || {};
+      const hasSeriesInfo = (info && (info.season != null || Array.isArray(info.seasons)));
+      const looksSeries = hasEpisodeMarker(name, 1, 1); // Check for S01E01 to guess if it's a series
+      return !hasSeriesInfo && !looksSeries;
+    })
+};
+
+const SERIES_RESULT_FILTERS = {
+  episode: (items, { season, episode, absoluteEpisode, cinemetaDetails }) => {
+    const s = Number(season), e = Number(episode);
+    const looksCorrectEp = t => t?.info && Number(t.info.season) === s && Number(t.info.episode) === e;
+    // Fansub names carry no season and PTT keeps "- 1071" in the title, so the season check can't match them
+    const isAbsoluteRelease = t => Boolean(absoluteEpisode) && hasAbsoluteEpisodeMarker(t?.name || t?.title || '', absoluteEpisode);
+    return items.filter(t =>
+      looksCorrectEp(t) ||
+      ((filterSeason(t, season, cinemetaDetails) || isAbsoluteRelease(t)) && filterEpisode(t, season, episode, cinemetaDetails, absoluteEpisode))
+    );
+  },
+  'title-episode': (items, { season, episode, cinemetaDetails }) => {
+    const fullTitle = String(cinemetaDetails?.name || '').trim();
+    const shortTitle = fullTitle.includes(':') ? fullTitle.split(':')[0].trim() : '';
+    const matchesTitle = (t) => {
+      if (matchesSeriesTitle(t, fullTitle)) return true;
+      if (shortTitle && matchesSeriesTitle(t, shortTitle)) return true;
+      return false;
+    };
+    const episodeRegex = new RegExp(`s${String(season).padStart(2, '0')}e${String(episode).padStart(2, '0')}`, 'i');
+    return items
+      .filter(t => matchesTitle(t))
+      .filter(t => episodeRegex.test(t.name || t.title || ''));
+  }
+};
+
 /**
- * Fetch movie streams from a single debrid provider
+ * Search one registered provider and turn its results into streams
  *
  * @param {string} debridProvider - Provider name
  * @param {string} apiKey - API key for the provider
- * @param {string} type - Content type ('movie')
- * @param {string} id - Content ID (IMDB ID)
- * @param {Object} config - User configuration
- * @param {Object} cinemetaDetails - Movie metadata from Cinemeta
- * @param {string} searchKey - Search query string
+ * @param {Object} context - { type, id, config, cinemetaDetails, season?, episode?, absoluteEpisode? }
  * @returns {Promise<Array>} - Array of stream objects
  */
-export async function getMovieStreamsFromProvider(debridProvider, apiKey, type, id, config, cinemetaDetails, searchKey) {
+async function getStreamsFromProvider(debridProvider, apiKey, { type, id, config, cinemetaDetails, season, episode, absoluteEpisode }) {
+  const provider = getProvider(debridProvider);
+  if (!provider?.capabilities.search) return [];
+  const options = provider.results;
+  const isSeries = type === 'series';
   // Create a config copy with the correct API key for this specific provider
   const providerConfig = { ...config, DebridApiKey: apiKey };
-  if (debridProvider == "DebridLink") {
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebridLink.searchTorrents(apiKey, searchKey, 0.1));
-    if (torrents.background) return [];
-    if (torrents && torrents.length) {
-      const torrentIds = torrents.filter(t => filterYear(t, cinemetaDetails)).map(t => t.id);
-      if (torrentIds && torrentIds.length) {
-        return DebridLink.getTorrentDetails(apiKey, torrentIds.join())
-          .then(list => list.sort(sortTorrents).map(t => toStream(t, type, providerConfig)).filter(Boolean));
-      }
-    }
-  } else if (debridProvider == "RealDebrid") {
-    const allResults = await getCachedTorrents(debridProvider, type, id, config, (isBackgroundRefresh = false) => RealDebrid.searchRealDebridTorrents(apiKey, type, id, config, config.clientIp, isBackgroundRefresh));
-    if (allResults.background) return [];
-    if (!allResults || allResults.length === 0) return [];
-    // Enforce movie-only semantics: apply year sanity and drop any series-like items
-    let filtered = allResults.filter(item => filterYear(item, cinemetaDetails));
-    filtered = filtered.filter(item => {
-      const name = item?.name || item?.title || '';
-      const info = item?.info || {};
-      const hasSeriesInfo = (info && (info.season != null || Array.isArray(info.seasons)));
-      const looksSeries = hasEpisodeMarker(name, 1, 1); // Check for S01E01 to guess if it's a series
-      return !hasSeriesInfo && !looksSeries;
-    });
-    const wrapped = filtered.map(item => {
-      // Skip cached items with invalid URLs containing 'undefined'
-      if (item && typeof item.url === 'string' && item.url.includes('/resolve/')) {
-        if (item.url.includes('/undefined') || item.url.endsWith('undefined')) {
-          console.log(`[CACHE] Skipping cached item with invalid URL: ${item.title || item.name}`);
-          return null;
-        }
-        return item;
-      }
-      return toStream(item, type, providerConfig);
-    });
-    return wrapped.filter(Boolean);
-  } else if (debridProvider == "AllDebrid") {
-    const allResults = await getCachedTorrents(debridProvider, type, id, config, (isBackgroundRefresh = false) => AllDebrid.searchAllDebridTorrents(apiKey, type, id, config, config.clientIp, isBackgroundRefresh));
-    if (allResults.background) return [];
-    if (!allResults || allResults.length === 0) return [];
-    // Enforce movie-only semantics: apply year sanity and drop any series-like items
-    let filtered = allResults.filter(item => filterYear(item, cinemetaDetails));
-    filtered = filtered.filter(item => {
-      const name = item?.name || item?.title || '';
-      const info = item?.info || {};
-      const hasSeriesInfo = (info && (info.season != null || Array.isArray(info.seasons)));
-      const looksSeries = hasEpisodeMarker(name, 1, 1); // Check for S01E01 to guess if it's a series
-      return !hasSeriesInfo && !looksSeries;
-    });
-    const wrapped = filtered.map(item => {
+
+  const results = await getCachedTorrents(debridProvider, type, id, config, (isBackgroundRefresh = false) =>
+    provider.capabilities.search(apiKey, type, id, config, { clientIp: config.clientIp, isBackgroundRefresh }));
+  if (!results || results.length === 0) return [];
+
+  const resultFilter = isSeries ? SERIES_RESULT_FILTERS[options.seriesFilter] : MOVIE_RESULT_FILTERS[options.movieFilter];
+  const filtered = resultFilter ? resultFilter(results, { season, episode, absoluteEpisode, cinemetaDetails }) : results;
+
+  if (options.formatter === 'debrider') {
+    return filtered.sort(sortTorrents)
+      .map(td => toDebriderStream(td, type, providerConfig))
+      .filter(Boolean);
+  }
+  if (options.preformatted) {
+    return filtered.map(item => {
       // Skip cached items with invalid URLs containing 'undefined'
       if (item && typeof item.url === 'string' && item.url.includes('/resolve/')) {
         if (item.url.includes('/undefined') || item.url.endsWith('undefined')) {
@@ -89,85 +89,28 @@ export async function getMovieStreamsFromProvider(debridProvider, apiKey, type,
         return item;
       }
       return toStream(item, type, providerConfig);
-    });
-    return wrapped.filter(Boolean);
-  } else if (debridProvider == "Premiumize") {
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => Premiumize.search(apiKey, type, id, config));
-    if (torrents.background) return [];
-    if (torrents && torrents.length) {
-      return torrents.sort(sortTorrents)
-        .map(td => toStream(td, type, providerConfig))
-        .filter(Boolean);
-    }
-  } else if (debridProvider.toLowerCase() == "offcloud") {
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => OffCloud.searchOffcloudTorrents(apiKey, type, id, config));
-    if (torrents && torrents.length) {
-      return torrents.sort(sortTorrents)
-        .filter(t => filterYear(t, cinemetaDetails))
-        .map(td => toStream(td, type, providerConfig))
-        .filter(Boolean);
-    }
-  } else if (debridProvider == "TorBox") {
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => TorBox.searchTorboxTorrents(apiKey, type, id, config));
-    if (torrents && torrents.length) {
-      return torrents.sort(sortTorrents)
-        .filter(t => filterYear(t, cinemetaDetails))
-        .map(td => toStream(td, type, providerConfig))
-        .filter(Boolean);
-    }
-  } else if (debridProvider == "DebriderApp") {
-    // Check if this service has Newznab configured for Personal Cloud NZB support
-    let serviceConfig = config;
-    if (Array.isArray(config.DebridServices)) {
-      const service = config.DebridServices.find(s => s.provider === 'DebriderApp');
-      if (service && (service.newznabUrl || service.newznabApiKey)) {
-        // Use searchWithPersonalCloud to include NZB results
-        serviceConfig = {
-          ...config,
-          newznabUrl: service.newznabUrl,
-          newznabApiKey: service.newznabApiKey
-        };
-        console.log(`[DBA] Newznab configured, using searchWithPersonalCloud`);
-        const baseUrl = 'https://debrider.app/api/v1';
-        const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.searchWithPersonalCloud(apiKey, type, id, serviceConfig, baseUrl));
-        if (torrents && torrents.length) {
-          return torrents.sort(sortTorrents)
-            .map(td => toDebriderStream(td, type, providerConfig))
-            .filter(Boolean);
-        }
-      } else {
-        // Regular search without Newznab
-        const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.search(apiKey, type, id, config));
-        if (torrents && torrents.length) {
-          return torrents.sort(sortTorrents)
-            .map(td => toDebriderStream(td, type, providerConfig))
-            .filter(Boolean);
-        }
-      }
-    } else {
-      // Fallback to regular search
-      const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.search(apiKey, type, id, config));
-      if (torrents && torrents.length) {
-        return torrents.sort(sortTorrents)
-          .map(td => toDebriderStream(td, type, providerConfig))
-          .filter(Boolean);
-      }
-    }
-  } else if (debridProvider == "PersonalCloud") {
-    const personalCloudConfig = {
-      newznabUrl: config.PersonalCloudNewznabUrl,
-      newznabApiKey: config.PersonalCloudNewznabApiKey,
-      ...config
-    };
-    const baseUrl = config.PersonalCloudUrl || 'https://debrider.app/api/v1';
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.searchWithPersonalCloud(apiKey, type, id, personalCloudConfig, baseUrl));
-    if (torrents && torrents.length) {
-      return torrents.sort(sortTorrents)
-        .map(td => toDebriderStream(td, type, providerConfig))
-        .filter(Boolean);
-    }
+    }).filter(Boolean);
   }
-  return [];
+  const streamHint = isSeries && options.episodeHint ? { season, episode } : {};
+  return filtered.sort(sortTorrents)
+    .map(td => toStream(td, type, providerConfig, streamHint))
+    .filter(Boolean);
+}
+
+/**
+ * Fetch movie streams from a single debrid provider
+ *
+ * @param {string} debridProvider - Provider name
+ * @param {string} apiKey - API key for the provider
+ * @param {string} type - Content type ('movie')
+ * @param {string} id - Content ID (IMDB ID)
+ * @param {Object} config - User configuration
+ * @param {Object} cinemetaDetails - Movie metadata from Cinemeta
+ * @param {string} searchKey - Search query string
+ * @returns {Promise<Array>} - Array of stream objects
+ */
+export async function getMovieStreamsFromProvider(debridProvider, apiKey, type, id, config, cinemetaDetails, searchKey) {
+  return getStreamsFromProvider(debridProvider, apiKey, { type, id, config, cinemetaDetails });
 }
 
 /**
@@ -185,157 +128,6 @@ export async function getMovieStreamsFromProvider(debridProvider, apiKey, type,
  * @returns {Promise<Array>} - Array of stream objects
  */
 export async function getSeriesStreamsFromProvider(debridProvider, apiKey, type, id, config, cinemetaDetails, searchKey, season, episode) {
-  // Create a config copy with the correct API key for this specific provider
-  const providerConfig = { ...config, DebridApiKey: apiKey };
-  if (debridProvider == "DebridLink") {
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebridLink.searchTorrents(apiKey, searchKey, 0.1));
-    if (torrents && torrents.length) {
-      const torrentIds = torrents.filter(t => filterSeason(t, season, cinemetaDetails)).map(t => t.id);
-      if (torrentIds && torrentIds.length) {
-        return DebridLink.getTorrentDetails(apiKey, torrentIds.join())
-          .then(list => list
-            .sort(sortTorrents)
-            .filter(td => filterEpisode(td, season, episode, cinemetaDetails))
-            .map(td => toStream(td, type, providerConfig))
-            .filter(Boolean)
-          );
-      }
-    }
-  } else if (debridProvider == "RealDebrid") {
-    const allResults = await getCachedTorrents(debridProvider, type, id, config, (isBackgroundRefresh = false) => RealDebrid.searchRealDebridTorrents(apiKey, type, id, config, config.clientIp, isBackgroundRefresh));
-    if (!allResults || allResults.length === 0) return [];
-
-    const s = Number(season), e = Number(episode);
-    const looksCorrectEp = t => t?.info && Number(t.info.season) === s && Number(t.info.episode) === e;
-
-    const filtered = allResults.filter(t =>
-      looksCorrectEp(t) ||
-      (filterSeason(t, season, cinemetaDetails) && filterEpisode(t, season, episode, cinemetaDetails))
-    );
-
-    const wrapped = filtered.map(item => {
-      // Skip cached items with invalid URLs containing 'undefined'
-      if (item && typeof item.url === 'string' && item.url.includes('/resolve/')) {
-        if (item.url.includes('/undefined') || item.url.endsWith('undefined')) {
-          console.log(`[CACHE] Skipping cached item with invalid URL: ${item.title || item.name}`);
-          return null;
-        }
-        return item;
-      }
-      return toStream(item, type, providerConfig);
-    });
-
-    return wrapped.filter(Boolean);
-  } else if (debridProvider == "AllDebrid") {
-    const allResults = await getCachedTorrents(debridProvider, type, id, config, (isBackgroundRefresh = false) => AllDebrid.searchAllDebridTorrents(apiKey, type, id, config, config.clientIp, isBackgroundRefresh));
-    if (!allResults || allResults.length === 0) return [];
-
-    const s = Number(season), e = Number(episode);
-    const looksCorrectEp = t => t?.info && Number(t.info.season) === s && Number(t.info.episode) === e;
-
-    const filtered = allResults.filter(t =>
-      looksCorrectEp(t) ||
-      (filterSeason(t, season, cinemetaDetails) && filterEpisode(t, season, episode, cinemetaDetails))
-    );
-
-    const wrapped = filtered.map(item => {
-      // Skip cached items with invalid URLs containing 'undefined'
-      if (item && typeof item.url === 'string' && item.url.includes('/resolve/')) {
-        if (item.url.includes('/undefined') || item.url.endsWith('undefined')) {
-          console.log(`[CACHE] Skipping cached item with invalid URL: ${item.title || item.name}`);
-          return null;
-        }
-        return item;
-      }
-      return toStream(item, type, providerConfig);
-    });
-
-    return wrapped.filter(Boolean);
-  } else if (debridProvider == "Premiumize") {
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => Premiumize.search(apiKey, type, id, config));
-    if (torrents && torrents.length) {
-      return torrents
-        .sort(sortTorrents)
-        .map(td => toStream(td, type, providerConfig, { season, episode }))
-        .filter(Boolean);
-    }
-  } else if (debridProvider.toLowerCase() == "offcloud") {
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => OffCloud.searchOffcloudTorrents(apiKey, type, id, config));
-    if (torrents && torrents.length) {
-      const bypass = torrents.filter(t => t.bypassFiltering === true);
-      const fullTitle = String(cinemetaDetails?.name || '').trim();
-      const shortTitle = fullTitle.includes(':') ? fullTitle.split(':')[0].trim() : '';
-      const matchesTitle = (t) => {
-        if (matchesSeriesTitle(t, fullTitle)) return true;
-        if (shortTitle && matchesSeriesTitle(t, shortTitle)) return true;
-        return false;
-      };
-      const episodeRegex = new RegExp(`s${String(season).padStart(2, '0')}e${String(episode).padStart(2, '0')}`, 'i');
-      const realEpisodes = torrents
-        .filter(t => matchesTitle(t))
-        .filter(t => episodeRegex.test(t.name || t.title || ''));
-      return realEpisodes.sort(sortTorrents).map(td => toStream(td, type, providerConfig)).filter(Boolean);
-    }
-  } else if (debridProvider == "TorBox") {
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => TorBox.searchTorboxTorrents(apiKey, type, id, config));
-    if (torrents && torrents.length) {
-      // Results are already pre-filtered at the scraping layer for series/episode.
-      return torrents
-        .sort(sortTorrents)
-        .map(td => toStream(td, type, providerConfig))
-        .filter(Boolean);
-    }
-  } else if (debridProvider == "DebriderApp") {
-    // Check if this service has Newznab configured for Personal Cloud NZB support
-    let serviceConfig = config;
-    if (Array.isArray(config.DebridServices)) {
-      const service = config.DebridServices.find(s => s.provider === 'DebriderApp');
-      if (service && (service.newznabUrl || service.newznabApiKey)) {
-        // Use searchWithPersonalCloud to include NZB results
-        serviceConfig = {
-          ...config,
-          newznabUrl: service.newznabUrl,
-          newznabApiKey: service.newznabApiKey
-        };
-        console.log(`[DBA] Newznab configured, using searchWithPersonalCloud`);
-        const baseUrl = 'https://debrider.app/api/v1';
-        const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.searchWithPersonalCloud(apiKey, type, id, serviceConfig, baseUrl));
-        if (torrents && torrents.length) {
-          return torrents.sort(sortTorrents)
-            .map(td => toDebriderStream(td, type, providerConfig))
-            .filter(Boolean);
-        }
-      } else {
-        // Regular search without Newznab
-        const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.search(apiKey, type, id, config));
-        if (torrents && torrents.length) {
-          return torrents.sort(sortTorrents)
-            .map(td => toDebriderStream(td, type, providerConfig))
-            .filter(Boolean);
-        }
-      }
-    } else {
-      // Fallback to regular search
-      const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.search(apiKey, type, id, config));
-      if (torrents && torrents.length) {
-        return torrents.sort(sortTorrents)
-          .map(td => toDebriderStream(td, type, providerConfig))
-          .filter(Boolean);
-      }
-    }
-  } else if (debridProvider == "PersonalCloud") {
-    const personalCloudConfig = {
-      newznabUrl: config.PersonalCloudNewznabUrl,
-      newznabApiKey: config.PersonalCloudNewznabApiKey,
-      ...config
-    };
-    const baseUrl = config.PersonalCloudUrl || 'https://debrider.app/api/v1';
-    const torrents = await getCachedTorrents(debridProvider, type, id, config, () => DebriderApp.searchWithPersonalCloud(apiKey, type, id, personalCloudConfig, baseUrl));
-    if (torrents && torrents.length) {
-      return torrents.sort(sortTorrents)
-        .map(td => toDebriderStream(td, type, providerConfig))
-        .filter(Boolean);
-    }
-  }
-  return [];
+  // Anime IDs carry the absolute episode number, which fansub releases are named by
+  return getStreamsFromProvider(debridProvider, apiKey, { type, id, config, cinemetaDetails, season, episode, absoluteEpisode: config.absoluteEpisode });
 }
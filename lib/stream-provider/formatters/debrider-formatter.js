@@ -6,6 +6,7 @@
 import { getResolutionFromName, formatSize, extractFileName } from '../../common/torrent-utils.js';
 import { renderLanguageFlags, detectLanguagesFromTitle } from '../../util/language-mapping.js';
 import { STREAM_NAME_MAP } from '../config/stream-names.js';
+import { encodeResolveApiKey, encodeConfigParam } from '../../util/configuration.js';
 
 const ADDON_HOST = process.env.ADDON_URL;
 
@@ -58,7 +59,7 @@ export function toDebriderStream(details, type, config) {
     if (details.url.startsWith('nzb:')) {
         const base = ADDON_HOST || config?.host || '';
         const provider = details.source === 'personalcloud' ? 'personalcloud' : 'debriderapp';
-        const encodedApiKey = encodeURIComponent(config.DebridApiKey || '');
+        const encodedApiKey = encodeResolveApiKey(config, provider, config.DebridApiKeys || config.DebridApiKey || '');
         const encodedUrl = encodeURIComponent(details.url);
 
         // Find the service config for this provider
@@ -76,7 +77,7 @@ export function toDebriderStream(details, type, config) {
             }
         }
 
-        const configParam = encodeURIComponent(JSON.stringify(serviceConfig));
+        const configParam = encodeConfigParam(config, serviceConfig);
         streamUrl = (base && base.startsWith('http'))
             ? `${base}/resolve/${provider}/${encodedApiKey}/${encodedUrl}?config=${configParam}`
             : details.url;
@@ -116,6 +117,20 @@ export function toDebriderStream(details, type, config) {
         url: streamUrl,
         isPersonal: details.isPersonal, // Keep track of personal files for sorting
         _size: details.size || 0,  // Preserve size for filtering
+        // Rendered through the user's StreamTemplate at the end of the pipeline (see lib/util/stream-template.js)
+        _templateFields: {
+            title: details.name,
+            fileName: details.fileName,
+            resolution: resolutionLabel,
+            size: details.size,
+            languages: detectedLanguages,
+            cached: !details.isPersonal && !details.url.startsWith('nzb:'),
+            personal: Boolean(details.isPersonal),
+            source: sourceName,
+            tracker: [details.tracker, details.Tracker, details.originalSource].find(value => typeof value === 'string' && value.trim())?.trim(),
+            icon,
+            proxy: finalTitle !== title
+        },
         behaviorHints
     };
 }
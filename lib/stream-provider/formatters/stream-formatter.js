@@ -8,6 +8,7 @@ import { renderLanguageFlags, detectLanguagesFromTitle } from '../../util/langua
 import PTT from '../../util/parse-torrent-title.js';
 import { STREAM_NAME_MAP } from '../config/stream-names.js';
 import { isValidUrl } from '../utils/url-validation.js';
+import { encodeResolveApiKey } from '../../util/configuration.js';
 
 const ADDON_HOST = process.env.ADDON_URL;
 
@@ -22,7 +23,7 @@ const ADDON_HOST = process.env.ADDON_URL;
  */
 export function toStream(details, type, config, streamHint = {}) {
   let video = details;
-  let icon = details.isPersonal ? '☁️' : '💾';
+  let icon = details.isPersonal ? '☁️' : (details.isUncached ? '⏳' : '💾');
   let personalTag = details.isPersonal ? '[Cloud] ' : '';
   // Defer URL validity check until after we build the final streamUrl
 
@@ -52,14 +53,15 @@ export function toStream(details, type, config, streamHint = {}) {
   if (type == 'series' && video.name && video.name !== displayName) title = title + '\n' + video.name;
 
   const pttInfo = PTT.parse(displayName);
+  let episodeInfo = '';
   if (type === 'series' && streamHint.season && streamHint.episode && pttInfo.season && !pttInfo.episode) {
-    const episodeInfo = `S${String(streamHint.season).padStart(2, '0')}E${String(streamHint.episode).padStart(2, '0')}`;
+    episodeInfo = `S${String(streamHint.season).padStart(2, '0')}E${String(streamHint.episode).padStart(2, '0')}`;
     title = `${personalTag}${displayName}\n${episodeInfo}${flagsSuffix}`;
   }
 
-  const trackerLabel = [details.tracker, details.Tracker, details.originalSource]
-    .find(value => typeof value === 'string' && value.trim())?.trim()
-    || (!details.isPersonal ? 'Cached' : '');
+  const sourceTracker = [details.tracker, details.Tracker, details.originalSource]
+    .find(value => typeof value === 'string' && value.trim())?.trim();
+  const trackerLabel = sourceTracker || (details.isUncached ? 'Uncached' : (!details.isPersonal ? 'Cached' : ''));
   const trackerInfo = trackerLabel ? ` | ${trackerLabel}` : '';
   title = title + '\n' + icon + ' ' + formatSize(video.size) + trackerInfo;
 
@@ -98,13 +100,13 @@ export function toStream(details, type, config, streamHint = {}) {
     return null;
   }
 
-  if (details.source === 'premiumize' && type === 'series' && streamHint.season && streamHint.episode) {
+  if (['premiumize', 'debridlink', 'putio', 'pikpak'].includes(details.source) && type === 'series' && streamHint.season && streamHint.episode && !urlToEncode.includes('||HINT||')) {
     const hint = Buffer.from(JSON.stringify({ season: streamHint.season, episode: streamHint.episode })).toString('base64');
     urlToEncode += '||HINT||' + hint;
   }
 
   if (details.source === 'realdebrid') {
-    const encodedApiKey = encodeURIComponent(config.DebridApiKey || '');
+    const encodedApiKey = encodeResolveApiKey(config, 'realdebrid', config.DebridApiKeys || config.DebridApiKey || '');
     const encodedUrl = encodeURIComponent(urlToEncode);
     streamUrl = (base && base.startsWith('http'))
       ? `${base}/resolve/realdebrid/${encodedApiKey}/${encodedUrl}`
@@ -112,13 +114,18 @@ export function toStream(details, type, config, streamHint = {}) {
   } else if (details.source === 'offcloud' && urlToEncode.includes('offcloud.com/cloud/download/')) {
     streamUrl = urlToEncode;
   } else {
-    const encodedApiKey = encodeURIComponent(config.DebridApiKey || config.DebridLinkApiKey || '');
+    const encodedApiKey = encodeResolveApiKey(config, details.source, config.DebridApiKeys || config.DebridApiKey || config.DebridLinkApiKey || '');
     const encodedUrl = encodeURIComponent(urlToEncode);
     streamUrl = (base && base.startsWith('http'))
       ? `${base}/resolve/${details.source}/${encodedApiKey}/${encodedUrl}`
       : urlToEncode;
   }
 
+  // Uncached picks are added to the account on play and report download progress until ready
+  if (details.isUncached && streamUrl && streamUrl.includes('/resolve/')) {
+    streamUrl = `${streamUrl}${streamUrl.includes('?') ? '&' : '?'}uncached=1`;
+  }
+
   if (details.isCached && streamUrl && streamUrl.includes('/resolve/')) {
     const cacheKey = details._cacheKey || details.cacheKey;
     const cacheHash = details.hash || details.infoHash || details.InfoHash;
@@ -144,8 +151,23 @@ export function toStream(details, type, config, streamHint = {}) {
     url: streamUrl,
     isPersonal: details.isPersonal, // Keep track of personal files for sorting
     _size: video.size || 0,  // Preserve size for filtering
+    // Rendered through the user's StreamTemplate at the end of the pipeline (see lib/util/stream-template.js)
+    _templateFields: {
+      title: displayName,
+      fileName,
+      resolution: resolutionLabel,
+      size: video.size,
+      languages: detectedLanguages,
+      cached: !details.isPersonal && details.isCached !== false,
+      personal: Boolean(details.isPersonal),
+      source: STREAM_NAME_MAP[details.source] || "[DS+] Sootio",
+      tracker: sourceTracker,
+      episode: episodeInfo,
+      icon
+    },
     behaviorHints
   };
   if (details.bypassFiltering) streamObj.bypassFiltering = true;
+  if (details.isUncached) streamObj.isUncached = true;
   return streamObj;
 }
@@ -3,6 +3,9 @@
  */
 
 import { sizeToBytes } from '../../common/torrent-utils.js';
+import { hasAbsoluteEpisodeMarker } from '../../util/filter-torrents.js';
+import { normalizeRankingProfile, isDeniedStream } from '../../util/ranking-profile.js';
+import { compileKeywordFilters, passesKeywordFilters } from '../../util/keyword-filters.js';
 
 /**
  * Extracts the filename/title from a stream object for episode matching
@@ -187,9 +190,10 @@ function isDifferentShow(text, showTitle) {
  * @param {number|string} season - Season number
  * @param {number|string} episode - Episode number
  * @param {string} showTitle - Optional show title for stricter matching
+ * @param {number} absoluteEpisode - Optional absolute episode number (anime) to accept fansub-style numbering
  * @returns {Array} - Filtered streams
  */
-export function filterByEpisode(streams, season, episode, showTitle = null) {
+export function filterByEpisode(streams, season, episode, showTitle = null, absoluteEpisode = null) {
   // Only filter if we have season AND episode
   if (!season || !episode) {
     return streams;
@@ -207,6 +211,11 @@ export function filterByEpisode(streams, season, episode, showTitle = null) {
   const filtered = streams.filter(stream => {
     const text = extractStreamText(stream);
 
+    // Absolute-numbered anime releases ("[Group] Show - 1071") carry no SxxExx marker
+    if (absoluteEpisode && hasAbsoluteEpisodeMarker(text, absoluteEpisode)) {
+      return true;
+    }
+
     // Skip streams that don't have any episode indicators - might be movies or complete series
     // that we can't filter reliably
     const hasEpisodeIndicator = /s\d+e\d+|episode\s*\d+|\bep\s*\d+|\d+x\d+/i.test(text);
@@ -345,3 +354,52 @@ export function filterByResolution(streams, selectedResolutions) {
 
   return filtered;
 }
+
+/**
+ * Filters out streams from release groups on the ranking profile's deny list
+ * @param {Array} streams - Array of stream objects
+ * @param {Object} rankingProfile - `RankingProfile` from the user config
+ * @returns {Array} - Filtered streams
+ */
+export function filterByReleaseGroup(streams, rankingProfile) {
+  const profile = normalizeRankingProfile(rankingProfile);
+  if (!profile || profile.groups.deny.length === 0) {
+    return streams;
+  }
+
+  const beforeCount = streams.length;
+  const filtered = streams.filter(stream => !isDeniedStream(profile, stream));
+
+  if (filtered.length !== beforeCount) {
+    console.log(`[RELEASE-GROUP-FILTER] Filtered ${beforeCount - filtered.length} streams from denied release groups, kept ${filtered.length}`);
+  }
+
+  return filtered;
+}
+
+/**
+ * Applies the user's include/exclude keyword and regex filters to streams from any source
+ * @param {Array} streams - Array of stream objects
+ * @param {Object} keywordFilters - `KeywordFilters` from the user config: { include: [], exclude: [] }
+ * @returns {Array} - Filtered streams
+ */
+export function filterByKeywords(streams, keywordFilters) {
+  const filters = compileKeywordFilters(keywordFilters);
+  if (!filters) {
+    return streams;
+  }
+
+  const beforeCount = streams.length;
+  const filtered = streams.filter(stream => {
+    // Match against the release name only: the rest of the title holds size and tracker labels
+    const releaseName = String(stream.title || '').split('\n')[0];
+    const text = [stream.behaviorHints?.fileName, releaseName].filter(Boolean).join(' ');
+    return passesKeywordFilters(filters, text);
+  });
+
+  if (filtered.length !== beforeCount) {
+    console.log(`[KEYWORD-FILTER] Filtered ${beforeCount - filtered.length} streams by keyword filters, kept ${filtered.length}`);
+  }
+
+  return filtered;
+}
@@ -2,7 +2,8 @@
  * Torrent sorting utilities
  */
 
-import { getResolutionFromName, resolutionOrder } from '../../common/torrent-utils.js';
+import { getResolutionFromName, resolutionOrder, sizeToBytes } from '../../common/torrent-utils.js';
+import { normalizeRankingProfile, scoreStream } from '../../util/ranking-profile.js';
 
 /**
  * Sorts torrents by resolution (higher first) and then by size (larger first)
@@ -22,3 +23,37 @@ export function sortTorrents(a, b) {
   const sizeB = b.size || 0;
   return sizeB - sizeA;
 }
+
+/**
+ * Sorts formatted streams in place: personal files first and uncached picks last, then by
+ * resolution (highest first), then by the user's ranking profile score, then by size (largest first)
+ * @param {Array} streams - Stream objects
+ * @param {Object} [rankingProfile] - `RankingProfile` from the user config
+ * @returns {Array} - The sorted streams
+ */
+export function sortStreams(streams, rankingProfile = null) {
+  const profile = normalizeRankingProfile(rankingProfile);
+  // HTTP streams have a dedicated 'resolution' field and may have size as string, torrents have _size as number
+  const keyed = streams.map(stream => {
+    const res = stream.resolution || getResolutionFromName(stream.name || stream.title || '');
+    const size = stream._size || (stream.size ? sizeToBytes(stream.size) : 0);
+    return {
+      stream,
+      rank: resolutionOrder[res] || 0,
+      score: scoreStream(profile, stream, size),
+      size
+    };
+  });
+
+  keyed.sort((a, b) => {
+    if (a.stream.isPersonal && !b.stream.isPersonal) return -1;
+    if (!a.stream.isPersonal && b.stream.isPersonal) return 1;
+    if (Boolean(a.stream.isUncached) !== Boolean(b.stream.isUncached)) return a.stream.isUncached ? 1 : -1;
+    if (a.rank !== b.rank) return b.rank - a.rank;
+    if (a.score !== b.score) return b.score - a.score;
+    return b.size - a.size;
+  });
+
+  keyed.forEach((entry, i) => { streams[i] = entry.stream; });
+  return streams;
+}
@@ -0,0 +1,107 @@
+import { getProvider, hasCapability } from './providers.js'
+import sanitizeConfig from './util/config-sanitizer.js'
+import { encodeResolveApiKey } from './util/configuration.js'
+
+const ADDON_HOST = process.env.ADDON_URL
+const SUBTITLE_TIMEOUT_MS = parseInt(process.env.SUBTITLE_TIMEOUT_MS) || 10000
+
+/**
+ * Lists subtitle files that sit next to the playing video in the user's debrid
+ * torrents or home-media folders.
+ * @param {Object} config - User config
+ * @param {string} type - Content type
+ * @param {string} id - Stremio video ID
+ * @param {Object} extra - Stremio subtitle extras: { filename, videoSize, videoHash }
+ * @returns {Promise<Array>} Stremio subtitle objects ({ id, url, lang })
+ */
+async function getSubtitles(config, type, id, extra = {}) {
+    config = sanitizeConfig(config, 'SUBTITLE-PROVIDER')
+    const video = {
+        fileName: typeof extra?.filename === 'string' ? extra.filename : null,
+        size: parseInt(extra?.videoSize) || null
+    }
+    if (!video.fileName) {
+        console.log(`[SUBTITLE-PROVIDER] No filename extra for ${type} ${id}, skipping`)
+        return []
+    }
+
+    const services = getSubtitleServices(config)
+    if (services.length === 0) return []
+    console.log(`[SUBTITLE-PROVIDER] Looking for subtitles next to "${video.fileName}" in: ${services.map(s => s.provider).join(', ')}`)
+
+    const base = ADDON_HOST || config.host || ''
+    const results = await Promise.all(services.map(async (service) => {
+        let timer = null
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => {
+                console.warn(`[SUBTITLE-PROVIDER] ${service.provider} timed out after ${SUBTITLE_TIMEOUT_MS}ms`)
+                resolve([])
+            }, SUBTITLE_TIMEOUT_MS)
+        })
+        try {
+            const files = await Promise.race([getServiceSubtitles(service, video), timeout])
+            return files.map((file, index) => toSubtitle(service, file, index, base, config)).filter(Boolean)
+        } catch (error) {
+            console.error(`[SUBTITLE-PROVIDER] Error fetching subtitles from ${service.provider}: ${error.message}`)
+            return []
+        } finally {
+            clearTimeout(timer)
+        }
+    }))
+
+    const subtitles = results.flat()
+    console.log(`[SUBTITLE-PROVIDER] Returning ${subtitles.length} subtitles`)
+    return subtitles
+}
+
+function getSubtitleServices(config) {
+    const services = []
+
+    if (config.HomeMediaUrl) {
+        services.push({ provider: 'homemedia', apiKey: config.HomeMediaApiKey, homeMediaUrl: config.HomeMediaUrl })
+    }
+
+    if (Array.isArray(config.DebridServices)) {
+        config.DebridServices.forEach(service => {
+            const provider = String(service?.provider || '').toLowerCase()
+            // Only services whose torrents or folders can be listed find subtitles next to a video
+            if (!hasCapability(provider, 'subtitles') || service.enablePersonalCloud === false) return
+            if (provider === 'homemedia') {
+                if (service.homeMediaUrl && !services.some(s => s.provider === 'homemedia')) {
+                    services.push({ provider, apiKey: service.apiKey, homeMediaUrl: service.homeMediaUrl })
+                }
+            } else if (service.apiKey) {
+                services.push({ provider, apiKey: service.apiKey })
+            }
+        })
+    } else if (config.DebridProvider && config.DebridApiKey) {
+        const provider = String(config.DebridProvider).toLowerCase()
+        if (hasCapability(provider, 'subtitles')) {
+            services.push({ provider, apiKey: config.DebridApiKey })
+        }
+    }
+
+    return services
+}
+
+async function getServiceSubtitles(service, video) {
+    const { subtitles } = getProvider(service.provider).capabilities
+    return subtitles(service.apiKey, video, { homeMediaUrl: service.homeMediaUrl })
+}
+
+// Debrid hoster links go through the resolve route, which unrestricts and redirects;
+// home-media URLs are already direct
+function toSubtitle(service, file, index, base, config) {
+    let url = file.url
+    if (service.provider !== 'homemedia') {
+        if (!base || !base.startsWith('http')) return null
+        url = `${base}/resolve/${service.provider}/${encodeResolveApiKey(config, service.provider, service.apiKey)}/${encodeURIComponent(file.url)}`
+    }
+    return {
+        id: `sootio-${service.provider}-${index}`,
+        url,
+        lang: file.lang
+    }
+}
+
+export default { getSubtitles }
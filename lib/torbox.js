@@ -12,6 +12,10 @@ import searchCoordinator from './util/search-coordinator.js';
 import { orchestrateScrapers } from './util/scraper-selector.js';
 import * as debridHelpers from './util/debrid-helpers.js';
 import debridProxyManager from './util/debrid-proxy.js';
+import { registerProvider } from './util/provider-registry.js';
+import { checkWithConfidence } from './util/hash-confidence.js';
+import { findReleaseSubtitles } from './util/subtitle-files.js';
+import { getUncachedLimit, selectUncachedTorrents, toUncachedResult } from './common/debrid-cache-processor.js';
 
 const { getHashFromMagnet, filterByYear, delay, isValidVideo, isValidTorrentTitle } = torrentUtils;
 const LOG_PREFIX = 'TB';
@@ -226,7 +230,7 @@ async function searchTorboxTorrents(apiKey, type, id, userConfig = {}) {
                 }));
             }
         }
-        const combinedResults = await combineAndMarkResults(apiKey, personalFiles, scraperResultsArray, episodeInfo, cinemetaDetails, seriesCtx);
+        const combinedResults = await combineAndMarkResults(apiKey, personalFiles, scraperResultsArray, episodeInfo, cinemetaDetails, seriesCtx, userConfig);
 	console.log('combined results: ', obfuscateSensitive(JSON.stringify(combinedResults), apiKey))
 
         // Match RD/AD movie filtering: drop series-like titles, then apply year sanity
@@ -375,7 +379,7 @@ async function searchPersonalFiles(apiKey, searchKey) {
     }
 }
 
-async function combineAndMarkResults(apiKey, personalFiles, externalSources, episodeInfo = null, cinemetaDetails, seriesCtx = null) {
+async function combineAndMarkResults(apiKey, personalFiles, externalSources, episodeInfo = null, cinemetaDetails, seriesCtx = null, userConfig = {}) {
     // Build local matchesSeriesCandidate using seriesCtx (and short-title variant)
     const seriesCtxShort = (() => {
         if (!seriesCtx || !cinemetaDetails?.name) return null;
@@ -553,8 +557,16 @@ async function combineAndMarkResults(apiKey, personalFiles, externalSources, epi
         console.error(`[TB SQLCACHE] Error persisting to SQLite cache: ${error.message}`);
     }
 
+    // Opt-in "show uncached": the best torrents TorBox does not have cached follow the cached ones
+    const uncachedResults = selectUncachedTorrents(franchiseFiltered, getUncachedLimit(userConfig), {
+        cachedHashes,
+        rankingProfile: userConfig.RankingProfile,
+        keywordFilters: userConfig.KeywordFilters,
+        episodeInfo
+    }).map(torrent => toUncachedResult(formatExternalResult(torrent)));
+
     if (episodeInfo) {
-        return finalUniqueResults.filter(item => {
+        const episodeResults = finalUniqueResults.filter(item => {
             // Allow personal files and items from pack inspection
             if (item.isPersonal || item.episodeFileHint) {
                 return true;
@@ -579,9 +591,10 @@ async function combineAndMarkResults(apiKey, personalFiles, externalSources, epi
 
             return true;
         });
+        return [...episodeResults, ...uncachedResults];
     }
 
-    return finalUniqueResults;
+    return [...finalUniqueResults, ...uncachedResults];
 }
 
 async function inspectCachedPacks(apiKey, packs, episodeInfo, cachedFiles = new Map()) {
@@ -659,35 +672,39 @@ async function checkTorboxCache(apiKey, hashes) {
             return empty;
         }
 
-        console.log(`[${LOG_PREFIX}] Sending ${hexHashes.length} hex hashes to TorBox API.`);
-        // Use GET with format=list&list_files=true -- the POST/object format does not return files
-        // even when list_files=true is set. GET/list does return full file listings.
-        const hashParam = hexHashes.join(',');
-        const response = await torboxRequest(
-            () => axios.get(url, debridProxyManager.getAxiosConfig('torbox', {
-                headers,
-                params: { hash: hashParam, format: 'list', list_files: true }
-            })),
-            'cache check'
-        );
-
-        if (response.data?.success && Array.isArray(response.data.data)) {
-            const cachedHashes = new Set();
-            const cachedFiles = new Map();
+        // Hashes another account just found uncached are not sent again; cached hits are,
+        // since the file listings are needed
+        const cachedFiles = new Map();
+        const { cached: cachedHashes } = await checkWithConfidence('torbox', apiKey, hexHashes, async (toCheck) => {
+            console.log(`[${LOG_PREFIX}] Sending ${toCheck.length} hex hashes to TorBox API.`);
+            // Use GET with format=list&list_files=true -- the POST/object format does not return files
+            // even when list_files=true is set. GET/list does return full file listings.
+            const hashParam = toCheck.join(',');
+            const response = await torboxRequest(
+                () => axios.get(url, debridProxyManager.getAxiosConfig('torbox', {
+                    headers,
+                    params: { hash: hashParam, format: 'list', list_files: true }
+                })),
+                'cache check'
+            );
+            if (!response.data?.success || !Array.isArray(response.data.data)) {
+                throw new Error(response.data?.detail || 'unexpected checkcached response');
+            }
 
+            const found = new Set();
             for (const entry of response.data.data) {
                 if (!entry?.hash) continue;
                 const h = entry.hash.toLowerCase();
-                cachedHashes.add(h);
+                found.add(h);
                 if (Array.isArray(entry.files) && entry.files.length > 0) {
                     cachedFiles.set(h, entry.files);
                 }
             }
+            return found;
+        }, { trustCached: false });
 
-            console.log(`[${LOG_PREFIX}] TorBox API returned ${cachedHashes.size} cached hashes (${cachedFiles.size} with file listings)`);
-            return { cachedHashes, cachedFiles };
-        }
-        return empty;
+        console.log(`[${LOG_PREFIX}] TorBox API returned ${cachedHashes.size} cached hashes (${cachedFiles.size} with file listings)`);
+        return { cachedHashes, cachedFiles };
     } catch (error) {
         console.error(`[${LOG_PREFIX}] !! FATAL: TorBox cache check failed: ${error.message}`);
         console.error(`[${LOG_PREFIX}] Error details:`, error.response?.data || error.code);
@@ -894,6 +911,7 @@ async function processPersonalHistory(torrentsFromApi, apiKey) {
             return {
                 source: 'torbox',
                 id: `${torrent.id}-${file.id}`,
+                torrentId: torrent.id,
                 name: file.name,
                 info: PTT.parse(file.name),
                 size: file.size,
@@ -907,6 +925,138 @@ async function processPersonalHistory(torrentsFromApi, apiKey) {
     return processedFiles.flat();
 }
 
+async function getTorrentDetails(apiKey, id) {
+    const torrentId = String(id).split(':')[0];
+    try {
+        const torrents = await getTorrentList(apiKey);
+        const torrent = torrents.find(t => String(t.id) === torrentId);
+        if (!torrent) throw new Error(`Torrent ${torrentId} not found`);
+        const videos = (torrent.files || [])
+            .filter(file => torrentUtils.isValidVideo(file.name, file.size, undefined, LOG_PREFIX))
+            .map(file => ({
+                id: `${torrent.id}:${file.id}`,
+                name: file.name,
+                url: `/torbox/${torrent.id}/${file.id}`,
+                size: file.size,
+                created: new Date(torrent.created_at || Date.now()),
+                info: PTT.parse(file.name)
+            }));
+        return {
+            source: 'torbox',
+            id: torrent.id,
+            name: torrent.name,
+            type: 'other',
+            hash: torrent.hash?.toLowerCase() || null,
+            info: PTT.parse(torrent.name || ''),
+            size: torrent.size,
+            created: new Date(torrent.created_at || Date.now()),
+            videos
+        };
+    } catch (error) {
+        console.error(`[${LOG_PREFIX}] Torrent details error: ${error.message}`);
+        return {
+            source: 'torbox',
+            id: torrentId,
+            name: 'Unknown Torrent',
+            type: 'other',
+            hash: null,
+            info: { title: 'Unknown' },
+            size: 0,
+            created: new Date(),
+            videos: []
+        };
+    }
+}
+
+// download_state values that mean the torrent will not finish without being re-added
+const DEAD_STATE_REGEX = /error|stalled|missing|failed/i;
+
+function libraryStatus(torrent) {
+    if (torrent.download_present === true) return 'ready';
+    return DEAD_STATE_REGEX.test(String(torrent.download_state || '')) ? 'dead' : 'downloading';
+}
+
+async function listLibrary(apiKey, { includeInactive = false } = {}) {
+    try {
+        const torrents = await getTorrentList(apiKey, includeInactive);
+        return torrents
+            .filter(torrent => includeInactive || torrent.download_present === true)
+            .map(torrent => ({
+                id: torrent.id,
+                torrentId: torrent.id,
+                name: torrent.name,
+                size: torrent.size || 0,
+                hash: torrent.hash?.toLowerCase(),
+                status: libraryStatus(torrent),
+                isPersonal: true
+            }));
+    } catch (error) {
+        console.error(`[${LOG_PREFIX}] Library error: ${error.message}`);
+        return [];
+    }
+}
+
+// Subtitles next to the playing video in a downloaded torrent, as /torbox/torrentId/fileId links for the resolver
+async function getSubtitleFiles(apiKey, video = {}) {
+    const torrents = (await getTorrentList(apiKey)).filter(torrent => torrent.download_present === true);
+    const subtitles = await findReleaseSubtitles(torrents, video, async torrent => (torrent.files || []).map(file => ({
+        path: file.name,
+        size: file.size,
+        link: `/torbox/${torrent.id}/${file.id}`
+    })));
+    return subtitles.map(({ file, lang }) => ({ name: file.path, url: file.link, lang }));
+}
+
+async function deleteTorrent(apiKey, torrentId) {
+    const url = `${TB_BASE_URL}/api/torrents/controltorrent`;
+    const headers = getHeaders(apiKey);
+    const response = await torboxRequest(
+        () => axios.post(url, { torrent_id: Number(torrentId), operation: 'delete' }, debridProxyManager.getAxiosConfig('torbox', { headers, timeout: TIMEOUT })),
+        'delete torrent'
+    );
+    if (response.data?.success) return true;
+    throw new Error(response.data?.error || 'Failed to delete torrent on Torbox.');
+}
+
+async function addMagnet(apiKey, magnetLink) {
+    const created = await addToTorbox(apiKey, magnetLink);
+    return created?.torrent_id ?? created?.id ?? null;
+}
+
+async function getDownloadStatus(apiKey, torrentId) {
+    const url = `${TB_BASE_URL}/api/torrents/mylist`;
+    const headers = getHeaders(apiKey);
+    const params = { id: torrentId, bypass_cache: true };
+    const response = await torboxRequest(
+        () => axios.get(url, debridProxyManager.getAxiosConfig('torbox', { headers, params, timeout: TIMEOUT })),
+        'torrent status'
+    );
+    const data = response.data?.data;
+    const torrent = Array.isArray(data) ? data.find(t => String(t.id) === String(torrentId)) : data;
+    if (!response.data?.success || !torrent) throw new Error(response.data?.error || `Torbox torrent ${torrentId} not found`);
+    const status = libraryStatus(torrent);
+    // progress is a 0-1 fraction
+    return { status, progress: status === 'ready' ? 100 : Math.floor((Number(torrent.progress) || 0) * 100) };
+}
+
+// plan 0 is the free plan
+async function getAccountInfo(apiKey) {
+    const url = `${TB_BASE_URL}/api/user/me`;
+    const headers = getHeaders(apiKey);
+    const response = await torboxRequest(
+        () => axios.get(url, debridProxyManager.getAxiosConfig('torbox', { headers, timeout: TIMEOUT })),
+        'account info'
+    );
+    const user = response.data?.data;
+    if (!response.data?.success || !user) throw new Error(response.data?.error || 'Torbox account info unavailable');
+    return {
+        premium: Number(user.plan) > 0,
+        expiresAt: user.premium_expires_at ? new Date(user.premium_expires_at).toISOString() : null,
+        quotaExhausted: false,
+        renewUrl: 'https://torbox.app/pricing'
+    };
+}
+
 async function addToTorbox(apiKey, magnetLink) {
     const url = `${TB_BASE_URL}/api/torrents/createtorrent`;
     const headers = getHeaders(apiKey);
@@ -994,4 +1144,29 @@ async function searchDownloads(apiKey, searchKey = null, threshold = 0.3) {
 }
 
 export const __testables = { checkTorboxCache };
-export default { searchTorboxTorrents, unrestrictUrl, searchDownloads, searchPersonalFiles };
+registerProvider({
+    name: 'TorBox',
+    label: 'TorBox',
+    streamName: '[TB+] Sootio',
+    results: { movieFilter: 'year' },
+    capabilities: {
+        search: (apiKey, type, id, config) => searchTorboxTorrents(apiKey, type, id, config),
+        personalFiles: {
+            list: async apiKey => await searchDownloads(apiKey, '', 1.0) || []
+        },
+        cacheCheck: async (apiKey, hashes) => (await checkTorboxCache(apiKey, hashes)).cachedHashes,
+        catalog: {
+            list: apiKey => listLibrary(apiKey),
+            details: getTorrentDetails
+        },
+        library: listLibrary,
+        delete: deleteTorrent,
+        addMagnet,
+        downloadStatus: getDownloadStatus,
+        accountInfo: getAccountInfo,
+        subtitles: getSubtitleFiles,
+        resolve: (apiKey, url, { itemId, clientIp } = {}) => unrestrictUrl(apiKey, itemId, url, clientIp)
+    }
+});
+
+export default { searchTorboxTorrents, unrestrictUrl, searchDownloads, searchPersonalFiles, getTorrentDetails, listLibrary, deleteTorrent, addMagnet };
@@ -0,0 +1,316 @@
+import Cinemeta from './util/cinemeta.js'
+import searchCoordinator from './util/search-coordinator.js'
+import { orchestrateScrapers, getEnabledScrapers } from './util/scraper-selector.js'
+import { processAndDeduplicate } from './scrapers/utils/deduplication.js'
+import { getResolutionFromName } from './common/torrent-utils.js'
+import { createAbortControllerWithTimeout } from './util/debrid-helpers.js'
+import { getProvider, hasCapability } from './providers.js'
+import { getServiceKeys, mergeServiceKeys, withKeyFailover } from './util/key-pool.js'
+
+// Torznab feed of the aggregated scraper search, for Sonarr, Radarr and Prowlarr.
+// The `apikey` parameter carries the user's configuration (the segment of the manifest URL),
+// so scraper and language choices apply; `cached=<provider>` keeps only the hashes that
+// service can stream instantly, checked with the configuration's key for it.
+//
+// Functions: caps, search (q), tvsearch (q | imdbid, season, ep), movie (q | imdbid)
+const TORZNAB_API_LIMIT = parseInt(process.env.TORZNAB_API_LIMIT || '100', 10)
+const TORZNAB_API_TIMEOUT_MS = parseInt(process.env.TORZNAB_API_TIMEOUT_MS || '30000', 10)
+const TORZNAB_NAMESPACE = 'http://torznab.com/schemas/2015/feed'
+
+// Scrapers that only look titles up by IMDb ID and cannot run a free-text query
+const ID_ONLY_SCRAPERS = ['torrentio', 'comet', 'stremthru']
+
+export const TORZNAB_CATEGORIES = {
+    movie: { id: 2000, name: 'Movies', subcats: { '2160p': [2045, 'Movies/UHD'], '1080p': [2040, 'Movies/HD'], '720p': [2040, 'Movies/HD'], '480p': [2030, 'Movies/SD'] } },
+    series: { id: 5000, name: 'TV', subcats: { '2160p': [5045, 'TV/UHD'], '1080p': [5040, 'TV/HD'], '720p': [5040, 'TV/HD'], '480p': [5030, 'TV/SD'] } }
+}
+
+// Error codes from the Newznab API spec
+export const TORZNAB_ERRORS = {
+    INCORRECT_CREDENTIALS: 100,
+    MISSING_PARAMETER: 200,
+    INCORRECT_PARAMETER: 201,
+    NO_SUCH_FUNCTION: 202,
+    FUNCTION_NOT_AVAILABLE: 203,
+    UNKNOWN_ERROR: 900
+}
+
+function torznabError(code, description) {
+    const error = new Error(description)
+    error.code = code
+    return error
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+}
+
+function parseNumber(value, name) {
+    if (value === undefined || value === '') return null
+    const number = parseInt(value, 10)
+    if (!Number.isFinite(number) || number < 0) {
+        throw torznabError(TORZNAB_ERRORS.INCORRECT_PARAMETER, `Incorrect parameter: ${name}`)
+    }
+    return number
+}
+
+/**
+ * Maps Torznab query parameters onto a scraper search.
+ * @param {Object} query - Request query string
+ * @returns {{fn: string, type: string, q: string, imdbId: string|null, season: number|null, episode: number|null,
+ *   categories: Array<number>, limit: number, offset: number}}
+ * @throws {Error} with a Torznab error `code`
+ */
+export function parseTorznabQuery(query = {}) {
+    const fn = String(query.t || '').toLowerCase()
+    if (!fn) throw torznabError(TORZNAB_ERRORS.MISSING_PARAMETER, 'Missing parameter: t')
+    if (!['caps', 'search', 'tvsearch', 'movie'].includes(fn)) {
+        throw torznabError(TORZNAB_ERRORS.NO_SUCH_FUNCTION, `No such function: ${fn}`)
+    }
+
+    const rawImdb = String(query.imdbid || '').trim()
+    if (rawImdb && !/^(tt)?\d+$/i.test(rawImdb)) {
+        throw torznabError(TORZNAB_ERRORS.INCORRECT_PARAMETER, 'Incorrect parameter: imdbid')
+    }
+    // *arr apps send the numeric part only
+    const imdbId = rawImdb ? `tt${rawImdb.replace(/^tt/i, '').padStart(7, '0')}` : null
+    const categories = String(query.cat || '').split(',').map(cat => parseInt(cat, 10)).filter(Number.isFinite)
+
+    return {
+        fn,
+        type: fn === 'tvsearch' || (fn === 'search' && categories.length > 0 && categories.every(cat => Math.floor(cat / 1000) === 5)) ? 'series' : 'movie',
+        q: String(query.q || '').trim(),
+        imdbId,
+        season: fn === 'tvsearch' ? parseNumber(query.season, 'season') : null,
+        episode: fn === 'tvsearch' ? parseNumber(query.ep, 'ep') : null,
+        categories,
+        limit: Math.min(parseNumber(query.limit, 'limit') ?? TORZNAB_API_LIMIT, TORZNAB_API_LIMIT),
+        offset: parseNumber(query.offset, 'offset') ?? 0
+    }
+}
+
+/**
+ * Torznab category of a result, by content type and resolution in the title.
+ * @returns {number}
+ */
+export function getTorznabCategory(type, title) {
+    const category = TORZNAB_CATEGORIES[type] || TORZNAB_CATEGORIES.movie
+    return category.subcats[getResolutionFromName(title)]?.[0] || category.id
+}
+
+function matchesCategories(category, categories) {
+    if (categories.length === 0) return true
+    return categories.includes(category) || categories.includes(Math.floor(category / 1000) * 1000)
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0')
+}
+
+/**
+ * Search terms for the scrapers: the Cinemeta title for ID searches, the query text otherwise.
+ */
+async function getSearchTerms({ type, q, imdbId, season, episode }) {
+    let title = q
+    let year = null
+    if (imdbId) {
+        const meta = await Cinemeta.getMeta(type, imdbId)
+        if (!meta?.name && !q) return null
+        title = meta?.name || q
+        year = meta?.year || null
+    }
+    if (!title) return null
+    if (type === 'series' && season != null) {
+        const marker = episode != null ? `s${pad(season)}e${pad(episode)}` : `s${pad(season)}`
+        return { searchKey: title, baseSearchKey: `${title} ${marker}` }
+    }
+    return { searchKey: title, baseSearchKey: year && !q ? `${title} ${year}` : title }
+}
+
+// Free-text searches skip the scrapers that need an IMDb ID
+function getScraperConfig(userConfig, hasImdbId) {
+    if (hasImdbId) return userConfig
+    const textScrapers = Object.keys(getEnabledScrapers(userConfig, 'TORZNAB'))
+        .filter(name => !ID_ONLY_SCRAPERS.includes(name))
+    return { ...userConfig, ScrapersConfigured: true, Scrapers: textScrapers, IndexerScrapers: [] }
+}
+
+/**
+ * Cache check of the chosen debrid service with the configuration's keys for it.
+ * @param {string} provider - Provider key or name, e.g. "realdebrid"
+ * @returns {function(Array<string>): Promise<Set<string>>}
+ * @throws {Error} with a Torznab error `code` when the service cannot check or has no key
+ */
+function getCacheCheck(provider, userConfig) {
+    const definition = getProvider(provider)
+    if (!hasCapability(definition, 'cacheCheck')) {
+        throw torznabError(TORZNAB_ERRORS.INCORRECT_PARAMETER, `Incorrect parameter: cached (${provider} has no cache check)`)
+    }
+    const service = (mergeServiceKeys(userConfig.DebridServices) || [])
+        .find(entry => getProvider(String(entry?.provider || ''))?.key === definition.key)
+    const keys = service ? getServiceKeys(service) : []
+    if (keys.length === 0) {
+        throw torznabError(TORZNAB_ERRORS.INCORRECT_PARAMETER, `Incorrect parameter: cached (no ${definition.label} key in the configuration)`)
+    }
+    return async (hashes) => {
+        if (hashes.length === 0) return new Set()
+        const cached = await withKeyFailover(definition.key, keys, apiKey => definition.capabilities.cacheCheck(apiKey, hashes))
+        return new Set(Array.from(cached || []).map(hash => String(hash).toLowerCase()))
+    }
+}
+
+/**
+ * Runs a Torznab search through the scrapers.
+ * @param {Object} request - parseTorznabQuery() result
+ * @param {Object} userConfig - Configuration from the apikey
+ * @param {Object} [options]
+ * @param {string} [options.cached] - Keep only hashes this provider has cached
+ * @returns {Promise<Array<Object>>} Scraper results with `category`, best seeded first
+ */
+export async function searchTorznab(request, userConfig = {}, { cached = null } = {}) {
+    const { fn, type, imdbId, season, episode, categories, limit, offset } = request
+    const cacheCheck = cached ? getCacheCheck(cached, userConfig) : null
+    const terms = await getSearchTerms(request)
+    // A search without terms is the *arr apps' RSS sync; there is no feed of new releases
+    if (!terms) return []
+
+    const scraperConfig = getScraperConfig(userConfig, Boolean(imdbId))
+    const id = imdbId
+        ? [imdbId, season, episode].filter(part => part != null).join(':')
+        : `q:${terms.baseSearchKey.toLowerCase()}`
+    const { signal, cleanup } = createAbortControllerWithTimeout(TORZNAB_API_TIMEOUT_MS, 'TORZNAB')
+    let scraperResults
+    try {
+        scraperResults = await searchCoordinator.executeSearch(
+            'torznab',
+            () => orchestrateScrapers({
+                type,
+                imdbId,
+                searchKey: terms.searchKey,
+                baseSearchKey: terms.baseSearchKey,
+                season: season ?? undefined,
+                episode: episode ?? undefined,
+                signal,
+                logPrefix: 'TORZNAB',
+                userConfig: scraperConfig,
+                selectedLanguages: Array.isArray(userConfig.Languages) ? userConfig.Languages : []
+            }),
+            type,
+            id,
+            scraperConfig
+        )
+    } finally {
+        cleanup()
+    }
+
+    let results = processAndDeduplicate([].concat(...(scraperResults || [])), userConfig)
+        .filter(result => result.InfoHash && result.Title)
+        .map(result => ({ ...result, InfoHash: String(result.InfoHash).toLowerCase(), category: getTorznabCategory(type, result.Title) }))
+        .filter(result => matchesCategories(result.category, categories))
+    if (cacheCheck) {
+        const cachedHashes = await cacheCheck(results.map(result => result.InfoHash))
+        results = results.filter(result => cachedHashes.has(result.InfoHash))
+    }
+
+    results.sort((a, b) => (b.Seeders || 0) - (a.Seeders || 0))
+    console.log(`[TORZNAB] ${fn} "${terms.baseSearchKey}"${cached ? ` cached on ${cached}` : ''}: ${results.length} results`)
+    return results.slice(offset, offset + limit)
+}
+
+/**
+ * @param {string} baseUrl - Public URL of the server
+ * @returns {string} caps XML
+ */
+export function buildCapsXml(baseUrl = '') {
+    const categories = Object.values(TORZNAB_CATEGORIES).map(category => {
+        const subcats = new Map(Object.values(category.subcats))
+        return `    <category id="${category.id}" name="${category.name}">\n` +
+            Array.from(subcats).map(([id, name]) => `      <subcat id="${id}" name="${escapeXml(name)}"/>`).join('\n') +
+            '\n    </category>'
+    }).join('\n')
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<caps>
+  <server title="Sootio" url="${escapeXml(baseUrl)}"/>
+  <limits max="${TORZNAB_API_LIMIT}" default="${TORZNAB_API_LIMIT}"/>
+  <searching>
+    <search available="yes" supportedParams="q"/>
+    <tv-search available="yes" supportedParams="q,imdbid,season,ep"/>
+    <movie-search available="yes" supportedParams="q,imdbid"/>
+  </searching>
+  <categories>
+${categories}
+  </categories>
+</caps>
+`
+}
+
+function buildMagnet(result) {
+    return `magnet:?xt=urn:btih:${result.InfoHash}&dn=${encodeURIComponent(result.Title)}`
+}
+
+/**
+ * @param {Array<Object>} results - searchTorznab() results
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl]
+ * @param {string} [options.imdbId] - Searched IMDb ID, echoed on every item
+ * @param {Date} [options.now] - pubDate of every item; scrapers report no upload dates
+ * @returns {string} RSS feed with torznab attributes
+ */
+export function buildFeedXml(results, { baseUrl = '', imdbId = null, now = new Date() } = {}) {
+    const items = results.map(result => {
+        const magnet = buildMagnet(result)
+        const size = Number(result.Size || result.size || 0)
+        const attrs = [
+            ['category', result.category],
+            ['size', size],
+            ['seeders', result.Seeders || 0],
+            ['peers', (result.Seeders || 0) + (result.Leechers || 0)],
+            ['infohash', result.InfoHash],
+            ['magneturl', magnet],
+            ...(imdbId ? [['imdb', imdbId.replace(/^tt/, '')]] : [])
+        ]
+        return `    <item>
+      <title>${escapeXml(result.Title)}</title>
+      <guid isPermaLink="false">${result.InfoHash}</guid>
+      <link>${escapeXml(magnet)}</link>
+      <pubDate>${now.toUTCString()}</pubDate>
+      <size>${size}</size>
+      <category>${result.category}</category>
+      <enclosure url="${escapeXml(magnet)}" length="${size}" type="application/x-bittorrent"/>
+${attrs.map(([name, value]) => `      <torznab:attr name="${name}" value="${escapeXml(value)}"/>`).join('\n')}
+    </item>`
+    }).join('\n')
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:torznab="${TORZNAB_NAMESPACE}">
+  <channel>
+    <title>Sootio</title>
+    <description>Sootio aggregated torrent search</description>
+    <link>${escapeXml(baseUrl)}</link>
+${items}
+  </channel>
+</rss>
+`
+}
+
+/**
+ * @returns {string} Torznab error document
+ */
+export function buildErrorXml(code, description) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<error code="${code}" description="${escapeXml(description)}"/>\n`
+}
+
+export default {
+    parseTorznabQuery,
+    searchTorznab,
+    getTorznabCategory,
+    buildCapsXml,
+    buildFeedXml,
+    buildErrorXml,
+    TORZNAB_CATEGORIES,
+    TORZNAB_ERRORS
+}
@@ -0,0 +1,105 @@
+import { createHash } from 'crypto'
+import { getProvider, hasCapability } from './providers.js'
+import { withKeyFailover } from './util/key-pool.js'
+import { getHashFromMagnet } from './common/torrent-utils.js'
+import { releaseTempMagnet } from './util/temp-magnet-journal.js'
+
+// "Add and play" for uncached picks (the per-service "show uncached" option). The first play adds
+// the magnet to the user's account; later plays report the provider's download progress, and once
+// it is ready the stream resolves like a cached one.
+//
+// Providers registering addMagnet, downloadStatus and resolve (see lib/util/provider-registry.js):
+//   addMagnet(apiKey, magnet)          -> new torrent ID
+//   downloadStatus(apiKey, torrentId)  -> { status: ready|downloading|dead, progress: 0-100 }
+const UNCACHED_CAPABILITIES = ['addMagnet', 'downloadStatus', 'resolve']
+
+const DOWNLOAD_TTL_MS = parseInt(process.env.UNCACHED_DOWNLOAD_TTL_MS) || 24 * 60 * 60 * 1000
+const MAX_TRACKED_DOWNLOADS = 5000
+
+// `${provider}:${keyHash}:${infoHash}` -> { torrentId, apiKey, addedAt }
+const downloads = new Map()
+
+function hashKey(apiKey) {
+    return createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16)
+}
+
+function downloadKey(provider, apiKey, infoHash) {
+    return `${provider}:${hashKey(apiKey)}:${infoHash}`
+}
+
+function getUncachedCapabilities(provider) {
+    const definition = getProvider(provider)
+    if (!definition || !UNCACHED_CAPABILITIES.every(capability => hasCapability(definition, capability))) return null
+    return definition.capabilities
+}
+
+function supportsUncached(provider) {
+    return Boolean(getUncachedCapabilities(provider))
+}
+
+function rememberDownload(key, download) {
+    const now = Date.now()
+    for (const [entryKey, entry] of downloads) {
+        if (downloads.size < MAX_TRACKED_DOWNLOADS && now - entry.addedAt < DOWNLOAD_TTL_MS) break
+        downloads.delete(entryKey)
+    }
+    downloads.set(key, download)
+}
+
+function findDownload(provider, apiKeys, infoHash) {
+    for (const apiKey of apiKeys) {
+        const download = downloads.get(downloadKey(provider, apiKey, infoHash))
+        if (download && Date.now() - download.addedAt < DOWNLOAD_TTL_MS) return download
+    }
+    return null
+}
+
+// Reuses the torrent when the account already has it (added by another worker or by hand)
+async function addDownload(capabilities, provider, apiKey, magnet, infoHash) {
+    let torrentId = null
+    if (capabilities.library) {
+        const items = await capabilities.library(apiKey, { includeInactive: true }).catch(() => [])
+        const existing = (items || []).find(item => String(item.hash || '').toLowerCase() === infoHash && item.status !== 'dead')
+        if (existing) torrentId = existing.id
+    }
+    if (torrentId == null) {
+        torrentId = await capabilities.addMagnet(apiKey, magnet)
+        if (torrentId == null) throw new Error(`${provider} did not accept the magnet`)
+        console.log(`[UNCACHED] Added ${infoHash.substring(0, 12)}... to ${provider} as ${torrentId}`)
+    }
+    // Never swept as a leftover temporary magnet of a cache check
+    releaseTempMagnet(getProvider(provider).key, apiKey, infoHash).catch(() => {})
+    const download = { torrentId, apiKey, addedAt: Date.now() }
+    rememberDownload(downloadKey(provider, apiKey, infoHash), download)
+    return download
+}
+
+/**
+ * Adds an uncached torrent to the user's account on first play and reports its download after.
+ * @param {string} provider - Provider key, e.g. "realdebrid"
+ * @param {string|Array<string>} apiKeys - The service's keys; the torrent goes to the first one that answers
+ * @param {string} magnet - Magnet link, optionally followed by a `||HINT||`
+ * @returns {Promise<{status: string, progress: number, apiKey: string}>} status is ready, downloading or dead;
+ * apiKey is the key whose account holds the torrent
+ */
+async function getUncachedDownload(provider, apiKeys, magnet) {
+    const capabilities = getUncachedCapabilities(provider)
+    if (!capabilities) throw new Error(`${provider} cannot add uncached torrents`)
+    const magnetUrl = String(magnet || '').split('||HINT||')[0]
+    const infoHash = getHashFromMagnet(magnetUrl)
+    if (!infoHash) throw new Error('Magnet has no info hash')
+    const keys = (Array.isArray(apiKeys) ? apiKeys : [apiKeys]).filter(Boolean)
+
+    const download = findDownload(provider, keys, infoHash)
+        || await withKeyFailover(provider, keys, apiKey => addDownload(capabilities, provider, apiKey, magnetUrl, infoHash))
+    try {
+        const { status, progress } = await capabilities.downloadStatus(download.apiKey, download.torrentId)
+        return { status, progress: Math.max(0, Math.min(100, Math.round(progress || 0))), apiKey: download.apiKey }
+    } catch (error) {
+        // Removed from the account in the meantime: the next play adds it again
+        downloads.delete(downloadKey(provider, download.apiKey, infoHash))
+        throw error
+    }
+}
+
+export { supportsUncached, getUncachedDownload }
@@ -0,0 +1,41 @@
+// lib/util/action-token.js
+// Short-lived confirmation tokens for destructive library actions. A token is
+// `<expiresAt>.<hmac>` where the HMAC covers the action, service, torrent ID and
+// expiry and is keyed with the user's own API key, so any worker can verify it
+// without shared state and a token issued for one torrent cannot delete another.
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const ACTION_TOKEN_TTL_MS = parseInt(process.env.LIBRARY_ACTION_TOKEN_TTL_MS, 10) || 2 * 60 * 1000;
+
+function sign(secret, action, service, id, expiresAt) {
+    return createHmac('sha256', String(secret))
+        .update([action, String(service).toLowerCase(), id, expiresAt].join(':'))
+        .digest('base64url');
+}
+
+/**
+ * @param {string} secret - User's API key for the service
+ * @param {string} action - Action name ("delete", "readd")
+ * @param {string} service - Normalized service name
+ * @param {string|number} id - Torrent ID
+ * @param {number} [now] - Current time in ms
+ * @returns {{token: string, expiresAt: number}}
+ */
+export function createActionToken(secret, action, service, id, now = Date.now()) {
+    const expiresAt = now + ACTION_TOKEN_TTL_MS;
+    return { token: `${expiresAt}.${sign(secret, action, service, id, expiresAt)}`, expiresAt };
+}
+
+/**
+ * @returns {boolean} True when the token was issued for exactly this action and has not expired
+ */
+export function verifyActionToken(token, secret, action, service, id, now = Date.now()) {
+    const [expiresRaw, signature] = String(token || '').split('.');
+    const expiresAt = Number(expiresRaw);
+    if (!signature || !Number.isFinite(expiresAt) || expiresAt < now) return false;
+    const expected = Buffer.from(sign(secret, action, service, id, expiresAt));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+export default { ACTION_TOKEN_TTL_MS, createActionToken, verifyActionToken };
@@ -2,8 +2,10 @@
 // AllDebrid limits: 600 requests per minute AND 12 requests per second
 // Defaults can be tuned via env: AD_RATE_PER_MINUTE, AD_RATE_PER_SECOND, AD_CONCURRENCY, AD_MAX_RETRIES
 
+import { markKeyRateLimited } from './key-pool.js';
+
 class AdRateLimiter {
-  constructor({ ratePerMinute = 600, ratePerSecond = 12, concurrency = 50, maxRetries = 5, maxQueueSize = 500 } = {}) {
+  constructor({ ratePerMinute = 600, ratePerSecond = 12, concurrency = 50, maxRetries = 5, maxQueueSize = 500, onRateLimited = null } = {}) {
     this.minuteCapacity = ratePerMinute;
     this.minuteTokens = ratePerMinute;
     this.secondCapacity = ratePerSecond;
@@ -14,6 +16,7 @@ class AdRateLimiter {
     this.maxRetries = maxRetries;
     this.maxQueueSize = maxQueueSize; // Prevent queue from growing indefinitely
     this.requestTimeout = 15000; // 15 second timeout per request - reduced from 60s to fail fast
+    this.onRateLimited = onRateLimited; // Puts the key on cooldown so other keys of the same service take over
 
     // Faster token refill: add tokens in batches for burst recovery
     // Minute tokens: refill 10 tokens every second (600/min = 10/sec)
@@ -102,6 +105,7 @@ class AdRateLimiter {
           // Max retries exceeded or other error
           if (status === 429) {
             console.error(`[AD LIMITER] Rate limit exhausted after ${job.tries} retries, giving up on request`);
+            this.onRateLimited?.();
           }
 
           this.running -= 1;
@@ -140,7 +144,8 @@ class AdRateLimiterManager {
         ratePerSecond: parseInt(process.env.AD_RATE_PER_SECOND || '12', 10),
         concurrency: parseInt(process.env.AD_CONCURRENCY || '50', 10),
         maxRetries: parseInt(process.env.AD_MAX_RETRIES || '5', 10),
-        maxQueueSize: parseInt(process.env.AD_MAX_QUEUE_SIZE || '500', 10)
+        maxQueueSize: parseInt(process.env.AD_MAX_QUEUE_SIZE || '500', 10),
+        onRateLimited: () => markKeyRateLimited('alldebrid', apiKey)
       });
       this.limiters.set(keyHash, {
         limiter,
@@ -11,7 +11,7 @@ const PROVIDER_TYPES = {
   mkvdrama: ['mkvdrama'], // Separate category due to FlareSolverr requirement
   usenet: ['usenet'],
   easynews: ['easynews'],
-  debrid: ['realdebrid', 'alldebrid', 'premiumize', 'debridlink', 'torbox', 'offcloud', 'debridapp'],
+  debrid: ['realdebrid', 'alldebrid', 'premiumize', 'debridlink', 'torbox', 'offcloud', 'putio', 'pikpak', 'debridapp'],
   homemedia: ['homemedia', 'personalcloud']
 };
 
@@ -0,0 +1,256 @@
+// lib/util/anime-mapping.js
+// Maps Kitsu / MyAnimeList / AniList IDs onto IMDb IDs and season/episode pairs
+// so anime catalogs can reuse the regular IMDb-based stream pipeline.
+import fetch from 'node-fetch';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Cinemeta from './cinemeta.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Fribb/anime-lists publishes a combined cross-reference of anime database IDs
+const ANIME_MAPPING_URL = process.env.ANIME_MAPPING_URL || 'https://raw.githubusercontent.com/Fribb/anime-lists/master/anime-list-full.json';
+const ANIME_MAPPING_CACHE_FILE = process.env.ANIME_MAPPING_CACHE_FILE || path.join(__dirname, '..', '..', 'data', 'anime-mapping.json');
+const ANIME_MAPPING_TTL_MS = parseInt(process.env.ANIME_MAPPING_TTL_MS || '86400000', 10); // 24 hours
+const ANIME_MAPPING_TIMEOUT_MS = parseInt(process.env.ANIME_MAPPING_TIMEOUT_MS || '15000', 10);
+const ANIME_MAPPING_RETRY_MS = parseInt(process.env.ANIME_MAPPING_RETRY_MS || '600000', 10); // 10 minutes
+
+const ANIME_ID_SOURCES = {
+    kitsu: 'kitsu_id',
+    mal: 'mal_id',
+    anilist: 'anilist_id'
+};
+
+let mappingIndex = null; // { kitsu: Map, mal: Map, anilist: Map, loadedAt }
+let mappingLoadInFlight = null;
+let lastFailedLoadAt = 0;
+
+/**
+ * Parses a Stremio anime ID such as "kitsu:11061:5" or "mal:21".
+ * @param {string} id - Stremio stream ID
+ * @returns {{source: string, animeId: string, episode: number|null}|null}
+ */
+function parseAnimeId(id) {
+    if (!id || typeof id !== 'string') return null;
+    const [source, animeId, episode] = id.split(':');
+    const normalizedSource = String(source || '').toLowerCase();
+    if (!ANIME_ID_SOURCES[normalizedSource] || !/^\d+$/.test(animeId || '')) return null;
+    const episodeNum = episode != null && /^\d+$/.test(episode) ? parseInt(episode, 10) : null;
+    return { source: normalizedSource, animeId, episode: episodeNum };
+}
+
+function isAnimeId(id) {
+    return parseAnimeId(id) !== null;
+}
+
+function toMappingRecord(entry) {
+    const imdbId = typeof entry.imdb_id === 'string' && entry.imdb_id.startsWith('tt') ? entry.imdb_id : null;
+    const tvdbSeason = Number(entry?.season?.tvdb);
+    return {
+        imdbId,
+        tmdbId: entry.themoviedb_id || null,
+        type: String(entry.type || '').toUpperCase(),
+        season: Number.isFinite(tvdbSeason) && tvdbSeason > 0 ? tvdbSeason : null
+    };
+}
+
+function buildIndex(entries) {
+    const index = { loadedAt: Date.now() };
+    for (const source of Object.keys(ANIME_ID_SOURCES)) {
+        index[source] = new Map();
+    }
+    for (const entry of Array.isArray(entries) ? entries : []) {
+        if (!entry || !entry.imdb_id) continue;
+        const record = toMappingRecord(entry);
+        if (!record.imdbId) continue;
+        for (const [source, field] of Object.entries(ANIME_ID_SOURCES)) {
+            if (entry[field] != null) {
+                index[source].set(String(entry[field]), record);
+            }
+        }
+    }
+    return index;
+}
+
+async function readCachedMappingFile() {
+    try {
+        const [raw, stats] = await Promise.all([
+            fs.readFile(ANIME_MAPPING_CACHE_FILE, 'utf-8'),
+            fs.stat(ANIME_MAPPING_CACHE_FILE)
+        ]);
+        return { entries: JSON.parse(raw), mtimeMs: stats.mtimeMs };
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.warn(`[AnimeMapping] Could not read cached mapping file: ${err.message}`);
+        }
+        return null;
+    }
+}
+
+async function writeCachedMappingFile(entries) {
+    try {
+        await fs.mkdir(path.dirname(ANIME_MAPPING_CACHE_FILE), { recursive: true });
+        await fs.writeFile(ANIME_MAPPING_CACHE_FILE, JSON.stringify(entries));
+    } catch (err) {
+        console.warn(`[AnimeMapping] Could not persist mapping file: ${err.message}`);
+    }
+}
+
+async function downloadMapping() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), ANIME_MAPPING_TIMEOUT_MS);
+    try {
+        const response = await fetch(ANIME_MAPPING_URL, { signal: controller.signal });
+        if (!response.ok) {
+            console.error(`[AnimeMapping] Mapping download failed with status ${response.status}`);
+            return null;
+        }
+        const entries = await response.json();
+        return Array.isArray(entries) ? entries : null;
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            console.error(`[AnimeMapping] Mapping download timeout after ${ANIME_MAPPING_TIMEOUT_MS}ms`);
+        } else {
+            console.error(`[AnimeMapping] Mapping download error:`, err.message);
+        }
+        return null;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+async function loadMapping() {
+    const cached = await readCachedMappingFile();
+    const cacheIsFresh = cached && (Date.now() - cached.mtimeMs) < ANIME_MAPPING_TTL_MS;
+    if (cacheIsFresh) {
+        console.log(`[AnimeMapping] Loaded ${cached.entries.length} entries from ${ANIME_MAPPING_CACHE_FILE}`);
+        return buildIndex(cached.entries);
+    }
+
+    const canRetryDownload = (Date.now() - lastFailedLoadAt) >= ANIME_MAPPING_RETRY_MS;
+    const downloaded = canRetryDownload ? await downloadMapping() : null;
+    if (downloaded) {
+        console.log(`[AnimeMapping] Downloaded ${downloaded.length} mapping entries`);
+        await writeCachedMappingFile(downloaded);
+        return buildIndex(downloaded);
+    }
+    lastFailedLoadAt = Date.now();
+
+    // Offline fallback: a stale mapping is far better than none
+    if (cached) {
+        console.warn(`[AnimeMapping] Using stale mapping file (age: ${Math.floor((Date.now() - cached.mtimeMs) / 1000)}s)`);
+        return buildIndex(cached.entries);
+    }
+    return null;
+}
+
+async function getMappingIndex() {
+    if (mappingIndex && (Date.now() - mappingIndex.loadedAt) < ANIME_MAPPING_TTL_MS) {
+        return mappingIndex;
+    }
+    if (!mappingLoadInFlight) {
+        mappingLoadInFlight = loadMapping()
+            .then(index => {
+                if (index) mappingIndex = index;
+                return mappingIndex;
+            })
+            .finally(() => {
+                mappingLoadInFlight = null;
+            });
+    }
+    return mappingLoadInFlight;
+}
+
+/**
+ * Returns the regular (non-special) episodes from Cinemeta's video list, ordered by airing order.
+ * @param {Array} videos - Cinemeta meta.videos
+ * @returns {Array<{season: number, episode: number}>}
+ */
+function getOrderedEpisodes(videos) {
+    if (!Array.isArray(videos)) return [];
+    return videos
+        .map(v => ({ season: Number(v.season), episode: Number(v.episode ?? v.number) }))
+        .filter(v => Number.isFinite(v.season) && Number.isFinite(v.episode) && v.season > 0 && v.episode > 0)
+        .sort((a, b) => a.season - b.season || a.episode - b.episode);
+}
+
+/**
+ * Converts an absolute episode number to a season/episode pair using Cinemeta's video list.
+ * @param {Array} videos - Cinemeta meta.videos
+ * @param {number} absoluteEpisode - 1-based absolute episode number
+ * @returns {{season: number, episode: number}|null}
+ */
+function absoluteToSeasonEpisode(videos, absoluteEpisode) {
+    const ordered = getOrderedEpisodes(videos);
+    const abs = Number(absoluteEpisode);
+    if (!Number.isFinite(abs) || abs < 1 || abs > ordered.length) return null;
+    const { season, episode } = ordered[abs - 1];
+    return { season, episode };
+}
+
+/**
+ * Converts a season/episode pair to its absolute episode number using Cinemeta's video list.
+ * @param {Array} videos - Cinemeta meta.videos
+ * @param {number} season - Season number
+ * @param {number} episode - Episode number within the season
+ * @returns {number|null}
+ */
+function seasonEpisodeToAbsolute(videos, season, episode) {
+    const ordered = getOrderedEpisodes(videos);
+    const index = ordered.findIndex(v => v.season === Number(season) && v.episode === Number(episode));
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Resolves an anime ID to the IMDb-based coordinates used by the rest of the stream pipeline.
+ * @param {string} id - Stremio ID such as "kitsu:11061:5"
+ * @returns {Promise<{imdbId: string, season: number|null, episode: number|null, absoluteEpisode: number|null, isMovie: boolean}|null>}
+ */
+async function resolveAnimeId(id) {
+    const parsed = parseAnimeId(id);
+    if (!parsed) return null;
+
+    const index = await getMappingIndex();
+    const record = index?.[parsed.source]?.get(parsed.animeId);
+    if (!record) {
+        console.warn(`[AnimeMapping] No IMDb mapping found for ${parsed.source}:${parsed.animeId}`);
+        return null;
+    }
+
+    const isMovie = record.type === 'MOVIE' || parsed.episode == null;
+    if (isMovie) {
+        return { imdbId: record.imdbId, season: null, episode: null, absoluteEpisode: null, isMovie: true };
+    }
+
+    const meta = await Cinemeta.getMeta('series', record.imdbId);
+    const videos = meta?.videos || [];
+    let season;
+    let episode;
+    let absoluteEpisode;
+
+    if (record.season) {
+        // The anime entry covers a single TVDB season, so its episodes are season-relative
+        season = record.season;
+        episode = parsed.episode;
+        absoluteEpisode = seasonEpisodeToAbsolute(videos, season, episode);
+    } else {
+        // Long-running shows (One Piece, Detective Conan...) are numbered absolutely
+        absoluteEpisode = parsed.episode;
+        const converted = absoluteToSeasonEpisode(videos, absoluteEpisode);
+        season = converted?.season ?? 1;
+        episode = converted?.episode ?? absoluteEpisode;
+    }
+
+    console.log(`[AnimeMapping] ${id} -> ${record.imdbId}:${season}:${episode} (absolute ${absoluteEpisode ?? 'unknown'})`);
+    return { imdbId: record.imdbId, season, episode, absoluteEpisode, isMovie: false };
+}
+
+export {
+    parseAnimeId,
+    isAnimeId,
+    absoluteToSeasonEpisode,
+    seasonEpisodeToAbsolute
+};
+
+export default { resolveAnimeId, isAnimeId };
@@ -21,7 +21,22 @@ export const {
   getDatabase,
   getCachedScraperResults,
   getCachedHashesForRelease,
-  cleanupHttpStreamsCache
+  cleanupHttpStreamsCache,
+  recordTempMagnets,
+  forgetTempMagnets,
+  getTempMagnets,
+  getTempMagnetSummary,
+  getScraperCircuits,
+  getScraperCircuit,
+  saveScraperCircuit,
+  recordScraperCircuitFailure,
+  claimScraperProbe,
+  deleteScraperCircuits,
+  getLibraryPins,
+  addLibraryPins,
+  removeLibraryPin,
+  saveKeyReference,
+  getKeyReference
 } = backend;
 
 export default backend;
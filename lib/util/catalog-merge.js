@@ -0,0 +1,54 @@
+// lib/util/catalog-merge.js
+// Merges torrent lists from several debrid services into one catalog. The same
+// torrent in two accounts becomes one entry that remembers every service holding it.
+
+/**
+ * @param {Object} torrent - Provider torrent (hash / InfoHash / infoHash)
+ * @returns {string|null} Lowercase info hash
+ */
+export function getInfoHash(torrent) {
+    const hash = torrent?.hash || torrent?.InfoHash || torrent?.infoHash;
+    return hash ? String(hash).toLowerCase() : null;
+}
+
+/**
+ * Concatenates per-service lists in service order and drops repeated info hashes.
+ * The first service keeps the entry; later ones are added to its `sources`.
+ * Torrents without a hash are never merged.
+ * @param {Array<Array<Object>>} lists - One torrent list per service, each item with a `source`
+ * @returns {Array<Object>} Merged torrents with `sources: string[]`
+ */
+export function mergeByInfoHash(lists) {
+    const merged = [];
+    const byHash = new Map();
+    lists.forEach(list => {
+        (list || []).forEach(torrent => {
+            const hash = getInfoHash(torrent);
+            const existing = hash ? byHash.get(hash) : null;
+            if (existing) {
+                if (!existing.sources.includes(torrent.source)) existing.sources.push(torrent.source);
+                return;
+            }
+            const entry = { ...torrent, sources: [torrent.source] };
+            if (hash) byHash.set(hash, entry);
+            merged.push(entry);
+        });
+    });
+    return merged;
+}
+
+/**
+ * Short provider badge from the stream name tags ("[RD+] Sootio" -> "RD").
+ * @param {string[]} sources - Services holding the torrent
+ * @param {Object<string, string>} nameMap - STREAM_NAME_MAP
+ * @returns {string} e.g. "[RD|TB]"
+ */
+export function formatProviderBadge(sources, nameMap = {}) {
+    const codes = sources.map(source => {
+        const tag = String(nameMap[source] || '').match(/^\[([A-Z]+)\+?\]/);
+        return tag ? tag[1] : String(source).toUpperCase();
+    });
+    return `[${codes.join('|')}]`;
+}
+
+export default { getInfoHash, mergeByInfoHash, formatProviderBadge };
@@ -0,0 +1,76 @@
+// lib/util/cluster-ipc.js
+// Request/response messages between cluster.js workers and the master, for the few
+// answers only the master has (merged metrics, live worker count). In standalone mode
+// there is no master and callers answer locally.
+
+import cluster from 'cluster';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const WORKER_STATUS_REQUEST = 'sootio:workers';
+let nextRequestId = 0;
+
+/**
+ * @returns {boolean} True in a cluster.js worker that can reach the master
+ */
+export function hasPrimary() {
+    return cluster.isWorker && typeof process.send === 'function';
+}
+
+/**
+ * Asks the master and waits for its answer.
+ * @param {string} type - Message type the master handles, see handleWorkerRequests()
+ * @param {number} [timeoutMs]
+ * @returns {Promise<*>} The handler's result; rejects with the handler's error or on timeout
+ */
+export function requestFromPrimary(type, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        const id = `${process.pid}:${++nextRequestId}`;
+        const onMessage = (message) => {
+            if (message?.type !== `${type}:response` || message.id !== id) return;
+            clearTimeout(timer);
+            process.off('message', onMessage);
+            if (message.error) reject(new Error(message.error));
+            else resolve(message.result);
+        };
+        const timer = setTimeout(() => {
+            process.off('message', onMessage);
+            reject(new Error(`${type} timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+        process.on('message', onMessage);
+        process.send({ type, id });
+    });
+}
+
+/**
+ * Master side of requestFromPrimary().
+ * @param {string} type
+ * @param {function(): Promise<*>|*} handler - Result must survive IPC serialization
+ */
+export function handleWorkerRequests(type, handler) {
+    cluster.on('message', (worker, message) => {
+        if (message?.type !== type) return;
+        Promise.resolve()
+            .then(() => handler())
+            .then(result => worker.send({ type: `${type}:response`, id: message.id, result }))
+            .catch(error => worker.send({ type: `${type}:response`, id: message.id, error: error.message }));
+    });
+}
+
+/**
+ * Master side of getWorkerStatus(), for the readiness check.
+ * @param {function(): number} getAliveCount - Running workers
+ * @param {number} expected - Workers cluster.js starts
+ */
+export function serveWorkerStatus(getAliveCount, expected) {
+    handleWorkerRequests(WORKER_STATUS_REQUEST, () => ({ alive: getAliveCount(), expected }));
+}
+
+/**
+ * @param {number} [timeoutMs]
+ * @returns {Promise<{alive: number, expected: number}>}
+ */
+export function getWorkerStatus(timeoutMs = DEFAULT_TIMEOUT_MS) {
+    return requestFromPrimary(WORKER_STATUS_REQUEST, timeoutMs);
+}
+
+export default { hasPrimary, requestFromPrimary, handleWorkerRequests, serveWorkerStatus, getWorkerStatus };
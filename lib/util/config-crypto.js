@@ -0,0 +1,111 @@
+// lib/util/config-crypto.js
+// Opt-in sealing of user configuration and API keys for addon URLs. A sealed value is
+// `sx1.<base64url(iv | tag | ciphertext)>`, encrypted with AES-256-GCM under a key derived
+// from CONFIG_ENCRYPTION_SECRET. The GCM tag doubles as the signature: a value that was
+// tampered with, sealed by another server or sealed for another purpose does not open.
+// A reference is `sr1.<base64url(HMAC-SHA256)>`, a short stand-in for a sealed value that is
+// stored server-side (see encodeResolveApiKey in lib/util/configuration.js).
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync, randomBytes } from 'crypto';
+
+export const SEALED_VALUE_PREFIX = 'sx1.';
+export const REFERENCE_PREFIX = 'sr1.';
+
+const CONFIG_ENCRYPTION_SECRET = process.env.CONFIG_ENCRYPTION_SECRET || '';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const REFERENCE_LENGTH = 16;
+
+let cachedKey = null;
+let cachedReferenceKey = null;
+
+function getKey() {
+    if (!CONFIG_ENCRYPTION_SECRET) {
+        throw new Error('CONFIG_ENCRYPTION_SECRET is not configured');
+    }
+    if (!cachedKey) {
+        cachedKey = Buffer.from(hkdfSync('sha256', CONFIG_ENCRYPTION_SECRET, 'sootio-config', 'aes-256-gcm', 32));
+    }
+    return cachedKey;
+}
+
+function getReferenceKey() {
+    if (!CONFIG_ENCRYPTION_SECRET) {
+        throw new Error('CONFIG_ENCRYPTION_SECRET is not configured');
+    }
+    if (!cachedReferenceKey) {
+        cachedReferenceKey = Buffer.from(hkdfSync('sha256', CONFIG_ENCRYPTION_SECRET, 'sootio-config', 'hmac-sha256-reference', 32));
+    }
+    return cachedReferenceKey;
+}
+
+/**
+ * @returns {boolean} True when the server can seal and open values
+ */
+export function isConfigEncryptionEnabled() {
+    return Boolean(CONFIG_ENCRYPTION_SECRET);
+}
+
+/**
+ * @param {*} value - Anything; only strings with the sealed prefix count
+ * @returns {boolean}
+ */
+export function isSealedValue(value) {
+    return typeof value === 'string' && value.startsWith(SEALED_VALUE_PREFIX);
+}
+
+/**
+ * @param {string} plaintext - Value to seal
+ * @param {string} purpose - What the value is for ("config", "key:realdebrid"); a value only opens for the same purpose
+ * @returns {string} Sealed, URL-safe value
+ */
+export function sealValue(plaintext, purpose) {
+    const iv = randomBytes(IV_LENGTH);
+    const cipher = createCipheriv('aes-256-gcm', getKey(), iv);
+    cipher.setAAD(Buffer.from(String(purpose)));
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return SEALED_VALUE_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+/**
+ * @param {string} sealed - Value from sealValue
+ * @param {string} purpose - Purpose it was sealed for
+ * @returns {string} Plaintext; throws when the value is malformed, tampered with or for another purpose
+ */
+export function openValue(sealed, purpose) {
+    if (!isSealedValue(sealed)) throw new Error('Not a sealed value');
+    const raw = Buffer.from(sealed.slice(SEALED_VALUE_PREFIX.length), 'base64url');
+    if (raw.length < IV_LENGTH + TAG_LENGTH) throw new Error('Sealed value is too short');
+
+    const decipher = createDecipheriv('aes-256-gcm', getKey(), raw.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(String(purpose)));
+    decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    try {
+        return Buffer.concat([decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+    } catch (_) {
+        throw new Error('Sealed value failed verification');
+    }
+}
+
+/**
+ * @param {*} value - Anything; only strings with the reference prefix count
+ * @returns {boolean}
+ */
+export function isReference(value) {
+    return typeof value === 'string' && value.startsWith(REFERENCE_PREFIX);
+}
+
+/**
+ * @param {string} plaintext - Value the reference stands for
+ * @param {string} purpose - What the value is for, as in sealValue
+ * @returns {string} Short, URL-safe reference; the same for the same value and purpose, and
+ *   impossible to compute or guess without the server secret
+ */
+export function referenceFor(plaintext, purpose) {
+    const digest = createHmac('sha256', getReferenceKey())
+        .update(`${purpose}\n${plaintext}`)
+        .digest()
+        .subarray(0, REFERENCE_LENGTH);
+    return REFERENCE_PREFIX + digest.toString('base64url');
+}
+
+export default { SEALED_VALUE_PREFIX, REFERENCE_PREFIX, isConfigEncryptionEnabled, isSealedValue, sealValue, openValue, isReference, referenceFor };
@@ -70,6 +70,18 @@ export function sanitizeConfig(rawConfig, logPrefix = 'CONFIG') {
     config.fileServerPassword = sanitizeField(config.fileServerPassword, 'fileServerPassword');
   }
 
+  if ('TraktAccessToken' in config) {
+    config.TraktAccessToken = sanitizeField(config.TraktAccessToken, 'TraktAccessToken');
+  }
+
+  if ('TraktRefreshToken' in config) {
+    config.TraktRefreshToken = sanitizeField(config.TraktRefreshToken, 'TraktRefreshToken');
+  }
+
+  if ('SimklAccessToken' in config) {
+    config.SimklAccessToken = sanitizeField(config.SimklAccessToken, 'SimklAccessToken');
+  }
+
   if (Array.isArray(config.DebridServices)) {
     config.DebridServices = config.DebridServices.map((service, index) => {
       if (!service || typeof service !== 'object') return service;
@@ -79,6 +91,10 @@ export function sanitizeConfig(rawConfig, logPrefix = 'CONFIG') {
         next.apiKey = sanitizeField(next.apiKey, `DebridServices[${index}].apiKey`);
       }
 
+      if (Array.isArray(next.apiKeys)) {
+        next.apiKeys = next.apiKeys.map((key, keyIndex) => sanitizeField(key, `DebridServices[${index}].apiKeys[${keyIndex}]`));
+      }
+
       if ('newznabApiKey' in next) {
         next.newznabApiKey = sanitizeField(next.newznabApiKey, `DebridServices[${index}].newznabApiKey`);
       }
@@ -1,4 +1,119 @@
+import { isConfigEncryptionEnabled, isReference, isSealedValue, openValue, referenceFor, sealValue } from './config-crypto.js'
+import * as cacheStore from './cache-store.js'
 
+// Keys the server adds to a parsed configuration for the current request only.
+// `sealed` marks a configuration that arrived encrypted, so links built from it stay encrypted.
+const RUNTIME_CONFIG_KEYS = ['host', 'clientIp', 'sealed']
+
+function shouldSeal(config) {
+    return Boolean(config?.sealed) && isConfigEncryptionEnabled()
+}
+
+// Accepts both the legacy JSON segment and a sealed (encrypted) one
 export function parseConfiguration(configuration = '{}') {
+    if (isSealedValue(configuration)) {
+        return { ...JSON.parse(openValue(configuration, 'config')), sealed: true }
+    }
     return JSON.parse(configuration)
 }
+
+// Inverse of parseConfiguration, for building links back into the addon
+export function serializeConfiguration(config = {}) {
+    const userConfig = { ...config }
+    RUNTIME_CONFIG_KEYS.forEach(key => delete userConfig[key])
+    if (shouldSeal(config)) {
+        return encodeURIComponent(sealValue(JSON.stringify(userConfig), 'config'))
+    }
+    return encodeURIComponent(JSON.stringify(userConfig))
+}
+
+/**
+ * Seals a configuration for the configure page's "encrypt" option.
+ * @returns {string} Sealed configuration segment
+ */
+export function sealConfiguration(config = {}) {
+    if (!isConfigEncryptionEnabled()) throw new Error('Config encryption is not enabled on this server')
+    const userConfig = { ...config }
+    RUNTIME_CONFIG_KEYS.forEach(key => delete userConfig[key])
+    return sealValue(JSON.stringify(userConfig), 'config')
+}
+
+// Several keys for one service travel as one segment (see lib/util/key-pool.js)
+const KEY_POOL_PREFIX = 'kp1.'
+// A stored reference is written again after this long, in case the row was lost
+const KEY_REFERENCE_RESAVE_MS = 24 * 60 * 60 * 1000
+const MAX_KEY_REFERENCES = 10000
+
+// reference -> { sealedKey, savedAt }: references this worker handed out. It answers before
+// the cache DB write lands, and keeps a key from being written on every stream list.
+const keyReferences = new Map()
+
+function rememberKeyReference(ref, sealedKey) {
+    const known = keyReferences.get(ref)
+    if (known && Date.now() - known.savedAt < KEY_REFERENCE_RESAVE_MS) return
+    keyReferences.delete(ref)
+    if (keyReferences.size >= MAX_KEY_REFERENCES) keyReferences.delete(keyReferences.keys().next().value)
+    keyReferences.set(ref, { sealedKey, savedAt: Date.now() })
+    cacheStore.saveKeyReference(ref, sealedKey).then(saved => {
+        // Try again with the next stream list
+        if (!saved) keyReferences.set(ref, { sealedKey, savedAt: 0 })
+    })
+}
+
+/**
+ * API key segment for a /resolve link. Sealed configurations keep the key out of stream URLs:
+ * with the cache DB the segment is a short reference (see referenceFor) to the sealed key stored
+ * there, so every cluster worker can resolve it; without a shared store to look it up in, the
+ * segment is the sealed key itself.
+ * @param {string|Array<string>} apiKey - One key, or a service's keys with the preferred one first
+ * @returns {string} URL-encoded key segment
+ */
+export function encodeResolveApiKey(config, provider, apiKey = '') {
+    const value = Array.isArray(apiKey)
+        ? (apiKey.length > 1 ? KEY_POOL_PREFIX + Buffer.from(JSON.stringify(apiKey)).toString('base64url') : apiKey[0] || '')
+        : apiKey
+    if (shouldSeal(config) && value) {
+        const purpose = `key:${String(provider).toLowerCase()}`
+        const sealedKey = sealValue(value, purpose)
+        if (!cacheStore.isEnabled()) return encodeURIComponent(sealedKey)
+        const ref = referenceFor(value, purpose)
+        rememberKeyReference(ref, sealedKey)
+        return encodeURIComponent(ref)
+    }
+    return encodeURIComponent(value)
+}
+
+// Inverse of encodeResolveApiKey for the /resolve routes; legacy plain keys pass through.
+// A key pool comes back as an array of keys.
+export function decodeResolveApiKey(provider, apiKeySegment) {
+    const value = isSealedValue(apiKeySegment)
+        ? openValue(apiKeySegment, `key:${String(provider).toLowerCase()}`)
+        : apiKeySegment
+    if (typeof value === 'string' && value.startsWith(KEY_POOL_PREFIX)) {
+        const keys = JSON.parse(Buffer.from(value.slice(KEY_POOL_PREFIX.length), 'base64url').toString('utf-8'))
+        if (!Array.isArray(keys) || !keys.every(key => typeof key === 'string')) throw new Error('Invalid key pool')
+        return keys
+    }
+    return value
+}
+
+/**
+ * decodeResolveApiKey for segments that may be a key reference, which are looked up first.
+ * @returns {Promise<string|Array<string>>} Throws when the reference or sealed key is unknown or invalid
+ */
+export async function openResolveApiKey(provider, apiKeySegment) {
+    if (!isReference(apiKeySegment)) return decodeResolveApiKey(provider, apiKeySegment)
+    const sealedKey = keyReferences.get(apiKeySegment)?.sealedKey || await cacheStore.getKeyReference(apiKeySegment)
+    if (!sealedKey) throw new Error('Unknown key reference')
+    return decodeResolveApiKey(provider, sealedKey)
+}
+
+/**
+ * Value for a `?config=` query parameter, sealed when the user's configuration is.
+ * @returns {string} URL-encoded parameter value
+ */
+export function encodeConfigParam(config, data = {}) {
+    return shouldSeal(config)
+        ? encodeURIComponent(sealValue(JSON.stringify(data), 'config'))
+        : encodeURIComponent(JSON.stringify(data))
+}
@@ -0,0 +1,123 @@
+// lib/util/debrid-link-api.js
+// Minimal Debrid-Link v2 API client for cached-torrent search and resolve: the seedbox
+// cache check and adding magnets, plus account info for expiry warnings.
+import { isVideo } from './extension-util.js';
+
+const DEBRID_LINK_API_URL = process.env.DEBRID_LINK_API_URL || 'https://debrid-link.com/api/v2';
+const DEBRID_LINK_TIMEOUT_MS = parseInt(process.env.DEBRID_LINK_TIMEOUT_MS || '15000', 10);
+// Hashes per /seedbox/cached call; the hash list travels in the query string
+const CACHE_CHECK_BATCH_SIZE = 50;
+// /seedbox/list pages hold at most 50 torrents; hash lookups stop after this many pages
+const SEEDBOX_PAGE_SIZE = 50;
+const SEEDBOX_MAX_PAGES = parseInt(process.env.DEBRID_LINK_SEEDBOX_MAX_PAGES || '10', 10);
+
+async function debridLinkRequest(baseUrl, path, { method = 'GET', apiKey, body, timeoutMs = DEBRID_LINK_TIMEOUT_MS } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        });
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : null;
+        if (!response.ok || data?.success === false) {
+            // Debrid-Link reports failures as { success: false, error: 'badToken' | 'notDebrid' | ... }
+            const error = new Error(`Debrid-Link ${path.split('?')[0]} failed: ${data?.error || `HTTP ${response.status}`}`);
+            error.code = data?.error || null;
+            error.status = response.status;
+            throw error;
+        }
+        return data?.value;
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`Debrid-Link request timed out after ${timeoutMs}ms`);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.apiKey - User's Debrid-Link API key
+ * @param {string} [options.baseUrl] - API root (tests point this at a mock server)
+ */
+export function createDebridLinkClient({ apiKey, baseUrl = DEBRID_LINK_API_URL } = {}) {
+    return {
+        /**
+         * Instant-availability check. Only torrents with at least one video file count as cached.
+         * @param {Array<string>} hashes - Info hashes
+         * @returns {Promise<Map<string, {name: string, files: Array<{name: string, size: number}>}>>} Cached hashes (lowercase) and their files
+         */
+        async getCachedFiles(hashes) {
+            const cached = new Map();
+            const lower = [...new Set((hashes || []).map(hash => String(hash).toLowerCase()).filter(Boolean))];
+            for (let i = 0; i < lower.length; i += CACHE_CHECK_BATCH_SIZE) {
+                const batch = lower.slice(i, i + CACHE_CHECK_BATCH_SIZE);
+                const value = await debridLinkRequest(baseUrl, `/seedbox/cached?url=${batch.join(',')}`, { apiKey });
+                Object.entries(value || {}).forEach(([hash, torrent]) => {
+                    const files = Array.isArray(torrent?.files) ? torrent.files : [];
+                    if (!files.some(file => isVideo(file.name))) return;
+                    cached.set(hash.toLowerCase(), { name: torrent.name || '', files });
+                });
+            }
+            return cached;
+        },
+
+        /**
+         * Adds a magnet or torrent URL to the seedbox. Cached torrents come back complete,
+         * with a download URL per file.
+         * @param {string} url - Magnet link or info hash
+         * @returns {Promise<Object>} Seedbox torrent
+         */
+        async addTorrent(url) {
+            return debridLinkRequest(baseUrl, '/seedbox/add', { method: 'POST', apiKey, body: { url, wait: true, async: true } });
+        },
+
+        /**
+         * @param {Array<string>} [ids] - Seedbox torrent IDs; all torrents when omitted
+         * @returns {Promise<Array<Object>>} Seedbox torrents
+         */
+        async listSeedbox(ids = []) {
+            const query = ids.length ? `?ids=${ids.join(',')}` : '';
+            return (await debridLinkRequest(baseUrl, `/seedbox/list${query}`, { apiKey })) || [];
+        },
+
+        /**
+         * Looks for a seedbox torrent with this info hash, so resolves reuse it instead of adding it again.
+         * @param {string} hash - Info hash
+         * @returns {Promise<Object|null>} Seedbox torrent
+         */
+        async findTorrent(hash) {
+            const wanted = String(hash || '').toLowerCase();
+            if (!wanted) return null;
+            for (let page = 0; page < SEEDBOX_MAX_PAGES; page++) {
+                const torrents = (await debridLinkRequest(baseUrl, `/seedbox/list?page=${page}&perPage=${SEEDBOX_PAGE_SIZE}`, { apiKey })) || [];
+                const match = torrents.find(torrent => String(torrent.hashString || '').toLowerCase() === wanted);
+                if (match) return match;
+                if (torrents.length < SEEDBOX_PAGE_SIZE) break;
+            }
+            return null;
+        },
+
+        /**
+         * @param {Array<string>} ids - Seedbox torrent IDs
+         * @returns {Promise<Array<string>>} IDs of the removed torrents
+         */
+        async removeTorrents(ids) {
+            if (!ids || ids.length === 0) return [];
+            return (await debridLinkRequest(baseUrl, `/seedbox/${ids.join(',')}/remove`, { method: 'DELETE', apiKey })) || [];
+        },
+
+        /**
+         * @returns {Promise<Object>} Account info: accountType (0 free, 1 premium, 2 lifetime), premiumLeft in seconds
+         */
+        async getAccountInfo() {
+            return (await debridLinkRequest(baseUrl, '/account/infos', { apiKey })) || {};
+        }
+    };
+}
+
+export default { createDebridLinkClient };
@@ -83,6 +83,22 @@ function hasEpisodeMarker(torrentName, season, episode) {
     return patterns.some(p => p.test(torrentName));
 }
 
+// Matches absolute-numbered fansub releases like "[SubsPlease] One Piece - 1071 (1080p)"
+function hasAbsoluteEpisodeMarker(torrentName, absoluteEpisode) {
+    if (!torrentName || !absoluteEpisode) return false;
+
+    const abs = Number(absoluteEpisode);
+    if (!Number.isFinite(abs) || abs < 1) return false;
+
+    const patterns = [
+        new RegExp(`(?:^|[\\s_.])-[\\s_.]*0*${abs}(?:v\\d)?(?=[\\s_.\\])\\[(]|$)`, 'i'),
+        new RegExp(`(?:^|[^a-z0-9])(?:ep(?:isode)?|e|#)[\\s_.]*0*${abs}(?:v\\d)?(?![0-9])`, 'i'),
+        new RegExp(`\\[0*${abs}(?:v\\d)?\\]`, 'i'),
+    ];
+
+    return patterns.some(p => p.test(torrentName));
+}
+
 function filterSeason(torrent, season, cinemetaDetails) {
   const s = Number(season);
   if (torrent?.info?.season != null && Number(torrent.info.season) === s) return true;
@@ -104,7 +120,7 @@ function isSeasonPack(torrentName, season) {
     return (seasonPattern.test(normalizedTorrentName) || sPattern.test(normalizedTorrentName)) && !/[eE]\d{2}/.test(normalizedTorrentName);
 }
 
-function filterEpisode(torrentDetails, season, episode, cinemetaDetails) {
+function filterEpisode(torrentDetails, season, episode, cinemetaDetails, absoluteEpisode = null) {
     if (!matchesSeriesTitle(torrentDetails, cinemetaDetails.name)) {
         return false;
     }
@@ -148,6 +164,7 @@ function filterEpisode(torrentDetails, season, episode, cinemetaDetails) {
     }
     for (const c of candidates) {
         if (c && hasEpisodeMarker(c, season, episode)) return true;
+        if (c && absoluteEpisode && hasAbsoluteEpisodeMarker(c, absoluteEpisode)) return true;
     }
 
     return false;
@@ -163,6 +180,7 @@ export {
     titleMatches,
     matchesSeriesTitle,
     hasEpisodeMarker,
+    hasAbsoluteEpisodeMarker,
     filterSeason,
     filterEpisode,
     filterYear
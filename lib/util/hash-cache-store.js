@@ -4,6 +4,14 @@ import * as sqliteHashCache from './sqlite-hash-cache.js';
 
 const backend = config.CACHE_BACKEND === 'postgres' ? postgresHashCache : sqliteHashCache;
 
-export const { checkHashesCached, upsertHashes, closeConnection, initCleanup, isEnabled } = backend;
+export const {
+  checkHashesCached,
+  upsertHashes,
+  recordHashConfirmations,
+  getHashConfirmations,
+  closeConnection,
+  initCleanup,
+  isEnabled
+} = backend;
 
 export default backend;
@@ -0,0 +1,172 @@
+// lib/util/hash-confidence.js
+// Shared, cross-user index of what debrid services answered about info hashes. Every
+// availability check records the answer per account; a hash that several accounts found
+// cached recently is trusted without asking the service again, one that was just found
+// uncached is not re-checked until the negative entry expires, and trusted hits that are
+// getting old are re-verified in the background. Needs the cache DB (SQLITE_CACHE_ENABLED).
+
+import * as config from '../config.js';
+import * as hashCacheStore from './hash-cache-store.js';
+import { getAccountKey } from './library-pins.js';
+
+// Distinct accounts that must have found a hash cached before it is trusted
+const HASH_CONFIDENCE_MIN_ACCOUNTS = parseInt(process.env.HASH_CONFIDENCE_MIN_ACCOUNTS || '2', 10);
+// Trusted hits older than this are still served, but re-verified in the background
+const HASH_CONFIDENCE_FRESH_MS = parseInt(process.env.HASH_CONFIDENCE_FRESH_MS || String(6 * 60 * 60 * 1000), 10);
+// Hits older than this are checked with the service again before being served
+const HASH_CONFIDENCE_STALE_MS = parseInt(process.env.HASH_CONFIDENCE_STALE_MS || String(3 * 24 * 60 * 60 * 1000), 10);
+const HASH_NEGATIVE_TTL_MS = parseInt(process.env.HASH_NEGATIVE_TTL_MS || String(60 * 60 * 1000), 10);
+const MAX_BACKGROUND_CHECKS = 2;
+
+let backgroundChecks = 0;
+
+export function isConfidenceEnabled() {
+    return Boolean(config.SQLITE_CACHE_ENABLED) && hashCacheStore.isEnabled();
+}
+
+/**
+ * @param {{confirmations: number, lastCachedAt: number|null, lastUncachedAt: number|null}|null} record
+ * @param {number} [now]
+ * @returns {'high'|'stale'|'negative'|'unknown'}
+ */
+export function classifyConfidence(record, now = Date.now()) {
+    if (!record) return 'unknown';
+    const { confirmations = 0, lastCachedAt = null, lastUncachedAt = null } = record;
+
+    // The newest answer wins: a hash that just vanished from one account is not trusted
+    if (lastUncachedAt && (!lastCachedAt || lastUncachedAt > lastCachedAt)) {
+        return now - lastUncachedAt < HASH_NEGATIVE_TTL_MS ? 'negative' : 'unknown';
+    }
+    if (!lastCachedAt || confirmations < HASH_CONFIDENCE_MIN_ACCOUNTS) return 'unknown';
+
+    const age = now - lastCachedAt;
+    if (age < HASH_CONFIDENCE_FRESH_MS) return 'high';
+    if (age < HASH_CONFIDENCE_STALE_MS) return 'stale';
+    return 'unknown';
+}
+
+/**
+ * @param {string} service - e.g. "realdebrid"
+ * @param {Array<string>} hashes
+ * @returns {Promise<Map<string, string>>} Lowercase hash -> classifyConfidence() level
+ */
+export async function getHashConfidence(service, hashes) {
+    const levels = new Map();
+    const list = (hashes || []).filter(Boolean).map(hash => String(hash).toLowerCase());
+    if (!isConfidenceEnabled() || list.length === 0) return levels;
+
+    const now = Date.now();
+    const since = now - Math.max(HASH_CONFIDENCE_STALE_MS, HASH_NEGATIVE_TTL_MS);
+    try {
+        const records = await hashCacheStore.getHashConfirmations(service, list, since);
+        for (const record of records) {
+            levels.set(String(record.hash).toLowerCase(), classifyConfidence(record, now));
+        }
+    } catch (error) {
+        console.error(`[HASH-CONFIDENCE] ${service} lookup failed: ${error.message}`);
+    }
+    return levels;
+}
+
+/**
+ * Records the answer of one availability check. Only pass hashes the service actually
+ * answered for; hashes missing from cachedHashes are recorded as uncached.
+ * @param {string} service
+ * @param {string} apiKey
+ * @param {Array<string>} checkedHashes
+ * @param {Set<string>|Array<string>} cachedHashes
+ */
+export function recordHashAvailability(service, apiKey, checkedHashes, cachedHashes) {
+    if (!apiKey || !isConfidenceEnabled() || !checkedHashes?.length) return;
+    const cached = new Set(Array.from(cachedHashes || []).map(hash => String(hash).toLowerCase()));
+    const statuses = checkedHashes.filter(Boolean).map(hash => {
+        const lower = String(hash).toLowerCase();
+        return { hash: lower, cached: cached.has(lower) };
+    });
+    hashCacheStore.recordHashConfirmations(service, getAccountKey(service, apiKey), statuses)
+        .catch(error => console.error(`[HASH-CONFIDENCE] ${service} record failed: ${error.message}`));
+}
+
+function reverifyInBackground(service, apiKey, hashes, check) {
+    if (hashes.length === 0 || backgroundChecks >= MAX_BACKGROUND_CHECKS) return;
+    backgroundChecks++;
+    Promise.resolve()
+        .then(() => check(hashes))
+        .then(cached => recordHashAvailability(service, apiKey, hashes, cached))
+        .catch(error => console.error(`[HASH-CONFIDENCE] ${service} background re-check failed: ${error.message}`))
+        .finally(() => { backgroundChecks--; });
+}
+
+/**
+ * Runs a batch availability check only for the hashes the shared index cannot answer.
+ * @param {string} service
+ * @param {string} apiKey
+ * @param {Array<string>} hashes
+ * @param {function(Array<string>): Promise<Set<string>|Array<string>>} check - Returns the cached hashes; must throw when the service gave no answer
+ * @param {Object} [options]
+ * @param {boolean} [options.trustCached=true] - False when the caller needs the check's own data for cached hits (e.g. file lists)
+ * @returns {Promise<{cached: Set<string>, checked: Array<string>}>} Lowercase cached hashes, and the hashes check() was called with
+ */
+export async function checkWithConfidence(service, apiKey, hashes, check, { trustCached = true } = {}) {
+    const list = [...new Set((hashes || []).filter(Boolean).map(hash => String(hash).toLowerCase()))];
+    const levels = await getHashConfidence(service, list);
+
+    const cached = new Set();
+    const stale = [];
+    const remaining = [];
+    for (const hash of list) {
+        const level = levels.get(hash) || 'unknown';
+        if (level === 'negative') continue;
+        if (trustCached && (level === 'high' || level === 'stale')) {
+            cached.add(hash);
+            if (level === 'stale') stale.push(hash);
+            continue;
+        }
+        remaining.push(hash);
+    }
+
+    const skipped = list.length - remaining.length;
+    if (skipped > 0) {
+        console.log(`[HASH-CONFIDENCE] ${service}: ${cached.size} trusted and ${skipped - cached.size} known-uncached of ${list.length} hashes answered from the shared index`);
+    }
+    reverifyInBackground(service, apiKey, stale, check);
+
+    if (remaining.length > 0) {
+        const result = await check(remaining);
+        const found = Array.from(result || []).map(hash => String(hash).toLowerCase());
+        found.forEach(hash => cached.add(hash));
+        recordHashAvailability(service, apiKey, remaining, found);
+    }
+    return { cached, checked: remaining };
+}
+
+/**
+ * Wraps a single-hash live check (add magnet, inspect, delete). The live check resolves
+ * true or false for a definitive answer and null when it could not tell.
+ * @param {string} service
+ * @param {string} apiKey
+ * @param {string} hash
+ * @param {function(): Promise<boolean|null>} liveCheck
+ * @returns {Promise<boolean|null>}
+ */
+export async function withLiveConfidence(service, apiKey, hash, liveCheck) {
+    const lower = String(hash || '').toLowerCase();
+    const level = lower ? (await getHashConfidence(service, [lower])).get(lower) : undefined;
+    if (level === 'negative') return false;
+    if (level === 'high') return true;
+
+    const result = await liveCheck();
+    if (result === true || result === false) {
+        recordHashAvailability(service, apiKey, [lower], result ? [lower] : []);
+    }
+    return result;
+}
+
+export default {
+    isConfidenceEnabled,
+    classifyConfidence,
+    getHashConfidence,
+    recordHashAvailability,
+    checkWithConfidence,
+    withLiveConfidence
+};
@@ -0,0 +1,113 @@
+// lib/util/health.js
+// Liveness and readiness for GET /health and GET /ready (k8s probes). Liveness only says
+// the event loop answers. Readiness checks what a request depends on and reports each check
+// as ok, warn, fail or skipped: a failing check takes the pod out of the load balancer,
+// a warning (FlareSolverr circuit open, dead proxy pool, a worker restarting, memory over
+// MEMORY_RSS_THRESHOLD or MEMORY_HEAP_THRESHOLD) only marks it degraded, since requests
+// still succeed without those. Memory never fails readiness: the thresholds are not tied to
+// the pod's memory limit, which the kubelet enforces on its own.
+
+import * as config from '../config.js';
+import * as cacheStore from './cache-store.js';
+import flaresolverrManager from './flaresolverr-manager.js';
+import { memoryMonitor } from './memory-monitor.js';
+import { hasPrimary, getWorkerStatus } from './cluster-ipc.js';
+
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '2000', 10);
+
+function withCheckTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${HEALTH_CHECK_TIMEOUT_MS}ms`)), HEALTH_CHECK_TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkCacheDatabase() {
+    if (!cacheStore.isEnabled()) return { status: 'skipped', reason: 'cache disabled' };
+    const backend = config.CACHE_BACKEND === 'postgres' ? 'postgres' : 'sqlite';
+    const startedAt = Date.now();
+    const db = await cacheStore.getDatabase();
+    if (!db) return { status: 'fail', backend, error: 'no connection' };
+    // pg pool for Postgres, better-sqlite3 for SQLite
+    if (typeof db.query === 'function') await db.query('SELECT 1');
+    else db.prepare('SELECT 1').get();
+    return { status: 'ok', backend, latencyMs: Date.now() - startedAt };
+}
+
+function checkFlareSolverr() {
+    if (!config.FLARESOLVERR_URL) return { status: 'skipped', reason: 'not configured' };
+    const { activeCalls, queueDepth, circuitOpen } = flaresolverrManager.getStatus();
+    return { status: circuitOpen ? 'warn' : 'ok', circuitOpen, activeCalls, queueDepth };
+}
+
+async function checkProxyPool() {
+    // Loaded by the scrapers that use it; importing it here would start its cleanup timer
+    const { default: proxyManager } = await import('./proxy-manager.js');
+    const stats = proxyManager.getStats();
+    if (!proxyManager.lastFetch) return { status: 'skipped', reason: 'not in use' };
+    return { status: stats.workingProxies > 0 ? 'ok' : 'warn', ...stats };
+}
+
+function checkMemory() {
+    const usage = memoryMonitor.getMemoryUsage();
+    const rssHeadroom = memoryMonitor.maxRssThreshold - usage.rss.bytes;
+    const heapHeadroom = memoryMonitor.maxHeapThreshold - usage.heap.used.bytes;
+    return {
+        status: usage.rss.isExceeded || usage.heap.used.isExceeded ? 'warn' : 'ok',
+        rssBytes: usage.rss.bytes,
+        rssHeadroomBytes: rssHeadroom,
+        heapUsedBytes: usage.heap.used.bytes,
+        heapHeadroomBytes: heapHeadroom
+    };
+}
+
+async function checkWorkers() {
+    if (!hasPrimary()) return { status: 'ok', mode: 'standalone' };
+    const { alive, expected } = await getWorkerStatus(HEALTH_CHECK_TIMEOUT_MS);
+    return { status: alive >= expected ? 'ok' : 'warn', mode: 'cluster', alive, expected };
+}
+
+/**
+ * @param {Object<string, {status: string}>} checks
+ * @returns {'ready'|'degraded'|'not_ready'}
+ */
+export function summarizeChecks(checks) {
+    const statuses = Object.values(checks).map(check => check.status);
+    if (statuses.includes('fail')) return 'not_ready';
+    if (statuses.includes('warn')) return 'degraded';
+    return 'ready';
+}
+
+/**
+ * @returns {{status: 'ok', pid: number, uptimeSeconds: number}}
+ */
+export function getLiveness() {
+    return { status: 'ok', pid: process.pid, uptimeSeconds: Math.round(process.uptime()) };
+}
+
+/**
+ * Runs every readiness check in parallel; a check that throws or takes longer than
+ * HEALTH_CHECK_TIMEOUT_MS fails.
+ * @returns {Promise<{status: string, checks: Object<string, Object>}>}
+ */
+export async function getReadiness() {
+    const probes = {
+        cacheDatabase: checkCacheDatabase,
+        flaresolverr: checkFlareSolverr,
+        proxyPool: checkProxyPool,
+        memory: checkMemory,
+        workers: checkWorkers
+    };
+    const entries = await Promise.all(Object.entries(probes).map(async ([name, probe]) => {
+        try {
+            return [name, await withCheckTimeout(Promise.resolve().then(probe))];
+        } catch (error) {
+            return [name, { status: 'fail', error: error.message }];
+        }
+    }));
+    const checks = Object.fromEntries(entries);
+    return { status: summarizeChecks(checks), checks };
+}
+
+export default { getLiveness, getReadiness, summarizeChecks };
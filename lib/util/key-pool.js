@@ -0,0 +1,202 @@
+// lib/util/key-pool.js
+// Several API keys for one debrid service (e.g. two Real-Debrid accounts in a household).
+// A key that answers 429/503 cools down and the request moves on to the next key; the
+// cooldown is per key, shared by searches, resolves and the per-key rate limiters.
+
+import { createHash } from 'crypto';
+
+export const KEY_STRATEGIES = ['failover', 'round-robin'];
+
+const KEY_COOLDOWN_MS = parseInt(process.env.DEBRID_KEY_COOLDOWN_MS || '60000', 10);
+const KEY_MAX_COOLDOWN_MS = parseInt(process.env.DEBRID_KEY_MAX_COOLDOWN_MS || '900000', 10);
+const FAILOVER_STATUSES = new Set([429, 503]);
+// One entry per round-robin pool; the least recently used go first
+const MAX_TRACKED_ROTATIONS = 10000;
+
+// `${provider}:${keyHash}` -> { limitedUntil, strikes }
+const keyStates = new Map();
+// `${provider}:${poolHash}` -> next start index for round-robin
+const rotations = new Map();
+
+function hashKey(apiKey) {
+    return createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16);
+}
+
+function stateKey(provider, apiKey) {
+    return `${String(provider).toLowerCase()}:${hashKey(apiKey)}`;
+}
+
+/**
+ * Every key configured for one service: `apiKey` first, then `apiKeys`, without repeats.
+ * @param {Object} service - DebridServices entry
+ * @returns {Array<string>}
+ */
+export function getServiceKeys(service = {}) {
+    const keys = [service.apiKey, ...(Array.isArray(service.apiKeys) ? service.apiKeys : [])]
+        .map(key => (typeof key === 'string' ? key.trim() : ''))
+        .filter(Boolean);
+    return [...new Set(keys)];
+}
+
+/**
+ * Folds repeated entries for the same provider into the first one, which keeps its
+ * position and settings and gains the other entries' keys as `apiKeys`.
+ * @param {Array<Object>} services - DebridServices
+ * @returns {Array<Object>}
+ */
+export function mergeServiceKeys(services) {
+    if (!Array.isArray(services)) return services;
+    const merged = [];
+    const byProvider = new Map();
+    for (const service of services) {
+        const provider = String(service?.provider || '').toLowerCase();
+        const first = provider && service.apiKey ? byProvider.get(provider) : null;
+        if (!first) {
+            const entry = { ...service };
+            if (provider && service?.apiKey) byProvider.set(provider, entry);
+            merged.push(entry);
+            continue;
+        }
+        first.apiKeys = getServiceKeys({ apiKey: first.apiKey, apiKeys: [...(first.apiKeys || []), ...getServiceKeys(service)] }).slice(1);
+        if (!first.keyStrategy && service.keyStrategy) first.keyStrategy = service.keyStrategy;
+    }
+    return merged;
+}
+
+function getErrorStatus(error) {
+    const status = error?.response?.status || error?.status || error?.statusCode;
+    if (status) return Number(status);
+    const message = String(error?.message || '');
+    if (/\b429\b|too many requests/i.test(message)) return 429;
+    if (/\b503\b|service unavailable/i.test(message)) return 503;
+    return null;
+}
+
+// Retry-After from the provider's response, in ms
+function getRetryAfterMs(error) {
+    const headers = error?.response?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * @returns {boolean} True for errors that should move the request to another key (429/503)
+ */
+export function isKeyFailoverError(error) {
+    return FAILOVER_STATUSES.has(getErrorStatus(error));
+}
+
+/**
+ * Puts a key on cooldown. Repeated strikes double the cooldown up to DEBRID_KEY_MAX_COOLDOWN_MS.
+ * @param {string} provider
+ * @param {string} apiKey
+ * @param {number} [retryAfterMs] - Cooldown requested by the provider
+ */
+export function markKeyRateLimited(provider, apiKey, retryAfterMs = null) {
+    if (!apiKey) return;
+    const key = stateKey(provider, apiKey);
+    const strikes = (keyStates.get(key)?.strikes || 0) + 1;
+    const cooldownMs = retryAfterMs || Math.min(KEY_COOLDOWN_MS * 2 ** (strikes - 1), KEY_MAX_COOLDOWN_MS);
+    keyStates.set(key, { limitedUntil: Date.now() + cooldownMs, strikes });
+    console.log(`[KEY-POOL] ${provider} key ${hashKey(apiKey).slice(0, 8)} rate limited for ${Math.round(cooldownMs / 1000)}s`);
+}
+
+// Clears a key's strikes once its cooldown is over and it answers again
+export function markKeyHealthy(provider, apiKey) {
+    if (!apiKey || isKeyRateLimited(provider, apiKey)) return;
+    keyStates.delete(stateKey(provider, apiKey));
+}
+
+export function isKeyRateLimited(provider, apiKey) {
+    const state = keyStates.get(stateKey(provider, apiKey));
+    return Boolean(state && state.limitedUntil > Date.now());
+}
+
+/**
+ * Order to try keys in: keys not on cooldown first (config order for "failover", rotating for
+ * "round-robin"), then keys on cooldown, soonest available first.
+ * @returns {Array<string>}
+ */
+export function orderKeys(provider, keys, strategy = 'failover') {
+    if (!Array.isArray(keys) || keys.length <= 1) return keys || [];
+    let ordered = keys;
+    if (strategy === 'round-robin') {
+        const rotationKey = `${String(provider).toLowerCase()}:${hashKey(keys.join('\n'))}`;
+        const start = (rotations.get(rotationKey) || 0) % keys.length;
+        rotations.delete(rotationKey);
+        if (rotations.size >= MAX_TRACKED_ROTATIONS) rotations.delete(rotations.keys().next().value);
+        rotations.set(rotationKey, start + 1);
+        ordered = [...keys.slice(start), ...keys.slice(0, start)];
+    }
+    const limitedUntil = key => keyStates.get(stateKey(provider, key))?.limitedUntil || 0;
+    const now = Date.now();
+    const available = ordered.filter(key => limitedUntil(key) <= now);
+    const limited = ordered.filter(key => limitedUntil(key) > now).sort((a, b) => limitedUntil(a) - limitedUntil(b));
+    return [...available, ...limited];
+}
+
+/**
+ * Runs `fn` with the best key, moving to the next key when the call fails with 429/503, or
+ * comes back empty after the key was put on cooldown during the call (providers that swallow
+ * errors still report rate limits through their limiter).
+ * @param {string} provider
+ * @param {Array<string>} keys
+ * @param {function(string, Array<string>): Promise<*>} fn - Called with the key and the keys ordered with it first
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - "failover" (default) or "round-robin"
+ * @returns {Promise<*>} Result of the first key that answered
+ */
+export async function withKeyFailover(provider, keys, fn, { strategy = 'failover' } = {}) {
+    const ordered = orderKeys(provider, keys, strategy);
+    let lastError = null;
+    for (let i = 0; i < ordered.length; i++) {
+        const apiKey = ordered[i];
+        const hasNext = i < ordered.length - 1;
+        const keysForCall = [apiKey, ...ordered.filter(key => key !== apiKey)];
+        try {
+            const result = await fn(apiKey, keysForCall);
+            const empty = result == null || (Array.isArray(result) && result.length === 0);
+            if (hasNext && empty && isKeyRateLimited(provider, apiKey)) {
+                console.log(`[KEY-POOL] ${provider} key ${i + 1}/${ordered.length} was rate limited, trying the next key`);
+                continue;
+            }
+            if (!empty) markKeyHealthy(provider, apiKey);
+            return result;
+        } catch (error) {
+            if (!isKeyFailoverError(error)) throw error;
+            markKeyRateLimited(provider, apiKey, getRetryAfterMs(error));
+            lastError = error;
+            if (hasNext) {
+                console.log(`[KEY-POOL] ${provider} key ${i + 1}/${ordered.length} answered ${getErrorStatus(error)}, trying the next key`);
+            }
+        }
+    }
+    throw lastError || new Error(`No API key configured for ${provider}`);
+}
+
+export function getKeyPoolStats() {
+    const now = Date.now();
+    return {
+        limitedKeys: [...keyStates.entries()]
+            .filter(([, state]) => state.limitedUntil > now)
+            .map(([key, state]) => ({
+                key: `${key.split(':')[0]}:${key.split(':')[1].slice(0, 8)}...`,
+                strikes: state.strikes,
+                availableAt: new Date(state.limitedUntil).toISOString()
+            }))
+    };
+}
+
+export default {
+    KEY_STRATEGIES,
+    getServiceKeys,
+    mergeServiceKeys,
+    isKeyFailoverError,
+    markKeyRateLimited,
+    markKeyHealthy,
+    isKeyRateLimited,
+    orderKeys,
+    withKeyFailover,
+    getKeyPoolStats
+};
@@ -0,0 +1,181 @@
+// lib/util/keyword-filters.js
+// User-configured include/exclude filters (`KeywordFilters` in the config).
+// Entries are plain keywords matched as whole tokens ("cam" drops "Movie.CAM.x264"
+// but not "Camera"), or regexes written as "/pattern/". Everything is matched
+// case-insensitively. Patterns come from manifest URLs, so they are bounded and
+// screened for catastrophic backtracking before they are compiled (see
+// findUnsafeRegexConstruct).
+
+const MAX_ENTRIES_PER_LIST = 30;
+const MAX_PATTERN_LENGTH = 100;
+const MAX_MATCH_TEXT_LENGTH = 300;
+const MAX_COMPILED_CACHE_SIZE = 200;
+
+const compiledCache = new Map();
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Screens a regex source for constructs that can backtrack exponentially: a repeated
+ * group holding a quantifier ((a+)+) or an alternation ((a|a)*), and backreferences.
+ * Repetition of single characters and character classes stays allowed. Self-contained, so the
+ * configure page can embed it for its preview.
+ * @param {string} source
+ * @returns {string|null} Why the pattern is unsafe, or null
+ */
+export function findUnsafeRegexConstruct(source) {
+    // Length of the quantifier at source[i] (0 if none) and whether it can repeat more than once
+    const readQuantifier = (i) => {
+        const char = source[i];
+        if (char === '*' || char === '+') return { length: 1, repeats: true };
+        if (char === '?') return { length: 1, repeats: false };
+        const brace = char === '{' ? source.slice(i).match(/^\{(\d+)(,(\d*))?\}/) : null;
+        if (!brace) return { length: 0, repeats: false };
+        const max = brace[2] ? (brace[3] === '' ? Infinity : Number(brace[3])) : Number(brace[1]);
+        return { length: brace[0].length, repeats: max > 1 };
+    };
+
+    // One entry per open group: does it hold a quantifier / an alternation?
+    const groups = [];
+    let inClass = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\\') {
+            if (!inClass && /[1-9k]/.test(source[i + 1] || '')) return 'Regex backreferences are not allowed';
+            i++;
+            continue;
+        }
+        if (inClass) {
+            if (char === ']') inClass = false;
+            continue;
+        }
+        const current = groups[groups.length - 1];
+        if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push({ quantifier: false, alternation: false });
+            // Skip the group type: (?:, (?=, (?!, (?<=, (?<!, (?<name>
+            const prefix = source.slice(i + 1).match(/^\?(?:[:=!]|<[=!]|<[^>]*>)/);
+            if (prefix) i += prefix[0].length;
+        } else if (char === '|') {
+            if (current) current.alternation = true;
+        } else if (char === ')') {
+            const group = groups.pop();
+            if (!group) continue;
+            const { repeats } = readQuantifier(i + 1);
+            if (repeats && group.quantifier) return 'Nested quantifiers are not allowed';
+            if (repeats && group.alternation) return 'Repeated groups with alternations are not allowed';
+            const parent = groups[groups.length - 1];
+            if (parent) {
+                parent.quantifier ||= group.quantifier;
+                parent.alternation ||= group.alternation;
+            }
+        } else {
+            const { length } = readQuantifier(i);
+            if (length > 0) {
+                if (current) current.quantifier = true;
+                i += length - 1;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates a single filter entry and turns it into a RegExp.
+ * @param {string} entry - Keyword, or regex written as "/pattern/"
+ * @returns {{regex: RegExp|null, error: string|null}}
+ */
+export function compileKeywordPattern(entry) {
+    const value = typeof entry === 'string' ? entry.trim() : '';
+    if (!value) return { regex: null, error: 'Empty pattern' };
+    if (value.length > MAX_PATTERN_LENGTH) {
+        return { regex: null, error: `Pattern longer than ${MAX_PATTERN_LENGTH} characters` };
+    }
+
+    const regexMatch = value.match(/^\/(.+)\/i?$/);
+    if (!regexMatch) {
+        // Whole-token keyword: separators are anything that is not a letter or digit
+        const source = `(?:^|[^a-z0-9])${escapeRegex(value.toLowerCase())}(?:$|[^a-z0-9])`;
+        return { regex: new RegExp(source, 'i'), error: null };
+    }
+
+    const source = regexMatch[1];
+    const unsafe = findUnsafeRegexConstruct(source);
+    if (unsafe) return { regex: null, error: unsafe };
+    try {
+        return { regex: new RegExp(source, 'i'), error: null };
+    } catch (err) {
+        return { regex: null, error: `Invalid regex: ${err.message}` };
+    }
+}
+
+// Keeps one extra entry (and one extra character) so compileList can still report what was cut off
+function boundList(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .slice(0, MAX_ENTRIES_PER_LIST + 1)
+        .map(entry => typeof entry === 'string' ? entry.trim().substring(0, MAX_PATTERN_LENGTH + 1) : '');
+}
+
+function compileList(list, label, errors) {
+    const compiled = [];
+    for (const entry of list.slice(0, MAX_ENTRIES_PER_LIST)) {
+        const { regex, error } = compileKeywordPattern(entry);
+        if (regex) {
+            compiled.push(regex);
+        } else {
+            errors.push(`${label} "${String(entry).substring(0, 40)}": ${error}`);
+        }
+    }
+    if (list.length > MAX_ENTRIES_PER_LIST) {
+        errors.push(`${label} list truncated to ${MAX_ENTRIES_PER_LIST} entries`);
+    }
+    return compiled;
+}
+
+/**
+ * Validates and compiles the user's keyword filters. Invalid entries are dropped
+ * (and logged once per distinct config) rather than failing the whole request.
+ * @param {Object} raw - `KeywordFilters` from the user config: { include: string[], exclude: string[] }
+ * @returns {{include: RegExp[], exclude: RegExp[]}|null} Compiled filters, or null when none are configured
+ */
+export function compileKeywordFilters(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const includeList = boundList(raw.include);
+    const excludeList = boundList(raw.exclude);
+    const cacheKey = JSON.stringify([includeList, excludeList]);
+    if (compiledCache.has(cacheKey)) return compiledCache.get(cacheKey);
+
+    const errors = [];
+    const include = compileList(includeList, 'Include', errors);
+    const exclude = compileList(excludeList, 'Exclude', errors);
+    if (errors.length > 0) {
+        console.warn(`[KEYWORD-FILTER] Ignoring invalid filter entries: ${errors.join('; ')}`);
+    }
+
+    const compiled = include.length > 0 || exclude.length > 0 ? { include, exclude } : null;
+    if (compiledCache.size >= MAX_COMPILED_CACHE_SIZE) {
+        compiledCache.delete(compiledCache.keys().next().value);
+    }
+    compiledCache.set(cacheKey, compiled);
+    return compiled;
+}
+
+/**
+ * @param {{include: RegExp[], exclude: RegExp[]}|null} filters - Compiled keyword filters
+ * @param {string} text - Release name or stream text
+ * @returns {boolean} True if the text passes the filters
+ */
+export function passesKeywordFilters(filters, text) {
+    if (!filters) return true;
+    const value = String(text || '').substring(0, MAX_MATCH_TEXT_LENGTH);
+    if (filters.exclude.some(regex => regex.test(value))) return false;
+    if (filters.include.length > 0 && !filters.include.some(regex => regex.test(value))) return false;
+    return true;
+}
+
+export default { compileKeywordPattern, compileKeywordFilters, passesKeywordFilters };
@@ -1,4 +1,6 @@
 import { DEFAULT_DONATION_EMAIL, MONTHLY_DONATION_GOAL_USD } from './donationTracker.js'
+import { isConfigEncryptionEnabled } from './config-crypto.js'
+import { findUnsafeRegexConstruct } from './keyword-filters.js'
 
 // --- Mobile-Friendly Rebrand ---
 // - Added the viewport meta tag for proper mobile scaling.
@@ -135,6 +137,25 @@ li::before {
 	margin-bottom: 1.5em;
 }
 
+.scraper-status {
+    margin-top: 0.75em;
+    padding: 0.65em 0.8em;
+    background: rgba(10, 25, 47, 0.6);
+    border: 1px solid rgba(255, 255, 255, 0.06);
+    border-radius: 10px;
+    font-size: 0.84rem;
+}
+
+.scraper-status p {
+    margin: 0 0 0.35em;
+    opacity: 0.85;
+}
+
+.scraper-status ul {
+    margin: 0;
+    padding-left: 1.2em;
+}
+
 .label-to-top {
     display: block;
     margin-bottom: 0.5em;
@@ -1165,6 +1186,7 @@ function landingTemplate(manifest, config = {}) {
 		<div class="form-element" id="torrentScrapersSection" style="display: none;">
 			<sl-select id="Scrapers" name="Scrapers" multiple clearable label="Torrent Scrapers (optional)" placeholder="Select torrent scrapers" help-text="More scrapers = more results but slower response times." hoist max-options-visible="3">
 				${process.env.JACKETT_ENABLED === 'true' ? '<sl-option value="jackett">Jackett (Meta-Tracker)</sl-option>' : ''}
+				${process.env.PROWLARR_ENABLED === 'true' ? '<sl-option value="prowlarr">Prowlarr (Meta-Tracker)</sl-option>' : ''}
 				${process.env.TORRENT_1337X_ENABLED === 'true' ? '<sl-option value="1337x">1337x</sl-option>' : ''}
 				${process.env.TORRENT9_ENABLED === 'true' ? '<sl-option value="torrent9">Torrent9</sl-option>' : ''}
 				${process.env.BTDIG_ENABLED === 'true' ? '<sl-option value="btdig">BTDigg</sl-option>' : ''}
@@ -1181,6 +1203,10 @@ function landingTemplate(manifest, config = {}) {
 				${process.env.TORRENTDOWNLOAD_ENABLED !== 'false' ? '<sl-option value="torrentdownload">TorrentDownload</sl-option>' : ''}
 				${process.env.LIMETORRENTS_ENABLED === 'true' ? '<sl-option value="limetorrents">LimeTorrents</sl-option>' : ''}
 			</sl-select>
+			<div class="scraper-status" id="scraperStatus" style="display: none;">
+				<p>Temporarily skipped after repeated errors. They come back on their own once they respond again.</p>
+				<ul id="scraperStatusList"></ul>
+			</div>
 		</div>
 
 		${process.env.ZILEAN_ENABLED === 'true' || process.env.TORRENTIO_ENABLED === 'true' || process.env.COMET_ENABLED === 'true' || process.env.STREMTHRU_ENABLED === 'true' ? `
@@ -1290,11 +1316,89 @@ function landingTemplate(manifest, config = {}) {
 			<p style="opacity: 0.7; font-size: 0.9rem;">Filter streams by file size. Drag sliders to set min/max size in GB. Set to 0-200 for no filtering.</p>
 		</div>
 
+		<div class="form-element" id="keywordFilters">
+			<label class="label-to-top">Keyword Filters (optional)</label>
+			<p style="opacity: 0.7; font-size: 0.9rem; margin-top: 0;">One entry per line (max 30 per list). Keywords match whole words, e.g. <code>cam</code> drops "Movie.CAM.x264" but not "Camera". Write regexes as <code>/pattern/</code>. Applies to debrid, HTTP, Usenet, Easynews and Home Media streams.</p>
+			<div style="display: flex; gap: 1em; flex-wrap: wrap;">
+				<label style="font-size: 0.85rem; flex: 1; min-width: 200px;">Exclude releases matching
+					<textarea id="keywordExclude" class="full-width" rows="4" placeholder="cam&#10;hdts&#10;3d&#10;/\\bhc\\b/&#10;dubbed"></textarea>
+				</label>
+				<label style="font-size: 0.85rem; flex: 1; min-width: 200px;">Only keep releases matching (leave empty to keep all)
+					<textarea id="keywordInclude" class="full-width" rows="4" placeholder="/remux|web-?dl/"></textarea>
+				</label>
+			</div>
+			<div id="keywordFilterErrors" style="color: #ff6b6b; font-size: 0.85rem; margin-top: 0.5em;"></div>
+			<details style="margin-top: 0.5em;">
+				<summary style="cursor: pointer; font-size: 0.9rem;">Preview against sample titles</summary>
+				<textarea id="keywordSamples" class="full-width" rows="6" style="margin-top: 0.5em;">Movie.Title.2024.1080p.CAM.x264-GRP
+Movie.Title.2024.HDTS.720p.x264
+Movie.Title.2024.3D.HSBS.1080p.BluRay.x264
+Movie.Title.2024.1080p.HC.HDRip.x264
+Movie.Title.2024.1080p.WEB-DL.Hindi.Dubbed.x264
+Movie.Title.2024.2160p.WEB-DL.DDP5.1.Atmos.DV.HEVC-FLUX
+Movie.Title.2024.1080p.BluRay.x264-SPARKS</textarea>
+				<ul id="keywordPreview" style="list-style: none; padding: 0; font-size: 0.85rem;"></ul>
+			</details>
+		</div>
+		<div class="form-element" id="streamTemplate">
+			<label class="label-to-top">Stream Display Template (optional)</label>
+			<p style="opacity: 0.7; font-size: 0.9rem; margin-top: 0;">Customize the stream rows. Placeholders: <code>{title}</code> <code>{filename}</code> <code>{resolution}</code> <code>{codec}</code> <code>{hdr}</code> <code>{audio}</code> <code>{size}</code> <code>{group}</code> <code>{languages}</code> <code>{cached}</code> <code>{personal}</code> <code>{source}</code> <code>{tracker}</code> <code>{episode}</code> <code>{icon}</code> <code>{proxy}</code>. Show text only when a value exists with <code>{?hdr}...{/hdr}</code>, or only when it is missing with <code>{!cached}...{/cached}</code>. Leave empty for the default layout.</p>
+			<label style="font-size: 0.85rem;">Name (left column)
+				<textarea id="streamTemplateName" class="full-width" rows="2" maxlength="500" placeholder="{source}&#10;{resolution}{?hdr} {hdr}{/hdr}"></textarea>
+			</label>
+			<label style="font-size: 0.85rem;">Title (description)
+				<textarea id="streamTemplateTitle" class="full-width" rows="3" maxlength="500" placeholder="{title}&#10;{?cached}⚡ {/cached}{size}{?codec} · {codec}{/codec}{?audio} · {audio}{/audio} {languages}&#10;{?group}{group}{/group}{?tracker} | {tracker}{/tracker}"></textarea>
+			</label>
+		</div>
+		<div class="form-element" id="rankingProfile">
+			<label class="label-to-top">Ranking Profile (optional)</label>
+			<p style="opacity: 0.7; font-size: 0.9rem; margin-top: 0;">Weights from -100 to 100. Streams are still ordered by resolution first; within a resolution, higher scores rank above larger files. Leave everything at 0 for the default order.</p>
+			<div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(130px, 1fr)); gap: 0.5em 1em; margin-bottom: 1em;">
+				<label style="font-size: 0.85rem;">HEVC / x265<input type="number" class="full-width" data-rank-section="codec" data-rank-feature="hevc" min="-100" max="100" step="5" value="0"></label>
+				<label style="font-size: 0.85rem;">AV1<input type="number" class="full-width" data-rank-section="codec" data-rank-feature="av1" min="-100" max="100" step="5" value="0"></label>
+				<label style="font-size: 0.85rem;">AVC / x264<input type="number" class="full-width" data-rank-section="codec" data-rank-feature="avc" min="-100" max="100" step="5" value="0"></label>
+				<label style="font-size: 0.85rem;">Dolby Vision<input type="number" class="full-width" data-rank-section="hdr" data-rank-feature="dv" min="-100" max="100" step="5" value="0"></label>
+				<label style="font-size: 0.85rem;">HDR10+<input type="number" class="full-width" data-rank-section="hdr" data-rank-feature="hdr10plus" min="-100" max="100" step="5" value="0"></label>
+				<label style="font-size: 0.85rem;">HDR / HDR10<input type="number" class="full-width" data-rank-section="hdr" data-rank-feature="hdr" min="-100" max="100" step="5" value="0"></label>
+				<label style="font-size: 0.85rem;">Atmos<input type="number" class="full-width" data-rank-section="audio" data-rank-feature="atmos" min="-100" max="100" step="5" value="0"></label>
+				<label style="font-size: 0.85rem;">TrueHD<input type="number" class="full-width" data-rank-section="audio" data-rank-feature="truehd" min="-100" max="100" step="5" value="0"></label>
+				<label style="font-size: 0.85rem;">DTS-HD / DTS:X<input type="number" class="full-width" data-rank-section="audio" data-rank-feature="dtshd" min="-100" max="100" step="5" value="0"></label>
+				<label style="font-size: 0.85rem;">DTS<input type="number" class="full-width" data-rank-section="audio" data-rank-feature="dts" min="-100" max="100" step="5" value="0"></label>
+			</div>
+			<input type="text" id="rankingAllowGroups" class="full-width" placeholder="Preferred release groups, comma separated (e.g. FLUX, NTb)" style="margin-bottom: 0.5em;">
+			<input type="text" id="rankingDenyGroups" class="full-width" placeholder="Blocked release groups, comma separated (never shown)" style="margin-bottom: 0.5em;">
+			<div style="display: flex; gap: 1em; align-items: center;">
+				<label style="font-size: 0.85rem; flex: 1;">Preferred size from (GB)<input type="number" id="rankingSizeMin" class="full-width" min="0" max="200" step="1" value="0"></label>
+				<label style="font-size: 0.85rem; flex: 1;">to (GB)<input type="number" id="rankingSizeMax" class="full-width" min="0" max="200" step="1" value="0"></label>
+				<label style="font-size: 0.85rem; flex: 1;">Weight<input type="number" id="rankingSizeWeight" class="full-width" min="-100" max="100" step="5" value="0"></label>
+			</div>
+		</div>
+
 		<div class="form-element checkbox-container">
 			<input type="checkbox" id="ShowCatalog" name="ShowCatalog" value="true" checked>
             <label for="ShowCatalog">Show personal downloads catalog</label>
 		</div>
 
+		<div class="form-element" id="watchlistAccounts">
+			<label class="label-to-top">Watchlists (optional)</label>
+			<p style="opacity: 0.7; font-size: 0.9rem; margin-top: 0;">Adds Watchlist and Up Next catalogs. Streams for the next episode of shows you are watching are searched ahead of time.</p>
+			<div style="display: flex; gap: 0.5em; align-items: center; margin-bottom: 0.5em;">
+				<input type="password" id="TraktAccessToken" class="full-width" placeholder="Trakt access token" autocomplete="off">
+				<input type="hidden" id="TraktRefreshToken">
+				<button type="button" class="watchlist-connect" data-service="trakt" data-input="TraktAccessToken" data-refresh-input="TraktRefreshToken">Connect Trakt</button>
+			</div>
+			<div style="display: flex; gap: 0.5em; align-items: center;">
+				<input type="password" id="SimklAccessToken" class="full-width" placeholder="Simkl access token" autocomplete="off">
+				<button type="button" class="watchlist-connect" data-service="simkl" data-input="SimklAccessToken">Connect Simkl</button>
+			</div>
+			<div id="watchlistStatus" style="font-size: 0.9rem; margin-top: 0.5em;"></div>
+		</div>
+${isConfigEncryptionEnabled() ? `
+		<div class="form-element checkbox-container">
+			<input type="checkbox" id="EncryptConfig" name="EncryptConfig" value="true"${config.sealed ? ' checked' : ''}>
+			<label for="EncryptConfig">Encrypt API keys in the addon URL (links only work on this server)</label>
+		</div>
+` : ''}
 		<div class="wizard-navigation mobile-only">
 			<button type="button" class="wizard-btn wizard-btn-back" id="backToPage2">← Back</button>
 		</div>
@@ -1593,7 +1697,11 @@ const proxyApplyAllDefault = ${JSON.stringify(config.ProxyApplyAll || false)};
 				const enableProxy = row.querySelector('.enable-proxy')?.checked || false;
 				const proxyUrl = row.querySelector('.proxy-url')?.value || '';
 				const proxyPassword = row.querySelector('.proxy-password')?.value || '';
-				services.push({ provider, apiKey, enablePersonalCloud, enableProxy, proxyUrl, proxyPassword });
+				// Rows with the same service share its keys; failover is the default strategy
+				const keyStrategy = row.querySelector('.key-strategy')?.value;
+				// Uncached picks are opt-in
+				const showUncached = row.querySelector('.show-uncached-config')?.style.display !== 'none' && row.querySelector('.show-uncached')?.checked;
+				services.push({ provider, apiKey, enablePersonalCloud, enableProxy, proxyUrl, proxyPassword, ...(keyStrategy === 'round-robin' ? { keyStrategy } : {}), ...(showUncached ? { showUncached: true } : {}) });
 			}
 		});
 
@@ -1617,6 +1725,114 @@ const proxyApplyAllDefault = ${JSON.stringify(config.ProxyApplyAll || false)};
 		return services;
 	};
 
+	// Mirrors lib/util/keyword-filters.js so the preview matches what the server will drop
+	const KEYWORD_FILTER_MAX_ENTRIES = 30;
+	const KEYWORD_FILTER_MAX_LENGTH = 100;
+	const findUnsafeRegexConstruct = ${findUnsafeRegexConstruct.toString()};
+	const escapeKeyword = (value) => value.replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&');
+	const compileKeywordEntry = (entry) => {
+		if (entry.length > KEYWORD_FILTER_MAX_LENGTH) return { error: 'longer than ' + KEYWORD_FILTER_MAX_LENGTH + ' characters' };
+		const regexMatch = entry.match(/^\\/(.+)\\/i?$/);
+		if (!regexMatch) {
+			return { regex: new RegExp('(?:^|[^a-z0-9])' + escapeKeyword(entry.toLowerCase()) + '(?:$|[^a-z0-9])', 'i') };
+		}
+		const unsafe = findUnsafeRegexConstruct(regexMatch[1]);
+		if (unsafe) return { error: unsafe };
+		try {
+			return { regex: new RegExp(regexMatch[1], 'i') };
+		} catch (err) {
+			return { error: err.message };
+		}
+	};
+	const readKeywordList = (id) => (document.getElementById(id)?.value || '')
+		.split('\\n').map(entry => entry.trim()).filter(Boolean);
+
+	const getKeywordFilters = () => {
+		const include = readKeywordList('keywordInclude');
+		const exclude = readKeywordList('keywordExclude');
+		if (include.length === 0 && exclude.length === 0) return null;
+		return { include: include.slice(0, KEYWORD_FILTER_MAX_ENTRIES), exclude: exclude.slice(0, KEYWORD_FILTER_MAX_ENTRIES) };
+	};
+
+	const updateKeywordPreview = () => {
+		const errors = [];
+		const compileList = (label, list) => {
+			if (list.length > KEYWORD_FILTER_MAX_ENTRIES) errors.push(label + ': only the first ' + KEYWORD_FILTER_MAX_ENTRIES + ' entries are used');
+			return list.slice(0, KEYWORD_FILTER_MAX_ENTRIES).map(entry => {
+				const { regex, error } = compileKeywordEntry(entry);
+				if (error) errors.push(label + ' "' + entry + '": ' + error);
+				return regex ? { entry, regex } : null;
+			}).filter(Boolean);
+		};
+		const include = compileList('Include', readKeywordList('keywordInclude'));
+		const exclude = compileList('Exclude', readKeywordList('keywordExclude'));
+
+		const errorsEl = document.getElementById('keywordFilterErrors');
+		if (errorsEl) errorsEl.textContent = errors.join(' · ');
+
+		const previewEl = document.getElementById('keywordPreview');
+		if (!previewEl) return;
+		previewEl.replaceChildren();
+		readKeywordList('keywordSamples').forEach(sample => {
+			const excludedBy = exclude.find(f => f.regex.test(sample));
+			const missingInclude = include.length > 0 && !include.some(f => f.regex.test(sample));
+			const item = document.createElement('li');
+			if (excludedBy) {
+				item.textContent = '❌ ' + sample + ' (excluded by "' + excludedBy.entry + '")';
+			} else if (missingInclude) {
+				item.textContent = '❌ ' + sample + ' (matches no include entry)';
+			} else {
+				item.textContent = '✅ ' + sample;
+			}
+			item.style.opacity = (excludedBy || missingInclude) ? '1' : '0.7';
+			previewEl.appendChild(item);
+		});
+	};
+
+	const splitGroups = (value) => (value || '').split(',').map(g => g.trim()).filter(Boolean);
+
+	// Builds the RankingProfile config object; returns null when nothing deviates from the default order
+	const getRankingProfile = () => {
+		const profile = { codec: {}, hdr: {}, audio: {}, groups: {}, size: null };
+		let hasPreferences = false;
+		document.querySelectorAll('#rankingProfile [data-rank-section]').forEach(input => {
+			const weight = Math.max(-100, Math.min(100, parseInt(input.value, 10) || 0));
+			if (weight !== 0) {
+				profile[input.dataset.rankSection][input.dataset.rankFeature] = weight;
+				hasPreferences = true;
+			}
+		});
+
+		const allow = splitGroups(document.getElementById('rankingAllowGroups')?.value);
+		const deny = splitGroups(document.getElementById('rankingDenyGroups')?.value);
+		if (allow.length > 0) profile.groups.allow = allow;
+		if (deny.length > 0) profile.groups.deny = deny;
+		if (allow.length > 0 || deny.length > 0) hasPreferences = true;
+
+		const sizeMin = parseInt(document.getElementById('rankingSizeMin')?.value, 10) || 0;
+		const sizeMax = parseInt(document.getElementById('rankingSizeMax')?.value, 10) || 0;
+		const sizeWeight = parseInt(document.getElementById('rankingSizeWeight')?.value, 10) || 0;
+		if (sizeMax > 0 && sizeWeight !== 0) {
+			profile.size = { min: sizeMin, max: sizeMax, weight: sizeWeight };
+			hasPreferences = true;
+		}
+
+		return hasPreferences ? profile : null;
+	};
+
+	// Opt-in encrypted install links: the server seals the config and returns the URL segment
+	let sealRequestId = 0;
+	const sealConfig = async (config) => {
+		const res = await fetch('/encrypt-config', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ config })
+		});
+		const data = await res.json().catch(() => ({}));
+		if (!res.ok || !data.configuration) throw new Error(data.err || ('HTTP ' + res.status));
+		return data.configuration;
+	};
+
 	const updateLink = () => {
 		const formData = new FormData(mainForm);
 		const services = getDebridServices();
@@ -1645,6 +1861,29 @@ const proxyApplyAllDefault = ${JSON.stringify(config.ProxyApplyAll || false)};
 			ProxyApplyAll: applyProxyAll
 		};
 
+		const rankingProfile = getRankingProfile();
+		if (rankingProfile) {
+			config.RankingProfile = rankingProfile;
+		}
+
+		const keywordFilters = getKeywordFilters();
+		if (keywordFilters) {
+			config.KeywordFilters = keywordFilters;
+		}
+
+		['TraktAccessToken', 'TraktRefreshToken', 'SimklAccessToken'].forEach((key) => {
+			const token = document.getElementById(key)?.value.trim() || '';
+			if (token) config[key] = token;
+		});
+
+		const streamTemplateName = document.getElementById('streamTemplateName')?.value.trim() || '';
+		const streamTemplateTitle = document.getElementById('streamTemplateTitle')?.value.trim() || '';
+		if (streamTemplateName || streamTemplateTitle) {
+			config.StreamTemplate = {};
+			if (streamTemplateName) config.StreamTemplate.name = streamTemplateName;
+			if (streamTemplateTitle) config.StreamTemplate.title = streamTemplateTitle;
+		}
+
 		// Backward compatibility: if only one non-Usenet service, also set old fields
 		const nonUsenetServices = services.filter(s => s.provider !== 'Usenet');
 		if (nonUsenetServices.length === 1) {
@@ -1669,7 +1908,18 @@ const proxyApplyAllDefault = ${JSON.stringify(config.ProxyApplyAll || false)};
 			return s.provider && s.apiKey;
 		});
 
-		if (services.length > 0 && allValid) {
+		if (services.length > 0 && allValid && document.getElementById('EncryptConfig')?.checked) {
+			// No install link until the server has sealed this exact config
+			const requestId = ++sealRequestId;
+			installLink.href = '#';
+			sealConfig(config)
+				.then((sealed) => {
+					if (requestId === sealRequestId) {
+						installLink.href = 'stremio://' + window.location.host + '/' + encodeURIComponent(sealed) + '/manifest.json';
+					}
+				})
+				.catch((err) => console.error('Failed to encrypt configuration:', err.message));
+		} else if (services.length > 0 && allValid) {
 			installLink.href = 'stremio://' + window.location.host + '/' + encodeURIComponent(JSON.stringify(config)) + '/manifest.json';
 		} else {
 			installLink.href = '#';
@@ -1696,6 +1946,8 @@ const createServiceRow = (provider = '${process.env.DEFAULT_DEBRID_SERVICE || 'R
 			{ value: 'AllDebrid', label: 'AllDebrid' },
 			{ value: 'DebriderApp', label: 'Debrider.app' },
 			{ value: 'Premiumize', label: 'Premiumize' },
+			{ value: 'PutIO', label: 'put.io' },
+			{ value: 'PikPak', label: 'PikPak' },
 			{ value: 'Usenet', label: 'Usenet' },
 			{ value: 'Easynews', label: 'Easynews' },
 			{ value: 'HomeMedia', label: 'Home Media Server' },
@@ -1730,6 +1982,23 @@ const createServiceRow = (provider = '${process.env.DEFAULT_DEBRID_SERVICE || 'R
 							Enable personal cloud for this service
 						</label>
 					</div>
+					<div class="key-strategy-config" style="margin-top: 0.5em; display: none;">
+						<label style="display: flex; align-items: center; gap: 8px; font-size: 0.9rem;">
+							With several keys:
+							<select class="key-strategy">
+								<option value="failover">Switch keys when one is rate limited</option>
+								<option value="round-robin">Take turns between keys</option>
+							</select>
+						</label>
+						<small style="color: #888; display: block; margin-top: 0.3em;">Add another row with the same service for each extra key</small>
+					</div>
+					<div class="show-uncached-config" style="margin-top: 0.5em; display: none;">
+						<label style="display: flex; align-items: center; font-size: 0.9rem; cursor: pointer;">
+							<input type="checkbox" class="show-uncached" style="margin-right: 8px;">
+							Show uncached (⏳ add &amp; play)
+						</label>
+						<small style="color: #888; display: block; margin-top: 0.3em;">Lists a few of the best uncached releases; playing one adds it to your account and shows the download progress</small>
+					</div>
 					<div class="proxy-config proxy-block" style="margin-top: 0.5em; display: none;">
 						<label style="display: flex; align-items: center; font-size: 0.9rem; cursor: pointer; margin-bottom: 0.5em;">
 							<input type="checkbox" class="enable-proxy" style="margin-right: 8px;">
@@ -1759,6 +2028,10 @@ const createServiceRow = (provider = '${process.env.DEFAULT_DEBRID_SERVICE || 'R
 		const removeBtn = row.querySelector('.remove-service');
 		const personalCloudCheckboxContainer = row.querySelector('.personal-cloud-checkbox');
 		const personalCloudCheckbox = row.querySelector('.enable-personal-cloud');
+		const keyStrategyContainer = row.querySelector('.key-strategy-config');
+		const keyStrategySelect = row.querySelector('.key-strategy');
+		const showUncachedContainer = row.querySelector('.show-uncached-config');
+		const showUncachedCheckbox = row.querySelector('.show-uncached');
 		const proxyConfigContainer = row.querySelector('.proxy-config');
 		const enableProxyCheckbox = row.querySelector('.enable-proxy');
 		const proxyFieldsDiv = row.querySelector('.proxy-fields');
@@ -1774,6 +2047,12 @@ const createServiceRow = (provider = '${process.env.DEFAULT_DEBRID_SERVICE || 'R
 		if (personalCloudCheckbox) {
 			personalCloudCheckbox.checked = extraConfig.enablePersonalCloud !== false;
 		}
+		if (keyStrategySelect) {
+			keyStrategySelect.value = extraConfig.keyStrategy || 'failover';
+		}
+		if (showUncachedCheckbox) {
+			showUncachedCheckbox.checked = extraConfig.showUncached === true;
+		}
 
 		// Set initial proxy state from extraConfig
 		if (enableProxyCheckbox && extraConfig.enableProxy) {
@@ -1824,7 +2103,8 @@ const createServiceRow = (provider = '${process.env.DEFAULT_DEBRID_SERVICE || 'R
 				'AllDebrid': { url: 'https://alldebrid.com/apikeys', label: 'Get AllDebrid API Key' },
 				'Premiumize': { url: 'https://www.premiumize.me/account', label: 'Get Premiumize API Key' },
 				'OffCloud': { url: 'https://offcloud.com/#/account', label: 'Get OffCloud API Key' },
-				'DebriderApp': { url: 'https://debrider.app/dashboard/account', label: 'Get Debrider.app API Key' }
+				'DebriderApp': { url: 'https://debrider.app/dashboard/account', label: 'Get Debrider.app API Key' },
+				'PutIO': { url: 'https://app.put.io/oauth', label: 'Get put.io OAuth Token' }
 			};
 
 			const providerValue = select.value;
@@ -2234,6 +2514,15 @@ const createServiceRow = (provider = '${process.env.DEFAULT_DEBRID_SERVICE || 'R
 				helpText.style.display = 'block';
 				helpText.innerHTML = 'Optional: Configure Newznab to enable Personal Cloud NZB task creation';
 				configDiv.appendChild(helpText);
+			} else if (select.value === 'PutIO') {
+				input.placeholder = 'put.io OAuth Token';
+				input.style.display = '';
+				input.type = 'text';
+			} else if (select.value === 'PikPak') {
+				// PikPak has no API keys; the key field carries the account login
+				input.placeholder = 'PikPak email:password';
+				input.style.display = '';
+				input.type = 'password';
 			} else {
 				input.placeholder = 'Enter API key';
 				input.style.display = '';
@@ -2241,8 +2530,8 @@ const createServiceRow = (provider = '${process.env.DEFAULT_DEBRID_SERVICE || 'R
 			}
 
 			// Show/hide personal cloud checkbox based on provider
-			// Services that support personal cloud: RealDebrid, AllDebrid, TorBox, OffCloud, DebriderApp
-			const personalCloudSupportedProviders = ['RealDebrid', 'AllDebrid', 'TorBox', 'OffCloud', 'DebriderApp'];
+			// Services that support personal cloud: RealDebrid, AllDebrid, TorBox, OffCloud, put.io, PikPak, DebriderApp
+			const personalCloudSupportedProviders = ['RealDebrid', 'AllDebrid', 'TorBox', 'OffCloud', 'PutIO', 'PikPak', 'DebriderApp'];
 			if (personalCloudCheckboxContainer) {
 				if (personalCloudSupportedProviders.includes(select.value)) {
 					personalCloudCheckboxContainer.style.display = 'block';
@@ -2251,6 +2540,18 @@ const createServiceRow = (provider = '${process.env.DEFAULT_DEBRID_SERVICE || 'R
 				}
 			}
 
+			// Debrid services can take several keys (one row each); the strategy applies to all of them
+			const keyPoolProviders = ['RealDebrid', 'AllDebrid', 'TorBox', 'OffCloud', 'Premiumize', 'PutIO', 'PikPak'];
+			if (keyStrategyContainer) {
+				keyStrategyContainer.style.display = keyPoolProviders.includes(select.value) ? 'block' : 'none';
+			}
+
+			// Services that can add a torrent and report its download progress
+			const uncachedProviders = ['RealDebrid', 'AllDebrid', 'TorBox', 'OffCloud'];
+			if (showUncachedContainer) {
+				showUncachedContainer.style.display = uncachedProviders.includes(select.value) ? 'block' : 'none';
+			}
+
 			// Show/hide proxy config based on provider
 			// Proxy is supported for debrid services that generate streaming URLs
 			const proxySupportedProviders = ['RealDebrid', 'AllDebrid', 'TorBox', 'OffCloud', 'Premiumize', 'DebriderApp'];
@@ -2372,6 +2673,8 @@ const createServiceRow = (provider = '${process.env.DEFAULT_DEBRID_SERVICE || 'R
 			// For standard debrid services (RealDebrid, AllDebrid, TorBox, etc.)
 			extraConfig = {
 				enablePersonalCloud: service.enablePersonalCloud,
+				keyStrategy: service.keyStrategy,
+				showUncached: service.showUncached,
 				enableProxy: service.enableProxy || false,
 				proxyUrl: service.proxyUrl || '',
 				proxyPassword: service.proxyPassword || ''
@@ -2380,6 +2683,8 @@ const createServiceRow = (provider = '${process.env.DEFAULT_DEBRID_SERVICE || 'R
 		// For Easynews, pass password as apiKey parameter so it gets set in the input field
 		const apiKeyValue = service.provider === 'Easynews' ? (service.password || '') : (service.apiKey || '');
 		createServiceRow(service.provider, apiKeyValue, extraConfig);
+		// Extra keys of a service are edited as rows of their own
+		(Array.isArray(service.apiKeys) ? service.apiKeys : []).forEach(extraKey => createServiceRow(service.provider, extraKey, extraConfig));
 	});
 
 	if (proxyApplyAllDefault) {
@@ -2473,8 +2778,140 @@ const createServiceRow = (provider = '${process.env.DEFAULT_DEBRID_SERVICE || 'R
 				updateLink();
 			});
 		}
+
+		// Scrapers their circuit breaker currently skips
+		const scraperStatusReasons = {
+			captcha: 'captcha/Cloudflare blocks',
+			rate_limit: 'rate limiting',
+			server_error: 'server errors',
+			timeout: 'timeouts'
+		};
+		fetch('/scrapers/status.json', { cache: 'no-store' })
+			.then(response => response.ok ? response.json() : null)
+			.then(status => {
+				const quarantined = (status && status.quarantined) || [];
+				const panel = document.getElementById('scraperStatus');
+				const list = document.getElementById('scraperStatusList');
+				if (!panel || !list || quarantined.length === 0) return;
+				list.innerHTML = '';
+				quarantined.forEach(entry => {
+					const item = document.createElement('li');
+					const reason = scraperStatusReasons[entry.reason] || 'errors';
+					const minutes = entry.retryAt ? Math.max(1, Math.ceil((entry.retryAt - Date.now()) / 60000)) : null;
+					item.textContent = entry.state === 'half_open'
+						? entry.scraper + ': paused after ' + reason + ', being retried now'
+						: entry.scraper + ': paused after ' + reason + (minutes ? ', next retry in about ' + minutes + ' min' : '');
+					list.appendChild(item);
+				});
+				panel.style.display = 'block';
+			})
+			.catch(() => {});
 	});
 
+	// Initialize stream template editor
+	const initialStreamTemplate = ${JSON.stringify(config.StreamTemplate || null).replace(/</g, '\\u003c')};
+	const streamTemplateInputs = { streamTemplateName: 'name', streamTemplateTitle: 'title' };
+	for (const [inputId, key] of Object.entries(streamTemplateInputs)) {
+		const input = document.getElementById(inputId);
+		if (!input) continue;
+		if (typeof initialStreamTemplate?.[key] === 'string') input.value = initialStreamTemplate[key];
+		input.addEventListener('input', debouncedUpdateLink);
+	}
+
+	// Initialize watchlist accounts (Trakt device code / Simkl PIN login)
+	const initialWatchlistTokens = ${JSON.stringify({ TraktAccessToken: config.TraktAccessToken || '', TraktRefreshToken: config.TraktRefreshToken || '', SimklAccessToken: config.SimklAccessToken || '' }).replace(/</g, '\\u003c')};
+	const watchlistStatus = document.getElementById('watchlistStatus');
+	for (const [inputId, token] of Object.entries(initialWatchlistTokens)) {
+		const input = document.getElementById(inputId);
+		if (!input) continue;
+		input.value = token;
+		input.addEventListener('input', debouncedUpdateLink);
+	}
+	// A pasted access token does not belong to the refresh token of an earlier login
+	document.querySelectorAll('.watchlist-connect[data-refresh-input]').forEach((button) => {
+		const refreshInput = document.getElementById(button.getAttribute('data-refresh-input'));
+		document.getElementById(button.getAttribute('data-input'))?.addEventListener('input', () => {
+			if (refreshInput) refreshInput.value = '';
+		});
+	});
+	document.querySelectorAll('.watchlist-connect').forEach((button) => {
+		button.addEventListener('click', async () => {
+			const service = button.getAttribute('data-service');
+			const input = document.getElementById(button.getAttribute('data-input'));
+			const refreshInput = document.getElementById(button.getAttribute('data-refresh-input'));
+			const postJson = async (path, body) => {
+				const res = await fetch(path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body || {}) });
+				const data = await res.json().catch(() => ({}));
+				if (!res.ok) throw new Error(data.err || ('HTTP ' + res.status));
+				return data;
+			};
+			button.disabled = true;
+			try {
+				const login = await postJson('/oauth/' + service + '/start');
+				watchlistStatus.textContent = 'Open ' + login.verification_url + ' and enter the code ' + login.user_code;
+				window.open(login.verification_url, '_blank', 'noopener');
+				const expiresAt = Date.now() + (login.expires_in || 600) * 1000;
+				while (Date.now() < expiresAt) {
+					await new Promise(resolve => setTimeout(resolve, (login.interval || 5) * 1000));
+					const result = await postJson('/oauth/' + service + '/token', { device_code: login.device_code, user_code: login.user_code });
+					if (result.status === 'ok') {
+						input.value = result.accessToken;
+						if (refreshInput) refreshInput.value = result.refreshToken || '';
+						watchlistStatus.textContent = 'Connected. Reinstall the addon to add the catalogs.';
+						debouncedUpdateLink();
+						return;
+					}
+					if (result.status !== 'pending') throw new Error('Login ' + result.status);
+				}
+				throw new Error('Login code expired');
+			} catch (err) {
+				watchlistStatus.textContent = 'Could not connect: ' + err.message;
+			} finally {
+				button.disabled = false;
+			}
+		});
+	});
+
+	// Initialize keyword filter editor
+	const initialKeywordFilters = ${JSON.stringify(config.KeywordFilters || null).replace(/</g, '\\u003c')};
+	const keywordInputs = { keywordInclude: 'include', keywordExclude: 'exclude' };
+	for (const [inputId, key] of Object.entries(keywordInputs)) {
+		const input = document.getElementById(inputId);
+		if (!input) continue;
+		const entries = initialKeywordFilters?.[key];
+		if (Array.isArray(entries)) input.value = entries.join('\\n');
+		input.addEventListener('input', () => {
+			updateKeywordPreview();
+			debouncedUpdateLink();
+		});
+	}
+	document.getElementById('keywordSamples')?.addEventListener('input', updateKeywordPreview);
+	updateKeywordPreview();
+
+	// Initialize ranking profile editor
+	const initialRankingProfile = ${JSON.stringify(config.RankingProfile || null).replace(/</g, '\\u003c')};
+	document.querySelectorAll('#rankingProfile [data-rank-section]').forEach(input => {
+		const weight = initialRankingProfile?.[input.dataset.rankSection]?.[input.dataset.rankFeature];
+		if (weight != null) input.value = weight;
+		input.addEventListener('input', debouncedUpdateLink);
+	});
+	const rankingGroupInputs = { rankingAllowGroups: 'allow', rankingDenyGroups: 'deny' };
+	for (const [inputId, key] of Object.entries(rankingGroupInputs)) {
+		const input = document.getElementById(inputId);
+		if (!input) continue;
+		const groups = initialRankingProfile?.groups?.[key];
+		if (Array.isArray(groups)) input.value = groups.join(', ');
+		input.addEventListener('input', debouncedUpdateLink);
+	}
+	const rankingSizeInputs = { rankingSizeMin: 'min', rankingSizeMax: 'max', rankingSizeWeight: 'weight' };
+	for (const [inputId, key] of Object.entries(rankingSizeInputs)) {
+		const input = document.getElementById(inputId);
+		if (!input) continue;
+		const value = initialRankingProfile?.size?.[key];
+		if (value != null) input.value = value;
+		input.addEventListener('input', debouncedUpdateLink);
+	}
+
 	// Initialize size sliders
 	const minSizeSlider = document.getElementById('minSize');
 	const maxSizeSlider = document.getElementById('maxSize');
@@ -2527,6 +2964,8 @@ const createServiceRow = (provider = '${process.env.DEFAULT_DEBRID_SERVICE || 'R
 	}
 
 	// Initialize ShowCatalog checkbox from config (default to true)
+	document.getElementById('EncryptConfig')?.addEventListener('change', debouncedUpdateLink);
+
 	const showCatalogCheckbox = document.getElementById('ShowCatalog');
 	if (showCatalogCheckbox) {
 		showCatalogCheckbox.checked = ${config.ShowCatalog !== false}; // Default to true unless explicitly false
@@ -258,6 +258,17 @@ function getLanguageVariations(language) {
   return variationMap[language] || variations;
 }
 
+/**
+ * Map a single scene/ISO language tag (e.g. "eng", "pt", "French") to a language key
+ * @param {string} tag - One token from a file name
+ * @returns {string|undefined} Language key or undefined
+ */
+export function languageFromTag(tag) {
+  const value = String(tag || '').toLowerCase();
+  if (!value) return undefined;
+  return Object.keys(languageMapping).slice(4).find(language => getLanguageVariations(language).includes(value));
+}
+
 /**
  * Filter streams by selected languages
  * @param {Object[]} streams - Array of stream objects with title property
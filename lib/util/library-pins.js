@@ -0,0 +1,104 @@
+import { promises as fs } from 'fs'
+import { createHash } from 'crypto'
+import path from 'path'
+import * as cacheStore from './cache-store.js'
+
+// Pinned ("keep") cloud torrents per debrid account. Accounts are keyed by a hash of
+// service + API key so no credentials are stored. With the cache DB enabled the pins live in
+// its library_pins table, shared by all cluster workers; without it they are per process and
+// lost on restart. A pins file written by older versions is imported into the table once.
+const LEGACY_PINS_FILE = process.env.LIBRARY_PINS_DATA_FILE || path.join(process.cwd(), 'data', 'library-pins.json')
+const MAX_PINS_PER_ACCOUNT = 500
+
+// accountKey -> pinned IDs, newest first; only used without the cache DB
+const memoryPins = new Map()
+let legacyImportPromise = null
+let warnedInMemory = false
+
+export function getAccountKey(service, apiKey) {
+    return createHash('sha256')
+        .update(`${String(service).toLowerCase()}:${apiKey}`)
+        .digest('hex')
+        .slice(0, 32)
+}
+
+async function importLegacyPins() {
+    let accounts
+    try {
+        accounts = JSON.parse(await fs.readFile(LEGACY_PINS_FILE, 'utf8'))?.accounts
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[LIBRARY-PINS] Failed to read legacy pins file:', error.message)
+        }
+        return
+    }
+
+    const now = Date.now()
+    let imported = true
+    for (const [accountKey, ids] of Object.entries(accounts || {})) {
+        if (!Array.isArray(ids) || ids.length === 0) continue
+        // The file lists the newest pin first
+        const pins = [...new Set(ids.map(String))].map((torrentId, index) => ({ torrentId, pinnedAt: now - index }))
+        imported = await cacheStore.addLibraryPins(accountKey, pins, MAX_PINS_PER_ACCOUNT) && imported
+    }
+    if (!imported) return
+
+    // Another worker may have moved it already
+    await fs.rename(LEGACY_PINS_FILE, `${LEGACY_PINS_FILE}.imported`).catch(() => {})
+    console.log(`[LIBRARY-PINS] Imported ${LEGACY_PINS_FILE} into the cache DB`)
+}
+
+async function usesCacheDb() {
+    if (!cacheStore.isEnabled()) {
+        if (!warnedInMemory) {
+            warnedInMemory = true
+            console.warn('[LIBRARY-PINS] Cache DB disabled, pins are kept in memory and lost on restart')
+        }
+        return false
+    }
+    if (!legacyImportPromise) {
+        legacyImportPromise = importLegacyPins().catch((error) => {
+            console.error('[LIBRARY-PINS] Failed to import legacy pins file:', error.message)
+        })
+    }
+    await legacyImportPromise
+    return true
+}
+
+/**
+ * @param {string} service - Normalized service name
+ * @param {string} apiKey - Account API key
+ * @returns {Promise<Set<string>>} Pinned torrent IDs
+ */
+export async function getPinnedIds(service, apiKey) {
+    const accountKey = getAccountKey(service, apiKey)
+    if (!await usesCacheDb()) return new Set(memoryPins.get(accountKey) || [])
+    return new Set(await cacheStore.getLibraryPins(accountKey))
+}
+
+/**
+ * Pins or unpins a torrent.
+ * @returns {Promise<boolean>} Whether the torrent is pinned afterwards
+ */
+export async function setPinned(service, apiKey, torrentId, pinned) {
+    const accountKey = getAccountKey(service, apiKey)
+    const id = String(torrentId)
+
+    if (!await usesCacheDb()) {
+        const pins = (memoryPins.get(accountKey) || []).filter(pinnedId => pinnedId !== id)
+        if (pinned) pins.unshift(id)
+        if (pins.length > 0) {
+            memoryPins.set(accountKey, pins.slice(0, MAX_PINS_PER_ACCOUNT))
+        } else {
+            memoryPins.delete(accountKey)
+        }
+        return pinned
+    }
+
+    const saved = pinned
+        ? await cacheStore.addLibraryPins(accountKey, [{ torrentId: id, pinnedAt: Date.now() }], MAX_PINS_PER_ACCOUNT)
+        : await cacheStore.removeLibraryPin(accountKey, id)
+    return saved ? pinned : !pinned
+}
+
+export default { getAccountKey, getPinnedIds, setPinned }
@@ -0,0 +1,205 @@
+export default function libraryTemplate() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="referrer" content="no-referrer">
+  <title>Sootio Cloud Library</title>
+  <style>
+    :root {
+      --bg: #071422;
+      --panel2: #132b45;
+      --line: rgba(255,255,255,.09);
+      --text: #e8f1ff;
+      --muted: #9db0c8;
+      --accent: #64ffda;
+      --danger: #ff8080;
+      --warn: #ffd580;
+    }
+    * { box-sizing: border-box; }
+    body {
+      margin: 0;
+      font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+      background: radial-gradient(circle at 10% 0%, #103055 0, transparent 45%), var(--bg);
+      color: var(--text);
+      padding: 20px;
+    }
+    .wrap { max-width: 980px; margin: 0 auto; display: grid; gap: 16px; }
+    .panel {
+      background: rgba(15, 34, 56, .9);
+      border: 1px solid var(--line);
+      border-radius: 14px;
+      padding: 16px;
+      box-shadow: 0 12px 30px rgba(0,0,0,.18);
+    }
+    h1, h2 { margin: 0; }
+    h1 { font-size: 1.2rem; }
+    h2 { font-size: 1rem; margin-bottom: 10px; }
+    .muted { color: var(--muted); font-size: .9rem; }
+    button {
+      cursor: pointer;
+      border-radius: 8px;
+      padding: 6px 10px;
+      font-size: .82rem;
+      font-weight: 700;
+      background: rgba(100,255,218,.14);
+      border: 1px solid rgba(100,255,218,.25);
+      color: var(--accent);
+    }
+    button.danger {
+      background: rgba(255,128,128,.12);
+      border-color: rgba(255,128,128,.35);
+      color: #ffb1b1;
+    }
+    button:disabled { opacity: .4; cursor: not-allowed; }
+    .status { margin-top: 8px; font-size: .9rem; color: var(--muted); min-height: 1.2em; }
+    .status.error { color: var(--danger); }
+    table { width: 100%; border-collapse: collapse; font-size: .92rem; }
+    th, td { border-top: 1px solid var(--line); padding: 10px 8px; text-align: left; vertical-align: top; }
+    th { color: var(--muted); font-weight: 600; }
+    td.actions { white-space: nowrap; }
+    .pill {
+      display: inline-block;
+      padding: 2px 8px;
+      border-radius: 999px;
+      background: rgba(100,255,218,.1);
+      border: 1px solid rgba(100,255,218,.15);
+      color: #cffff3;
+      font-size: .78rem;
+    }
+    .pill.dead { background: rgba(255,128,128,.12); border-color: rgba(255,128,128,.3); color: #ffb1b1; }
+    .pill.downloading { background: rgba(255,213,128,.1); border-color: rgba(255,213,128,.3); color: var(--warn); }
+    @media (max-width: 640px) {
+      body { padding: 12px; }
+      table { display: block; overflow-x: auto; white-space: nowrap; }
+    }
+  </style>
+</head>
+<body>
+  <div class="wrap">
+    <div class="panel">
+      <h1>Cloud Library</h1>
+      <div class="muted">Torrents in your debrid accounts. Pinned torrents are listed first in the personal catalogs and cannot be deleted until unpinned. Delete and re-add ask for confirmation.</div>
+      <div class="status" id="status"></div>
+    </div>
+    <div id="services"></div>
+  </div>
+  <script>
+    (function () {
+      const basePath = window.location.pathname.replace(/[/]+$/, '');
+      const statusEl = document.getElementById('status');
+      const servicesEl = document.getElementById('services');
+
+      function setStatus(text, isError) {
+        statusEl.textContent = text || '';
+        statusEl.classList.toggle('error', !!isError);
+      }
+
+      function escapeHtmlText(text) {
+        return String(text == null ? '' : text)
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/>/g, '&gt;')
+          .replace(/"/g, '&quot;')
+          .replace(/'/g, '&#39;');
+      }
+
+      function actionButton(item, action, label, extraClass, disabled) {
+        return '<button type="button" class="' + (extraClass || '') + '"' +
+          ' data-service="' + escapeHtmlText(item.service) + '"' +
+          ' data-id="' + escapeHtmlText(item.id) + '"' +
+          ' data-action="' + action + '"' + (disabled ? ' disabled' : '') + '>' + label + '</button>';
+      }
+
+      function render(services) {
+        servicesEl.innerHTML = '';
+        if (!services.length) {
+          servicesEl.innerHTML = '<div class="panel muted">No Real-Debrid, AllDebrid, TorBox, Premiumize or OffCloud account in this configuration.</div>';
+          return;
+        }
+        services.forEach((entry) => {
+          const panel = document.createElement('div');
+          panel.className = 'panel';
+          const rows = entry.items.map((item) => {
+            return '<tr>' +
+              '<td>' + (item.pinned ? '📌 ' : '') + escapeHtmlText(item.name) + '</td>' +
+              '<td>' + escapeHtmlText(item.sizeLabel) + '</td>' +
+              '<td><span class="pill ' + escapeHtmlText(item.status) + '">' + escapeHtmlText(item.status) + '</span></td>' +
+              '<td class="actions">' +
+                actionButton(item, item.pinned ? 'unpin' : 'pin', item.pinned ? 'Unpin' : 'Pin') + ' ' +
+                actionButton(item, 'readd', 'Re-add', '', !item.canReadd) + ' ' +
+                actionButton(item, 'delete', 'Delete', 'danger', item.pinned) +
+              '</td>' +
+            '</tr>';
+          }).join('');
+          panel.innerHTML = '<h2>' + escapeHtmlText(entry.service) + ' · ' + entry.items.length + ' torrent(s)</h2>' +
+            (entry.error ? '<div class="status error">' + escapeHtmlText(entry.error) + '</div>' : '') +
+            (rows
+              ? '<table><thead><tr><th>Name</th><th>Size</th><th>Status</th><th></th></tr></thead><tbody>' + rows + '</tbody></table>'
+              : '<div class="muted">Nothing here.</div>');
+          servicesEl.appendChild(panel);
+        });
+      }
+
+      async function refresh() {
+        try {
+          setStatus('Loading...', false);
+          const res = await fetch(basePath + '/items.json', { cache: 'no-store' });
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) {
+            throw new Error(data.err || ('HTTP ' + res.status));
+          }
+          render(data.services || []);
+          setStatus('', false);
+        } catch (err) {
+          setStatus(err.message || 'Failed to load', true);
+        }
+      }
+
+      async function postAction(payload) {
+        const res = await fetch(basePath + '/action', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+        return res.json().catch(() => ({}));
+      }
+
+      async function runAction(button) {
+        const payload = {
+          service: button.getAttribute('data-service'),
+          id: button.getAttribute('data-id'),
+          action: button.getAttribute('data-action')
+        };
+        try {
+          setStatus('Working...', false);
+          let data = await postAction(payload);
+          if (data.reason === 'confirmation_required') {
+            if (!window.confirm(data.message + ' This cannot be undone.')) {
+              setStatus('Cancelled.', false);
+              return;
+            }
+            data = await postAction(Object.assign({}, payload, { token: data.confirmToken }));
+          }
+          if (!data.ok) {
+            throw new Error(data.err || data.reason || 'Action failed');
+          }
+          setStatus(data.message || 'Done.', false);
+          await refresh();
+        } catch (err) {
+          setStatus(err.message || 'Action failed', true);
+        }
+      }
+
+      servicesEl.addEventListener('click', (ev) => {
+        const button = ev.target.closest('button[data-action]');
+        if (button && !button.disabled) runAction(button);
+      });
+
+      refresh();
+    })();
+  </script>
+</body>
+</html>`
+}
@@ -2,6 +2,10 @@ import { readFileSync } from 'fs';
 import { dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { STREAM_NAME_MAP } from '../stream-provider.js';
+import { PERSONAL_ID_PREFIX } from './personal-meta.js';
+import { TORRENT_CATALOG_PROVIDERS } from '../catalog-provider.js';
+import { getProvider, normalizeProviderKey } from '../providers.js';
+import WatchlistProvider from '../watchlist-provider.js';
 
 function readPackageVersion() {
   try {
@@ -14,9 +18,9 @@ function readPackageVersion() {
 }
 
 // Docs: https://github.com/Stremio/stremio-addon-sdk/blob/master/docs/api/responses/manifest.md
-function normalizeKey(val) {
-  if (!val) return '';
-  return String(val).replace(/[^a-z0-9]/gi, '').toLowerCase();
+// Registered providers bring their stream name; the map adds non-provider sources (HTTP streaming)
+function streamNameFor(key) {
+  return getProvider(key)?.streamName || STREAM_NAME_MAP?.[key] || null;
 }
 
 function getManifest(config = {}, noCatalogs = false) {
@@ -35,9 +39,9 @@ function getManifest(config = {}, noCatalogs = false) {
   if (config.DebridServices && Array.isArray(config.DebridServices) && config.DebridServices.length > 0) {
     const services = config.DebridServices;
     if (services.length === 1) {
-      const key = normalizeKey(services[0].provider);
-      if (key && STREAM_NAME_MAP?.[key]) {
-        manifestName = STREAM_NAME_MAP[key];
+      const key = normalizeProviderKey(services[0].provider);
+      if (key && streamNameFor(key)) {
+        manifestName = streamNameFor(key);
       } else if (key) {
         manifestName = `[${key.toUpperCase()}+] ${rootName}`;
       }
@@ -45,8 +49,8 @@ function getManifest(config = {}, noCatalogs = false) {
       // Multiple services - show all abbreviations
       const abbrevs = services
         .map(s => {
-          const key = normalizeKey(s.provider);
-          return extractAbbrev(STREAM_NAME_MAP[key]) || `${key.toUpperCase()}+`;
+          const key = normalizeProviderKey(s.provider);
+          return extractAbbrev(streamNameFor(key)) || `${key.toUpperCase()}+`;
         })
         .join(' ');
       manifestName = `[${abbrevs}] ${rootName}`;
@@ -54,9 +58,9 @@ function getManifest(config = {}, noCatalogs = false) {
   }
   // 2) Fallback to single provider in config.DebridProvider (backward compatibility)
   else if (config.DebridProvider) {
-    const key = normalizeKey(config.DebridProvider);
-    if (key && STREAM_NAME_MAP?.[key]) {
-      manifestName = STREAM_NAME_MAP[key];
+    const key = normalizeProviderKey(config.DebridProvider);
+    if (key && streamNameFor(key)) {
+      manifestName = streamNameFor(key);
     } else if (key) {
       // unknown provider — make a sensible fallback using the key
       manifestName = `[${key.toUpperCase()}+] ${rootName}`;
@@ -89,10 +93,19 @@ function getManifest(config = {}, noCatalogs = false) {
     logo: `data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'%3E%3Cdefs%3E%3ClinearGradient id='grad' x1='0%25' y1='0%25' x2='100%25' y2='100%25'%3E%3Cstop offset='0%25' style='stop-color:%2364ffda;stop-opacity:1' /%3E%3Cstop offset='100%25' style='stop-color:%2300A7B5;stop-opacity:1' /%3E%3C/linearGradient%3E%3C/defs%3E%3Cpath fill='url(%23grad)' d='M50,5 C74.85,5 95,25.15 95,50 C95,74.85 74.85,95 50,95 C35,95 22.33,87.6 15,76 C25,85 40,85 50,80 C60,75 65,65 65,50 C65,35 55,25 40,25 C25,25 15,40 15,50 C15,55 16,60 18,64 C8.5,58 5,45 5,50 C5,25.15 25.15,5 50,5 Z'/%3E%3C/svg%3E`,
     
     // --- CORE FUNCTIONALITY (Unchanged) ---
-    catalogs: noCatalogs ? [{ id: 'SKIP_CATALOG', type: 'movie', name: 'No Catalogs' }] : getCatalogs(config),
+    catalogs: noCatalogs
+      ? [{ id: 'SKIP_CATALOG', type: 'movie', name: 'No Catalogs' }]
+      : [...getCatalogs(config), ...WatchlistProvider.getWatchlistCatalogs(config)],
     resources: [
       "catalog",
-      "stream"
+      "stream",
+      "subtitles",
+      // Cloud torrents that could not be matched to IMDb (lib/util/personal-meta.js)
+      {
+        name: "meta",
+        types: ["movie", "series", "other"],
+        idPrefixes: [PERSONAL_ID_PREFIX]
+      }
     ],
     types: [
       "movie",
@@ -100,7 +113,8 @@ function getManifest(config = {}, noCatalogs = false) {
       "anime",
       "other"
     ],
-    idPrefixes: ['tt'],
+    // Anime IDs are mapped to IMDb episodes by lib/util/anime-mapping.js
+    idPrefixes: ['tt', 'kitsu', 'mal', 'anilist', PERSONAL_ID_PREFIX],
     behaviorHints: {
       configurable: true,
       configurationRequired: isConfigurationRequired(config)
@@ -203,6 +217,19 @@ function getCatalogs(config) {
             });
         }
 
+        // Search and browse the torrents themselves, merged across services
+        if (configuredServices.some(serviceName => TORRENT_CATALOG_PROVIDERS.includes(serviceName.toLowerCase()))) {
+            catalogs.push({
+                id: 'debridsearch',
+                type: 'other',
+                name: 'Debrid Torrents',
+                extra: [
+                    { name: 'search', isRequired: false },
+                    { name: 'skip', isRequired: false }
+                ]
+            });
+        }
+
         console.log('[MANIFEST] Created', catalogs.length, 'catalogs for configured services');
     } else {
         console.log('[MANIFEST] ShowCatalog is explicitly disabled');
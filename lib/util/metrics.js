@@ -0,0 +1,256 @@
+// lib/util/metrics.js
+// Prometheus metrics for GET /metrics. Every worker keeps its own registry; under cluster.js
+// the worker that receives the scrape asks the master, which merges the registries of all
+// workers (prom-client's AggregatorRegistry), so counters and histograms cover the whole
+// process tree rather than one random worker. Point-in-time values (cache sizes, FlareSolverr
+// queue) are read through samplers that server.js registers, which keeps this module free of
+// heavy imports; the master loads it too.
+
+import client from 'prom-client';
+import { hasPrimary, requestFromPrimary, handleWorkerRequests } from './cluster-ipc.js';
+
+const { AggregatorRegistry, Counter, Gauge, Histogram, Registry } = client;
+
+const METRICS_REQUEST = 'sootio:metrics';
+const CLUSTER_METRICS_TIMEOUT_MS = parseInt(process.env.METRICS_CLUSTER_TIMEOUT_MS || '5000', 10);
+// Seconds; scrapers and debrid searches range from instant cache hits to 30s+ timeouts
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+export const registry = new Registry();
+// The master collects this registry (not prom-client's global one) from the workers
+AggregatorRegistry.setRegistries([registry]);
+client.collectDefaultMetrics({ register: registry, prefix: 'sootio_' });
+
+// name -> function returning the current value, see addSampler()
+const samplers = new Map();
+
+function sample(name) {
+    try {
+        return samplers.get(name)?.() ?? null;
+    } catch {
+        return null;
+    }
+}
+
+const scraperDuration = new Histogram({
+    name: 'sootio_scraper_duration_seconds',
+    help: 'Scraper response time',
+    labelNames: ['scraper', 'status'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry]
+});
+
+const scraperRequests = new Counter({
+    name: 'sootio_scraper_requests_total',
+    help: 'Scraper runs by outcome (success, timeout, captcha, rate_limit, server_error, error)',
+    labelNames: ['scraper', 'outcome'],
+    registers: [registry]
+});
+
+const scraperResults = new Counter({
+    name: 'sootio_scraper_results_total',
+    help: 'Torrents returned by successful scraper runs',
+    labelNames: ['scraper'],
+    registers: [registry]
+});
+
+const providerSearchDuration = new Histogram({
+    name: 'sootio_provider_search_duration_seconds',
+    help: 'Search time per debrid, usenet or home-media service',
+    labelNames: ['provider', 'status'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry]
+});
+
+const resolveDuration = new Histogram({
+    name: 'sootio_resolve_duration_seconds',
+    help: 'Time to resolve a stream into a playable URL',
+    labelNames: ['provider', 'status'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry]
+});
+
+const cacheLookups = new Counter({
+    name: 'sootio_cache_lookups_total',
+    help: 'Cache lookups by cache and result (hit or miss); the hit ratio is hit / (hit + miss)',
+    labelNames: ['cache', 'result'],
+    registers: [registry]
+});
+
+new Gauge({
+    name: 'sootio_pending_resolves',
+    help: 'Stream resolves in flight',
+    registers: [registry],
+    collect() {
+        const stats = sample('streamProvider');
+        if (stats) this.set(stats.resolveInFlight || 0);
+    }
+});
+
+new Gauge({
+    name: 'sootio_pending_searches',
+    help: 'Deduplicated stream searches in flight',
+    registers: [registry],
+    collect() {
+        const stats = sample('streamProvider');
+        if (stats) this.set(stats.inFlightRequests || 0);
+    }
+});
+
+new Gauge({
+    name: 'sootio_cache_entries',
+    help: 'Entries in the in-memory resolve caches',
+    labelNames: ['cache'],
+    registers: [registry],
+    collect() {
+        const stats = sample('streamProvider');
+        if (!stats) return;
+        this.set({ cache: 'resolve' }, stats.resolveCache || 0);
+        this.set({ cache: 'resolve_fail' }, stats.resolveFailCache || 0);
+    }
+});
+
+new Gauge({
+    name: 'sootio_flaresolverr_active_calls',
+    help: 'FlareSolverr requests running',
+    registers: [registry],
+    collect() {
+        const status = sample('flaresolverr');
+        if (status) this.set(status.activeCalls || 0);
+    }
+});
+
+new Gauge({
+    name: 'sootio_flaresolverr_queue_depth',
+    help: 'FlareSolverr requests waiting for a slot',
+    registers: [registry],
+    collect() {
+        const status = sample('flaresolverr');
+        if (status) this.set(status.queueDepth || 0);
+    }
+});
+
+new Gauge({
+    name: 'sootio_flaresolverr_circuit_open',
+    help: '1 while the FlareSolverr circuit breaker is open in any worker',
+    aggregator: 'max',
+    registers: [registry],
+    collect() {
+        const status = sample('flaresolverr');
+        if (status) this.set(status.circuitOpen ? 1 : 0);
+    }
+});
+
+new Counter({
+    name: 'sootio_flaresolverr_events_total',
+    help: 'FlareSolverr manager events (calls, direct successes, failures, circuit trips, queue overflows, cookie cache hits)',
+    labelNames: ['event'],
+    registers: [registry],
+    collect() {
+        const status = sample('flaresolverr');
+        if (!status?.metrics) return;
+        // The manager keeps its own running totals; mirror them
+        this.reset();
+        for (const [event, value] of Object.entries(status.metrics)) {
+            if (Number.isFinite(value) && value > 0) this.inc({ event }, value);
+        }
+    }
+});
+
+/**
+ * Registers a function returning a point-in-time value, read on every scrape.
+ * @param {'streamProvider'|'flaresolverr'} name
+ * @param {function(): Object} fn - e.g. streamProvider.getCacheStats
+ */
+export function addSampler(name, fn) {
+    samplers.set(name, fn);
+}
+
+/**
+ * @param {string} scraper
+ * @param {string} outcome - 'success' or the failure type of ScraperPerformanceTracker.recordFailure
+ * @param {number} durationMs
+ * @param {number} [resultCount]
+ */
+export function observeScraper(scraper, outcome, durationMs, resultCount = 0) {
+    const name = String(scraper || 'unknown');
+    const status = outcome === 'success' ? 'success' : 'failure';
+    scraperRequests.inc({ scraper: name, outcome: normalizeOutcome(outcome) });
+    if (Number.isFinite(durationMs) && durationMs > 0) {
+        scraperDuration.observe({ scraper: name, status }, durationMs / 1000);
+    }
+    if (status === 'success' && resultCount > 0) scraperResults.inc({ scraper: name }, resultCount);
+}
+
+/**
+ * @param {string} provider
+ * @param {number} durationMs
+ * @param {string} status - 'success', 'timeout' or 'error'
+ */
+export function observeProviderSearch(provider, durationMs, status) {
+    providerSearchDuration.observe({ provider: String(provider || 'unknown').toLowerCase(), status }, Math.max(0, durationMs) / 1000);
+}
+
+/**
+ * @param {string} provider
+ * @param {number} durationMs
+ * @param {boolean} success - A playable URL came back
+ */
+export function observeResolve(provider, durationMs, success) {
+    resolveDuration.observe({ provider: String(provider || 'unknown').toLowerCase(), status: success ? 'success' : 'failure' }, Math.max(0, durationMs) / 1000);
+}
+
+/**
+ * @param {string} cache - e.g. 'search', 'resolve'
+ * @param {boolean} hit
+ */
+export function observeCacheLookup(cache, hit) {
+    cacheLookups.inc({ cache, result: hit ? 'hit' : 'miss' });
+}
+
+function normalizeOutcome(outcome) {
+    switch (outcome) {
+        case 'success':
+        case 'timeout':
+        case 'captcha':
+            return outcome;
+        case 'rate_limit':
+        case '429':
+            return 'rate_limit';
+        case 'server_error':
+        case '5xx':
+            return 'server_error';
+        default:
+            return 'error';
+    }
+}
+
+/**
+ * The exposition text for a scrape: all workers merged under cluster.js, else this process.
+ * @returns {Promise<{contentType: string, body: string}>}
+ */
+export async function getMetrics() {
+    if (hasPrimary()) {
+        return { contentType: registry.contentType, body: await requestFromPrimary(METRICS_REQUEST, CLUSTER_METRICS_TIMEOUT_MS) };
+    }
+    return { contentType: registry.contentType, body: await registry.metrics() };
+}
+
+/**
+ * Master side of getMetrics(): answers worker requests with the merged metrics of all workers.
+ */
+export function serveClusterMetrics() {
+    const aggregator = new AggregatorRegistry();
+    handleWorkerRequests(METRICS_REQUEST, () => aggregator.clusterMetrics());
+}
+
+export default {
+    registry,
+    addSampler,
+    observeScraper,
+    observeProviderSearch,
+    observeResolve,
+    observeCacheLookup,
+    getMetrics,
+    serveClusterMetrics
+};
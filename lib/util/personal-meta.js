@@ -0,0 +1,77 @@
+// lib/util/personal-meta.js
+// IDs and video lists for browsing cloud torrents that could not be matched to IMDb.
+//
+//   sootio:<service>:<torrentId>           -> one cloud torrent (catalog item / meta)
+//   sootio:<service>:<torrentId>:<fileId>  -> one file inside it (meta video / stream)
+
+export const PERSONAL_ID_PREFIX = 'sootio';
+
+// Services whose torrents can be opened by ID
+export const PERSONAL_META_SERVICES = ['realdebrid', 'alldebrid', 'torbox'];
+
+/**
+ * @param {string} service - Provider name, any case ("RealDebrid")
+ * @param {string|number} torrentId - Torrent / magnet ID on that service
+ * @param {string|number} [fileId] - File ID inside the torrent
+ * @returns {string} Sootio ID
+ */
+export function buildPersonalId(service, torrentId, fileId = null) {
+    const parts = [PERSONAL_ID_PREFIX, String(service).toLowerCase(), torrentId];
+    if (fileId !== null && fileId !== undefined) parts.push(fileId);
+    return parts.join(':');
+}
+
+/**
+ * @param {string} id - Stremio ID
+ * @returns {{service: string, torrentId: string, fileId: string|null}|null} Null for foreign or malformed IDs
+ */
+export function parsePersonalId(id) {
+    const parts = String(id || '').split(':');
+    if (parts[0] !== PERSONAL_ID_PREFIX || parts.length < 3 || parts.length > 4) return null;
+    const [, service, torrentId, fileId = null] = parts;
+    if (!PERSONAL_META_SERVICES.includes(service) || !torrentId) return null;
+    return { service, torrentId, fileId };
+}
+
+/**
+ * Orders a torrent's files as Stremio videos. Files with a parsed season/episode keep
+ * their numbers (packs default to season 1); the rest are listed after them in
+ * name order under season 0.
+ * @param {string} service - Normalized service name
+ * @param {Object} details - Provider `getTorrentDetails` result ({ id, videos: [{ id, name, size, created, info }] })
+ * @returns {Array<{id: string, file: Object, title: string, season: number, episode: number, released: string}>}
+ */
+export function buildMetaVideos(service, details) {
+    const files = Array.isArray(details?.videos) ? details.videos : [];
+    const episodic = [];
+    const other = [];
+    files.forEach(file => {
+        const info = file.info || {};
+        if (info.episode != null) {
+            episodic.push({ file, season: Number(info.season ?? 1), episode: Number(Array.isArray(info.episode) ? info.episode[0] : info.episode) });
+        } else {
+            other.push({ file });
+        }
+    });
+    episodic.sort((a, b) => a.season - b.season || a.episode - b.episode || a.file.name.localeCompare(b.file.name));
+    other.sort((a, b) => a.file.name.localeCompare(b.file.name));
+    other.forEach((entry, index) => {
+        entry.season = 0;
+        entry.episode = index + 1;
+    });
+
+    return [...episodic, ...other].map(({ file, season, episode }) => {
+        const fileId = String(file.id).split(':').pop();
+        const created = new Date(file.created || details.created || 0);
+        return {
+            id: buildPersonalId(service, details.id, fileId),
+            file,
+            title: String(file.name).split('/').pop(),
+            season,
+            episode,
+            released: (Number.isNaN(created.getTime()) ? new Date(0) : created).toISOString()
+        };
+    });
+}
+
+export default { PERSONAL_ID_PREFIX, PERSONAL_META_SERVICES, buildPersonalId, parsePersonalId, buildMetaVideos };
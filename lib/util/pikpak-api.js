@@ -0,0 +1,203 @@
+// lib/util/pikpak-api.js
+// Minimal PikPak drive client: sign-in, offline (magnet) downloads, folders and download links.
+// PikPak has no public API docs or cache-check endpoint; these are the endpoints its web
+// client uses. Offline downloads of torrents PikPak already holds complete immediately.
+import { createHash } from 'crypto';
+import { isVideo } from './extension-util.js';
+
+const PIKPAK_AUTH_URL = process.env.PIKPAK_AUTH_URL || 'https://user.mypikpak.com/v1';
+const PIKPAK_DRIVE_URL = process.env.PIKPAK_DRIVE_URL || 'https://api-drive.mypikpak.com/drive/v1';
+// Public web-client credentials, as used by every third-party PikPak client
+const PIKPAK_CLIENT_ID = process.env.PIKPAK_CLIENT_ID || 'YNxT9w7GMdWvEOKa';
+const PIKPAK_CLIENT_SECRET = process.env.PIKPAK_CLIENT_SECRET || 'dbw2OtmVEeuUvIptb1Coyg';
+const PIKPAK_TIMEOUT_MS = parseInt(process.env.PIKPAK_TIMEOUT_MS || '15000', 10);
+const MAX_FOLDER_DEPTH = 3;
+
+const COMPLETE_PHASE = 'PHASE_TYPE_COMPLETE';
+const ERROR_PHASE = 'PHASE_TYPE_ERROR';
+
+// Access tokens per account, so each request does not sign in again
+const tokenCache = new Map();
+
+async function pikpakRequest(url, { method = 'GET', accessToken, body, timeoutMs = PIKPAK_TIMEOUT_MS } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const headers = { 'Content-Type': 'application/json' };
+        if (accessToken) headers.Authorization = `Bearer ${accessToken}`;
+        const response = await fetch(url, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        });
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : null;
+        if (!response.ok || data?.error) {
+            // PikPak errors look like { error: 'captcha_invalid', error_code: 4002, error_description: '...' }
+            const error = new Error(`PikPak ${new URL(url).pathname} failed: ${data?.error || `HTTP ${response.status}`}`);
+            error.status = response.status;
+            error.code = data?.error || null;
+            throw error;
+        }
+        return data;
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`PikPak request timed out after ${timeoutMs}ms`);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * PikPak has no API keys; the config's key field holds "email:password".
+ * @param {string} apiKey - Key field from the config
+ * @returns {{username: string, password: string}}
+ */
+export function parseCredentials(apiKey = '') {
+    const separator = String(apiKey).indexOf(':');
+    if (separator <= 0) throw new Error('PikPak credentials must be "email:password"');
+    return { username: apiKey.slice(0, separator), password: apiKey.slice(separator + 1) };
+}
+
+/**
+ * @param {Object} file - PikPak file or folder
+ * @returns {string|null} Direct download URL
+ */
+export function getDownloadUrl(file) {
+    return file?.web_content_link || file?.medias?.find(media => media?.link?.url)?.link?.url || null;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.username - Account email
+ * @param {string} options.password - Account password
+ * @param {string} [options.authUrl] - Auth API root (tests point this at a mock server)
+ * @param {string} [options.driveUrl] - Drive API root (tests point this at a mock server)
+ */
+export function createPikPakClient({ username, password, authUrl = PIKPAK_AUTH_URL, driveUrl = PIKPAK_DRIVE_URL } = {}) {
+    const accountKey = createHash('sha256').update(`${authUrl}:${username}:${password}`).digest('hex');
+    const deviceId = accountKey.slice(0, 32);
+
+    async function signIn() {
+        const { captcha_token: captchaToken } = await pikpakRequest(`${authUrl}/shield/captcha/init`, {
+            method: 'POST',
+            body: { client_id: PIKPAK_CLIENT_ID, device_id: deviceId, action: 'POST:/v1/auth/signin', meta: { email: username } }
+        });
+        const data = await pikpakRequest(`${authUrl}/auth/signin`, {
+            method: 'POST',
+            body: { client_id: PIKPAK_CLIENT_ID, client_secret: PIKPAK_CLIENT_SECRET, username, password, captcha_token: captchaToken }
+        });
+        const token = { accessToken: data.access_token, expiresAt: Date.now() + ((data.expires_in || 3600) - 60) * 1000 };
+        tokenCache.set(accountKey, token);
+        return token.accessToken;
+    }
+
+    async function getAccessToken() {
+        const cached = tokenCache.get(accountKey);
+        if (cached && cached.expiresAt > Date.now()) return cached.accessToken;
+        return signIn();
+    }
+
+    // Signs in again once when the cached token was revoked early
+    async function request(path, options = {}) {
+        try {
+            return await pikpakRequest(`${driveUrl}${path}`, { ...options, accessToken: await getAccessToken() });
+        } catch (error) {
+            if (error.status !== 401) throw error;
+            tokenCache.delete(accountKey);
+            return pikpakRequest(`${driveUrl}${path}`, { ...options, accessToken: await signIn() });
+        }
+    }
+
+    const client = {
+        /**
+         * Offline (torrent) downloads in the account, newest first.
+         * @returns {Promise<Array<Object>>} PikPak tasks
+         */
+        async listTasks() {
+            const filters = encodeURIComponent(JSON.stringify({ phase: { in: 'PHASE_TYPE_RUNNING,PHASE_TYPE_ERROR,PHASE_TYPE_COMPLETE,PHASE_TYPE_PENDING' } }));
+            const data = await request(`/tasks?type=offline&limit=200&filters=${filters}`);
+            return data?.tasks || [];
+        },
+
+        /**
+         * @param {string} url - Magnet link
+         * @returns {Promise<Object>} Offline task; `phase` is already complete when PikPak holds the torrent
+         */
+        async addOfflineTask(url) {
+            const data = await request('/files', {
+                method: 'POST',
+                body: { kind: 'drive#file', name: '', upload_type: 'UPLOAD_TYPE_URL', url: { url }, folder_type: 'DOWNLOAD' }
+            });
+            return data?.task;
+        },
+
+        /**
+         * @param {Array<string>} taskIds
+         */
+        async deleteTasks(taskIds) {
+            await request(`/tasks?task_ids=${taskIds.join(',')}&delete_files=true`, { method: 'DELETE' });
+            return true;
+        },
+
+        /**
+         * @param {string} fileId
+         * @returns {Promise<Object>} File or folder, with download links for files
+         */
+        async getFile(fileId) {
+            return request(`/files/${fileId}?usage=FETCH`);
+        },
+
+        /**
+         * Polls a downloaded file until PikPak finishes it.
+         * @param {string} fileId - Task's file_id
+         * @param {number} [timeout] - Give up after this many ms
+         * @param {number} [interval] - Poll interval in ms
+         * @returns {Promise<Object|null>} Completed file, or null on timeout or error
+         */
+        async waitForFileReady(fileId, timeout = 60000, interval = 2000) {
+            const startTime = Date.now();
+            while (Date.now() - startTime < timeout) {
+                const file = await client.getFile(fileId);
+                if (file?.phase === COMPLETE_PHASE) return file;
+                if (file?.phase === ERROR_PHASE) return null;
+                await delay(interval);
+            }
+            return null;
+        },
+
+        /**
+         * Video files of a downloaded file or folder; names carry the folder path.
+         * @param {Object} root - File from getFile
+         * @returns {Promise<Array<{id: string, name: string, size: number}>>}
+         */
+        async listVideos(root) {
+            if (root?.kind !== 'drive#folder') {
+                return root && isVideo(root.name) ? [{ id: root.id, name: root.name, size: Number(root.size) || 0 }] : [];
+            }
+            const videos = [];
+            const filters = encodeURIComponent(JSON.stringify({ trashed: { eq: false } }));
+            const walk = async (folderId, prefix, depth) => {
+                const data = await request(`/files?parent_id=${folderId}&limit=500&filters=${filters}`);
+                for (const entry of data?.files || []) {
+                    const name = `${prefix}/${entry.name}`;
+                    if (entry.kind === 'drive#folder' && depth < MAX_FOLDER_DEPTH) {
+                        await walk(entry.id, name, depth + 1);
+                    } else if (isVideo(entry.name)) {
+                        videos.push({ id: entry.id, name, size: Number(entry.size) || 0 });
+                    }
+                }
+            };
+            await walk(root.id, root.name, 1);
+            return videos;
+        }
+    };
+    return client;
+}
+
+export default { createPikPakClient, parseCredentials, getDownloadUrl };
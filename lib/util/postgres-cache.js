@@ -8,6 +8,8 @@ import { closePool, getPool, initPool, isPostgresAvailable } from './postgres-cl
 let initPromise = null;
 let cleanupIntervalId = null;
 const debug = process.env.SQLITE_DEBUG_LOGS === 'true' || process.env.DEBUG_SQLITE === 'true';
+// Journal rows of accounts that never come back are dropped after this long
+const TEMP_MAGNET_JOURNAL_MAX_AGE_MS = Number(process.env.TEMP_MAGNET_JOURNAL_MAX_AGE_DAYS || 30) * 24 * 60 * 60 * 1000;
 
 // Rate limiting for upserts to prevent pool exhaustion
 const UPSERT_CONCURRENCY = Number(process.env.POSTGRES_UPSERT_CONCURRENCY) || 5;
@@ -63,6 +65,57 @@ async function createTables(pool) {
   await pool.query('CREATE INDEX IF NOT EXISTS idx_cache_expires_at ON cache(expires_at)');
   await pool.query('CREATE INDEX IF NOT EXISTS idx_cache_hash_service ON cache(hash, service)');
   await pool.query('CREATE INDEX IF NOT EXISTS idx_cache_release_key_prefix ON cache(release_key text_pattern_ops)');
+
+  // Temporary magnets added to user accounts during cache checks, until they are deleted
+  // (see lib/util/temp-magnet-journal.js). account_key is a hash, never the API key.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS temp_magnets (
+      service TEXT NOT NULL,
+      account_key TEXT NOT NULL,
+      torrent_id TEXT NOT NULL,
+      hash TEXT,
+      created_at BIGINT NOT NULL,
+      PRIMARY KEY (service, account_key, torrent_id)
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_temp_magnets_created_at ON temp_magnets(created_at)');
+
+  // Per-scraper circuit breaker state, shared by all workers (see lib/util/scraper-circuit.js)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS scraper_circuits (
+      scraper TEXT PRIMARY KEY,
+      state TEXT NOT NULL,
+      failures INTEGER NOT NULL DEFAULT 0,
+      trips INTEGER NOT NULL DEFAULT 0,
+      opened_at BIGINT,
+      retry_at BIGINT,
+      probe_at BIGINT,
+      last_error TEXT,
+      last_message TEXT,
+      updated_at BIGINT NOT NULL
+    )
+  `);
+
+  // Pinned ("keep") cloud torrents per debrid account (see lib/util/library-pins.js).
+  // account_key is a hash, never the API key.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS library_pins (
+      account_key TEXT NOT NULL,
+      torrent_id TEXT NOT NULL,
+      pinned_at BIGINT NOT NULL,
+      PRIMARY KEY (account_key, torrent_id)
+    )
+  `);
+
+  // Short references in /resolve links to sealed API keys (see encodeResolveApiKey in
+  // lib/util/configuration.js). One row per key; only the sealed key is stored.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS key_references (
+      ref TEXT PRIMARY KEY,
+      sealed_key TEXT NOT NULL,
+      updated_at BIGINT NOT NULL
+    )
+  `);
 }
 
 export async function initSqlite() {
@@ -127,6 +180,11 @@ function setupCleanupJob() {
       } else if (debug) {
         console.log(`[POSTGRES CACHE] No expired cache entries to clean up (checked in ${duration}ms)`);
       }
+
+      const journal = await pool.query('DELETE FROM temp_magnets WHERE created_at < $1', [Date.now() - TEMP_MAGNET_JOURNAL_MAX_AGE_MS]);
+      if (journal.rowCount > 0) {
+        console.log(`[POSTGRES CACHE] Dropped ${journal.rowCount} abandoned temporary magnet journal entries`);
+      }
     } catch (error) {
       console.error(`[POSTGRES CACHE] Error cleaning up expired entries: ${error.message}`);
     }
@@ -782,7 +840,7 @@ export async function getCachedScraperResults(type, imdbId, season = null, episo
     }
 
     const startTime = Date.now();
-    const services = ['scraper-results', 'realdebrid', 'alldebrid', 'torbox', 'premiumize', 'offcloud', 'debridlink', 'debrider'];
+    const services = ['scraper-results', 'realdebrid', 'alldebrid', 'torbox', 'premiumize', 'offcloud', 'debridlink', 'putio', 'pikpak', 'debrider'];
     const result = await pool.query(`
       SELECT hash, file_name, size, data, release_key, category, resolution, updated_at
       FROM cache
@@ -905,6 +963,376 @@ export async function cleanupHttpStreamsCache(days = null) {
   }
 }
 
+/**
+ * Journals temporary magnets added to a user's account.
+ * @param {string} service - e.g. "realdebrid"
+ * @param {string} accountKey - Hash of service + API key
+ * @param {Array<{torrentId: string, hash?: string}>} entries
+ */
+export async function recordTempMagnets(service, accountKey, entries) {
+  if (!isEnabled() || !entries?.length) return false;
+  try {
+    const pool = await getDatabase();
+    if (!pool) return false;
+    const now = Date.now();
+    const values = [];
+    const rows = entries.map((entry, index) => {
+      values.push(String(entry.torrentId), entry.hash ? String(entry.hash).toLowerCase() : null);
+      return `($1, $2, $${index * 2 + 4}, $${index * 2 + 5}, $3)`;
+    });
+    await pool.query(
+      `INSERT INTO temp_magnets (service, account_key, torrent_id, hash, created_at)
+       VALUES ${rows.join(', ')}
+       ON CONFLICT (service, account_key, torrent_id) DO NOTHING`,
+      [service, accountKey, now, ...values]
+    );
+    return true;
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error journaling temporary magnets: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Removes journal entries, by torrent ID or (with `hash`) every entry of that hash.
+ * @returns {Promise<number>} Removed entries
+ */
+export async function forgetTempMagnets(service, accountKey, { torrentIds = [], hash = null } = {}) {
+  if (!isEnabled() || (!torrentIds.length && !hash)) return 0;
+  try {
+    const pool = await getDatabase();
+    if (!pool) return 0;
+    const result = hash
+      ? await pool.query('DELETE FROM temp_magnets WHERE service = $1 AND account_key = $2 AND hash = $3',
+        [service, accountKey, String(hash).toLowerCase()])
+      : await pool.query('DELETE FROM temp_magnets WHERE service = $1 AND account_key = $2 AND torrent_id = ANY($3)',
+        [service, accountKey, torrentIds.map(String)]);
+    return result.rowCount || 0;
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error removing temporary magnet journal entries: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * @param {number} [olderThan] - Only entries journaled before this epoch ms
+ * @returns {Promise<Array<{torrentId: string, hash: string|null, createdAt: number}>>} Oldest first
+ */
+export async function getTempMagnets(service, accountKey, olderThan = Date.now()) {
+  if (!isEnabled()) return [];
+  try {
+    const pool = await getDatabase();
+    if (!pool) return [];
+    const result = await pool.query(
+      `SELECT torrent_id, hash, created_at FROM temp_magnets
+       WHERE service = $1 AND account_key = $2 AND created_at <= $3
+       ORDER BY created_at`,
+      [service, accountKey, olderThan]
+    );
+    return result.rows.map(row => ({ torrentId: row.torrent_id, hash: row.hash, createdAt: Number(row.created_at) }));
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error reading temporary magnet journal: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * @returns {Promise<Array<{service: string, pending: number, accounts: number, oldestAt: number}>>} Pending cleanups per service
+ */
+export async function getTempMagnetSummary() {
+  if (!isEnabled()) return [];
+  try {
+    const pool = await getDatabase();
+    if (!pool) return [];
+    const result = await pool.query(`
+      SELECT service, COUNT(*) AS pending, COUNT(DISTINCT account_key) AS accounts, MIN(created_at) AS oldest_at
+      FROM temp_magnets GROUP BY service ORDER BY service
+    `);
+    return result.rows.map(row => ({
+      service: row.service,
+      pending: Number(row.pending),
+      accounts: Number(row.accounts),
+      oldestAt: Number(row.oldest_at)
+    }));
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error summarizing temporary magnet journal: ${error.message}`);
+    return [];
+  }
+}
+
+const CIRCUIT_COLUMNS = 'scraper, state, failures, trips, opened_at, retry_at, probe_at, last_error, last_message, updated_at';
+
+function optionalNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function circuitFromRow(row) {
+  return {
+    scraper: row.scraper,
+    state: row.state,
+    failures: Number(row.failures),
+    trips: Number(row.trips),
+    openedAt: optionalNumber(row.opened_at),
+    retryAt: optionalNumber(row.retry_at),
+    probeAt: optionalNumber(row.probe_at),
+    lastError: row.last_error,
+    lastMessage: row.last_message,
+    updatedAt: Number(row.updated_at)
+  };
+}
+
+/**
+ * @returns {Promise<Array<Object>>} Stored scraper circuits; a scraper without failures has none
+ */
+export async function getScraperCircuits() {
+  if (!isEnabled()) return [];
+  try {
+    const pool = await getDatabase();
+    if (!pool) return [];
+    const result = await pool.query(`SELECT ${CIRCUIT_COLUMNS} FROM scraper_circuits ORDER BY scraper`);
+    return result.rows.map(circuitFromRow);
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error reading scraper circuits: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * @param {string} scraper
+ * @returns {Promise<Object|null>}
+ */
+export async function getScraperCircuit(scraper) {
+  if (!isEnabled()) return null;
+  try {
+    const pool = await getDatabase();
+    if (!pool) return null;
+    const result = await pool.query(`SELECT ${CIRCUIT_COLUMNS} FROM scraper_circuits WHERE scraper = $1`, [scraper]);
+    return result.rows.length ? circuitFromRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error reading scraper circuit: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * @param {Object} circuit - As returned by getScraperCircuit()
+ */
+export async function saveScraperCircuit(circuit) {
+  if (!isEnabled()) return false;
+  try {
+    const pool = await getDatabase();
+    if (!pool) return false;
+    await pool.query(
+      `INSERT INTO scraper_circuits (${CIRCUIT_COLUMNS})
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (scraper) DO UPDATE SET
+         state = EXCLUDED.state,
+         failures = EXCLUDED.failures,
+         trips = EXCLUDED.trips,
+         opened_at = EXCLUDED.opened_at,
+         retry_at = EXCLUDED.retry_at,
+         probe_at = EXCLUDED.probe_at,
+         last_error = EXCLUDED.last_error,
+         last_message = EXCLUDED.last_message,
+         updated_at = EXCLUDED.updated_at`,
+      [circuit.scraper, circuit.state, circuit.failures, circuit.trips, circuit.openedAt, circuit.retryAt,
+        circuit.probeAt, circuit.lastError, circuit.lastMessage, circuit.updatedAt]
+    );
+    return true;
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error saving scraper circuit: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Counts a failed run in one statement, so failures reported by several workers all add up.
+ * Opens the circuit when the run was its probe or the failures reach `policy.threshold`.
+ * @param {Object} initial - The row to insert when the scraper has none: its first failure
+ * @param {{threshold: number, baseCooldownMs: number, maxCooldownMs: number}} policy
+ * @returns {Promise<Object|null>} The stored circuit
+ */
+export async function recordScraperCircuitFailure(initial, { threshold, baseCooldownMs, maxCooldownMs }) {
+  if (!isEnabled()) return null;
+  try {
+    const pool = await getDatabase();
+    if (!pool) return null;
+    const opens = "(scraper_circuits.state = 'half_open' OR (scraper_circuits.state = 'closed' AND scraper_circuits.failures + 1 >= $11))";
+    const result = await pool.query(
+      `INSERT INTO scraper_circuits (${CIRCUIT_COLUMNS})
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (scraper) DO UPDATE SET
+         failures = scraper_circuits.failures + 1,
+         state = CASE WHEN ${opens} THEN 'open' ELSE scraper_circuits.state END,
+         trips = CASE WHEN ${opens} THEN scraper_circuits.trips + 1 ELSE scraper_circuits.trips END,
+         opened_at = CASE WHEN ${opens} THEN EXCLUDED.updated_at ELSE scraper_circuits.opened_at END,
+         retry_at = CASE WHEN ${opens}
+           THEN EXCLUDED.updated_at + LEAST($13::bigint, $12::bigint << LEAST(scraper_circuits.trips, 30)::int)
+           ELSE scraper_circuits.retry_at END,
+         probe_at = CASE WHEN ${opens} THEN NULL ELSE scraper_circuits.probe_at END,
+         last_error = EXCLUDED.last_error,
+         last_message = EXCLUDED.last_message,
+         updated_at = EXCLUDED.updated_at
+       RETURNING ${CIRCUIT_COLUMNS}`,
+      [initial.scraper, initial.state, initial.failures, initial.trips, initial.openedAt, initial.retryAt,
+        initial.probeAt, initial.lastError, initial.lastMessage, initial.updatedAt, threshold, baseCooldownMs, maxCooldownMs]
+    );
+    return result.rows.length ? circuitFromRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error recording scraper failure: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Moves an open circuit whose cool-down ended (or a half-open one whose probe went silent
+ * before `staleBefore`) to half-open, for one caller only.
+ * @returns {Promise<boolean>} True if this caller runs the probe
+ */
+export async function claimScraperProbe(scraper, now, staleBefore) {
+  if (!isEnabled()) return false;
+  try {
+    const pool = await getDatabase();
+    if (!pool) return false;
+    const result = await pool.query(
+      `UPDATE scraper_circuits SET state = 'half_open', probe_at = $2, updated_at = $2
+       WHERE scraper = $1 AND ((state = 'open' AND retry_at <= $2) OR (state = 'half_open' AND probe_at <= $3))`,
+      [scraper, now, staleBefore]
+    );
+    return result.rowCount === 1;
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error claiming scraper probe: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * @param {string|null} [scraper] - Omit to reset every circuit
+ * @returns {Promise<number>} Removed circuits
+ */
+export async function deleteScraperCircuits(scraper = null) {
+  if (!isEnabled()) return 0;
+  try {
+    const pool = await getDatabase();
+    if (!pool) return 0;
+    const result = scraper
+      ? await pool.query('DELETE FROM scraper_circuits WHERE scraper = $1', [scraper])
+      : await pool.query('DELETE FROM scraper_circuits');
+    return result.rowCount || 0;
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error resetting scraper circuits: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * @param {string} accountKey - Hash of service + API key
+ * @returns {Promise<Array<string>>} Pinned torrent IDs, newest first
+ */
+export async function getLibraryPins(accountKey) {
+  if (!isEnabled()) return [];
+  try {
+    const pool = await getDatabase();
+    if (!pool) return [];
+    const result = await pool.query(
+      'SELECT torrent_id FROM library_pins WHERE account_key = $1 ORDER BY pinned_at DESC',
+      [accountKey]
+    );
+    return result.rows.map(row => row.torrent_id);
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error reading library pins: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Pins torrents of an account, keeping only its newest `maxPins` pins.
+ * @param {string} accountKey - Hash of service + API key
+ * @param {Array<{torrentId: string, pinnedAt: number}>} pins - Distinct torrent IDs
+ * @param {number} maxPins
+ * @returns {Promise<boolean>} Whether the pins were stored
+ */
+export async function addLibraryPins(accountKey, pins, maxPins) {
+  if (!isEnabled() || !pins?.length) return false;
+  try {
+    const pool = await getDatabase();
+    if (!pool) return false;
+    await pool.query(
+      `INSERT INTO library_pins (account_key, torrent_id, pinned_at)
+       SELECT $1, pin.torrent_id, pin.pinned_at FROM unnest($2::text[], $3::bigint[]) AS pin(torrent_id, pinned_at)
+       ON CONFLICT (account_key, torrent_id) DO UPDATE SET pinned_at = GREATEST(library_pins.pinned_at, EXCLUDED.pinned_at)`,
+      [accountKey, pins.map(pin => String(pin.torrentId)), pins.map(pin => pin.pinnedAt)]
+    );
+    await pool.query(
+      `DELETE FROM library_pins WHERE account_key = $1 AND torrent_id NOT IN (
+         SELECT torrent_id FROM library_pins WHERE account_key = $1 ORDER BY pinned_at DESC LIMIT $2
+       )`,
+      [accountKey, maxPins]
+    );
+    return true;
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error saving library pins: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * @param {string} accountKey - Hash of service + API key
+ * @param {string} torrentId
+ * @returns {Promise<boolean>} Whether the pin is gone
+ */
+export async function removeLibraryPin(accountKey, torrentId) {
+  if (!isEnabled()) return false;
+  try {
+    const pool = await getDatabase();
+    if (!pool) return false;
+    await pool.query('DELETE FROM library_pins WHERE account_key = $1 AND torrent_id = $2', [accountKey, String(torrentId)]);
+    return true;
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error removing library pin: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * @param {string} ref - Reference from referenceFor()
+ * @param {string} sealedKey - The sealed API key it stands for
+ * @returns {Promise<boolean>} Whether the reference was stored
+ */
+export async function saveKeyReference(ref, sealedKey) {
+  if (!isEnabled()) return false;
+  try {
+    const pool = await getDatabase();
+    if (!pool) return false;
+    await pool.query(
+      `INSERT INTO key_references (ref, sealed_key, updated_at) VALUES ($1, $2, $3)
+       ON CONFLICT (ref) DO UPDATE SET sealed_key = EXCLUDED.sealed_key, updated_at = EXCLUDED.updated_at`,
+      [ref, sealedKey, Date.now()]
+    );
+    return true;
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error saving key reference: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * @param {string} ref
+ * @returns {Promise<string|null>} The sealed API key, or null when the reference is unknown
+ */
+export async function getKeyReference(ref) {
+  if (!isEnabled()) return null;
+  try {
+    const pool = await getDatabase();
+    if (!pool) return null;
+    const result = await pool.query('SELECT sealed_key FROM key_references WHERE ref = $1', [ref]);
+    return result.rows[0]?.sealed_key || null;
+  } catch (error) {
+    console.error(`[POSTGRES CACHE] Error reading key reference: ${error.message}`);
+    return null;
+  }
+}
+
 export default {
   upsertCachedMagnet,
   upsertCachedMagnets,
@@ -922,5 +1350,20 @@ export default {
   getDatabase,
   getCachedScraperResults,
   getCachedHashesForRelease,
-  cleanupHttpStreamsCache
+  cleanupHttpStreamsCache,
+  recordTempMagnets,
+  forgetTempMagnets,
+  getTempMagnets,
+  getTempMagnetSummary,
+  getScraperCircuits,
+  getScraperCircuit,
+  saveScraperCircuit,
+  recordScraperCircuitFailure,
+  claimScraperProbe,
+  deleteScraperCircuits,
+  getLibraryPins,
+  addLibraryPins,
+  removeLibraryPin,
+  saveKeyReference,
+  getKeyReference
 };
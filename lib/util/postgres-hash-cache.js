@@ -7,7 +7,10 @@ import { closePool, getPool, initPool } from './postgres-client.js';
 let initTried = false;
 let isClosing = false;
 let cleanupIntervalId = null;
+let confirmationCleanupId = null;
 let initPromise = null;
+// Availability confirmations older than this no longer count (see lib/util/hash-confidence.js)
+const HASH_CONFIRMATION_MAX_AGE_MS = Number(process.env.HASH_CONFIRMATION_MAX_AGE_DAYS || 7) * 24 * 60 * 60 * 1000;
 const debug = (process.env.DEBRID_DEBUG_LOGS === 'true' || process.env.RD_DEBUG_LOGS === 'true' || process.env.SQLITE_DEBUG_LOGS === 'true' || process.env.DEBUG_SQLITE === 'true');
 
 function isEnabled() {
@@ -42,6 +45,19 @@ async function ensureConnected() {
         )
       `);
       await pool.query('CREATE INDEX IF NOT EXISTS idx_hash_cache_updated_at ON hash_cache(updated_at)');
+      // Latest availability answer per provider account, for cross-user confidence
+      // (see lib/util/hash-confidence.js). account_key is a hash, never the API key.
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS hash_confirmations (
+          provider TEXT NOT NULL,
+          hash TEXT NOT NULL,
+          account_key TEXT NOT NULL,
+          cached BOOLEAN NOT NULL,
+          confirmed_at BIGINT NOT NULL,
+          PRIMARY KEY (provider, hash, account_key)
+        )
+      `);
+      await pool.query('CREATE INDEX IF NOT EXISTS idx_hash_confirmations_confirmed_at ON hash_confirmations(confirmed_at)');
 
       if (!initTried) {
         console.log('[POSTGRES-CACHE] Cache enabled');
@@ -150,11 +166,85 @@ export async function upsertHashes(provider, statuses = []) {
   }
 }
 
+/**
+ * Records what a provider answered for these hashes when asked with one account.
+ * @param {string} provider
+ * @param {string} accountKey - Hash of provider + API key
+ * @param {Array<{hash: string, cached: boolean}>} statuses
+ */
+export async function recordHashConfirmations(provider, accountKey, statuses = []) {
+  const ok = await ensureConnected();
+  if (!ok || !accountKey || !Array.isArray(statuses) || statuses.length === 0) return false;
+
+  const valid = statuses.filter(status => status?.hash);
+  if (valid.length === 0) return false;
+  try {
+    const values = [];
+    const rows = valid.map((status, index) => {
+      values.push(String(status.hash).toLowerCase(), Boolean(status.cached));
+      return `($1, $${index * 2 + 4}, $2, $${index * 2 + 5}, $3)`;
+    });
+    await getPool().query(
+      `INSERT INTO hash_confirmations (provider, hash, account_key, cached, confirmed_at)
+       VALUES ${rows.join(', ')}
+       ON CONFLICT (provider, hash, account_key)
+       DO UPDATE SET cached = EXCLUDED.cached, confirmed_at = EXCLUDED.confirmed_at`,
+      [String(provider).toLowerCase(), accountKey, Date.now(), ...values]
+    );
+    return true;
+  } catch (error) {
+    if (debug) {
+      console.error(`[POSTGRES-CACHE] [${provider}] Error recording hash confirmations: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+/**
+ * @param {string} provider
+ * @param {Array<string>} hashes
+ * @param {number} [since] - Ignore confirmations before this epoch ms
+ * @returns {Promise<Array<{hash: string, confirmations: number, lastCachedAt: number|null, lastUncachedAt: number|null}>>}
+ * confirmations counts the accounts whose latest answer was "cached"
+ */
+export async function getHashConfirmations(provider, hashes = [], since = 0) {
+  const ok = await ensureConnected();
+  if (!ok || !Array.isArray(hashes) || hashes.length === 0) return [];
+
+  try {
+    const result = await getPool().query(
+      `SELECT hash,
+         COUNT(*) FILTER (WHERE cached) AS confirmations,
+         MAX(confirmed_at) FILTER (WHERE cached) AS last_cached_at,
+         MAX(confirmed_at) FILTER (WHERE NOT cached) AS last_uncached_at
+       FROM hash_confirmations
+       WHERE provider = $1 AND hash = ANY($2) AND confirmed_at >= $3
+       GROUP BY hash`,
+      [String(provider).toLowerCase(), hashes.map(hash => String(hash).toLowerCase()), since]
+    );
+    return result.rows.map(row => ({
+      hash: row.hash,
+      confirmations: Number(row.confirmations),
+      lastCachedAt: row.last_cached_at == null ? null : Number(row.last_cached_at),
+      lastUncachedAt: row.last_uncached_at == null ? null : Number(row.last_uncached_at)
+    }));
+  } catch (error) {
+    if (debug) {
+      console.error(`[POSTGRES-CACHE] [${provider}] Error reading hash confirmations: ${error.message}`);
+    }
+    return [];
+  }
+}
+
 function setupCleanupJob() {
   if (cleanupIntervalId) {
     clearInterval(cleanupIntervalId);
     cleanupIntervalId = null;
   }
+  if (confirmationCleanupId) {
+    clearInterval(confirmationCleanupId);
+    confirmationCleanupId = null;
+  }
 
   const ttlDays = parseInt(process.env.SQLITE_CACHE_TTL_DAYS || '0', 10);
   if (ttlDays > 0) {
@@ -180,6 +270,18 @@ function setupCleanupJob() {
   } else if (debug) {
     console.log('[POSTGRES-CACHE] TTL cleanup not configured (SQLITE_CACHE_TTL_DAYS is 0 or not set)');
   }
+
+  // Confirmations expire regardless of the TTL setting
+  confirmationCleanupId = setInterval(async () => {
+    try {
+      const result = await getPool().query('DELETE FROM hash_confirmations WHERE confirmed_at < $1', [Date.now() - HASH_CONFIRMATION_MAX_AGE_MS]);
+      if (result.rowCount > 0) {
+        console.log(`[POSTGRES-CACHE] Dropped ${result.rowCount} outdated hash confirmations`);
+      }
+    } catch (error) {
+      console.error(`[POSTGRES-CACHE] Error cleaning up hash confirmations: ${error.message}`);
+    }
+  }, 30 * 60 * 1000);
 }
 
 export async function closeConnection() {
@@ -190,6 +292,10 @@ export async function closeConnection() {
     clearInterval(cleanupIntervalId);
     cleanupIntervalId = null;
   }
+  if (confirmationCleanupId) {
+    clearInterval(confirmationCleanupId);
+    confirmationCleanupId = null;
+  }
 
   try {
     await closePool();
@@ -211,4 +317,4 @@ export async function initCleanup() {
 
 export { isEnabled };
 
-export default { checkHashesCached, upsertHashes, closeConnection, initCleanup, isEnabled };
+export default { checkHashesCached, upsertHashes, recordHashConfirmations, getHashConfirmations, closeConnection, initCleanup, isEnabled };
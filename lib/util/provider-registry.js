@@ -0,0 +1,179 @@
+// lib/util/provider-registry.js
+// Declarative registry of debrid, usenet and home-media providers. Each provider module
+// registers what it can do; stream search, resolving, catalogs and the library page dispatch
+// through here instead of branching on provider names. lib/providers.js loads every module.
+
+/**
+ * Capabilities a provider may register. Everything except the metadata is optional.
+ *
+ *   search(apiKey, type, id, config, ctx)      -> torrent results for a title; ctx: { clientIp, isBackgroundRefresh }
+ *   personalFiles.search(apiKey, searchKey, ctx) -> the user's own files matching a title; ctx: { type, season, episode, clientIp }
+ *   personalFiles.list(apiKey, ctx)            -> every downloaded file, for the personal catalog; ctx: { homeMediaUrl }
+ *   cacheCheck(apiKey, hashes)                 -> Set of the hashes the provider can stream instantly
+ *   catalog.list(apiKey)                       -> [{ id, name, hash }] for the torrent catalog
+ *   catalog.search(apiKey, searchKey)          -> same, when the provider has a search API (else list + fuzzy match)
+ *   catalog.details(apiKey, torrentId)         -> torrent with files, for catalog metas
+ *   library(apiKey, { includeInactive })       -> [{ id, name, size, hash, magnet?, status }] for the library page
+ *   delete(apiKey, torrentId)                  -> true, throws on failure
+ *   addMagnet(apiKey, magnet)                  -> new torrent ID
+ *   downloadStatus(apiKey, torrentId)          -> { status: ready|downloading|dead, progress: 0-100 } of one added torrent
+ *   resolve(apiKey, url, ctx)                  -> direct URL; ctx: { itemId, clientIp, config, onUncached(hash) }
+ *   usenetSubmit(apiKey, nzbUrl, ctx)          -> direct URL once the NZB is downloaded; ctx: { config }
+ *   streams(service, type, id, ctx)            -> finished Stremio streams, for providers outside the torrent
+ *                                                 pipeline; service is the DebridServices row, ctx: { config }
+ *   subtitles(apiKey, video, ctx)              -> [{ name, url, lang }] subtitle files next to the playing video;
+ *                                                 url goes through resolve (home media: direct); ctx: { homeMediaUrl }
+ *   accountInfo(apiKey)                        -> { premium, expiresAt: ISO date|null, quotaExhausted, renewUrl } for expiry warnings
+ */
+export const CAPABILITIES = ['search', 'personalFiles', 'cacheCheck', 'catalog', 'library', 'delete', 'addMagnet', 'downloadStatus', 'resolve', 'usenetSubmit', 'streams', 'subtitles', 'accountInfo'];
+
+// Capabilities registered as objects of functions rather than a single function
+const GROUPED_CAPABILITIES = {
+    personalFiles: ['search', 'list'],
+    catalog: ['list', 'search', 'details']
+};
+
+/**
+ * Stream-result options a provider may set:
+ *   movieFilter: 'year' | 'movie-only'   - year check; 'movie-only' also drops episodes and packs
+ *   seriesFilter: 'episode' | 'title-episode' - episode check; 'title-episode' also matches the series title
+ *   episodeHint: true   - the resolver picks the episode file from the whole torrent
+ *   preformatted: true  - cached results may already be streams; they keep the provider's order
+ *   formatter: 'debrider' - results are Debrider.app tasks rather than torrents
+ *   timeout: 'usenet'   - the streams capability runs under USENET_TIMEOUT_MS instead of SERVICE_TIMEOUT_MS
+ */
+const RESULT_OPTIONS = {
+    movieFilter: ['year', 'movie-only'],
+    seriesFilter: ['episode', 'title-episode'],
+    episodeHint: [true, false],
+    preformatted: [true, false],
+    formatter: ['debrider'],
+    timeout: ['usenet']
+};
+
+export function normalizeProviderKey(value) {
+    return String(value || '').replace(/[^a-z0-9]/gi, '').toLowerCase();
+}
+
+function validateCapability(providerName, capability, value) {
+    if (!CAPABILITIES.includes(capability)) {
+        throw new Error(`Provider ${providerName} registers unknown capability "${capability}"`);
+    }
+    const members = GROUPED_CAPABILITIES[capability];
+    if (!members) {
+        if (typeof value !== 'function') throw new Error(`Provider ${providerName} capability "${capability}" must be a function`);
+        return;
+    }
+    const entries = Object.entries(value || {});
+    if (entries.length === 0) throw new Error(`Provider ${providerName} capability "${capability}" is empty`);
+    for (const [member, fn] of entries) {
+        if (!members.includes(member) || typeof fn !== 'function') {
+            throw new Error(`Provider ${providerName} capability "${capability}.${member}" must be one of ${members.join(', ')} and a function`);
+        }
+    }
+}
+
+function validateResults(providerName, results) {
+    for (const [option, value] of Object.entries(results)) {
+        if (!RESULT_OPTIONS[option]?.includes(value)) {
+            throw new Error(`Provider ${providerName} has invalid result option ${option}=${value}`);
+        }
+    }
+}
+
+/**
+ * Creates an empty registry. The app uses the shared one below; tests can build their own.
+ */
+export function createProviderRegistry() {
+    const providers = new Map();
+
+    const registry = {
+        /**
+         * @param {Object} definition
+         * @param {string} definition.name - Provider value in DebridServices (e.g. "RealDebrid")
+         * @param {string} [definition.key] - Normalized key used in URLs, caches and result sources; defaults to the lower-cased name
+         * @param {string} definition.label - Human-readable name
+         * @param {string} definition.streamName - Stream and manifest name, e.g. "[RD+] Sootio"
+         * @param {Array<string>} [definition.aliases] - Other keys the provider is looked up by
+         * @param {Object} [definition.results] - Stream-result options (see RESULT_OPTIONS)
+         * @param {Object} [definition.capabilities] - See CAPABILITIES
+         * @returns {Object} The frozen provider definition
+         */
+        register(definition = {}) {
+            const { name, label, streamName, aliases = [], results = {}, capabilities = {} } = definition;
+            if (!name || !label || !streamName) throw new Error('A provider needs a name, label and streamName');
+            const key = normalizeProviderKey(definition.key || name);
+            const lookupKeys = [key, normalizeProviderKey(name), ...aliases.map(normalizeProviderKey)];
+            for (const lookupKey of lookupKeys) {
+                const existing = providers.get(lookupKey);
+                if (existing && existing.key !== key) throw new Error(`Provider key "${lookupKey}" is already registered by ${existing.name}`);
+            }
+            if (providers.has(key)) throw new Error(`Provider ${name} is already registered`);
+            for (const [capability, value] of Object.entries(capabilities)) {
+                validateCapability(name, capability, value);
+            }
+            validateResults(name, results);
+
+            const provider = Object.freeze({
+                name,
+                key,
+                label,
+                streamName,
+                aliases: Object.freeze(aliases.map(normalizeProviderKey)),
+                results: Object.freeze({ ...results }),
+                capabilities: Object.freeze({ ...capabilities })
+            });
+            lookupKeys.forEach(lookupKey => providers.set(lookupKey, provider));
+            return provider;
+        },
+
+        /**
+         * @param {string} nameOrKey - "RealDebrid", "realdebrid", "Real-Debrid" or an alias
+         * @returns {Object|null} Provider definition
+         */
+        get(nameOrKey) {
+            return providers.get(normalizeProviderKey(nameOrKey)) || null;
+        },
+
+        /**
+         * @param {string} [capability] - Only providers with this capability (or "catalog.search" style members)
+         * @returns {Array<Object>} Providers in registration order
+         */
+        list(capability = null) {
+            const unique = [...new Set(providers.values())];
+            if (!capability) return unique;
+            return unique.filter(provider => registry.has(provider, capability));
+        },
+
+        /**
+         * @param {Object|string} provider - Definition or name
+         * @param {string} capability - e.g. "resolve" or "catalog.search"
+         */
+        has(provider, capability) {
+            const definition = typeof provider === 'string' ? registry.get(provider) : provider;
+            if (!definition) return false;
+            const [group, member] = capability.split('.');
+            const value = definition.capabilities[group];
+            return member ? typeof value?.[member] === 'function' : Boolean(value);
+        },
+
+        /**
+         * Stream names by provider key, the shape of STREAM_NAME_MAP.
+         * @returns {Object<string, string>}
+         */
+        streamNames() {
+            return Object.fromEntries(registry.list().map(provider => [provider.key, provider.streamName]));
+        }
+    };
+    return registry;
+}
+
+const sharedRegistry = createProviderRegistry();
+
+export const registerProvider = sharedRegistry.register;
+export const getProvider = sharedRegistry.get;
+export const listProviders = sharedRegistry.list;
+export const hasCapability = sharedRegistry.has;
+export const getStreamNames = sharedRegistry.streamNames;
+
+export default sharedRegistry;
@@ -0,0 +1,176 @@
+// lib/util/putio-api.js
+// Minimal put.io v2 API client: files, transfers (add magnet and wait) and download links.
+// put.io has no instant-availability endpoint; callers infer it from the account's own
+// transfers and from how quickly earlier transfers completed.
+import { isVideo } from './extension-util.js';
+
+const PUTIO_API_URL = process.env.PUTIO_API_URL || 'https://api.put.io/v2';
+const PUTIO_TIMEOUT_MS = parseInt(process.env.PUTIO_TIMEOUT_MS || '15000', 10);
+// Folder levels searched for video files inside a completed transfer
+const MAX_FOLDER_DEPTH = 3;
+
+const READY_TRANSFER_STATUSES = new Set(['COMPLETED', 'SEEDING']);
+const DEAD_TRANSFER_STATUSES = new Set(['ERROR']);
+
+async function putioRequest(baseUrl, path, { method = 'GET', token, form, timeoutMs = PUTIO_TIMEOUT_MS } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { Accept: 'application/json', Authorization: `Bearer ${token}` },
+            body: form ? new URLSearchParams(form) : undefined,
+            signal: controller.signal
+        });
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : null;
+        if (!response.ok || data?.status === 'ERROR') {
+            // put.io errors look like { status: 'ERROR', error_type: 'invalid_grant', error_message: '...' }
+            const error = new Error(`put.io ${path.split('?')[0]} failed: ${data?.error_type || data?.error_message || `HTTP ${response.status}`}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`put.io request timed out after ${timeoutMs}ms`);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {Object} transfer - put.io transfer
+ * @returns {'ready'|'downloading'|'dead'} Library status
+ */
+export function transferStatus(transfer) {
+    if (READY_TRANSFER_STATUSES.has(transfer?.status) && transfer.file_id) return 'ready';
+    if (DEAD_TRANSFER_STATUSES.has(transfer?.status)) return 'dead';
+    return 'downloading';
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.token - User's put.io OAuth token
+ * @param {string} [options.baseUrl] - API root (tests point this at a mock server)
+ */
+export function createPutioClient({ token, baseUrl = PUTIO_API_URL } = {}) {
+    const request = (path, options = {}) => putioRequest(baseUrl, path, { ...options, token });
+
+    const client = {
+        /**
+         * Every video file in the account, in any folder.
+         * @returns {Promise<Array<Object>>} put.io files
+         */
+        async listVideoFiles() {
+            const data = await request('/files/list?parent_id=-1&file_type=VIDEO&per_page=1000&sort_by=DATE_DESC');
+            return data?.files || [];
+        },
+
+        /**
+         * @returns {Promise<Array<Object>>} Transfers, newest first
+         */
+        async listTransfers() {
+            const data = await request('/transfers/list');
+            return data?.transfers || [];
+        },
+
+        /**
+         * @returns {Promise<Object>} Account info: plan_expiration_date, disk { avail, size, used }
+         */
+        async getAccountInfo() {
+            const data = await request('/account/info');
+            return data?.info || {};
+        },
+
+        /**
+         * @param {string} url - Magnet link or torrent URL
+         * @returns {Promise<Object>} New transfer
+         */
+        async addTransfer(url) {
+            const data = await request('/transfers/add', { method: 'POST', form: { url } });
+            return data?.transfer;
+        },
+
+        /**
+         * @param {number|string} transferId
+         * @returns {Promise<Object>} Transfer
+         */
+        async getTransfer(transferId) {
+            const data = await request(`/transfers/${transferId}`);
+            return data?.transfer;
+        },
+
+        /**
+         * @param {Array<number|string>} transferIds
+         */
+        async cancelTransfers(transferIds) {
+            await request('/transfers/cancel', { method: 'POST', form: { transfer_ids: transferIds.join(',') } });
+            return true;
+        },
+
+        /**
+         * Polls a transfer until put.io has the files. Transfers of torrents put.io already
+         * holds complete within a few seconds.
+         * @param {number|string} transferId
+         * @param {number} [timeout] - Give up after this many ms
+         * @param {number} [interval] - Poll interval in ms
+         * @returns {Promise<Object|null>} Completed transfer, or null on timeout or error
+         */
+        async waitForTransferReady(transferId, timeout = 60000, interval = 2000) {
+            const startTime = Date.now();
+            while (Date.now() - startTime < timeout) {
+                const transfer = await client.getTransfer(transferId);
+                const status = transferStatus(transfer);
+                if (status === 'ready') return transfer;
+                if (status === 'dead') return null;
+                await delay(interval);
+            }
+            return null;
+        },
+
+        /**
+         * Video files of a transfer's file or folder; names carry the folder path.
+         * @param {number|string} fileId - Transfer's file_id
+         * @returns {Promise<Array<{id: number, name: string, size: number}>>}
+         */
+        async listTransferVideos(fileId) {
+            const { file } = await request(`/files/${fileId}`);
+            if (file?.file_type !== 'FOLDER') {
+                return file && isVideo(file.name) ? [{ id: file.id, name: file.name, size: file.size || 0 }] : [];
+            }
+            const videos = [];
+            const walk = async (files, prefix, depth) => {
+                for (const entry of files || []) {
+                    const name = `${prefix}/${entry.name}`;
+                    if (entry.file_type === 'FOLDER' && depth < MAX_FOLDER_DEPTH) {
+                        const child = await request(`/files/list?parent_id=${entry.id}&per_page=1000`);
+                        await walk(child?.files, name, depth + 1);
+                    } else if (isVideo(entry.name)) {
+                        videos.push({ id: entry.id, name, size: entry.size || 0 });
+                    }
+                }
+            };
+            const root = await request(`/files/list?parent_id=${file.id}&per_page=1000`);
+            await walk(root?.files, file.name, 1);
+            return videos;
+        },
+
+        /**
+         * @param {number|string} fileId
+         * @returns {Promise<string>} Direct download URL
+         */
+        async getFileUrl(fileId) {
+            const data = await request(`/files/${fileId}/url`);
+            if (!data?.url) throw new Error(`put.io returned no URL for file ${fileId}`);
+            return data.url;
+        }
+    };
+    return client;
+}
+
+export default { createPutioClient, transferStatus };
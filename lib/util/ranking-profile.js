@@ -0,0 +1,219 @@
+// lib/util/ranking-profile.js
+// Per-manifest ranking profiles: weighted codec / HDR / audio preferences, release
+// group allow/deny lists and a preferred size band, stored in the user config as
+// `RankingProfile`. Resolution still ranks first; the profile score decides the
+// order within a resolution before size (streams) or seeders (quota stage).
+
+const MAX_WEIGHT = 100;
+const MAX_GROUPS = 50;
+const MAX_GROUP_LENGTH = 40;
+const MAX_SIZE_GB = 200;
+const DEFAULT_ALLOWED_GROUP_WEIGHT = 50;
+
+const FEATURE_PATTERNS = {
+    codec: {
+        av1: /\bav1\b/i,
+        hevc: /\b(?:x265|h\.?265|hevc)\b/i,
+        avc: /\b(?:x264|h\.?264|avc)\b/i
+    },
+    hdr: {
+        dv: /\b(?:dv|dovi|dolby[\s._-]?vision)\b/i,
+        hdr10plus: /\bhdr10(?:\+|plus)/i,
+        hdr: /\bhdr(?:10)?\b(?!\+)/i
+    },
+    audio: {
+        atmos: /\batmos\b/i,
+        truehd: /\btrue[\s._-]?hd\b/i,
+        dtshd: /\bdts[\s._-]?(?:hd|ma|x)\b/i,
+        dts: /\bdts\b(?![\s._-]?(?:hd|ma|x)\b)/i
+    }
+};
+
+// Tokens that look like "-GROUP" suffixes but are really part of the source tag
+const NON_GROUP_SUFFIXES = new Set(['dl', 'rip', 'hd', 'ray', 'web']);
+
+// Profiles built by normalizeRankingProfile; a flag on the object could be set in user JSON
+const normalizedProfiles = new WeakSet();
+
+function clampWeight(value) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) return 0;
+    return Math.max(-MAX_WEIGHT, Math.min(MAX_WEIGHT, Math.round(num)));
+}
+
+function normalizeGroupList(list) {
+    const values = Array.isArray(list) ? list : String(list || '').split(',');
+    const groups = new Set();
+    for (const value of values) {
+        const group = String(value || '').trim().toLowerCase();
+        if (!group || group.length > MAX_GROUP_LENGTH) continue;
+        groups.add(group);
+        if (groups.size >= MAX_GROUPS) break;
+    }
+    return Array.from(groups);
+}
+
+function normalizeSizeBand(size) {
+    if (!size || typeof size !== 'object') return null;
+    const weight = clampWeight(size.weight);
+    let min = Math.max(0, Math.min(MAX_SIZE_GB, Number(size.min) || 0));
+    let max = Math.max(0, Math.min(MAX_SIZE_GB, Number(size.max) || 0));
+    if (!weight || max <= 0) return null;
+    if (min > max) [min, max] = [max, min];
+    return { min, max, weight };
+}
+
+/**
+ * Validates and bounds a user-supplied ranking profile.
+ * Unknown keys are dropped and weights are clamped to [-100, 100].
+ * @param {Object} raw - `RankingProfile` from the user config
+ * @returns {Object|null} Normalized profile, or null when it would not change the ranking
+ */
+export function normalizeRankingProfile(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (normalizedProfiles.has(raw)) return raw;
+
+    const profile = {};
+    let hasPreferences = false;
+
+    for (const [section, features] of Object.entries(FEATURE_PATTERNS)) {
+        profile[section] = {};
+        for (const feature of Object.keys(features)) {
+            const weight = clampWeight(raw[section]?.[feature]);
+            profile[section][feature] = weight;
+            if (weight !== 0) hasPreferences = true;
+        }
+    }
+
+    const allow = normalizeGroupList(raw.groups?.allow);
+    const deny = normalizeGroupList(raw.groups?.deny).filter(group => !allow.includes(group));
+    const allowWeight = raw.groups?.weight != null ? clampWeight(raw.groups.weight) : DEFAULT_ALLOWED_GROUP_WEIGHT;
+    profile.groups = { allow, deny, weight: allowWeight };
+    if (allow.length > 0 || deny.length > 0) hasPreferences = true;
+
+    profile.size = normalizeSizeBand(raw.size);
+    if (profile.size) hasPreferences = true;
+
+    if (!hasPreferences) return null;
+    normalizedProfiles.add(profile);
+    return profile;
+}
+
+/**
+ * Extracts the release group from a torrent or file name ("...x265-GROUP.mkv" or "[Group] Title - 01").
+ * @param {string} name - Torrent or file name
+ * @param {Object} [options]
+ * @param {boolean} [options.preserveCase=false] - Keep the original casing (for display)
+ * @returns {string|null} Release group, lower-cased unless preserveCase is set
+ */
+export function getReleaseGroup(name, { preserveCase = false } = {}) {
+    if (!name || typeof name !== 'string') return null;
+    const base = name.trim()
+        .replace(/\.(?:mkv|mp4|avi|m4v|ts|m2ts|webm)$/i, '')
+        .replace(/\s*\[[^\]]*\]\s*$/, '');
+    const suffix = base.match(/-\s*([A-Za-z0-9][A-Za-z0-9_]{1,30})$/);
+    const prefix = name.match(/^\s*\[([^\]]{2,40})\]/);
+    let group = null;
+    if (suffix && !NON_GROUP_SUFFIXES.has(suffix[1].toLowerCase())) {
+        group = suffix[1];
+    } else if (prefix) {
+        group = prefix[1].trim();
+    }
+    return group && !preserveCase ? group.toLowerCase() : group;
+}
+
+/**
+ * Lists the codec / HDR / audio tags found in a release name, in FEATURE_PATTERNS order.
+ * @param {string} name - Torrent or file name
+ * @returns {{codec: string[], hdr: string[], audio: string[]}} Feature keys per section (e.g. hdr: ['dv', 'hdr'])
+ */
+export function getReleaseFeatures(name) {
+    const features = {};
+    for (const [section, patterns] of Object.entries(FEATURE_PATTERNS)) {
+        features[section] = name
+            ? Object.keys(patterns).filter(feature => patterns[feature].test(name))
+            : [];
+    }
+    return features;
+}
+
+/**
+ * @param {Object|null} profile - Normalized ranking profile
+ * @param {string} name - Torrent or file name
+ * @returns {boolean} True when the name belongs to a deny-listed release group
+ */
+export function isDeniedGroup(profile, name) {
+    if (!profile || profile.groups.deny.length === 0) return false;
+    const group = getReleaseGroup(name);
+    return group !== null && profile.groups.deny.includes(group);
+}
+
+function scoreFeatures(profile, text, group, sizeBytes) {
+    let score = 0;
+
+    for (const [section, features] of Object.entries(FEATURE_PATTERNS)) {
+        let best = null;
+        for (const [feature, pattern] of Object.entries(features)) {
+            if (!pattern.test(text)) continue;
+            const weight = profile[section][feature];
+            if (best === null || weight > best) best = weight;
+        }
+        if (best !== null) score += best;
+    }
+
+    if (group !== null && profile.groups.allow.includes(group)) {
+        score += profile.groups.weight;
+    }
+
+    if (profile.size && sizeBytes > 0) {
+        const sizeGB = sizeBytes / (1024 ** 3);
+        if (sizeGB >= profile.size.min && sizeGB <= profile.size.max) score += profile.size.weight;
+    }
+
+    return score;
+}
+
+/**
+ * Scores a release name against a ranking profile. Only the best-matching
+ * feature per section counts, so "HDR10+ DV" is not rewarded twice for HDR.
+ * @param {Object|null} profile - Normalized ranking profile
+ * @param {string} name - Torrent or file name
+ * @param {number} [sizeBytes=0] - Size in bytes, used for the preferred size band
+ * @returns {number} Score (0 when no profile is configured)
+ */
+export function scoreRelease(profile, name, sizeBytes = 0) {
+    if (!profile || !name) return 0;
+    return scoreFeatures(profile, name, getReleaseGroup(name), sizeBytes);
+}
+
+function getStreamFileName(stream) {
+    return stream.behaviorHints?.fileName
+        || String(stream.title || '').split('\n')[0].replace(/^\[Cloud\]\s*/, '');
+}
+
+/**
+ * @param {Object|null} profile - Normalized ranking profile
+ * @param {Object} stream - Stream object with title/behaviorHints
+ * @returns {boolean} True when the stream's file belongs to a deny-listed release group
+ */
+export function isDeniedStream(profile, stream) {
+    if (!profile || !stream) return false;
+    return isDeniedGroup(profile, getStreamFileName(stream));
+}
+
+/**
+ * Scores a formatted Stremio stream. Feature tags are read from the name and
+ * title, the release group from the file name (or the first title line).
+ * @param {Object|null} profile - Normalized ranking profile
+ * @param {Object} stream - Stream object with name/title/behaviorHints
+ * @param {number} [sizeBytes=0] - Size in bytes
+ * @returns {number}
+ */
+export function scoreStream(profile, stream, sizeBytes = 0) {
+    if (!profile || !stream) return 0;
+    const fileName = getStreamFileName(stream);
+    const text = [fileName, stream.name, stream.title].filter(Boolean).join(' ');
+    return scoreFeatures(profile, text, getReleaseGroup(fileName), sizeBytes);
+}
+
+export default { normalizeRankingProfile, getReleaseGroup, getReleaseFeatures, isDeniedGroup, isDeniedStream, scoreRelease, scoreStream };
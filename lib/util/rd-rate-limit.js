@@ -2,8 +2,10 @@
 // Real-Debrid limits: 250 requests per minute
 // Defaults can be tuned via env: RD_RATE_PER_MINUTE, RD_CONCURRENCY, RD_MAX_RETRIES
 
+import { markKeyRateLimited } from './key-pool.js';
+
 class RdRateLimiter {
-  constructor({ ratePerMinute = 250, concurrency = 50, maxRetries = 5, maxQueueSize = 500 } = {}) {
+  constructor({ ratePerMinute = 250, concurrency = 50, maxRetries = 5, maxQueueSize = 500, onRateLimited = null } = {}) {
     this.capacity = ratePerMinute;
     this.tokens = ratePerMinute;
     this.queue = [];
@@ -14,6 +16,7 @@ class RdRateLimiter {
     this.consecutive429s = 0; // Track consecutive 429 errors
     this.rateLimitAbort = false; // Flag to abort cache checking
     this.requestTimeout = 15000; // 15 second timeout per request - reduced from 60s to fail fast
+    this.onRateLimited = onRateLimited; // Puts the key on cooldown so other keys of the same service take over
 
     // Faster token refill: add tokens in batches for burst recovery
     // Refill 5 tokens every 1.2 seconds (250/min = ~4.17/sec, 5 every 1.2s is slightly under limit)
@@ -117,6 +120,7 @@ class RdRateLimiter {
             if (this.consecutive429s >= 2) {
               this.rateLimitAbort = true;
               console.error(`[RD LIMITER] 2 consecutive 429 errors detected - aborting cache check`);
+              this.onRateLimited?.();
               this.running -= 1;
               job.reject(err);
               this._drain();
@@ -138,6 +142,7 @@ class RdRateLimiter {
 
             // Max retries exceeded
             console.error(`[RD LIMITER] Rate limit exhausted after ${job.tries} retries, giving up on request`);
+            this.onRateLimited?.();
           }
 
           if (this._isRetryableError(err) && job.tries < this.maxRetries) {
@@ -186,7 +191,8 @@ class RdRateLimiterManager {
         ratePerMinute: parseInt(process.env.RD_RATE_PER_MINUTE || '250', 10),
         concurrency: parseInt(process.env.RD_CONCURRENCY || '50', 10),
         maxRetries: parseInt(process.env.RD_MAX_RETRIES || '5', 10),
-        maxQueueSize: parseInt(process.env.RD_MAX_QUEUE_SIZE || '500', 10)
+        maxQueueSize: parseInt(process.env.RD_MAX_QUEUE_SIZE || '500', 10),
+        onRateLimited: () => markKeyRateLimited('realdebrid', apiKey)
       });
       this.limiters.set(keyHash, {
         limiter,
@@ -0,0 +1,274 @@
+// lib/util/scraper-circuit.js
+// Circuit breaker per scraper. A circuit opens after SCRAPER_CIRCUIT_FAILURE_THRESHOLD
+// failures in a row and the scraper is skipped outright (it costs no timeout budget). Once
+// the cool-down ends the circuit goes half-open and a single search runs the scraper as a
+// probe: success closes the circuit, failure reopens it with twice the cool-down, up to
+// SCRAPER_CIRCUIT_MAX_COOLDOWN_MS. With the cache DB enabled the state lives in its
+// scraper_circuits table, so all cluster workers agree and only one of them probes; each
+// worker re-reads the table at most every SCRAPER_CIRCUIT_SYNC_MS. Without it the state is
+// per process.
+
+import * as cacheStore from './cache-store.js';
+
+const CIRCUIT_ENABLED = process.env.SCRAPER_CIRCUIT_ENABLED !== 'false';
+const FAILURE_THRESHOLD = parseInt(process.env.SCRAPER_CIRCUIT_FAILURE_THRESHOLD || '5', 10);
+const BASE_COOLDOWN_MS = parseInt(process.env.SCRAPER_CIRCUIT_COOLDOWN_MS || '60000', 10);
+const MAX_COOLDOWN_MS = parseInt(process.env.SCRAPER_CIRCUIT_MAX_COOLDOWN_MS || '3600000', 10);
+// A probe that never reports back (aborted with the search) is retried after this long
+const PROBE_TIMEOUT_MS = parseInt(process.env.SCRAPER_CIRCUIT_PROBE_TIMEOUT_MS || '60000', 10);
+const SYNC_MS = parseInt(process.env.SCRAPER_CIRCUIT_SYNC_MS || '5000', 10);
+const MAX_MESSAGE_LENGTH = 200;
+
+export const CIRCUIT_STATES = Object.freeze({ CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half_open' });
+
+// scraper -> circuit, this worker's view of the table
+const circuits = new Map();
+// scraper -> promise of the last update, so updates of one scraper apply in order
+const updateChains = new Map();
+let lastSyncAt = 0;
+let syncPromise = null;
+
+function newCircuit(scraper) {
+    return {
+        scraper,
+        state: CIRCUIT_STATES.CLOSED,
+        failures: 0,
+        trips: 0,
+        openedAt: null,
+        retryAt: null,
+        probeAt: null,
+        lastError: null,
+        lastMessage: null,
+        updatedAt: 0
+    };
+}
+
+/**
+ * @param {number} trips - Times the circuit opened without closing in between
+ * @returns {number} Cool-down in ms before the next probe
+ */
+export function cooldownFor(trips) {
+    return Math.min(MAX_COOLDOWN_MS, BASE_COOLDOWN_MS * 2 ** Math.max(0, trips - 1));
+}
+
+/**
+ * @param {Object} circuit
+ * @param {number} now
+ * @returns {Object} The circuit after a successful run: closed, counters reset
+ */
+export function applySuccess(circuit, now) {
+    return { ...newCircuit(circuit.scraper), lastError: circuit.lastError, lastMessage: circuit.lastMessage, updatedAt: now };
+}
+
+/**
+ * @param {Object} circuit
+ * @param {{errorType: string, message?: string}} failure - errorType as in ScraperPerformanceTracker.recordFailure
+ * @param {number} now
+ * @returns {Object} The circuit after a failed run
+ */
+export function applyFailure(circuit, { errorType, message = '' }, now) {
+    const next = {
+        ...circuit,
+        failures: circuit.failures + 1,
+        lastError: errorType,
+        lastMessage: String(message || '').slice(0, MAX_MESSAGE_LENGTH) || null,
+        updatedAt: now
+    };
+    const failedProbe = circuit.state === CIRCUIT_STATES.HALF_OPEN;
+    const tripped = circuit.state === CIRCUIT_STATES.CLOSED && next.failures >= FAILURE_THRESHOLD;
+    if (failedProbe || tripped) {
+        next.state = CIRCUIT_STATES.OPEN;
+        next.trips = circuit.trips + 1;
+        next.openedAt = now;
+        next.retryAt = now + cooldownFor(next.trips);
+        next.probeAt = null;
+    }
+    return next;
+}
+
+/**
+ * @param {Object|undefined} circuit
+ * @param {number} now
+ * @returns {'run'|'probe'|'skip'} Whether a search should run the scraper
+ */
+export function admission(circuit, now) {
+    if (!circuit || circuit.state === CIRCUIT_STATES.CLOSED) return 'run';
+    if (circuit.state === CIRCUIT_STATES.OPEN) return now >= circuit.retryAt ? 'probe' : 'skip';
+    return now - circuit.probeAt >= PROBE_TIMEOUT_MS ? 'probe' : 'skip';
+}
+
+function useDatabase() {
+    return cacheStore.isEnabled();
+}
+
+async function syncCircuits() {
+    if (!useDatabase() || Date.now() - lastSyncAt < SYNC_MS) return;
+    if (!syncPromise) {
+        syncPromise = cacheStore.getScraperCircuits()
+            .then(rows => {
+                circuits.clear();
+                for (const row of rows) circuits.set(row.scraper, row);
+                lastSyncAt = Date.now();
+            })
+            .finally(() => { syncPromise = null; });
+    }
+    await syncPromise;
+}
+
+async function claimProbe(scraper, now) {
+    if (useDatabase()) {
+        const claimed = await cacheStore.claimScraperProbe(scraper, now, now - PROBE_TIMEOUT_MS);
+        // Another worker probes or the circuit changed; re-read before the next search
+        if (!claimed) {
+            lastSyncAt = 0;
+            return false;
+        }
+    }
+    const circuit = circuits.get(scraper);
+    circuits.set(scraper, { ...circuit, state: CIRCUIT_STATES.HALF_OPEN, probeAt: now, updatedAt: now });
+    return true;
+}
+
+/**
+ * Splits scrapers into those a search should run (including probes of half-open circuits,
+ * claimed here) and those whose circuit is open.
+ * @param {string[]} names
+ * @returns {Promise<{allowed: string[], probing: string[], skipped: Array<{scraper: string, retryAt: number}>}>}
+ */
+export async function partitionScrapers(names) {
+    if (!CIRCUIT_ENABLED) return { allowed: names, probing: [], skipped: [] };
+    try {
+        await syncCircuits();
+    } catch (error) {
+        console.error(`[SCRAPER CIRCUIT] Could not read circuit state: ${error.message}`);
+    }
+
+    const now = Date.now();
+    const allowed = [];
+    const probing = [];
+    const skipped = [];
+    for (const name of names) {
+        const circuit = circuits.get(name);
+        const decision = admission(circuit, now);
+        if (decision === 'run') {
+            allowed.push(name);
+        } else if (decision === 'probe' && await claimProbe(name, now)) {
+            allowed.push(name);
+            probing.push(name);
+        } else {
+            skipped.push({ scraper: name, retryAt: circuit.retryAt });
+        }
+    }
+    return { allowed, probing, skipped };
+}
+
+// `transition` moves this worker's view; with the cache DB, `store` writes the change and
+// returns the stored row, which replaces that view
+function updateCircuit(scraper, transition, store) {
+    const previous = updateChains.get(scraper) || Promise.resolve();
+    const update = previous.then(async () => {
+        const current = circuits.get(scraper) || newCircuit(scraper);
+        let next = transition(current);
+        if (useDatabase()) next = (await store(next)) || next;
+        circuits.set(scraper, next);
+        if (next.state !== current.state) {
+            const detail = next.state === CIRCUIT_STATES.OPEN
+                ? ` after ${next.lastError}, retrying in ${Math.round((next.retryAt - next.updatedAt) / 1000)}s`
+                : '';
+            console.log(`[SCRAPER CIRCUIT] ${scraper}: ${current.state} -> ${next.state}${detail}`);
+        }
+    }).catch(error => {
+        console.error(`[SCRAPER CIRCUIT] Could not update ${scraper}: ${error.message}`);
+    }).finally(() => {
+        if (updateChains.get(scraper) === update) updateChains.delete(scraper);
+    });
+    updateChains.set(scraper, update);
+    return update;
+}
+
+/**
+ * @param {string} scraper
+ * @returns {Promise<void>} Never rejects
+ */
+export function recordScraperSuccess(scraper) {
+    if (!CIRCUIT_ENABLED) return Promise.resolve();
+    const known = circuits.get(scraper);
+    // Nothing to reset; skips a DB round trip on the common path
+    if (!updateChains.has(scraper) && (!known || (known.state === CIRCUIT_STATES.CLOSED && known.failures === 0))) {
+        return Promise.resolve();
+    }
+    return updateCircuit(
+        scraper,
+        circuit => applySuccess(circuit, Date.now()),
+        async next => (await cacheStore.saveScraperCircuit(next)) ? next : null
+    );
+}
+
+/**
+ * @param {string} scraper
+ * @param {string} errorType
+ * @param {string} [message]
+ * @returns {Promise<void>} Never rejects
+ */
+export function recordScraperFailure(scraper, errorType, message = '') {
+    if (!CIRCUIT_ENABLED) return Promise.resolve();
+    const failure = { errorType, message };
+    const now = Date.now();
+    // Other workers count failures too: the increment happens in the row, not from this view
+    return updateCircuit(
+        scraper,
+        circuit => applyFailure(circuit, failure, now),
+        () => cacheStore.recordScraperCircuitFailure(applyFailure(newCircuit(scraper), failure, now), {
+            threshold: FAILURE_THRESHOLD,
+            baseCooldownMs: BASE_COOLDOWN_MS,
+            maxCooldownMs: MAX_COOLDOWN_MS
+        })
+    );
+}
+
+/**
+ * @returns {Promise<Array<Object>>} Known circuits with the cool-down of the current trip
+ */
+export async function getCircuitStates() {
+    try {
+        await syncCircuits();
+    } catch (error) {
+        console.error(`[SCRAPER CIRCUIT] Could not read circuit state: ${error.message}`);
+    }
+    return [...circuits.values()]
+        .sort((a, b) => a.scraper.localeCompare(b.scraper))
+        .map(circuit => ({ ...circuit, cooldownMs: circuit.trips > 0 ? cooldownFor(circuit.trips) : 0 }));
+}
+
+/**
+ * Public view for the landing page: scrapers currently skipped, without error messages.
+ * @returns {Promise<Array<{scraper: string, state: string, reason: string|null, retryAt: number|null}>>}
+ */
+export async function getQuarantinedScrapers() {
+    const states = await getCircuitStates();
+    return states
+        .filter(circuit => circuit.state !== CIRCUIT_STATES.CLOSED)
+        .map(circuit => ({ scraper: circuit.scraper, state: circuit.state, reason: circuit.lastError, retryAt: circuit.retryAt }));
+}
+
+/**
+ * Closes circuits by hand.
+ * @param {string|null} [scraper] - Omit to reset every circuit
+ * @returns {Promise<number>} Circuits reset
+ */
+export async function resetCircuits(scraper = null) {
+    const local = scraper ? (circuits.delete(scraper) ? 1 : 0) : circuits.size;
+    if (!scraper) circuits.clear();
+    lastSyncAt = 0;
+    if (!useDatabase()) return local;
+    return cacheStore.deleteScraperCircuits(scraper);
+}
+
+export default {
+    partitionScrapers,
+    recordScraperSuccess,
+    recordScraperFailure,
+    getCircuitStates,
+    getQuarantinedScrapers,
+    resetCircuits
+};
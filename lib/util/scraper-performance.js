@@ -10,6 +10,8 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { observeScraper } from './metrics.js';
+import { recordScraperSuccess, recordScraperFailure, resetCircuits } from './scraper-circuit.js';
 
 // Get the directory name for this module
 const __filename = fileURLToPath(import.meta.url);
@@ -248,6 +250,8 @@ class ScraperPerformanceTracker {
      * Record a successful scraper execution
      */
     recordSuccess(scraperName, resultCount, responseTime) {
+        observeScraper(scraperName, 'success', responseTime, resultCount);
+        if (!PENALTY_EXEMPT_SCRAPERS.includes(scraperName)) recordScraperSuccess(scraperName);
         const data = this._getScraperData(scraperName);
 
         data.totalRequests++;
@@ -282,6 +286,8 @@ class ScraperPerformanceTracker {
      * Record a failed scraper execution
      */
     recordFailure(scraperName, errorType, responseTime = 0, errorMessage = '') {
+        observeScraper(scraperName, errorType, responseTime);
+        if (!PENALTY_EXEMPT_SCRAPERS.includes(scraperName)) recordScraperFailure(scraperName, errorType, errorMessage);
         const data = this._getScraperData(scraperName);
 
         data.totalRequests++;
@@ -373,6 +379,13 @@ class ScraperPerformanceTracker {
         console.log(`[PERF TRACKER] ${scraperName}: PENALTY applied - ${penaltyType} for ${durationMinutes} minutes`);
     }
 
+    /**
+     * Check if a scraper is never penalized nor put behind an open circuit
+     */
+    isPenaltyExempt(scraperName) {
+        return PENALTY_EXEMPT_SCRAPERS.includes(scraperName);
+    }
+
     /**
      * Check if a scraper is currently penalized
      */
@@ -563,11 +576,12 @@ class ScraperPerformanceTracker {
         data.consecutiveCaptchaFailures = 0;
         data.consecutiveServerErrors = 0;
         this._saveScraperData(scraperName, data);
+        resetCircuits(scraperName);
         console.log(`[PERF TRACKER] ${scraperName}: PENALTY cleared manually (counters reset)`);
     }
 
     /**
-     * Clear all penalties and reset all consecutive failure counters
+     * Clear all penalties and reset all consecutive failure counters and scraper circuits
      */
     clearAllPenalties() {
         const db = initPerformanceDb();
@@ -586,6 +600,7 @@ class ScraperPerformanceTracker {
             data.consecutiveServerErrors = 0;
             this._saveScraperData(name, data);
         }
+        resetCircuits();
         console.log(`[PERF TRACKER] All penalties cleared and counters reset`);
     }
 
@@ -14,6 +14,7 @@ import { setMaxListeners } from 'events';
 import * as config from '../config.js';
 import * as scrapers from '../common/scrapers.js';
 import performanceTracker from './scraper-performance.js';
+import { partitionScrapers, recordScraperSuccess, recordScraperFailure } from './scraper-circuit.js';
 import * as SqliteCache from './cache-store.js';
 
 const SCRAPER_PERF_ENABLED = process.env.SCRAPER_PERF_ENABLED !== 'false';
@@ -55,20 +56,13 @@ function getSlowThresholdMs(userConfig) {
 }
 
 /**
- * Determines which scrapers to use based on user config and .env settings.
- * If user hasn't selected specific scrapers, uses ALL enabled scrapers from .env as default.
- * @param {Object} userConfig - User configuration from manifest
- * @param {string} logPrefix - Log prefix for console messages
- * @param {boolean} forceAll - If true, ignore user selection and return ALL enabled scrapers from .env
- * @returns {Object} Object with scraper names as keys and boolean values
+ * Map of scraper IDs to their config flags
+ * @returns {Object}
  */
-export function getEnabledScrapers(userConfig = {}, logPrefix = 'SCRAPER', forceAll = false) {
-  const userScrapers = Array.isArray(userConfig.Scrapers) ? userConfig.Scrapers : [];
-  const userIndexerScrapers = Array.isArray(userConfig.IndexerScrapers) ? userConfig.IndexerScrapers : [];
-
-  // Map of scraper IDs to their config flags
-  const scraperMap = {
+function getBuiltinScraperFlags() {
+  return {
     'jackett': config.JACKETT_ENABLED,
+    'prowlarr': config.PROWLARR_ENABLED,
     '1337x': config.TORRENT_1337X_ENABLED,
     'torrent9': config.TORRENT9_ENABLED,
     'btdig': config.BTDIG_ENABLED,
@@ -89,6 +83,34 @@ export function getEnabledScrapers(userConfig = {}, logPrefix = 'SCRAPER', force
     'comet': config.COMET_ENABLED,
     'stremthru': config.STREMTHRU_ENABLED
   };
+}
+
+/**
+ * Trackers that only exist as definition files in SCRAPER_DEFINITIONS_DIR. A custom file for a
+ * built-in scraper overrides its definition and runs through that scraper instead.
+ * @returns {Array<Object>} Tracker definitions
+ */
+function getDefinitionOnlyTrackers() {
+  const builtin = getBuiltinScraperFlags();
+  return scrapers.getCustomDefinitions().filter(definition => !(definition.id in builtin));
+}
+
+/**
+ * Determines which scrapers to use based on user config and .env settings.
+ * If user hasn't selected specific scrapers, uses ALL enabled scrapers from .env as default.
+ * @param {Object} userConfig - User configuration from manifest
+ * @param {string} logPrefix - Log prefix for console messages
+ * @param {boolean} forceAll - If true, ignore user selection and return ALL enabled scrapers from .env
+ * @returns {Object} Object with scraper names as keys and boolean values
+ */
+export function getEnabledScrapers(userConfig = {}, logPrefix = 'SCRAPER', forceAll = false) {
+  const userScrapers = Array.isArray(userConfig.Scrapers) ? userConfig.Scrapers : [];
+  const userIndexerScrapers = Array.isArray(userConfig.IndexerScrapers) ? userConfig.IndexerScrapers : [];
+
+  const scraperMap = getBuiltinScraperFlags();
+  for (const definition of getDefinitionOnlyTrackers()) {
+    scraperMap[definition.id] = definition.enabled;
+  }
 
   // If forceAll is true, return ALL enabled scrapers from .env (for background refresh)
   if (forceAll) {
@@ -187,8 +209,23 @@ export async function orchestrateScrapers({
     scraperTasks.push({ name, run });
   };
 
+  // Jackett and Prowlarr search by IMDb ID, season and episode where the indexer supports it
+  const torznabMedia = { type, imdbId, title: searchKey, season, episode };
+  const definitionTrackers = getDefinitionOnlyTrackers();
+  // Fansubs name anime episodes by their absolute number ("Show - 1071"); set for anime IDs
+  const absoluteSearchKey = type === 'series' && userConfig.absoluteEpisode && searchKey
+    ? `${searchKey} ${userConfig.absoluteEpisode}`
+    : null;
+
   // Helper to add scraper tasks for a given config
   const addScraperTasks = (cfg, key) => {
+    // Keyword scrapers also search the absolute number of anime episodes, in the same task
+    const addKeywordTask = (name, search) => addScraperTask(name, async () => {
+      if (!absoluteSearchKey) return search(key, torznabMedia);
+      const [byEpisode, byAbsolute] = await Promise.all([search(key, torznabMedia), search(absoluteSearchKey, {})]);
+      return [...(byEpisode || []), ...(byAbsolute || [])];
+    });
+
     // Indexer scrapers (use shouldEnableScraper for consistent filtering)
     if (shouldEnableScraper('torrentio', enabledScrapers)) addScraperTask('torrentio', () => scrapers.searchTorrentio(type, imdbId, scraperSignal, logPrefix, cfg));
     if (shouldEnableScraper('zilean', enabledScrapers)) addScraperTask('zilean', () => scrapers.searchZilean(searchKey, season, episode, scraperSignal, logPrefix, cfg));
@@ -196,22 +233,26 @@ export async function orchestrateScrapers({
     if (shouldEnableScraper('stremthru', enabledScrapers)) addScraperTask('stremthru', () => scrapers.searchStremthru(type, imdbId, scraperSignal, season, episode, logPrefix, cfg));
 
     // Torrent scrapers (check user selection)
-    if (shouldEnableScraper('bitmagnet', enabledScrapers)) addScraperTask('bitmagnet', () => scrapers.searchBitmagnet(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('jackett', enabledScrapers)) addScraperTask('jackett', () => scrapers.searchJackett(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('torrent9', enabledScrapers)) addScraperTask('torrent9', () => scrapers.searchTorrent9(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('1337x', enabledScrapers)) addScraperTask('1337x', () => scrapers.search1337x(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('btdig', enabledScrapers)) addScraperTask('btdig', () => scrapers.searchBtdig(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('snowfl', enabledScrapers)) addScraperTask('snowfl', () => scrapers.searchSnowfl(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('magnetdl', enabledScrapers)) addScraperTask('magnetdl', () => scrapers.searchMagnetDL(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('torrentgalaxy', enabledScrapers)) addScraperTask('torrentgalaxy', () => scrapers.searchTorrentGalaxy(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('wolfmax4k', enabledScrapers)) addScraperTask('wolfmax4k', () => scrapers.searchWolfmax4K(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('bludv', enabledScrapers)) addScraperTask('bludv', () => scrapers.searchBluDV(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('knaben', enabledScrapers)) addScraperTask('knaben', () => scrapers.searchKnaben(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('extto', enabledScrapers)) addScraperTask('extto', () => scrapers.searchExtTo(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('torrentdownload', enabledScrapers)) addScraperTask('torrentdownload', () => scrapers.searchTorrentDownload(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('limetorrents', enabledScrapers)) addScraperTask('limetorrents', () => scrapers.searchLimeTorrents(key, scraperSignal, cfg, logPrefix));
-    if (shouldEnableScraper('ilcorsaronero', enabledScrapers)) addScraperTask('ilcorsaronero', () => scrapers.searchIlCorsaroNero(key, scraperSignal, logPrefix, cfg));
-    if (shouldEnableScraper('thepiratebay', enabledScrapers)) addScraperTask('thepiratebay', () => scrapers.searchThePirateBay(key, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('bitmagnet', enabledScrapers)) addKeywordTask('bitmagnet', k => scrapers.searchBitmagnet(k, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('jackett', enabledScrapers)) addKeywordTask('jackett', (k, media) => scrapers.searchJackett(k, scraperSignal, logPrefix, cfg, media));
+    if (shouldEnableScraper('prowlarr', enabledScrapers)) addKeywordTask('prowlarr', (k, media) => scrapers.searchProwlarr(k, scraperSignal, logPrefix, cfg, media));
+    if (shouldEnableScraper('torrent9', enabledScrapers)) addKeywordTask('torrent9', k => scrapers.searchTorrent9(k, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('1337x', enabledScrapers)) addKeywordTask('1337x', k => scrapers.search1337x(k, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('btdig', enabledScrapers)) addKeywordTask('btdig', k => scrapers.searchBtdig(k, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('snowfl', enabledScrapers)) addKeywordTask('snowfl', k => scrapers.searchSnowfl(k, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('magnetdl', enabledScrapers)) addKeywordTask('magnetdl', k => scrapers.searchMagnetDL(k, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('torrentgalaxy', enabledScrapers)) addKeywordTask('torrentgalaxy', k => scrapers.searchTorrentGalaxy(k, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('wolfmax4k', enabledScrapers)) addKeywordTask('wolfmax4k', k => scrapers.searchWolfmax4K(k, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('bludv', enabledScrapers)) addKeywordTask('bludv', k => scrapers.searchBluDV(k, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('knaben', enabledScrapers)) addKeywordTask('knaben', k => scrapers.searchKnaben(k, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('extto', enabledScrapers)) addKeywordTask('extto', k => scrapers.searchExtTo(k, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('torrentdownload', enabledScrapers)) addKeywordTask('torrentdownload', k => scrapers.searchTorrentDownload(k, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('limetorrents', enabledScrapers)) addKeywordTask('limetorrents', k => scrapers.searchLimeTorrents(k, scraperSignal, cfg, logPrefix));
+    if (shouldEnableScraper('ilcorsaronero', enabledScrapers)) addKeywordTask('ilcorsaronero', k => scrapers.searchIlCorsaroNero(k, scraperSignal, logPrefix, cfg));
+    if (shouldEnableScraper('thepiratebay', enabledScrapers)) addKeywordTask('thepiratebay', k => scrapers.searchThePirateBay(k, scraperSignal, logPrefix, cfg));
+    for (const definition of definitionTrackers) {
+      if (shouldEnableScraper(definition.id, enabledScrapers)) addKeywordTask(definition.id, k => scrapers.searchDefinition(definition.id, k, scraperSignal, logPrefix, cfg));
+    }
   };
 
   // Execute scrapers based on language selection
@@ -233,10 +274,21 @@ export async function orchestrateScrapers({
   }
 
   const slowThresholdMs = getSlowThresholdMs(userConfig);
-  let selectedTasks = scraperTasks;
+
+  // Scrapers with an open circuit are dropped before anything starts, so they cost no
+  // timeout budget; a half-open one runs as the probe this search claimed for it
+  const circuits = await partitionScrapers([...new Set(scraperTasks.map(task => task.name))]);
+  if (circuits.skipped.length > 0) {
+    console.warn(`[${logPrefix}] Skipping scrapers with an open circuit: ${circuits.skipped.map(entry => entry.scraper).join(', ')}`);
+  }
+  if (circuits.probing.length > 0) {
+    console.log(`[${logPrefix}] Probing half-open scrapers: ${circuits.probing.join(', ')}`);
+  }
+  const runnableTasks = scraperTasks.filter(task => circuits.allowed.includes(task.name));
+  let selectedTasks = runnableTasks;
 
   if (SCRAPER_PERF_ENABLED) {
-    const enabledNames = [...new Set(scraperTasks.map(task => task.name))];
+    const enabledNames = [...new Set(runnableTasks.map(task => task.name))];
     const penalized = enabledNames.filter(name => performanceTracker.isPenalized(name));
     const unpenalized = enabledNames.filter(name => !performanceTracker.isPenalized(name));
 
@@ -246,20 +298,25 @@ export async function orchestrateScrapers({
 
     if (unpenalized.length === 0) {
       console.error(`[${logPrefix}] All enabled scrapers are penalized; running all as fallback`);
-      selectedTasks = scraperTasks;
+      selectedTasks = runnableTasks;
     } else if (!hasUserSelection && !forceAllScrapers) {
       const options = {};
       if (Number.isFinite(SCRAPER_TOP_N) && SCRAPER_TOP_N > 0) options.topN = SCRAPER_TOP_N;
       if (Number.isFinite(SCRAPER_MIN_SCORE) && SCRAPER_MIN_SCORE > 0) options.minScore = SCRAPER_MIN_SCORE;
       const selectedNames = performanceTracker.selectScrapers(unpenalized, options);
-      selectedTasks = scraperTasks.filter(task => selectedNames.includes(task.name));
+      selectedTasks = runnableTasks.filter(task => selectedNames.includes(task.name));
       console.log(`[${logPrefix}] Selected scrapers: ${selectedTasks.map(task => task.name).join(', ')}`);
     } else {
-      selectedTasks = scraperTasks.filter(task => unpenalized.includes(task.name));
+      selectedTasks = runnableTasks.filter(task => unpenalized.includes(task.name));
     }
+
+    // A claimed probe has to run, or the circuit stays half-open until the probe times out
+    const selectedNames = new Set(selectedTasks.map(task => task.name));
+    const probeTasks = runnableTasks.filter(task => circuits.probing.includes(task.name) && !selectedNames.has(task.name));
+    selectedTasks = selectedTasks.concat(probeTasks);
   }
 
-  const stremthruTasks = scraperTasks.filter(task => task.name === 'stremthru');
+  const stremthruTasks = runnableTasks.filter(task => task.name === 'stremthru');
   if (stremthruTasks.length > 0) {
     const selectedNames = new Set(selectedTasks.map(task => task.name));
     if (!selectedNames.has('stremthru')) {
@@ -336,6 +393,9 @@ export async function orchestrateScrapers({
           // The hard timeout already fires at 10s (before the scraper's own 15s timeout), so
           // we can't distinguish "scraper timed out internally" from "no results" via duration here.
           performanceTracker.recordSuccess(task.name, resultCount, duration);
+        } else if (!performanceTracker.isPenaltyExempt(task.name)) {
+          // The tracker feeds the circuits; without it they are told directly
+          recordScraperSuccess(task.name);
         }
 
         if (duration > slowThresholdMs) {
@@ -359,8 +419,12 @@ export async function orchestrateScrapers({
         const duration = Date.now() - start;
         const errorType = classifyScraperError(error);
 
-        if (SCRAPER_PERF_ENABLED && errorType !== 'aborted') {
-          performanceTracker.recordFailure(task.name, errorType, duration, error.message);
+        if (errorType !== 'aborted') {
+          if (SCRAPER_PERF_ENABLED) {
+            performanceTracker.recordFailure(task.name, errorType, duration, error.message);
+          } else if (!performanceTracker.isPenaltyExempt(task.name)) {
+            recordScraperFailure(task.name, errorType, error.message);
+          }
         }
 
         if (errorType !== 'aborted' && duration > slowThresholdMs) {
@@ -0,0 +1,115 @@
+// lib/util/simkl.js
+// Minimal Simkl API client for the watchlist / "up next" catalogs and the
+// PIN OAuth flow used by the configure page.
+
+const SIMKL_API_URL = process.env.SIMKL_API_URL || 'https://api.simkl.com';
+const SIMKL_CLIENT_ID = process.env.SIMKL_CLIENT_ID || '';
+const SIMKL_TIMEOUT_MS = parseInt(process.env.SIMKL_TIMEOUT_MS || '10000', 10);
+
+async function simklRequest(baseUrl, path, { headers = {}, timeoutMs = SIMKL_TIMEOUT_MS } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(`${baseUrl}${path}`, {
+            headers: { 'Content-Type': 'application/json', ...headers },
+            signal: controller.signal
+        });
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : null;
+        return { status: response.status, ok: response.ok, data };
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`Simkl request timed out after ${timeoutMs}ms`);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Parses Simkl's "next_to_watch" marker ("S01E05", "s1e5").
+ * @returns {{season: number, episode: number}|null}
+ */
+export function parseNextToWatch(value) {
+    const match = String(value || '').match(/^s(\d+)e(\d+)$/i);
+    if (!match) return null;
+    return { season: parseInt(match[1], 10), episode: parseInt(match[2], 10) };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.accessToken - User's OAuth access token
+ * @param {string} [options.clientId] - Simkl app client ID
+ * @param {string} [options.baseUrl] - API root (tests point this at a mock server)
+ */
+export function createSimklClient({ accessToken, clientId = SIMKL_CLIENT_ID, baseUrl = SIMKL_API_URL } = {}) {
+    const headers = {
+        'simkl-api-key': clientId,
+        Authorization: `Bearer ${accessToken}`
+    };
+
+    async function get(path) {
+        const { ok, status, data } = await simklRequest(baseUrl, path, { headers });
+        if (!ok) throw new Error(`Simkl ${path} failed with HTTP ${status}`);
+        return data;
+    }
+
+    return {
+        /**
+         * "Plan to watch" list.
+         * @param {'movie'|'series'} type
+         * @returns {Promise<Array<{type: string, imdbId: string, title: string, year: number|null}>>}
+         */
+        async getWatchlist(type) {
+            const key = type === 'movie' ? 'movies' : 'shows';
+            const data = await get(`/sync/all-items/${key}/plantowatch`);
+            return (data?.[key] || [])
+                .map(entry => {
+                    const media = type === 'movie' ? entry?.movie : entry?.show;
+                    if (!media?.ids?.imdb) return null;
+                    return { type: type === 'movie' ? 'movie' : 'series', imdbId: media.ids.imdb, title: media.title || '', year: media.year || null };
+                })
+                .filter(Boolean);
+        },
+
+        /**
+         * Next episode of every show in the "watching" list, most recently watched first.
+         * @returns {Promise<Array<{imdbId: string, title: string, season: number, episode: number, episodeTitle: string}>>}
+         */
+        async getUpNext() {
+            const data = await get('/sync/all-items/shows/watching?next_watch_info=yes');
+            return (data?.shows || [])
+                .sort((a, b) => String(b.last_watched_at || '').localeCompare(String(a.last_watched_at || '')))
+                .map(entry => {
+                    const next = parseNextToWatch(entry?.next_to_watch);
+                    const imdbId = entry?.show?.ids?.imdb;
+                    if (!next || !imdbId) return null;
+                    return { imdbId, title: entry.show.title || '', ...next, episodeTitle: '' };
+                })
+                .filter(Boolean);
+        }
+    };
+}
+
+/**
+ * Starts the PIN flow; the user enters `user_code` at `verification_url`.
+ * @returns {Promise<{user_code: string, verification_url: string, expires_in: number, interval: number}>}
+ */
+export async function startPinAuth({ clientId = SIMKL_CLIENT_ID, baseUrl = SIMKL_API_URL } = {}) {
+    if (!clientId) throw new Error('SIMKL_CLIENT_ID is not configured');
+    const { ok, status, data } = await simklRequest(baseUrl, `/oauth/pin?client_id=${encodeURIComponent(clientId)}`);
+    if (!ok || !data?.user_code) throw new Error(`Simkl PIN request failed with HTTP ${status}`);
+    return data;
+}
+
+/**
+ * Polls the PIN flow once.
+ * @returns {Promise<{status: 'ok'|'pending', accessToken?: string}>}
+ */
+export async function pollPinToken(userCode, { clientId = SIMKL_CLIENT_ID, baseUrl = SIMKL_API_URL } = {}) {
+    const { ok, status, data } = await simklRequest(baseUrl, `/oauth/pin/${encodeURIComponent(userCode)}?client_id=${encodeURIComponent(clientId)}`);
+    if (!ok) throw new Error(`Simkl PIN check failed with HTTP ${status}`);
+    if (data?.result === 'OK' && data.access_token) return { status: 'ok', accessToken: data.access_token };
+    return { status: 'pending' };
+}
+
+export default { createSimklClient, startPinAuth, pollPinToken, parseNextToWatch };
@@ -30,6 +30,8 @@ let db = null;
 let initPromise = null;
 let cleanupIntervalId = null; // MEMORY LEAK FIX: Track interval for cleanup
 const debug = process.env.SQLITE_DEBUG_LOGS === 'true' || process.env.DEBUG_SQLITE === 'true';
+// Journal rows of accounts that never come back are dropped after this long
+const TEMP_MAGNET_JOURNAL_MAX_AGE_MS = Number(process.env.TEMP_MAGNET_JOURNAL_MAX_AGE_DAYS || 30) * 24 * 60 * 60 * 1000;
 
 export function isEnabled() {
   if (config.CACHE_BACKEND === 'postgres') return false;
@@ -161,6 +163,57 @@ async function createTables() {
       UPDATE cache SET updatedAt = CURRENT_TIMESTAMP WHERE id = NEW.id;
     END
   `);
+
+  // Temporary magnets added to user accounts during cache checks, until they are deleted
+  // (see lib/util/temp-magnet-journal.js). accountKey is a hash, never the API key.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS temp_magnets (
+      service TEXT NOT NULL,
+      accountKey TEXT NOT NULL,
+      torrentId TEXT NOT NULL,
+      hash TEXT,
+      createdAt INTEGER NOT NULL, -- epoch ms
+      PRIMARY KEY (service, accountKey, torrentId)
+    )
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_temp_magnets_createdAt ON temp_magnets(createdAt)`);
+
+  // Per-scraper circuit breaker state, shared by all workers (see lib/util/scraper-circuit.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scraper_circuits (
+      scraper TEXT PRIMARY KEY,
+      state TEXT NOT NULL, -- closed, open or half_open
+      failures INTEGER NOT NULL DEFAULT 0,
+      trips INTEGER NOT NULL DEFAULT 0,
+      openedAt INTEGER, -- epoch ms
+      retryAt INTEGER,
+      probeAt INTEGER,
+      lastError TEXT,
+      lastMessage TEXT,
+      updatedAt INTEGER NOT NULL
+    )
+  `);
+
+  // Pinned ("keep") cloud torrents per debrid account (see lib/util/library-pins.js).
+  // accountKey is a hash, never the API key.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS library_pins (
+      accountKey TEXT NOT NULL,
+      torrentId TEXT NOT NULL,
+      pinnedAt INTEGER NOT NULL, -- epoch ms
+      PRIMARY KEY (accountKey, torrentId)
+    )
+  `);
+
+  // Short references in /resolve links to sealed API keys (see encodeResolveApiKey in
+  // lib/util/configuration.js). One row per key; only the sealed key is stored.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS key_references (
+      ref TEXT PRIMARY KEY,
+      sealedKey TEXT NOT NULL,
+      updatedAt INTEGER NOT NULL -- epoch ms
+    )
+  `);
 }
 
 // Set up periodic cleanup job for expired records
@@ -194,6 +247,11 @@ function setupCleanupJob() {
       } else if (debug) {
         console.log(`[SQLITE CACHE] No expired cache entries to clean up (checked in ${duration}ms)`);
       }
+
+      const journal = db.prepare('DELETE FROM temp_magnets WHERE createdAt < ?').run(Date.now() - TEMP_MAGNET_JOURNAL_MAX_AGE_MS);
+      if (journal.changes > 0) {
+        console.log(`[SQLITE CACHE] Dropped ${journal.changes} abandoned temporary magnet journal entries`);
+      }
     } catch (error) {
       console.error(`[SQLITE CACHE] Error cleaning up expired entries: ${error.message}`);
     }
@@ -974,6 +1032,328 @@ export async function cleanupHttpStreamsCache(days = null) {
   }
 }
 
+/**
+ * Journals temporary magnets added to a user's account.
+ * @param {string} service - e.g. "realdebrid"
+ * @param {string} accountKey - Hash of service + API key
+ * @param {Array<{torrentId: string, hash?: string}>} entries
+ */
+export async function recordTempMagnets(service, accountKey, entries) {
+  if (!isEnabled() || !entries?.length) return false;
+  try {
+    const db = await getDatabase();
+    if (!db) return false;
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO temp_magnets (service, accountKey, torrentId, hash, createdAt)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const now = Date.now();
+    db.transaction(() => {
+      for (const entry of entries) {
+        insert.run(service, accountKey, String(entry.torrentId), entry.hash ? String(entry.hash).toLowerCase() : null, now);
+      }
+    })();
+    return true;
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error journaling temporary magnets: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Removes journal entries, by torrent ID or (with `hash`) every entry of that hash.
+ * @returns {Promise<number>} Removed entries
+ */
+export async function forgetTempMagnets(service, accountKey, { torrentIds = [], hash = null } = {}) {
+  if (!isEnabled() || (!torrentIds.length && !hash)) return 0;
+  try {
+    const db = await getDatabase();
+    if (!db) return 0;
+    if (hash) {
+      return db.prepare('DELETE FROM temp_magnets WHERE service = ? AND accountKey = ? AND hash = ?')
+        .run(service, accountKey, String(hash).toLowerCase()).changes;
+    }
+    const ids = torrentIds.map(String);
+    const placeholders = ids.map(() => '?').join(',');
+    return db.prepare(`DELETE FROM temp_magnets WHERE service = ? AND accountKey = ? AND torrentId IN (${placeholders})`)
+      .run(service, accountKey, ...ids).changes;
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error removing temporary magnet journal entries: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * @param {number} [olderThan] - Only entries journaled before this epoch ms
+ * @returns {Promise<Array<{torrentId: string, hash: string|null, createdAt: number}>>} Oldest first
+ */
+export async function getTempMagnets(service, accountKey, olderThan = Date.now()) {
+  if (!isEnabled()) return [];
+  try {
+    const db = await getDatabase();
+    if (!db) return [];
+    return db.prepare(`
+      SELECT torrentId, hash, createdAt FROM temp_magnets
+      WHERE service = ? AND accountKey = ? AND createdAt <= ?
+      ORDER BY createdAt
+    `).all(service, accountKey, olderThan);
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error reading temporary magnet journal: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * @returns {Promise<Array<{service: string, pending: number, accounts: number, oldestAt: number}>>} Pending cleanups per service
+ */
+export async function getTempMagnetSummary() {
+  if (!isEnabled()) return [];
+  try {
+    const db = await getDatabase();
+    if (!db) return [];
+    return db.prepare(`
+      SELECT service, COUNT(*) AS pending, COUNT(DISTINCT accountKey) AS accounts, MIN(createdAt) AS oldestAt
+      FROM temp_magnets GROUP BY service ORDER BY service
+    `).all();
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error summarizing temporary magnet journal: ${error.message}`);
+    return [];
+  }
+}
+
+const CIRCUIT_COLUMNS = 'scraper, state, failures, trips, openedAt, retryAt, probeAt, lastError, lastMessage, updatedAt';
+
+/**
+ * @returns {Promise<Array<Object>>} Stored scraper circuits; a scraper without failures has none
+ */
+export async function getScraperCircuits() {
+  if (!isEnabled()) return [];
+  try {
+    const db = await getDatabase();
+    if (!db) return [];
+    return db.prepare(`SELECT ${CIRCUIT_COLUMNS} FROM scraper_circuits ORDER BY scraper`).all();
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error reading scraper circuits: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * @param {string} scraper
+ * @returns {Promise<Object|null>}
+ */
+export async function getScraperCircuit(scraper) {
+  if (!isEnabled()) return null;
+  try {
+    const db = await getDatabase();
+    if (!db) return null;
+    return db.prepare(`SELECT ${CIRCUIT_COLUMNS} FROM scraper_circuits WHERE scraper = ?`).get(scraper) || null;
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error reading scraper circuit: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * @param {Object} circuit - As returned by getScraperCircuit()
+ */
+export async function saveScraperCircuit(circuit) {
+  if (!isEnabled()) return false;
+  try {
+    const db = await getDatabase();
+    if (!db) return false;
+    db.prepare(`
+      INSERT OR REPLACE INTO scraper_circuits (${CIRCUIT_COLUMNS})
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      circuit.scraper, circuit.state, circuit.failures, circuit.trips, circuit.openedAt, circuit.retryAt,
+      circuit.probeAt, circuit.lastError, circuit.lastMessage, circuit.updatedAt
+    );
+    return true;
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error saving scraper circuit: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Counts a failed run in one statement, so failures reported by several workers all add up.
+ * Opens the circuit when the run was its probe or the failures reach `policy.threshold`.
+ * @param {Object} initial - The row to insert when the scraper has none: its first failure
+ * @param {{threshold: number, baseCooldownMs: number, maxCooldownMs: number}} policy
+ * @returns {Promise<Object|null>} The stored circuit
+ */
+export async function recordScraperCircuitFailure(initial, { threshold, baseCooldownMs, maxCooldownMs }) {
+  if (!isEnabled()) return null;
+  try {
+    const db = await getDatabase();
+    if (!db) return null;
+    const opens = "(state = 'half_open' OR (state = 'closed' AND failures + 1 >= @threshold))";
+    return db.prepare(`
+      INSERT INTO scraper_circuits (${CIRCUIT_COLUMNS})
+      VALUES (@scraper, @state, @failures, @trips, @openedAt, @retryAt, @probeAt, @lastError, @lastMessage, @updatedAt)
+      ON CONFLICT (scraper) DO UPDATE SET
+        failures = failures + 1,
+        state = CASE WHEN ${opens} THEN 'open' ELSE state END,
+        trips = CASE WHEN ${opens} THEN trips + 1 ELSE trips END,
+        openedAt = CASE WHEN ${opens} THEN @updatedAt ELSE openedAt END,
+        retryAt = CASE WHEN ${opens} THEN @updatedAt + MIN(@maxCooldownMs, @baseCooldownMs << MIN(trips, 30)) ELSE retryAt END,
+        probeAt = CASE WHEN ${opens} THEN NULL ELSE probeAt END,
+        lastError = excluded.lastError,
+        lastMessage = excluded.lastMessage,
+        updatedAt = excluded.updatedAt
+      RETURNING ${CIRCUIT_COLUMNS}
+    `).get({ ...initial, threshold, baseCooldownMs, maxCooldownMs }) || null;
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error recording scraper failure: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Moves an open circuit whose cool-down ended (or a half-open one whose probe went silent
+ * before `staleBefore`) to half-open, for one caller only.
+ * @returns {Promise<boolean>} True if this caller runs the probe
+ */
+export async function claimScraperProbe(scraper, now, staleBefore) {
+  if (!isEnabled()) return false;
+  try {
+    const db = await getDatabase();
+    if (!db) return false;
+    return db.prepare(`
+      UPDATE scraper_circuits SET state = 'half_open', probeAt = ?, updatedAt = ?
+      WHERE scraper = ? AND ((state = 'open' AND retryAt <= ?) OR (state = 'half_open' AND probeAt <= ?))
+    `).run(now, now, scraper, now, staleBefore).changes === 1;
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error claiming scraper probe: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * @param {string|null} [scraper] - Omit to reset every circuit
+ * @returns {Promise<number>} Removed circuits
+ */
+export async function deleteScraperCircuits(scraper = null) {
+  if (!isEnabled()) return 0;
+  try {
+    const db = await getDatabase();
+    if (!db) return 0;
+    return scraper
+      ? db.prepare('DELETE FROM scraper_circuits WHERE scraper = ?').run(scraper).changes
+      : db.prepare('DELETE FROM scraper_circuits').run().changes;
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error resetting scraper circuits: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * @param {string} accountKey - Hash of service + API key
+ * @returns {Promise<Array<string>>} Pinned torrent IDs, newest first
+ */
+export async function getLibraryPins(accountKey) {
+  if (!isEnabled()) return [];
+  try {
+    const db = await getDatabase();
+    if (!db) return [];
+    return db.prepare('SELECT torrentId FROM library_pins WHERE accountKey = ? ORDER BY pinnedAt DESC')
+      .all(accountKey).map(row => row.torrentId);
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error reading library pins: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Pins torrents of an account, keeping only its newest `maxPins` pins.
+ * @param {string} accountKey - Hash of service + API key
+ * @param {Array<{torrentId: string, pinnedAt: number}>} pins
+ * @param {number} maxPins
+ * @returns {Promise<boolean>} Whether the pins were stored
+ */
+export async function addLibraryPins(accountKey, pins, maxPins) {
+  if (!isEnabled() || !pins?.length) return false;
+  try {
+    const db = await getDatabase();
+    if (!db) return false;
+    const insert = db.prepare(`
+      INSERT INTO library_pins (accountKey, torrentId, pinnedAt) VALUES (?, ?, ?)
+      ON CONFLICT(accountKey, torrentId) DO UPDATE SET pinnedAt = MAX(pinnedAt, excluded.pinnedAt)
+    `);
+    const trim = db.prepare(`
+      DELETE FROM library_pins WHERE accountKey = ? AND torrentId NOT IN (
+        SELECT torrentId FROM library_pins WHERE accountKey = ? ORDER BY pinnedAt DESC LIMIT ?
+      )
+    `);
+    db.transaction(() => {
+      for (const pin of pins) {
+        insert.run(accountKey, String(pin.torrentId), pin.pinnedAt);
+      }
+      trim.run(accountKey, accountKey, maxPins);
+    })();
+    return true;
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error saving library pins: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * @param {string} accountKey - Hash of service + API key
+ * @param {string} torrentId
+ * @returns {Promise<boolean>} Whether the pin is gone
+ */
+export async function removeLibraryPin(accountKey, torrentId) {
+  if (!isEnabled()) return false;
+  try {
+    const db = await getDatabase();
+    if (!db) return false;
+    db.prepare('DELETE FROM library_pins WHERE accountKey = ? AND torrentId = ?').run(accountKey, String(torrentId));
+    return true;
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error removing library pin: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * @param {string} ref - Reference from referenceFor()
+ * @param {string} sealedKey - The sealed API key it stands for
+ * @returns {Promise<boolean>} Whether the reference was stored
+ */
+export async function saveKeyReference(ref, sealedKey) {
+  if (!isEnabled()) return false;
+  try {
+    const db = await getDatabase();
+    if (!db) return false;
+    db.prepare(`
+      INSERT INTO key_references (ref, sealedKey, updatedAt) VALUES (?, ?, ?)
+      ON CONFLICT(ref) DO UPDATE SET sealedKey = excluded.sealedKey, updatedAt = excluded.updatedAt
+    `).run(ref, sealedKey, Date.now());
+    return true;
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error saving key reference: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * @param {string} ref
+ * @returns {Promise<string|null>} The sealed API key, or null when the reference is unknown
+ */
+export async function getKeyReference(ref) {
+  if (!isEnabled()) return null;
+  try {
+    const db = await getDatabase();
+    if (!db) return null;
+    return db.prepare('SELECT sealedKey FROM key_references WHERE ref = ?').get(ref)?.sealedKey || null;
+  } catch (error) {
+    console.error(`[SQLITE CACHE] Error reading key reference: ${error.message}`);
+    return null;
+  }
+}
+
 export default {
   upsertCachedMagnet,
   upsertCachedMagnets,
@@ -989,5 +1369,20 @@ export default {
   getCachedSearchResults,
   getCachedScraperResults,
   getCachedHashesForRelease,
-  cleanupHttpStreamsCache
+  cleanupHttpStreamsCache,
+  recordTempMagnets,
+  forgetTempMagnets,
+  getTempMagnets,
+  getTempMagnetSummary,
+  getScraperCircuits,
+  getScraperCircuit,
+  saveScraperCircuit,
+  recordScraperCircuitFailure,
+  claimScraperProbe,
+  deleteScraperCircuits,
+  getLibraryPins,
+  addLibraryPins,
+  removeLibraryPin,
+  saveKeyReference,
+  getKeyReference
 };
@@ -14,6 +14,9 @@ let initTried = false;
 let debug = (process.env.DEBRID_DEBUG_LOGS === 'true' || process.env.RD_DEBUG_LOGS === 'true' || process.env.SQLITE_DEBUG_LOGS === 'true' || process.env.DEBUG_SQLITE === 'true');
 let isClosing = false; // Track if we're shutting down
 let cleanupIntervalId = null; // MEMORY LEAK FIX: Track interval for cleanup
+let confirmationCleanupId = null;
+// Availability confirmations older than this no longer count (see lib/util/hash-confidence.js)
+const HASH_CONFIRMATION_MAX_AGE_MS = Number(process.env.HASH_CONFIRMATION_MAX_AGE_DAYS || 7) * 24 * 60 * 60 * 1000;
 
 function isEnabled() {
   const enabledFlag = process.env.SQLITE_CACHE_ENABLED;
@@ -103,6 +106,20 @@ async function ensureConnected() {
       END
     `);
 
+    // Latest availability answer per provider account, for cross-user confidence
+    // (see lib/util/hash-confidence.js). accountKey is a hash, never the API key.
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS hash_confirmations (
+        provider TEXT NOT NULL,
+        hash TEXT NOT NULL,
+        accountKey TEXT NOT NULL,
+        cached INTEGER NOT NULL,
+        confirmedAt INTEGER NOT NULL, -- epoch ms
+        PRIMARY KEY (provider, hash, accountKey)
+      )
+    `);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_hash_confirmations_confirmedAt ON hash_confirmations(confirmedAt)`);
+
     if (!initTried) {
       console.log('[SQLITE-CACHE] SQLite cache enabled');
       initTried = true;
@@ -229,6 +246,69 @@ export async function upsertHashes(provider, statuses = []) {
   }
 }
 
+/**
+ * Records what a provider answered for these hashes when asked with one account.
+ * @param {string} provider
+ * @param {string} accountKey - Hash of provider + API key
+ * @param {Array<{hash: string, cached: boolean}>} statuses
+ */
+export async function recordHashConfirmations(provider, accountKey, statuses = []) {
+  const ok = await ensureConnected();
+  if (!ok || !accountKey || !Array.isArray(statuses) || statuses.length === 0) return false;
+
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO hash_confirmations (provider, hash, accountKey, cached, confirmedAt)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(provider, hash, accountKey) DO UPDATE SET cached = excluded.cached, confirmedAt = excluded.confirmedAt
+    `);
+    const now = Date.now();
+    db.transaction(() => {
+      for (const status of statuses) {
+        if (!status?.hash) continue;
+        stmt.run(String(provider).toLowerCase(), String(status.hash).toLowerCase(), accountKey, status.cached ? 1 : 0, now);
+      }
+    })();
+    return true;
+  } catch (error) {
+    if (debug) {
+      console.error(`[SQLITE-CACHE] [${provider}] Error recording hash confirmations: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+/**
+ * @param {string} provider
+ * @param {Array<string>} hashes
+ * @param {number} [since] - Ignore confirmations before this epoch ms
+ * @returns {Promise<Array<{hash: string, confirmations: number, lastCachedAt: number|null, lastUncachedAt: number|null}>>}
+ * confirmations counts the accounts whose latest answer was "cached"
+ */
+export async function getHashConfirmations(provider, hashes = [], since = 0) {
+  const ok = await ensureConnected();
+  if (!ok || !Array.isArray(hashes) || hashes.length === 0) return [];
+
+  try {
+    const lowered = hashes.map(h => String(h).toLowerCase());
+    const placeholders = lowered.map(() => '?').join(',');
+    return db.prepare(`
+      SELECT hash,
+        SUM(cached) AS confirmations,
+        MAX(CASE WHEN cached = 1 THEN confirmedAt END) AS lastCachedAt,
+        MAX(CASE WHEN cached = 0 THEN confirmedAt END) AS lastUncachedAt
+      FROM hash_confirmations
+      WHERE provider = ? AND hash IN (${placeholders}) AND confirmedAt >= ?
+      GROUP BY hash
+    `).all(String(provider).toLowerCase(), ...lowered, since);
+  } catch (error) {
+    if (debug) {
+      console.error(`[SQLITE-CACHE] [${provider}] Error reading hash confirmations: ${error.message}`);
+    }
+    return [];
+  }
+}
+
 // Clean up expired entries based on TTL (if configured)
 function setupCleanupJob() {
   if (!db) return;
@@ -238,6 +318,10 @@ function setupCleanupJob() {
     clearInterval(cleanupIntervalId);
     cleanupIntervalId = null;
   }
+  if (confirmationCleanupId) {
+    clearInterval(confirmationCleanupId);
+    confirmationCleanupId = null;
+  }
 
   if (debug) console.log('[SQLITE-CACHE] Setting up periodic cleanup job for expired hash cache entries');
 
@@ -271,6 +355,18 @@ function setupCleanupJob() {
   } else if (debug) {
     console.log('[SQLITE-CACHE] TTL cleanup not configured (SQLITE_CACHE_TTL_DAYS is 0 or not set)');
   }
+
+  // Confirmations expire regardless of the TTL setting
+  confirmationCleanupId = setInterval(() => {
+    try {
+      const result = db.prepare('DELETE FROM hash_confirmations WHERE confirmedAt < ?').run(Date.now() - HASH_CONFIRMATION_MAX_AGE_MS);
+      if (result.changes > 0) {
+        console.log(`[SQLITE-CACHE] Dropped ${result.changes} outdated hash confirmations`);
+      }
+    } catch (error) {
+      console.error(`[SQLITE-CACHE] Error cleaning up hash confirmations: ${error.message}`);
+    }
+  }, 30 * 60 * 1000); // 30 minutes
 }
 
 // Gracefully close SQLite connection
@@ -284,6 +380,10 @@ export async function closeConnection() {
     cleanupIntervalId = null;
     if (debug) console.log('[SQLITE-CACHE] Cleanup interval cleared');
   }
+  if (confirmationCleanupId) {
+    clearInterval(confirmationCleanupId);
+    confirmationCleanupId = null;
+  }
 
   try {
     if (db) {
@@ -311,4 +411,4 @@ export async function initCleanup() {
 
 export { isEnabled };
 
-export default { checkHashesCached, upsertHashes, closeConnection, initCleanup, isEnabled };
\ No newline at end of file
+export default { checkHashesCached, upsertHashes, recordHashConfirmations, getHashConfirmations, closeConnection, initCleanup, isEnabled };
\ No newline at end of file
@@ -0,0 +1,177 @@
+// lib/util/stream-template.js
+// User-defined stream name/title layout (`StreamTemplate` in the config).
+//
+//   {placeholder}            -> value, or nothing when unknown for this stream
+//   {?placeholder}...{/placeholder} -> rendered only when the value is non-empty
+//   {!placeholder}...{/placeholder} -> rendered only when the value is empty
+//
+// Lines left empty after rendering are dropped and repeated spaces collapsed, so
+// "{title}\n{?hdr}{hdr} {/hdr}{size}" stays compact on TVs and phones.
+//
+// Builders attach `_templateFields` to each stream; the template is rendered as the
+// very last step of the pipeline so episode, language and keyword filters keep
+// seeing the original titles.
+import { formatSize } from '../common/torrent-utils.js';
+import { detectLanguagesFromTitle, renderLanguageFlags } from './language-mapping.js';
+import { getReleaseGroup, getReleaseFeatures } from './ranking-profile.js';
+
+const MAX_TEMPLATE_LENGTH = 500;
+const MAX_CONDITIONAL_PASSES = 10;
+
+export const TEMPLATE_PLACEHOLDERS = [
+    'title', 'filename', 'resolution', 'codec', 'hdr', 'audio', 'size', 'group',
+    'languages', 'cached', 'personal', 'source', 'tracker', 'episode', 'icon', 'proxy'
+];
+
+const FEATURE_LABELS = {
+    av1: 'AV1', hevc: 'HEVC', avc: 'AVC',
+    dv: 'DV', hdr10plus: 'HDR10+', hdr: 'HDR',
+    atmos: 'Atmos', truehd: 'TrueHD', dtshd: 'DTS-HD', dts: 'DTS'
+};
+
+const CONDITIONAL_REGEX = /\{([?!])(\w+)\}([\s\S]*?)\{\/\2\}/g;
+const PLACEHOLDER_REGEX = /\{(\w+)\}/g;
+
+function normalizeTemplateString(value) {
+    if (typeof value !== 'string') return null;
+    // The configure page sends real newlines, hand-written URLs often contain a literal "\n"
+    const template = value.replace(/\\n/g, '\n').trim();
+    if (!template) return null;
+    return template.substring(0, MAX_TEMPLATE_LENGTH);
+}
+
+/**
+ * Validates the user's stream template.
+ * @param {Object} raw - `StreamTemplate` from the user config: { name?: string, title?: string }
+ * @returns {{name: string|null, title: string|null}|null} Null when no template is configured
+ */
+export function normalizeStreamTemplate(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const name = normalizeTemplateString(raw.name);
+    const title = normalizeTemplateString(raw.title);
+    return name || title ? { name, title } : null;
+}
+
+/**
+ * Renders a template string against a context of placeholder values.
+ * @param {string} template - Template string
+ * @param {Object} context - Placeholder values (strings)
+ * @returns {string}
+ */
+export function renderTemplate(template, context) {
+    let output = template;
+    for (let pass = 0; pass < MAX_CONDITIONAL_PASSES; pass++) {
+        const next = output.replace(CONDITIONAL_REGEX, (match, mode, key, body) => {
+            const hasValue = Boolean(context[key]);
+            return (mode === '?') === hasValue ? body : '';
+        });
+        if (next === output) break;
+        output = next;
+    }
+    output = output.replace(PLACEHOLDER_REGEX, (match, key) => (
+        TEMPLATE_PLACEHOLDERS.includes(key) ? (context[key] || '') : match
+    ));
+    return output
+        .split('\n')
+        .map(line => line.replace(/[ \t]{2,}/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Builds the placeholder values for one stream.
+ * @param {Object} fields - Raw stream facts from a builder
+ * @param {string} fields.title - Release or file name
+ * @param {string} [fields.fileName] - Video file name, when known
+ * @param {string} [fields.resolution] - Resolution label ("4k", "1080p"...)
+ * @param {number|string} [fields.size] - Size in bytes, or an already formatted size
+ * @param {Array<string>} [fields.languages] - Language keys; detected from the title when omitted
+ * @param {boolean} [fields.cached] - Instantly playable from the service
+ * @param {boolean} [fields.personal] - File already in the user's cloud / server
+ * @param {string} [fields.source] - Provider tag, e.g. "[RD+] Sootio"
+ * @param {string} [fields.tracker] - Tracker / site label
+ * @param {string} [fields.episode] - "S01E02" hint for season packs
+ * @param {string} [fields.icon] - Icon used by the default layout
+ * @param {boolean} [fields.proxy] - Routed through MediaFlow proxy
+ * @returns {Object} Template context
+ */
+export function buildTemplateContext(fields = {}) {
+    const title = String(fields.title || fields.fileName || '');
+    const releaseText = [fields.fileName, title].filter(Boolean).join(' ');
+    const features = getReleaseFeatures(releaseText);
+    const label = (section) => features[section].map(key => FEATURE_LABELS[key]).join(' ');
+    const languages = Array.isArray(fields.languages) ? fields.languages : detectLanguagesFromTitle(title);
+    let size = '';
+    if (typeof fields.size === 'number' && fields.size > 0) {
+        size = formatSize(fields.size);
+    } else if (typeof fields.size === 'string') {
+        size = fields.size;
+    }
+
+    return {
+        title,
+        filename: fields.fileName || '',
+        resolution: fields.resolution && fields.resolution !== 'other' ? String(fields.resolution) : '',
+        codec: features.codec.length > 0 ? FEATURE_LABELS[features.codec[0]] : '',
+        hdr: label('hdr'),
+        audio: label('audio'),
+        size,
+        group: getReleaseGroup(fields.fileName || title, { preserveCase: true }) || '',
+        languages: renderLanguageFlags(languages).trim(),
+        cached: fields.cached ? 'Cached' : '',
+        personal: fields.personal ? 'Cloud' : '',
+        source: fields.source || '',
+        tracker: fields.tracker || '',
+        episode: fields.episode || '',
+        icon: fields.icon || '',
+        proxy: fields.proxy ? '🔒 Proxy' : ''
+    };
+}
+
+/**
+ * Derives template fields from a stream that was built without `_templateFields`
+ * (the HTTP streaming providers each format their own rows).
+ * @param {Object} stream - Stremio stream object
+ * @returns {Object} Template fields
+ */
+export function fieldsFromStream(stream) {
+    const [firstNameLine, ...nameLines] = String(stream.name || '').split('\n');
+    const [titleLine, ...detailLines] = String(stream.title || '').split('\n');
+    const details = detailLines.join('\n');
+    const trackerLine = detailLines.find(line => line.includes('|'));
+    const sizeMatch = details.match(/(\d+(?:\.\d+)?\s*(?:TB|GB|MB|KB))/i);
+    return {
+        title: titleLine.trim(),
+        fileName: stream.behaviorHints?.fileName,
+        resolution: stream.resolution || nameLines.filter(Boolean).pop(),
+        size: stream._size || stream.size || (sizeMatch ? sizeMatch[1] : ''),
+        cached: false,
+        personal: Boolean(stream.isPersonal),
+        source: firstNameLine,
+        tracker: trackerLine ? trackerLine.split('|').pop().trim() : '',
+        icon: /^(\S+)\s/.exec(details)?.[1] || '',
+        proxy: details.includes('🔒 Proxy')
+    };
+}
+
+/**
+ * Renders the user's template into every stream's name/title. Streams keep their
+ * default layout for whichever of name/title the template leaves unset. The
+ * internal `_templateFields` are always stripped from the response.
+ * @param {Array} streams - Final, filtered and sorted streams
+ * @param {Object} rawTemplate - `StreamTemplate` from the user config
+ * @returns {Array} New stream objects
+ */
+export function applyStreamTemplates(streams, rawTemplate) {
+    const template = normalizeStreamTemplate(rawTemplate);
+    return streams.map(stream => {
+        const { _templateFields, ...rest } = stream;
+        if (!template) return rest;
+        const context = buildTemplateContext(_templateFields || fieldsFromStream(stream));
+        if (template.name) rest.name = renderTemplate(template.name, context) || rest.name;
+        if (template.title) rest.title = renderTemplate(template.title, context) || rest.title;
+        return rest;
+    });
+}
+
+export default { normalizeStreamTemplate, renderTemplate, buildTemplateContext, applyStreamTemplates };
@@ -0,0 +1,161 @@
+// lib/util/subtitle-files.js
+// Picks the subtitle files that ship next to a video inside a debrid torrent or a
+// home-media folder, for Stremio's `subtitles` resource. Stremio tells us which
+// video is playing through the `filename` and `videoSize` extras.
+//
+// A subtitle belongs to the video when it sits in the video's folder or in a
+// "Subs"/"Subtitles" folder beside it, and either its name starts with the video's
+// name, it lives in "Subs/<video name>/", or the release only has one video.
+import { isSubtitle, isVideo } from './extension-util.js';
+import { languageFromTag } from './language-mapping.js';
+import PTT from './parse-torrent-title.js';
+
+const MAX_SUBTITLES_PER_VIDEO = 40;
+// Releases whose title matches the video; each costs a file-list request
+const MAX_CANDIDATE_RELEASES = 3;
+const LANGUAGE_TAG_WINDOW = 3;
+const SUBTITLE_FOLDER_REGEX = /^(subs?|subtitles?)$/i;
+
+// ISO 639-2 codes, which Stremio uses to group and label subtitle tracks
+const LANGUAGE_ISO_CODES = {
+    english: 'eng', japanese: 'jpn', russian: 'rus', italian: 'ita', portuguese: 'por',
+    spanish: 'spa', latino: 'spa', korean: 'kor', chinese: 'chi', taiwanese: 'chi',
+    french: 'fre', german: 'ger', dutch: 'dut', hindi: 'hin', telugu: 'tel', tamil: 'tam',
+    polish: 'pol', lithuanian: 'lit', latvian: 'lav', estonian: 'est', czech: 'cze',
+    slovakian: 'slo', slovenian: 'slv', hungarian: 'hun', romanian: 'rum', bulgarian: 'bul',
+    serbian: 'srp', croatian: 'hrv', ukrainian: 'ukr', greek: 'gre', danish: 'dan',
+    finnish: 'fin', swedish: 'swe', norwegian: 'nor', turkish: 'tur', arabic: 'ara',
+    persian: 'per', hebrew: 'heb', vietnamese: 'vie', indonesian: 'ind', malay: 'may', thai: 'tha'
+};
+const UNKNOWN_LANGUAGE = 'und';
+
+function splitPath(path) {
+    const parts = String(path || '').replace(/\\/g, '/').split('/').filter(Boolean);
+    const base = parts.pop() || '';
+    return { dir: parts.join('/'), base };
+}
+
+function stem(name) {
+    return String(name || '').replace(/\.[a-z0-9]{2,4}$/i, '');
+}
+
+// Folder of `dir` relative to `baseDir`, or null when it is not inside it
+function relativeDir(dir, baseDir) {
+    if (!baseDir || dir === baseDir) return baseDir ? '' : dir;
+    return dir.startsWith(`${baseDir}/`) ? dir.substring(baseDir.length + 1) : null;
+}
+
+function normalizeName(name) {
+    return stem(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function normalizeTitle(name) {
+    return String(PTT.parse(name || '')?.title || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Cheap pre-check before fetching a release's file list: the release title must
+ * match the playing video's title.
+ * @param {string} releaseName - Torrent or folder name
+ * @param {{fileName?: string}} video - Playing video
+ * @returns {boolean}
+ */
+export function isCandidateRelease(releaseName, video) {
+    if (!releaseName || !video?.fileName) return false;
+    if (normalizeName(releaseName) === normalizeName(video.fileName)) return true;
+    const releaseTitle = normalizeTitle(releaseName);
+    return releaseTitle.length > 0 && releaseTitle === normalizeTitle(video.fileName);
+}
+
+/**
+ * Finds the playing video in a release's file list, by file name first and by
+ * exact size as a fallback.
+ * @param {Array<{path: string, size?: number}>} files - Files of one release
+ * @param {{fileName?: string, size?: number}} video - Playing video
+ * @returns {Object|null} The matching file
+ */
+export function findVideoFile(files, video = {}) {
+    const videos = files.filter(file => isVideo(file.path));
+    const wanted = splitPath(video.fileName).base.toLowerCase();
+    const byName = wanted ? videos.find(file => splitPath(file.path).base.toLowerCase() === wanted) : null;
+    if (byName) return byName;
+    const size = Number(video.size);
+    if (!Number.isFinite(size) || size <= 0) return null;
+    return videos.find(file => Number(file.size) === size) || null;
+}
+
+/**
+ * Guesses a subtitle's language from tags at the end of its name
+ * ("Movie.2023.eng.forced.srt", "Subs/2_English.srt").
+ * @param {string} path - Subtitle path
+ * @param {string} [videoPath] - Path of the video it belongs to
+ * @returns {string} ISO 639-2 code, or "und" when unknown
+ */
+export function subtitleLanguage(path, videoPath = '') {
+    const videoStem = stem(splitPath(videoPath).base).toLowerCase();
+    let name = stem(splitPath(path).base);
+    if (videoStem && name.toLowerCase().startsWith(videoStem)) {
+        name = name.substring(videoStem.length);
+    }
+    const tags = name.split(/[\s._\-[\]()]+/).filter(Boolean).slice(-LANGUAGE_TAG_WINDOW).reverse();
+    for (const tag of tags) {
+        const language = languageFromTag(tag);
+        if (language) return LANGUAGE_ISO_CODES[language] || UNKNOWN_LANGUAGE;
+    }
+    return UNKNOWN_LANGUAGE;
+}
+
+/**
+ * Picks the subtitles that belong to the playing video.
+ * @param {Array<{path: string, size?: number}>} files - Every file of one release
+ * @param {{fileName?: string, size?: number}} video - Playing video
+ * @returns {Array<{file: Object, lang: string}>} Subtitles with their languages
+ */
+export function selectSubtitles(files, video) {
+    if (!Array.isArray(files) || files.length === 0) return [];
+    const videoFile = findVideoFile(files, video);
+    if (!videoFile) return [];
+
+    const { dir: videoDir, base: videoBase } = splitPath(videoFile.path);
+    const videoStem = stem(videoBase).toLowerCase();
+    const singleVideo = files.filter(file => isVideo(file.path)).length === 1;
+
+    const belongsToVideo = (file) => {
+        if (!isSubtitle(file.path)) return false;
+        const { dir, base } = splitPath(file.path);
+        const subDir = relativeDir(dir, videoDir);
+        if (subDir === null) return false;
+        const folders = subDir ? subDir.split('/') : [];
+        if (folders.length > 2 || (folders.length > 0 && !SUBTITLE_FOLDER_REGEX.test(folders[0]))) return false;
+        if (folders.length === 2) return folders[1].toLowerCase() === videoStem;
+        return singleVideo || base.toLowerCase().startsWith(videoStem);
+    };
+
+    return files
+        .filter(belongsToVideo)
+        .slice(0, MAX_SUBTITLES_PER_VIDEO)
+        .map(file => ({ file, lang: subtitleLanguage(file.path, videoFile.path) }))
+        .sort((a, b) => a.lang.localeCompare(b.lang));
+}
+
+/**
+ * Subtitles of the playing video from a provider's torrents or folders: opens the first few
+ * releases whose title matches the video, stopping at the first one holding subtitles for it.
+ * @param {Array<{name: string}>} releases - The account's torrents or folders
+ * @param {{fileName?: string, size?: number}} video - Playing video
+ * @param {function(Object): Promise<Array<{path: string, size?: number}>>} listFiles - Files of one release
+ * @returns {Promise<Array<{file: Object, lang: string}>>} Subtitles with their languages
+ */
+export async function findReleaseSubtitles(releases, video, listFiles) {
+    if (!video?.fileName) return [];
+    const candidates = (releases || [])
+        .filter(release => isCandidateRelease(release.name, video))
+        .slice(0, MAX_CANDIDATE_RELEASES);
+    for (const release of candidates) {
+        const subtitles = selectSubtitles(await listFiles(release), video);
+        if (subtitles.length > 0) return subtitles;
+    }
+    return [];
+}
+
+export default { isCandidateRelease, findVideoFile, subtitleLanguage, selectSubtitles, findReleaseSubtitles };
@@ -0,0 +1,151 @@
+// lib/util/temp-magnet-journal.js
+// Journal of the temporary magnets that cache checks add to user accounts. A request that
+// times out before its cleanup runs leaves them in the user's library; the journal lives in
+// the cache backend, so a later request of the same account deletes the leftovers on any
+// worker. Each account also has a quota of pending temporary magnets, so failing cleanups
+// cannot fill a library. Entries whose delete keeps failing are dropped after
+// TEMP_MAGNET_GIVE_UP_MS, so they stop counting against the quota.
+
+import * as cacheStore from './cache-store.js';
+import { getAccountKey, getPinnedIds } from './library-pins.js';
+
+const TEMP_MAGNET_MAX_PENDING = parseInt(process.env.TEMP_MAGNET_MAX_PENDING || '50', 10);
+// Younger entries may belong to a cache check that is still running
+const TEMP_MAGNET_GRACE_MS = parseInt(process.env.TEMP_MAGNET_GRACE_MS || '900000', 10);
+const TEMP_MAGNET_SWEEP_INTERVAL_MS = parseInt(process.env.TEMP_MAGNET_SWEEP_INTERVAL_MS || '600000', 10);
+// By then sweeps have retried the delete for hours; the torrent is likely gone or undeletable
+const TEMP_MAGNET_GIVE_UP_MS = parseInt(process.env.TEMP_MAGNET_GIVE_UP_MS || '86400000', 10);
+const MAX_TRACKED_SWEEPS = 10000;
+
+// `${service}:${accountKey}` -> time of the last sweep
+const lastSweeps = new Map();
+
+/**
+ * The torrent IDs one request added, journaled as they are added. Passing the info hash
+ * as the second argument of add() lets a later play of that hash keep the torrent.
+ */
+class TempMagnetSet extends Set {
+    constructor(service, accountKey) {
+        super();
+        this.service = service;
+        this.accountKey = accountKey;
+        this.pendingBefore = 0;
+        this.quotaLogged = false;
+    }
+
+    add(torrentId, hash = null) {
+        if (torrentId != null && !this.has(torrentId) && this.accountKey) {
+            cacheStore.recordTempMagnets(this.service, this.accountKey, [{ torrentId, hash }]).catch(() => {});
+        }
+        return super.add(torrentId);
+    }
+
+    /**
+     * @returns {boolean} False once the account has TEMP_MAGNET_MAX_PENDING temporary magnets
+     * pending, counting this request's; cache checks then stop adding magnets
+     */
+    hasRoom() {
+        const room = this.pendingBefore + this.size < TEMP_MAGNET_MAX_PENDING;
+        if (!room && !this.quotaLogged) {
+            this.quotaLogged = true;
+            console.warn(`[TEMP-MAGNETS] ${this.service} account reached ${TEMP_MAGNET_MAX_PENDING} pending temporary magnets, skipping live cache checks`);
+        }
+        return room;
+    }
+}
+
+async function sweep(service, accountKey, apiKey, entries, deleteIds) {
+    const cutoff = Date.now() - TEMP_MAGNET_GRACE_MS;
+    const stale = entries.filter(entry => entry.createdAt <= cutoff);
+    if (stale.length === 0) return;
+
+    // Pinned torrents were kept on purpose from the library page
+    const pinnedIds = await getPinnedIds(service, apiKey).catch(() => new Set());
+    const pinned = stale.filter(entry => pinnedIds.has(String(entry.torrentId))).map(entry => entry.torrentId);
+    if (pinned.length > 0) await cacheStore.forgetTempMagnets(service, accountKey, { torrentIds: pinned });
+
+    const leftovers = stale.filter(entry => !pinnedIds.has(String(entry.torrentId))).map(entry => entry.torrentId);
+    if (leftovers.length === 0) return;
+    console.log(`[TEMP-MAGNETS] Sweeping ${leftovers.length} leftover temporary magnets from a ${service} account`);
+    await deleteIds(leftovers);
+}
+
+/**
+ * Starts tracking the temporary magnets of one request and, at most every
+ * TEMP_MAGNET_SWEEP_INTERVAL_MS per account, deletes leftovers of earlier requests.
+ * @param {string} service - e.g. "realdebrid"
+ * @param {string} apiKey
+ * @param {function(Array<string>): Promise<*>} [deleteIds] - Deletes torrents and calls forgetTempMagnets for the deleted ones
+ * @returns {TempMagnetSet}
+ */
+export function trackTempMagnets(service, apiKey, deleteIds = null) {
+    const accountKey = apiKey ? getAccountKey(service, apiKey) : null;
+    const tracked = new TempMagnetSet(service, accountKey);
+    if (!accountKey || !cacheStore.isEnabled()) return tracked;
+
+    cacheStore.getTempMagnets(service, accountKey)
+        .then(async journaled => {
+            const giveUpBefore = Date.now() - TEMP_MAGNET_GIVE_UP_MS;
+            const entries = journaled.filter(entry => entry.createdAt > giveUpBefore);
+            tracked.pendingBefore = entries.length;
+            const abandoned = journaled.filter(entry => entry.createdAt <= giveUpBefore).map(entry => entry.torrentId);
+            if (abandoned.length > 0) {
+                console.warn(`[TEMP-MAGNETS] Giving up on ${abandoned.length} temporary magnets a ${service} account could not delete`);
+                await cacheStore.forgetTempMagnets(service, accountKey, { torrentIds: abandoned });
+            }
+            const sweepKey = `${service}:${accountKey}`;
+            if (!deleteIds || entries.length === 0 || Date.now() - (lastSweeps.get(sweepKey) || 0) < TEMP_MAGNET_SWEEP_INTERVAL_MS) return;
+            if (lastSweeps.size >= MAX_TRACKED_SWEEPS) lastSweeps.delete(lastSweeps.keys().next().value);
+            lastSweeps.set(sweepKey, Date.now());
+            return sweep(service, accountKey, apiKey, entries, deleteIds);
+        })
+        .catch(error => console.error(`[TEMP-MAGNETS] ${service} sweep failed: ${error.message}`));
+    return tracked;
+}
+
+/**
+ * Drops deleted (or already gone) torrents from the journal.
+ */
+export async function forgetTempMagnets(service, apiKey, torrentIds) {
+    const ids = Array.from(torrentIds || []);
+    if (!apiKey || ids.length === 0) return 0;
+    return cacheStore.forgetTempMagnets(service, getAccountKey(service, apiKey), { torrentIds: ids });
+}
+
+/**
+ * A played hash belongs to the user now: providers reuse an account's torrent of the same
+ * hash, so a leftover temporary magnet may be the one playing. It is never swept.
+ * @param {string} service
+ * @param {string|Array<string>} apiKeys
+ * @param {string} hash
+ */
+export async function releaseTempMagnet(service, apiKeys, hash) {
+    if (!hash || !cacheStore.isEnabled()) return;
+    const keys = (Array.isArray(apiKeys) ? apiKeys : [apiKeys]).filter(Boolean);
+    await Promise.all(keys.map(apiKey =>
+        cacheStore.forgetTempMagnets(service, getAccountKey(service, apiKey), { hash })));
+}
+
+/**
+ * Pending cleanups per service, for the admin endpoint.
+ */
+export async function getTempMagnetStats() {
+    const services = await cacheStore.getTempMagnetSummary();
+    return {
+        enabled: cacheStore.isEnabled(),
+        maxPendingPerAccount: TEMP_MAGNET_MAX_PENDING,
+        graceMinutes: Math.round(TEMP_MAGNET_GRACE_MS / 60000),
+        giveUpHours: Math.round(TEMP_MAGNET_GIVE_UP_MS / 3600000),
+        services: services.map(entry => ({
+            ...entry,
+            oldestAt: entry.oldestAt ? new Date(Number(entry.oldestAt)).toISOString() : null
+        }))
+    };
+}
+
+export default {
+    trackTempMagnets,
+    forgetTempMagnets,
+    releaseTempMagnet,
+    getTempMagnetStats
+};
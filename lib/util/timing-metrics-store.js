@@ -9,6 +9,7 @@ import Database from 'better-sqlite3';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { observeProviderSearch } from './metrics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -259,6 +260,9 @@ function flushSqlite(metrics) {
  * Non-blocking - queues writes for background processing
  */
 export function recordTiming(provider, durationMs, status, resultCount = 0) {
+  // Prometheus gets every timing, stored or not
+  observeProviderSearch(provider, durationMs, status);
+
   // Silently skip if not initialized
   if (!initPromise) return;
 
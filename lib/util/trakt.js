@@ -0,0 +1,203 @@
+// lib/util/trakt.js
+// Minimal Trakt API client for the watchlist / "up next" catalogs and the
+// device-code OAuth flow used by the configure page. Access tokens expire; a request that
+// gets 401 refreshes the token once with the refresh token from the config. The config in
+// the addon URL cannot change, so each process remembers the newest tokens per refresh token.
+
+import { createHash } from 'crypto';
+
+const TRAKT_API_URL = process.env.TRAKT_API_URL || 'https://api.trakt.tv';
+const TRAKT_CLIENT_ID = process.env.TRAKT_CLIENT_ID || '';
+const TRAKT_CLIENT_SECRET = process.env.TRAKT_CLIENT_SECRET || '';
+const TRAKT_TIMEOUT_MS = parseInt(process.env.TRAKT_TIMEOUT_MS || '10000', 10);
+// Shows checked for a next episode; each one costs a progress request
+const TRAKT_UPNEXT_SHOW_LIMIT = parseInt(process.env.TRAKT_UPNEXT_SHOW_LIMIT || '25', 10);
+const TRAKT_REDIRECT_URI = 'urn:ietf:wg:oauth:2.0:oob';
+const MAX_REFRESHED_ACCOUNTS = 1000;
+
+// hash of the configured refresh token -> { accessToken, refreshToken } after a refresh
+const refreshedTokens = new Map();
+// hash of the configured refresh token -> refresh in flight, so parallel 401s refresh once
+const pendingRefreshes = new Map();
+
+async function traktRequest(baseUrl, path, { method = 'GET', headers = {}, body, timeoutMs = TRAKT_TIMEOUT_MS } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        });
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : null;
+        return { status: response.status, ok: response.ok, data };
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`Trakt request timed out after ${timeoutMs}ms`);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function toItem(entry, type) {
+    const media = type === 'movie' ? entry?.movie : entry?.show;
+    const imdbId = media?.ids?.imdb;
+    if (!imdbId) return null;
+    return { type, imdbId, title: media.title || '', year: media.year || null };
+}
+
+function hashToken(token) {
+    return createHash('sha256').update(String(token)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Trades a refresh token for new tokens.
+ * @returns {Promise<{accessToken: string, refreshToken: string}>}
+ */
+export async function refreshAccessToken(refreshToken, { clientId = TRAKT_CLIENT_ID, clientSecret = TRAKT_CLIENT_SECRET, baseUrl = TRAKT_API_URL } = {}) {
+    const { ok, status, data } = await traktRequest(baseUrl, '/oauth/token', {
+        method: 'POST',
+        body: {
+            refresh_token: refreshToken,
+            client_id: clientId,
+            client_secret: clientSecret,
+            redirect_uri: TRAKT_REDIRECT_URI,
+            grant_type: 'refresh_token'
+        }
+    });
+    if (!ok || !data?.access_token) throw new Error(`Trakt token refresh failed with HTTP ${status}`);
+    return { accessToken: data.access_token, refreshToken: data.refresh_token || refreshToken };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.accessToken - User's OAuth access token
+ * @param {string} [options.refreshToken] - Refreshes the access token when Trakt answers 401
+ * @param {string} [options.clientId] - Trakt app client ID
+ * @param {string} [options.clientSecret] - Trakt app client secret, for refreshes
+ * @param {string} [options.baseUrl] - API root (tests point this at a mock server)
+ */
+export function createTraktClient({ accessToken, refreshToken = null, clientId = TRAKT_CLIENT_ID, clientSecret = TRAKT_CLIENT_SECRET, baseUrl = TRAKT_API_URL } = {}) {
+    const accountKey = refreshToken ? hashToken(refreshToken) : null;
+    let tokens = (accountKey && refreshedTokens.get(accountKey)) || { accessToken, refreshToken };
+
+    const headersFor = token => ({
+        'trakt-api-version': '2',
+        'trakt-api-key': clientId,
+        Authorization: `Bearer ${token}`
+    });
+
+    async function refresh(rejectedToken) {
+        const latest = refreshedTokens.get(accountKey);
+        // Another request already refreshed the token this one was sent with
+        if (latest && latest.accessToken !== rejectedToken) {
+            tokens = latest;
+            return;
+        }
+        if (!pendingRefreshes.has(accountKey)) {
+            const pending = refreshAccessToken(tokens.refreshToken, { clientId, clientSecret, baseUrl })
+                .then(next => {
+                    refreshedTokens.delete(accountKey);
+                    if (refreshedTokens.size >= MAX_REFRESHED_ACCOUNTS) refreshedTokens.delete(refreshedTokens.keys().next().value);
+                    refreshedTokens.set(accountKey, next);
+                    console.log('[TRAKT] Refreshed an expired access token');
+                    return next;
+                })
+                .finally(() => pendingRefreshes.delete(accountKey));
+            pendingRefreshes.set(accountKey, pending);
+        }
+        tokens = await pendingRefreshes.get(accountKey);
+    }
+
+    async function get(path) {
+        const sentToken = tokens.accessToken;
+        let response = await traktRequest(baseUrl, path, { headers: headersFor(sentToken) });
+        if (response.status === 401 && tokens.refreshToken) {
+            await refresh(sentToken);
+            response = await traktRequest(baseUrl, path, { headers: headersFor(tokens.accessToken) });
+        }
+        if (!response.ok) throw new Error(`Trakt ${path} failed with HTTP ${response.status}`);
+        return response.data;
+    }
+
+    return {
+        /**
+         * @param {'movie'|'series'} type
+         * @returns {Promise<Array<{type: string, imdbId: string, title: string, year: number|null}>>}
+         */
+        async getWatchlist(type) {
+            const itemType = type === 'movie' ? 'movie' : 'series';
+            const data = await get(`/sync/watchlist/${itemType === 'movie' ? 'movies' : 'shows'}`);
+            return (data || []).map(entry => toItem(entry, itemType)).filter(Boolean);
+        },
+
+        /**
+         * Next unwatched episode of the most recently watched shows.
+         * @param {number} [limit] - Shows to check
+         * @returns {Promise<Array<{imdbId: string, title: string, season: number, episode: number, episodeTitle: string}>>}
+         */
+        async getUpNext(limit = TRAKT_UPNEXT_SHOW_LIMIT) {
+            const watched = await get('/sync/watched/shows?extended=noseasons');
+            const shows = (watched || [])
+                .filter(entry => entry?.show?.ids?.imdb && entry.show.ids.trakt)
+                .sort((a, b) => String(b.last_watched_at || '').localeCompare(String(a.last_watched_at || '')))
+                .slice(0, limit);
+
+            const progress = await Promise.all(shows.map(entry =>
+                get(`/shows/${entry.show.ids.trakt}/progress/watched`).catch(error => {
+                    console.warn(`[TRAKT] Progress for ${entry.show.ids.imdb} failed: ${error.message}`);
+                    return null;
+                })
+            ));
+
+            return shows
+                .map((entry, index) => {
+                    const next = progress[index]?.next_episode;
+                    if (!next?.season || !next?.number) return null;
+                    return {
+                        imdbId: entry.show.ids.imdb,
+                        title: entry.show.title || '',
+                        season: next.season,
+                        episode: next.number,
+                        episodeTitle: next.title || ''
+                    };
+                })
+                .filter(Boolean);
+        }
+    };
+}
+
+/**
+ * Starts the device-code flow; the user enters `user_code` at `verification_url`.
+ * @returns {Promise<{device_code: string, user_code: string, verification_url: string, expires_in: number, interval: number}>}
+ */
+export async function startDeviceAuth({ clientId = TRAKT_CLIENT_ID, baseUrl = TRAKT_API_URL } = {}) {
+    if (!clientId) throw new Error('TRAKT_CLIENT_ID is not configured');
+    const { ok, status, data } = await traktRequest(baseUrl, '/oauth/device/code', {
+        method: 'POST',
+        body: { client_id: clientId }
+    });
+    if (!ok) throw new Error(`Trakt device code request failed with HTTP ${status}`);
+    return data;
+}
+
+/**
+ * Polls the device-code flow once.
+ * @returns {Promise<{status: 'ok'|'pending'|'denied'|'expired', accessToken?: string, refreshToken?: string}>}
+ */
+export async function pollDeviceToken(deviceCode, { clientId = TRAKT_CLIENT_ID, clientSecret = TRAKT_CLIENT_SECRET, baseUrl = TRAKT_API_URL } = {}) {
+    const { ok, status, data } = await traktRequest(baseUrl, '/oauth/device/token', {
+        method: 'POST',
+        body: { code: deviceCode, client_id: clientId, client_secret: clientSecret }
+    });
+    if (ok && data?.access_token) return { status: 'ok', accessToken: data.access_token, refreshToken: data.refresh_token || null };
+    // 400 = not yet approved, 429 = polling too fast; both mean "try again later"
+    if (status === 400 || status === 429) return { status: 'pending' };
+    if (status === 418) return { status: 'denied' };
+    if (status === 404 || status === 409 || status === 410) return { status: 'expired' };
+    throw new Error(`Trakt device token request failed with HTTP ${status}`);
+}
+
+export default { createTraktClient, refreshAccessToken, startDeviceAuth, pollDeviceToken };
@@ -0,0 +1,62 @@
+// lib/util/video-files.js
+// Picks the file to play from a torrent's file list, for providers that hand back the
+// whole torrent (Debrid-Link, put.io, PikPak) rather than a single stream link.
+import { isVideo } from './extension-util.js';
+import PTT from './parse-torrent-title.js';
+
+function largest(files) {
+    return files.reduce((a, b) => ((b.size || 0) > (a.size || 0) ? b : a));
+}
+
+/**
+ * Episode file inside a season pack.
+ * @param {Array<{name: string}>} files - Torrent files
+ * @returns {Object|null} Largest video file for the episode
+ */
+export function findEpisodeFile(files, season, episode) {
+    const s = Number(season);
+    const e = Number(episode);
+    const matches = (files || []).filter(file => {
+        if (!isVideo(file.name)) return false;
+        const info = PTT.parse(file.name.split('/').pop()) || {};
+        return Number(info.season) === s && Number(info.episode) === e;
+    });
+    return matches.length > 0 ? largest(matches) : null;
+}
+
+/**
+ * File to play from a torrent: the hinted episode when there is one, else the largest video.
+ * @param {Array<{name: string, size: number}>} files - Torrent files
+ * @param {{season?: number, episode?: number, fileName?: string}} [hint] - Episode hint from the stream URL
+ * @returns {Object|null}
+ */
+export function pickVideoFile(files, hint = null) {
+    const videos = (files || []).filter(file => isVideo(file.name));
+    if (videos.length === 0) return null;
+    if (hint?.fileName) {
+        const byName = videos.find(file => file.name === hint.fileName);
+        if (byName) return byName;
+    }
+    if (hint?.season && hint?.episode) {
+        const episodeFile = findEpisodeFile(videos, hint.season, hint.episode);
+        if (episodeFile) return episodeFile;
+    }
+    return largest(videos);
+}
+
+/**
+ * Splits a `magnet||HINT||base64(json)` stream URL.
+ * @param {string} url - Stream URL as built by toStream
+ * @returns {{url: string, hint: Object|null}}
+ */
+export function splitEpisodeHint(url) {
+    if (!url || !url.includes('||HINT||')) return { url, hint: null };
+    const [baseUrl, encodedHint] = url.split('||HINT||');
+    try {
+        return { url: baseUrl, hint: JSON.parse(Buffer.from(encodedHint, 'base64').toString('utf-8')) };
+    } catch (_) {
+        return { url: baseUrl, hint: null };
+    }
+}
+
+export default { findEpisodeFile, pickVideoFile, splitEpisodeHint };
@@ -0,0 +1,142 @@
+import { createHash } from 'crypto'
+import Cinemeta from './util/cinemeta.js'
+import StreamProvider from './stream-provider.js'
+import { createTraktClient } from './util/trakt.js'
+import { createSimklClient } from './util/simkl.js'
+
+const WATCHLIST_PAGE_SIZE = 50
+const WATCHLIST_CACHE_TTL_MS = parseInt(process.env.WATCHLIST_CACHE_TTL_MS) || 5 * 60 * 1000
+// Next episodes warmed per "up next" load, and how long before the same episode is warmed again
+const WATCHLIST_PREFETCH_LIMIT = parseInt(process.env.WATCHLIST_PREFETCH_LIMIT ?? '3', 10)
+const WATCHLIST_PREFETCH_TTL_MS = parseInt(process.env.WATCHLIST_PREFETCH_TTL_MS) || 30 * 60 * 1000
+
+// Catalog ID prefix -> config keys holding the OAuth tokens and the client factory
+const WATCHLIST_SOURCES = {
+    trakt: { name: 'Trakt', tokenKey: 'TraktAccessToken', refreshTokenKey: 'TraktRefreshToken', createClient: createTraktClient },
+    simkl: { name: 'Simkl', tokenKey: 'SimklAccessToken', createClient: createSimklClient }
+}
+
+const listCache = new Map()
+const recentPrefetches = new Map()
+
+/**
+ * Catalog definitions for every watchlist service connected in the config.
+ * @param {Object} config - User config
+ * @returns {Array<Object>} Manifest catalog entries
+ */
+function getWatchlistCatalogs(config = {}) {
+    const catalogs = []
+    Object.entries(WATCHLIST_SOURCES).forEach(([source, { name, tokenKey }]) => {
+        if (!config[tokenKey]) return
+        const extra = [{ name: 'skip', isRequired: false }]
+        catalogs.push({ id: `${source}-watchlist`, type: 'movie', name: `${name} Watchlist`, extra })
+        catalogs.push({ id: `${source}-watchlist`, type: 'series', name: `${name} Watchlist`, extra })
+        catalogs.push({ id: `${source}-upnext`, type: 'series', name: `${name} Up Next`, extra })
+    })
+    return catalogs
+}
+
+/**
+ * @param {string} catalogId - Catalog ID
+ * @returns {boolean} True for catalogs served by this module
+ */
+function isWatchlistCatalog(catalogId) {
+    return Boolean(parseCatalogId(catalogId))
+}
+
+/**
+ * Lists a watchlist or "up next" catalog as Cinemeta metas. Loading "up next" also
+ * warms the stream caches for the first few next episodes in the background.
+ * @param {Object} config - User config
+ * @param {string} catalogId - e.g. "trakt-watchlist", "simkl-upnext"
+ * @param {string} type - movie | series
+ * @param {number} [skip] - Paging offset
+ * @returns {Promise<Array<Object>>} Metas
+ */
+async function listWatchlistCatalog(config, catalogId, type, skip = 0) {
+    const parsed = parseCatalogId(catalogId)
+    if (!parsed) return []
+    const { source, kind } = parsed
+    const { tokenKey, refreshTokenKey, createClient } = WATCHLIST_SOURCES[source]
+    const accessToken = config?.[tokenKey]
+    if (!accessToken) return []
+
+    const items = await getCachedItems(source, kind, type, accessToken, () => {
+        const client = createClient({ accessToken, refreshToken: refreshTokenKey ? config[refreshTokenKey] : null })
+        return kind === 'upnext' ? client.getUpNext() : client.getWatchlist(type)
+    })
+
+    if (kind === 'upnext') {
+        prefetchNextEpisodes(config, source, accessToken, items)
+    }
+
+    const offset = parseInt(skip) || 0
+    const page = items.slice(offset, offset + WATCHLIST_PAGE_SIZE)
+    const metaType = kind === 'upnext' ? 'series' : type
+    const metas = await Promise.all(page.map(item => toMeta(metaType, item)))
+    console.log(`[WATCHLIST-PROVIDER] ${catalogId}/${type}: ${metas.length} of ${items.length} items`)
+    return metas
+}
+
+function parseCatalogId(catalogId) {
+    const match = String(catalogId || '').match(/^([a-z]+)-(watchlist|upnext)$/)
+    if (!match || !WATCHLIST_SOURCES[match[1]]) return null
+    return { source: match[1], kind: match[2] }
+}
+
+function getAccountKey(source, accessToken) {
+    return createHash('sha256').update(`${source}:${accessToken}`).digest('hex').slice(0, 32)
+}
+
+async function getCachedItems(source, kind, type, accessToken, fetchFn) {
+    const cacheKey = `${getAccountKey(source, accessToken)}:${kind}:${type}`
+    const now = Date.now()
+    const cached = listCache.get(cacheKey)
+    if (cached && cached.expiresAt > now) return cached.items
+
+    const items = await fetchFn()
+    for (const [key, entry] of listCache) {
+        if (entry.expiresAt <= now) listCache.delete(key)
+    }
+    listCache.set(cacheKey, { items, expiresAt: now + WATCHLIST_CACHE_TTL_MS })
+    return items
+}
+
+// Fire-and-forget: the catalog response never waits on stream searches
+function prefetchNextEpisodes(config, source, accessToken, items) {
+    const now = Date.now()
+    for (const [key, expiresAt] of recentPrefetches) {
+        if (expiresAt <= now) recentPrefetches.delete(key)
+    }
+
+    const accountKey = getAccountKey(source, accessToken)
+    items.slice(0, WATCHLIST_PREFETCH_LIMIT).forEach(item => {
+        const streamId = `${item.imdbId}:${item.season}:${item.episode}`
+        const prefetchKey = `${accountKey}:${streamId}`
+        if (recentPrefetches.has(prefetchKey)) return
+        recentPrefetches.set(prefetchKey, now + WATCHLIST_PREFETCH_TTL_MS)
+
+        console.log(`[WATCHLIST-PROVIDER] Prefetching streams for ${streamId}`)
+        StreamProvider.prefetchStreams(config, 'series', streamId).catch(error => {
+            console.warn(`[WATCHLIST-PROVIDER] Prefetch for ${streamId} failed: ${error.message}`)
+        })
+    })
+}
+
+async function toMeta(type, item) {
+    const meta = await Cinemeta.getMeta(type, item.imdbId).catch(() => null)
+    const nextLabel = item.season != null
+        ? `Next: S${String(item.season).padStart(2, '0')}E${String(item.episode).padStart(2, '0')}${item.episodeTitle ? ` - ${item.episodeTitle}` : ''}`
+        : null
+    return {
+        id: item.imdbId,
+        type,
+        name: meta?.name || item.title,
+        poster: meta?.poster || `https://images.metahub.space/poster/medium/${item.imdbId}/img`,
+        background: meta?.background,
+        releaseInfo: meta?.releaseInfo || (meta?.year || item.year ? String(meta?.year || item.year) : undefined),
+        description: [nextLabel, meta?.description].filter(Boolean).join('\n\n') || undefined
+    }
+}
+
+export default { getWatchlistCatalogs, isWatchlistCatalog, listWatchlistCatalog }
@@ -99,6 +99,8 @@ class Config:
         return os.environ.get('FASTAPI_EXTRACT_CACHE_DIR', os.path.join(tempfile.gettempdir(), 'usenet_extracted'))
 
     VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.webm', '.m4v', '.mpg', '.mpeg', '.3gp', '.ogv', '.ts', '.m2ts']
+    SUBTITLE_EXTENSIONS = ['.srt', '.ass', '.ssa', '.vtt', '.sub', '.idx', '.smi']
+    SUBTITLE_FOLDERS = ['sub', 'subs', 'subtitle', 'subtitles']
 
 config = Config()
 
@@ -688,6 +690,48 @@ async def list_files(
     return JSONResponse(content={'files': files})
 
 
+@app.get("/api/subtitles")
+async def list_subtitles(
+    name: str,
+    authenticated: bool = Depends(verify_api_key)
+) -> JSONResponse:
+    """List the videos and subtitle files in a video's folder and its Subs folders"""
+    root_dir = config.RAR2FS_MOUNT or config.SOURCE_DIR
+    async with FILE_INDEX_LOCK:
+        indexed = next((f for f in FILE_INDEX_CACHE['files'] if f['name'] == name and not f.get('inArchive')), None)
+
+    if not indexed:
+        return JSONResponse(content={'files': []})
+
+    video_dir = os.path.dirname(os.path.join(root_dir, indexed['path']))
+    files = []
+    for root, dirs, files_list in os.walk(video_dir):
+        rel_dir = os.path.relpath(root, video_dir)
+        folders = [] if rel_dir == '.' else rel_dir.split(os.sep)
+        # Only descend into Subs/ and Subs/<episode>/
+        if folders and folders[0].lower() not in config.SUBTITLE_FOLDERS:
+            dirs[:] = []
+            continue
+        if len(folders) >= 2:
+            dirs[:] = []
+        for filename in files_list:
+            ext = os.path.splitext(filename)[1].lower()
+            if ext not in config.VIDEO_EXTENSIONS and ext not in config.SUBTITLE_EXTENSIONS:
+                continue
+            full_path = os.path.join(root, filename)
+            try:
+                files.append({
+                    'name': filename,
+                    'path': os.path.relpath(full_path, root_dir).replace('\\', '/'),
+                    'size': os.path.getsize(full_path)
+                })
+            except OSError as e:
+                logger.debug(f"Error stating file {full_path}: {e}")
+
+    logger.info(f"API /subtitles: {len(files)} files next to {name}")
+    return JSONResponse(content={'files': files})
+
+
 @app.get("/api/check-archives")
 async def check_archives(
     folder: str,
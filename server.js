@@ -24,14 +24,23 @@ import Usenet from './lib/usenet.js';
 import { resolveHttpStreamUrl } from './lib/http-streams.js';
 import { resolveUHDMoviesUrl } from './lib/uhdmovies.js';
 import { encodeUrlForStreaming } from './lib/http-streams/utils/encoding.js';
+import { streamStatusVideo } from './server/utils/error-video.js';
+import { getAccountProblem } from './lib/account-provider.js';
+import { getTempMagnetStats } from './lib/util/temp-magnet-journal.js';
+import { parseTorznabQuery, searchTorznab, buildCapsXml, buildFeedXml, buildErrorXml, TORZNAB_ERRORS } from './lib/torznab-provider.js';
 import searchCoordinator from './lib/util/search-coordinator.js';
+import metrics from './lib/util/metrics.js';
+import { getLiveness, getReadiness } from './lib/util/health.js';
+import flaresolverrManager from './lib/util/flaresolverr-manager.js';
 import * as scraperPerformance from './lib/util/scraper-performance.js';
+import { getCircuitStates, getQuarantinedScrapers, resetCircuits } from './lib/util/scraper-circuit.js';
 import personalFilesCache from './lib/util/personal-files-cache.js';
 import Newznab from './lib/newznab.js';
 import SABnzbd from './lib/sabnzbd.js';
 import crypto from 'crypto';
 import { obfuscateSensitive } from './lib/common/torrent-utils.js';
 import { getManifest } from './lib/util/manifest.js';
+import { parseConfiguration, openResolveApiKey } from './lib/util/configuration.js';
 import landingTemplate from './lib/util/landingTemplate.js';
 import donationAdminTemplate from './lib/util/donationAdminTemplate.js';
 import { addDonationRecord, deleteDonationRecord, getDonationAdminStatus, getDonationStatus, processPayPalIpn, updateDonationRecord } from './lib/util/donationTracker.js';
@@ -554,6 +563,17 @@ app.get('/donations/status.json', async (req, res) => {
     }
 });
 
+// Scrapers currently skipped by their circuit breaker, for the configure page
+app.get('/scrapers/status.json', async (req, res) => {
+    try {
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({ quarantined: await getQuarantinedScrapers() });
+    } catch (error) {
+        console.error('[SCRAPER CIRCUIT] Failed to serve scraper status:', error.message);
+        res.status(500).json({ err: 'Scraper status unavailable' });
+    }
+});
+
 app.get('/donations/admin/status.json', async (req, res) => {
     if (!ensureDonationsAdminAuthorized(req, res)) {
         return;
@@ -822,6 +842,46 @@ if (process.env.SWAGGER_STATS_ENABLED === 'true') {
     console.log('[SERVER] swagger-stats enabled');
 }
 
+// Prometheus metrics, merged across cluster workers (see lib/util/metrics.js)
+// Off unless METRICS_ENABLED=true; with METRICS_TOKEN set, scrapes need "Authorization: Bearer <token>"
+if (process.env.METRICS_ENABLED === 'true') {
+    if (!process.env.METRICS_TOKEN) {
+        console.warn('[METRICS] /metrics is enabled without METRICS_TOKEN; anyone who can reach the server can read it');
+    }
+    metrics.addSampler('streamProvider', () => streamProvider.getCacheStats());
+    metrics.addSampler('flaresolverr', () => flaresolverrManager.getStatus());
+
+    app.get('/metrics', async (req, res) => {
+        const metricsToken = process.env.METRICS_TOKEN;
+        if (metricsToken && req.headers['authorization']?.replace('Bearer ', '') !== metricsToken) {
+            return res.status(401).send('Unauthorized');
+        }
+        try {
+            const { contentType, body } = await metrics.getMetrics();
+            res.set('Content-Type', contentType);
+            res.send(body);
+        } catch (error) {
+            console.error(`[METRICS] Failed to collect metrics: ${error.message}`);
+            res.status(500).send(error.message);
+        }
+    });
+}
+
+// Liveness and readiness probes for k8s (see lib/util/health.js)
+app.get('/health', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json(getLiveness());
+});
+
+app.get('/ready', async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    if (isShuttingDown) {
+        return res.status(503).json({ status: 'shutting_down', checks: {} });
+    }
+    const readiness = await getReadiness();
+    res.status(readiness.status === 'not_ready' ? 503 : 200).json(readiness);
+});
+
 // Global rate limiter - more permissive limits
 const globalRateLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -835,7 +895,7 @@ const globalRateLimiter = rateLimit({
     },
     skip: (req) => {
         // Skip rate limiting for health checks and internal endpoints
-        const skipPaths = ['/configure', '/manifest-no-catalogs.json', '/'];
+        const skipPaths = ['/configure', '/manifest-no-catalogs.json', '/', '/metrics', '/health', '/ready'];
         return skipPaths.includes(req.path);
     }
 });
@@ -917,9 +977,13 @@ for (const sig of ["SIGINT","SIGTERM"]) {
 }
 app.use(globalRateLimiter);
 
+// Video server for play status and error videos (uncached downloads, account problems);
+// without one the resolver answers with plain text
+const STATUS_VIDEO_URL = process.env.STATUS_VIDEO_URL || process.env.USENET_FILE_SERVER_URL;
+
 // VVVV REVERTED: The resolver now performs a simple redirect VVVV
 app.get('/resolve/:debridProvider/:debridApiKey/:url', resolveRateLimiter, async (req, res) => {
-    const { debridProvider, debridApiKey, url } = req.params;
+    const { debridProvider, url } = req.params;
 
     // Validate required parameters
     if (!url || url === 'undefined') {
@@ -927,6 +991,16 @@ app.get('/resolve/:debridProvider/:debridApiKey/:url', resolveRateLimiter, async
         return res.status(400).send('Missing or invalid URL parameter');
     }
 
+    // Encrypted configurations put a sealed reference here instead of the key itself;
+    // services with several keys send all of them (an array)
+    let debridApiKey;
+    try {
+        debridApiKey = await openResolveApiKey(debridProvider, req.params.debridApiKey);
+    } catch (e) {
+        console.log('[RESOLVER] Rejected API key segment:', e.message);
+        return res.status(403).send('Invalid or expired link');
+    }
+
     const decodedUrl = decodeURIComponent(url);
     const clientIp = normalizeClientIp(req.clientIp || requestIp.getClientIp(req));
     req.clientIp = clientIp;
@@ -943,7 +1017,7 @@ app.get('/resolve/:debridProvider/:debridApiKey/:url', resolveRateLimiter, async
                 console.log('[RESOLVER] Config parameter too large, rejecting');
                 return res.status(400).send('Config parameter too large');
             }
-            config = JSON.parse(decodedConfigParam);
+            config = parseConfiguration(decodedConfigParam);
         } catch (e) {
             console.log('[RESOLVER] Failed to parse config from query', e.message);
         }
@@ -957,6 +1031,32 @@ app.get('/resolve/:debridProvider/:debridApiKey/:url', resolveRateLimiter, async
         config.cacheHash = cacheHash;
     }
 
+    // Uncached picks: the first play adds the torrent, later plays show its progress until it is ready.
+    // Never cached, the status changes between plays.
+    if (req.query.uncached === '1') {
+        const sendStatus = (message) => {
+            if (STATUS_VIDEO_URL) return streamStatusVideo(message, res, STATUS_VIDEO_URL);
+            res.set('Cache-Control', 'no-store');
+            res.set('Retry-After', '30');
+            return res.status(202).send(message);
+        };
+        try {
+            const download = await streamProvider.resolveUncached(debridProvider, debridApiKey, decodedUrl, clientIp, config);
+            if (download.status === 'ready' && download.url) {
+                const redirectUrl = typeof download.url === 'object' ? download.url.url : download.url;
+                console.log("[RESOLVER] Uncached download ready, redirecting to:", obfuscateSensitive(redirectUrl, debridApiKey));
+                return res.redirect(302, encodeUrlForStreaming(redirectUrl));
+            }
+            if (download.status === 'dead') {
+                return sendStatus('Download failed on your debrid service - pick another release');
+            }
+            return sendStatus(`Downloading to your debrid service: ${download.progress}% - play again in a minute`);
+        } catch (error) {
+            console.error(`[RESOLVER] Uncached download failed for ${debridProvider}: ${error.message}`);
+            return sendStatus('Could not add this torrent to your debrid service');
+        }
+    }
+
     // Scope resolver cache/in-flight dedupe by provider + URL + requester token + requester IP.
     // This prevents cross-user token/IP reuse when two users resolve the same source URL.
     const resolverCacheKey = buildResolverScopeKey(debridProvider, debridApiKey, decodedUrl, clientIp);
@@ -1046,11 +1146,19 @@ app.get('/resolve/:debridProvider/:debridApiKey/:url', resolveRateLimiter, async
             const encodedUrl = encodeUrlForStreaming(redirectUrl);
             res.redirect(302, encodedUrl);
         } else {
-            res.status(404).send('Could not resolve link');
+            // An expired premium or used-up quota gets a video saying so instead of a dead link
+            const accountProblem = await getAccountProblem(debridProvider, debridApiKey).catch(() => null);
+            if (accountProblem && STATUS_VIDEO_URL) return streamStatusVideo(accountProblem, res, STATUS_VIDEO_URL);
+            res.status(accountProblem ? 403 : 404).send(accountProblem || 'Could not resolve link');
         }
     } catch (error) {
         console.error("[RESOLVER] A critical error occurred:", error.message);
-        res.status(500).send("Error resolving stream.");
+        const accountProblem = await getAccountProblem(debridProvider, debridApiKey).catch(() => null);
+        if (res.headersSent) return;
+        if (STATUS_VIDEO_URL) {
+            return streamStatusVideo(accountProblem || 'Could not play this stream - try another one', res, STATUS_VIDEO_URL);
+        }
+        res.status(500).send(accountProblem || "Error resolving stream.");
     }
 });
 
@@ -1422,6 +1530,51 @@ app.get('/verify-proxy', async (req, res) => {
     }
 });
 
+// Torznab API over the aggregated scraper search, for Sonarr, Radarr and Prowlarr.
+// apikey is the configuration segment of the user's manifest URL; cached=<provider> keeps
+// only releases that debrid service has cached.
+const TORZNAB_API_ENABLED = process.env.TORZNAB_API_ENABLED === 'true';
+app.get('/api/torznab', async (req, res) => {
+    const sendXml = (xml) => res.type('application/xml').send(xml);
+    // Errors are answered with 200 so the *arr apps show the description
+    const sendError = (code, description) => sendXml(buildErrorXml(code, description));
+    if (!TORZNAB_API_ENABLED) {
+        return sendError(TORZNAB_ERRORS.FUNCTION_NOT_AVAILABLE, 'Torznab API is disabled. Set TORZNAB_API_ENABLED=true to enable.');
+    }
+
+    const baseUrl = `${(req.headers['x-forwarded-proto'] || req.protocol || 'http').split(',')[0].trim()}://${req.get('host')}`;
+    let request;
+    try {
+        request = parseTorznabQuery(req.query);
+    } catch (error) {
+        return sendError(error.code, error.message);
+    }
+    if (request.fn === 'caps') return sendXml(buildCapsXml(baseUrl));
+
+    // Searches run with the user's configuration only; there is no anonymous default
+    const apikey = String(req.query.apikey || '');
+    if (!apikey) {
+        return sendError(TORZNAB_ERRORS.INCORRECT_CREDENTIALS, 'Incorrect user credentials (apikey is required)');
+    }
+    let config;
+    try {
+        // Accepted as copied from the manifest URL, percent-encoded or not
+        const decoded = apikey.startsWith('%') ? decodeURIComponent(apikey) : apikey;
+        if (decoded.length > 100000) throw new Error('Config parameter too large');
+        config = parseConfiguration(decoded);
+    } catch (error) {
+        return sendError(TORZNAB_ERRORS.INCORRECT_CREDENTIALS, 'Incorrect user credentials');
+    }
+
+    try {
+        const results = await searchTorznab(request, config, { cached: req.query.cached || null });
+        sendXml(buildFeedXml(results, { baseUrl, imdbId: request.imdbId }));
+    } catch (error) {
+        console.error(`[TORZNAB] ${request.fn} failed: ${error.message}`);
+        sendError(Number.isInteger(error.code) ? error.code : TORZNAB_ERRORS.UNKNOWN_ERROR, error.message);
+    }
+});
+
 // Endpoint to clear SQLite search cache (stream results)
 app.get('/admin/clear-search-cache', checkAdminAuth, async (req, res) => {
     const result = await sqliteCache.clearSearchCache();
@@ -1447,7 +1600,36 @@ app.get('/admin/clear-all-cache', checkAdminAuth, async (req, res) => {
 app.get('/admin/clear-scraper-penalties', checkAdminAuth, (req, res) => {
     const tracker = scraperPerformance.default;
     tracker.clearAllPenalties();
-    res.json({ success: true, message: 'All scraper penalties cleared and counters reset' });
+    res.json({ success: true, message: 'All scraper penalties cleared, counters and circuits reset' });
+});
+
+// Endpoint to view every scraper circuit breaker, including the last error message
+app.get('/admin/scraper-circuits', checkAdminAuth, async (req, res) => {
+    try {
+        res.json({ success: true, circuits: await getCircuitStates() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Endpoint to close scraper circuits by hand (?scraper=name for one, all otherwise)
+app.get('/admin/reset-scraper-circuits', checkAdminAuth, async (req, res) => {
+    try {
+        const scraper = typeof req.query.scraper === 'string' && req.query.scraper ? req.query.scraper : null;
+        const reset = await resetCircuits(scraper);
+        res.json({ success: true, reset, message: scraper ? `Circuit for ${scraper} reset` : 'All scraper circuits reset' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Endpoint to view temporary debrid magnets still waiting for cleanup, per service
+app.get('/admin/temp-magnets', checkAdminAuth, async (req, res) => {
+    try {
+        res.json({ success: true, ...await getTempMagnetStats() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
 
@@ -2055,7 +2237,7 @@ app.get('/usenet/poll/:nzbUrl/:title/:type/:id', async (req, res) => {
         if (decodedConfigJson.length > 100000) { // 100KB limit
             return res.status(400).json({ ready: false, error: 'Config parameter too large' });
         }
-        const config = JSON.parse(decodedConfigJson);
+        const config = parseConfiguration(decodedConfigJson);
 
         if (!config.newznabUrl || !config.newznabApiKey || !config.sabnzbdUrl || !config.sabnzbdApiKey) {
             return res.status(400).json({ ready: false, error: 'Usenet not configured' });
@@ -2143,7 +2325,7 @@ app.get('/usenet/personal/*', async (req, res) => {
         if (decodedConfigJson.length > 100000) { // 100KB limit
             return res.status(400).send('Config parameter too large');
         }
-        const config = JSON.parse(decodedConfigJson);
+        const config = parseConfiguration(decodedConfigJson);
 
         // Extract the file path from the URL (everything after /usenet/personal/)
         const filePath = req.params[0];
@@ -2301,7 +2483,7 @@ app.get('/usenet/universal/:releaseName/:type/:id', async (req, res) => {
         if (decodedConfigJson.length > 100000) {
             return res.status(400).send('Config parameter too large');
         }
-        const config = JSON.parse(decodedConfigJson);
+        const config = parseConfiguration(decodedConfigJson);
 
         if (!config.fileServerUrl) {
             return res.status(400).send('File server not configured');
@@ -2647,7 +2829,7 @@ app.get('/usenet/stream/:nzbUrl/:title/:type/:id', async (req, res) => {
         if (decodedConfigJson.length > 100000) { // 100KB limit
             return res.status(400).send('Config parameter too large');
         }
-        const config = JSON.parse(decodedConfigJson);
+        const config = parseConfiguration(decodedConfigJson);
 
         if (!config.newznabUrl || !config.newznabApiKey || !config.sabnzbdUrl || !config.sabnzbdApiKey) {
             return res.status(400).send('Usenet not configured');
@@ -9,8 +9,10 @@
  * @param {string} errorText - The error message to display
  * @param {object} res - Express response object
  * @param {string} fileServerUrl - Python file server URL
+ * @param {object} [options]
+ * @param {boolean} [options.cache=true] - Let players cache the video for an hour (off for status videos that change)
  */
-export async function redirectToErrorVideo(errorText, res, fileServerUrl) {
+export async function redirectToErrorVideo(errorText, res, fileServerUrl, { cache = true } = {}) {
     console.log(`[ERROR-VIDEO] Streaming error video: "${errorText}"`);
 
     try {
@@ -39,7 +41,7 @@ export async function redirectToErrorVideo(errorText, res, fileServerUrl) {
             res.set('Content-Length', response.headers['content-length']);
         }
         res.set('Accept-Ranges', 'bytes');
-        res.set('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+        res.set('Cache-Control', cache ? 'public, max-age=3600' : 'no-store'); // Cache for 1 hour
 
         // Pipe the video stream to the client
         // Note: pipe() automatically ends the response when the source stream ends
@@ -66,4 +68,15 @@ export async function redirectToErrorVideo(errorText, res, fileServerUrl) {
     }
 }
 
+/**
+ * Stream a status video (e.g. download progress) that must not be cached,
+ * so playing the same link again shows the current status
+ * @param {string} statusText - The status message to display
+ * @param {object} res - Express response object
+ * @param {string} fileServerUrl - Python file server URL
+ */
+export function streamStatusVideo(statusText, res, fileServerUrl) {
+    return redirectToErrorVideo(statusText, res, fileServerUrl, { cache: false });
+}
+
 export default redirectToErrorVideo;
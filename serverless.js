@@ -5,13 +5,18 @@ import requestIp from 'request-ip'
 import addonInterface from "./addon.js"
 import landingTemplate from "./lib/util/landingTemplate.js"
 import donationAdminTemplate from "./lib/util/donationAdminTemplate.js"
+import libraryTemplate from "./lib/util/libraryTemplate.js"
 import StreamProvider from './lib/stream-provider.js'
 import { decode } from 'urlencode'
 import qs from 'querystring'
 import { getManifest } from './lib/util/manifest.js'
-import { parseConfiguration } from './lib/util/configuration.js'
+import { parseConfiguration, sealConfiguration, openResolveApiKey } from './lib/util/configuration.js'
+import { isConfigEncryptionEnabled } from './lib/util/config-crypto.js'
 import { BadTokenError, BadRequestError, AccessDeniedError } from './lib/util/error-codes.js'
 import RealDebrid from './lib/real-debrid.js'
+import LibraryProvider from './lib/library-provider.js'
+import { startDeviceAuth, pollDeviceToken } from './lib/util/trakt.js'
+import { startPinAuth, pollPinToken } from './lib/util/simkl.js'
 import { addDonationRecord, deleteDonationRecord, getDonationAdminStatus, getDonationStatus, processPayPalIpn, updateDonationRecord } from './lib/util/donationTracker.js'
 
 const router = new Router();
@@ -261,6 +266,110 @@ router.post('/paypal/ipn', async (req, res) => {
     }
 })
 
+function parseLibraryConfiguration(req, res) {
+    try {
+        const config = parseConfiguration(req.params.configuration)
+        return { ...config, host: `${req.protocol}://${req.headers.host}` }
+    } catch (_) {
+        sendJson(res, 400, { err: 'Invalid configuration' })
+        return null
+    }
+}
+
+router.get('/:configuration/library', (req, res) => {
+    res.setHeader('cache-control', 'no-store')
+    res.setHeader('content-type', 'text/html; charset=utf-8')
+    res.end(libraryTemplate())
+})
+
+router.get('/:configuration/library/items.json', limiter, async (req, res) => {
+    const config = parseLibraryConfiguration(req, res)
+    if (!config) return
+
+    try {
+        const services = await LibraryProvider.listLibraryItems(config)
+        res.setHeader('cache-control', 'no-store')
+        sendJson(res, 200, { services })
+    } catch (error) {
+        console.error('[LIBRARY] Failed to list library:', error.message)
+        sendJson(res, 500, { err: 'Library unavailable' })
+    }
+})
+
+router.post('/:configuration/library/action', limiter, async (req, res) => {
+    const config = parseLibraryConfiguration(req, res)
+    if (!config) return
+
+    try {
+        const body = await parseServerlessBody(req)
+        const result = await LibraryProvider.runLibraryAction(config, {
+            service: body.service,
+            id: body.id,
+            action: body.action,
+            token: body.token || null
+        })
+        res.setHeader('cache-control', 'no-store')
+        sendJson(res, result.ok || result.reason === 'confirmation_required' ? 200 : 400, result)
+    } catch (error) {
+        console.error('[LIBRARY] Library action failed:', error.message)
+        sendJson(res, 500, { ok: false, err: 'Library action failed' })
+    }
+})
+
+// Trakt device-code / Simkl PIN flows for the configure page. The page shows the code,
+// polls the token route and stores the access token in the addon configuration.
+const WATCHLIST_OAUTH = {
+    trakt: {
+        start: () => startDeviceAuth(),
+        poll: (body) => pollDeviceToken(body.device_code)
+    },
+    simkl: {
+        start: () => startPinAuth(),
+        poll: (body) => pollPinToken(body.user_code)
+    }
+}
+
+router.post('/oauth/:service/start', limiter, async (req, res) => {
+    const flow = WATCHLIST_OAUTH[req.params.service]
+    if (!flow) return sendJson(res, 404, { err: 'Unknown service' })
+
+    try {
+        res.setHeader('cache-control', 'no-store')
+        sendJson(res, 200, await flow.start())
+    } catch (error) {
+        console.error(`[OAUTH] Failed to start ${req.params.service} login:`, error.message)
+        sendJson(res, 502, { err: `Could not reach ${req.params.service}` })
+    }
+})
+
+router.post('/oauth/:service/token', limiter, async (req, res) => {
+    const flow = WATCHLIST_OAUTH[req.params.service]
+    if (!flow) return sendJson(res, 404, { err: 'Unknown service' })
+
+    try {
+        const body = await parseServerlessBody(req)
+        res.setHeader('cache-control', 'no-store')
+        sendJson(res, 200, await flow.poll(body))
+    } catch (error) {
+        console.error(`[OAUTH] ${req.params.service} token check failed:`, error.message)
+        sendJson(res, 502, { err: `Could not reach ${req.params.service}` })
+    }
+})
+
+// Opt-in encrypted configuration: the configure page posts the config and installs the sealed segment
+router.post('/encrypt-config', limiter, async (req, res) => {
+    if (!isConfigEncryptionEnabled()) return sendJson(res, 404, { err: 'Config encryption is not enabled' })
+
+    try {
+        const body = await parseServerlessBody(req)
+        res.setHeader('cache-control', 'no-store')
+        sendJson(res, 200, { configuration: sealConfiguration(body.config || {}) })
+    } catch (error) {
+        console.error('[CONFIG] Failed to encrypt configuration:', error.message)
+        sendJson(res, 400, { err: 'Invalid configuration' })
+    }
+})
+
 router.get('/:configuration?/configure', (req, res) => {
     const config = parseConfiguration(req.params.configuration)
     const host = `${req.protocol}://${req.headers.host}`;
@@ -324,7 +433,7 @@ router.get(`/:configuration?/:resource/:type/:id/:extra?.json`, limiter, (req, r
         })
 })
 
-router.get('/resolve/:debridProvider/:debridApiKey/:id/:hostUrl', limiter, (req, res) => {
+router.get('/resolve/:debridProvider/:debridApiKey/:id/:hostUrl', limiter, async (req, res) => {
     const clientIp = requestIp.getClientIp(req)
     const decodedHostUrl = decode(req.params.hostUrl)
 
@@ -340,7 +449,18 @@ router.get('/resolve/:debridProvider/:debridApiKey/:id/:hostUrl', limiter, (req,
     if (cacheKey && cacheKey.length < 512) resolveConfig.cacheKey = cacheKey;
     if (cacheHash && cacheHash.length < 128) resolveConfig.cacheHash = cacheHash;
 
-    StreamProvider.resolveUrl(req.params.debridProvider, req.params.debridApiKey, req.params.id, decodedHostUrl, clientIp, resolveConfig)
+    let debridApiKey
+    try {
+        debridApiKey = await openResolveApiKey(req.params.debridProvider, req.params.debridApiKey)
+    } catch (_) {
+        return res.status(403).send('Invalid or expired link')
+    }
+
+    if (req.query.uncached === '1') {
+        return sendUncachedDownload(res, req.params.debridProvider, debridApiKey, decodedHostUrl, clientIp, resolveConfig)
+    }
+
+    StreamProvider.resolveUrl(req.params.debridProvider, debridApiKey, req.params.id, decodedHostUrl, clientIp, resolveConfig)
         .then(url => {
             res.redirect(url)
         })
@@ -351,8 +471,8 @@ router.get('/resolve/:debridProvider/:debridApiKey/:id/:hostUrl', limiter, (req,
 })
 
 // Handle 3-parameter resolve URLs (compatibility with server.js format)
-router.get('/resolve/:debridProvider/:debridApiKey/:url', limiter, (req, res) => {
-    const { debridProvider, debridApiKey, url } = req.params;
+router.get('/resolve/:debridProvider/:debridApiKey/:url', limiter, async (req, res) => {
+    const { debridProvider, url } = req.params;
 
     // Validate required parameters
     if (!url || url === 'undefined') {
@@ -360,6 +480,13 @@ router.get('/resolve/:debridProvider/:debridApiKey/:url', limiter, (req, res) =>
         return res.status(400).send('Missing or invalid URL parameter');
     }
 
+    let debridApiKey;
+    try {
+        debridApiKey = await openResolveApiKey(debridProvider, req.params.debridApiKey);
+    } catch (_) {
+        return res.status(403).send('Invalid or expired link');
+    }
+
     const decodedUrl = decodeURIComponent(url);
     const clientIp = requestIp.getClientIp(req);
 
@@ -369,6 +496,10 @@ router.get('/resolve/:debridProvider/:debridApiKey/:url', limiter, (req, res) =>
     if (cacheKey && cacheKey.length < 512) resolveConfig.cacheKey = cacheKey;
     if (cacheHash && cacheHash.length < 128) resolveConfig.cacheHash = cacheHash;
 
+    if (req.query.uncached === '1') {
+        return sendUncachedDownload(res, debridProvider, debridApiKey, decodedUrl, clientIp, resolveConfig);
+    }
+
     StreamProvider.resolveUrl(debridProvider, debridApiKey, null, decodedUrl, clientIp, resolveConfig)
         .then(url => {
             if (url) {
@@ -388,6 +519,30 @@ router.get('/ping', (_, res) => {
     res.end()
 })
 
+// Uncached picks: the first play adds the torrent, later plays answer with its progress until
+// it is ready. Never cached, the status changes between plays.
+function sendUncachedDownload(res, debridProvider, debridApiKey, url, clientIp, config) {
+    const sendStatus = (message) => {
+        res.setHeader('Cache-Control', 'no-store')
+        res.setHeader('Retry-After', '30')
+        res.status(202).send(message)
+    }
+    return StreamProvider.resolveUncached(debridProvider, debridApiKey, url, clientIp, config)
+        .then(download => {
+            if (download.status === 'ready' && download.url) {
+                return res.redirect(typeof download.url === 'object' ? download.url.url : download.url)
+            }
+            if (download.status === 'dead') {
+                return sendStatus('Download failed on your debrid service - pick another release')
+            }
+            sendStatus(`Downloading to your debrid service: ${download.progress}% - play again in a minute`)
+        })
+        .catch(err => {
+            console.error(`[RESOLVER] Uncached download failed for ${debridProvider}: ${err.message}`)
+            sendStatus('Could not add this torrent to your debrid service')
+        })
+}
+
 function handleError(err, res) {
     if (err == BadTokenError) {
         res.writeHead(401)
@@ -0,0 +1,51 @@
+/**
+ * Account Status Unit Tests
+ * Tests the premium expiry and quota warnings shown above the streams (no network calls needed)
+ */
+
+import { getAccountWarning, getAccountStatusStreams, getAccountProblem } from '../lib/account-provider.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.parse('2026-03-01T12:00:00Z');
+
+function account(overrides = {}) {
+    return { premium: true, expiresAt: new Date(now + 30 * DAY_MS).toISOString(), quotaExhausted: false, renewUrl: 'https://example.com', ...overrides };
+}
+
+describe('getAccountWarning', () => {
+    test('stays quiet for a healthy account or an unknown one', () => {
+        expect(getAccountWarning(account(), 'RD', now)).toBeNull();
+        expect(getAccountWarning(account({ expiresAt: null }), 'DL', now)).toBeNull();
+        expect(getAccountWarning(null, 'RD', now)).toBeNull();
+    });
+
+    test('warns ahead of the expiry date', () => {
+        expect(getAccountWarning(account({ expiresAt: new Date(now + 2.5 * DAY_MS).toISOString() }), 'RD', now))
+            .toEqual({ message: '⚠ RD premium expires in 2 days', blocking: false });
+        expect(getAccountWarning(account({ expiresAt: new Date(now + 1.2 * DAY_MS).toISOString() }), 'AD', now).message)
+            .toBe('⚠ AD premium expires in 1 day');
+        expect(getAccountWarning(account({ expiresAt: new Date(now + 3600 * 1000).toISOString() }), 'TB', now).message)
+            .toBe('⚠ TB premium expires today');
+    });
+
+    test('blocks on an expired premium or a used-up quota', () => {
+        expect(getAccountWarning(account({ premium: false, expiresAt: new Date(now - DAY_MS).toISOString() }), 'RD', now))
+            .toEqual({ message: '⚠ RD premium expired', blocking: true });
+        expect(getAccountWarning(account({ expiresAt: new Date(now - DAY_MS).toISOString() }), 'RD', now).blocking).toBe(true);
+        expect(getAccountWarning(account({ quotaExhausted: true }), 'PM', now))
+            .toEqual({ message: '⚠ PM traffic quota used up', blocking: true });
+    });
+
+    test('reports an account that never had premium without blocking plays', () => {
+        expect(getAccountWarning(account({ premium: false, expiresAt: null }), 'RD', now))
+            .toEqual({ message: '⚠ RD has no premium', blocking: false });
+    });
+});
+
+describe('services without account info', () => {
+    test('get no status streams and no play errors', async () => {
+        await expect(getAccountStatusStreams({ DebridServices: [{ provider: 'Usenet', apiKey: 'key' }] })).resolves.toEqual([]);
+        await expect(getAccountStatusStreams({})).resolves.toEqual([]);
+        await expect(getAccountProblem('usenet', 'key')).resolves.toBeNull();
+    });
+});
@@ -0,0 +1,33 @@
+/**
+ * Action Token Unit Tests
+ * Tests the confirmation tokens that guard library delete / re-add actions (no network calls needed)
+ */
+
+import { createActionToken, verifyActionToken, ACTION_TOKEN_TTL_MS } from '../lib/util/action-token.js';
+
+describe('action tokens', () => {
+    const now = 1_700_000_000_000;
+
+    test('verifies a token for the exact action it was issued for', () => {
+        const { token, expiresAt } = createActionToken('key-1', 'delete', 'realdebrid', 'ABC', now);
+        expect(expiresAt).toBe(now + ACTION_TOKEN_TTL_MS);
+        expect(verifyActionToken(token, 'key-1', 'delete', 'RealDebrid', 'ABC', now + 1000)).toBe(true);
+    });
+
+    test('rejects tokens for another torrent, action or account', () => {
+        const { token } = createActionToken('key-1', 'delete', 'realdebrid', 'ABC', now);
+        expect(verifyActionToken(token, 'key-1', 'delete', 'realdebrid', 'XYZ', now)).toBe(false);
+        expect(verifyActionToken(token, 'key-1', 'readd', 'realdebrid', 'ABC', now)).toBe(false);
+        expect(verifyActionToken(token, 'key-2', 'delete', 'realdebrid', 'ABC', now)).toBe(false);
+        expect(verifyActionToken(token, 'key-1', 'delete', 'torbox', 'ABC', now)).toBe(false);
+    });
+
+    test('rejects expired and malformed tokens', () => {
+        const { token, expiresAt } = createActionToken('key-1', 'delete', 'torbox', '7', now);
+        expect(verifyActionToken(token, 'key-1', 'delete', 'torbox', '7', expiresAt + 1)).toBe(false);
+        expect(verifyActionToken('', 'key-1', 'delete', 'torbox', '7', now)).toBe(false);
+        expect(verifyActionToken('garbage', 'key-1', 'delete', 'torbox', '7', now)).toBe(false);
+        const [, signature] = token.split('.');
+        expect(verifyActionToken(`${expiresAt + 60000}.${signature}`, 'key-1', 'delete', 'torbox', '7', now)).toBe(false);
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Anime ID Mapping Unit Tests
+ * Tests Kitsu/MAL/AniList ID parsing and absolute episode matching (no network calls needed)
+ */
+
+import { parseAnimeId, isAnimeId, absoluteToSeasonEpisode, seasonEpisodeToAbsolute } from '../lib/util/anime-mapping.js';
+import { hasAbsoluteEpisodeMarker } from '../lib/util/filter-torrents.js';
+import { filterByEpisode } from '../lib/stream-provider/utils/filtering.js';
+
+describe('parseAnimeId', () => {
+    test('parses kitsu episode IDs', () => {
+        expect(parseAnimeId('kitsu:11061:5')).toEqual({ source: 'kitsu', animeId: '11061', episode: 5 });
+    });
+
+    test('parses movie-style IDs without an episode', () => {
+        expect(parseAnimeId('mal:21')).toEqual({ source: 'mal', animeId: '21', episode: null });
+    });
+
+    test('rejects IMDb and malformed IDs', () => {
+        expect(parseAnimeId('tt0388629:1:1')).toBeNull();
+        expect(parseAnimeId('kitsu:abc:1')).toBeNull();
+        expect(isAnimeId('anilist:21:1071')).toBe(true);
+    });
+});
+
+describe('absolute episode conversion', () => {
+    // Unordered, with a season 0 special that must not count towards absolute numbering
+    const videos = [
+        { season: 0, episode: 1 },
+        { season: 2, episode: 1 },
+        { season: 1, episode: 2 },
+        { season: 1, episode: 1 },
+        { season: 2, episode: 2 },
+        { season: 1, episode: 3 }
+    ];
+
+    test('maps absolute episodes onto seasons', () => {
+        expect(absoluteToSeasonEpisode(videos, 1)).toEqual({ season: 1, episode: 1 });
+        expect(absoluteToSeasonEpisode(videos, 4)).toEqual({ season: 2, episode: 1 });
+        expect(absoluteToSeasonEpisode(videos, 6)).toBeNull();
+    });
+
+    test('maps season episodes back to absolute numbers', () => {
+        expect(seasonEpisodeToAbsolute(videos, 2, 2)).toBe(5);
+        expect(seasonEpisodeToAbsolute(videos, 3, 1)).toBeNull();
+    });
+});
+
+describe('hasAbsoluteEpisodeMarker', () => {
+    test('matches fansub numbering', () => {
+        expect(hasAbsoluteEpisodeMarker('[SubsPlease] One Piece - 1071 (1080p) [ABCD1234].mkv', 1071)).toBe(true);
+        expect(hasAbsoluteEpisodeMarker('[Erai-raws] One Piece - 1071v2 [1080p]', 1071)).toBe(true);
+        expect(hasAbsoluteEpisodeMarker('One Piece Episode 1071 1080p', 1071)).toBe(true);
+        expect(hasAbsoluteEpisodeMarker('[SubsPlease] Frieren - 05 (1080p).mkv', 5)).toBe(true);
+    });
+
+    test('does not match other episodes, resolutions or SxxExx markers', () => {
+        expect(hasAbsoluteEpisodeMarker('[SubsPlease] One Piece - 1072 (1080p)', 1071)).toBe(false);
+        expect(hasAbsoluteEpisodeMarker('[SubsPlease] One Piece - 1071 (1080p)', 1080)).toBe(false);
+        expect(hasAbsoluteEpisodeMarker('One.Piece.S21E05.1080p', 5)).toBe(false);
+    });
+});
+
+describe('filterByEpisode with absolute episodes', () => {
+    test('keeps absolute-numbered releases alongside the matching SxxExx release', () => {
+        const streams = [
+            { name: '[RD+] Sootio', title: '[SubsPlease] One Piece - 1071 (1080p)' },
+            { name: '[RD+] Sootio', title: 'One.Piece.S21E80.1080p.WEB' },
+            { name: '[RD+] Sootio', title: 'One.Piece.S21E81.1080p.WEB' }
+        ];
+        const kept = filterByEpisode(streams, 21, 80, 'One Piece', 1071).map(s => s.title);
+        expect(kept).toEqual(['[SubsPlease] One Piece - 1071 (1080p)', 'One.Piece.S21E80.1080p.WEB']);
+    });
+});
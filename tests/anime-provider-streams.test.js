@@ -0,0 +1,49 @@
+/**
+ * Absolute Episode Provider Path Tests
+ * Runs a registered provider through getSeriesStreamsFromProvider and checks that the
+ * episode filter keeps fansub releases named by the absolute episode number (no network calls needed)
+ */
+
+import PTT from '../lib/util/parse-torrent-title.js';
+import { registerProvider } from '../lib/util/provider-registry.js';
+import { getSeriesStreamsFromProvider } from '../lib/stream-provider/debrid/providers.js';
+
+const RELEASES = [
+    '[SubsPlease] One Piece - 1071 (1080p) [ABCD1234].mkv',
+    '[SubsPlease] One Piece - 1070 (1080p) [DCBA4321].mkv',
+    'One.Piece.S21E80.1080p.WEB',
+    'One.Piece.S21E81.1080p.WEB'
+];
+
+registerProvider({
+    name: 'AnimeFixture',
+    label: 'Anime Fixture',
+    streamName: '[AF+] Sootio',
+    results: { seriesFilter: 'episode', preformatted: true },
+    capabilities: {
+        search: async () => RELEASES.map((name, index) => ({
+            name,
+            info: PTT.parse(name),
+            url: `https://sootio.example/resolve/animefixture/key/${index}`
+        }))
+    }
+});
+
+async function streamNames(config) {
+    const streams = await getSeriesStreamsFromProvider('AnimeFixture', 'key', 'series', 'kitsu:12:1071', config,
+        { name: 'One Piece' }, 'One Piece', 21, 80);
+    return streams.map(stream => stream.name);
+}
+
+describe('getSeriesStreamsFromProvider with absolute episodes', () => {
+    test('keeps the absolute-numbered release for anime IDs', async () => {
+        expect(await streamNames({ absoluteEpisode: 1071 })).toEqual([
+            '[SubsPlease] One Piece - 1071 (1080p) [ABCD1234].mkv',
+            'One.Piece.S21E80.1080p.WEB'
+        ]);
+    });
+
+    test('drops absolute-numbered releases without an absolute episode', async () => {
+        expect(await streamNames({})).toEqual(['One.Piece.S21E80.1080p.WEB']);
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Catalog Merge Unit Tests
+ * Tests how torrent lists from several debrid services are merged into one catalog (no network calls needed)
+ */
+
+import { getInfoHash, mergeByInfoHash, formatProviderBadge } from '../lib/util/catalog-merge.js';
+
+describe('mergeByInfoHash', () => {
+    test('keeps service order and merges repeated hashes into the first entry', () => {
+        const merged = mergeByInfoHash([
+            [
+                { source: 'realdebrid', id: 'A', name: 'Movie A', hash: 'AAA' },
+                { source: 'realdebrid', id: 'B', name: 'Movie B', hash: 'bbb' }
+            ],
+            [
+                { source: 'torbox', id: '1', name: 'Movie A (TB)', hash: 'aaa' },
+                { source: 'torbox', id: '2', name: 'Movie C', hash: 'ccc' }
+            ]
+        ]);
+        expect(merged.map(t => t.id)).toEqual(['A', 'B', '2']);
+        expect(merged[0].sources).toEqual(['realdebrid', 'torbox']);
+        expect(merged[2].sources).toEqual(['torbox']);
+    });
+
+    test('never merges torrents without a hash and tolerates missing lists', () => {
+        const merged = mergeByInfoHash([
+            [{ source: 'premiumize', id: 'f1', name: 'File' }],
+            null,
+            [{ source: 'debriderapp', id: 't1', name: 'File' }]
+        ]);
+        expect(merged).toHaveLength(2);
+    });
+
+    test('reads the hash from any provider field', () => {
+        expect(getInfoHash({ InfoHash: 'ABC' })).toBe('abc');
+        expect(getInfoHash({ infoHash: 'Def' })).toBe('def');
+        expect(getInfoHash({})).toBeNull();
+    });
+});
+
+describe('formatProviderBadge', () => {
+    test('uses the short stream-name tags', () => {
+        const nameMap = { realdebrid: '[RD+] Sootio', torbox: '[TB+] Sootio' };
+        expect(formatProviderBadge(['realdebrid', 'torbox'], nameMap)).toBe('[RD|TB]');
+        expect(formatProviderBadge(['unknown'], nameMap)).toBe('[UNKNOWN]');
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Encrypted Configuration Unit Tests
+ * Tests sealed config segments and sealed resolve API keys (no network calls needed)
+ */
+
+process.env.CONFIG_ENCRYPTION_SECRET = 'test-secret';
+
+const { sealValue, openValue, isSealedValue, referenceFor, isReference, SEALED_VALUE_PREFIX, REFERENCE_PREFIX } = await import('../lib/util/config-crypto.js');
+const {
+    parseConfiguration,
+    serializeConfiguration,
+    sealConfiguration,
+    encodeResolveApiKey,
+    decodeResolveApiKey,
+    openResolveApiKey,
+    encodeConfigParam
+} = await import('../lib/util/configuration.js');
+
+describe('sealed values', () => {
+    test('open only for the purpose they were sealed for', () => {
+        const sealed = sealValue('api-key', 'key:realdebrid');
+        expect(isSealedValue(sealed)).toBe(true);
+        expect(sealed.startsWith(SEALED_VALUE_PREFIX)).toBe(true);
+        expect(sealed).not.toContain('api-key');
+        expect(openValue(sealed, 'key:realdebrid')).toBe('api-key');
+        expect(() => openValue(sealed, 'key:torbox')).toThrow(/verification/);
+    });
+
+    test('reject tampered values', () => {
+        const sealed = sealValue('{"a":1}', 'config');
+        const body = sealed.slice(SEALED_VALUE_PREFIX.length);
+        const flipped = body.slice(0, -2) + (body.slice(-2) === 'AA' ? 'AB' : 'AA');
+        expect(() => openValue(SEALED_VALUE_PREFIX + flipped, 'config')).toThrow();
+        expect(() => openValue(SEALED_VALUE_PREFIX + 'abc', 'config')).toThrow(/too short/);
+    });
+});
+
+describe('references', () => {
+    test('are short, stable per value and bound to their purpose', () => {
+        const ref = referenceFor('api-key', 'key:realdebrid');
+        expect(isReference(ref)).toBe(true);
+        expect(ref.startsWith(REFERENCE_PREFIX)).toBe(true);
+        expect(ref.length).toBeLessThan(32);
+        expect(ref).not.toContain('api-key');
+        expect(referenceFor('api-key', 'key:realdebrid')).toBe(ref);
+        expect(referenceFor('api-key', 'key:torbox')).not.toBe(ref);
+        expect(referenceFor('other-key', 'key:realdebrid')).not.toBe(ref);
+    });
+});
+
+describe('configuration segments', () => {
+    const userConfig = { DebridProvider: 'RealDebrid', DebridApiKey: 'rd-key', Languages: ['en'] };
+
+    test('legacy JSON segments keep working', () => {
+        expect(parseConfiguration(JSON.stringify(userConfig))).toEqual(userConfig);
+        expect(serializeConfiguration({ ...userConfig, host: 'http://x' })).toBe(encodeURIComponent(JSON.stringify(userConfig)));
+    });
+
+    test('sealed segments round-trip and stay sealed', () => {
+        const sealed = sealConfiguration({ ...userConfig, host: 'http://x' });
+        expect(sealed).not.toContain('rd-key');
+        const parsed = parseConfiguration(sealed);
+        expect(parsed).toEqual({ ...userConfig, sealed: true });
+
+        const reserialized = decodeURIComponent(serializeConfiguration({ ...parsed, host: 'http://x' }));
+        expect(isSealedValue(reserialized)).toBe(true);
+        expect(parseConfiguration(reserialized)).toEqual({ ...userConfig, sealed: true });
+    });
+
+    test('resolve links carry sealed keys only for sealed configurations', () => {
+        expect(encodeResolveApiKey(userConfig, 'realdebrid', 'rd/key')).toBe('rd%2Fkey');
+        expect(decodeResolveApiKey('realdebrid', 'rd-key')).toBe('rd-key');
+
+        const segment = decodeURIComponent(encodeResolveApiKey({ sealed: true }, 'RealDebrid', 'rd-key'));
+        expect(segment).not.toContain('rd-key');
+        expect(decodeResolveApiKey('realdebrid', segment)).toBe('rd-key');
+        expect(() => decodeResolveApiKey('alldebrid', segment)).toThrow();
+    });
+
+    test('resolve routes open plain and sealed segments and reject unknown references', async () => {
+        const segment = decodeURIComponent(encodeResolveApiKey({ sealed: true }, 'realdebrid', 'rd-key'));
+        await expect(openResolveApiKey('realdebrid', segment)).resolves.toBe('rd-key');
+        await expect(openResolveApiKey('realdebrid', 'rd-key')).resolves.toBe('rd-key');
+        await expect(openResolveApiKey('realdebrid', referenceFor('rd-key', 'key:realdebrid'))).rejects.toThrow(/Unknown key reference/);
+    });
+
+    test('config query parameters follow the configuration mode', () => {
+        const data = { nntpPassword: 'secret' };
+        expect(decodeURIComponent(encodeConfigParam({}, data))).toBe(JSON.stringify(data));
+        const sealed = decodeURIComponent(encodeConfigParam({ sealed: true }, data));
+        expect(parseConfiguration(sealed)).toEqual({ ...data, sealed: true });
+    });
+});
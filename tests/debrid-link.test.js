@@ -0,0 +1,150 @@
+/**
+ * Debrid-Link API Client Unit Tests
+ * Runs the cache check, seedbox add and file picking against a local mock of the Debrid-Link API (no real network calls)
+ */
+
+import http from 'http';
+import { createDebridLinkClient } from '../lib/util/debrid-link-api.js';
+import { findEpisodeFile, pickVideoFile } from '../lib/util/video-files.js';
+
+const API_KEY = 'dl-key';
+const MOVIE_HASH = 'a'.repeat(40);
+const PACK_HASH = 'b'.repeat(40);
+const FAKE_HASH = 'c'.repeat(40);
+
+const PACK_FILES = [
+    { name: 'Show.S01.1080p/Show.S01E01.1080p.mkv', size: 1000 },
+    { name: 'Show.S01.1080p/Show.S01E02.1080p.mkv', size: 1200 },
+    { name: 'Show.S01.1080p/Sample.mkv', size: 10 },
+    { name: 'Show.S01.1080p/Show.S01E02.nfo', size: 1 }
+];
+
+const CACHED = {
+    [MOVIE_HASH]: { name: 'Movie.2024.2160p', files: [{ name: 'Movie.2024.2160p.mkv', size: 5000 }] },
+    [PACK_HASH]: { name: 'Show.S01.1080p', files: PACK_FILES },
+    [FAKE_HASH]: { name: 'Movie.2024.2160p.exe', files: [{ name: 'setup.exe', size: 100 }] }
+};
+
+// 60 torrents: the wanted one sits on the second /seedbox/list page
+const SEEDBOX = Array.from({ length: 60 }, (_, i) => ({ id: `sb-${i}`, name: `Torrent ${i}`, hashString: i.toString(16).padStart(40, '0').toUpperCase() }));
+
+let server;
+let baseUrl;
+const cacheQueries = [];
+const removedIds = [];
+
+function handleRequest(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const send = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        };
+        if (req.headers.authorization !== `Bearer ${API_KEY}`) {
+            return send(401, { success: false, error: 'badToken' });
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/seedbox/cached') {
+            const hashes = url.searchParams.get('url').split(',');
+            cacheQueries.push(hashes);
+            const value = {};
+            hashes.filter(hash => CACHED[hash]).forEach(hash => { value[hash] = CACHED[hash]; });
+            return send(200, { success: true, value });
+        }
+        if (url.pathname === '/seedbox/add' && req.method === 'POST') {
+            const { url: magnet, wait } = JSON.parse(body || '{}');
+            const hash = (magnet.match(/btih:([a-f0-9]{40})/i) || [])[1];
+            if (!wait || !CACHED[hash]) return send(400, { success: false, error: 'notCached' });
+            const files = CACHED[hash].files.map((file, index) => ({
+                ...file,
+                id: `${hash}-${index}`,
+                downloadUrl: `https://dl.example/${index}/${file.name.split('/').pop()}`,
+                downloadPercent: 100
+            }));
+            return send(200, { success: true, value: { id: `${hash}-id`, name: CACHED[hash].name, hashString: hash, files } });
+        }
+        if (url.pathname === '/seedbox/list') {
+            const page = Number(url.searchParams.get('page'));
+            const perPage = Number(url.searchParams.get('perPage'));
+            return send(200, { success: true, value: SEEDBOX.slice(page * perPage, (page + 1) * perPage) });
+        }
+        const remove = url.pathname.match(/^\/seedbox\/([^/]+)\/remove$/);
+        if (remove && req.method === 'DELETE') {
+            const ids = remove[1].split(',');
+            removedIds.push(...ids);
+            return send(200, { success: true, value: ids });
+        }
+        return send(404, { success: false, error: 'notFound' });
+    });
+}
+
+beforeAll(async () => {
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+describe('Debrid-Link client', () => {
+    test('reports cached hashes that hold video files', async () => {
+        const client = createDebridLinkClient({ apiKey: API_KEY, baseUrl });
+        const cached = await client.getCachedFiles([MOVIE_HASH.toUpperCase(), PACK_HASH, FAKE_HASH, 'd'.repeat(40)]);
+        expect(Array.from(cached.keys()).sort()).toEqual([MOVIE_HASH, PACK_HASH]);
+        expect(cached.get(PACK_HASH).files).toHaveLength(4);
+        expect(cacheQueries[cacheQueries.length - 1]).toEqual([MOVIE_HASH, PACK_HASH, FAKE_HASH, 'd'.repeat(40)]);
+    });
+
+    test('splits large cache checks into batches', async () => {
+        const client = createDebridLinkClient({ apiKey: API_KEY, baseUrl });
+        const hashes = Array.from({ length: 120 }, (_, i) => i.toString(16).padStart(40, '0'));
+        const before = cacheQueries.length;
+        expect((await client.getCachedFiles(hashes)).size).toBe(0);
+        expect(cacheQueries.slice(before).map(batch => batch.length)).toEqual([50, 50, 20]);
+    });
+
+    test('adds magnets and returns the files with download URLs', async () => {
+        const client = createDebridLinkClient({ apiKey: API_KEY, baseUrl });
+        const torrent = await client.addTorrent(`magnet:?xt=urn:btih:${PACK_HASH}`);
+        expect(torrent.files[1].downloadUrl).toBe('https://dl.example/1/Show.S01E02.1080p.mkv');
+    });
+
+    test('finds seedbox torrents by hash across pages', async () => {
+        const client = createDebridLinkClient({ apiKey: API_KEY, baseUrl });
+        expect((await client.findTorrent((55).toString(16).padStart(40, '0'))).id).toBe('sb-55');
+        expect(await client.findTorrent('f'.repeat(40))).toBeNull();
+    });
+
+    test('removes seedbox torrents', async () => {
+        const client = createDebridLinkClient({ apiKey: API_KEY, baseUrl });
+        expect(await client.removeTorrents(['sb-1', 'sb-2'])).toEqual(['sb-1', 'sb-2']);
+        expect(removedIds).toEqual(['sb-1', 'sb-2']);
+        expect(await client.removeTorrents([])).toEqual([]);
+    });
+
+    test('surfaces Debrid-Link error codes', async () => {
+        const client = createDebridLinkClient({ apiKey: 'wrong', baseUrl });
+        await expect(client.getCachedFiles([MOVIE_HASH])).rejects.toThrow(/badToken/);
+        const valid = createDebridLinkClient({ apiKey: API_KEY, baseUrl });
+        await expect(valid.addTorrent(`magnet:?xt=urn:btih:${'e'.repeat(40)}`)).rejects.toThrow(/notCached/);
+    });
+});
+
+describe('file picking', () => {
+    test('finds the requested episode inside a season pack', () => {
+        expect(findEpisodeFile(PACK_FILES, 1, 2).name).toBe('Show.S01.1080p/Show.S01E02.1080p.mkv');
+        expect(findEpisodeFile(PACK_FILES, 1, 3)).toBeNull();
+        expect(findEpisodeFile(PACK_FILES, '1', '1').size).toBe(1000);
+    });
+
+    test('plays the hinted file, else the largest video', () => {
+        expect(pickVideoFile(PACK_FILES, { fileName: 'Show.S01.1080p/Show.S01E01.1080p.mkv' }).size).toBe(1000);
+        expect(pickVideoFile(PACK_FILES, { season: 1, episode: 1 }).size).toBe(1000);
+        expect(pickVideoFile(PACK_FILES).size).toBe(1200);
+        expect(pickVideoFile([{ name: 'readme.txt', size: 5 }])).toBeNull();
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Hash Confidence Unit Tests
+ * Tests how shared availability answers are trusted (cache DB disabled, no network calls needed)
+ */
+
+import { classifyConfidence, checkWithConfidence, withLiveConfidence } from '../lib/util/hash-confidence.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = Date.parse('2026-03-01T12:00:00Z');
+
+describe('classifyConfidence', () => {
+    test('trusts hashes several accounts found cached recently', () => {
+        expect(classifyConfidence({ confirmations: 2, lastCachedAt: now - HOUR_MS, lastUncachedAt: null }, now)).toBe('high');
+        expect(classifyConfidence({ confirmations: 3, lastCachedAt: now - 12 * HOUR_MS, lastUncachedAt: null }, now)).toBe('stale');
+        expect(classifyConfidence({ confirmations: 3, lastCachedAt: now - 96 * HOUR_MS, lastUncachedAt: null }, now)).toBe('unknown');
+    });
+
+    test('needs more than one account', () => {
+        expect(classifyConfidence({ confirmations: 1, lastCachedAt: now - HOUR_MS, lastUncachedAt: null }, now)).toBe('unknown');
+        expect(classifyConfidence(null, now)).toBe('unknown');
+    });
+
+    test('the newest uncached answer wins until it expires', () => {
+        expect(classifyConfidence({ confirmations: 0, lastCachedAt: null, lastUncachedAt: now - 10 * 60 * 1000 }, now)).toBe('negative');
+        expect(classifyConfidence({ confirmations: 4, lastCachedAt: now - HOUR_MS, lastUncachedAt: now - 60 * 1000 }, now)).toBe('negative');
+        expect(classifyConfidence({ confirmations: 4, lastCachedAt: now - 3 * HOUR_MS, lastUncachedAt: now - 2 * HOUR_MS }, now)).toBe('unknown');
+        expect(classifyConfidence({ confirmations: 2, lastCachedAt: now - 60 * 1000, lastUncachedAt: now - HOUR_MS }, now)).toBe('high');
+    });
+});
+
+describe('without a cache DB', () => {
+    test('every hash is checked with the service', async () => {
+        let asked = null;
+        const result = await checkWithConfidence('torbox', 'key', ['A'.repeat(40), 'b'.repeat(40), 'a'.repeat(40)], async (hashes) => {
+            asked = hashes;
+            return new Set(['A'.repeat(40)]);
+        });
+        expect(asked).toEqual(['a'.repeat(40), 'b'.repeat(40)]);
+        expect(Array.from(result.cached)).toEqual(['a'.repeat(40)]);
+    });
+
+    test('live checks pass through, including "no answer"', async () => {
+        await expect(withLiveConfidence('realdebrid', 'key', 'a'.repeat(40), async () => true)).resolves.toBe(true);
+        await expect(withLiveConfidence('realdebrid', 'key', 'a'.repeat(40), async () => null)).resolves.toBeNull();
+    });
+});
@@ -0,0 +1,29 @@
+/**
+ * Health Endpoint Unit Tests
+ * Tests how /ready folds its checks into one status (no network calls needed)
+ */
+
+import { summarizeChecks, getLiveness } from '../lib/util/health.js';
+
+describe('summarizeChecks', () => {
+    test('is ready when every check passes or does not apply', () => {
+        expect(summarizeChecks({ cacheDatabase: { status: 'ok' }, flaresolverr: { status: 'skipped' } })).toBe('ready');
+        expect(summarizeChecks({})).toBe('ready');
+    });
+
+    test('warnings only degrade', () => {
+        expect(summarizeChecks({ cacheDatabase: { status: 'ok' }, proxyPool: { status: 'warn' } })).toBe('degraded');
+    });
+
+    test('any failure makes the pod not ready', () => {
+        expect(summarizeChecks({ memory: { status: 'fail' }, flaresolverr: { status: 'warn' } })).toBe('not_ready');
+    });
+});
+
+describe('getLiveness', () => {
+    test('reports the process', () => {
+        const liveness = getLiveness();
+        expect(liveness.status).toBe('ok');
+        expect(liveness.pid).toBe(process.pid);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Key Pool Unit Tests
+ * Tests key ordering, 429/503 failover and per-key cooldowns for services with several API keys (no network calls needed)
+ */
+
+import {
+    getServiceKeys,
+    mergeServiceKeys,
+    orderKeys,
+    withKeyFailover,
+    markKeyRateLimited,
+    isKeyRateLimited,
+    isKeyFailoverError
+} from '../lib/util/key-pool.js';
+import { encodeResolveApiKey, decodeResolveApiKey } from '../lib/util/configuration.js';
+
+function httpError(status) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers: {} };
+    return error;
+}
+
+describe('service keys', () => {
+    test('lists apiKey first, then apiKeys, trimmed and without repeats', () => {
+        expect(getServiceKeys({ apiKey: ' key-a ', apiKeys: ['key-b', 'key-a', '', null, 'key-c'] })).toEqual(['key-a', 'key-b', 'key-c']);
+        expect(getServiceKeys({ provider: 'TorBox' })).toEqual([]);
+    });
+
+    test('merges rows of the same provider into the first one', () => {
+        const merged = mergeServiceKeys([
+            { provider: 'RealDebrid', apiKey: 'rd-1', enablePersonalCloud: false },
+            { provider: 'TorBox', apiKey: 'tb-1' },
+            { provider: 'RealDebrid', apiKey: 'rd-2', keyStrategy: 'round-robin', enablePersonalCloud: true },
+            { provider: 'realdebrid', apiKey: 'rd-1' },
+            { provider: 'httpstreaming', http4khdhub: true }
+        ]);
+        expect(merged.map(s => s.provider)).toEqual(['RealDebrid', 'TorBox', 'httpstreaming']);
+        expect(merged[0]).toEqual({ provider: 'RealDebrid', apiKey: 'rd-1', enablePersonalCloud: false, apiKeys: ['rd-2'], keyStrategy: 'round-robin' });
+    });
+});
+
+describe('orderKeys', () => {
+    test('keeps config order for failover and rotates for round-robin', () => {
+        const keys = ['k1', 'k2', 'k3'];
+        expect(orderKeys('order-failover', keys)).toEqual(keys);
+        expect(orderKeys('order-failover', keys)).toEqual(keys);
+        expect(orderKeys('order-rr', keys, 'round-robin')).toEqual(['k1', 'k2', 'k3']);
+        expect(orderKeys('order-rr', keys, 'round-robin')).toEqual(['k2', 'k3', 'k1']);
+        expect(orderKeys('order-rr', keys, 'round-robin')).toEqual(['k3', 'k1', 'k2']);
+    });
+
+    test('moves keys on cooldown to the end', () => {
+        markKeyRateLimited('order-limited', 'k1', 60000);
+        expect(orderKeys('order-limited', ['k1', 'k2', 'k3'])).toEqual(['k2', 'k3', 'k1']);
+        expect(isKeyRateLimited('ORDER-LIMITED', 'k1')).toBe(true);
+        expect(isKeyRateLimited('order-limited', 'k2')).toBe(false);
+    });
+});
+
+describe('withKeyFailover', () => {
+    test('moves to the next key on 429 and 503 and puts the key on cooldown', async () => {
+        const calls = [];
+        const result = await withKeyFailover('failover-429', ['k1', 'k2', 'k3'], async (apiKey, keys) => {
+            calls.push({ apiKey, keys });
+            if (apiKey === 'k1') throw httpError(429);
+            if (apiKey === 'k2') throw httpError(503);
+            return ['stream'];
+        });
+        expect(result).toEqual(['stream']);
+        expect(calls.map(call => call.apiKey)).toEqual(['k1', 'k2', 'k3']);
+        expect(calls[2].keys).toEqual(['k3', 'k1', 'k2']);
+        expect(isKeyRateLimited('failover-429', 'k1')).toBe(true);
+        expect(isKeyRateLimited('failover-429', 'k2')).toBe(true);
+
+        // The next request starts with the key that answered
+        const next = [];
+        await withKeyFailover('failover-429', ['k1', 'k2', 'k3'], async apiKey => next.push(apiKey));
+        expect(next).toEqual(['k3']);
+    });
+
+    test('passes other errors through without trying more keys', async () => {
+        const calls = [];
+        await expect(withKeyFailover('failover-other', ['k1', 'k2'], async apiKey => {
+            calls.push(apiKey);
+            throw httpError(401);
+        })).rejects.toThrow(/401/);
+        expect(calls).toEqual(['k1']);
+        expect(isKeyRateLimited('failover-other', 'k1')).toBe(false);
+    });
+
+    test('retries an empty answer when the key was rate limited during the call', async () => {
+        const result = await withKeyFailover('failover-swallowed', ['k1', 'k2'], async apiKey => {
+            if (apiKey === 'k1') {
+                // A provider that swallows the 429 but reports it through its limiter
+                markKeyRateLimited('failover-swallowed', 'k1');
+                return [];
+            }
+            return ['from k2'];
+        });
+        expect(result).toEqual(['from k2']);
+    });
+
+    test('throws the last rate-limit error when every key is limited', async () => {
+        await expect(withKeyFailover('failover-all', ['k1', 'k2'], async () => {
+            throw new Error('Too Many Requests');
+        })).rejects.toThrow(/Too Many Requests/);
+        expect(isKeyFailoverError(new Error('boom'))).toBe(false);
+    });
+});
+
+describe('resolve links', () => {
+    test('carry every key of a pool and a single key as before', () => {
+        const pool = ['rd-key-1', 'rd-key-2'];
+        const segment = decodeURIComponent(encodeResolveApiKey({}, 'realdebrid', pool));
+        expect(segment.startsWith('kp1.')).toBe(true);
+        expect(decodeResolveApiKey('realdebrid', segment)).toEqual(pool);
+        expect(decodeURIComponent(encodeResolveApiKey({}, 'realdebrid', ['only-key']))).toBe('only-key');
+        expect(decodeResolveApiKey('realdebrid', 'plain-key')).toBe('plain-key');
+        expect(() => decodeResolveApiKey('realdebrid', `kp1.${Buffer.from('{"a":1}').toString('base64url')}`)).toThrow(/Invalid key pool/);
+    });
+});
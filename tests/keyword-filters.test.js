@@ -0,0 +1,84 @@
+/**
+ * Keyword Filter Unit Tests
+ * Tests include/exclude keyword and regex validation and stream filtering (no network calls needed)
+ */
+
+import { compileKeywordPattern, compileKeywordFilters, passesKeywordFilters } from '../lib/util/keyword-filters.js';
+import { filterByKeywords } from '../lib/stream-provider/utils/filtering.js';
+
+describe('compileKeywordPattern', () => {
+    test('matches plain keywords as whole tokens', () => {
+        const { regex } = compileKeywordPattern('cam');
+        expect(regex.test('Movie.2024.1080p.CAM.x264')).toBe(true);
+        expect(regex.test('Movie.2024.Camera.Obscura.1080p')).toBe(false);
+    });
+
+    test('escapes regex characters in keywords', () => {
+        const { regex } = compileKeywordPattern('HDR10+');
+        expect(regex.test('Movie.2160p.HDR10+.HEVC')).toBe(true);
+        expect(regex.test('Movie.2160p.HDR100.HEVC')).toBe(false);
+    });
+
+    test('compiles /regex/ entries case-insensitively', () => {
+        const { regex } = compileKeywordPattern('/\\bhc\\b|hardcoded/');
+        expect(regex.test('Movie.2024.1080p.HC.HDRip')).toBe(true);
+    });
+
+    test('rejects unsafe, invalid and oversized patterns', () => {
+        expect(compileKeywordPattern('/(a+)+$/').error).toMatch(/Nested quantifiers/);
+        expect(compileKeywordPattern('/(\\w)\\1/').error).toMatch(/backreferences/);
+        expect(compileKeywordPattern('/[unclosed/').error).toMatch(/Invalid regex/);
+        expect(compileKeywordPattern('x'.repeat(101)).error).toMatch(/longer than/);
+    });
+
+    test('rejects repeated alternations, which backtrack exponentially too', () => {
+        expect(compileKeywordPattern('/(a|a)*b/').error).toMatch(/alternations/);
+        expect(compileKeywordPattern('/(?:x|y){2,}/').error).toMatch(/alternations/);
+        expect(compileKeywordPattern('/((a|b)c)+/').error).toMatch(/alternations/);
+        expect(compileKeywordPattern('/((?:\\w+)\\.)+/').error).toMatch(/Nested quantifiers/);
+    });
+
+    test('allows alternations and quantifiers that are not repeated together', () => {
+        expect(compileKeywordPattern('/\\b(x264|x265)\\b/').regex.test('Movie.x265.HEVC')).toBe(true);
+        expect(compileKeywordPattern('/(?:hevc|x265)?\\.mkv$/').error).toBeNull();
+        expect(compileKeywordPattern('/[(|)]+\\d+/').error).toBeNull();
+        expect(compileKeywordPattern('/(?<res>\\d{3,4})p/').error).toBeNull();
+    });
+});
+
+describe('compileKeywordFilters', () => {
+    test('returns null when nothing valid is configured', () => {
+        expect(compileKeywordFilters(null)).toBeNull();
+        expect(compileKeywordFilters({ include: [], exclude: ['/(a*)*/'] })).toBeNull();
+    });
+
+    test('bounds the number of entries', () => {
+        const exclude = Array.from({ length: 50 }, (_, i) => `word${i}`);
+        expect(compileKeywordFilters({ exclude }).exclude).toHaveLength(30);
+    });
+
+    test('applies exclude before include', () => {
+        const filters = compileKeywordFilters({ include: ['/remux|web-?dl/'], exclude: ['dubbed'] });
+        expect(passesKeywordFilters(filters, 'Movie.2024.1080p.WEB-DL.x264')).toBe(true);
+        expect(passesKeywordFilters(filters, 'Movie.2024.1080p.WEB-DL.Dubbed.x264')).toBe(false);
+        expect(passesKeywordFilters(filters, 'Movie.2024.1080p.BluRay.x264')).toBe(false);
+    });
+});
+
+describe('filterByKeywords', () => {
+    const streams = [
+        { name: '[RD+] Sootio\n1080p', title: 'Movie.2024.1080p.CAM.x264\n💾 1.2 GB | Cached' },
+        { name: '[HS+] Sootio\n1080p', title: 'Movie 2024 1080p 3D HSBS BluRay\n💾 3 GB | UHDMovies' },
+        { name: '[EN+] Sootio\n1080p', title: 'Movie.2024.1080p.WEB-DL.x264\n💾 4 GB | Easynews' },
+        { name: '[RD+] Sootio\n1080p', title: 'Movie.2024.1080p.BluRay.x264\n💾 8 GB | CAM-Tracker' }
+    ];
+
+    test('drops excluded releases from every source', () => {
+        const kept = filterByKeywords(streams, { exclude: ['cam', '3d'] }).map(s => s.title.split('\n')[0]);
+        expect(kept).toEqual(['Movie.2024.1080p.WEB-DL.x264', 'Movie.2024.1080p.BluRay.x264']);
+    });
+
+    test('returns the input untouched without filters', () => {
+        expect(filterByKeywords(streams, undefined)).toBe(streams);
+    });
+});
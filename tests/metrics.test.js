@@ -0,0 +1,49 @@
+/**
+ * Prometheus Metrics Unit Tests
+ * Tests the /metrics exposition of a single process (no cluster, no network calls needed)
+ */
+
+import { addSampler, observeScraper, observeCacheLookup, getMetrics } from '../lib/util/metrics.js';
+
+describe('getMetrics', () => {
+    test('counts scraper outcomes, results and durations', async () => {
+        observeScraper('1337x', 'success', 500, 12);
+        observeScraper('1337x', 'captcha', 1500);
+        observeScraper('1337x', '5xx', 200);
+
+        const { body } = await getMetrics();
+        expect(body).toContain('sootio_scraper_requests_total{scraper="1337x",outcome="captcha"} 1');
+        expect(body).toContain('sootio_scraper_requests_total{scraper="1337x",outcome="server_error"} 1');
+        expect(body).toContain('sootio_scraper_results_total{scraper="1337x"} 12');
+        expect(body).toContain('sootio_scraper_duration_seconds_count{scraper="1337x",status="failure"} 2');
+    });
+
+    test('reports cache hits and misses', async () => {
+        observeCacheLookup('resolve', true);
+        observeCacheLookup('resolve', false);
+        observeCacheLookup('resolve', true);
+
+        const { body } = await getMetrics();
+        expect(body).toContain('sootio_cache_lookups_total{cache="resolve",result="hit"} 2');
+        expect(body).toContain('sootio_cache_lookups_total{cache="resolve",result="miss"} 1');
+    });
+
+    test('reads point-in-time values from samplers', async () => {
+        addSampler('streamProvider', () => ({ resolveInFlight: 3, inFlightRequests: 1, resolveCache: 7, resolveFailCache: 0 }));
+        addSampler('flaresolverr', () => ({ activeCalls: 1, queueDepth: 4, circuitOpen: true, metrics: { flaresolverrCalls: 9, queueOverflows: 0 } }));
+
+        const { contentType, body } = await getMetrics();
+        expect(contentType).toContain('text/plain');
+        expect(body).toContain('sootio_pending_resolves 3');
+        expect(body).toContain('sootio_cache_entries{cache="resolve"} 7');
+        expect(body).toContain('sootio_flaresolverr_queue_depth 4');
+        expect(body).toContain('sootio_flaresolverr_circuit_open 1');
+        expect(body).toContain('sootio_flaresolverr_events_total{event="flaresolverrCalls"} 9');
+    });
+
+    test('a failing sampler does not break the scrape', async () => {
+        addSampler('flaresolverr', () => { throw new Error('not loaded'); });
+        const { body } = await getMetrics();
+        expect(body).toContain('sootio_scraper_requests_total');
+    });
+});
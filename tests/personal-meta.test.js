@@ -0,0 +1,46 @@
+/**
+ * Personal Meta Unit Tests
+ * Tests Sootio cloud-torrent IDs and how a torrent's files are ordered as Stremio videos (no network calls needed)
+ */
+
+import { buildPersonalId, parsePersonalId, buildMetaVideos } from '../lib/util/personal-meta.js';
+
+describe('personal IDs', () => {
+    test('round-trips torrent and file IDs', () => {
+        expect(buildPersonalId('RealDebrid', 'ABC123')).toBe('sootio:realdebrid:ABC123');
+        expect(parsePersonalId('sootio:torbox:42:7')).toEqual({ service: 'torbox', torrentId: '42', fileId: '7' });
+        expect(parsePersonalId('sootio:alldebrid:99')).toEqual({ service: 'alldebrid', torrentId: '99', fileId: null });
+    });
+
+    test('rejects foreign and unsupported IDs', () => {
+        expect(parsePersonalId('tt0111161')).toBeNull();
+        expect(parsePersonalId('sootio:premiumize:1')).toBeNull();
+        expect(parsePersonalId('sootio:realdebrid')).toBeNull();
+        expect(parsePersonalId('realdebrid:download:abc')).toBeNull();
+    });
+});
+
+describe('buildMetaVideos', () => {
+    const details = {
+        id: 'T1',
+        created: '2024-05-01T00:00:00.000Z',
+        videos: [
+            { id: 'T1:5', name: 'Show.S01/Extras/Behind.The.Scenes.mkv', size: 1, info: {} },
+            { id: 'T1:3', name: 'Show.S01/Show.S01E10.mkv', size: 1, info: { season: 1, episode: 10 } },
+            { id: 'T1:2', name: 'Show.S01/Show.S01E02.mkv', size: 1, info: { season: 1, episode: 2 } },
+            { id: 'T1:4', name: 'Show.S01/Bloopers.mkv', size: 1, info: {} }
+        ]
+    };
+
+    test('orders pack episodes numerically and lists other files after them', () => {
+        const videos = buildMetaVideos('realdebrid', details);
+        expect(videos.map(v => v.title)).toEqual(['Show.S01E02.mkv', 'Show.S01E10.mkv', 'Bloopers.mkv', 'Behind.The.Scenes.mkv']);
+        expect(videos.map(v => [v.season, v.episode])).toEqual([[1, 2], [1, 10], [0, 1], [0, 2]]);
+    });
+
+    test('gives each file its own Sootio ID and a release date', () => {
+        const [first] = buildMetaVideos('realdebrid', details);
+        expect(first.id).toBe('sootio:realdebrid:T1:2');
+        expect(first.released).toBe('2024-05-01T00:00:00.000Z');
+    });
+});
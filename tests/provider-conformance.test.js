@@ -0,0 +1,114 @@
+/**
+ * Provider Capability Conformance Tests
+ * Runs the account, library and cache capabilities of every registered provider against recorded
+ * API responses (tests/fixtures/provider-conformance.json) and checks they return the shapes the
+ * registry documents. axios and fetch go through a replay transport (no real network calls).
+ */
+
+import axios from 'axios';
+import { readFileSync } from 'fs';
+
+const FIXTURES = JSON.parse(readFileSync(new URL('./fixtures/provider-conformance.json', import.meta.url), 'utf-8'));
+const LIBRARY_STATUSES = ['ready', 'downloading', 'dead'];
+
+// Their API client packages bring their own HTTP stack, which the replay transport cannot see
+const OWN_HTTP_CLIENT = ['realdebrid', 'alldebrid'];
+
+const requests = [];
+
+// Responses are looked up by "METHOD url", with the query string first, then without it
+function replay(method, rawUrl) {
+    const url = new URL(rawUrl);
+    const base = `${method.toUpperCase()} ${url.origin}${url.pathname}`;
+    requests.push(base);
+    for (const fixture of Object.values(FIXTURES)) {
+        const response = fixture.responses[`${base}${url.search}`] || fixture.responses[base];
+        if (response) return { status: response.status || 200, data: response.body };
+    }
+    return { status: 404, data: { error: `No fixture for ${base}` } };
+}
+
+// axios instances copy the default adapter when they are created, so this runs before any provider loads
+axios.defaults.adapter = async (config) => {
+    const { status, data } = replay(config.method || 'get', axios.getUri(config));
+    const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+    if (status >= 400) {
+        throw new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, {}, response);
+    }
+    return response;
+};
+globalThis.fetch = async (url, init = {}) => {
+    const { status, data } = replay(init.method || 'GET', String(url));
+    return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+};
+
+const { listProviders } = await import('../lib/providers.js');
+
+function fixtureFor(provider) {
+    const fixture = FIXTURES[provider.key];
+    if (!fixture) throw new Error(`${provider.name} has no entry in fixtures/provider-conformance.json`);
+    return fixture;
+}
+
+// What each capability must return (see lib/util/provider-registry.js)
+const CONTRACTS = {
+    accountInfo: async (provider, { apiKey, expect: expected }) => {
+        const info = await provider.capabilities.accountInfo(apiKey);
+        expect(typeof info.premium).toBe('boolean');
+        expect(typeof info.quotaExhausted).toBe('boolean');
+        expect(info.expiresAt === null || new Date(info.expiresAt).toISOString() === info.expiresAt).toBe(true);
+        expect(info.renewUrl).toMatch(/^https:\/\//);
+        expect(info).toEqual(expected.accountInfo);
+    },
+    library: async (provider, { apiKey, expect: expected }) => {
+        const items = await provider.capabilities.library(apiKey, { includeInactive: true });
+        for (const item of items) {
+            expect(item.id == null).toBe(false);
+            expect(typeof item.name).toBe('string');
+            expect(typeof item.size).toBe('number');
+            expect(LIBRARY_STATUSES).toContain(item.status);
+        }
+        expect(items.map(item => [String(item.id), item.status])).toEqual(expected.library);
+        const ready = await provider.capabilities.library(apiKey);
+        expect(ready.every(item => item.status === 'ready')).toBe(true);
+    },
+    downloadStatus: async (provider, { apiKey, torrentId, expect: expected }) => {
+        const status = await provider.capabilities.downloadStatus(apiKey, torrentId);
+        expect(LIBRARY_STATUSES).toContain(status.status);
+        expect(status.progress >= 0 && status.progress <= 100).toBe(true);
+        expect(status).toEqual(expected.downloadStatus);
+    },
+    addMagnet: async (provider, { apiKey, magnet, expect: expected }) => {
+        const torrentId = await provider.capabilities.addMagnet(apiKey, magnet);
+        expect(String(torrentId)).toBe(String(expected.addMagnet));
+    },
+    delete: async (provider, { apiKey, torrentId }) => {
+        expect(await provider.capabilities.delete(apiKey, torrentId)).toBe(true);
+    },
+    cacheCheck: async (provider, { apiKey, hashes, expect: expected }) => {
+        const cached = await provider.capabilities.cacheCheck(apiKey, hashes);
+        expect(Array.from(cached || []).map(hash => String(hash).toLowerCase()).sort()).toEqual(expected.cacheCheck);
+    }
+};
+
+beforeEach(() => {
+    requests.length = 0;
+});
+
+describe('provider capabilities', () => {
+    for (const [capability, check] of Object.entries(CONTRACTS)) {
+        for (const provider of listProviders(capability).filter(p => !OWN_HTTP_CLIENT.includes(p.key))) {
+            test(`${provider.name} ${capability}`, async () => {
+                await check(provider, fixtureFor(provider));
+                expect(requests.length > 0).toBe(true);
+            });
+        }
+    }
+});
+
+describe('providers with their own streams', () => {
+    test('are the services outside the torrent pipeline', () => {
+        expect(listProviders('streams').map(provider => provider.key)).toEqual(['usenet', 'easynews', 'homemedia']);
+        expect(listProviders('streams').filter(provider => provider.capabilities.search)).toEqual([]);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Provider Registry Unit Tests
+ * Tests registration and lookup, then checks every provider module registers a well-formed definition
+ */
+
+import { createProviderRegistry, normalizeProviderKey, CAPABILITIES } from '../lib/util/provider-registry.js';
+import { listProviders, getProvider, getStreamNames } from '../lib/providers.js';
+
+const noop = async () => null;
+
+function demoProvider(overrides = {}) {
+    return {
+        name: 'DemoDebrid',
+        label: 'Demo Debrid',
+        streamName: '[DD+] Sootio',
+        capabilities: { search: noop, resolve: noop },
+        ...overrides
+    };
+}
+
+describe('createProviderRegistry', () => {
+    test('looks providers up by name, key and alias', () => {
+        const registry = createProviderRegistry();
+        const provider = registry.register(demoProvider({ aliases: ['demo'] }));
+        expect(provider.key).toBe('demodebrid');
+        expect(registry.get('DemoDebrid')).toBe(provider);
+        expect(registry.get('demo-debrid')).toBe(provider);
+        expect(registry.get('Demo')).toBe(provider);
+        expect(registry.get('other')).toBeNull();
+        expect(registry.list()).toHaveLength(1);
+    });
+
+    test('rejects incomplete, duplicate and unknown definitions', () => {
+        const registry = createProviderRegistry();
+        registry.register(demoProvider());
+        expect(() => registry.register({ name: 'NoLabel', streamName: '[NL+] Sootio' })).toThrow(/name, label and streamName/);
+        expect(() => registry.register(demoProvider())).toThrow(/already registered/);
+        expect(() => registry.register(demoProvider({ name: 'Other', aliases: ['demodebrid'] }))).toThrow(/already registered by DemoDebrid/);
+        expect(() => registry.register(demoProvider({ name: 'Teleport', capabilities: { teleport: noop } }))).toThrow(/unknown capability/);
+        expect(() => registry.register(demoProvider({ name: 'Broken', capabilities: { resolve: 'yes' } }))).toThrow(/must be a function/);
+        expect(() => registry.register(demoProvider({ name: 'Grouped', capabilities: { catalog: { browse: noop } } }))).toThrow(/catalog.browse/);
+        expect(() => registry.register(demoProvider({ name: 'Filtered', results: { movieFilter: 'strict' } }))).toThrow(/movieFilter=strict/);
+    });
+
+    test('lists providers by capability, including grouped members', () => {
+        const registry = createProviderRegistry();
+        registry.register(demoProvider({ capabilities: { catalog: { list: noop } } }));
+        registry.register(demoProvider({ name: 'Searchable', streamName: '[SR+] Sootio', capabilities: { catalog: { list: noop, search: noop } } }));
+        registry.register(demoProvider({ name: 'MetadataOnly', streamName: '[MO+] Sootio', capabilities: {} }));
+        expect(registry.list('catalog').map(p => p.key)).toEqual(['demodebrid', 'searchable']);
+        expect(registry.list('catalog.search').map(p => p.key)).toEqual(['searchable']);
+        expect(registry.has('DemoDebrid', 'catalog.search')).toBe(false);
+        expect(registry.has('MetadataOnly', 'resolve')).toBe(false);
+    });
+
+    test('builds the stream name map in registration order', () => {
+        const registry = createProviderRegistry();
+        registry.register(demoProvider());
+        registry.register(demoProvider({ name: 'Second', streamName: '[SC+] Sootio', aliases: ['two'] }));
+        expect(registry.streamNames()).toEqual({ demodebrid: '[DD+] Sootio', second: '[SC+] Sootio' });
+    });
+});
+
+// Conformance: every provider module loaded by lib/providers.js
+describe('registered providers', () => {
+    const providers = listProviders();
+
+    test('cover every configurable service with unique keys', () => {
+        const keys = providers.map(p => p.key);
+        expect(new Set(keys).size).toBe(keys.length);
+        expect(keys).toEqual([
+            'debridlink', 'realdebrid', 'alldebrid', 'premiumize', 'torbox', 'offcloud', 'putio', 'pikpak',
+            'debriderapp', 'personalcloud', 'usenet', 'easynews', 'homemedia'
+        ]);
+    });
+
+    test('have a bracketed stream name and only known capabilities', () => {
+        for (const provider of providers) {
+            expect(provider.streamName).toMatch(/^\[[A-Z]+\+\] Sootio$/);
+            expect(getProvider(provider.name)).toBe(provider);
+            expect(normalizeProviderKey(provider.name)).toBe(provider.key);
+            for (const capability of Object.keys(provider.capabilities)) {
+                expect(CAPABILITIES).toContain(capability);
+            }
+        }
+        expect(getStreamNames().realdebrid).toBe('[RD+] Sootio');
+    });
+
+    test('that search can also resolve their results', () => {
+        for (const provider of listProviders('search')) {
+            expect(Boolean(provider.capabilities.resolve || provider.capabilities.usenetSubmit)).toBe(true);
+        }
+    });
+
+    test('that manage a library support every library action', () => {
+        for (const provider of listProviders('library')) {
+            expect(typeof provider.capabilities.delete).toBe('function');
+            expect(typeof provider.capabilities.addMagnet).toBe('function');
+        }
+    });
+
+    test('that report download status can add magnets and resolve', () => {
+        const keys = listProviders('downloadStatus').map(p => p.key);
+        expect(keys).toEqual(['realdebrid', 'alldebrid', 'torbox', 'offcloud']);
+        for (const provider of listProviders('downloadStatus')) {
+            expect(typeof provider.capabilities.addMagnet).toBe('function');
+            expect(typeof provider.capabilities.resolve).toBe('function');
+        }
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * put.io and PikPak API Client Unit Tests
+ * Replays recorded API responses (tests/fixtures) from a local mock server (no real network calls)
+ */
+
+import http from 'http';
+import { readFileSync } from 'fs';
+import { createPutioClient, transferStatus } from '../lib/util/putio-api.js';
+import { createPikPakClient, parseCredentials, getDownloadUrl } from '../lib/util/pikpak-api.js';
+import { pickVideoFile, splitEpisodeHint } from '../lib/util/video-files.js';
+
+const PUTIO_FIXTURES = JSON.parse(readFileSync(new URL('./fixtures/putio-api.json', import.meta.url), 'utf-8'));
+const PIKPAK_FIXTURES = JSON.parse(readFileSync(new URL('./fixtures/pikpak-api.json', import.meta.url), 'utf-8'));
+
+const PUTIO_TOKEN = 'putio-token';
+const PIKPAK_LOGIN = { username: 'viewer@example.com', password: 'hunter2' };
+
+let server;
+let baseUrl;
+const putioForms = [];
+const pikpakBodies = [];
+let pikpakSignIns = 0;
+const pikpakTokens = new Set();
+
+function send(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+}
+
+function handlePutio(req, res, url, body) {
+    if (req.headers.authorization !== `Bearer ${PUTIO_TOKEN}`) {
+        return send(res, 401, { status: 'ERROR', error_type: 'invalid_grant', error_message: 'Invalid token' });
+    }
+    if (req.method === 'POST') putioForms.push(Object.fromEntries(new URLSearchParams(body)));
+    const path = url.pathname.replace(/^\/putio/, '');
+    const fixture = PUTIO_FIXTURES[`${path}${url.search}`] || PUTIO_FIXTURES[path];
+    return fixture ? send(res, 200, fixture) : send(res, 404, { status: 'ERROR', error_type: 'NotFound' });
+}
+
+function handlePikPak(req, res, url, body) {
+    if (url.pathname === '/auth/auth/signin') {
+        pikpakSignIns++;
+        const { username, password, captcha_token: captchaToken } = JSON.parse(body);
+        if (username !== PIKPAK_LOGIN.username || password !== PIKPAK_LOGIN.password || !captchaToken) {
+            return send(res, 400, { error: 'invalid_account_or_password', error_code: 4022 });
+        }
+        const accessToken = `pp-access-${pikpakSignIns}`;
+        pikpakTokens.add(accessToken);
+        return send(res, 200, { ...PIKPAK_FIXTURES[url.pathname], access_token: accessToken });
+    }
+    if (url.pathname.startsWith('/auth/')) {
+        return send(res, 200, PIKPAK_FIXTURES[url.pathname]);
+    }
+
+    const token = (req.headers.authorization || '').replace('Bearer ', '');
+    if (!pikpakTokens.has(token)) return send(res, 401, { error: 'unauthenticated', error_code: 16 });
+    if (req.method === 'POST') pikpakBodies.push(JSON.parse(body));
+    const parentId = url.searchParams.get('parent_id');
+    const fixture = PIKPAK_FIXTURES[parentId ? `${url.pathname}?parent_id=${parentId}` : url.pathname];
+    return fixture ? send(res, 200, fixture) : send(res, 404, { error: 'file_not_found', error_code: 9 });
+}
+
+function handleRequest(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname.startsWith('/putio/')) return handlePutio(req, res, url, body);
+        return handlePikPak(req, res, url, body);
+    });
+}
+
+beforeAll(async () => {
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+function putio(token = PUTIO_TOKEN) {
+    return createPutioClient({ token, baseUrl: `${baseUrl}/putio` });
+}
+
+function pikpak(login = PIKPAK_LOGIN) {
+    return createPikPakClient({ ...login, authUrl: `${baseUrl}/auth`, driveUrl: `${baseUrl}/drive` });
+}
+
+describe('put.io client', () => {
+    test('maps transfer states to library statuses', async () => {
+        const transfers = await putio().listTransfers();
+        expect(transfers.map(transferStatus)).toEqual(['ready', 'downloading', 'dead']);
+        expect(transferStatus({ status: 'SEEDING', file_id: 1 })).toBe('ready');
+        expect(transferStatus({ status: 'COMPLETED', file_id: null })).toBe('downloading');
+    });
+
+    test('lists video files across the account', async () => {
+        const files = await putio().listVideoFiles();
+        expect(files.map(file => file.id)).toEqual([502, 503]);
+    });
+
+    test('walks a transfer folder for videos, keeping the folder path', async () => {
+        const videos = await putio().listTransferVideos(501);
+        expect(videos).toEqual([
+            { id: 502, name: 'Show.S01.1080p.WEB-DL/Show.S01E01.1080p.WEB-DL.mkv', size: 1000 },
+            { id: 503, name: 'Show.S01.1080p.WEB-DL/Extras/Show.S01E02.1080p.WEB-DL.mkv', size: 1200 }
+        ]);
+        expect(pickVideoFile(videos, { season: 1, episode: 1 }).id).toBe(502);
+    });
+
+    test('adds magnets as form posts and waits for the transfer', async () => {
+        const client = putio();
+        const magnet = `magnet:?xt=urn:btih:${'e'.repeat(40)}`;
+        const transfer = await client.addTransfer(magnet);
+        expect(transfer.id).toBe(9104);
+        expect(putioForms[putioForms.length - 1]).toEqual({ url: magnet });
+
+        const ready = await client.waitForTransferReady(9102, 1000, 10);
+        expect(ready.file_id).toBe(601);
+    });
+
+    test('returns download links and surfaces put.io errors', async () => {
+        expect(await putio().getFileUrl(502)).toBe('https://s101.put.io/files/502/download?oauth_token=fixture');
+        await expect(putio('expired').listTransfers()).rejects.toThrow(/invalid_grant/);
+    });
+});
+
+describe('PikPak client', () => {
+    test('reads "email:password" credentials', () => {
+        expect(parseCredentials('viewer@example.com:pa:ss')).toEqual({ username: 'viewer@example.com', password: 'pa:ss' });
+        expect(() => parseCredentials('no-password')).toThrow(/email:password/);
+    });
+
+    test('signs in once per account and reuses the token', async () => {
+        const before = pikpakSignIns;
+        const tasks = await pikpak().listTasks();
+        await pikpak().listTasks();
+        expect(pikpakSignIns - before).toBe(1);
+        expect(tasks.map(task => task.phase)).toEqual(['PHASE_TYPE_COMPLETE', 'PHASE_TYPE_RUNNING']);
+    });
+
+    test('signs in again when the token is revoked', async () => {
+        await pikpak().listTasks();
+        pikpakTokens.clear();
+        const before = pikpakSignIns;
+        expect(await pikpak().listTasks()).toHaveLength(2);
+        expect(pikpakSignIns - before).toBe(1);
+    });
+
+    test('rejects a wrong password', async () => {
+        await expect(pikpak({ username: PIKPAK_LOGIN.username, password: 'wrong' }).listTasks())
+            .rejects.toThrow(/invalid_account_or_password/);
+    });
+
+    test('adds magnets as offline downloads', async () => {
+        const magnet = `magnet:?xt=urn:btih:${'c'.repeat(40)}`;
+        const task = await pikpak().addOfflineTask(magnet);
+        expect(task.file_id).toBe('VNFile2');
+        const { upload_type: uploadType, url } = pikpakBodies[pikpakBodies.length - 1];
+        expect({ uploadType, url }).toEqual({ uploadType: 'UPLOAD_TYPE_URL', url: { url: magnet } });
+        expect(await pikpak().waitForFileReady('VNFile2', 50, 10)).toBeNull();
+    });
+
+    test('lists folder videos and picks the hinted episode link', async () => {
+        const client = pikpak();
+        const root = await client.getFile('VNFolder1');
+        const videos = await client.listVideos(root);
+        expect(videos.map(video => video.name)).toEqual([
+            'Show.S01.1080p.WEB-DL/Show.S01E01.1080p.WEB-DL.mkv',
+            'Show.S01.1080p.WEB-DL/Show.S01E02.1080p.WEB-DL.mkv'
+        ]);
+
+        const hinted = `magnet:?xt=urn:btih:${'b'.repeat(40)}||HINT||${Buffer.from(JSON.stringify({ season: 1, episode: 2 })).toString('base64')}`;
+        const { url, hint } = splitEpisodeHint(hinted);
+        expect(url).toBe(`magnet:?xt=urn:btih:${'b'.repeat(40)}`);
+        const file = await client.getFile(pickVideoFile(videos, hint).id);
+        expect(getDownloadUrl(file)).toBe('https://dl-a10b.mypikpak.com/download/?fid=VNFileE02');
+    });
+
+    test('falls back to the media link when there is no download link', async () => {
+        expect(getDownloadUrl(await pikpak().getFile('VNFile2'))).toBe('https://vod0.mypikpak.com/VNFile2.mp4');
+        expect(getDownloadUrl(null)).toBeNull();
+    });
+});
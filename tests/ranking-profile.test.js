@@ -0,0 +1,110 @@
+/**
+ * Ranking Profile Unit Tests
+ * Tests profile validation, release scoring and profile-aware stream sorting (no network calls needed)
+ */
+
+import { normalizeRankingProfile, getReleaseGroup, isDeniedGroup, scoreRelease } from '../lib/util/ranking-profile.js';
+import { sortStreams } from '../lib/stream-provider/utils/sorting.js';
+import { filterByReleaseGroup } from '../lib/stream-provider/utils/filtering.js';
+
+const GB = 1024 ** 3;
+
+describe('normalizeRankingProfile', () => {
+    test('returns null for empty or all-zero profiles', () => {
+        expect(normalizeRankingProfile(null)).toBeNull();
+        expect(normalizeRankingProfile({ codec: { hevc: 0 }, groups: { allow: [] } })).toBeNull();
+    });
+
+    test('clamps weights and bounds group lists', () => {
+        const profile = normalizeRankingProfile({
+            codec: { hevc: 500, av1: 'abc' },
+            audio: { atmos: -250 },
+            groups: { allow: [' FLUX ', 'flux', 'NTb'], deny: ['YIFY', 'NTb', 'x'.repeat(100)] },
+            bogus: { value: 1 }
+        });
+        expect(profile.codec).toEqual({ av1: 0, hevc: 100, avc: 0 });
+        expect(profile.audio.atmos).toBe(-100);
+        expect(profile.groups.allow).toEqual(['flux', 'ntb']);
+        expect(profile.groups.deny).toEqual(['yify']);
+        expect(profile.bogus).toBeUndefined();
+    });
+
+    test('swaps an inverted size band', () => {
+        const profile = normalizeRankingProfile({ size: { min: 40, max: 10, weight: 15 } });
+        expect(profile.size).toEqual({ min: 10, max: 40, weight: 15 });
+    });
+
+    test('re-normalizes user JSON that claims to be normalized', () => {
+        const profile = normalizeRankingProfile({ __normalized: true, codec: { hevc: 1e9 }, groups: 'not-an-object' });
+        expect(profile.codec.hevc).toBe(100);
+        expect(profile.groups.allow).toEqual([]);
+        expect(normalizeRankingProfile(profile)).toBe(profile);
+    });
+});
+
+describe('getReleaseGroup', () => {
+    test('reads scene suffixes and fansub prefixes', () => {
+        expect(getReleaseGroup('Movie.2023.2160p.WEB-DL.DDP5.1.Atmos.DV.HDR.H.265-FLUX.mkv')).toBe('flux');
+        expect(getReleaseGroup('[SubsPlease] Frieren - 05 (1080p) [ABCD1234].mkv')).toBe('subsplease');
+        expect(getReleaseGroup('Movie.2023.1080p.WEB-DL')).toBeNull();
+    });
+});
+
+describe('scoreRelease', () => {
+    const profile = normalizeRankingProfile({
+        codec: { hevc: 20, avc: -10 },
+        hdr: { dv: 30, hdr: 10 },
+        audio: { atmos: 25, truehd: 15 },
+        groups: { allow: ['FLUX'], deny: ['YIFY'], weight: 40 },
+        size: { min: 5, max: 30, weight: 10 }
+    });
+
+    test('adds only the best match per section', () => {
+        // HEVC 20 + DV 30 (not also HDR) + Atmos 25 (not also TrueHD) + allowed group 40 + size band 10
+        const name = 'Movie.2023.2160p.BluRay.TrueHD.7.1.Atmos.DV.HDR.HEVC-FLUX';
+        expect(scoreRelease(profile, name, 20 * GB)).toBe(125);
+    });
+
+    test('scores outside the size band and penalizes unwanted codecs', () => {
+        expect(scoreRelease(profile, 'Movie.2023.1080p.WEB.x264-OTHER', 50 * GB)).toBe(-10);
+        expect(scoreRelease(null, 'Movie.2023.2160p.HEVC-FLUX', 20 * GB)).toBe(0);
+    });
+
+    test('detects deny-listed groups', () => {
+        expect(isDeniedGroup(profile, 'Movie.2023.1080p.BluRay.x264-YIFY')).toBe(true);
+        expect(isDeniedGroup(profile, 'Movie.2023.1080p.BluRay.x264-FLUX')).toBe(false);
+    });
+});
+
+describe('profile-aware stream ordering', () => {
+    const rankingProfile = { codec: { hevc: 30 }, groups: { deny: ['YIFY'] } };
+    const streams = [
+        { name: '[RD+] Sootio\n1080p', title: 'Movie.2023.1080p.BluRay.x264-BIG\n💾 20 GB', _size: 20 * GB },
+        { name: '[RD+] Sootio\n1080p', title: 'Movie.2023.1080p.BluRay.x265-SMALL\n💾 8 GB', _size: 8 * GB },
+        { name: '[RD+] Sootio\n4k', title: 'Movie.2023.2160p.WEB.x264-UHD\n💾 15 GB', _size: 15 * GB },
+        { name: '[RD+] Sootio\n1080p', title: 'Movie.2023.1080p.BluRay.x264-YIFY\n💾 2 GB', _size: 2 * GB },
+        { name: '[Cloud] Sootio\n720p', title: '[Cloud] Movie.2023.720p.WEB\n☁️ 1 GB', _size: GB, isPersonal: true }
+    ];
+
+    test('keeps personal and resolution order, then ranks by profile score before size', () => {
+        const sorted = sortStreams([...streams], rankingProfile).map(s => s.title.split('\n')[0]);
+        expect(sorted).toEqual([
+            '[Cloud] Movie.2023.720p.WEB',
+            'Movie.2023.2160p.WEB.x264-UHD',
+            'Movie.2023.1080p.BluRay.x265-SMALL',
+            'Movie.2023.1080p.BluRay.x264-BIG',
+            'Movie.2023.1080p.BluRay.x264-YIFY'
+        ]);
+    });
+
+    test('falls back to size order without a profile', () => {
+        const sorted = sortStreams([...streams]).map(s => s._size);
+        expect(sorted).toEqual([GB, 15 * GB, 20 * GB, 8 * GB, 2 * GB]);
+    });
+
+    test('drops deny-listed release groups', () => {
+        const kept = filterByReleaseGroup(streams, rankingProfile);
+        expect(kept).toHaveLength(4);
+        expect(kept.some(s => s.title.includes('YIFY'))).toBe(false);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Scraper Circuit Breaker Unit Tests
+ * Tests state transitions and admission with the cache DB disabled (per-process state)
+ */
+
+import {
+    CIRCUIT_STATES,
+    cooldownFor,
+    applySuccess,
+    applyFailure,
+    admission,
+    partitionScrapers,
+    recordScraperSuccess,
+    recordScraperFailure,
+    getQuarantinedScrapers,
+    resetCircuits
+} from '../lib/util/scraper-circuit.js';
+
+const closed = (scraper = '1337x') => ({
+    scraper,
+    state: CIRCUIT_STATES.CLOSED,
+    failures: 0,
+    trips: 0,
+    openedAt: null,
+    retryAt: null,
+    probeAt: null,
+    lastError: null,
+    lastMessage: null,
+    updatedAt: 0
+});
+
+const failTimes = (circuit, count, now) => {
+    let next = circuit;
+    for (let i = 0; i < count; i++) next = applyFailure(next, { errorType: 'captcha', message: 'blocked' }, now);
+    return next;
+};
+
+describe('transitions', () => {
+    test('opens after five failures in a row', () => {
+        const now = 1_000_000;
+        expect(failTimes(closed(), 4, now).state).toBe('closed');
+        const open = failTimes(closed(), 5, now);
+        expect(open.state).toBe('open');
+        expect(open.trips).toBe(1);
+        expect(open.retryAt).toBe(now + 60000);
+        expect(open.lastError).toBe('captcha');
+    });
+
+    test('a success closes the circuit and resets the counters', () => {
+        const next = applySuccess(failTimes(closed(), 5, 0), 10);
+        expect(next.state).toBe('closed');
+        expect(next.failures).toBe(0);
+        expect(next.trips).toBe(0);
+    });
+
+    test('a failed probe reopens with twice the cool-down', () => {
+        const halfOpen = { ...failTimes(closed(), 5, 0), state: CIRCUIT_STATES.HALF_OPEN, probeAt: 60000 };
+        const reopened = applyFailure(halfOpen, { errorType: 'server_error' }, 70000);
+        expect(reopened.state).toBe('open');
+        expect(reopened.trips).toBe(2);
+        expect(reopened.retryAt).toBe(70000 + 120000);
+    });
+
+    test('the cool-down is capped', () => {
+        expect(cooldownFor(1)).toBe(60000);
+        expect(cooldownFor(3)).toBe(240000);
+        expect(cooldownFor(20)).toBe(3600000);
+    });
+});
+
+describe('admission', () => {
+    test('skips open circuits until the cool-down ends, then probes', () => {
+        const open = failTimes(closed(), 5, 0);
+        expect(admission(undefined, 0)).toBe('run');
+        expect(admission(open, 59999)).toBe('skip');
+        expect(admission(open, 60000)).toBe('probe');
+    });
+
+    test('lets one probe run at a time', () => {
+        const halfOpen = { ...failTimes(closed(), 5, 0), state: CIRCUIT_STATES.HALF_OPEN, probeAt: 60000 };
+        expect(admission(halfOpen, 61000)).toBe('skip');
+        expect(admission(halfOpen, 120000)).toBe('probe');
+    });
+});
+
+describe('partitionScrapers', () => {
+    test('skips a scraper once its circuit opens and shows it as quarantined', async () => {
+        await resetCircuits();
+        for (let i = 0; i < 5; i++) await recordScraperFailure('snowfl', 'timeout', 'timeout of 8000ms exceeded');
+        await recordScraperSuccess('knaben');
+
+        const { allowed, skipped } = await partitionScrapers(['snowfl', 'knaben']);
+        expect(allowed).toEqual(['knaben']);
+        expect(skipped).toHaveLength(1);
+        expect(skipped[0].scraper).toBe('snowfl');
+
+        const quarantined = await getQuarantinedScrapers();
+        expect(quarantined).toHaveLength(1);
+        expect(quarantined[0]).toEqual(expect.objectContaining({ scraper: 'snowfl', state: 'open', reason: 'timeout' }));
+    });
+
+    test('a reset closes the circuit', async () => {
+        await resetCircuits('snowfl');
+        const { allowed } = await partitionScrapers(['snowfl']);
+        expect(allowed).toEqual(['snowfl']);
+    });
+});
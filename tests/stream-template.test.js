@@ -0,0 +1,96 @@
+/**
+ * Stream Template Unit Tests
+ * Tests the name/title template language and how it is applied to built streams (no network calls needed)
+ */
+
+import { normalizeStreamTemplate, renderTemplate, buildTemplateContext, fieldsFromStream, applyStreamTemplates } from '../lib/util/stream-template.js';
+
+const GB = 1024 ** 3;
+
+describe('renderTemplate', () => {
+    const context = buildTemplateContext({
+        title: 'Movie.2023.2160p.BluRay.TrueHD.7.1.Atmos.DV.HDR.HEVC-FLUX',
+        resolution: '4k',
+        size: 42.5 * GB,
+        languages: ['english', 'french'],
+        cached: true,
+        source: '[RD+] Sootio',
+        tracker: ''
+    });
+
+    test('derives codec, HDR, audio and group from the release name', () => {
+        expect(context.codec).toBe('HEVC');
+        expect(context.hdr).toBe('DV HDR');
+        expect(context.audio).toBe('Atmos TrueHD');
+        expect(context.group).toBe('FLUX');
+        expect(context.size).toBe('42.5 GB');
+    });
+
+    test('renders placeholders and conditionals', () => {
+        const rendered = renderTemplate('{resolution}{?hdr} {hdr}{/hdr}\n{?cached}⚡{/cached}{!cached}⏳{/cached} {size}{?tracker} | {tracker}{/tracker}', context);
+        expect(rendered).toBe('4k DV HDR\n⚡ 42.5 GB');
+    });
+
+    test('drops empty lines and leaves unknown placeholders untouched', () => {
+        expect(renderTemplate('{tracker}\n{episode}\n{codec} {bogus}', context)).toBe('HEVC {bogus}');
+    });
+});
+
+describe('normalizeStreamTemplate', () => {
+    test('accepts literal \\n from hand-written URLs and bounds the length', () => {
+        expect(normalizeStreamTemplate({ name: '{source}\\n{resolution}' })).toEqual({ name: '{source}\n{resolution}', title: null });
+        expect(normalizeStreamTemplate({ title: 'x'.repeat(800) }).title).toHaveLength(500);
+        expect(normalizeStreamTemplate({ name: '  ', title: 42 })).toBeNull();
+    });
+});
+
+describe('applyStreamTemplates', () => {
+    const debridStream = {
+        name: '[RD+] Sootio\n\n1080p',
+        title: 'Show.S01E02.1080p.WEB-DL.DDP5.1.H.264-NTb\n💾 2.1 GB | Cached',
+        url: 'https://example.com/resolve/realdebrid/key/magnet',
+        _size: 2.1 * GB,
+        _templateFields: {
+            title: 'Show.S01E02.1080p.WEB-DL.DDP5.1.H.264-NTb',
+            resolution: '1080p',
+            size: 2.1 * GB,
+            cached: true,
+            source: '[RD+] Sootio',
+            icon: '💾'
+        }
+    };
+    const httpStream = {
+        name: '[HS+] Sootio\n720p',
+        title: 'Show S01E02 720p WEB x264\n💾 900 MB | HDHub4u\n🔒 Proxy',
+        url: 'https://example.com/resolve/httpstreaming/abc',
+        size: '900 MB'
+    };
+
+    test('renders streams and strips internal template fields', () => {
+        const [stream] = applyStreamTemplates([debridStream], { name: '{source}\n{resolution}', title: '{?cached}⚡ {/cached}{codec} {size} {group}' });
+        expect(stream.name).toBe('[RD+] Sootio\n1080p');
+        expect(stream.title).toBe('⚡ AVC 2.1 GB NTb');
+        expect(stream._templateFields).toBeUndefined();
+        expect(stream.url).toBe(debridStream.url);
+    });
+
+    test('derives fields for HTTP streams built without template fields', () => {
+        expect(fieldsFromStream(httpStream)).toEqual(expect.objectContaining({
+            title: 'Show S01E02 720p WEB x264',
+            resolution: '720p',
+            size: '900 MB',
+            source: '[HS+] Sootio',
+            tracker: 'HDHub4u',
+            proxy: true
+        }));
+        const [stream] = applyStreamTemplates([httpStream], { title: '{title} | {tracker} {proxy}' });
+        expect(stream.title).toBe('Show S01E02 720p WEB x264 | HDHub4u 🔒 Proxy');
+        expect(stream.name).toBe(httpStream.name);
+    });
+
+    test('keeps the default layout without a template', () => {
+        const [stream] = applyStreamTemplates([debridStream], undefined);
+        expect(stream.title).toBe(debridStream.title);
+        expect(stream._templateFields).toBeUndefined();
+    });
+});
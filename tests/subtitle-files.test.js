@@ -0,0 +1,103 @@
+/**
+ * Subtitle Files Unit Tests
+ * Tests matching subtitle files to the playing video and guessing their languages (no network calls needed)
+ */
+
+import { isCandidateRelease, findVideoFile, subtitleLanguage, selectSubtitles, findReleaseSubtitles } from '../lib/util/subtitle-files.js';
+
+const GB = 1024 ** 3;
+
+describe('subtitleLanguage', () => {
+    test('reads language tags after the video name', () => {
+        expect(subtitleLanguage('Movie.2023.1080p.BluRay-GRP.eng.srt', 'Movie.2023.1080p.BluRay-GRP.mkv')).toBe('eng');
+        expect(subtitleLanguage('Movie.2023.1080p.BluRay-GRP.fr.forced.srt', 'Movie.2023.1080p.BluRay-GRP.mkv')).toBe('fre');
+        expect(subtitleLanguage('Subs/2_English.srt')).toBe('eng');
+        expect(subtitleLanguage('Subs/Portuguese (Brazil).srt')).toBe('por');
+    });
+
+    test('falls back to "und" when no tag is found', () => {
+        expect(subtitleLanguage('Movie.2023.1080p.BluRay-GRP.srt', 'Movie.2023.1080p.BluRay-GRP.mkv')).toBe('und');
+    });
+});
+
+describe('findVideoFile', () => {
+    const files = [
+        { path: 'Show.S01/Show.S01E01.1080p.mkv', size: 2 * GB },
+        { path: 'Show.S01/Show.S01E02.1080p.mkv', size: 3 * GB }
+    ];
+
+    test('matches by file name, then by size', () => {
+        expect(findVideoFile(files, { fileName: 'show.s01e02.1080p.mkv' })).toBe(files[1]);
+        expect(findVideoFile(files, { fileName: 'renamed.mkv', size: 2 * GB })).toBe(files[0]);
+        expect(findVideoFile(files, { fileName: 'renamed.mkv' })).toBeNull();
+    });
+});
+
+describe('selectSubtitles', () => {
+    test('keeps every subtitle of a single-video release', () => {
+        const files = [
+            { path: 'Movie.2023.1080p-GRP/Movie.2023.1080p-GRP.mkv', size: 8 * GB },
+            { path: 'Movie.2023.1080p-GRP/Subs/English.srt', size: 1000 },
+            { path: 'Movie.2023.1080p-GRP/Subs/Spanish.srt', size: 1000 },
+            { path: 'Movie.2023.1080p-GRP/Sample/sample.srt', size: 1000 },
+            { path: 'Movie.2023.1080p-GRP/RARBG.txt', size: 10 }
+        ];
+        const subtitles = selectSubtitles(files, { fileName: 'Movie.2023.1080p-GRP.mkv' });
+        expect(subtitles.map(s => [s.file.path.split('/').pop(), s.lang])).toEqual([['English.srt', 'eng'], ['Spanish.srt', 'spa']]);
+    });
+
+    test('keeps only the playing episode in season packs', () => {
+        const files = [
+            { path: 'Show.S01/Show.S01E01.mkv', size: 2 * GB },
+            { path: 'Show.S01/Show.S01E02.mkv', size: 2 * GB },
+            { path: 'Show.S01/Show.S01E01.en.srt', size: 1000 },
+            { path: 'Show.S01/Show.S01E02.en.srt', size: 1000 },
+            { path: 'Show.S01/Subs/Show.S01E02/3_German.srt', size: 1000 },
+            { path: 'Show.S01/Subs/Show.S01E01/3_German.srt', size: 1000 }
+        ];
+        const subtitles = selectSubtitles(files, { fileName: 'Show.S01E02.mkv' });
+        expect(subtitles.map(s => s.file.path)).toEqual(['Show.S01/Show.S01E02.en.srt', 'Show.S01/Subs/Show.S01E02/3_German.srt']);
+        expect(subtitles.map(s => s.lang)).toEqual(['eng', 'ger']);
+    });
+
+    test('returns nothing when the video is not in the release', () => {
+        expect(selectSubtitles([{ path: 'Other.mkv', size: GB }, { path: 'Other.srt' }], { fileName: 'Movie.mkv' })).toEqual([]);
+    });
+});
+
+describe('isCandidateRelease', () => {
+    test('compares release titles with the playing video', () => {
+        expect(isCandidateRelease('Movie.2023.1080p-GRP', { fileName: 'Movie.2023.1080p-GRP.mkv' })).toBe(true);
+        expect(isCandidateRelease('Other.Movie.2023.1080p-GRP', { fileName: 'Movie.2023.1080p-GRP.mkv' })).toBe(false);
+        expect(isCandidateRelease('Movie.2023.1080p-GRP', {})).toBe(false);
+    });
+});
+
+describe('findReleaseSubtitles', () => {
+    const releases = [
+        { id: 1, name: 'Other.Movie.2020.1080p-GRP' },
+        { id: 2, name: 'Movie.2023.720p-XYZ' },
+        { id: 3, name: 'Movie.2023.1080p-GRP' }
+    ];
+    const files = {
+        2: [{ path: 'Movie.2023.720p-XYZ/Movie.2023.720p-XYZ.mkv', size: 4 * GB }],
+        3: [
+            { path: 'Movie.2023.1080p-GRP/Movie.2023.1080p-GRP.mkv', size: 8 * GB },
+            { path: 'Movie.2023.1080p-GRP/Movie.2023.1080p-GRP.en.srt', size: 1000 }
+        ]
+    };
+
+    test('opens matching releases until one holds subtitles for the video', async () => {
+        const opened = [];
+        const subtitles = await findReleaseSubtitles(releases, { fileName: 'Movie.2023.1080p-GRP.mkv' }, async release => {
+            opened.push(release.id);
+            return files[release.id];
+        });
+        expect(opened).toEqual([2, 3]);
+        expect(subtitles.map(s => [s.file.path, s.lang])).toEqual([['Movie.2023.1080p-GRP/Movie.2023.1080p-GRP.en.srt', 'eng']]);
+    });
+
+    test('lists nothing without a filename', async () => {
+        expect(await findReleaseSubtitles(releases, {}, async () => { throw new Error('not called'); })).toEqual([]);
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * Temporary Magnet Journal Unit Tests
+ * Tests the per-request tracking and per-account quota of cache-check magnets (cache DB disabled)
+ */
+
+import { trackTempMagnets, forgetTempMagnets, releaseTempMagnet } from '../lib/util/temp-magnet-journal.js';
+
+describe('trackTempMagnets', () => {
+    test('collects the torrent IDs of one request like a Set', () => {
+        const tracked = trackTempMagnets('realdebrid', 'key', async () => {});
+        tracked.add('ABC', 'a'.repeat(40));
+        tracked.add('ABC', 'a'.repeat(40));
+        tracked.add('DEF');
+        expect(Array.from(tracked)).toEqual(['ABC', 'DEF']);
+        expect(tracked.hasRoom()).toBe(true);
+    });
+
+    test('runs out of room once the account has too many pending magnets', () => {
+        const tracked = trackTempMagnets('alldebrid', 'key');
+        tracked.pendingBefore = 49;
+        expect(tracked.hasRoom()).toBe(true);
+        tracked.add(1);
+        expect(tracked.hasRoom()).toBe(false);
+    });
+
+    test('never sweeps without a key or a cache DB', async () => {
+        let swept = false;
+        const deleteIds = async () => { swept = true; };
+        trackTempMagnets('realdebrid', null, deleteIds).add('ABC');
+        trackTempMagnets('realdebrid', 'key', deleteIds);
+        await new Promise(resolve => setImmediate(resolve));
+        expect(swept).toBe(false);
+        await expect(forgetTempMagnets('realdebrid', 'key', [])).resolves.toBe(0);
+        await expect(releaseTempMagnet('realdebrid', ['key'], 'a'.repeat(40))).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * Torznab Client Unit Tests
+ * Tests caps-aware query planning and replays Jackett/Prowlarr responses (tests/fixtures)
+ * from a local mock server (no real network calls)
+ */
+
+import http from 'http';
+import { readFileSync } from 'fs';
+import { parseCaps, parseFeed, planQuery, pickCategories, searchIndexers, clearIndexerCache } from '../lib/scrapers/torznab/torznab-client.js';
+
+const JACKETT_INDEXERS = readFileSync(new URL('./fixtures/jackett-indexers.xml', import.meta.url), 'utf-8');
+const FEED = readFileSync(new URL('./fixtures/torznab-feed.xml', import.meta.url), 'utf-8');
+const API_KEY = 'torznab-key';
+
+const PROWLARR_CAPS = `<?xml version="1.0" encoding="UTF-8"?>
+<caps>
+  <searching>
+    <search available="yes" supportedParams="q" />
+    <tv-search available="yes" supportedParams="q,season,ep,imdbid,tvdbid" />
+    <movie-search available="yes" supportedParams="q,imdbid,tmdbid" />
+  </searching>
+  <categories>
+    <category id="2000" name="Movies"><subcat id="2040" name="Movies/HD" /></category>
+    <category id="5000" name="TV"><subcat id="5040" name="TV/HD" /></category>
+  </categories>
+</caps>`;
+
+let server;
+let baseUrl;
+const searches = [];
+
+function send(res, status, body, contentType = 'application/rss+xml') {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(body);
+}
+
+function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const params = Object.fromEntries(url.searchParams);
+
+    if (url.pathname === '/prowlarr/api/v1/indexer') {
+        if (req.headers['x-api-key'] !== API_KEY) return send(res, 401, '{}', 'application/json');
+        return send(res, 200, JSON.stringify([
+            { id: 1, name: 'Knaben', enable: true, protocol: 'torrent' },
+            { id: 2, name: 'NZBgeek', enable: true, protocol: 'usenet' },
+            { id: 3, name: 'Disabled', enable: false, protocol: 'torrent' }
+        ]), 'application/json');
+    }
+
+    if (params.apikey !== API_KEY) return send(res, 200, '<error code="100" description="Invalid API Key" />');
+    if (params.t === 'indexers') return send(res, 200, JACKETT_INDEXERS);
+    if (params.t === 'caps') return send(res, 200, PROWLARR_CAPS);
+    if (url.pathname.includes('/torrentleech/')) return send(res, 500, 'Internal Server Error', 'text/plain');
+    searches.push({ path: url.pathname, params });
+    return send(res, 200, FEED);
+}
+
+beforeAll(async () => {
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    searches.length = 0;
+    clearIndexerCache();
+});
+
+const episode = { type: 'series', imdbId: 'tt0944947', title: 'Game of Thrones', season: 1, episode: 2, query: 'Game of Thrones s01e02' };
+const movie = { type: 'movie', imdbId: 'tt1375666', title: 'Inception', query: 'Inception 2010' };
+const options = { limit: 50, logPrefix: 'TEST', scraperName: 'Test' };
+
+describe('planQuery', () => {
+    const caps = (tv, movieParams) => ({
+        search: { available: true, params: ['q'] },
+        tvSearch: { available: tv !== null, params: tv || [] },
+        movieSearch: { available: movieParams !== null, params: movieParams || [] },
+        categories: [2000, 2040, 5000, 5040, 100001]
+    });
+
+    test('looks episodes up by IMDb ID with season and episode', () => {
+        expect(planQuery(caps(['q', 'season', 'ep', 'imdbid'], ['q']), episode)).toEqual({
+            mode: 'imdb',
+            params: { t: 'tvsearch', season: 1, ep: 2, imdbid: 'tt0944947', cat: '5000,5040' }
+        });
+    });
+
+    test('puts the bare title in q when the indexer has no IMDb support', () => {
+        expect(planQuery(caps(['q', 'season', 'ep'], ['q']), episode).params).toEqual({
+            t: 'tvsearch', season: 1, ep: 2, q: 'Game of Thrones', cat: '5000,5040'
+        });
+    });
+
+    test('falls back to text search without season support', () => {
+        expect(planQuery(caps(['q'], ['q']), episode)).toEqual({
+            mode: 'text',
+            params: { t: 'search', q: 'Game of Thrones s01e02', cat: '5000,5040' }
+        });
+    });
+
+    test('looks movies up by IMDb ID, else searches the movie function by text', () => {
+        expect(planQuery(caps(null, ['q', 'imdbid']), movie).params).toEqual({ t: 'movie', imdbid: 'tt1375666', cat: '2000,2040' });
+        expect(planQuery(caps(null, ['q']), movie).params).toEqual({ t: 'movie', q: 'Inception 2010', cat: '2000,2040' });
+        expect(planQuery(caps(null, null), { ...movie, imdbId: null }).mode).toBe('text');
+    });
+
+    test('only sends categories the indexer has', () => {
+        expect(pickCategories({ categories: [3000, 100001] }, 'movie')).toEqual([]);
+        expect(planQuery({ ...caps(null, ['q']), categories: [] }, movie).params.cat).toBe(undefined);
+    });
+});
+
+describe('parsers', () => {
+    test('reads search modes and categories from caps', async () => {
+        const caps = await parseCaps(PROWLARR_CAPS);
+        expect(caps.tvSearch).toEqual({ available: true, params: ['q', 'season', 'ep', 'imdbid', 'tvdbid'] });
+        expect(caps.categories).toEqual([2000, 2040, 5000, 5040]);
+    });
+
+    test('keeps items with an info hash from the attribute or the magnet', async () => {
+        const items = await parseFeed(FEED, 'Fallback');
+        expect(items).toEqual([
+            { title: 'Game of Thrones S01E02 1080p BluRay x264-ROVERS', infoHash: 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678', size: 1853882368, seeders: 42, indexer: '1337x' },
+            { title: 'Game.of.Thrones.S01E02.720p.HDTV.x264', infoHash: '0123456789abcdef0123456789abcdef01234567', size: 734003200, seeders: 7, indexer: '1337x' }
+        ]);
+    });
+
+    test('surfaces Torznab errors', async () => {
+        await expect(parseFeed('<error code="100" description="Invalid API Key" />', 'x')).rejects.toThrow('Invalid API Key');
+    });
+});
+
+describe('searchIndexers', () => {
+    test('queries each configured Jackett indexer with what its caps support', async () => {
+        const manager = { kind: 'jackett', base: `${baseUrl}/jackett`, apiKey: API_KEY, timeout: 2000, scraper: 'jackett' };
+        const results = await searchIndexers(manager, episode, options);
+
+        // TorrentLeech answers 500; the other indexers still count
+        expect(results).toHaveLength(4);
+        const byIndexer = Object.fromEntries(searches.map(search => [search.path.split('/')[5], search.params]));
+        expect(Object.keys(byIndexer).sort()).toEqual(['1337x', 'yts']);
+        expect(byIndexer['1337x']).toEqual({ apikey: API_KEY, t: 'tvsearch', season: '1', ep: '2', q: 'Game of Thrones', cat: '5000,5040', limit: '50' });
+        expect(byIndexer.yts).toEqual({ apikey: API_KEY, t: 'search', q: 'Game of Thrones s01e02', limit: '50' });
+    });
+
+    test('searches enabled Prowlarr torrent indexers by IMDb ID', async () => {
+        const manager = { kind: 'prowlarr', base: `${baseUrl}/prowlarr`, apiKey: API_KEY, timeout: 2000, scraper: 'prowlarr' };
+        const results = await searchIndexers(manager, movie, options);
+
+        expect(results).toHaveLength(2);
+        expect(searches).toHaveLength(1);
+        expect(searches[0].path).toBe('/prowlarr/1/api');
+        expect(searches[0].params).toEqual({ apikey: API_KEY, t: 'movie', imdbid: 'tt1375666', cat: '2000,2040', limit: '50' });
+    });
+
+    test('rejects when the manager refuses the API key', async () => {
+        const manager = { kind: 'prowlarr', base: `${baseUrl}/prowlarr`, apiKey: 'wrong', timeout: 2000, scraper: 'prowlarr' };
+        await expect(searchIndexers(manager, movie, options)).rejects.toThrow('401');
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Torznab API Unit Tests
+ * Tests query mapping and the caps/feed/error XML of /api/torznab (no network calls needed)
+ */
+
+import { parseTorznabQuery, getTorznabCategory, buildCapsXml, buildFeedXml, buildErrorXml, TORZNAB_ERRORS } from '../lib/torznab-provider.js';
+
+function errorCode(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error.code;
+    }
+    return null;
+}
+
+describe('parseTorznabQuery', () => {
+    test('maps *arr episode searches onto a series search', () => {
+        expect(parseTorznabQuery({ t: 'tvsearch', imdbid: '944947', season: '1', ep: '2', cat: '5000,5040' })).toEqual({
+            fn: 'tvsearch',
+            type: 'series',
+            q: '',
+            imdbId: 'tt0944947',
+            season: 1,
+            episode: 2,
+            categories: [5000, 5040],
+            limit: 100,
+            offset: 0
+        });
+    });
+
+    test('maps movie and free-text searches', () => {
+        const movie = parseTorznabQuery({ t: 'movie', imdbid: 'tt1375666', limit: '500', offset: '20' });
+        expect(movie).toEqual(expect.objectContaining({ type: 'movie', imdbId: 'tt1375666', season: null, limit: 100, offset: 20 }));
+        expect(parseTorznabQuery({ t: 'search', q: ' Dune 2021 ' })).toEqual(expect.objectContaining({ type: 'movie', q: 'Dune 2021', imdbId: null }));
+        expect(parseTorznabQuery({ t: 'search', q: 'Show', cat: '5030' }).type).toBe('series');
+    });
+
+    test('rejects unknown functions and bad parameters with Torznab error codes', () => {
+        expect(errorCode(() => parseTorznabQuery({}))).toBe(TORZNAB_ERRORS.MISSING_PARAMETER);
+        expect(errorCode(() => parseTorznabQuery({ t: 'music' }))).toBe(TORZNAB_ERRORS.NO_SUCH_FUNCTION);
+        expect(errorCode(() => parseTorznabQuery({ t: 'movie', imdbid: 'abc' }))).toBe(TORZNAB_ERRORS.INCORRECT_PARAMETER);
+        expect(errorCode(() => parseTorznabQuery({ t: 'tvsearch', season: '-1' }))).toBe(TORZNAB_ERRORS.INCORRECT_PARAMETER);
+    });
+});
+
+describe('getTorznabCategory', () => {
+    test('picks the resolution subcategory', () => {
+        expect(getTorznabCategory('movie', 'Movie.2024.2160p.WEB-DL')).toBe(2045);
+        expect(getTorznabCategory('movie', 'Movie.2024.720p.WEB-DL')).toBe(2040);
+        expect(getTorznabCategory('series', 'Show.S01E02.480p')).toBe(5030);
+        expect(getTorznabCategory('series', 'Show.S01E02.HDTV')).toBe(5000);
+    });
+});
+
+describe('Torznab XML', () => {
+    test('caps advertise the search functions and categories', () => {
+        const caps = buildCapsXml('https://sootio.example');
+        expect(caps).toContain('<tv-search available="yes" supportedParams="q,imdbid,season,ep"/>');
+        expect(caps).toContain('<movie-search available="yes" supportedParams="q,imdbid"/>');
+        expect(caps).toContain('<subcat id="5045" name="TV/UHD"/>');
+        expect(caps.match(/id="2040"/g)).toHaveLength(1);
+    });
+
+    test('feed items carry magnet, size and peer attributes', () => {
+        const hash = 'a'.repeat(40);
+        const feed = buildFeedXml([
+            { Title: 'Show & Co S01E02 1080p', InfoHash: hash, Size: 1024, Seeders: 10, Leechers: 5, category: 5040 }
+        ], { imdbId: 'tt0944947', now: new Date('2026-03-01T12:00:00Z') });
+        expect(feed).toContain('<title>Show &amp; Co S01E02 1080p</title>');
+        expect(feed).toContain(`<torznab:attr name="magneturl" value="magnet:?xt=urn:btih:${hash}&amp;dn=Show%20%26%20Co%20S01E02%201080p"/>`);
+        expect(feed).toContain('<torznab:attr name="peers" value="15"/>');
+        expect(feed).toContain('<torznab:attr name="imdb" value="0944947"/>');
+        expect(feed).toContain('<pubDate>Sun, 01 Mar 2026 12:00:00 GMT</pubDate>');
+    });
+
+    test('errors are escaped', () => {
+        expect(buildErrorXml(100, 'Incorrect "user" credentials')).toContain('<error code="100" description="Incorrect &quot;user&quot; credentials"/>');
+    });
+});
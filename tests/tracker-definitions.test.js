@@ -0,0 +1,168 @@
+/**
+ * Tracker Definition Engine Unit Tests
+ * Parses saved search pages (tests/fixtures) with the built-in definitions and runs a search
+ * against a local mock server (no real network calls)
+ */
+
+import http from 'http';
+import { readFileSync } from 'fs';
+import {
+    compileDefinition,
+    getDefinition,
+    loadDefinitions,
+    parsePage,
+    parseDetailPage,
+    buildSearchPath,
+    searchTracker
+} from '../lib/scrapers/definitions/engine.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf-8');
+
+const TORRENT9_SEARCH = fixture('torrent9-search.html');
+const TORRENT9_DETAIL = fixture('torrent9-detail.html');
+
+let server;
+let baseUrl;
+const requests = [];
+
+function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(decodeURIComponent(url.pathname));
+    if (url.pathname === '/cf/recherche/Intouchables') {
+        res.writeHead(403, { 'Content-Type': 'text/html' });
+        return res.end('<title>Just a moment...</title>');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    if (url.pathname.endsWith('/recherche/Intouchables')) return res.end(TORRENT9_SEARCH);
+    if (url.pathname.endsWith('/detail/38634')) return res.end(TORRENT9_DETAIL);
+    if (url.pathname.endsWith('/detail/40021')) return res.end(TORRENT9_DETAIL.replace(/F4E2A1B3C5D7E9F1A2B4C6D8E0F1A3B5C7D9E1F2/g, 'B'.repeat(40)));
+    // No magnet on this one: the row is dropped
+    if (url.pathname.endsWith('/detail/41177')) return res.end('<html><body>Torrent supprimé</body></html>');
+    return res.end('<html><body><p>Aucun résultat</p></body></html>');
+}
+
+beforeAll(async () => {
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    requests.length = 0;
+});
+
+describe('built-in definitions', () => {
+    test('load from lib/scrapers/definitions/trackers', () => {
+        const ids = [...loadDefinitions().keys()];
+        expect(ids).toContain('limetorrents');
+        expect(ids).toContain('torrentdownload');
+        expect(ids).toContain('torrent9');
+        expect(ids).toContain('ilcorsaronero');
+        expect(getDefinition('torrentdownload').flaresolverr).toBe('fallback');
+    });
+
+    test('LimeTorrents: hash from the .torrent link, size from the second tdnormal cell', () => {
+        const rows = parsePage(getDefinition('limetorrents'), fixture('limetorrents-search.html'));
+        // The mirror with a known hash and the row without a download link are dropped
+        expect(rows).toEqual([
+            { title: 'Inception 2010 1080p BluRay x264-SPARKS', infoHash: '3c89e0316b9fe196be51ff0756bf9a6dfb6e09ec', magnet: null, details: null, size: 10.93 * 1024 ** 3, seeders: 1204, leechers: 87 },
+            { title: 'Inception (2010) 720p BrRip x264 - YIFY', infoHash: '9f9165d9a281a9b8e782cd5176bbcc8256fd1871', magnet: null, details: null, size: 1.08 * 1024 ** 3, seeders: 356, leechers: 12 }
+        ]);
+    });
+
+    test('TorrentDownload: skips sponsored links and reads the size, not the date', () => {
+        const rows = parsePage(getDefinition('torrentdownload'), fixture('torrentdownload-search.html'));
+        expect(rows.map(row => [row.infoHash, row.size, row.seeders])).toEqual([
+            ['a1b2c3d4e5f60718293a4b5c6d7e8f9012345678', 1.73 * 1024 ** 3, 42],
+            ['0123456789abcdef0123456789abcdef01234567', 700 * 1024 ** 2, 7]
+        ]);
+        expect(rows[0].title).toBe('Game of Thrones S01E02 1080p BluRay x264-ROVERS');
+    });
+
+    test('Torrent9: full title from the title attribute, magnet from the details page', () => {
+        const definition = getDefinition('torrent9');
+        const rows = parsePage(definition, TORRENT9_SEARCH);
+        expect(rows.map(row => [row.title, row.details, row.seeders])).toEqual([
+            ['Intouchables 2011 FRENCH 1080p BluRay x264-LOST', '/detail/38634', 118],
+            ['Intouchables 2011 TRUEFRENCH DVDRIP', '/detail/40021', 31],
+            ['Intouchables 2011 VOSTFR 720p', '/detail/41177', 0]
+        ]);
+        expect(rows[0].infoHash).toBe(null);
+
+        const detail = parseDetailPage(definition, TORRENT9_DETAIL);
+        expect(detail.infoHash).toBe('f4e2a1b3c5d7e9f1a2b4c6d8e0f1a3b5c7d9e1f2');
+        expect(detail.magnet.startsWith('magnet:?xt=urn:btih:F4E2')).toBe(true);
+    });
+
+    test('IlCorsaroNero: IEC sizes next to the date, every release tagged Italian', () => {
+        const definition = getDefinition('ilcorsaronero');
+        const rows = parsePage(definition, fixture('ilcorsaronero-search.html'));
+        // The advert row does not link to a torrent page
+        expect(rows.map(row => [row.details, row.size, row.seeders, row.leechers])).toEqual([
+            ['/torrent/112233/gomorra-s05e01-ita-1080p', 2.35 * 1024 ** 3, 1204, 37],
+            ['/torrent/112240/gomorra-stagione-5', 950 * 1024 ** 2, 88, 4]
+        ]);
+        expect(definition.languages).toEqual(['it']);
+        expect(definition.detail.concurrency).toBe(5);
+    });
+});
+
+describe('compileDefinition', () => {
+    const minimal = {
+        id: 'example',
+        links: ['https://example.org/'],
+        search: { path: '/search/{query}/{page}', rows: 'tr', fields: { title: 'a', infoHash: { selector: 'a', attribute: 'href' } } }
+    };
+
+    test('fills in defaults', () => {
+        const definition = compileDefinition(minimal);
+        expect(definition.name).toBe('example');
+        expect(definition.links).toEqual(['https://example.org']);
+        expect(definition.flaresolverr).toBe('none');
+        // Added trackers only run once their file says so
+        expect(definition.enabled).toBe(false);
+        expect(compileDefinition({ ...minimal, enabled: true }).enabled).toBe(true);
+        expect(definition.languages).toEqual([]);
+        expect(definition.search.pagePath).toBe('/search/{query}/{page}');
+        expect(buildSearchPath(definition.search.path, 'The Office s01e01', 2)).toBe('/search/The%20Office%20s01e01/2');
+    });
+
+    test('rejects incomplete or invalid definitions', () => {
+        expect(() => compileDefinition({ ...minimal, id: 'Bad Id' }, 'bad.yml')).toThrow(/bad\.yml: id must be/);
+        expect(() => compileDefinition({ ...minimal, flaresolverr: 'always' })).toThrow(/flaresolverr must be one of/);
+        expect(() => compileDefinition({ ...minimal, search: { ...minimal.search, fields: { title: 'a' } } })).toThrow(/needs infoHash, magnet or details/);
+        expect(() => compileDefinition({ ...minimal, search: { ...minimal.search, fields: { title: 'a', details: 'a' } } })).toThrow(/needs detail\.fields/);
+        expect(() => compileDefinition({ ...minimal, search: { ...minimal.search, fields: { title: 'a', infoHash: { selector: 'a', pattern: '([' } } } })).toThrow(/invalid pattern/);
+        expect(() => compileDefinition({ ...minimal, search: { ...minimal.search, fields: { title: 'a', magnet: 'a', uploader: 'b' } } })).toThrow(/unknown field uploader/);
+    });
+});
+
+describe('searchTracker', () => {
+    test('retries without the year and follows details pages for magnets', async () => {
+        const results = await searchTracker(getDefinition('torrent9'), 'Intouchables 2011', null, 'TEST', { TORRENT9_URL: `${baseUrl}/t9/`, Languages: [] });
+
+        expect(requests.slice(0, 2)).toEqual(['/t9/recherche/Intouchables 2011', '/t9/recherche/Intouchables']);
+        expect(results).toHaveLength(2);
+        expect(results.map(result => result.InfoHash).sort()).toEqual(['b'.repeat(40), 'f4e2a1b3c5d7e9f1a2b4c6d8e0f1a3b5c7d9e1f2']);
+        const lost = results.find(result => result.Title.endsWith('LOST'));
+        expect(lost.Tracker).toBe('Torrent9');
+        expect(lost.Seeders).toBe(118);
+        expect(lost.Langs).toContain('fr');
+    });
+
+    test('reports a Cloudflare block when the definition does not use FlareSolverr', async () => {
+        await expect(searchTracker(getDefinition('torrent9'), 'Intouchables', null, 'TEST', { TORRENT9_URL: `${baseUrl}/cf` }))
+            .rejects.toThrow('Blocked by Cloudflare (status 403)');
+    });
+
+    test('skips trackers that need FlareSolverr when none is configured', async () => {
+        const definition = { ...getDefinition('torrent9'), id: 'torrent9-cf', name: 'Torrent9 CF', flaresolverr: 'required' };
+        const results = await searchTracker(definition, 'Intouchables', null, 'TEST', { TORRENT9_URL: baseUrl, FLARESOLVERR_URL: '' });
+        expect(results).toEqual([]);
+        expect(requests).toHaveLength(0);
+    });
+});
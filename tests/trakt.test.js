@@ -0,0 +1,163 @@
+/**
+ * Trakt / Simkl Client Unit Tests
+ * Runs the watchlist clients against a local mock of the Trakt and Simkl APIs (no real network calls)
+ */
+
+import http from 'http';
+import { createTraktClient, startDeviceAuth, pollDeviceToken } from '../lib/util/trakt.js';
+import { createSimklClient, parseNextToWatch } from '../lib/util/simkl.js';
+
+const ACCESS_TOKEN = 'user-token';
+
+const TRAKT_ROUTES = {
+    '/sync/watchlist/movies': [
+        { type: 'movie', movie: { title: 'Dune: Part Two', year: 2024, ids: { trakt: 1, imdb: 'tt15239678' } } },
+        { type: 'movie', movie: { title: 'No IMDb', year: 2020, ids: { trakt: 2 } } }
+    ],
+    '/sync/watchlist/shows': [
+        { type: 'show', show: { title: 'Severance', year: 2022, ids: { trakt: 3, imdb: 'tt11280740' } } }
+    ],
+    '/sync/watched/shows?extended=noseasons': [
+        { last_watched_at: '2026-01-01T00:00:00.000Z', show: { title: 'Older Show', ids: { trakt: 10, imdb: 'tt0000010' } } },
+        { last_watched_at: '2026-03-01T00:00:00.000Z', show: { title: 'Finished Show', ids: { trakt: 11, imdb: 'tt0000011' } } },
+        { last_watched_at: '2026-02-01T00:00:00.000Z', show: { title: 'Newer Show', ids: { trakt: 12, imdb: 'tt0000012' } } }
+    ],
+    '/shows/10/progress/watched': { next_episode: { season: 1, number: 4, title: 'Four' } },
+    '/shows/11/progress/watched': { next_episode: null },
+    '/shows/12/progress/watched': { next_episode: { season: 2, number: 1, title: 'Premiere' } }
+};
+
+const SIMKL_ROUTES = {
+    '/sync/all-items/movies/plantowatch': { movies: [{ movie: { title: 'Dune', year: 2021, ids: { simkl: 1, imdb: 'tt1160419' } } }] },
+    '/sync/all-items/shows/watching?next_watch_info=yes': {
+        shows: [
+            { last_watched_at: '2026-01-01T00:00:00Z', next_to_watch: 'S03E02', show: { title: 'Show A', ids: { imdb: 'tt0000020' } } },
+            { last_watched_at: '2026-02-01T00:00:00Z', next_to_watch: null, show: { title: 'Show B', ids: { imdb: 'tt0000021' } } }
+        ]
+    }
+};
+
+let server;
+let baseUrl;
+let deviceTokenPolls = 0;
+let tokenRefreshes = 0;
+const seenHeaders = [];
+
+function handleRequest(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        seenHeaders.push(req.headers);
+        const send = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(payload === undefined ? '' : JSON.stringify(payload));
+        };
+
+        if (req.url === '/oauth/device/code' && req.method === 'POST') {
+            return send(200, { device_code: 'dev-1', user_code: 'ABCD1234', verification_url: 'https://trakt.tv/activate', expires_in: 600, interval: 5 });
+        }
+        if (req.url === '/oauth/device/token' && req.method === 'POST') {
+            deviceTokenPolls++;
+            const { code } = JSON.parse(body || '{}');
+            if (code !== 'dev-1') return send(404);
+            return deviceTokenPolls === 1 ? send(400) : send(200, { access_token: 'fresh-token', refresh_token: 'refresh' });
+        }
+
+        if (req.url === '/trakt/oauth/token' && req.method === 'POST') {
+            tokenRefreshes++;
+            const { refresh_token: refreshToken, grant_type: grantType } = JSON.parse(body || '{}');
+            if (grantType !== 'refresh_token' || refreshToken !== 'refresh') return send(401, { error: 'invalid_grant' });
+            return send(200, { access_token: ACCESS_TOKEN, refresh_token: 'refresh-2' });
+        }
+
+        const traktAuthorized = req.headers.authorization === `Bearer ${ACCESS_TOKEN}` && req.headers['trakt-api-version'] === '2';
+        if (req.url.startsWith('/trakt')) {
+            const route = TRAKT_ROUTES[req.url.slice('/trakt'.length)];
+            if (!traktAuthorized) return send(401);
+            return route ? send(200, route) : send(404);
+        }
+        if (req.url.startsWith('/simkl')) {
+            const route = SIMKL_ROUTES[req.url.slice('/simkl'.length)];
+            return route ? send(200, route) : send(404);
+        }
+        return send(404);
+    });
+}
+
+beforeAll(async () => {
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+describe('Trakt client', () => {
+    test('lists watchlist movies and shows with IMDb IDs only', async () => {
+        const client = createTraktClient({ accessToken: ACCESS_TOKEN, clientId: 'client', baseUrl: `${baseUrl}/trakt` });
+        const movies = await client.getWatchlist('movie');
+        const shows = await client.getWatchlist('series');
+        expect(movies).toEqual([{ type: 'movie', imdbId: 'tt15239678', title: 'Dune: Part Two', year: 2024 }]);
+        expect(shows).toEqual([{ type: 'series', imdbId: 'tt11280740', title: 'Severance', year: 2022 }]);
+        expect(seenHeaders[seenHeaders.length - 1]['trakt-api-key']).toBe('client');
+    });
+
+    test('returns the next episode of recently watched shows, newest first', async () => {
+        const client = createTraktClient({ accessToken: ACCESS_TOKEN, clientId: 'client', baseUrl: `${baseUrl}/trakt` });
+        const upNext = await client.getUpNext();
+        expect(upNext).toEqual([
+            { imdbId: 'tt0000012', title: 'Newer Show', season: 2, episode: 1, episodeTitle: 'Premiere' },
+            { imdbId: 'tt0000010', title: 'Older Show', season: 1, episode: 4, episodeTitle: 'Four' }
+        ]);
+        expect(await client.getUpNext(1)).toEqual([]);
+    });
+
+    test('rejects when the access token is not accepted', async () => {
+        const client = createTraktClient({ accessToken: 'revoked', clientId: 'client', baseUrl: `${baseUrl}/trakt` });
+        await expect(client.getWatchlist('movie')).rejects.toThrow(/HTTP 401/);
+    });
+
+    test('refreshes an expired access token once and reuses the new one', async () => {
+        const options = { accessToken: 'expired', refreshToken: 'refresh', clientId: 'client', clientSecret: 'secret', baseUrl: `${baseUrl}/trakt` };
+        const client = createTraktClient(options);
+        expect(await client.getUpNext()).toHaveLength(2);
+        expect(tokenRefreshes).toBe(1);
+
+        // A later request of the same config starts from the refreshed token
+        expect(await createTraktClient(options).getWatchlist('series')).toHaveLength(1);
+        expect(tokenRefreshes).toBe(1);
+    });
+
+    test('rejects when the refresh token is not accepted either', async () => {
+        const client = createTraktClient({ accessToken: 'expired', refreshToken: 'revoked', clientId: 'client', baseUrl: `${baseUrl}/trakt` });
+        await expect(client.getWatchlist('movie')).rejects.toThrow(/refresh failed with HTTP 401/);
+    });
+
+    test('runs the device-code login until the user approves it', async () => {
+        const login = await startDeviceAuth({ clientId: 'client', baseUrl });
+        expect(login.user_code).toBe('ABCD1234');
+        const options = { clientId: 'client', clientSecret: 'secret', baseUrl };
+        expect(await pollDeviceToken(login.device_code, options)).toEqual({ status: 'pending' });
+        expect(await pollDeviceToken(login.device_code, options)).toEqual({ status: 'ok', accessToken: 'fresh-token', refreshToken: 'refresh' });
+        expect(await pollDeviceToken('unknown', options)).toEqual({ status: 'expired' });
+    });
+});
+
+describe('Simkl client', () => {
+    test('parses next_to_watch markers', () => {
+        expect(parseNextToWatch('S01E05')).toEqual({ season: 1, episode: 5 });
+        expect(parseNextToWatch('s10e120')).toEqual({ season: 10, episode: 120 });
+        expect(parseNextToWatch(null)).toBeNull();
+    });
+
+    test('lists plan-to-watch movies and shows being watched', async () => {
+        const client = createSimklClient({ accessToken: ACCESS_TOKEN, clientId: 'client', baseUrl: `${baseUrl}/simkl` });
+        expect(await client.getWatchlist('movie')).toEqual([{ type: 'movie', imdbId: 'tt1160419', title: 'Dune', year: 2021 }]);
+        expect(await client.getUpNext()).toEqual([
+            { imdbId: 'tt0000020', title: 'Show A', season: 3, episode: 2, episodeTitle: '' }
+        ]);
+        expect(seenHeaders[seenHeaders.length - 1]['simkl-api-key']).toBe('client');
+    });
+});
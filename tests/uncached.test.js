@@ -0,0 +1,86 @@
+/**
+ * Uncached Results Unit Tests
+ * Tests picking, marking and ordering the opt-in uncached releases (no network calls needed)
+ */
+
+import { getUncachedLimit, selectUncachedTorrents, toUncachedResult } from '../lib/common/debrid-cache-processor.js';
+import { sortStreams } from '../lib/stream-provider/utils/sorting.js';
+
+const hash = (n) => String(n).repeat(40).slice(0, 40);
+
+function torrent(n, name, seeders = 10) {
+    return { InfoHash: hash(n), name, Size: 2 * 1024 ** 3, Seeders: seeders };
+}
+
+describe('getUncachedLimit', () => {
+    test('is zero unless the service opted in', () => {
+        expect(getUncachedLimit({ showUncached: true })).toBeGreaterThan(0);
+        expect(getUncachedLimit({ showUncached: 'true' })).toBe(0);
+        expect(getUncachedLimit({})).toBe(0);
+        expect(getUncachedLimit(null)).toBe(0);
+    });
+});
+
+describe('selectUncachedTorrents', () => {
+    const torrents = [
+        torrent(1, 'Movie.2024.720p.WEB-DL.x264-GRP', 500),
+        torrent(2, 'Movie.2024.2160p.BluRay.REMUX.HEVC-FLUX', 5),
+        torrent(3, 'Movie.2024.1080p.WEB-DL.x264-YIFY', 900),
+        torrent(4, 'Movie.2024.2160p.WEB-DL.HDR.HEVC-NTb', 50),
+        torrent(5, 'Movie.2024.1080p.WEB-DL.DUBBED.x264-GRP', 100)
+    ];
+
+    test('takes the best resolution and quality first, up to the limit', () => {
+        const picks = selectUncachedTorrents(torrents, 2);
+        expect(picks.map(t => t.InfoHash)).toEqual([hash(2), hash(4)]);
+        expect(picks.every(t => t.isUncached === true && t.isCached === false)).toBe(true);
+        expect(selectUncachedTorrents(torrents, 0)).toEqual([]);
+    });
+
+    test('skips cached hashes, deny-listed groups and filtered keywords', () => {
+        const picks = selectUncachedTorrents(torrents, 5, {
+            cachedHashes: new Set([hash(2).toUpperCase()]),
+            rankingProfile: { groups: { deny: ['YIFY'] } },
+            keywordFilters: { exclude: ['dubbed'] }
+        });
+        expect(picks.map(t => t.InfoHash)).toEqual([hash(4), hash(1)]);
+    });
+
+    test('only takes releases naming the episode for series', () => {
+        const episodes = [
+            torrent(1, 'Show.S01.COMPLETE.1080p.WEB-DL'),
+            torrent(2, 'Show.S01E02.1080p.WEB-DL'),
+            torrent(3, 'Show.S01E12.1080p.WEB-DL'),
+            torrent(4, 'Show.S1.E2.720p.HDTV')
+        ];
+        const picks = selectUncachedTorrents(episodes, 5, { episodeInfo: { season: 1, episode: 2 } });
+        expect(picks.map(t => t.InfoHash)).toEqual([hash(2), hash(4)]);
+    });
+
+    test('also takes fansub releases naming the absolute episode of an anime', () => {
+        const episodes = [
+            torrent(1, '[SubsPlease] One Piece - 1071 (1080p)'),
+            torrent(2, '[SubsPlease] One Piece - 1070 (1080p)'),
+            torrent(3, 'One.Piece.S21E80.720p.WEB')
+        ];
+        const picks = selectUncachedTorrents(episodes, 5, { episodeInfo: { season: 21, episode: 80, absoluteEpisode: 1071 } });
+        expect(picks.map(t => t.InfoHash)).toEqual([hash(1), hash(3)]);
+    });
+});
+
+describe('uncached streams', () => {
+    test('are labelled as uncached', () => {
+        expect(toUncachedResult({ name: 'x', tracker: 'Cached', isCached: true })).toEqual({ name: 'x', tracker: 'Uncached', isCached: false, isUncached: true });
+        expect(toUncachedResult({ name: 'x', tracker: '1337x' }).tracker).toBe('1337x');
+    });
+
+    test('sort after every cached stream', () => {
+        const streams = [
+            { name: 'Uncached 2160p', title: 'Movie.2160p', isUncached: true },
+            { name: 'Cached 720p', title: 'Movie.720p' },
+            { name: 'Personal 1080p', title: 'Movie.1080p', isPersonal: true },
+            { name: 'Cached 1080p', title: 'Movie.1080p' }
+        ];
+        expect(sortStreams(streams).map(s => s.name)).toEqual(['Personal 1080p', 'Cached 1080p', 'Cached 720p', 'Uncached 2160p']);
+    });
+});